@@ -8,6 +8,8 @@ export async function POST(request: NextRequest) {
     const sessionId = formData.get('sessionId') as string;
     const message = formData.get('message') as string;
     const projectId = formData.get('projectId') as string | null;
+    // 응답 캐시 사용 안 함: cache=false 필드 또는 Cache-Control: no-cache 헤더
+    const noCache = formData.get('cache') === 'false' || /no-cache|no-store/.test(request.headers.get('cache-control') || '');
     const files = formData.getAll('files') as File[] || [];
 
     if (!userId || !sessionId) {
@@ -20,6 +22,36 @@ export async function POST(request: NextRequest) {
     const orchestratorInstance = getOrchestrator();
     const webSearchInstance = getWebSearch();
 
+    // 요청별 토론 설정 (debate 필드: JSON 객체 또는 true) - 있으면 토론 모드로 진행
+    const debateField = formData.get('debate') as string | null;
+    let debate: Record<string, unknown> | null = null;
+    if (debateField && debateField !== 'false') {
+      try {
+        debate = orchestratorInstance.debateManager.normalizeConfig(debateField === 'true' ? {} : JSON.parse(debateField));
+      } catch (error: unknown) {
+        const message = error instanceof Error ? error.message : 'debate 설정이 올바르지 않습니다';
+        return new Response(
+          JSON.stringify({ success: false, error: message }),
+          { status: 400, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+    }
+
+    // 요청별 계획 옵션 (plan 필드: true 또는 { review: true }) - 있으면 계획 모드로 진행
+    const planField = formData.get('plan') as string | null;
+    let plan: { review: boolean } | null = null;
+    if (planField && planField !== 'false') {
+      try {
+        plan = orchestratorInstance.planManager.normalizeRequest(planField === 'true' ? true : JSON.parse(planField));
+      } catch (error: unknown) {
+        const message = error instanceof Error ? error.message : 'plan 설정이 올바르지 않습니다';
+        return new Response(
+          JSON.stringify({ success: false, error: message }),
+          { status: 400, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+    }
+
     // 파일 처리: 이미지 파일을 base64로 인코딩, 문서 파일은 텍스트로 추출, 음성 파일은 변환
     const imageData: { type: 'image_url'; image_url: { url: string } }[] = [];
     const documentTexts: string[] = [];
@@ -213,7 +245,7 @@ export async function POST(request: NextRequest) {
 
         try {
           // 스트리밍 처리 (프로젝트 ID 전달)
-          for await (const chunk of orchestratorInstance.processStream(userId, sessionId, finalMessage, searchResults, imageData, projectId || null)) {
+          for await (const chunk of orchestratorInstance.processStream(userId, sessionId, finalMessage, searchResults, imageData, projectId || null, noCache ? { enabled: false } : {}, debate, plan)) {
             controller.enqueue(encoder.encode(`data: ${chunk.trim()}\n\n`));
           }
           controller.enqueue(encoder.encode('data: [DONE]\n\n'));
@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { backendAuthHeaders, getSessionUserId, unauthorizedResponse } from '../auth/session';
+
+const BACKEND_URL = process.env.ATHENA_BACKEND_URL || 'http://localhost:3000';
+
+export async function GET(request: NextRequest) {
+  // 감사 로그는 auditor만 - 백엔드가 로그인한 사용자의 역할을 확인한다
+  const userId = getSessionUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { search } = new URL(request.url);
+    const res = await fetch(`${BACKEND_URL}/api/audit${search}`, {
+      cache: 'no-store',
+      headers: backendAuthHeaders(userId),
+    });
+    const data = await res.json();
+    return NextResponse.json(data, { status: res.status });
+  } catch {
+    return NextResponse.json(
+      { success: false, error: 'Backend server unreachable' },
+      { status: 502 }
+    );
+  }
+}
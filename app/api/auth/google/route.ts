@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { getOrchestrator } from '../../athena/utils';
+import { SESSION_COOKIE, SESSION_MAX_AGE_SECONDS, createSessionValue } from '../session';
 
 export async function GET(request: NextRequest) {
   try {
@@ -119,12 +120,12 @@ export async function GET(request: NextRequest) {
 
       const response = NextResponse.redirect(`${BASE_URL}?google_login=success`);
 
-      // 사용자 정보를 쿠키에 저장 (보안을 위해 httpOnly 사용)
-      response.cookies.set('athena_user_id', user.id, {
+      // 로그인 사용자를 서명된 쿠키에 저장 (보안을 위해 httpOnly 사용, 서명 키는 ATHENA_SESSION_SECRET)
+      response.cookies.set(SESSION_COOKIE, createSessionValue(user.id), {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: 'lax',
-        maxAge: 60 * 60 * 24 * 30, // 30일
+        maxAge: SESSION_MAX_AGE_SECONDS,
         path: '/athena', // basePath에 맞게 쿠키 경로 설정
       });
 
@@ -132,7 +133,7 @@ export async function GET(request: NextRequest) {
         httpOnly: false, // 프론트엔드에서 읽을 수 있도록
         secure: process.env.NODE_ENV === 'production',
         sameSite: 'lax',
-        maxAge: 60 * 60 * 24 * 30,
+        maxAge: SESSION_MAX_AGE_SECONDS,
         path: '/athena', // basePath에 맞게 쿠키 경로 설정
       });
 
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { SESSION_COOKIE } from '../session';
 
 export async function GET() {
   try {
@@ -6,7 +7,8 @@ export async function GET() {
     
     const response = NextResponse.redirect(`${BASE_URL}?logout=success`);
     
-    // 쿠키 삭제 (path 지정 필요)
+    // 쿠키 삭제 (path 지정 필요, athena_user_id는 서명 쿠키 이전의 로그인 쿠키)
+    response.cookies.set(SESSION_COOKIE, '', { maxAge: 0, path: '/athena' });
     response.cookies.set('athena_user_id', '', { maxAge: 0, path: '/athena' });
     response.cookies.set('athena_user_name', '', { maxAge: 0, path: '/athena' });
     
@@ -0,0 +1,51 @@
+import { NextRequest, NextResponse } from 'next/server';
+// @ts-expect-error - athena-ai는 webpack alias로 매핑됨
+import { PRINCIPAL_HEADER, signPrincipal, verifyPrincipal } from 'athena-ai/security/signedPrincipal.js';
+
+// 로그인 쿠키 - 서명된 사용자 ID (ATHENA_SESSION_SECRET, athena-ai/security/signedPrincipal.js)
+export const SESSION_COOKIE = 'athena_session';
+export const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24 * 30; // 30일
+
+/**
+ * 로그인 쿠키 값 만들기 (서명 키가 없으면 예외)
+ */
+export function createSessionValue(userId: string): string {
+  return signPrincipal(userId, { ttlMs: SESSION_MAX_AGE_SECONDS * 1000 });
+}
+
+/**
+ * 요청한 브라우저의 로그인 사용자 ID (쿠키가 없거나 서명이 틀리거나 만료되면 null)
+ */
+export function getSessionUserId(request: NextRequest): string | null {
+  const value = request.cookies.get(SESSION_COOKIE)?.value;
+  return value ? verifyPrincipal(value) : null;
+}
+
+/**
+ * 로그인하지 않은 요청에 돌려줄 401 응답
+ */
+export function unauthorizedResponse() {
+  return NextResponse.json({ success: false, error: '로그인이 필요합니다.' }, { status: 401 });
+}
+
+/**
+ * 로그인 사용자 확인 - 통과하면 사용자 ID, 아니면 그대로 돌려줄 응답
+ * 브라우저가 보낸 userId는 예전 클라이언트 호환용으로만 받고, 로그인 사용자와 다르면 403
+ */
+export function requireSessionUser(request: NextRequest, claimedUserId?: string | null): string | NextResponse {
+  const userId = getSessionUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+  if (claimedUserId && claimedUserId !== userId) {
+    return NextResponse.json({ success: false, error: '다른 사용자의 데이터에는 접근할 수 없습니다.' }, { status: 403 });
+  }
+  return userId;
+}
+
+/**
+ * 백엔드 /api를 이 사용자로 부를 때 붙이는 헤더 (1분짜리 서명 값)
+ */
+export function backendAuthHeaders(userId: string): Record<string, string> {
+  return { [PRINCIPAL_HEADER]: signPrincipal(userId) };
+}
@@ -1,9 +1,10 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { getOrchestrator } from '../../athena/utils';
+import { getSessionUserId } from '../session';
 
 export async function GET(request: NextRequest) {
   try {
-    const userId = request.cookies.get('athena_user_id')?.value;
+    const userId = getSessionUserId(request);
     const userName = request.cookies.get('athena_user_name')?.value;
 
     if (!userId) {
@@ -1,4 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { backendAuthHeaders, getSessionUserId, unauthorizedResponse } from '../../auth/session';
 
 const BACKEND_URL = process.env.ATHENA_BACKEND_URL || 'http://localhost:3000';
 
@@ -6,15 +7,25 @@ export async function POST(
   request: NextRequest,
   { params }: { params: Promise<{ requestId: string }> }
 ) {
+  // 승인자는 로그인한 브라우저 사용자 - 백엔드에는 그 사용자의 서명 값을 넘긴다
+  const userId = getSessionUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
   const { requestId } = await params;
-  const body = await request.json();
+  // 브라우저가 보낸 userId는 넘기지 않는다 (승인자는 서명 값으로만 정해진다)
+  const { approved } = await request.json();
 
   const res = await fetch(`${BACKEND_URL}/api/command/${requestId}/approve`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
+    headers: {
+      'Content-Type': 'application/json',
+      ...backendAuthHeaders(userId),
+    },
+    body: JSON.stringify({ approved }),
   });
 
   const data = await res.json();
-  return NextResponse.json(data);
+  return NextResponse.json(data, { status: res.status });
 }
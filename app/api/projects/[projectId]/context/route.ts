@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { getOrchestrator } from '../../../athena/utils';
+import { requireOwnedProject } from '../../access';
 
 export async function GET(
   request: NextRequest,
@@ -7,11 +7,14 @@ export async function GET(
 ) {
   try {
     const { projectId } = await params;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
     const { searchParams } = new URL(request.url);
     const query = searchParams.get('q'); // 검색어
 
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
+    const { db } = access;
 
     let contexts: Array<{
       id: string;
@@ -68,6 +71,10 @@ export async function POST(
 ) {
   try {
     const { projectId } = await params;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
     const body = await request.json();
     const { contextType, title, content, sourceResourceId, tags, importance } = body;
 
@@ -78,9 +85,7 @@ export async function POST(
       );
     }
 
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
-
+    const { db } = access;
     db.prepare(`
       INSERT INTO project_context (project_id, context_type, title, content, source_resource_id, tags, importance)
       VALUES (?, ?, ?, ?, ?, ?, ?)
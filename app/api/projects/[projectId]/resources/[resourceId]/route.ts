@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { getOrchestrator } from '../../../../athena/utils';
+import { requireOwnedProject } from '../../../access';
 
 export async function DELETE(
   request: NextRequest,
@@ -7,15 +7,17 @@ export async function DELETE(
 ) {
   try {
     const { projectId, resourceId } = await params;
-
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
+    const { db } = access;
 
     // 프로젝트 자료 삭제
     db.prepare('DELETE FROM project_resources WHERE id = ? AND project_id = ?').run(resourceId, projectId);
 
     // 관련 컨텍스트도 삭제
-    db.prepare('DELETE FROM project_context WHERE source_resource_id = ?').run(resourceId);
+    db.prepare('DELETE FROM project_context WHERE source_resource_id = ? AND project_id = ?').run(resourceId, projectId);
 
     return NextResponse.json({
       success: true,
@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { getOrchestrator } from '../../../athena/utils';
+import { requireOwnedProject } from '../../access';
 
 export async function GET(
   request: NextRequest,
@@ -7,9 +7,11 @@ export async function GET(
 ) {
   try {
     const { projectId } = await params;
-
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
+    const { db } = access;
 
     const resources = db.prepare(`
       SELECT * FROM project_resources
@@ -52,6 +54,10 @@ export async function POST(
 ) {
   try {
     const { projectId } = await params;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
     const body = await request.json();
     const { resourceType, resourceId, title, content, metadata } = body;
 
@@ -62,9 +68,7 @@ export async function POST(
       );
     }
 
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
-
+    const { db } = access;
     const resourceDbId = `resource-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
     db.prepare(`
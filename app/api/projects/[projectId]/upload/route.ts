@@ -1,5 +1,23 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { getOrchestrator } from '../../../athena/utils';
+import { requireOwnedProject } from '../../access';
+// @ts-expect-error - webpack alias로 매핑됨
+import { detectDocumentType, extractDocument, formatExtractedDocument, chunkDocument } from 'athena-ai/utils/documentExtractor.js';
+
+// 추출 문서 타입 → 기존 metadata.fileType 값
+const DOCUMENT_FILE_TYPES: Record<string, string> = {
+  pdf: 'pdf',
+  docx: 'docx',
+  xlsx: 'excel',
+  pptx: 'powerpoint',
+};
+
+const DOCUMENT_LABELS: Record<string, string> = {
+  pdf: 'PDF',
+  docx: 'Word',
+  xlsx: 'Excel',
+  pptx: 'PowerPoint',
+};
 
 export async function POST(
   request: NextRequest,
@@ -7,6 +25,10 @@ export async function POST(
 ) {
   try {
     const { projectId } = await params;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
     const formData = await request.formData();
     const files = formData.getAll('files') as File[];
 
@@ -18,7 +40,7 @@ export async function POST(
     }
 
     const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
+    const { db } = access;
 
     const uploadedResources: Array<{
       id: string;
@@ -27,8 +49,15 @@ export async function POST(
       fileSize: number;
     }> = [];
 
+    const insertContext = db.prepare(`
+      INSERT INTO project_context (project_id, context_type, title, content, source_resource_id, importance)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
     for (const file of files) {
+      const documentType = detectDocumentType(file.name, file.type);
       let content = '';
+      let chunks: Array<{ anchor: string; text: string }> = [];
       const metadata: Record<string, unknown> = {
         fileName: file.name,
         fileSize: file.size,
@@ -57,36 +86,36 @@ export async function POST(
           console.error('Failed to read text file:', error);
           content = `[텍스트 파일: ${file.name}] 읽기 실패`;
         }
-      } else if (file.type === 'application/pdf' || file.name.endsWith('.pdf')) {
-        // PDF 파일: 파일 정보와 함께 상세 설명 추가
-        content = `[PDF 파일: ${file.name}]\n파일 크기: ${(file.size / 1024).toFixed(2)} KB\n파일 타입: PDF 문서\n\n이 PDF 파일은 프로젝트 학습 자료로 업로드되었습니다. 파일명: "${file.name}"\n\n이 파일의 내용에 대해 질문하거나 참고할 수 있습니다. 파일명을 통해 이 자료를 언급할 수 있습니다.`;
-        metadata.fileType = 'pdf';
-        metadata.fileName = file.name;
-      } else if (
-        file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-        file.name.endsWith('.docx')
-      ) {
-        // Word 파일: 파일 정보와 함께 상세 설명 추가
-        content = `[Word 파일: ${file.name}]\n파일 크기: ${(file.size / 1024).toFixed(2)} KB\n파일 타입: Microsoft Word 문서\n\n이 Word 파일은 프로젝트 학습 자료로 업로드되었습니다. 파일명: "${file.name}"\n\n이 파일의 내용에 대해 질문하거나 참고할 수 있습니다. 파일명을 통해 이 자료를 언급할 수 있습니다.`;
-        metadata.fileType = 'docx';
-        metadata.fileName = file.name;
+      } else if (documentType) {
+        // PDF/Word/Excel/PowerPoint: 페이지·시트·슬라이드별 텍스트와 표 추출
+        metadata.fileType = DOCUMENT_FILE_TYPES[documentType];
+        try {
+          const buffer = Buffer.from(await file.arrayBuffer());
+          const document = await extractDocument(buffer, { fileName: file.name, mimeType: file.type });
+          content = formatExtractedDocument(document, file.name);
+          chunks = chunkDocument(document);
+          Object.assign(metadata, document.meta);
+          metadata.anchors = document.sections.map((section: { anchor: string }) => section.anchor);
+          metadata.chunkCount = chunks.length;
+        } catch (error) {
+          console.error(`Failed to extract ${documentType} file:`, error);
+          const errorMessage = error instanceof Error ? error.message : '알 수 없는 오류';
+          content = `[${DOCUMENT_LABELS[documentType]} 파일: ${file.name}]\n텍스트 추출 중 오류가 발생했습니다: ${errorMessage}\n파일 크기: ${(file.size / 1024).toFixed(2)} KB`;
+          metadata.extractionError = errorMessage;
+        }
       } else if (
         file.type === 'application/vnd.ms-excel' ||
-        file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        file.name.endsWith('.xls') ||
-        file.name.endsWith('.xlsx')
+        file.name.endsWith('.xls')
       ) {
-        // Excel 파일: 파일 정보와 함께 상세 설명 추가
+        // 구형 Excel(.xls) 파일: 텍스트 추출 미지원, 파일 정보만 저장
         content = `[Excel 파일: ${file.name}]\n파일 크기: ${(file.size / 1024).toFixed(2)} KB\n파일 타입: Microsoft Excel 스프레드시트\n\n이 Excel 파일은 프로젝트 학습 자료로 업로드되었습니다. 파일명: "${file.name}"\n\n이 파일의 내용에 대해 질문하거나 참고할 수 있습니다. 파일명을 통해 이 자료를 언급할 수 있습니다.`;
         metadata.fileType = 'excel';
         metadata.fileName = file.name;
       } else if (
         file.type === 'application/vnd.ms-powerpoint' ||
-        file.type === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' ||
-        file.name.endsWith('.ppt') ||
-        file.name.endsWith('.pptx')
+        file.name.endsWith('.ppt')
       ) {
-        // PowerPoint 파일
+        // 구형 PowerPoint(.ppt) 파일: 텍스트 추출 미지원, 파일 정보만 저장
         content = `[PowerPoint 파일: ${file.name}]\n파일 크기: ${(file.size / 1024).toFixed(2)} KB\n파일 타입: Microsoft PowerPoint 프레젠테이션\n\n이 PowerPoint 파일은 프로젝트 학습 자료로 업로드되었습니다. 파일명: "${file.name}"\n\n이 파일의 내용에 대해 질문하거나 참고할 수 있습니다. 파일명을 통해 이 자료를 언급할 수 있습니다.`;
         metadata.fileType = 'powerpoint';
         metadata.fileName = file.name;
@@ -114,17 +143,14 @@ export async function POST(
       );
 
       // 프로젝트 컨텍스트에 추가 (중요도 높게 설정하여 우선 참고되도록)
-      db.prepare(`
-        INSERT INTO project_context (project_id, context_type, title, content, source_resource_id, importance)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `).run(
-        projectId,
-        'material',
-        file.name,
-        content,
-        resourceDbId,
-        8  // 중요도 높게 설정
-      );
+      // 추출된 문서는 위치(페이지/시트/슬라이드)가 제목에 붙은 청크 단위로 저장해 인용할 수 있게 함
+      if (chunks.length > 0) {
+        for (const chunk of chunks) {
+          insertContext.run(projectId, 'material', `${file.name} (${chunk.anchor})`, chunk.text, resourceDbId, 8);
+        }
+      } else {
+        insertContext.run(projectId, 'material', file.name, content, resourceDbId, 8);
+      }
 
       uploadedResources.push({
         id: resourceDbId,
@@ -134,6 +160,11 @@ export async function POST(
       });
     }
 
+    // 업로드한 자료를 프로젝트 검색 색인(임베딩)에 반영 - 응답은 기다리지 않음
+    orchestratorInstance.projectRetriever.sync(projectId).catch((error: unknown) => {
+      console.error('Project indexing error:', error);
+    });
+
     return NextResponse.json({
       success: true,
       message: `${uploadedResources.length}개의 파일이 프로젝트에 업로드되었습니다.`,
@@ -0,0 +1,21 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getOrchestrator } from '../athena/utils';
+import { requireSessionUser } from '../auth/session';
+
+/**
+ * 로그인 사용자의 프로젝트인지 확인 - 통과하면 { userId, db }, 아니면 그대로 돌려줄 응답
+ * 다른 사용자의 프로젝트는 있는지도 알리지 않도록 없는 프로젝트와 같은 404
+ */
+export function requireOwnedProject(request: NextRequest, projectId: string) {
+  const userId = requireSessionUser(request);
+  if (userId instanceof NextResponse) {
+    return userId;
+  }
+
+  const db = getOrchestrator().memory.db;
+  const project = db.prepare('SELECT id FROM projects WHERE id = ? AND user_id = ?').get(projectId, userId);
+  if (!project) {
+    return NextResponse.json({ success: false, error: '프로젝트를 찾을 수 없습니다.' }, { status: 404 });
+  }
+  return { userId, db };
+}
@@ -1,16 +1,14 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { getOrchestrator } from '../athena/utils';
+import { requireSessionUser } from '../auth/session';
+import { requireOwnedProject } from './access';
 
 export async function GET(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url);
-    const userId = searchParams.get('userId');
-
-    if (!userId) {
-      return NextResponse.json(
-        { success: false, error: 'userId 필요' },
-        { status: 400 }
-      );
+    const userId = requireSessionUser(request, searchParams.get('userId'));
+    if (userId instanceof NextResponse) {
+      return userId;
     }
 
     const orchestratorInstance = getOrchestrator();
@@ -50,11 +48,15 @@ export async function GET(request: NextRequest) {
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { userId, name, description } = body;
+    const { name, description } = body;
+    const userId = requireSessionUser(request, body.userId);
+    if (userId instanceof NextResponse) {
+      return userId;
+    }
 
-    if (!userId || !name) {
+    if (!name) {
       return NextResponse.json(
-        { success: false, error: 'userId와 name 필요' },
+        { success: false, error: 'name 필요' },
         { status: 400 }
       );
     }
@@ -105,10 +107,12 @@ export async function DELETE(request: NextRequest) {
       );
     }
 
-    const orchestratorInstance = getOrchestrator();
-    const db = orchestratorInstance.memory.db;
+    const access = requireOwnedProject(request, projectId);
+    if (access instanceof NextResponse) {
+      return access;
+    }
 
-    db.prepare('DELETE FROM projects WHERE id = ?').run(projectId);
+    access.db.prepare('DELETE FROM projects WHERE id = ? AND user_id = ?').run(projectId, access.userId);
 
     return NextResponse.json({
       success: true,
@@ -1,17 +1,14 @@
 /* eslint-disable @typescript-eslint/no-explicit-any */
 import { NextRequest, NextResponse } from 'next/server';
 import { getOrchestrator } from '../athena/utils';
+import { requireSessionUser } from '../auth/session';
 
 export async function GET(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url);
-    const userId = searchParams.get('userId');
-
-    if (!userId) {
-      return NextResponse.json(
-        { success: false, error: 'userId 필요' },
-        { status: 400 }
-      );
+    const userId = requireSessionUser(request, searchParams.get('userId'));
+    if (userId instanceof NextResponse) {
+      return userId;
     }
 
     const orchestratorInstance = getOrchestrator();
@@ -89,11 +86,15 @@ export async function GET(request: NextRequest) {
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json();
-    const { userId, type, data } = body;
+    const { type, data } = body;
+    const userId = requireSessionUser(request, body.userId);
+    if (userId instanceof NextResponse) {
+      return userId;
+    }
 
-    if (!userId || !type || !data) {
+    if (!type || !data) {
       return NextResponse.json(
-        { success: false, error: 'userId, type, data 필요' },
+        { success: false, error: 'type, data 필요' },
         { status: 400 }
       );
     }
@@ -101,8 +102,16 @@ export async function POST(request: NextRequest) {
     const orchestratorInstance = getOrchestrator();
     const db = orchestratorInstance.memory.db;
 
+    // 세션을 붙일 프로젝트도 로그인 사용자의 것이어야 한다
+    if (data.projectId && !db.prepare('SELECT id FROM projects WHERE id = ? AND user_id = ?').get(data.projectId, userId)) {
+      return NextResponse.json(
+        { success: false, error: '프로젝트를 찾을 수 없습니다.' },
+        { status: 404 }
+      );
+    }
+
     if (type === 'file') {
-      // 파일 세션 저장/업데이트
+      // 파일 세션 저장/업데이트 (같은 ID의 다른 사용자 세션은 덮어쓰지 않는다)
       const { id, fileName, transcription, minutes, chunks, status, projectId, fileMetadata } = data;
       
       db.prepare(`
@@ -116,6 +125,7 @@ export async function POST(request: NextRequest) {
           project_id = excluded.project_id,
           file_metadata = excluded.file_metadata,
           updated_at = CURRENT_TIMESTAMP
+        WHERE file_sessions.user_id = excluded.user_id
       `).run(
         id,
         userId,
@@ -128,7 +138,7 @@ export async function POST(request: NextRequest) {
         fileMetadata ? JSON.stringify(fileMetadata) : null
       );
     } else if (type === 'memo') {
-      // 메모 세션 저장/업데이트
+      // 메모 세션 저장/업데이트 (같은 ID의 다른 사용자 세션은 덮어쓰지 않는다)
       const { id, title, content, projectId } = data;
       
       db.prepare(`
@@ -139,6 +149,7 @@ export async function POST(request: NextRequest) {
           content = excluded.content,
           project_id = excluded.project_id,
           updated_at = CURRENT_TIMESTAMP
+        WHERE memo_sessions.user_id = excluded.user_id
       `).run(
         id,
         userId,
@@ -166,6 +177,10 @@ export async function DELETE(request: NextRequest) {
     const { searchParams } = new URL(request.url);
     const sessionId = searchParams.get('sessionId');
     const type = searchParams.get('type'); // 'file' or 'memo'
+    const userId = requireSessionUser(request);
+    if (userId instanceof NextResponse) {
+      return userId;
+    }
 
     if (!sessionId || !type) {
       return NextResponse.json(
@@ -178,9 +193,9 @@ export async function DELETE(request: NextRequest) {
     const db = orchestratorInstance.memory.db;
 
     if (type === 'file') {
-      db.prepare('DELETE FROM file_sessions WHERE id = ?').run(sessionId);
+      db.prepare('DELETE FROM file_sessions WHERE id = ? AND user_id = ?').run(sessionId, userId);
     } else if (type === 'memo') {
-      db.prepare('DELETE FROM memo_sessions WHERE id = ?').run(sessionId);
+      db.prepare('DELETE FROM memo_sessions WHERE id = ? AND user_id = ?').run(sessionId, userId);
     }
 
     return NextResponse.json({
@@ -2,11 +2,19 @@
 
 import { useState, useEffect } from 'react';
 
-interface ApprovalRequest {
+export interface ApprovalRequest {
   id: string;
+  tool?: string;
   command: string;
+  args?: Record<string, unknown>;
+  preview?: string | null;
+  requester?: { type: string; id: string | null } | null;
+  reason?: string | null;
   securityLevel: 'low' | 'medium' | 'high' | 'critical';
+  requiredApprovals?: number;
+  approvals?: number;
   requestedAt: Date;
+  expiresAt?: Date;
 }
 
 interface ApprovalDialogProps {
@@ -32,6 +40,15 @@ function getSecurityBadge(level: string) {
   }
 }
 
+// Color unified diff lines; other previews render as plain text
+function getPreviewLineClass(line: string) {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-muted-foreground';
+  if (line.startsWith('@@')) return 'text-blue-600 dark:text-blue-400';
+  if (line.startsWith('+')) return 'text-green-700 dark:text-green-400 bg-green-50 dark:bg-green-900/20';
+  if (line.startsWith('-')) return 'text-red-700 dark:text-red-400 bg-red-50 dark:bg-red-900/20';
+  return 'text-foreground';
+}
+
 export default function ApprovalDialog({
   request,
   onApprove,
@@ -44,14 +61,17 @@ export default function ApprovalDialog({
   useEffect(() => {
     if (!isOpen) return;
 
-    const elapsed = Math.floor((Date.now() - new Date(request.requestedAt).getTime()) / 1000);
-    setTimeRemaining(Math.max(0, TTL_SECONDS - elapsed));
+    const deadline = request.expiresAt
+      ? new Date(request.expiresAt).getTime()
+      : new Date(request.requestedAt).getTime() + TTL_SECONDS * 1000;
+    setTimeRemaining(Math.max(0, Math.floor((deadline - Date.now()) / 1000)));
 
     const interval = setInterval(() => {
       setTimeRemaining(prev => {
         if (prev <= 0) {
+          // The backend expires the request on its own; just close
           clearInterval(interval);
-          onDeny(request.id);
+          onClose();
           return 0;
         }
         return prev - 1;
@@ -59,12 +79,14 @@ export default function ApprovalDialog({
     }, 1000);
 
     return () => clearInterval(interval);
-  }, [isOpen, request.requestedAt, request.id, onDeny]);
+  }, [isOpen, request.requestedAt, request.expiresAt, request.id, onClose]);
 
   if (!isOpen) return null;
 
   const minutes = Math.floor(timeRemaining / 60);
   const seconds = timeRemaining % 60;
+  const requiredApprovals = request.requiredApprovals ?? 1;
+  const isDiff = !!request.preview && /^(---|\+\+\+|@@) /m.test(request.preview);
 
   return (
     <div className="fixed inset-0 z-[100] flex items-center justify-center">
@@ -75,7 +97,7 @@ export default function ApprovalDialog({
       />
 
       {/* Dialog */}
-      <div className="relative bg-card border border-border rounded-2xl shadow-2xl w-full max-w-md mx-4 overflow-hidden animate-fade-in">
+      <div className="relative bg-card border border-border rounded-2xl shadow-2xl w-full max-w-2xl mx-4 overflow-hidden animate-fade-in">
         {/* Warning header */}
         <div className="bg-red-50 dark:bg-red-900/20 border-b border-red-200 dark:border-red-800 p-4 flex items-center gap-3">
           <div className="w-10 h-10 bg-red-100 dark:bg-red-900/40 rounded-full flex items-center justify-center shrink-0">
@@ -84,26 +106,62 @@ export default function ApprovalDialog({
             </svg>
           </div>
           <div>
-            <h3 className="text-sm font-bold text-red-800 dark:text-red-300">Dangerous Command Approval</h3>
-            <p className="text-xs text-red-600 dark:text-red-400">This command requires manual approval</p>
+            <h3 className="text-sm font-bold text-red-800 dark:text-red-300">
+              {request.tool ? <>Approve <code className="font-mono">{request.tool}</code></> : 'Dangerous Command Approval'}
+            </h3>
+            <p className="text-xs text-red-600 dark:text-red-400">
+              {request.reason || 'This action requires manual approval'}
+            </p>
           </div>
         </div>
 
         {/* Content */}
         <div className="p-5 space-y-4">
-          {/* Command */}
-          <div className="bg-red-50/50 dark:bg-red-900/10 border border-red-200/50 dark:border-red-800/50 rounded-lg p-3">
-            <code className="text-sm font-mono text-red-700 dark:text-red-300 break-all">
-              {request.command}
-            </code>
-          </div>
+          {/* Preview (diff, command or arguments) */}
+          {request.preview ? (
+            <div className="border border-border rounded-lg overflow-hidden">
+              <pre className="text-xs font-mono max-h-72 overflow-auto p-3 bg-muted/30">
+                {isDiff
+                  ? request.preview.split('\n').map((line, i) => (
+                      <div key={i} className={getPreviewLineClass(line)}>{line || ' '}</div>
+                    ))
+                  : request.preview}
+              </pre>
+            </div>
+          ) : (
+            <div className="bg-red-50/50 dark:bg-red-900/10 border border-red-200/50 dark:border-red-800/50 rounded-lg p-3">
+              <code className="text-sm font-mono text-red-700 dark:text-red-300 break-all">
+                {request.command}
+              </code>
+            </div>
+          )}
+
+          {/* Full arguments */}
+          {request.args && Object.keys(request.args).length > 0 && (
+            <details className="text-xs">
+              <summary className="cursor-pointer text-muted-foreground hover:text-foreground">Arguments</summary>
+              <pre className="mt-2 font-mono max-h-48 overflow-auto p-3 bg-muted/30 border border-border rounded-lg whitespace-pre-wrap break-all">
+                {JSON.stringify(request.args, null, 2)}
+              </pre>
+            </details>
+          )}
 
           {/* Details */}
-          <div className="flex items-center justify-between">
+          <div className="flex flex-wrap items-center justify-between gap-2">
             <div className="flex items-center gap-2">
               <span className="text-xs text-muted-foreground">Security Level:</span>
               {getSecurityBadge(request.securityLevel)}
             </div>
+            {request.requester && (
+              <span className="text-xs text-muted-foreground">
+                Requested by {request.requester.type}{request.requester.id ? `:${request.requester.id}` : ''}
+              </span>
+            )}
+            {requiredApprovals > 1 && (
+              <span className="text-xs text-muted-foreground">
+                Approvals: {request.approvals ?? 0} / {requiredApprovals}
+              </span>
+            )}
             <div className="flex items-center gap-1 text-xs text-muted-foreground">
               <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
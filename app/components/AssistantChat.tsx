@@ -12,7 +12,10 @@ import 'katex/dist/katex.min.css';
 import { AthenaIcon } from './icons';
 import TerminalOutput from './TerminalOutput';
 import ScreenshotViewer from './ScreenshotViewer';
-import ApprovalDialog from './ApprovalDialog';
+import ApprovalDialog, { type ApprovalRequest } from './ApprovalDialog';
+import ToolCallCard, { type ToolCall } from './ToolCallCard';
+import VoteTallyCard, { type VoteTally } from './VoteTallyCard';
+import PlanCard, { type PlanProgress, type PlanStep } from './PlanCard';
 import type { ToolResult } from './ToolResultPanel';
 
 interface Message {
@@ -20,13 +23,9 @@ interface Message {
   role: 'user' | 'assistant';
   content: string;
   timestamp: Date;
-}
-
-interface ApprovalRequest {
-  id: string;
-  command: string;
-  securityLevel: 'low' | 'medium' | 'high' | 'critical';
-  requestedAt: Date;
+  toolCalls?: ToolCall[];
+  voteTally?: VoteTally;
+  plan?: PlanProgress;
 }
 
 interface AssistantChatProps {
@@ -41,6 +40,13 @@ interface AssistantChatProps {
   onApprovalRequest?: (request: ApprovalRequest) => void;
 }
 
+// Map backend security tiers to approval dialog levels
+const SECURITY_TIER_LEVELS: Record<string, ApprovalRequest['securityLevel']> = {
+  SAFE: 'low',
+  MODERATE: 'medium',
+  DANGEROUS: 'critical',
+};
+
 // Parse tool markers in assistant messages
 function parseToolMarkers(content: string): Array<{ type: 'text' | 'terminal' | 'screenshot' | 'processes' | 'approval'; content: string; meta?: any }> {
   const parts: Array<{ type: 'text' | 'terminal' | 'screenshot' | 'processes' | 'approval'; content: string; meta?: any }> = [];
@@ -293,6 +299,31 @@ export default function AssistantChat({
       const assistantMessageId = generateUniqueId();
       let assistantContent = '';
 
+      // Apply a structured tool call event to the streaming assistant message
+      const updateToolCall = (id: string, update: (call: ToolCall | undefined) => ToolCall) => {
+        setMessages(prev => prev.map(msg => {
+          if (msg.id !== assistantMessageId) return msg;
+          const calls = msg.toolCalls || [];
+          const existing = calls.find(call => call.id === id);
+          const next = update(existing);
+          return {
+            ...msg,
+            toolCalls: existing ? calls.map(call => (call.id === id ? next : call)) : [...calls, next],
+          };
+        }));
+      };
+
+      // Apply a plan step event to the streaming assistant message's plan card
+      const updatePlanStep = (stepId: string, update: (step: PlanStep) => PlanStep) => {
+        setMessages(prev => prev.map(msg => {
+          if (msg.id !== assistantMessageId || !msg.plan) return msg;
+          return {
+            ...msg,
+            plan: { ...msg.plan, steps: msg.plan.steps.map(step => (step.id === stepId ? update(step) : step)) },
+          };
+        }));
+      };
+
       setMessages(prev => [...prev, {
         id: assistantMessageId,
         role: 'assistant',
@@ -321,7 +352,14 @@ export default function AssistantChat({
                 const parsed = JSON.parse(data);
 
                 if (parsed.type === 'error') {
-                  throw new Error(parsed.error);
+                  // Budget caps and other server-side refusals arrive as error events mid-stream
+                  assistantContent += `\n\n> ⚠️ ${parsed.error}\n`;
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, content: assistantContent }
+                      : msg
+                  ));
+                  showToast(parsed.code === 'BUDGET_EXCEEDED' ? 'Budget limit reached' : `Error: ${parsed.error}`, 'error');
                 } else if (parsed.type === 'chunk') {
                   assistantContent += parsed.content;
                   setMessages(prev => prev.map(msg =>
@@ -333,7 +371,8 @@ export default function AssistantChat({
                   if (parsed.data?.strategy) {
                     const agentNames = parsed.data.agentsUsed?.join(', ') || 'AI';
                     const strategyLabel = parsed.data.strategy === 'sequential' ? 'Sequential Analysis'
-                      : parsed.data.strategy === 'debate' ? 'Debate Mode' : 'Voting Mode';
+                      : parsed.data.strategy === 'debate' ? 'Debate Mode'
+                      : parsed.data.strategy === 'plan' ? 'Plan Mode' : 'Voting Mode';
                     assistantContent += `\n\n**${strategyLabel}**\nModels: ${agentNames}\n\n`;
                     setMessages(prev => prev.map(msg =>
                       msg.id === assistantMessageId
@@ -341,6 +380,47 @@ export default function AssistantChat({
                         : msg
                     ));
                   }
+                } else if (parsed.type === 'vote_tally') {
+                  // Structured voting result - rendered as a chart above the conclusion
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, voteTally: parsed.tally }
+                      : msg
+                  ));
+                } else if (parsed.type === 'plan_proposed') {
+                  // Step DAG from the brain - progress events below update each step's status
+                  const plan: PlanProgress = {
+                    planId: parsed.planId,
+                    goal: parsed.goal,
+                    review: Boolean(parsed.review),
+                    steps: parsed.steps.map((step: any) => ({
+                      id: step.id,
+                      type: step.type,
+                      description: step.description,
+                      dependsOn: step.dependsOn || [],
+                      status: 'pending',
+                    })),
+                  };
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, plan }
+                      : msg
+                  ));
+                } else if (parsed.type === 'plan_step_start') {
+                  updatePlanStep(parsed.stepId, step => ({ ...step, status: 'running', attempt: parsed.attempt, error: undefined }));
+                } else if (parsed.type === 'plan_step_complete') {
+                  updatePlanStep(parsed.stepId, step => ({ ...step, status: 'completed' }));
+                } else if (parsed.type === 'plan_step_failed') {
+                  updatePlanStep(parsed.stepId, step => ({ ...step, status: parsed.willReplan ? 'replanning' : 'failed', error: parsed.error }));
+                } else if (parsed.type === 'plan_step_replanned') {
+                  updatePlanStep(parsed.stepId, step => ({
+                    ...step,
+                    type: parsed.step.type,
+                    description: parsed.step.description,
+                    status: 'pending',
+                  }));
+                } else if (parsed.type === 'plan_step_skipped') {
+                  updatePlanStep(parsed.stepId, step => ({ ...step, status: 'skipped', error: parsed.reason }));
                 } else if (parsed.type === 'step_start') {
                   assistantContent += `\n\n---\n\n### ${parsed.agent} analyzing... (${parsed.step}/${parsed.total || '?'})\n\n`;
                   setMessages(prev => prev.map(msg =>
@@ -348,6 +428,87 @@ export default function AssistantChat({
                       ? { ...msg, content: assistantContent }
                       : msg
                   ));
+                } else if (parsed.type === 'provider_switched') {
+                  // The server continues the same answer with the next provider; mark the hand-off inline
+                  assistantContent += `\n\n> ↪ ${parsed.from} ${parsed.reason === 'stalled' ? 'stalled' : 'failed'} — continuing with ${parsed.to}\n\n`;
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, content: assistantContent }
+                      : msg
+                  ));
+                  showToast(`${parsed.from} → ${parsed.to}: switched provider mid-response`, 'info');
+                } else if (parsed.type === 'tool_call_started') {
+                  updateToolCall(parsed.id, () => ({
+                    id: parsed.id,
+                    tool: parsed.tool,
+                    arguments: parsed.arguments || {},
+                    status: 'running',
+                  }));
+                } else if (parsed.type === 'tool_call_progress') {
+                  updateToolCall(parsed.id, (call) => ({
+                    ...(call || { id: parsed.id, tool: parsed.tool, arguments: {} }),
+                    status: 'running',
+                    progress: { message: parsed.message || '', percent: parsed.percent ?? null },
+                  }));
+                } else if (parsed.type === 'tool_call_result') {
+                  updateToolCall(parsed.id, (call) => ({
+                    ...(call || { id: parsed.id, tool: parsed.tool, arguments: {} }),
+                    status: parsed.status,
+                    progress: undefined,
+                    result: parsed.result,
+                    error: parsed.error,
+                    durationMs: parsed.durationMs,
+                  }));
+
+                  if (onToolResult) {
+                    onToolResult({
+                      type: 'tool_call',
+                      title: parsed.tool,
+                      content: JSON.stringify(parsed.status === 'error' ? { error: parsed.error } : parsed.result, null, 2) ?? '',
+                      status: parsed.status,
+                      timestamp: new Date(),
+                    });
+                  }
+                } else if (parsed.type === 'approval_required') {
+                  // The agent turn is suspended until this request is approved, denied or expires
+                  updateToolCall(parsed.id, (call) => ({
+                    ...(call || { id: parsed.id, tool: parsed.tool, arguments: {} }),
+                    status: 'pending_approval',
+                    progress: undefined,
+                  }));
+                  setApprovalRequest({
+                    id: parsed.requestId,
+                    tool: parsed.tool,
+                    command: parsed.command || parsed.tool,
+                    args: parsed.args,
+                    preview: parsed.preview,
+                    requester: parsed.requester,
+                    reason: parsed.reason,
+                    securityLevel: SECURITY_TIER_LEVELS[parsed.securityLevel] || 'high',
+                    requiredApprovals: parsed.requiredApprovals,
+                    approvals: parsed.approvals,
+                    requestedAt: new Date(),
+                    expiresAt: parsed.expiresAt ? new Date(parsed.expiresAt) : undefined,
+                  });
+
+                  if (onToolResult) {
+                    onToolResult({
+                      type: 'approval',
+                      title: `${parsed.tool} approval required`,
+                      content: parsed.preview || parsed.command || parsed.message || parsed.tool,
+                      timestamp: new Date(),
+                    });
+                  }
+                } else if (parsed.type === 'approval_resolved') {
+                  setApprovalRequest(prev => (prev?.id === parsed.requestId ? null : prev));
+                  if (parsed.status === 'approved') {
+                    updateToolCall(parsed.id, (call) => ({
+                      ...(call || { id: parsed.id, tool: parsed.tool, arguments: {} }),
+                      status: 'running',
+                    }));
+                  } else {
+                    showToast(`${parsed.tool} was not run (${parsed.status})`, 'info');
+                  }
                 } else if (parsed.type === 'tool_result') {
                   // Emit tool result to parent for ToolResultPanel
                   const toolResult = parsed.data;
@@ -412,30 +573,39 @@ export default function AssistantChat({
     setSelectedFiles(prev => prev.filter((_, i) => i !== index));
   };
 
+  const submitApproval = async (id: string, approved: boolean) => {
+    const res = await fetch(`/athena/api/command/${id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ approved, userId }),
+    });
+    const data = await res.json();
+    if (!res.ok || data.success === false) {
+      throw new Error(data.error?.message || data.error || `HTTP ${res.status}`);
+    }
+    return data;
+  };
+
   const handleApprove = async (id: string) => {
     try {
-      await fetch('/athena/api/system/approve', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ requestId: id, approved: true }),
-      });
-      showToast('Command approved', 'success');
-    } catch {
-      showToast('Failed to approve command', 'error');
+      const data = await submitApproval(id, true);
+      if (data.status === 'pending') {
+        showToast(`Approved (${data.approvals}/${data.requiredApprovals}) — waiting for other approvers`, 'info');
+      } else {
+        showToast('Approved', 'success');
+      }
+    } catch (error: any) {
+      showToast(`Failed to approve: ${error.message}`, 'error');
     }
     setApprovalRequest(null);
   };
 
   const handleDeny = async (id: string) => {
     try {
-      await fetch('/athena/api/system/approve', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ requestId: id, approved: false }),
-      });
-      showToast('Command denied', 'info');
-    } catch {
-      showToast('Failed to deny command', 'error');
+      await submitApproval(id, false);
+      showToast('Denied', 'info');
+    } catch (error: any) {
+      showToast(`Failed to deny: ${error.message}`, 'error');
     }
     setApprovalRequest(null);
   };
@@ -671,7 +841,14 @@ export default function AssistantChat({
                     {isUser ? (
                       <p className="whitespace-pre-wrap leading-relaxed">{message.content}</p>
                     ) : (
-                      renderMessageContent(message.content)
+                      <>
+                        {message.toolCalls?.map(call => (
+                          <ToolCallCard key={call.id} call={call} />
+                        ))}
+                        {message.voteTally && <VoteTallyCard tally={message.voteTally} />}
+                        {message.plan && <PlanCard plan={message.plan} />}
+                        {renderMessageContent(message.content)}
+                      </>
                     )}
                   </div>
                   <span className={`text-[10px] absolute bottom-1 right-3 opacity-0 group-hover:opacity-100 transition-opacity ${
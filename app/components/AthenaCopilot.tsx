@@ -318,6 +318,39 @@ export default function AthenaCopilot({
                         : msg
                     ));
                   }
+                } else if (parsed.type === 'vote_tally') {
+                  // 투표 집계 결과 - 선택지별 막대 (가중 점수 비율)
+                  const tally = parsed.tally as { winner: string | null; options: Array<{ id: string; label: string; votes: number; share: number }> };
+                  const bars = tally.options.map(o => {
+                    const percent = Math.round(o.share * 100);
+                    return `${o.id === tally.winner ? '**' : ''}${o.id}. ${o.label}${o.id === tally.winner ? '**' : ''} \`${'█'.repeat(Math.round(percent / 10)).padEnd(10, '░')}\` ${percent}% (${o.votes}표)`;
+                  });
+                  assistantContent += `\n\n📊 **투표 결과**\n\n${bars.join('  \n')}\n\n`;
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, content: assistantContent }
+                      : msg
+                  ));
+                } else if (parsed.type === 'plan_proposed' || parsed.type.startsWith('plan_step_')) {
+                  // 계획 모드 - 단계 목록과 단계별 진행을 한 줄씩 표시
+                  if (parsed.type === 'plan_proposed') {
+                    const steps = (parsed.steps as Array<{ id: string; type: string; description: string }>)
+                      .map((step, index) => `${index + 1}. \`${step.type}\` ${step.description}`);
+                    assistantContent += `\n\n🗺️ **실행 계획** - ${parsed.goal}\n\n${steps.join('\n')}\n\n`;
+                  } else if (parsed.type === 'plan_step_complete') {
+                    assistantContent += `✅ ${parsed.stepId} 완료  \n`;
+                  } else if (parsed.type === 'plan_step_failed') {
+                    assistantContent += `⚠️ ${parsed.stepId} 실패${parsed.willReplan ? ' - 다시 계획합니다' : ''}: ${parsed.error}  \n`;
+                  } else if (parsed.type === 'plan_step_replanned') {
+                    assistantContent += `🔁 ${parsed.stepId} 재계획: ${parsed.step.description}  \n`;
+                  } else if (parsed.type === 'plan_step_skipped') {
+                    assistantContent += `⏭️ ${parsed.stepId} 건너뜀 (${parsed.reason})  \n`;
+                  }
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, content: assistantContent }
+                      : msg
+                  ));
                 } else if (parsed.type === 'step_start') {
                   // Sequential 모드 단계 시작
                   assistantContent += `\n\n---\n\n### 🤖 ${parsed.agent} 분석 중... (${parsed.step}/${parsed.total || '?'})\n\n`;
@@ -326,6 +359,15 @@ export default function AthenaCopilot({
                       ? { ...msg, content: assistantContent }
                       : msg
                   ));
+                } else if (parsed.type === 'provider_switched') {
+                  // 응답 도중 provider 전환 - 서버가 다음 provider로 같은 답변을 이어서 작성
+                  assistantContent += `\n\n> ↪ ${parsed.from} ${parsed.reason === 'stalled' ? '응답 지연' : '오류'}로 ${parsed.to}이(가) 이어서 작성합니다\n\n`;
+                  setMessages(prev => prev.map(msg =>
+                    msg.id === assistantMessageId
+                      ? { ...msg, content: assistantContent }
+                      : msg
+                  ));
+                  showToast(`${parsed.from} → ${parsed.to} 전환`, 'info');
                 } else if (parsed.type === 'tool_result') {
                   // 도구 실행 결과 처리
                   assistantContent += `\n\n[도구 실행 결과]\n${JSON.stringify(parsed.data, null, 2)}`;
@@ -0,0 +1,358 @@
+'use client';
+
+import { Fragment, useState, useEffect, useCallback } from 'react';
+
+interface AuditEntry {
+  id: number;
+  createdAt: string;
+  event: string;
+  caller: { type: string; id: string | null };
+  channel: string | null;
+  tool: string | null;
+  args: unknown;
+  status: string;
+  durationMs: number | null;
+  approvalId: string | null;
+  detail: Record<string, unknown> | null;
+  prevHash: string;
+  hash: string;
+}
+
+interface VerifyResult {
+  ok: boolean;
+  checked: number;
+  head: { id: number; hash: string; createdAt: string } | null;
+  problems: { id: number | null; type: string; message: string }[];
+}
+
+interface Filters {
+  event: string;
+  tool: string;
+  callerType: string;
+  status: string;
+  q: string;
+  from: string;
+  to: string;
+}
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS: Filters = { event: '', tool: '', callerType: '', status: '', q: '', from: '', to: '' };
+
+const EVENTS = ['tool_execution', 'approval_requested', 'approval_vote', 'approval_resolved'];
+const CALLER_TYPES = ['web', 'telegram', 'discord', 'scheduler', 'workflow', 'system'];
+const STATUSES = ['success', 'error', 'denied', 'rejected', 'pending_approval', 'pending', 'approved', 'expired', 'cancelled'];
+
+function getStatusClass(status: string) {
+  switch (status) {
+    case 'success':
+    case 'approved':
+      return 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400';
+    case 'error':
+    case 'denied':
+    case 'rejected':
+      return 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400';
+    case 'pending_approval':
+    case 'pending':
+      return 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400';
+    default:
+      return 'bg-muted text-muted-foreground';
+  }
+}
+
+function formatCaller(caller: AuditEntry['caller']) {
+  return caller.id ? `${caller.type}:${caller.id}` : caller.type;
+}
+
+export default function AuditLogPanel() {
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [applied, setApplied] = useState<Filters>(EMPTY_FILTERS);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [verifyResult, setVerifyResult] = useState<VerifyResult | null>(null);
+  const [verifying, setVerifying] = useState(false);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(applied).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      params.set('limit', String(PAGE_SIZE));
+      params.set('offset', String(offset));
+
+      const response = await fetch(`/athena/api/audit?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || `HTTP ${response.status}`);
+      }
+      setEntries(data.entries);
+      setTotal(data.total);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, offset]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const verifyChain = async () => {
+    setVerifying(true);
+    try {
+      const response = await fetch('/athena/api/audit/verify');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || `HTTP ${response.status}`);
+      }
+      setVerifyResult(data);
+    } catch (err) {
+      setVerifyResult({
+        ok: false,
+        checked: 0,
+        head: null,
+        problems: [{ id: null, type: 'request_failed', message: err instanceof Error ? err.message : 'Verification failed' }],
+      });
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const applyFilters = () => {
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  const updateFilter = (key: keyof Filters, value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const selectClass = 'px-2 py-1.5 text-xs bg-background border border-border rounded-lg text-foreground';
+
+  return (
+    <div className="flex-1 overflow-y-auto p-6 space-y-4 custom-scrollbar">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-bold text-foreground">Audit Log</h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={verifyChain}
+            disabled={verifying}
+            className="px-3 py-1.5 text-xs bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 transition-colors disabled:opacity-50"
+          >
+            {verifying ? 'Verifying...' : 'Verify chain'}
+          </button>
+          <button
+            onClick={fetchEntries}
+            className="p-2 text-muted-foreground hover:text-foreground hover:bg-muted rounded-lg transition-colors"
+            title="Refresh"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Verification result */}
+      {verifyResult && (
+        <div className={`border rounded-xl p-4 text-xs ${verifyResult.ok
+          ? 'bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800'
+          : 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'}`}
+        >
+          <div className="flex items-center justify-between gap-2">
+            <span className={`font-semibold ${verifyResult.ok ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}`}>
+              {verifyResult.ok
+                ? `Chain intact (${verifyResult.checked} entries)`
+                : `${verifyResult.problems.length} problem(s) found in ${verifyResult.checked} entries`}
+            </span>
+            <button onClick={() => setVerifyResult(null)} className="text-muted-foreground hover:text-foreground">Dismiss</button>
+          </div>
+          {verifyResult.head && (
+            <p className="mt-1 text-muted-foreground">
+              Head #{verifyResult.head.id}: <code className="font-mono break-all">{verifyResult.head.hash}</code>
+            </p>
+          )}
+          {verifyResult.problems.length > 0 && (
+            <ul className="mt-2 space-y-0.5 max-h-40 overflow-y-auto">
+              {verifyResult.problems.map((problem, i) => (
+                <li key={i} className="text-red-700 dark:text-red-300">
+                  {problem.id !== null && <span className="font-mono">#{problem.id} </span>}
+                  <span className="font-semibold">{problem.type}</span>: {problem.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-card border border-border rounded-xl p-4">
+        <div className="flex flex-wrap items-end gap-2">
+          <select value={filters.event} onChange={(e) => updateFilter('event', e.target.value)} className={selectClass}>
+            <option value="">All events</option>
+            {EVENTS.map(event => <option key={event} value={event}>{event}</option>)}
+          </select>
+          <select value={filters.callerType} onChange={(e) => updateFilter('callerType', e.target.value)} className={selectClass}>
+            <option value="">All callers</option>
+            {CALLER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClass}>
+            <option value="">All statuses</option>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <input
+            type="text"
+            value={filters.tool}
+            onChange={(e) => updateFilter('tool', e.target.value)}
+            placeholder="Tool"
+            className={`${selectClass} w-32`}
+          />
+          <input
+            type="text"
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') applyFilters(); }}
+            placeholder="Search arguments"
+            className={`${selectClass} w-44`}
+          />
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={selectClass} title="From" />
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={selectClass} title="To" />
+          <button
+            onClick={applyFilters}
+            className="px-3 py-1.5 text-xs bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 transition-colors"
+          >
+            Search
+          </button>
+          <button
+            onClick={resetFilters}
+            className="px-3 py-1.5 text-xs text-muted-foreground hover:text-foreground hover:bg-muted rounded-lg transition-colors"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-card border border-border rounded-xl overflow-hidden">
+        {error ? (
+          <div className="p-6 text-center">
+            <p className="text-sm font-medium text-foreground mb-1">Failed to load audit log</p>
+            <p className="text-xs text-muted-foreground">{error}</p>
+          </div>
+        ) : loading && entries.length === 0 ? (
+          <div className="p-6 text-center text-sm text-muted-foreground">Loading audit log...</div>
+        ) : entries.length === 0 ? (
+          <div className="p-6 text-center text-sm text-muted-foreground">No entries</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-muted-foreground border-b border-border">
+                  <th className="py-2 px-3 font-medium">#</th>
+                  <th className="py-2 px-3 font-medium">Time</th>
+                  <th className="py-2 px-3 font-medium">Event</th>
+                  <th className="py-2 px-3 font-medium">Caller</th>
+                  <th className="py-2 px-3 font-medium">Channel</th>
+                  <th className="py-2 px-3 font-medium">Tool</th>
+                  <th className="py-2 px-3 font-medium">Status</th>
+                  <th className="py-2 px-3 font-medium text-right">Duration</th>
+                  <th className="py-2 px-3 font-medium">Approval</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <Fragment key={entry.id}>
+                    <tr
+                      onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                      className="border-b border-border/50 last:border-0 cursor-pointer hover:bg-muted/40"
+                    >
+                      <td className="py-2 px-3 font-mono text-muted-foreground">{entry.id}</td>
+                      <td className="py-2 px-3 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td className="py-2 px-3">{entry.event}</td>
+                      <td className="py-2 px-3 font-mono">{formatCaller(entry.caller)}</td>
+                      <td className="py-2 px-3">{entry.channel || '-'}</td>
+                      <td className="py-2 px-3 font-mono">{entry.tool || '-'}</td>
+                      <td className="py-2 px-3">
+                        <span className={`px-1.5 py-0.5 rounded ${getStatusClass(entry.status)}`}>{entry.status}</span>
+                      </td>
+                      <td className="py-2 px-3 text-right">{entry.durationMs !== null ? `${entry.durationMs}ms` : '-'}</td>
+                      <td className="py-2 px-3 font-mono text-muted-foreground">{entry.approvalId ? entry.approvalId.slice(0, 8) : '-'}</td>
+                    </tr>
+                    {expandedId === entry.id && (
+                      <tr className="border-b border-border/50 bg-muted/20">
+                        <td colSpan={9} className="p-3 space-y-2">
+                          {entry.args !== null && (
+                            <div>
+                              <p className="text-muted-foreground mb-1">Arguments</p>
+                              <pre className="font-mono max-h-48 overflow-auto p-2 bg-muted/30 border border-border rounded-lg whitespace-pre-wrap break-all">
+                                {JSON.stringify(entry.args, null, 2)}
+                              </pre>
+                            </div>
+                          )}
+                          {entry.detail && (
+                            <div>
+                              <p className="text-muted-foreground mb-1">Detail</p>
+                              <pre className="font-mono max-h-48 overflow-auto p-2 bg-muted/30 border border-border rounded-lg whitespace-pre-wrap break-all">
+                                {JSON.stringify(entry.detail, null, 2)}
+                              </pre>
+                            </div>
+                          )}
+                          {entry.approvalId && (
+                            <p className="text-muted-foreground">Approval: <code className="font-mono">{entry.approvalId}</code></p>
+                          )}
+                          <p className="text-muted-foreground break-all">
+                            Hash: <code className="font-mono">{entry.hash}</code><br />
+                            Previous: <code className="font-mono">{entry.prevHash}</code>
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {total > 0 && (
+        <div className="flex items-center justify-between text-xs text-muted-foreground">
+          <span>
+            {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={offset === 0}
+              className="px-3 py-1.5 border border-border rounded-lg hover:bg-muted transition-colors disabled:opacity-40"
+            >
+              Newer
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total}
+              className="px-3 py-1.5 border border-border rounded-lg hover:bg-muted transition-colors disabled:opacity-40"
+            >
+              Older
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -9,7 +9,7 @@ interface Device {
   platform: string;
 }
 
-export type NavTab = 'chat' | 'tools' | 'devices' | 'recording' | 'settings';
+export type NavTab = 'chat' | 'tools' | 'devices' | 'recording' | 'audit' | 'settings';
 
 interface NavigationSidebarProps {
   activeTab: NavTab;
@@ -23,6 +23,7 @@ const tabs: { id: NavTab; icon: string; label: string }[] = [
   { id: 'tools', icon: '\uD83D\uDD27', label: 'Tools' },
   { id: 'devices', icon: '\uD83D\uDCF1', label: 'Devices' },
   { id: 'recording', icon: '\uD83C\uDF99\uFE0F', label: 'Recording' },
+  { id: 'audit', icon: '\uD83D\uDCDC', label: 'Audit Log' },
   { id: 'settings', icon: '\u2699\uFE0F', label: 'Settings' },
 ];
 
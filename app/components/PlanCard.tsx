@@ -0,0 +1,78 @@
+'use client';
+
+export type PlanStepStatus = 'pending' | 'running' | 'replanning' | 'completed' | 'failed' | 'skipped';
+
+export interface PlanStep {
+  id: string;
+  type: 'ai_query' | 'mcp_tool' | 'web_search';
+  description: string;
+  dependsOn: string[];
+  status: PlanStepStatus;
+  attempt?: number;
+  error?: string;
+}
+
+export interface PlanProgress {
+  planId: string;
+  goal: string;
+  review: boolean;
+  steps: PlanStep[];
+}
+
+interface PlanCardProps {
+  plan: PlanProgress;
+}
+
+const STATUS_STYLES: Record<PlanStepStatus, { icon: string; className: string }> = {
+  pending: { icon: '○', className: 'text-muted-foreground' },
+  running: { icon: '◐', className: 'text-primary animate-pulse' },
+  replanning: { icon: '↻', className: 'text-amber-500 animate-pulse' },
+  completed: { icon: '✓', className: 'text-green-500' },
+  failed: { icon: '✗', className: 'text-red-500' },
+  skipped: { icon: '–', className: 'text-muted-foreground' },
+};
+
+export default function PlanCard({ plan }: PlanCardProps) {
+  const completed = plan.steps.filter(step => step.status === 'completed').length;
+
+  return (
+    <div className="my-3 rounded-lg border border-border overflow-hidden not-prose">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 bg-muted/50">
+        <span className="text-xs font-medium text-foreground truncate">{plan.goal || 'Plan'}</span>
+        <span className="shrink-0 text-[10px] font-mono text-muted-foreground">
+          {plan.review ? 'awaiting review' : `${completed}/${plan.steps.length} steps`}
+        </span>
+      </div>
+
+      <ol className="px-3 py-2 space-y-1.5 border-t border-border">
+        {plan.steps.map(step => {
+          const style = STATUS_STYLES[step.status];
+          return (
+            <li key={step.id} className="text-xs">
+              <div className="flex items-start gap-2">
+                <span className={`w-3 shrink-0 text-center ${style.className}`}>{style.icon}</span>
+                <span className="shrink-0 font-mono text-[10px] text-muted-foreground pt-px">{step.id}</span>
+                <span className="flex-1 text-foreground">{step.description}</span>
+                <span className="shrink-0 font-mono text-[10px] text-muted-foreground">
+                  {step.type}{step.attempt && step.attempt > 1 ? ` · try ${step.attempt}` : ''}
+                </span>
+              </div>
+              {step.dependsOn.length > 0 && (
+                <p className="ml-5 text-[10px] text-muted-foreground">after {step.dependsOn.join(', ')}</p>
+              )}
+              {step.error && (step.status === 'failed' || step.status === 'replanning' || step.status === 'skipped') && (
+                <p className="ml-5 text-[10px] text-red-500/80 truncate">{step.error}</p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {plan.review && (
+        <div className="px-3 py-1.5 border-t border-border text-[10px] text-muted-foreground">
+          Edit with PUT /api/plans/{plan.planId}, then run with POST /api/plans/{plan.planId}/run
+        </div>
+      )}
+    </div>
+  );
+}
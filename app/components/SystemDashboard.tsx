@@ -29,6 +29,27 @@ interface SystemInfo {
   }[];
 }
 
+interface CircuitState {
+  state: 'closed' | 'open' | 'half_open';
+  consecutiveFailures: number;
+  openedAt: string | null;
+  retryAt: string | null;
+  lastError: { errorClass: string; message: string; at: string } | null;
+  lastSuccessAt: string | null;
+  counts: Record<string, number>;
+}
+
+interface ProviderHealth {
+  providers: Record<string, {
+    name: string;
+    isAvailable: boolean;
+    model: string | null;
+    circuit: CircuitState | null;
+  }>;
+  fallbackOrder: string[];
+  currentBrain: string | null;
+}
+
 function formatBytes(bytes: number): string {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -67,10 +88,30 @@ function getStatusBadge(status: string) {
   }
 }
 
+function getCircuitBadge(state: CircuitState['state'] | undefined) {
+  switch (state) {
+    case 'open':
+      return <span className="px-2 py-0.5 text-[10px] font-medium rounded-full bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400">open</span>;
+    case 'half_open':
+      return <span className="px-2 py-0.5 text-[10px] font-medium rounded-full bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">half-open</span>;
+    default:
+      return <span className="px-2 py-0.5 text-[10px] font-medium rounded-full bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400">closed</span>;
+  }
+}
+
+function formatRetryIn(retryAt: string | null): string {
+  if (!retryAt) return '-';
+  const ms = new Date(retryAt).getTime() - Date.now();
+  if (ms <= 0) return 'now';
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`;
+}
+
 export default function SystemDashboard() {
   const [systemInfo, setSystemInfo] = useState<SystemInfo | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [providerHealth, setProviderHealth] = useState<ProviderHealth | null>(null);
 
   const fetchSystemInfo = async () => {
     try {
@@ -90,9 +131,30 @@ export default function SystemDashboard() {
     }
   };
 
+  // AI provider 상태는 선택 정보 - 실패해도 시스템 정보는 표시
+  const fetchProviderHealth = async () => {
+    try {
+      const response = await fetch('/athena/api/health');
+      if (!response.ok) return;
+      const data = await response.json();
+      if (data.success) setProviderHealth(data);
+    } catch {
+      setProviderHealth(null);
+    }
+  };
+
+  const refresh = () => {
+    fetchSystemInfo();
+    fetchProviderHealth();
+  };
+
   useEffect(() => {
     fetchSystemInfo();
-    const interval = setInterval(fetchSystemInfo, 30000);
+    fetchProviderHealth();
+    const interval = setInterval(() => {
+      fetchSystemInfo();
+      fetchProviderHealth();
+    }, 30000);
     return () => clearInterval(interval);
   }, []);
 
@@ -115,7 +177,7 @@ export default function SystemDashboard() {
           <p className="text-sm font-medium text-foreground mb-1">Failed to load system info</p>
           <p className="text-xs text-muted-foreground mb-4">{error}</p>
           <button
-            onClick={() => { setLoading(true); fetchSystemInfo(); }}
+            onClick={() => { setLoading(true); refresh(); }}
             className="px-4 py-2 text-sm bg-primary text-primary-foreground rounded-lg hover:bg-primary/90 transition-colors"
           >
             Retry
@@ -134,7 +196,7 @@ export default function SystemDashboard() {
       <div className="flex items-center justify-between mb-2">
         <h2 className="text-lg font-bold text-foreground">System Dashboard</h2>
         <button
-          onClick={() => { setLoading(true); fetchSystemInfo(); }}
+          onClick={() => { setLoading(true); refresh(); }}
           className="p-2 text-muted-foreground hover:text-foreground hover:bg-muted rounded-lg transition-colors"
           title="Refresh"
         >
@@ -144,6 +206,55 @@ export default function SystemDashboard() {
         </button>
       </div>
 
+      {/* AI Providers */}
+      {providerHealth && (
+        <div className="bg-card border border-border rounded-xl p-5">
+          <div className="flex items-center gap-2 mb-4">
+            <span className="text-lg">&#x1F916;</span>
+            <h3 className="text-sm font-semibold text-foreground">AI Providers</h3>
+            {providerHealth.currentBrain && (
+              <span className="ml-auto text-xs text-muted-foreground">Brain: {providerHealth.currentBrain}</span>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-muted-foreground border-b border-border">
+                  <th className="text-left py-2 pr-3 font-medium">Provider</th>
+                  <th className="text-left py-2 pr-3 font-medium">Circuit</th>
+                  <th className="text-right py-2 pr-3 font-medium">Failures</th>
+                  <th className="text-right py-2 pr-3 font-medium">Retry in</th>
+                  <th className="text-left py-2 font-medium">Last error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {providerHealth.fallbackOrder.map((name) => {
+                  const provider = providerHealth.providers[name];
+                  if (!provider) return null;
+                  const circuit = provider.circuit;
+                  return (
+                    <tr key={name} className="border-b border-border/50 last:border-0">
+                      <td className="py-2 pr-3">
+                        <div className="font-medium text-foreground">{name}</div>
+                        {provider.model && <div className="text-[10px] text-muted-foreground font-mono">{provider.model}</div>}
+                      </td>
+                      <td className="py-2 pr-3">{getCircuitBadge(circuit?.state)}</td>
+                      <td className="py-2 pr-3 text-right font-mono text-foreground">{circuit?.consecutiveFailures ?? 0}</td>
+                      <td className="py-2 pr-3 text-right font-mono text-muted-foreground">
+                        {circuit?.state === 'open' ? formatRetryIn(circuit.retryAt) : '-'}
+                      </td>
+                      <td className="py-2 text-muted-foreground max-w-[240px] truncate" title={circuit?.lastError?.message}>
+                        {circuit?.lastError ? `${circuit.lastError.errorClass}: ${circuit.lastError.message}` : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* CPU */}
       <div className="bg-card border border-border rounded-xl p-5">
         <div className="flex items-center gap-2 mb-4">
@@ -0,0 +1,101 @@
+'use client';
+
+import { useState } from 'react';
+
+export type ToolCallStatus = 'running' | 'success' | 'error' | 'pending_approval';
+
+export interface ToolCall {
+  id: string;
+  tool: string;
+  arguments: Record<string, unknown>;
+  status: ToolCallStatus;
+  progress?: { message: string; percent: number | null };
+  result?: unknown;
+  error?: string | null;
+  durationMs?: number;
+}
+
+interface ToolCallCardProps {
+  call: ToolCall;
+}
+
+const STATUS_STYLES: Record<ToolCallStatus, { label: string; className: string }> = {
+  running: { label: 'Running', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300' },
+  success: { label: 'Done', className: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300' },
+  error: { label: 'Failed', className: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300' },
+  pending_approval: { label: 'Awaiting approval', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300' },
+};
+
+function formatValue(value: unknown): string {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+}
+
+export default function ToolCallCard({ call }: ToolCallCardProps) {
+  const [expanded, setExpanded] = useState(false);
+  const status = STATUS_STYLES[call.status];
+  const hasArguments = Object.keys(call.arguments || {}).length > 0;
+
+  return (
+    <div className="my-3 rounded-lg border border-border overflow-hidden not-prose">
+      {/* Card header */}
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between gap-2 px-3 py-2 bg-muted/50 hover:bg-muted transition-colors text-left"
+      >
+        <div className="flex items-center gap-2 min-w-0">
+          <span className="text-sm">&#x1F527;</span>
+          <span className="text-xs font-mono font-medium text-foreground truncate">{call.tool}</span>
+          {call.status === 'running' && (
+            <span className="w-3 h-3 border-2 border-primary/30 border-t-primary rounded-full animate-spin shrink-0" />
+          )}
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          {call.durationMs !== undefined && (
+            <span className="text-[10px] font-mono text-muted-foreground">{(call.durationMs / 1000).toFixed(1)}s</span>
+          )}
+          <span className={`text-[10px] font-medium px-1.5 py-0.5 rounded ${status.className}`}>{status.label}</span>
+        </div>
+      </button>
+
+      {/* Progress */}
+      {call.status === 'running' && call.progress && (
+        <div className="px-3 py-2 border-t border-border">
+          <p className="text-xs text-muted-foreground">{call.progress.message}</p>
+          {call.progress.percent !== null && (
+            <div className="mt-1.5 h-1 bg-muted rounded-full overflow-hidden">
+              <div className="h-full bg-primary transition-all" style={{ width: `${Math.min(100, Math.max(0, call.progress.percent))}%` }} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Error */}
+      {call.status === 'error' && call.error && (
+        <div className="px-3 py-2 border-t border-border text-xs text-red-600 dark:text-red-400">{call.error}</div>
+      )}
+
+      {/* Details */}
+      {expanded && (
+        <div className="border-t border-border p-3 space-y-2">
+          {hasArguments && (
+            <div>
+              <div className="text-[10px] uppercase tracking-wider text-muted-foreground mb-1">Arguments</div>
+              <pre className="text-xs font-mono bg-muted/50 rounded p-2 overflow-x-auto max-h-40 whitespace-pre-wrap">{formatValue(call.arguments)}</pre>
+            </div>
+          )}
+          {call.result !== undefined && call.result !== null && (
+            <div>
+              <div className="text-[10px] uppercase tracking-wider text-muted-foreground mb-1">Result</div>
+              <pre className="text-xs font-mono bg-muted/50 rounded p-2 overflow-x-auto max-h-60 whitespace-pre-wrap">{formatValue(call.result)}</pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
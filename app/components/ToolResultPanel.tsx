@@ -1,9 +1,10 @@
 'use client';
 
 export interface ToolResult {
-  type: 'terminal' | 'screenshot' | 'process_list' | 'system_status' | 'approval';
+  type: 'terminal' | 'screenshot' | 'process_list' | 'system_status' | 'approval' | 'tool_call';
   title: string;
   content: string;
+  status?: 'running' | 'success' | 'error' | 'pending_approval';
   timestamp: Date;
 }
 
@@ -51,8 +52,20 @@ export default function ToolResultPanel({ results, isOpen, onClose }: ToolResult
                     {result.type === 'process_list' && '\uD83D\uDCCB'}
                     {result.type === 'system_status' && '\uD83D\uDDA5\uFE0F'}
                     {result.type === 'approval' && '\u26A0\uFE0F'}
+                    {result.type === 'tool_call' && '\uD83D\uDD27'}
                   </span>
                   <span className="text-xs font-medium text-foreground">{result.title}</span>
+                  {result.type === 'tool_call' && result.status && (
+                    <span className={`text-[10px] px-1.5 py-0.5 rounded ${
+                      result.status === 'success'
+                        ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300'
+                        : result.status === 'error'
+                          ? 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300'
+                          : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300'
+                    }`}>
+                      {result.status === 'pending_approval' ? 'pending' : result.status}
+                    </span>
+                  )}
                 </div>
                 <span className="text-[10px] text-muted-foreground">
                   {result.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -83,6 +96,11 @@ export default function ToolResultPanel({ results, isOpen, onClose }: ToolResult
                     <pre className="font-mono whitespace-pre-wrap">{result.content}</pre>
                   </div>
                 )}
+                {result.type === 'tool_call' && (
+                  <pre className="text-xs font-mono text-foreground bg-muted/50 rounded p-3 overflow-x-auto max-h-48 whitespace-pre-wrap">
+                    {result.content}
+                  </pre>
+                )}
                 {result.type === 'approval' && (
                   <div className="text-xs">
                     <div className="p-2 bg-red-50 dark:bg-red-900/20 rounded border border-red-200 dark:border-red-800">
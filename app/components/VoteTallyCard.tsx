@@ -0,0 +1,83 @@
+'use client';
+
+export interface VoteTallyVoter {
+  agent: string;
+  confidence: number;
+  weight: number;
+}
+
+export interface VoteTallyOption {
+  id: string;
+  label: string;
+  votes: number;
+  score: number;
+  share: number;
+  voters: VoteTallyVoter[];
+}
+
+export interface VoteTally {
+  options: VoteTallyOption[];
+  winner: string | null;
+  tieBreak: 'votes' | 'confidence' | 'order' | null;
+  totalVotes: number;
+  abstentions: number;
+}
+
+interface VoteTallyCardProps {
+  tally: VoteTally;
+}
+
+const TIE_BREAK_LABELS: Record<NonNullable<VoteTally['tieBreak']>, string> = {
+  votes: 'tie broken by vote count',
+  confidence: 'tie broken by highest confidence',
+  order: 'tie broken by option order',
+};
+
+export default function VoteTallyCard({ tally }: VoteTallyCardProps) {
+  return (
+    <div className="my-3 rounded-lg border border-border overflow-hidden not-prose">
+      <div className="flex items-center justify-between gap-2 px-3 py-2 bg-muted/50">
+        <span className="text-xs font-medium text-foreground">Vote results</span>
+        <span className="text-[10px] font-mono text-muted-foreground">
+          {tally.totalVotes} votes{tally.abstentions > 0 ? ` · ${tally.abstentions} abstained` : ''}
+        </span>
+      </div>
+
+      <div className="px-3 py-2 space-y-2 border-t border-border">
+        {tally.options.map(option => {
+          const isWinner = option.id === tally.winner;
+          const percent = Math.round(option.share * 100);
+          return (
+            <div key={option.id}>
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <span className={`truncate ${isWinner ? 'font-semibold text-foreground' : 'text-muted-foreground'}`}>
+                  {option.id}. {option.label}
+                </span>
+                <span className="shrink-0 font-mono text-[10px] text-muted-foreground">
+                  {option.votes} · {percent}%
+                </span>
+              </div>
+              <div className="mt-1 h-1.5 bg-muted rounded-full overflow-hidden">
+                <div
+                  className={`h-full transition-all ${isWinner ? 'bg-primary' : 'bg-primary/40'}`}
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+              {option.voters.length > 0 && (
+                <p className="mt-0.5 text-[10px] text-muted-foreground truncate">
+                  {option.voters.map(v => `${v.agent} ${Math.round(v.confidence * 100)}% ×${v.weight}`).join(', ')}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {tally.tieBreak && (
+        <div className="px-3 py-1.5 border-t border-border text-[10px] text-muted-foreground">
+          {TIE_BREAK_LABELS[tally.tieBreak]}
+        </div>
+      )}
+    </div>
+  );
+}
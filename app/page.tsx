@@ -10,6 +10,7 @@ import ToolResultPanel, { type ToolResult } from './components/ToolResultPanel';
 import CommandPalette from './components/CommandPalette';
 import SystemDashboard from './components/SystemDashboard';
 import DevicePanel from './components/DevicePanel';
+import AuditLogPanel from './components/AuditLogPanel';
 import ProjectManager from './components/ProjectManager';
 import ThemeToggle from './components/ThemeToggle';
 import { useTheme } from './contexts/ThemeContext';
@@ -782,6 +783,9 @@ export default function Home() {
             </div>
           </div>
         );
+      case 'audit':
+        return <AuditLogPanel />;
+
       case 'settings':
         return (
           <div className="flex-1 overflow-y-auto p-6 space-y-6 custom-scrollbar">
@@ -0,0 +1,35 @@
+// Base Embedding Provider Interface
+
+/**
+ * 텍스트 임베딩 provider 공통 인터페이스
+ * 하위 클래스는 embed()를 구현하고 model/dimensions를 채운다.
+ */
+export class EmbeddingProvider {
+  constructor(name, model, dimensions = null) {
+    this.name = name;
+    this.model = model;
+    // 첫 임베딩 후 확정되는 경우도 있음 (null이면 아직 모름)
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * 텍스트 배열 → 임베딩 배열 (입력 순서 유지)
+   * @param {Array<string>} texts
+   * @param {Object} options - { inputType: 'passage'(저장 문서) | 'query'(검색어) }
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts, options = {}) {
+    throw new Error('embed() must be implemented by subclass');
+  }
+
+  /**
+   * 텍스트 하나 임베딩
+   * @param {string} text
+   * @param {Object} options - embed()와 동일
+   * @returns {Promise<Array<number>>}
+   */
+  async embedOne(text, options = {}) {
+    const [embedding] = await this.embed([text], options);
+    return embedding;
+  }
+}
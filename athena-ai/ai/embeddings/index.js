@@ -0,0 +1,67 @@
+import { OpenAIEmbeddingProvider } from './openai.js';
+import { LocalEmbeddingProvider } from './local.js';
+
+/**
+ * 알려진 임베딩 모델 (provider, 차원)
+ * 목록에 없는 모델 이름은 로컬(transformers.js) 모델 ID로 취급한다.
+ */
+export const EMBEDDING_MODELS = {
+  'text-embedding-3-small': { provider: 'openai', dimensions: 1536 },
+  'text-embedding-3-large': { provider: 'openai', dimensions: 3072 },
+  'text-embedding-ada-002': { provider: 'openai', dimensions: 1536 },
+  'Xenova/multilingual-e5-small': { provider: 'local', dimensions: 384 },
+  'Xenova/multilingual-e5-base': { provider: 'local', dimensions: 768 },
+  'Xenova/all-MiniLM-L6-v2': { provider: 'local', dimensions: 384 }
+};
+
+export const DEFAULT_LOCAL_EMBEDDING_MODEL = 'Xenova/multilingual-e5-small';
+
+// 모델별 provider 인스턴스 (로컬 모델은 로딩 비용이 크므로 재사용)
+const providerCache = new Map();
+
+/**
+ * 모델 이름 → provider 종류
+ */
+export function getEmbeddingProviderType(model) {
+  return EMBEDDING_MODELS[model]?.provider || 'local';
+}
+
+/**
+ * 기본 임베딩 모델
+ * EMBEDDING_MODEL 환경변수 > EMBEDDING_PROVIDER=local이면 로컬 기본 모델 > OpenAI 키가 있으면 text-embedding-3-small
+ * @returns {string|null} 설정된 모델이 없으면 null (키워드 검색만 사용)
+ */
+export function getDefaultEmbeddingModel({ openaiApiKey = process.env.OPENAI_API_KEY } = {}) {
+  if (process.env.EMBEDDING_MODEL) return process.env.EMBEDDING_MODEL;
+  if (process.env.EMBEDDING_PROVIDER === 'local') return DEFAULT_LOCAL_EMBEDDING_MODEL;
+  if (process.env.EMBEDDING_PROVIDER === 'none') return null;
+  return openaiApiKey ? 'text-embedding-3-small' : null;
+}
+
+/**
+ * 모델 이름으로 임베딩 provider 가져오기
+ * @param {string} model - 임베딩 모델 이름
+ * @param {Object} options - { openaiApiKey }
+ * @returns {import('./base.js').EmbeddingProvider}
+ */
+export function getEmbeddingProvider(model, { openaiApiKey = process.env.OPENAI_API_KEY } = {}) {
+  if (!model) {
+    throw new Error('임베딩 모델이 지정되지 않았습니다.');
+  }
+  if (providerCache.has(model)) {
+    return providerCache.get(model);
+  }
+
+  let provider;
+  if (getEmbeddingProviderType(model) === 'openai') {
+    if (!openaiApiKey) {
+      throw new Error(`OpenAI API 키가 설정되지 않아 ${model} 임베딩을 사용할 수 없습니다. 로컬 모델(EMBEDDING_PROVIDER=local)을 사용하세요.`);
+    }
+    provider = new OpenAIEmbeddingProvider(openaiApiKey, model);
+  } else {
+    provider = new LocalEmbeddingProvider(model, { dimensions: EMBEDDING_MODELS[model]?.dimensions });
+  }
+
+  providerCache.set(model, provider);
+  return provider;
+}
@@ -0,0 +1,61 @@
+import { EmbeddingProvider } from './base.js';
+
+// 한 번에 추론하는 입력 수 (CPU 메모리 사용량 제한)
+const BATCH_SIZE = 16;
+
+/**
+ * 로컬 CPU 임베딩 (transformers.js + ONNX Runtime)
+ * 문서를 외부로 보내지 않으며, 모델을 한 번 받아두면 오프라인에서도 동작한다.
+ * @huggingface/transformers는 선택 의존성이므로 처음 사용할 때 불러온다.
+ *
+ * e5 계열 모델은 "query: " / "passage: " 접두어를 붙여야 성능이 나오므로 inputType에 따라 붙인다.
+ */
+export class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor(model = 'Xenova/multilingual-e5-small', options = {}) {
+    super('Local', model, options.dimensions || null);
+    // 모델 파일 위치 (미리 받아둔 모델 사용 시)
+    this.modelPath = options.modelPath || process.env.EMBEDDING_LOCAL_MODEL_PATH || null;
+    // true면 Hugging Face Hub에서 내려받지 않고 modelPath/캐시만 사용
+    this.offline = options.offline ?? process.env.EMBEDDING_LOCAL_OFFLINE === 'true';
+    this._extractor = null;
+  }
+
+  async _getExtractor() {
+    if (this._extractor) return this._extractor;
+
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch {
+      throw new Error('로컬 임베딩에는 @huggingface/transformers 패키지가 필요합니다. (npm install @huggingface/transformers)');
+    }
+
+    if (this.modelPath) transformers.env.localModelPath = this.modelPath;
+    transformers.env.allowRemoteModels = !this.offline;
+
+    this._extractor = transformers.pipeline('feature-extraction', this.model, { device: 'cpu', dtype: 'q8' });
+    try {
+      this._extractor = await this._extractor;
+    } catch (error) {
+      this._extractor = null;
+      throw new Error(`로컬 임베딩 모델을 불러올 수 없습니다 (${this.model}): ${error.message}`);
+    }
+    return this._extractor;
+  }
+
+  async embed(texts, { inputType = 'passage' } = {}) {
+    const extractor = await this._getExtractor();
+    const prefix = /e5/i.test(this.model) ? `${inputType}: ` : '';
+
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const batch = texts.slice(i, i + BATCH_SIZE).map(text => prefix + text);
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      embeddings.push(...output.tolist());
+    }
+    if (embeddings.length > 0) {
+      this.dimensions = embeddings[0].length;
+    }
+    return embeddings;
+  }
+}
@@ -0,0 +1,36 @@
+import OpenAI from 'openai';
+import { EmbeddingProvider } from './base.js';
+
+// 요청 한 번에 보내는 최대 입력 수
+const MAX_BATCH_SIZE = 100;
+
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+export class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor(apiKey, model = 'text-embedding-3-small') {
+    super('OpenAI', model, MODEL_DIMENSIONS[model] || null);
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async embed(texts, options = {}) {
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: texts.slice(i, i + MAX_BATCH_SIZE)
+      });
+      // 응답은 index 순서가 보장되지 않으므로 정렬
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => embeddings.push(item.embedding));
+    }
+    if (embeddings.length > 0) {
+      this.dimensions = embeddings[0].length;
+    }
+    return embeddings;
+  }
+}
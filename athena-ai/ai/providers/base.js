@@ -1,4 +1,23 @@
 // Base AI Provider Interface
+
+/**
+ * orchestrator의 표준 메시지 형식 (provider 공통)
+ *
+ * - system / user / assistant 턴:
+ *   { role, content: string | Array<ContentPart> } (이미지 part는 toContentParts 참고)
+ * - 도구를 호출한 assistant 턴:
+ *   { role: 'assistant', content: string, toolCalls: [{ id, name, arguments }] }
+ * - 도구 실행 결과:
+ *   { role: 'tool', toolCallId: string, name: string, content: string }
+ *
+ * 각 provider는 chat/streamChat/chatWithTools/streamChatWithTools 모두에서 이 형식을
+ * 자사 API 형식(OpenAI messages, Gemini contents + systemInstruction, Anthropic system + content 블록)으로 변환한다.
+ *
+ * @typedef {Object} ToolCall
+ * @property {string} id - 호출 ID (tool 메시지의 toolCallId와 매칭)
+ * @property {string} name - 도구 이름
+ * @property {Object} arguments - 파싱된 인자 객체
+ */
 export class AIProvider {
   constructor(name, apiKey, config = {}) {
     this.name = name;
@@ -6,6 +25,8 @@ export class AIProvider {
     this.config = config;
     this.isAvailable = true;
     this.lastError = null;
+    // 네이티브 function calling 지원 여부 (하위 클래스에서 활성화)
+    this.supportsTools = false;
   }
 
   async chat(messages, options = {}) {
@@ -16,16 +37,52 @@ export class AIProvider {
     throw new Error('streamChat() must be implemented by subclass');
   }
 
+  /**
+   * 도구 정의와 함께 채팅 (네이티브 function calling)
+   * 기본 구현은 도구 없이 chat()을 호출한다.
+   * @param {Array<Object>} messages - 표준 메시지 배열
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools - MCP 도구 정의
+   * @param {Object} options - chat 옵션 (toolChoice: 'auto' | 'none', model: 이번 호출에만 쓸 모델)
+   * @returns {Promise<{content: string, toolCalls: Array<ToolCall>, provider: string, model: string, usage: Object}>}
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    const response = await this.chat(messages, options);
+    return { ...response, toolCalls: [] };
+  }
+
+  /**
+   * 도구 정의와 함께 스트리밍 채팅
+   * { type: 'text', text } 이벤트를 순서대로 내보내고,
+   * 모델이 도구를 호출하면 마지막에 { type: 'tool_calls', toolCalls }를 한 번 내보낸다.
+   * provider가 실사용량을 알려주면 { type: 'usage', usage: { inputTokens, outputTokens } }도 내보낸다 (budgetGate가 기록).
+   * 기본 구현은 chatWithTools() 결과를 한 번에 내보낸다.
+   */
+  async *streamChatWithTools(messages, tools, options = {}) {
+    const response = await this.chatWithTools(messages, tools, options);
+    if (response.content) {
+      yield { type: 'text', text: response.content };
+    }
+    if (response.toolCalls.length > 0) {
+      yield { type: 'tool_calls', toolCalls: response.toolCalls };
+    }
+    if (response.usage?.inputTokens || response.usage?.outputTokens) {
+      yield { type: 'usage', usage: response.usage };
+    }
+  }
+
+  /**
+   * 능동 헬스 체크 - 실제 completion을 보내므로 비용이 든다.
+   * 평소 가용성은 실제 호출 결과로 판단하고(core/providerHealth.js), 이 메서드는 수동 점검용이다.
+   * @returns {Promise<boolean>}
+   */
   async checkHealth() {
     try {
-      const response = await this.chat([
+      await this.chat([
         { role: 'user', content: 'ping' }
       ], { maxTokens: 10 });
-      this.isAvailable = true;
       this.lastError = null;
       return true;
     } catch (error) {
-      this.isAvailable = false;
       this.lastError = error.message;
       return false;
     }
@@ -39,3 +96,128 @@ export class AIProvider {
     };
   }
 }
+
+/**
+ * 메시지 content 정규화 (provider 공통)
+ *
+ * orchestrator가 만드는 content는 문자열이거나 part 배열이다. 배열에는 표준 part와
+ * OpenAI 형식 part(라우트가 업로드 이미지를 담는 형식)가 섞여 올 수 있으며, 모두 표준 part로 바꾼다.
+ *
+ * @typedef {{type: 'text', text: string}
+ *   | {type: 'image', mimeType: string, data: string}
+ *   | {type: 'image', url: string}} ContentPart
+ * - { type: 'image', mimeType, data }: base64 인라인 이미지
+ * - { type: 'image', url }: 원격 이미지 URL
+ *
+ * @param {string|Array<Object>|null} content
+ * @returns {Array<ContentPart>} 빈 텍스트는 제외
+ */
+export function toContentParts(content) {
+  if (content === null || content === undefined) return [];
+  if (!Array.isArray(content)) {
+    const text = String(content);
+    return text ? [{ type: 'text', text }] : [];
+  }
+
+  const parts = [];
+  for (const part of content) {
+    if (typeof part === 'string') {
+      if (part) parts.push({ type: 'text', text: part });
+    } else if (part?.type === 'image_url' || part?.type === 'image') {
+      const url = part.image_url?.url || part.url || '';
+      const match = /^data:([^;]+);base64,(.+)$/.exec(url);
+      if (part.data) {
+        parts.push({ type: 'image', mimeType: part.mimeType || 'image/png', data: part.data });
+      } else if (match) {
+        parts.push({ type: 'image', mimeType: match[1], data: match[2] });
+      } else if (url) {
+        parts.push({ type: 'image', url });
+      }
+    } else if (part?.text) {
+      parts.push({ type: 'text', text: part.text });
+    }
+  }
+  return parts;
+}
+
+/**
+ * content의 텍스트만 이어 붙임 (이미지를 받지 못하는 모델/필드용, 이미지는 자리 표시로 남김)
+ * @param {string|Array<Object>|null} content
+ * @returns {string}
+ */
+export function contentToText(content) {
+  if (!Array.isArray(content)) return content ? String(content) : '';
+  return toContentParts(content)
+    .map(part => (part.type === 'text' ? part.text : `[이미지${part.url ? `: ${part.url}` : ''}]`))
+    .join('\n');
+}
+
+/**
+ * content에 이미지가 있는지
+ */
+export function hasImageContent(content) {
+  return Array.isArray(content) && toContentParts(content).some(part => part.type === 'image');
+}
+
+/**
+ * system 메시지 분리 - 여러 개면 순서대로 합친다 (Claude system, Gemini systemInstruction용)
+ * @param {Array<Object>} messages
+ * @returns {{system: string|undefined, messages: Array<Object>}}
+ */
+export function splitSystemMessages(messages) {
+  const systemParts = [];
+  const rest = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      const text = contentToText(msg.content);
+      if (text) systemParts.push(text);
+    } else {
+      rest.push(msg);
+    }
+  }
+  return { system: systemParts.join('\n\n') || undefined, messages: rest };
+}
+
+/**
+ * provider 원본 스트림 청크에서 텍스트/실사용량 추출 (streamChat이 반환하는 vendor별 청크 공통)
+ */
+export function readStreamChunk(chunk) {
+  const usage = {};
+  let text = '';
+
+  if (chunk?.choices) {
+    text = chunk.choices[0]?.delta?.content || '';
+  } else if (chunk?.type === 'content_block_delta') {
+    text = chunk.delta?.text || chunk.delta?.partial_json || '';
+  } else if (typeof chunk?.text === 'function') {
+    try { text = chunk.text() || ''; } catch { text = ''; }
+  }
+
+  // OpenAI(include_usage) / Claude(message_start, message_delta) / Gemini(usageMetadata)
+  if (chunk?.usage?.prompt_tokens) usage.inputTokens = chunk.usage.prompt_tokens;
+  if (chunk?.usage?.completion_tokens) usage.outputTokens = chunk.usage.completion_tokens;
+  if (chunk?.message?.usage?.input_tokens) usage.inputTokens = chunk.message.usage.input_tokens;
+  if (chunk?.type === 'message_delta' && chunk.usage?.output_tokens) usage.outputTokens = chunk.usage.output_tokens;
+  if (chunk?.usageMetadata) {
+    usage.inputTokens = chunk.usageMetadata.promptTokenCount || usage.inputTokens;
+    usage.outputTokens = chunk.usageMetadata.candidatesTokenCount || usage.outputTokens;
+  }
+
+  return { text, usage };
+}
+
+/**
+ * 도구 인자 JSON 문자열 파싱 (모델이 깨진 JSON을 보내도 예외 없이 빈 객체 반환)
+ * @param {string|Object} raw
+ * @returns {Object}
+ */
+export function parseToolArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
@@ -1,29 +1,94 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { AIProvider } from './base.js';
+import { AIProvider, parseToolArguments, readStreamChunk, toContentParts, contentToText, splitSystemMessages } from './base.js';
+import { getModelRegistry } from '../registry/index.js';
+
+/**
+ * 표준 content → Anthropic content 블록 (text / image)
+ */
+function toClaudeContentBlocks(content) {
+  return toContentParts(content).map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.data) {
+      return { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } };
+    }
+    return { type: 'image', source: { type: 'url', url: part.url } };
+  });
+}
+
+/**
+ * 표준 메시지 → Anthropic { system, messages }
+ * system 메시지는 system 파라미터로 모으고, tool 결과는 user 턴의 tool_result 블록이 되며,
+ * 연속된 같은 role 턴은 하나로 합친다.
+ */
+function toClaudeMessages(messages) {
+  const { system, messages: rest } = splitSystemMessages(messages);
+  const converted = [];
+
+  for (const msg of rest) {
+    let role = msg.role;
+    let blocks;
+    if (msg.role === 'tool') {
+      role = 'user';
+      blocks = [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: contentToText(msg.content) }];
+    } else if (msg.role === 'assistant' && msg.toolCalls?.length > 0) {
+      blocks = [
+        ...toClaudeContentBlocks(msg.content),
+        ...msg.toolCalls.map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.name,
+          input: call.arguments || {}
+        }))
+      ];
+    } else {
+      blocks = toClaudeContentBlocks(msg.content);
+    }
+    if (blocks.length === 0) continue;
+
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  }
+
+  // 대화는 user 턴으로 시작해야 함 - 앞쪽 assistant 턴 제거
+  while (converted.length > 0 && converted[0].role === 'assistant') {
+    converted.shift();
+  }
+
+  return { system, messages: converted };
+}
 
 export class ClaudeProvider extends AIProvider {
-  constructor(apiKey, model = 'claude-sonnet-4-6') {
+  constructor(apiKey, model = getModelRegistry().getDefaultModel('Claude')) {
     super('Claude', apiKey);
     this.client = new Anthropic({ apiKey });
     this.model = model;
+    this.supportsTools = true;
   }
 
   async chat(messages, options = {}) {
     try {
+      const { system, messages: claudeMessages } = toClaudeMessages(messages);
       const response = await this.client.messages.create({
-        model: this.model,
+        model: options.model || this.model,
         max_tokens: options.maxTokens || 4096,
-        messages: messages.map(msg => ({
-          role: msg.role === 'system' ? 'user' : msg.role,
-          content: msg.content
-        })),
+        system,
+        messages: claudeMessages,
         temperature: options.temperature || 0.7,
       });
 
       return {
-        content: response.content[0].text,
+        content: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
         provider: this.name,
-        model: this.model,
+        model: options.model || this.model,
         usage: {
           inputTokens: response.usage.input_tokens,
           outputTokens: response.usage.output_tokens
@@ -37,13 +102,12 @@ export class ClaudeProvider extends AIProvider {
 
   async streamChat(messages, options = {}) {
     try {
+      const { system, messages: claudeMessages } = toClaudeMessages(messages);
       const stream = await this.client.messages.create({
-        model: this.model,
+        model: options.model || this.model,
         max_tokens: options.maxTokens || 4096,
-        messages: messages.map(msg => ({
-          role: msg.role === 'system' ? 'user' : msg.role,
-          content: msg.content
-        })),
+        system,
+        messages: claudeMessages,
         temperature: options.temperature || 0.7,
         stream: true,
       });
@@ -54,4 +118,91 @@ export class ClaudeProvider extends AIProvider {
       throw error;
     }
   }
+
+  _buildToolRequest(messages, tools, options = {}) {
+    const { system, messages: claudeMessages } = toClaudeMessages(messages);
+    return {
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || 4096,
+      system,
+      messages: claudeMessages,
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description || '',
+        input_schema: tool.inputSchema || { type: 'object', properties: {} }
+      })),
+      tool_choice: { type: options.toolChoice || 'auto' },
+      temperature: options.temperature || 0.7,
+    };
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    try {
+      const response = await this.client.messages.create(this._buildToolRequest(messages, tools, options));
+
+      return {
+        content: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+        provider: this.name,
+        model: options.model || this.model,
+        usage: {
+          inputTokens: response.usage.input_tokens,
+          outputTokens: response.usage.output_tokens
+        }
+      };
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  async *streamChatWithTools(messages, tools, options = {}) {
+    let stream;
+    try {
+      stream = await this.client.messages.create({
+        ...this._buildToolRequest(messages, tools, options),
+        stream: true,
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+
+    // tool_use 블록은 content_block_start로 열리고 input_json_delta 조각으로 인자가 채워진다
+    // 사용량은 message_start(입력)와 message_delta(출력)에 나뉘어 온다
+    const toolBlocks = new Map();
+    const usage = {};
+    for await (const event of stream) {
+      Object.assign(usage, readStreamChunk(event).usage);
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolBlocks.set(event.index, { id: event.content_block.id, name: event.content_block.name, json: '' });
+      } else if (event.type === 'content_block_delta') {
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.delta?.type === 'input_json_delta') {
+          const block = toolBlocks.get(event.index);
+          if (block) block.json += event.delta.partial_json || '';
+        }
+      }
+    }
+
+    if (toolBlocks.size > 0) {
+      yield {
+        type: 'tool_calls',
+        toolCalls: [...toolBlocks.values()].map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: parseToolArguments(block.json)
+        }))
+      };
+    }
+    if (usage.inputTokens || usage.outputTokens) {
+      yield { type: 'usage', usage };
+    }
+  }
 }
@@ -1,67 +1,156 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { AIProvider } from './base.js';
+import { AIProvider, readStreamChunk, toContentParts, contentToText, splitSystemMessages } from './base.js';
+import { getModelRegistry } from '../registry/index.js';
+
+// Gemini functionDeclarations가 받아들이는 JSON Schema 필드 (OpenAPI 3.0 부분집합)
+const GEMINI_SCHEMA_FIELDS = ['type', 'description', 'enum', 'required', 'nullable'];
+
+/**
+ * MCP inputSchema → Gemini 스키마
+ * 지원하지 않는 필드(default, format 등)는 제거하고, 속성이 없는 자유 형식 object는
+ * Gemini가 거부하므로 선언에서 제외한다.
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+
+  const result = {};
+  for (const field of GEMINI_SCHEMA_FIELDS) {
+    if (schema[field] !== undefined) result[field] = schema[field];
+  }
+  if (Array.isArray(result.type)) {
+    result.type = result.type.find(t => t !== 'null') || 'string';
+  }
+
+  if (result.type === 'object') {
+    const properties = {};
+    for (const [key, value] of Object.entries(schema.properties || {})) {
+      const converted = toGeminiSchema(value);
+      if (converted) properties[key] = converted;
+    }
+    if (Object.keys(properties).length === 0) return null;
+    result.properties = properties;
+    if (Array.isArray(result.required)) {
+      result.required = result.required.filter(key => key in properties);
+    }
+  } else if (result.type === 'array') {
+    result.items = toGeminiSchema(schema.items) || { type: 'string' };
+  }
+
+  return result;
+}
+
+/**
+ * 표준 content → Gemini parts (URL 이미지는 inlineData로 보낼 수 없어 텍스트로 남긴다)
+ */
+function toGeminiParts(content) {
+  return toContentParts(content).map(part => {
+    if (part.type === 'text') {
+      return { text: part.text };
+    }
+    if (part.data) {
+      return { inlineData: { mimeType: part.mimeType, data: part.data } };
+    }
+    return { text: `[이미지: ${part.url}]` };
+  });
+}
+
+/**
+ * 표준 메시지 → Gemini { systemInstruction, contents }
+ * system 메시지는 systemInstruction으로 모으고, 도구 결과는 'function' role의 functionResponse로
+ * 보내며, 연속 같은 role은 병합한다 (Gemini는 user/model 교대 필수).
+ */
+function toGeminiContents(messages) {
+  const { system, messages: rest } = splitSystemMessages(messages);
+  const contents = [];
+
+  for (const msg of rest) {
+    let role;
+    let parts;
+    if (msg.role === 'tool') {
+      role = 'function';
+      const output = contentToText(msg.content);
+      let response;
+      try {
+        response = JSON.parse(output);
+      } catch {
+        response = { output };
+      }
+      if (!response || typeof response !== 'object' || Array.isArray(response)) {
+        response = { output: response };
+      }
+      parts = [{ functionResponse: { name: msg.name, response } }];
+    } else if (msg.role === 'assistant') {
+      role = 'model';
+      const text = contentToText(msg.content);
+      parts = text ? [{ text }] : [];
+      for (const call of msg.toolCalls || []) {
+        parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+      }
+    } else {
+      role = 'user';
+      parts = toGeminiParts(msg.content);
+    }
+    if (parts.length === 0) continue;
+
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  // Gemini requires contents to start with 'user' role - drop leading 'model' messages
+  while (contents.length > 0 && contents[0].role !== 'user') {
+    contents.shift();
+  }
+
+  return { systemInstruction: system, contents };
+}
 
 export class GeminiProvider extends AIProvider {
-  constructor(apiKey, model = 'gemini-2.5-flash') {
+  constructor(apiKey, model = getModelRegistry().getDefaultModel('Gemini')) {
     super('Gemini', apiKey);
     this.client = new GoogleGenerativeAI(apiKey);
     this.model = model;
+    this.supportsTools = true;
   }
 
-  async chat(messages, options = {}) {
-    try {
-      // system 메시지 분리 → systemInstruction으로 전달
-      let systemInstruction = undefined;
-      const filtered = [];
-      for (const msg of messages) {
-        if (msg.role === 'system') {
-          systemInstruction = msg.content;
-        } else {
-          filtered.push(msg);
-        }
-      }
-
-      const modelOpts = { model: this.model };
-      if (systemInstruction) {
-        modelOpts.systemInstruction = systemInstruction;
-      }
-      const model = this.client.getGenerativeModel(modelOpts);
-
-      const lastMessage = filtered[filtered.length - 1]?.content || messages[messages.length - 1].content;
-
-      // Build history from all but the last message, merging consecutive same-role messages
-      let history = [];
-      if (filtered.length > 1) {
-        const merged = [];
-        for (const msg of filtered.slice(0, -1)) {
-          const role = msg.role === 'assistant' ? 'model' : 'user';
-          const last = merged[merged.length - 1];
-          if (last && last.role === role) {
-            last.parts[0].text += '\n' + msg.content;
-          } else {
-            merged.push({ role, parts: [{ text: msg.content }] });
-          }
-        }
+  /**
+   * 표준 메시지 → Gemini 모델 + generateContent 요청 (도구 없는 채팅용)
+   */
+  _buildRequest(messages, options = {}) {
+    const { systemInstruction, contents } = toGeminiContents(messages);
+    const modelOpts = { model: options.model || this.model };
+    if (systemInstruction) {
+      modelOpts.systemInstruction = systemInstruction;
+    }
 
-        // Gemini requires history to start with 'user' role - drop leading 'model' messages
-        while (merged.length > 0 && merged[0].role === 'model') {
-          merged.shift();
+    return {
+      model: this.client.getGenerativeModel(modelOpts),
+      request: {
+        contents,
+        generationConfig: {
+          maxOutputTokens: options.maxTokens || 4096,
+          temperature: options.temperature || 0.7
         }
-
-        history = merged;
       }
+    };
+  }
 
-      const chat = model.startChat({ history });
-      const result = await chat.sendMessage(lastMessage);
-      const response = await result.response;
+  async chat(messages, options = {}) {
+    try {
+      const { model, request } = this._buildRequest(messages, options);
+      const result = await model.generateContent(request);
+      const response = result.response;
 
       return {
         content: response.text(),
         provider: this.name,
-        model: this.model,
+        model: options.model || this.model,
         usage: {
-          inputTokens: 0,
-          outputTokens: 0
+          inputTokens: response.usageMetadata?.promptTokenCount || 0,
+          outputTokens: response.usageMetadata?.candidatesTokenCount || 0
         }
       };
     } catch (error) {
@@ -72,51 +161,111 @@ export class GeminiProvider extends AIProvider {
 
   async streamChat(messages, options = {}) {
     try {
-      // system 메시지 분리 → systemInstruction으로 전달
-      let systemInstruction = undefined;
-      const filtered = [];
-      for (const msg of messages) {
-        if (msg.role === 'system') {
-          systemInstruction = msg.content;
-        } else {
-          filtered.push(msg);
-        }
-      }
+      const { model, request } = this._buildRequest(messages, options);
+      const result = await model.generateContentStream(request);
 
-      const modelOpts = { model: this.model };
-      if (systemInstruction) {
-        modelOpts.systemInstruction = systemInstruction;
-      }
-      const model = this.client.getGenerativeModel(modelOpts);
-
-      // 연속 같은 role 병합 (Gemini는 user/model 교대 필수)
-      const merged = [];
-      if (filtered.length > 1) {
-        for (const msg of filtered.slice(0, -1)) {
-          const role = msg.role === 'assistant' ? 'model' : 'user';
-          const last = merged[merged.length - 1];
-          if (last && last.role === role) {
-            last.parts[0].text += '\n' + msg.content;
-          } else {
-            merged.push({ role, parts: [{ text: msg.content }] });
-          }
-        }
+      return result.stream;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * 표준 메시지 → Gemini generateContent 요청 (도구 선언 포함)
+   */
+  _buildToolRequest(messages, tools, options = {}) {
+    const { model, request } = this._buildRequest(messages, options);
 
-        // Gemini requires history to start with 'user' role - drop leading 'model' messages
-        while (merged.length > 0 && merged[0].role === 'model') {
-          merged.shift();
+    const functionDeclarations = tools.map(tool => {
+      const declaration = { name: tool.name, description: tool.description || '' };
+      const parameters = toGeminiSchema(tool.inputSchema);
+      if (parameters) declaration.parameters = parameters;
+      return declaration;
+    });
+
+    return {
+      model,
+      request: {
+        ...request,
+        tools: [{ functionDeclarations }],
+        toolConfig: {
+          functionCallingConfig: { mode: options.toolChoice === 'none' ? 'NONE' : 'AUTO' }
         }
       }
+    };
+  }
+
+  /**
+   * Gemini 응답 parts → { text, toolCalls }
+   * Gemini는 호출 ID를 주지 않으므로 순번으로 생성한다.
+   */
+  _parseCandidateParts(parts, offset = 0) {
+    let text = '';
+    const toolCalls = [];
+    for (const part of parts || []) {
+      if (part.text) text += part.text;
+      if (part.functionCall) {
+        toolCalls.push({
+          id: `gemini_call_${offset + toolCalls.length}`,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {}
+        });
+      }
+    }
+    return { text, toolCalls };
+  }
 
-      const lastMessage = filtered[filtered.length - 1]?.content || messages[messages.length - 1].content;
+  async chatWithTools(messages, tools, options = {}) {
+    try {
+      const { model, request } = this._buildToolRequest(messages, tools, options);
+      const result = await model.generateContent(request);
+      const response = result.response;
+      const { text, toolCalls } = this._parseCandidateParts(response.candidates?.[0]?.content?.parts);
 
-      const chat = model.startChat({ history: merged });
-      const result = await chat.sendMessageStream(lastMessage);
+      return {
+        content: text,
+        toolCalls,
+        provider: this.name,
+        model: options.model || this.model,
+        usage: {
+          inputTokens: response.usageMetadata?.promptTokenCount || 0,
+          outputTokens: response.usageMetadata?.candidatesTokenCount || 0
+        }
+      };
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
 
-      return result.stream;
+  async *streamChatWithTools(messages, tools, options = {}) {
+    let stream;
+    try {
+      const { model, request } = this._buildToolRequest(messages, tools, options);
+      const result = await model.generateContentStream(request);
+      stream = result.stream;
     } catch (error) {
       this.lastError = error.message;
       throw error;
     }
+
+    const toolCalls = [];
+    const usage = {};
+    for await (const chunk of stream) {
+      Object.assign(usage, readStreamChunk(chunk).usage);
+      const parsed = this._parseCandidateParts(chunk.candidates?.[0]?.content?.parts, toolCalls.length);
+      if (parsed.text) {
+        yield { type: 'text', text: parsed.text };
+      }
+      toolCalls.push(...parsed.toolCalls);
+    }
+
+    if (toolCalls.length > 0) {
+      yield { type: 'tool_calls', toolCalls };
+    }
+    if (usage.inputTokens || usage.outputTokens) {
+      yield { type: 'usage', usage };
+    }
   }
 }
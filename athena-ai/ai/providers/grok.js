@@ -1,5 +1,7 @@
 import OpenAI from 'openai';
 import { AIProvider } from './base.js';
+import { getModelRegistry } from '../registry/index.js';
+import { toOpenAIMessages, toOpenAITools, fromOpenAIMessage, readOpenAIToolStream } from './openai.js';
 
 /**
  * Grok AI Provider (xAI)
@@ -7,50 +9,63 @@ import { AIProvider } from './base.js';
  * OpenAI 호환 API를 사용합니다.
  */
 export class GrokProvider extends AIProvider {
-  constructor(apiKey, model = 'grok-4-fast') {
+  constructor(apiKey, model = getModelRegistry().getDefaultModel('Grok')) {
     super('Grok', apiKey);
     this.client = new OpenAI({
       apiKey: apiKey,
       baseURL: 'https://api.x.ai/v1',
     });
     this.model = model;
+    this.supportsTools = true;
+  }
+
+  /**
+   * 표준 메시지 → xAI 메시지 (이미지는 vision 지원 모델에만 전달)
+   */
+  _toGrokMessages(messages, model) {
+    const vision = getModelRegistry().supports(model, 'vision');
+    return this._processMessages(toOpenAIMessages(messages, { vision }));
+  }
+
+  /**
+   * System 메시지를 user 메시지로 변환 (xAI 호환성)
+   */
+  _processMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'system') {
+        return {
+          role: 'user',
+          content: `[System Instructions] ${msg.content}`
+        };
+      }
+      return msg;
+    });
   }
 
   async chat(messages, options = {}) {
     try {
-      // System 메시지 처리 (xAI API는 system 역할을 지원)
-      const processedMessages = messages.map(msg => {
-        if (msg.role === 'system') {
-          // System 메시지를 user 메시지로 변환 (xAI 호환성)
-          return {
-            role: 'user',
-            content: `[System Instructions] ${msg.content}`
-          };
-        }
-        return msg;
-      });
+      // System 메시지 처리 (xAI 호환성)
+      const processedMessages = this._toGrokMessages(messages, options.model || this.model);
 
       const response = await this.client.chat.completions.create({
-        model: this.model,
+        model: options.model || this.model,
         messages: processedMessages,
         max_tokens: options.maxTokens || 4096,
         temperature: options.temperature || 0.7,
       });
 
-      this.isAvailable = true;
       this.lastError = null;
 
       return {
         content: response.choices[0].message.content,
         provider: this.name,
-        model: this.model,
+        model: options.model || this.model,
         usage: {
           inputTokens: response.usage?.prompt_tokens || 0,
           outputTokens: response.usage?.completion_tokens || 0
         }
       };
     } catch (error) {
-      this.isAvailable = false;
       this.lastError = error.message;
       console.error(`[Grok] Error:`, error.message);
       
@@ -77,30 +92,20 @@ export class GrokProvider extends AIProvider {
   async streamChat(messages, options = {}) {
     try {
       // System 메시지 처리
-      const processedMessages = messages.map(msg => {
-        if (msg.role === 'system') {
-          return {
-            role: 'user',
-            content: `[System Instructions] ${msg.content}`
-          };
-        }
-        return msg;
-      });
+      const processedMessages = this._toGrokMessages(messages, options.model || this.model);
 
       const stream = await this.client.chat.completions.create({
-        model: this.model,
+        model: options.model || this.model,
         messages: processedMessages,
         max_tokens: options.maxTokens || 4096,
         temperature: options.temperature || 0.7,
         stream: true,
       });
 
-      this.isAvailable = true;
       this.lastError = null;
 
       return stream;
     } catch (error) {
-      this.isAvailable = false;
       this.lastError = error.message;
       console.error(`[Grok] Stream Error:`, error.message);
       
@@ -114,5 +119,58 @@ export class GrokProvider extends AIProvider {
       throw error;
     }
   }
-}
 
+  async chatWithTools(messages, tools, options = {}) {
+    try {
+      const response = await this.client.chat.completions.create({
+        model: options.model || this.model,
+        messages: this._toGrokMessages(messages, options.model || this.model),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto',
+        max_tokens: options.maxTokens || 4096,
+        temperature: options.temperature || 0.7,
+      });
+
+      this.lastError = null;
+
+      const { content, toolCalls } = fromOpenAIMessage(response.choices[0].message);
+      return {
+        content,
+        toolCalls,
+        provider: this.name,
+        model: options.model || this.model,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`[Grok] Tool call Error:`, error.message);
+      throw error;
+    }
+  }
+
+  async *streamChatWithTools(messages, tools, options = {}) {
+    let stream;
+    try {
+      stream = await this.client.chat.completions.create({
+        model: options.model || this.model,
+        messages: this._toGrokMessages(messages, options.model || this.model),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto',
+        max_tokens: options.maxTokens || 4096,
+        temperature: options.temperature || 0.7,
+        stream: true,
+      });
+
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`[Grok] Tool stream Error:`, error.message);
+      throw error;
+    }
+
+    yield* readOpenAIToolStream(stream);
+  }
+}
@@ -16,7 +16,7 @@ export class MetaAIProvider extends AIProvider {
   async chat(messages, options = {}) {
     try {
       const response = await this.client.chat.completions.create({
-        model: this.model,
+        model: options.model || this.model,
         messages: messages,
         max_tokens: options.maxTokens || 4096,
         temperature: options.temperature || 0.7,
@@ -25,7 +25,7 @@ export class MetaAIProvider extends AIProvider {
       return {
         content: response.choices[0].message.content,
         provider: this.name,
-        model: this.model,
+        model: options.model || this.model,
         usage: {
           inputTokens: response.usage?.prompt_tokens || 0,
           outputTokens: response.usage?.completion_tokens || 0
@@ -40,7 +40,7 @@ export class MetaAIProvider extends AIProvider {
   async streamChat(messages, options = {}) {
     try {
       const stream = await this.client.chat.completions.create({
-        model: this.model,
+        model: options.model || this.model,
         messages: messages,
         max_tokens: options.maxTokens || 4096,
         temperature: options.temperature || 0.7,
@@ -1,35 +1,165 @@
 import OpenAI from 'openai';
-import { AIProvider } from './base.js';
+import { AIProvider, parseToolArguments, readStreamChunk, toContentParts, contentToText, hasImageContent } from './base.js';
+import { getModelRegistry } from '../registry/index.js';
+
+/**
+ * MCP 도구 정의 → OpenAI tools 형식
+ */
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.inputSchema || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+/**
+ * 표준 content → OpenAI content (이미지가 있으면 text/image_url part 배열, 아니면 문자열)
+ * @param {boolean} vision - false면 이미지를 텍스트 자리 표시로 바꾼다
+ */
+function toOpenAIContent(content, vision) {
+  if (!Array.isArray(content)) return content ?? '';
+  if (!vision || !hasImageContent(content)) return contentToText(content);
+  return toContentParts(content).map(part => (
+    part.type === 'text'
+      ? { type: 'text', text: part.text }
+      : { type: 'image_url', image_url: { url: part.url || `data:${part.mimeType};base64,${part.data}` } }
+  ));
+}
+
+/**
+ * 표준 메시지(content part / toolCalls / role: 'tool') → OpenAI chat.completions 메시지
+ * @param {Array<Object>} messages
+ * @param {Object} options - { vision: 이미지 part 전달 여부 (기본 true) }
+ */
+export function toOpenAIMessages(messages, { vision = true } = {}) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: contentToText(msg.content) };
+    }
+    if (msg.role === 'assistant') {
+      // assistant 턴은 텍스트만 허용
+      if (!msg.toolCalls?.length) {
+        return { role: 'assistant', content: contentToText(msg.content) };
+      }
+      return {
+        role: 'assistant',
+        content: contentToText(msg.content) || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return { role: msg.role, content: toOpenAIContent(msg.content, vision && msg.role === 'user') };
+  });
+}
+
+/**
+ * OpenAI 호환 응답 → { content, toolCalls }
+ */
+export function fromOpenAIMessage(message) {
+  return {
+    content: message?.content || '',
+    toolCalls: (message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: parseToolArguments(call.function.arguments)
+    }))
+  };
+}
+
+/**
+ * OpenAI 호환 스트림 → 표준 도구 스트림 이벤트
+ * tool_calls delta는 index별로 조각나서 오므로 끝까지 모은 뒤 한 번에 내보낸다.
+ * include_usage로 요청했으면 마지막 청크(choices 없음)의 사용량을 usage 이벤트로 내보낸다.
+ */
+export async function* readOpenAIToolStream(stream) {
+  const pending = [];
+  const usage = {};
+
+  for await (const chunk of stream) {
+    Object.assign(usage, readStreamChunk(chunk).usage);
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      yield { type: 'text', text: delta.content };
+    }
+
+    for (const part of delta.tool_calls || []) {
+      const entry = pending[part.index] || (pending[part.index] = { id: '', name: '', args: '' });
+      if (part.id) entry.id = part.id;
+      if (part.function?.name) entry.name += part.function.name;
+      if (part.function?.arguments) entry.args += part.function.arguments;
+    }
+  }
+
+  const toolCalls = pending.filter(Boolean).map(entry => ({
+    id: entry.id,
+    name: entry.name,
+    arguments: parseToolArguments(entry.args)
+  }));
+  if (toolCalls.length > 0) {
+    yield { type: 'tool_calls', toolCalls };
+  }
+  if (usage.inputTokens || usage.outputTokens) {
+    yield { type: 'usage', usage };
+  }
+}
 
 export class OpenAIProvider extends AIProvider {
-  constructor(apiKey, model = 'gpt-4o') {
+  constructor(apiKey, model = getModelRegistry().getDefaultModel('ChatGPT')) {
     super('ChatGPT', apiKey);
     this.client = new OpenAI({ apiKey });
     this.model = model;
+    this.supportsTools = true;
   }
 
-  async chat(messages, options = {}) {
-    try {
-      const requestOptions = {
-        model: this.model,
-        messages: messages,
-      };
+  /**
+   * 모델별 공통 요청 옵션
+   */
+  _buildRequestOptions(messages, options = {}) {
+    const model = options.model || this.model;
+    const requestOptions = {
+      model,
+      messages: messages,
+    };
 
-      // gpt-5 모델은 max_completion_tokens 사용, temperature는 기본값만 지원
-      if (this.model.startsWith('gpt-5') || this.model.includes('gpt-5')) {
-        requestOptions.max_completion_tokens = options.maxTokens || 4096;
-        // gpt-5는 temperature를 지원하지 않으므로 제외
-      } else {
-        requestOptions.max_tokens = options.maxTokens || 4096;
-        requestOptions.temperature = options.temperature || 0.7;
+    // gpt-5 모델은 max_completion_tokens 사용, temperature는 기본값만 지원
+    if (model.startsWith('gpt-5') || model.includes('gpt-5')) {
+      requestOptions.max_completion_tokens = options.maxTokens || 4096;
+      // gpt-5는 temperature를 지원하지 않으므로 제외
+    } else {
+      requestOptions.max_tokens = options.maxTokens || 4096;
+      requestOptions.temperature = options.temperature || 0.7;
+    }
+
+    // Vision API 지원: 이미지가 포함된 경우 레지스트리에서 vision 지원 모델인지 확인
+    if (messages.some(msg => hasImageContent(msg.content))) {
+      // Vision을 지원하지 않는 모델이면 provider의 visionModel로 변경
+      const registry = getModelRegistry();
+      if (!model.includes('vision') && !registry.supports(model, 'vision')) {
+        requestOptions.model = registry.getProvider(this.name)?.visionModel || 'gpt-4o';
       }
+    }
 
+    return requestOptions;
+  }
+
+  async chat(messages, options = {}) {
+    try {
+      const requestOptions = this._buildRequestOptions(toOpenAIMessages(messages), options);
       const response = await this.client.chat.completions.create(requestOptions);
 
       return {
         content: response.choices[0].message.content,
         provider: this.name,
-        model: this.model,
+        model: requestOptions.model,
         usage: {
           inputTokens: response.usage.prompt_tokens,
           outputTokens: response.usage.completion_tokens
@@ -43,43 +173,58 @@ export class OpenAIProvider extends AIProvider {
 
   async streamChat(messages, options = {}) {
     try {
-      const requestOptions = {
-        model: this.model,
-        messages: messages,
-        stream: true,
-      };
+      const requestOptions = this._buildRequestOptions(toOpenAIMessages(messages), options);
+      requestOptions.stream = true;
 
-      // gpt-5 모델은 max_completion_tokens 사용, temperature는 기본값만 지원
-      if (this.model.startsWith('gpt-5') || this.model.includes('gpt-5')) {
-        requestOptions.max_completion_tokens = options.maxTokens || 4096;
-      } else {
-        requestOptions.max_tokens = options.maxTokens || 4096;
-        requestOptions.temperature = options.temperature || 0.7;
-      }
+      const stream = await this.client.chat.completions.create(requestOptions);
+
+      return stream;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    try {
+      const requestOptions = this._buildRequestOptions(toOpenAIMessages(messages), options);
+      requestOptions.tools = toOpenAITools(tools);
+      requestOptions.tool_choice = options.toolChoice || 'auto';
 
-      // Vision API 지원: 이미지가 포함된 경우 gpt-4o 또는 gpt-4-vision-preview 모델 사용
-      if (options.imageData && options.imageData.length > 0) {
-        // 이미지가 포함된 메시지가 있는지 확인
-        const hasImageContent = messages.some(msg => 
-          Array.isArray(msg.content) && msg.content.some(item => item.type === 'image_url')
-        );
-        
-        if (hasImageContent) {
-          // Vision API를 지원하는 모델로 변경
-          if (this.model.startsWith('gpt-5')) {
-            requestOptions.model = 'gpt-4o'; // gpt-5는 Vision을 지원하지 않을 수 있으므로 gpt-4o 사용
-          } else if (!this.model.includes('vision') && !this.model.includes('gpt-4o')) {
-            requestOptions.model = 'gpt-4o'; // Vision 지원 모델로 변경
-          }
+      const response = await this.client.chat.completions.create(requestOptions);
+      const { content, toolCalls } = fromOpenAIMessage(response.choices[0].message);
+
+      return {
+        content,
+        toolCalls,
+        provider: this.name,
+        model: requestOptions.model,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
         }
-      }
+      };
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
 
-      const stream = await this.client.chat.completions.create(requestOptions);
+  async *streamChatWithTools(messages, tools, options = {}) {
+    let stream;
+    try {
+      const requestOptions = this._buildRequestOptions(toOpenAIMessages(messages), options);
+      requestOptions.tools = toOpenAITools(tools);
+      requestOptions.tool_choice = options.toolChoice || 'auto';
+      requestOptions.stream = true;
+      requestOptions.stream_options = { include_usage: true };
 
-      return stream;
+      stream = await this.client.chat.completions.create(requestOptions);
     } catch (error) {
       this.lastError = error.message;
       throw error;
     }
+
+    yield* readOpenAIToolStream(stream);
   }
 }
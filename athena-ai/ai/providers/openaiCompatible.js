@@ -0,0 +1,286 @@
+import OpenAI from 'openai';
+import { AIProvider } from './base.js';
+import { toOpenAIMessages, toOpenAITools, fromOpenAIMessage, readOpenAIToolStream } from './openai.js';
+import { getModelRegistry } from '../registry/index.js';
+
+// 로컬 서버는 키를 검사하지 않지만 OpenAI SDK는 빈 키를 거부한다
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+const DEFAULT_CAPABILITIES = {
+  tools: false,          // 네이티브 function calling (vLLM --enable-auto-tool-choice, Ollama 일부 모델)
+  systemMessages: true,  // system 역할 지원 여부 (chat template에 따라 없는 모델이 있음)
+  streamUsage: false,    // stream_options.include_usage 지원 여부
+  vision: false          // 이미지 입력 지원 여부 (아니면 이미지를 텍스트 자리 표시로 보냄)
+};
+
+const DEFAULT_PROFILE = {
+  strengths: ['온프레미스 실행', '데이터 외부 전송 없음'],
+  specialties: ['conversation', 'technical'],
+  bestFor: ['사내 데이터 질의', '오프라인 작업']
+};
+
+/**
+ * OpenAI 호환 엔드포인트 Provider (Ollama / llama.cpp server / vLLM / LM Studio 등)
+ * /v1/chat/completions를 제공하는 서버라면 base URL과 모델만 지정해서 다른 agent와 똑같이 사용할 수 있다.
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - provider 이름 (fallbackOrder, recommendedAgents에 쓰는 이름)
+   * @param {string} options.baseURL - 예: http://localhost:11434/v1
+   * @param {string} options.model - 기본 모델
+   * @param {string[]} options.models - 사용 가능한 모델 목록 (기본: [model])
+   * @param {string} options.apiKey - 필요한 서버만 지정
+   * @param {{tools?: boolean, systemMessages?: boolean, streamUsage?: boolean, vision?: boolean}} options.capabilities
+   * @param {{strengths?: string[], specialties?: string[], bestFor?: string[]}} options.profile - 전략 분석용 AI 특성
+   * @param {{input: number, output: number}} options.pricing - USD per 1M tokens (기본: 0, 자체 호스팅)
+   * @param {number} options.contextWindow - 모델 컨텍스트 길이 (토큰)
+   * @param {number} options.timeout - 요청 타임아웃 (ms)
+   */
+  constructor({
+    name,
+    baseURL,
+    model,
+    models = [],
+    apiKey = null,
+    capabilities = {},
+    profile = {},
+    pricing = { input: 0, output: 0 },
+    contextWindow = null,
+    timeout = 120000
+  }) {
+    if (!name || !baseURL || !model) {
+      throw new Error('OpenAICompatibleProvider: name, baseURL, model은 필수입니다.');
+    }
+
+    super(name, apiKey, { baseURL });
+    this.client = new OpenAI({
+      apiKey: apiKey || PLACEHOLDER_API_KEY,
+      baseURL,
+      timeout,
+      maxRetries: 0
+    });
+    this.baseURL = baseURL;
+    this.model = model;
+    this.models = [...new Set([model, ...models])];
+    this.capabilities = { ...DEFAULT_CAPABILITIES, ...capabilities };
+    this.supportsTools = this.capabilities.tools;
+
+    // 전략 분석(특성)과 비용 집계(단가)가 다른 provider와 같은 경로로 읽도록 레지스트리에 등록
+    // 설정 파일에서 이미 선언한 provider/모델 정보가 있으면 그것을 우선한다
+    const registry = getModelRegistry();
+    const declared = registry.getProvider(name);
+    registry.registerProvider(name, {
+      vendor: 'local',
+      defaultModel: model,
+      ...declared,
+      profile: { ...DEFAULT_PROFILE, ...declared?.profile, ...profile }
+    });
+    for (const id of this.models) {
+      if (!registry.getModel(id)) {
+        registry.registerModel(id, {
+          provider: name,
+          vendor: 'local',
+          tools: this.capabilities.tools,
+          vision: this.capabilities.vision,
+          contextWindow,
+          pricing
+        });
+      }
+    }
+  }
+
+  /**
+   * system 메시지를 지원하지 않는 chat template이면 user 메시지로 변환
+   */
+  _processMessages(messages) {
+    if (this.capabilities.systemMessages) return messages;
+    return messages.map(msg => (
+      msg.role === 'system'
+        ? { role: 'user', content: `[System Instructions] ${msg.content}` }
+        : msg
+    ));
+  }
+
+  /**
+   * 표준 메시지 → chat.completions 요청 옵션
+   */
+  _buildRequestOptions(messages, options = {}) {
+    return {
+      model: options.model || this.model,
+      messages: this._processMessages(toOpenAIMessages(messages, { vision: this.capabilities.vision })),
+      max_tokens: options.maxTokens || 4096,
+      temperature: options.temperature ?? 0.7
+    };
+  }
+
+  _handleError(label, error) {
+    this.lastError = error.message;
+    console.error(`[${this.name}] ${label}:`, error.message);
+
+    // 서버가 떠 있지 않은 경우 원인을 바로 알 수 있도록
+    if (error instanceof OpenAI.APIConnectionError) {
+      return new Error(`${this.name} 엔드포인트에 연결할 수 없습니다: ${this.baseURL}`);
+    }
+    return error;
+  }
+
+  async chat(messages, options = {}) {
+    try {
+      const requestOptions = this._buildRequestOptions(messages, options);
+      const response = await this.client.chat.completions.create(requestOptions);
+
+      this.lastError = null;
+
+      return {
+        content: response.choices[0].message.content || '',
+        provider: this.name,
+        model: requestOptions.model,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw this._handleError('Error', error);
+    }
+  }
+
+  async streamChat(messages, options = {}) {
+    try {
+      const requestOptions = { ...this._buildRequestOptions(messages, options), stream: true };
+      if (this.capabilities.streamUsage) {
+        requestOptions.stream_options = { include_usage: true };
+      }
+      const stream = await this.client.chat.completions.create(requestOptions);
+
+      this.lastError = null;
+
+      return stream;
+    } catch (error) {
+      throw this._handleError('Stream Error', error);
+    }
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    if (!this.supportsTools) {
+      return super.chatWithTools(messages, tools, options);
+    }
+
+    try {
+      const requestOptions = this._buildRequestOptions(messages, options);
+      const response = await this.client.chat.completions.create({
+        ...requestOptions,
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto'
+      });
+
+      this.lastError = null;
+
+      const { content, toolCalls } = fromOpenAIMessage(response.choices[0].message);
+      return {
+        content,
+        toolCalls,
+        provider: this.name,
+        model: requestOptions.model,
+        usage: {
+          inputTokens: response.usage?.prompt_tokens || 0,
+          outputTokens: response.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw this._handleError('Tool call Error', error);
+    }
+  }
+
+  async *streamChatWithTools(messages, tools, options = {}) {
+    if (!this.supportsTools) {
+      yield* super.streamChatWithTools(messages, tools, options);
+      return;
+    }
+
+    let stream;
+    try {
+      const requestOptions = {
+        ...this._buildRequestOptions(messages, options),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto',
+        stream: true
+      };
+      if (this.capabilities.streamUsage) {
+        requestOptions.stream_options = { include_usage: true };
+      }
+      stream = await this.client.chat.completions.create(requestOptions);
+
+      this.lastError = null;
+    } catch (error) {
+      throw this._handleError('Tool stream Error', error);
+    }
+
+    yield* readOpenAIToolStream(stream);
+  }
+
+  /**
+   * 헬스 체크 - 토큰을 생성하지 않도록 /models 조회로 확인 (지원하지 않는 서버는 ping 채팅)
+   */
+  async checkHealth() {
+    try {
+      await this.client.models.list();
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return super.checkHealth();
+      }
+      this.lastError = error.message;
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      baseURL: this.baseURL,
+      model: this.model,
+      models: this.models,
+      capabilities: this.capabilities
+    };
+  }
+}
+
+/**
+ * 환경 변수에서 OpenAI 호환 provider 설정 읽기
+ *
+ * - OPENAI_COMPATIBLE_PROVIDERS: 설정 객체 JSON 배열 (여러 엔드포인트)
+ *   예: [{"name":"Llama","baseURL":"http://localhost:11434/v1","model":"llama3.1:8b","capabilities":{"tools":true}}]
+ * - 또는 단일 엔드포인트: LOCAL_LLM_BASE_URL, LOCAL_LLM_MODEL, LOCAL_LLM_NAME(기본 'Local'),
+ *   LOCAL_LLM_MODELS(쉼표 구분), LOCAL_LLM_API_KEY, LOCAL_LLM_TOOLS=true, LOCAL_LLM_VISION=true
+ *
+ * @param {Object} env
+ * @returns {Array<Object>} OpenAICompatibleProvider 생성자 옵션 목록
+ */
+export function readOpenAICompatibleConfigs(env = process.env) {
+  const configs = [];
+
+  if (env.OPENAI_COMPATIBLE_PROVIDERS) {
+    try {
+      const parsed = JSON.parse(env.OPENAI_COMPATIBLE_PROVIDERS);
+      configs.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    } catch (error) {
+      console.error('[OpenAICompatible] OPENAI_COMPATIBLE_PROVIDERS JSON 파싱 실패:', error.message);
+    }
+  }
+
+  if (env.LOCAL_LLM_BASE_URL && env.LOCAL_LLM_MODEL) {
+    configs.push({
+      name: env.LOCAL_LLM_NAME || 'Local',
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      model: env.LOCAL_LLM_MODEL,
+      models: env.LOCAL_LLM_MODELS ? env.LOCAL_LLM_MODELS.split(',').map(m => m.trim()).filter(Boolean) : [],
+      apiKey: env.LOCAL_LLM_API_KEY || null,
+      capabilities: { tools: env.LOCAL_LLM_TOOLS === 'true', vision: env.LOCAL_LLM_VISION === 'true' }
+    });
+  }
+
+  return configs;
+}
@@ -0,0 +1,112 @@
+/**
+ * 기본 provider / 모델 카탈로그
+ *
+ * 모델을 추가하거나 기본 모델을 바꿀 때는 이 파일 또는 설정 파일(ATHENA_MODELS_CONFIG)만 수정한다.
+ * 가격은 USD per 1M tokens (음성/이미지 모델은 perMinute / perCharacter / perImage).
+ */
+
+/**
+ * provider 정의 (키 = orchestrator.providers의 이름)
+ * - vendor: API 제공사 (가격 조회 필터용)
+ * - defaultModel: provider 생성 시 기본 모델
+ * - downgradeModel: 예산 한도 근접 시 전환할 저가 모델
+ * - visionModel: 기본 모델이 이미지 입력을 지원하지 않을 때 쓸 모델 (선택)
+ * - knowledgeCutoff: 학습 데이터 기준일 (이후 정보는 웹 검색 필요)
+ * - profile: 전략 분석에 쓰는 AI 특성
+ */
+export const DEFAULT_PROVIDERS = {
+  ChatGPT: {
+    vendor: 'openai',
+    defaultModel: 'gpt-4o',
+    downgradeModel: 'gpt-4o-mini',
+    visionModel: 'gpt-4o',
+    knowledgeCutoff: '2024-04',
+    profile: {
+      strengths: ['논리적 분석', '코딩', '수학', '일반 지식', '구조화된 답변'],
+      specialties: ['technical', 'conversation'],
+      bestFor: ['단일 작업', '명확한 답변', '코드 작성', '수학 문제']
+    }
+  },
+  Gemini: {
+    vendor: 'google',
+    defaultModel: 'gemini-2.5-flash',
+    downgradeModel: 'gemini-2.0-flash-lite',
+    knowledgeCutoff: '2024-02',
+    profile: {
+      strengths: ['최신 정보', '다양한 관점', '창의성', '연구', '종합 분석'],
+      specialties: ['research', 'creative'],
+      bestFor: ['최신 트렌드', '연구', '다각도 분석', '창의적 작업']
+    }
+  },
+  Claude: {
+    vendor: 'anthropic',
+    defaultModel: 'claude-sonnet-4-6',
+    downgradeModel: 'claude-3-haiku-20240307',
+    knowledgeCutoff: '2024-04',
+    profile: {
+      strengths: ['심층 분석', '윤리적 판단', '긴 맥락', '창의적 글쓰기', '복잡한 추론'],
+      specialties: ['creative', 'research', 'decision'],
+      bestFor: ['복잡한 분석', '윤리적 질문', '긴 문서 작성', '심층 토론']
+    }
+  },
+  Grok: {
+    vendor: 'xai',
+    defaultModel: 'grok-4-fast',
+    downgradeModel: 'grok-3-mini',
+    knowledgeCutoff: '2024-04',
+    profile: {
+      strengths: ['실시간 정보', '유머', '대화', '최신 이벤트', '트렌드'],
+      specialties: ['conversation', 'research'],
+      bestFor: ['최신 뉴스', '캐주얼 대화', '트렌드 분석', '실시간 정보']
+    }
+  }
+};
+
+/**
+ * 모델 정의 (키 = API 모델 ID)
+ * - provider: DEFAULT_PROVIDERS 키 (채팅 외 모델은 vendor만 지정)
+ * - type: 'chat' | 'embedding' | 'audio' | 'image'
+ * - contextWindow / maxOutputTokens: 토큰 단위
+ * - vision / tools: 이미지 입력, 네이티브 function calling 지원
+ */
+export const DEFAULT_MODELS = {
+  // OpenAI
+  'gpt-5': { provider: 'ChatGPT', contextWindow: 400000, maxOutputTokens: 128000, vision: true, tools: true, pricing: { input: 2.50, output: 10.00 } },
+  'gpt-4o': { provider: 'ChatGPT', contextWindow: 128000, maxOutputTokens: 16384, vision: true, tools: true, pricing: { input: 2.50, output: 10.00 } },
+  'gpt-4o-mini': { provider: 'ChatGPT', contextWindow: 128000, maxOutputTokens: 16384, vision: true, tools: true, pricing: { input: 0.15, output: 0.60 } },
+  'gpt-4-turbo': { provider: 'ChatGPT', contextWindow: 128000, maxOutputTokens: 4096, vision: true, tools: true, pricing: { input: 10.00, output: 30.00 } },
+  'gpt-4': { provider: 'ChatGPT', contextWindow: 8192, maxOutputTokens: 8192, vision: false, tools: true, pricing: { input: 30.00, output: 60.00 } },
+  'gpt-3.5-turbo': { provider: 'ChatGPT', contextWindow: 16385, maxOutputTokens: 4096, vision: false, tools: true, pricing: { input: 0.50, output: 1.50 } },
+  'text-embedding-3-small': { vendor: 'openai', type: 'embedding', contextWindow: 8191, pricing: { input: 0.02, output: 0 } },
+  'text-embedding-3-large': { vendor: 'openai', type: 'embedding', contextWindow: 8191, pricing: { input: 0.13, output: 0 } },
+  'whisper-1': { vendor: 'openai', type: 'audio', pricing: { perMinute: 0.006 } },
+  'tts-1': { vendor: 'openai', type: 'audio', pricing: { perCharacter: 0.000015 } },
+  'tts-1-hd': { vendor: 'openai', type: 'audio', pricing: { perCharacter: 0.00003 } },
+  'dall-e-3': { vendor: 'openai', type: 'image', pricing: { perImage: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 } } },
+
+  // Anthropic Claude
+  'claude-sonnet-4-6': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 64000, vision: true, tools: true, pricing: { input: 3.00, output: 15.00 } },
+  'claude-sonnet-4-5-20250929': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 64000, vision: true, tools: true, pricing: { input: 3.00, output: 15.00 } },
+  'claude-3-5-sonnet-20240620': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 8192, vision: true, tools: true, pricing: { input: 3.00, output: 15.00 } },
+  'claude-3-opus': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 4096, vision: true, tools: true, pricing: { input: 15.00, output: 75.00 } },
+  'claude-3-sonnet': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 4096, vision: true, tools: true, pricing: { input: 3.00, output: 15.00 } },
+  'claude-3-haiku': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 4096, vision: true, tools: true, pricing: { input: 0.25, output: 1.25 } },
+  'claude-3-haiku-20240307': { provider: 'Claude', contextWindow: 200000, maxOutputTokens: 4096, vision: true, tools: true, pricing: { input: 0.25, output: 1.25 } },
+
+  // Google Gemini
+  'gemini-2.5-flash': { provider: 'Gemini', contextWindow: 1048576, maxOutputTokens: 65536, vision: true, tools: true, pricing: { input: 0.075, output: 0.30 } },
+  'gemini-2.0-flash-lite': { provider: 'Gemini', contextWindow: 1048576, maxOutputTokens: 8192, vision: true, tools: true, pricing: { input: 0.075, output: 0.30 } },
+  'gemini-2.0-flash-exp': { provider: 'Gemini', contextWindow: 1048576, maxOutputTokens: 8192, vision: true, tools: true, pricing: { input: 0.075, output: 0.30 } },
+  'gemini-1.5-pro': { provider: 'Gemini', contextWindow: 2097152, maxOutputTokens: 8192, vision: true, tools: true, pricing: { input: 1.25, output: 5.00 } },
+  'gemini-1.5-flash': { provider: 'Gemini', contextWindow: 1048576, maxOutputTokens: 8192, vision: true, tools: true, pricing: { input: 0.075, output: 0.30 } },
+  'gemini-pro': { provider: 'Gemini', contextWindow: 32760, maxOutputTokens: 8192, vision: false, tools: true, pricing: { input: 0.50, output: 1.50 } },
+
+  // xAI Grok
+  'grok-4-fast': { provider: 'Grok', contextWindow: 2000000, maxOutputTokens: 30000, vision: true, tools: true, pricing: { input: 0.50, output: 2.00 } },
+  'grok-3-mini': { provider: 'Grok', contextWindow: 131072, maxOutputTokens: 16384, vision: false, tools: true, pricing: { input: 0.30, output: 0.50 } },
+  'grok-beta': { provider: 'Grok', contextWindow: 131072, maxOutputTokens: 16384, vision: false, tools: true, pricing: { input: 0.50, output: 2.00 } },
+  'grok-2': { provider: 'Grok', contextWindow: 131072, maxOutputTokens: 16384, vision: false, tools: true, pricing: { input: 0.50, output: 2.00 } }
+};
+
+// 카탈로그에 없는 모델의 비용 추정 단가 (평균치)
+export const FALLBACK_PRICING = { input: 1.0, output: 5.0 };
@@ -0,0 +1,192 @@
+/**
+ * ModelRegistry - provider / 모델 메타데이터 단일 출처
+ *
+ * 기본 모델, 컨텍스트 길이, vision/tool 지원, 가격, 전략 분석용 특성을 한 곳에서 관리한다.
+ * provider 생성자(기본 모델), StrategyAnalyzer(특성), BudgetGate(다운그레이드), 비용 계산,
+ * /api/performance 라우트가 모두 여기서 읽는다.
+ *
+ * 기본 카탈로그는 ./defaults.js이고, JSON 설정 파일로 덮어쓰거나 추가할 수 있다:
+ *   ATHENA_MODELS_CONFIG=경로 (기본: ./athena-data/models.json이 있으면 사용)
+ *   { "providers": { "ChatGPT": { "defaultModel": "gpt-5" } },
+ *     "models": { "gpt-5-mini": { "provider": "ChatGPT", "contextWindow": 400000, "pricing": { "input": 0.25, "output": 2 } } } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { DEFAULT_PROVIDERS, DEFAULT_MODELS, FALLBACK_PRICING } from './defaults.js';
+
+const DEFAULT_CONFIG_PATH = path.join('athena-data', 'models.json');
+
+export class ModelRegistry {
+  /**
+   * @param {Object} catalog - { providers: {name: 정의}, models: {id: 정의} }
+   */
+  constructor({ providers = {}, models = {} } = {}) {
+    this.providers = new Map();
+    this.models = new Map();
+
+    for (const [name, definition] of Object.entries(providers)) {
+      this.registerProvider(name, definition);
+    }
+    for (const [id, definition] of Object.entries(models)) {
+      this.registerModel(id, definition);
+    }
+  }
+
+  /**
+   * provider 등록 (이미 있으면 필드 단위로 병합, profile도 병합)
+   */
+  registerProvider(name, definition = {}) {
+    const existing = this.providers.get(name) || { name, profile: {} };
+    this.providers.set(name, {
+      ...existing,
+      ...definition,
+      name,
+      profile: { ...existing.profile, ...definition.profile }
+    });
+    return this.providers.get(name);
+  }
+
+  /**
+   * 모델 등록 (이미 있으면 필드 단위로 병합)
+   */
+  registerModel(id, definition = {}) {
+    const existing = this.models.get(id) || { id, type: 'chat', vision: false, tools: false };
+    const model = { ...existing, ...definition, id };
+    if (!model.vendor && model.provider) {
+      model.vendor = this.providers.get(model.provider)?.vendor || null;
+    }
+    this.models.set(id, model);
+    return model;
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  listProviders() {
+    return [...this.providers.values()];
+  }
+
+  getModel(id) {
+    return this.models.get(id) || null;
+  }
+
+  /**
+   * 모델 목록
+   * @param {Object} filter - { provider, vendor, type }
+   */
+  listModels({ provider, vendor, type } = {}) {
+    return [...this.models.values()].filter(model =>
+      (!provider || model.provider === provider) &&
+      (!vendor || model.vendor === vendor) &&
+      (!type || model.type === type)
+    );
+  }
+
+  getDefaultModel(providerName) {
+    return this.providers.get(providerName)?.defaultModel || null;
+  }
+
+  getDowngradeModel(providerName) {
+    return this.providers.get(providerName)?.downgradeModel || null;
+  }
+
+  /**
+   * 모델 기능 지원 여부
+   * @param {string} id
+   * @param {'vision'|'tools'} feature
+   */
+  supports(id, feature) {
+    return this.models.get(id)?.[feature] === true;
+  }
+
+  /**
+   * 전략 분석용 provider 특성 ({ name: { strengths, specialties, bestFor } })
+   * @param {string[]} [names] - 지정하면 이 provider들만 (순서 유지)
+   */
+  getProfiles(names = null) {
+    const profiles = {};
+    for (const name of names || this.providers.keys()) {
+      const profile = this.providers.get(name)?.profile;
+      if (profile && Object.keys(profile).length > 0) {
+        profiles[name] = profile;
+      }
+    }
+    return profiles;
+  }
+
+  /**
+   * 토큰 비용 계산 (USD) - 카탈로그에 없는 모델은 평균 단가로 추정
+   */
+  calculateCost(id, inputTokens = 0, outputTokens = 0) {
+    const pricing = this.models.get(id)?.pricing || FALLBACK_PRICING;
+    return (inputTokens * (pricing.input || 0) + outputTokens * (pricing.output || 0)) / 1000000;
+  }
+
+  toJSON() {
+    return {
+      providers: this.listProviders(),
+      models: [...this.models.values()]
+    };
+  }
+}
+
+/**
+ * 설정 파일 읽기 (없거나 잘못되면 null)
+ */
+function readConfigFile(configPath, explicit) {
+  if (!fs.existsSync(configPath)) {
+    if (explicit) {
+      logger.warn('모델 설정 파일이 없습니다 - 기본 카탈로그 사용', { configPath });
+    }
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    logger.error('모델 설정 파일 파싱 실패 - 기본 카탈로그 사용', error, { configPath });
+    return null;
+  }
+}
+
+/**
+ * 기본 카탈로그 + 설정 파일로 레지스트리 생성
+ * @param {Object} options - { configPath }
+ * @returns {ModelRegistry}
+ */
+export function loadModelRegistry({ configPath = process.env.ATHENA_MODELS_CONFIG } = {}) {
+  const registry = new ModelRegistry({ providers: DEFAULT_PROVIDERS, models: DEFAULT_MODELS });
+
+  const resolved = path.resolve(configPath || DEFAULT_CONFIG_PATH);
+  const config = readConfigFile(resolved, Boolean(configPath));
+  if (config) {
+    for (const [name, definition] of Object.entries(config.providers || {})) {
+      registry.registerProvider(name, definition);
+    }
+    for (const [id, definition] of Object.entries(config.models || {})) {
+      registry.registerModel(id, definition);
+    }
+    logger.info('모델 설정 파일 적용', {
+      configPath: resolved,
+      providers: Object.keys(config.providers || {}).length,
+      models: Object.keys(config.models || {}).length
+    });
+  }
+
+  return registry;
+}
+
+let sharedRegistry = null;
+
+/**
+ * 프로세스 공용 레지스트리 (처음 호출 시 로드)
+ * @returns {ModelRegistry}
+ */
+export function getModelRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = loadModelRegistry();
+  }
+  return sharedRegistry;
+}
@@ -0,0 +1,139 @@
+/**
+ * ApprovalNotifier - posts tool approval requests to messaging channels and routes button clicks back.
+ *
+ * Listens to ApprovalGate events for requests made in this process and also polls pending requests,
+ * so requests created by another process on the same database (e.g. the web server while the
+ * Telegram bot runs in telegram-main.js) still reach the channels. Posted messages are updated
+ * as votes come in and when the request is approved, denied or expires.
+ *
+ * Requests whose agent turn is waiting (awaited) resume on their own once approved; for the rest
+ * (scheduler, workflow, direct commands) the approved tool call is executed here, like /approve does.
+ */
+
+import { logger } from '../utils/logger.js';
+
+export class ApprovalNotifier {
+  /**
+   * @param {Object} options
+   * @param {import('../security/approvalGate.js').ApprovalGate} options.approvalGate
+   * @param {Object} [options.mcpManager] - executes approved requests nobody is waiting on
+   * @param {number} [options.pollMs] - pending request scan interval (default 5s)
+   * @param {Function} [options.canApprove] - (approver) => boolean, who may cast approve votes (default: anyone who can click)
+   */
+  constructor({ approvalGate, mcpManager = null, pollMs = 5000, canApprove = null } = {}) {
+    if (!approvalGate) {
+      throw new Error('ApprovalNotifier requires an approvalGate');
+    }
+    this.gate = approvalGate;
+    this.mcpManager = mcpManager;
+    this.pollMs = pollMs;
+    this.canApprove = canApprove;
+    this.targets = [];
+    this.posted = new Map(); // requestId -> [{ target, messageId }]
+    this._pollTimer = null;
+
+    this._onRequested = (request) => this._announce(request);
+    this._onChanged = (request) => this._refresh(request);
+  }
+
+  /**
+   * Add a channel to notify. chatId may be null for channels with a default chat (Telegram owner).
+   */
+  addTarget(channel, chatId = null) {
+    const target = { channel, chatId };
+    this.targets.push(target);
+    channel.setApprovalHandler((decision) => this.handleDecision({ ...decision, channelType: channel.channelType }));
+    return this;
+  }
+
+  start() {
+    this.gate.on('requested', this._onRequested);
+    this.gate.on('voted', this._onChanged);
+    this.gate.on('resolved', this._onChanged);
+    this._pollTimer = setInterval(() => this._poll(), this.pollMs);
+    if (typeof this._pollTimer.unref === 'function') this._pollTimer.unref();
+    logger.info('ApprovalNotifier started', { targets: this.targets.map(t => t.channel.channelType) });
+  }
+
+  stop() {
+    this.gate.off('requested', this._onRequested);
+    this.gate.off('voted', this._onChanged);
+    this.gate.off('resolved', this._onChanged);
+    clearInterval(this._pollTimer);
+    this._pollTimer = null;
+  }
+
+  /**
+   * Button click → vote. Returns the short reply shown to the clicker.
+   * @param {{requestId: string, approved: boolean, approver: string, channelType: string}} decision
+   */
+  async handleDecision({ requestId, approved, approver, channelType }) {
+    // Captured first: the 'resolved' event forgets the posted messages before the execution result exists
+    const messages = this.posted.get(requestId) || [];
+    if (approved && this.canApprove && !this.canApprove(approver)) {
+      logger.warn('ApprovalNotifier: approve vote from non-approver ignored', { requestId, approver });
+      return '승인 권한이 없어요.';
+    }
+    const result = this.gate.decide(requestId, approver, approved);
+
+    if (result.status === 'not_found') return '승인 요청을 찾을 수 없어요.';
+    if (result.status === 'forbidden') return '직접 요청한 작업은 승인할 수 없어요.';
+    if (result.alreadyResolved) return `이미 처리된 요청이에요 (${result.status}).`;
+    if (result.duplicate) return `이미 투표했어요 (승인 ${result.approvals}/${result.requiredApprovals}).`;
+    if (result.status === 'denied') return '거부했어요.';
+    if (result.status === 'pending') return `승인을 기록했어요 (${result.approvals}/${result.requiredApprovals}).`;
+
+    if (result.awaited || !this.mcpManager) return '승인했어요.';
+
+    // Nobody is waiting on this request: run the approved call now, as the requester (the approver goes into the audit log)
+    const execution = await this.mcpManager.executeApprovedRequest(requestId, { approver, channel: channelType });
+    const error = !execution.success ? execution.error : (execution.result?.success === false ? execution.result.error : null);
+    this.gate.recordResult(requestId, error ? { error: String(error) } : { result: execution.result?.output ?? execution.result });
+    const request = this.gate.getRequest(requestId);
+    if (request) await this._update(messages, request);
+    return error ? `승인했지만 실행에 실패했어요: ${String(error).substring(0, 150)}` : '승인하고 실행했어요.';
+  }
+
+  async _announce(request) {
+    if (this.posted.has(request.id) || request.status !== 'pending') return;
+    const messages = [];
+    this.posted.set(request.id, messages);
+
+    await Promise.allSettled(this.targets.filter(t => t.channel.enabled).map(async (target) => {
+      const messageId = await target.channel.sendApprovalRequest(target.chatId, request);
+      messages.push({ target, messageId });
+    }));
+  }
+
+  async _refresh(request) {
+    const messages = this.posted.get(request.id);
+    if (!messages) return;
+    if (request.status !== 'pending') this.posted.delete(request.id);
+    await this._update(messages, request);
+  }
+
+  async _update(messages, request) {
+    await Promise.allSettled(messages.map(({ target, messageId }) =>
+      target.channel.updateApprovalRequest(target.chatId, messageId, request)
+    ));
+  }
+
+  async _poll() {
+    try {
+      const pending = this.gate.getPendingRequests();
+      const pendingIds = new Set(pending.map(request => request.id));
+      for (const request of pending) {
+        if (!this.posted.has(request.id)) await this._announce(request);
+      }
+      // Requests decided elsewhere (another process) leave the pending list without an event here
+      for (const requestId of [...this.posted.keys()]) {
+        if (pendingIds.has(requestId)) continue;
+        const request = this.gate.getRequest(requestId);
+        if (request) await this._refresh(request);
+        else this.posted.delete(requestId);
+      }
+    } catch (error) {
+      logger.error('ApprovalNotifier: poll failed', error);
+    }
+  }
+}
@@ -5,6 +5,32 @@
 
 import { logger } from '../utils/logger.js';
 
+const APPROVAL_PREVIEW_CHARS = 1500;
+const APPROVAL_STATUS_LABELS = {
+  pending: '⏳ 승인 대기',
+  approved: '✅ 승인됨',
+  denied: '❌ 거부됨',
+  expired: '⌛ 만료됨',
+  cancelled: '🚫 요청 취소됨',
+  error: '⚠️ 실행 실패'
+};
+
+/**
+ * Button payload for approval actions (Telegram callback_data / Discord customId, both ≤ 64 chars).
+ * @param {'approve'|'deny'} action
+ */
+export function approvalActionId(action, requestId) {
+  return `approval:${action}:${requestId}`;
+}
+
+/**
+ * @returns {{requestId: string, approved: boolean}|null} null if the payload is not an approval action
+ */
+export function parseApprovalActionId(data) {
+  const match = /^approval:(approve|deny):(.+)$/.exec(String(data || ''));
+  return match ? { requestId: match[2], approved: match[1] === 'approve' } : null;
+}
+
 export class ChannelInterface {
   constructor({ channelType, config = {} } = {}) {
     if (new.target === ChannelInterface) {
@@ -13,6 +39,7 @@ export class ChannelInterface {
     this.channelType = channelType;
     this.config = config;
     this._handler = null;
+    this._approvalHandler = null;
   }
 
   get enabled() {
@@ -23,6 +50,60 @@ export class ChannelInterface {
     this._handler = handler;
   }
 
+  /**
+   * Register the callback for approve/deny buttons.
+   * @param {Function} handler - ({ requestId, approved, approver }) => Promise<string> (short reply for the clicker)
+   */
+  setApprovalHandler(handler) {
+    this._approvalHandler = handler;
+  }
+
+  /**
+   * Post an approval request (security/approvalGate.js getRequest shape).
+   * Channels with buttons override this; the default is a text message with /approve and /deny hints.
+   * @returns {Promise<string|null>} message id for later updateApprovalRequest calls
+   */
+  async sendApprovalRequest(chatId, request) {
+    const text = `${this.formatApprovalRequest(request)}\n\n/approve ${request.id}\n/deny ${request.id}`;
+    await this.sendMessage(chatId, text);
+    return null;
+  }
+
+  /**
+   * Reflect a vote or final decision on a previously posted approval request.
+   */
+  async updateApprovalRequest(chatId, messageId, request) {
+    if (!messageId) return false;
+    return this.editMessage(chatId, messageId, this.formatApprovalRequest(request));
+  }
+
+  /**
+   * Plain-text approval summary shared by all channels.
+   */
+  formatApprovalRequest(request) {
+    const lines = [
+      `[승인 요청] ${request.toolName} (${request.securityLevel})`,
+      `상태: ${APPROVAL_STATUS_LABELS[request.status] || request.status}`
+        + (request.requiredApprovals > 1 ? ` · 승인 ${request.approvals.length}/${request.requiredApprovals}` : '')
+    ];
+    if (request.requester) lines.push(`요청: ${request.requester.type}${request.requester.id ? `:${request.requester.id}` : ''}`);
+    if (request.reason) lines.push(`사유: ${request.reason}`);
+    if (request.status === 'pending' && request.expiresAt) lines.push(`만료: ${request.expiresAt}`);
+    if (request.status === 'denied' && request.deniedBy) lines.push(`거부: ${request.deniedBy}`);
+    if (request.status === 'approved' && request.approvals.length > 0) {
+      lines.push(`승인: ${request.approvals.map(vote => vote.approver).join(', ')}`);
+    }
+    if (request.error) lines.push(`오류: ${request.error}`);
+
+    const preview = request.preview || request.command || '';
+    if (preview) {
+      lines.push('', preview.length > APPROVAL_PREVIEW_CHARS
+        ? `${preview.slice(0, APPROVAL_PREVIEW_CHARS)}\n... (${preview.length - APPROVAL_PREVIEW_CHARS}자 생략)`
+        : preview);
+    }
+    return lines.join('\n');
+  }
+
   async sendMessage(chatId, text, options = {}) {
     throw new Error(`sendMessage() not implemented for ${this.channelType}`);
   }
@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { ChannelInterface } from './channelInterface.js';
+import { ChannelInterface, approvalActionId, parseApprovalActionId } from './channelInterface.js';
 
 let Discord = null;
 
@@ -81,6 +81,31 @@ export class DiscordChannel extends ChannelInterface {
       }
     });
 
+    // Approve / Deny buttons on approval requests
+    this.client.on('interactionCreate', async (interaction) => {
+      if (!interaction.isButton()) return;
+      const action = parseApprovalActionId(interaction.customId);
+      if (!action) return;
+
+      if (this.channelIds.size > 0 && !this.channelIds.has(interaction.channelId)) return;
+      if (this.guildId && interaction.guildId !== this.guildId) return;
+
+      let reply = '승인 시스템이 연결되지 않았어요.';
+      if (this._approvalHandler) {
+        try {
+          reply = await this._approvalHandler({ ...action, approver: `discord:${interaction.user.id}` });
+        } catch (error) {
+          logger.error('DiscordChannel: Approval handler error', error);
+          reply = '처리 중 오류가 발생했어요.';
+        }
+      }
+      try {
+        await interaction.reply({ content: reply || '처리했어요.', ephemeral: true });
+      } catch (error) {
+        logger.warn('DiscordChannel: interaction reply failed', { error: error.message });
+      }
+    });
+
     this.client.on('error', (error) => {
       logger.error('DiscordChannel: Client error', error);
     });
@@ -104,6 +129,54 @@ export class DiscordChannel extends ChannelInterface {
     }
   }
 
+  /**
+   * Approval request with Approve / Deny buttons
+   */
+  async sendApprovalRequest(chatId, request) {
+    if (!this.enabled) return null;
+    try {
+      const channel = await this.client.channels.fetch(chatId);
+      if (!channel) return null;
+      const message = await channel.send(this._approvalPayload(request));
+      return message.id;
+    } catch (error) {
+      logger.error('DiscordChannel: sendApprovalRequest error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh the request message; buttons stay only while it is pending
+   */
+  async updateApprovalRequest(chatId, messageId, request) {
+    if (!this.enabled || !messageId) return false;
+    try {
+      const channel = await this.client.channels.fetch(chatId);
+      if (!channel) return false;
+      const message = await channel.messages.fetch(messageId);
+      if (!message) return false;
+      await message.edit(this._approvalPayload(request));
+      return true;
+    } catch (error) {
+      logger.error('DiscordChannel: updateApprovalRequest error', error);
+      return false;
+    }
+  }
+
+  _approvalPayload(request) {
+    // Fence the summary so diffs keep their layout; neutralize fences inside it
+    const summary = this.formatApprovalRequest(request).replace(/```/g, '`\u200b``');
+    const content = `\`\`\`diff\n${summary}`.slice(0, 1990) + '\n```';
+    if (request.status !== 'pending') return { content, components: [] };
+
+    const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = Discord;
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(approvalActionId('approve', request.id)).setLabel('승인').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(approvalActionId('deny', request.id)).setLabel('거부').setStyle(ButtonStyle.Danger)
+    );
+    return { content, components: [row] };
+  }
+
   async sendTyping(chatId) {
     if (!this.enabled) return;
     try {
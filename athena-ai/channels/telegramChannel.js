@@ -4,7 +4,9 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { ChannelInterface } from './channelInterface.js';
+import { ChannelInterface, approvalActionId, parseApprovalActionId } from './channelInterface.js';
+
+const MAX_MSG_LEN = 4096;
 
 export class TelegramChannel extends ChannelInterface {
   /**
@@ -25,6 +27,69 @@ export class TelegramChannel extends ChannelInterface {
     this.bot.setHandler(handler);
   }
 
+  setApprovalHandler(handler) {
+    super.setApprovalHandler(handler);
+    this.bot.setCallbackHandler(async (query) => {
+      const action = parseApprovalActionId(query.data);
+      if (!action || !this._approvalHandler) return null;
+      return this._approvalHandler({ ...action, approver: `telegram:${query.from?.id}` });
+    });
+  }
+
+  /**
+   * Approval request with inline Approve / Deny buttons (plain text - previews break Markdown)
+   */
+  async sendApprovalRequest(chatId, request) {
+    if (!this.bot.enabled) return null;
+    const targetChatId = chatId || this.bot.chatId;
+    if (!targetChatId) return null;
+    try {
+      const resp = await this.bot._apiCall('sendMessage', {
+        chat_id: targetChatId,
+        text: this.formatApprovalRequest(request).substring(0, MAX_MSG_LEN),
+        disable_web_page_preview: true,
+        reply_markup: this._approvalKeyboard(request)
+      });
+      if (!resp?.ok) {
+        logger.error('TelegramChannel: approval request send failed', { description: resp?.description });
+        return null;
+      }
+      return String(resp.result.message_id);
+    } catch (error) {
+      logger.error('TelegramChannel: sendApprovalRequest error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh the request message; buttons stay only while it is pending
+   */
+  async updateApprovalRequest(chatId, messageId, request) {
+    if (!this.bot.enabled || !messageId) return false;
+    try {
+      const resp = await this.bot._apiCall('editMessageText', {
+        chat_id: chatId || this.bot.chatId,
+        message_id: Number(messageId),
+        text: this.formatApprovalRequest(request).substring(0, MAX_MSG_LEN),
+        disable_web_page_preview: true,
+        reply_markup: request.status === 'pending' ? this._approvalKeyboard(request) : { inline_keyboard: [] }
+      });
+      return resp?.ok || false;
+    } catch (error) {
+      logger.error('TelegramChannel: updateApprovalRequest error', error);
+      return false;
+    }
+  }
+
+  _approvalKeyboard(request) {
+    return {
+      inline_keyboard: [[
+        { text: '✅ 승인', callback_data: approvalActionId('approve', request.id) },
+        { text: '❌ 거부', callback_data: approvalActionId('deny', request.id) }
+      ]]
+    };
+  }
+
   async sendMessage(chatId, text, options = {}) {
     const parseMode = options.parseMode ?? 'Markdown';
     return this.bot.sendMessage(chatId, text, parseMode);
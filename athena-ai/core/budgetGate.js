@@ -0,0 +1,416 @@
+/**
+ * BudgetGate - provider 호출 앞단의 예산 게이트
+ * 사용자/provider/프로젝트별 일간·월간 한도를 확인하고,
+ * 한도에 근접하면 저가 모델로 다운그레이드, 한도에 도달하면 호출을 거부한다.
+ */
+import { calculateCost } from '../utils/performanceMonitor.js';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import { getModelRegistry } from '../ai/registry/index.js';
+import { readStreamChunk } from '../ai/providers/base.js';
+
+const DEFAULT_SOFT_THRESHOLD = 0.8;
+
+// SQLite 기준 기간 시작 시각 (서버 로컬 시간 기준 자정/1일을 UTC로 환산)
+const PERIOD_START = {
+  daily: `datetime('now', 'localtime', 'start of day', 'utc')`,
+  monthly: `datetime('now', 'localtime', 'start of month', 'utc')`
+};
+
+const SCOPE_COLUMNS = {
+  user: 'user_id',
+  provider: 'provider',
+  project: 'project_id'
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function assertAmount(name, value) {
+  if (value !== null && value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+    throw badRequest(`${name}은(는) 0 이상의 숫자여야 합니다.`);
+  }
+}
+
+/**
+ * 메시지 배열의 대략적인 토큰 수 (문자 4개 ≈ 1토큰)
+ */
+function estimateTokens(messages) {
+  let chars = 0;
+  for (const msg of messages || []) {
+    if (typeof msg.content === 'string') {
+      chars += msg.content.length;
+    } else if (Array.isArray(msg.content)) {
+      chars += msg.content.reduce((sum, part) => sum + (part.text?.length || 0), 0);
+    }
+  }
+  return Math.ceil(chars / 4);
+}
+
+export class BudgetGate {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   * @param {Object} options.downgradeModels - provider별 다운그레이드 모델 (기본: 모델 레지스트리의 downgradeModel)
+   */
+  constructor({ db, dbPath, downgradeModels = {} }) {
+    // budget_limits / budget_usage는 database/migrations/005_budget.js
+    this.db = db || openDatabase(dbPath);
+    this.downgradeModels = downgradeModels;
+
+    this.insertUsageStmt = this.db.prepare(`
+      INSERT INTO budget_usage (user_id, project_id, provider, model, input_tokens, output_tokens, cost, estimated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+
+  // ─── 한도 관리 ─────────────────────────────────────────────────────
+
+  /**
+   * 범위별 한도 설정 (없으면 생성, 있으면 갱신)
+   * @param {'user'|'provider'|'project'} scope
+   * @param {string} scopeId - 사용자 ID / provider 이름 / 프로젝트 ID
+   * @param {Object} limits - { dailyLimit, monthlyLimit, softThreshold } (USD, null이면 무제한)
+   */
+  setLimit(scope, scopeId, { dailyLimit = null, monthlyLimit = null, softThreshold = DEFAULT_SOFT_THRESHOLD } = {}) {
+    if (!SCOPE_COLUMNS[scope]) {
+      throw badRequest(`알 수 없는 예산 범위: ${scope}`);
+    }
+    if (!scopeId) {
+      throw badRequest('scopeId가 필요합니다.');
+    }
+    assertAmount('dailyLimit', dailyLimit);
+    assertAmount('monthlyLimit', monthlyLimit);
+    if (typeof softThreshold !== 'number' || softThreshold < 0 || softThreshold > 1) {
+      throw badRequest('softThreshold는 0~1 사이여야 합니다.');
+    }
+
+    this.db.prepare(`
+      INSERT INTO budget_limits (scope, scope_id, daily_limit, monthly_limit, soft_threshold)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(scope, scope_id) DO UPDATE SET
+        daily_limit = excluded.daily_limit,
+        monthly_limit = excluded.monthly_limit,
+        soft_threshold = excluded.soft_threshold,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(scope, scopeId, dailyLimit, monthlyLimit, softThreshold);
+
+    return this.getLimits().find(limit => limit.scope === scope && limit.scopeId === scopeId);
+  }
+
+  removeLimit(scope, scopeId) {
+    return this.db.prepare('DELETE FROM budget_limits WHERE scope = ? AND scope_id = ?').run(scope, scopeId).changes > 0;
+  }
+
+  getLimits() {
+    return this.db.prepare('SELECT * FROM budget_limits ORDER BY scope, scope_id').all().map(row => ({
+      scope: row.scope,
+      scopeId: row.scope_id,
+      dailyLimit: row.daily_limit,
+      monthlyLimit: row.monthly_limit,
+      softThreshold: row.soft_threshold ?? DEFAULT_SOFT_THRESHOLD
+    }));
+  }
+
+  /**
+   * 범위별 한도와 오늘/이번 달 사용액 (USD)
+   */
+  getLimitStatus() {
+    return this.getLimits().map(limit => ({
+      ...limit,
+      dailySpent: Math.round(this.getSpend(limit.scope, limit.scopeId, 'daily') * 10000) / 10000,
+      monthlySpent: Math.round(this.getSpend(limit.scope, limit.scopeId, 'monthly') * 10000) / 10000
+    }));
+  }
+
+  /**
+   * 전역 예산 설정(budget_settings) 변경 - 넘긴 값만 바꾼다
+   * autoStopEnabled를 생략하면 자동 중지(전역 한도 강제)는 그대로 둔다.
+   * @param {Object} settings - { monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled, preferredModels }
+   * @returns {Object} 변경 후 설정
+   */
+  updateGlobalSettings({ monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled, preferredModels } = {}) {
+    assertAmount('monthlyBudget', monthlyBudget);
+    assertAmount('dailyLimit', dailyLimit);
+    if (alertThreshold !== undefined && (typeof alertThreshold !== 'number' || alertThreshold < 0 || alertThreshold > 1)) {
+      throw badRequest('alertThreshold는 0~1 사이여야 합니다.');
+    }
+
+    const updates = [];
+    const values = [];
+    if (monthlyBudget !== undefined) {
+      updates.push('monthly_budget = ?');
+      values.push(monthlyBudget);
+    }
+    if (dailyLimit !== undefined) {
+      updates.push('daily_limit = ?');
+      values.push(dailyLimit);
+    }
+    if (alertThreshold !== undefined) {
+      updates.push('alert_threshold = ?');
+      values.push(alertThreshold);
+    }
+    if (autoStopEnabled !== undefined) {
+      updates.push('auto_stop_enabled = ?');
+      values.push(autoStopEnabled ? 1 : 0);
+    }
+    if (preferredModels !== undefined) {
+      updates.push('preferred_models = ?');
+      values.push(JSON.stringify(preferredModels));
+    }
+
+    if (updates.length > 0) {
+      this.db.prepare(`
+        UPDATE budget_settings
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, 'default');
+    }
+
+    return this.getGlobalSettings();
+  }
+
+  /**
+   * 전역 예산 설정 (자동 중지가 켜져 있어야 일일·월간 한도를 강제한다)
+   */
+  getGlobalSettings() {
+    const row = this.db.prepare('SELECT * FROM budget_settings WHERE id = ?').get('default');
+    return {
+      monthlyBudget: row?.monthly_budget ?? null,
+      dailyLimit: row?.daily_limit ?? null,
+      alertThreshold: row?.alert_threshold ?? DEFAULT_SOFT_THRESHOLD,
+      autoStopEnabled: row?.auto_stop_enabled === 1
+    };
+  }
+
+  /**
+   * 전역 한도 - budgetControl 도구의 budget_settings를 그대로 사용
+   * (자동 중지가 켜져 있을 때만 강제)
+   */
+  _getGlobalLimit() {
+    try {
+      const settings = this.db.prepare('SELECT * FROM budget_settings WHERE id = ?').get('default');
+      if (!settings || settings.auto_stop_enabled !== 1) return null;
+      return {
+        scope: 'global',
+        scopeId: 'default',
+        dailyLimit: settings.daily_limit,
+        monthlyLimit: settings.monthly_budget,
+        softThreshold: settings.alert_threshold ?? DEFAULT_SOFT_THRESHOLD
+      };
+    } catch {
+      // budget_settings 테이블이 아직 없음 (MCP 비활성화 등)
+      return null;
+    }
+  }
+
+  _getApplicableLimits({ userId, projectId }, providerName) {
+    const ids = { user: userId, provider: providerName, project: projectId };
+    const limits = this.getLimits().filter(limit => ids[limit.scope] && ids[limit.scope] === limit.scopeId);
+    const globalLimit = this._getGlobalLimit();
+    return globalLimit ? [globalLimit, ...limits] : limits;
+  }
+
+  /**
+   * 범위·기간별 누적 비용 (USD)
+   */
+  getSpend(scope, scopeId, period) {
+    const column = SCOPE_COLUMNS[scope];
+    const where = column ? `${column} = ? AND ` : '';
+    const params = column ? [scopeId] : [];
+    const row = this.db.prepare(`
+      SELECT COALESCE(SUM(cost), 0) AS total
+      FROM budget_usage
+      WHERE ${where}created_at >= ${PERIOD_START[period]}
+    `).get(...params);
+    return row.total;
+  }
+
+  // ─── 게이트 ─────────────────────────────────────────────────────────
+
+  /**
+   * 호출 전 예산 확인
+   * @param {Object} context - { userId, projectId }
+   * @param {string} providerName
+   * @returns {{ action: 'allow'|'downgrade'|'block', scope?: string, scopeId?: string, period?: string, spent?: number, limit?: number }}
+   */
+  check(context, providerName) {
+    let decision = { action: 'allow' };
+
+    for (const limit of this._getApplicableLimits(context, providerName)) {
+      for (const period of ['daily', 'monthly']) {
+        const cap = period === 'daily' ? limit.dailyLimit : limit.monthlyLimit;
+        if (!cap || cap <= 0) continue;
+
+        const spent = this.getSpend(limit.scope, limit.scopeId, period);
+        const detail = { scope: limit.scope, scopeId: limit.scopeId, period, spent, limit: cap };
+
+        if (spent >= cap) {
+          return { action: 'block', ...detail };
+        }
+        if (spent >= cap * limit.softThreshold && decision.action === 'allow') {
+          decision = { action: 'downgrade', ...detail };
+        }
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * 한도 도달 에러 (errorHandler가 402로 응답, 스트림에서는 error 이벤트로 전달)
+   */
+  _createExceededError(decision, providerName) {
+    const periodLabel = decision.period === 'daily' ? '일일' : '월간';
+    const scopeLabel = { global: '전체', user: '사용자', provider: 'AI 제공자', project: '프로젝트' }[decision.scope];
+    const error = new Error(
+      `${scopeLabel} ${periodLabel} 예산 한도($${decision.limit})에 도달하여 ${providerName} 호출이 차단되었습니다. (사용: $${decision.spent.toFixed(4)})`
+    );
+    error.code = 'BUDGET_EXCEEDED';
+    error.status = 402;
+    error.budget = decision;
+    return error;
+  }
+
+  /**
+   * 사용량 기록
+   */
+  recordUsage(context, providerName, model, usage, estimated = false) {
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    if (inputTokens === 0 && outputTokens === 0) return;
+
+    try {
+      this.insertUsageStmt.run(
+        context.userId || null,
+        context.projectId || null,
+        providerName,
+        model || 'unknown',
+        inputTokens,
+        outputTokens,
+        calculateCost(model, inputTokens, outputTokens),
+        estimated ? 1 : 0
+      );
+    } catch (error) {
+      logger.error('[BudgetGate] 사용량 기록 실패', error, { provider: providerName });
+    }
+  }
+
+  /**
+   * provider를 예산 게이트로 감싼 뷰 반환
+   * 원본 인스턴스는 여러 요청이 공유하므로 건드리지 않고, 다운그레이드는 호출별 options.model로 전달한다.
+   * @param {Object} provider - AIProvider 인스턴스
+   * @param {Object} context - { userId, projectId }
+   * @returns {Object} chat/streamChat/chatWithTools/streamChatWithTools가 게이트를 거치는 provider
+   */
+  wrap(provider, context = {}) {
+    if (!provider) return provider;
+
+    const gate = this;
+    const view = Object.create(provider);
+
+    // 호출 전 확인: 한도 도달 시 예외, 근접 시 저가 모델을 options.model로 지정
+    const enforce = (options) => {
+      const decision = gate.check(context, provider.name);
+      if (decision.action === 'block') {
+        logger.warn('[BudgetGate] 예산 한도 도달 - 호출 거부', { provider: provider.name, ...context, ...decision });
+        throw gate._createExceededError(decision, provider.name);
+      }
+
+      const cheaper = gate.downgradeModels[provider.name] || getModelRegistry().getDowngradeModel(provider.name);
+      if (decision.action === 'downgrade' && cheaper && cheaper !== provider.model && !options.model) {
+        logger.warn('[BudgetGate] 예산 한도 근접 - 저가 모델로 전환', {
+          provider: provider.name,
+          from: provider.model,
+          to: cheaper,
+          ...decision
+        });
+        return { ...options, model: cheaper };
+      }
+      return options;
+    };
+
+    view.chat = async function (messages, options = {}) {
+      const gated = enforce(options);
+      const response = await provider.chat(messages, gated);
+      gate.recordUsage(context, provider.name, response.model || gated.model || provider.model, response.usage);
+      return response;
+    };
+
+    view.chatWithTools = async function (messages, tools, options = {}) {
+      const gated = enforce(options);
+      const response = await provider.chatWithTools(messages, tools, gated);
+      gate.recordUsage(context, provider.name, response.model || gated.model || provider.model, response.usage);
+      return response;
+    };
+
+    view.streamChat = async function (messages, options = {}) {
+      const gated = enforce(options);
+      const stream = await provider.streamChat(messages, gated);
+      const model = gated.model || provider.model;
+      return (async function* () {
+        let outputChars = 0;
+        const actual = {};
+        try {
+          for await (const chunk of stream) {
+            const { text, usage } = readStreamChunk(chunk);
+            outputChars += text.length;
+            Object.assign(actual, usage);
+            yield chunk;
+          }
+        } finally {
+          // 스트림 응답은 사용량이 오지 않는 경우가 많으므로 없으면 문자 수로 추정
+          gate.recordUsage(context, provider.name, model, {
+            inputTokens: actual.inputTokens || estimateTokens(messages),
+            outputTokens: actual.outputTokens || Math.ceil(outputChars / 4)
+          }, !actual.inputTokens || !actual.outputTokens);
+        }
+      })();
+    };
+
+    view.streamChatWithTools = async function* (messages, tools, options = {}) {
+      const gated = enforce(options);
+      const model = gated.model || provider.model;
+      let outputChars = 0;
+      const actual = {};
+      try {
+        for await (const event of provider.streamChatWithTools(messages, tools, gated)) {
+          if (event.type === 'text') {
+            outputChars += event.text.length;
+          } else if (event.type === 'tool_calls') {
+            // 추정에는 모델이 실제로 생성한 도구 이름과 인자만 센다 (id·이벤트 구조 제외)
+            for (const call of event.toolCalls) {
+              outputChars += (call.name || '').length + JSON.stringify(call.arguments || {}).length;
+            }
+          } else if (event.type === 'usage') {
+            Object.assign(actual, event.usage);
+          }
+          yield event;
+        }
+      } finally {
+        // streamChat과 같이 provider가 알려준 사용량을 우선하고, 없는 값만 문자 수로 추정
+        gate.recordUsage(context, provider.name, model, {
+          inputTokens: actual.inputTokens || estimateTokens(messages),
+          outputTokens: actual.outputTokens || Math.ceil(outputChars / 4)
+        }, !actual.inputTokens || !actual.outputTokens);
+      }
+    };
+
+    return view;
+  }
+
+  /**
+   * 범위별 현재 사용 현황
+   */
+  getStatus(context = {}) {
+    return this._getApplicableLimits(context, context.provider).map(limit => ({
+      ...limit,
+      dailySpent: limit.dailyLimit ? this.getSpend(limit.scope, limit.scopeId, 'daily') : null,
+      monthlySpent: limit.monthlyLimit ? this.getSpend(limit.scope, limit.scopeId, 'monthly') : null
+    }));
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * ContextBuilder - 대상 모델의 컨텍스트 예산에 맞춘 프롬프트 구성
+ *
+ * - 시스템 프롬프트는 섹션 단위로 받아 우선순위대로 채운다. 예산이 모자라면 낮은 섹션부터 잘라내거나 뺀다.
+ * - 대화 기록은 최근 턴부터 채우고, 들어가지 않는 오래된 턴은 세션별 요약(session_summaries)으로 접는다.
+ * - 네이티브 도구 정의는 질문과 관련된 것만 골라 보낸다.
+ *
+ * 토큰 수는 utils/hybridSearch.js의 estimateTokens(한글/영문 비율 기반 추정)로 센다.
+ */
+import { logger } from '../utils/logger.js';
+import { getModelRegistry } from '../ai/registry/index.js';
+import { estimateTokens, hybridRank } from '../utils/hybridSearch.js';
+import { toContentParts } from '../ai/providers/base.js';
+
+/**
+ * 시스템 프롬프트 섹션 우선순위 (낮을수록 먼저 채움)
+ */
+export const SECTION_PRIORITY = {
+  persona: 0,       // 인격·대화 규칙 (required)
+  instructions: 1,  // 협업 모드별 역할·지시
+  project: 2,       // 선택된 프로젝트 자료
+  summary: 3,       // 이전 대화 요약
+  search: 4,        // 웹 검색 결과
+  identity: 5,      // Workspace IDENTITY.md
+  memory: 6,        // Workspace MEMORY.md
+  tools: 7,         // 도구 사용 규칙
+  logs: 8,          // 최근 일일 로그
+  reference: 9      // Oracle DB 안내 등 참고 정보
+};
+
+const DEFAULT_OPTIONS = {
+  maxPromptTokens: 24000,    // 컨텍스트 창이 커도 프롬프트는 이 이하로 (비용 상한)
+  fallbackContextWindow: 8192,
+  maxReservedOutput: 4096,   // 응답용으로 비워 둘 토큰 (모델 maxOutputTokens와 비교해 작은 값)
+  historyShare: 0.4,         // 최근 대화가 섹션보다 먼저 차지할 수 있는 비율
+  toolShare: 0.15,           // 도구 정의에 쓸 수 있는 비율
+  maxTools: 16,
+  historyLimit: 50,          // 한 번에 읽는 요약 이후 메시지 수
+  summaryTriggerTurns: 16,   // 요약되지 않은 메시지가 이보다 많거나
+  summaryTriggerTokens: 6000, // 토큰이 이보다 많으면 요약
+  keepRecentTurns: 8,        // 요약할 때 원문으로 남길 최근 메시지 수
+  summaryMaxTokens: 800
+};
+
+// 메시지 1개당 역할/구분자 오버헤드, 이미지 1장 추정치
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 1000;
+// 이보다 작게 남으면 섹션을 잘라 넣지 않고 뺀다
+const MIN_SECTION_TOKENS = 200;
+
+/**
+ * content(문자열 또는 part 배열)의 토큰 수
+ */
+export function countContentTokens(content) {
+  if (!Array.isArray(content)) return estimateTokens(content);
+  return toContentParts(content).reduce(
+    (sum, part) => sum + (part.type === 'text' ? estimateTokens(part.text) : IMAGE_TOKENS),
+    0
+  );
+}
+
+/**
+ * 텍스트를 대략 maxTokens 이하로 자름 (앞부분 유지)
+ */
+export function truncateToTokens(text, maxTokens) {
+  const tokens = estimateTokens(text);
+  if (tokens <= maxTokens) return text;
+  const chars = Math.max(0, Math.floor(text.length * (maxTokens / tokens)) - 20);
+  return `${text.slice(0, chars)}\n…(이하 생략)`;
+}
+
+export class ContextBuilder {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.memory - MemoryManager 인스턴스 (대화 기록, 요약 저장)
+   * @param {Object} deps.options - DEFAULT_OPTIONS 참고 (maxPromptTokens 기본값은 CONTEXT_MAX_PROMPT_TOKENS)
+   */
+  constructor({ memory, options = {} }) {
+    this.memory = memory;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      maxPromptTokens: Number(process.env.CONTEXT_MAX_PROMPT_TOKENS) || DEFAULT_OPTIONS.maxPromptTokens,
+      ...options
+    };
+    this.summarizing = new Set();
+  }
+
+  /**
+   * 모델별 프롬프트 예산 (컨텍스트 창 - 응답 예약분, maxPromptTokens 상한)
+   */
+  getBudget(model) {
+    const info = model ? getModelRegistry().getModel(model) : null;
+    const contextWindow = info?.contextWindow || this.options.fallbackContextWindow;
+    const reservedOutput = Math.min(info?.maxOutputTokens || this.options.maxReservedOutput, this.options.maxReservedOutput);
+    return {
+      contextWindow,
+      reservedOutput,
+      promptTokens: Math.max(1024, Math.min(contextWindow - reservedOutput, this.options.maxPromptTokens))
+    };
+  }
+
+  /**
+   * 세션 요약 + 요약 이후 대화
+   * 현재 질문은 호출 전에 이미 저장되므로, 마지막 메시지가 같은 질문이면 기록에서 뺀다.
+   * @param {string} sessionId
+   * @param {Object} options - { currentMessage, limit }
+   * @returns {{summary: string|null, turns: Array<{id: number, role: string, content: string}>}}
+   */
+  loadHistory(sessionId, { currentMessage = null, limit = this.options.historyLimit } = {}) {
+    const saved = this.memory.getSessionSummary(sessionId);
+    const turns = this.memory.getMessagesAfter(sessionId, saved?.summarizedUntil || 0, limit);
+    const last = turns[turns.length - 1];
+    if (currentMessage && last?.role === 'user' && last.content === currentMessage) {
+      turns.pop();
+    }
+    return { summary: saved?.summary || null, turns };
+  }
+
+  /**
+   * 질문과 관련된 도구만 선택 (이름·설명·파라미터 설명 BM25, 토큰 예산 이내)
+   * 관련 도구가 없으면 빈 배열 - 도구 없이 답변한다.
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools
+   * @param {string} query - 현재 질문 (+ 직전 질문)
+   * @param {number} maxTokens
+   */
+  selectTools(tools, query, maxTokens) {
+    if (!tools?.length || !query) return [];
+
+    const documents = tools.map(tool => ({
+      text: [
+        tool.name.replace(/_/g, ' '),
+        tool.description || '',
+        ...Object.values(tool.inputSchema?.properties || {}).map(prop => prop?.description || '')
+      ].join(' ')
+    }));
+
+    const selected = [];
+    let used = 0;
+    for (const { index, score } of hybridRank(documents, { text: query })) {
+      if (score <= 0 || selected.length >= this.options.maxTools) break;
+      const tokens = estimateTokens(JSON.stringify(tools[index]));
+      if (used + tokens > maxTokens) continue;
+      selected.push(tools[index]);
+      used += tokens;
+    }
+    return selected;
+  }
+
+  /**
+   * 예산에 맞춘 메시지 구성
+   * @param {Object} params
+   * @param {string} params.model - 대상 모델 ID (레지스트리의 contextWindow 기준)
+   * @param {Array<{name: string, text: string, priority: number, required?: boolean, truncate?: boolean}>} params.sections
+   *   - 시스템 프롬프트 섹션 (배열 순서대로 이어 붙임, 예산 배분은 priority 순)
+   * @param {{summary: string|null, turns: Array}} params.history - loadHistory() 결과
+   * @param {string|Array<Object>} params.userContent - 현재 사용자 메시지 (이미지 part 포함 가능)
+   * @param {Array<Object>|null} params.tools - 후보 도구 정의 (null이면 도구 선택 안 함)
+   * @param {string} params.query - 도구 선택용 질의
+   * @returns {{messages: Array<Object>, tools: Array<Object>|null, stats: Object}}
+   */
+  build({ model, sections = [], history = { summary: null, turns: [] }, userContent, tools = null, query = '' }) {
+    const { promptTokens } = this.getBudget(model);
+    let remaining = promptTokens - countContentTokens(userContent) - MESSAGE_OVERHEAD_TOKENS * 2;
+
+    // 1. 도구 정의
+    let selectedTools = null;
+    if (tools) {
+      selectedTools = this.selectTools(tools, query, Math.floor(promptTokens * this.options.toolShare));
+      remaining -= estimateTokens(JSON.stringify(selectedTools));
+    }
+
+    const candidates = sections
+      .filter(section => section?.text)
+      .map((section, order) => ({ ...section, order, tokens: estimateTokens(section.text) }));
+    if (history.summary) {
+      candidates.push({
+        name: 'summary',
+        text: `=== 이전 대화 요약 ===\n${history.summary}`,
+        priority: SECTION_PRIORITY.summary,
+        truncate: true,
+        order: candidates.length,
+        tokens: estimateTokens(history.summary) + 10
+      });
+    }
+
+    const included = [];
+    const truncated = [];
+    const dropped = [];
+
+    // 2. 필수 섹션
+    for (const section of candidates.filter(s => s.required)) {
+      included.push(section);
+      remaining -= section.tokens;
+    }
+
+    // 3. 최근 대화 (historyShare 한도 안에서 최신부터)
+    const turns = history.turns || [];
+    const keptTurns = [];
+    let historyUsed = 0;
+    const addTurns = (limit) => {
+      for (let i = turns.length - 1 - keptTurns.length; i >= 0; i--) {
+        const tokens = estimateTokens(turns[i].content) + MESSAGE_OVERHEAD_TOKENS;
+        if (historyUsed + tokens > limit || tokens > remaining) break;
+        keptTurns.unshift(turns[i]);
+        historyUsed += tokens;
+        remaining -= tokens;
+      }
+    };
+    addTurns(Math.max(0, Math.floor(remaining * this.options.historyShare)));
+
+    // 4. 나머지 섹션 (우선순위 순, 넘치면 잘라 넣거나 제외)
+    const optional = candidates.filter(s => !s.required).sort((a, b) => a.priority - b.priority || a.order - b.order);
+    for (const section of optional) {
+      if (section.tokens <= remaining) {
+        included.push(section);
+        remaining -= section.tokens;
+      } else if (section.truncate && remaining >= MIN_SECTION_TOKENS) {
+        const text = truncateToTokens(section.text, remaining);
+        included.push({ ...section, text });
+        truncated.push(section.name);
+        remaining -= estimateTokens(text);
+      } else {
+        dropped.push(section.name);
+      }
+    }
+
+    // 5. 남은 예산으로 더 오래된 대화
+    addTurns(Infinity);
+
+    const systemPrompt = included
+      .sort((a, b) => a.order - b.order)
+      .map(section => section.text.trim())
+      .join('\n\n');
+
+    const messages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...keptTurns.map(turn => ({ role: turn.role, content: turn.content })),
+      { role: 'user', content: userContent }
+    ];
+
+    const stats = {
+      model,
+      promptBudget: promptTokens,
+      usedTokens: promptTokens - remaining,
+      historyTurns: keptTurns.length,
+      omittedTurns: turns.length - keptTurns.length,
+      truncatedSections: truncated,
+      droppedSections: dropped,
+      tools: selectedTools ? `${selectedTools.length}/${tools.length}` : null
+    };
+    if (stats.omittedTurns > 0 || truncated.length > 0 || dropped.length > 0) {
+      logger.debug('[ContextBuilder] 컨텍스트 예산 조정', stats);
+    }
+
+    return { messages, tools: selectedTools, stats };
+  }
+
+  /**
+   * 요약되지 않은 대화가 많으면 최근 keepRecentTurns개를 남기고 요약에 접는다 (세션별 1건씩, 실패해도 무시)
+   * @param {string} sessionId
+   * @param {Function} summarize - async (prompt: string) => string (저가 모델 호출)
+   * @returns {Promise<boolean>} 요약했는지
+   */
+  async maybeSummarize(sessionId, summarize) {
+    if (this.summarizing.has(sessionId)) return false;
+
+    const { summary, turns } = this.loadHistory(sessionId, { limit: 200 });
+    const tokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+    if (turns.length <= this.options.summaryTriggerTurns && tokens <= this.options.summaryTriggerTokens) {
+      return false;
+    }
+
+    const fold = turns.slice(0, Math.max(0, turns.length - this.options.keepRecentTurns));
+    if (fold.length === 0) return false;
+
+    this.summarizing.add(sessionId);
+    try {
+      const transcript = fold
+        .map(turn => `${turn.role === 'user' ? '사용자' : 'Athena'}: ${truncateToTokens(turn.content, 1500)}`)
+        .join('\n\n');
+      const prompt = `다음은 사용자와 Athena의 대화입니다. 이후 대화에서 맥락으로 쓸 수 있도록 요약을 갱신하세요.
+- 사용자가 말한 사실, 요청, 결정 사항, 진행 중인 작업, 고유명사와 수치를 빠짐없이 남기세요
+- 인사말이나 중복 내용은 생략하세요
+- ${this.options.summaryMaxTokens} 토큰 이내의 한국어 글머리표로 작성하세요
+
+${summary ? `[기존 요약]\n${summary}\n\n` : ''}[새 대화]\n${transcript}`;
+
+      const updated = (await summarize(prompt))?.trim();
+      if (!updated) return false;
+
+      this.memory.saveSessionSummary(
+        sessionId,
+        truncateToTokens(updated, this.options.summaryMaxTokens * 2),
+        fold[fold.length - 1].id,
+        fold.length
+      );
+      logger.info('[ContextBuilder] 대화 요약 갱신', { sessionId, folded: fold.length });
+      return true;
+    } catch (error) {
+      logger.warn('[ContextBuilder] 대화 요약 실패', { sessionId, error: error.message });
+      return false;
+    } finally {
+      this.summarizing.delete(sessionId);
+    }
+  }
+}
@@ -0,0 +1,433 @@
+/**
+ * DebateManager - 토론 모드 설정, 입장 배정, 수렴 판정, 토론 기록
+ *
+ * 설정은 기본값 → 프로젝트 설정(projects.debate_config) → 요청별 설정 순으로 덮어쓴다.
+ * 라운드별 발언은 debate_arguments에 저장되어, 피드백을 특정 라운드/발언에 연결할 수 있다.
+ */
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import { tokenize } from '../utils/hybridSearch.js';
+
+/**
+ * 배정 가능한 토론 입장
+ */
+export const DEBATE_STANCES = {
+  pro: {
+    label: '찬성',
+    instruction: '주제를 지지하는 입장입니다. 가장 강력한 근거와 사례로 찬성 논리를 세우세요.'
+  },
+  con: {
+    label: '반대',
+    instruction: '주제에 반대하는 입장입니다. 위험, 비용, 반례를 근거로 반대 논리를 세우세요.'
+  },
+  devils_advocate: {
+    label: '악마의 대변인',
+    instruction: '다수 의견의 약점과 숨은 가정을 집요하게 검증하세요. 실제 생각과 달라도 가장 불편한 반론을 제기하는 것이 역할입니다.'
+  },
+  neutral: {
+    label: '자유 입장',
+    instruction: '정해진 입장 없이, 당신의 전문성에 기반한 독자적인 의견을 제시하세요.'
+  }
+};
+
+// stances: 'auto'일 때 참가 순서대로 배정
+const AUTO_STANCES = ['pro', 'con', 'devils_advocate'];
+
+const DEFAULT_CONFIG = {
+  rounds: 2,
+  maxAgents: 3,
+  stances: null,               // null: 모두 자유 입장, 'auto', 배열(참가 순서), 객체({ Claude: 'pro' })
+  judge: null,                 // 결론을 낼 provider 이름 (null이면 총괄 AI)
+  earlyStop: true,             // 입장이 수렴하면 남은 라운드 생략
+  convergenceThreshold: 0.75   // 직전 라운드 발언과의 평균 유사도가 이 이상이면 수렴
+};
+
+const MAX_ROUNDS = 5;
+const MAX_AGENTS = 5;
+
+// 발언 끝의 입장 변화 표시 (수렴 판정용)
+const POSITION_CHANGE_PATTERN = /입장\s*변화\s*[:：]\s*\**\s*(유지|수정)/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * 두 텍스트의 단어 빈도 코사인 유사도 (0~1)
+ */
+function textSimilarity(a, b) {
+  const countTerms = (text) => {
+    const counts = new Map();
+    for (const token of tokenize(text)) counts.set(token, (counts.get(token) || 0) + 1);
+    return counts;
+  };
+  const left = countTerms(a);
+  const right = countTerms(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let dot = 0;
+  for (const [token, count] of left) dot += count * (right.get(token) || 0);
+  const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, c) => sum + c * c, 0));
+  return dot / (norm(left) * norm(right));
+}
+
+export class DebateManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   * @param {Object} options.defaults - 기본 토론 설정 (DEFAULT_CONFIG에 덮어씀)
+   */
+  constructor({ db, dbPath, defaults = {} }) {
+    // debates / debate_arguments / projects.debate_config는 database/migrations/013_debates.js
+    this.db = db || openDatabase(dbPath);
+    this.defaults = { ...DEFAULT_CONFIG, ...this.normalizeConfig(defaults) };
+  }
+
+  // ─── 설정 ──────────────────────────────────────────────────────────
+
+  /**
+   * 설정 검증 및 정규화 (지정한 키만 반환, 잘못된 값은 400 에러)
+   * @param {Object} config
+   * @returns {Object}
+   */
+  normalizeConfig(config = {}) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      throw badRequest('토론 설정은 객체여야 합니다');
+    }
+
+    const normalized = {};
+    if (config.rounds !== undefined) {
+      const rounds = Number(config.rounds);
+      if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+        throw badRequest(`rounds는 1~${MAX_ROUNDS} 사이의 정수여야 합니다`);
+      }
+      normalized.rounds = rounds;
+    }
+    if (config.maxAgents !== undefined) {
+      const maxAgents = Number(config.maxAgents);
+      if (!Number.isInteger(maxAgents) || maxAgents < 2 || maxAgents > MAX_AGENTS) {
+        throw badRequest(`maxAgents는 2~${MAX_AGENTS} 사이의 정수여야 합니다`);
+      }
+      normalized.maxAgents = maxAgents;
+    }
+    if (config.stances !== undefined) {
+      normalized.stances = this._normalizeStances(config.stances);
+    }
+    if (config.judge !== undefined) {
+      if (config.judge !== null && typeof config.judge !== 'string') {
+        throw badRequest('judge는 provider 이름이어야 합니다');
+      }
+      normalized.judge = config.judge || null;
+    }
+    if (config.earlyStop !== undefined) {
+      normalized.earlyStop = config.earlyStop === true || config.earlyStop === 'true';
+    }
+    if (config.convergenceThreshold !== undefined) {
+      const threshold = Number(config.convergenceThreshold);
+      if (!(threshold > 0 && threshold <= 1)) {
+        throw badRequest('convergenceThreshold는 0 초과 1 이하여야 합니다');
+      }
+      normalized.convergenceThreshold = threshold;
+    }
+    return normalized;
+  }
+
+  _normalizeStances(stances) {
+    if (stances === null || stances === 'auto') return stances;
+
+    const check = (stance) => {
+      if (!DEBATE_STANCES[stance]) {
+        throw badRequest(`알 수 없는 토론 입장: ${stance} (${Object.keys(DEBATE_STANCES).join(', ')})`);
+      }
+      return stance;
+    };
+    if (Array.isArray(stances)) return stances.map(check);
+    if (typeof stances === 'object') {
+      return Object.fromEntries(Object.entries(stances).map(([agent, stance]) => [agent, check(stance)]));
+    }
+    throw badRequest("stances는 'auto', 배열, 또는 { provider: 입장 } 객체여야 합니다");
+  }
+
+  /**
+   * 프로젝트 토론 설정 (없으면 빈 객체)
+   */
+  getProjectConfig(projectId) {
+    if (!projectId) return {};
+    const row = this.db.prepare('SELECT debate_config FROM projects WHERE id = ?').get(projectId);
+    if (!row?.debate_config) return {};
+    try {
+      return JSON.parse(row.debate_config);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * 프로젝트 토론 설정 저장 (null이면 초기화)
+   * @returns {Object} 저장된 설정
+   */
+  setProjectConfig(projectId, config) {
+    const normalized = config ? this.normalizeConfig(config) : {};
+    const result = this.db.prepare('UPDATE projects SET debate_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(Object.keys(normalized).length > 0 ? JSON.stringify(normalized) : null, projectId);
+    if (result.changes === 0) {
+      const error = new Error('프로젝트를 찾을 수 없습니다');
+      error.status = 404;
+      throw error;
+    }
+    return normalized;
+  }
+
+  /**
+   * 이번 토론에 적용할 설정 (기본값 → 프로젝트 → 요청)
+   * @param {string|null} projectId
+   * @param {Object|null} overrides - 요청별 설정
+   */
+  resolveConfig(projectId = null, overrides = null) {
+    return {
+      ...this.defaults,
+      ...this.getProjectConfig(projectId),
+      ...(overrides ? this.normalizeConfig(overrides) : {})
+    };
+  }
+
+  /**
+   * 참가 AI별 입장 배정
+   * @param {Array<string>} agents - 참가 provider 이름 (순서대로)
+   * @param {Object} config - resolveConfig() 결과
+   * @returns {Array<{agent: string, stance: string}>}
+   */
+  assignStances(agents, config) {
+    const { stances } = config;
+    return agents.map((agent, index) => {
+      let stance = 'neutral';
+      if (stances === 'auto') {
+        stance = AUTO_STANCES[index % AUTO_STANCES.length];
+      } else if (Array.isArray(stances)) {
+        stance = stances[index] || 'neutral';
+      } else if (stances && typeof stances === 'object') {
+        stance = stances[agent] || 'neutral';
+      }
+      return { agent, stance };
+    });
+  }
+
+  // ─── 프롬프트 ──────────────────────────────────────────────────────
+
+  /**
+   * 참가 AI의 입장 지시 (시스템 프롬프트에 덧붙임)
+   */
+  buildStanceInstructions(stance) {
+    const { label, instruction } = DEBATE_STANCES[stance] || DEBATE_STANCES.neutral;
+    return `### 배정된 입장: ${label}\n${instruction}`;
+  }
+
+  /**
+   * 라운드별 발언 요청
+   * @param {Object} params
+   * @param {number} params.round - 0부터
+   * @param {string} params.agent
+   * @param {string} params.topic
+   * @param {Array<Object>} params.previousRound - 직전 라운드 발언 ({ agent, stance, opinion })
+   */
+  buildOpinionPrompt({ round, agent, topic, previousRound = [] }) {
+    if (round === 0) {
+      return `다음 주제에 대해 당신(${agent})의 의견을 제시하세요: ${topic}`;
+    }
+    return `다른 AI들의 의견을 고려하여 당신의 입장을 재정리하세요. 반박할 논점은 누구의 어떤 주장인지 밝히세요.
+
+이전 의견들:
+${previousRound.map(d => `[${d.agent} · ${this.stanceLabel(d.stance)}]: ${d.opinion}`).join('\n\n')}
+
+주제: ${topic}
+
+마지막 줄에 "입장 변화: 유지" 또는 "입장 변화: 수정"을 적으세요.`;
+  }
+
+  stanceLabel(stance) {
+    return (DEBATE_STANCES[stance] || DEBATE_STANCES.neutral).label;
+  }
+
+  /**
+   * 심판에게 보낼 토론 기록 (라운드·입장·발언 ID 포함)
+   * @param {Array<Array<Object>>} rounds
+   */
+  formatTranscript(rounds) {
+    return rounds.map((round, i) =>
+      `\n### Round ${i + 1}\n${round.map(d => `**${d.agent}** (${this.stanceLabel(d.stance)}, ${d.argumentId}):\n${d.opinion}`).join('\n\n')}`
+    ).join('\n');
+  }
+
+  // ─── 수렴 판정 ─────────────────────────────────────────────────────
+
+  /**
+   * 직전 라운드 대비 입장 수렴 여부
+   * 모든 참가자가 "입장 변화: 유지"라고 밝혔거나, 같은 참가자의 연속 발언 평균 유사도가 기준 이상이면 수렴으로 본다.
+   * @param {Array<Object>} previousRound - { agent, opinion }
+   * @param {Array<Object>} currentRound - { agent, opinion }
+   * @param {number} threshold
+   * @returns {{converged: boolean, similarity: number, byAgent: Object<string, number>}}
+   */
+  measureConvergence(previousRound, currentRound, threshold = this.defaults.convergenceThreshold) {
+    const byAgent = {};
+    let declaredStable = currentRound.length > 0;
+    for (const current of currentRound) {
+      const previous = previousRound.find(d => d.agent === current.agent);
+      if (!previous) {
+        declaredStable = false;
+        continue;
+      }
+      byAgent[current.agent] = Number(textSimilarity(previous.opinion, current.opinion).toFixed(3));
+      if (POSITION_CHANGE_PATTERN.exec(current.opinion)?.[1] !== '유지') declaredStable = false;
+    }
+
+    const values = Object.values(byAgent);
+    const similarity = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    return {
+      converged: values.length > 0 && (declaredStable || similarity >= threshold),
+      similarity: Number(similarity.toFixed(3)),
+      byAgent
+    };
+  }
+
+  // ─── 기록 ──────────────────────────────────────────────────────────
+
+  /**
+   * 토론 시작 기록
+   * @returns {string} debateId
+   */
+  start({ sessionId, userId = null, projectId = null, topic, config }) {
+    const debateId = randomUUID();
+    this.db.prepare(`
+      INSERT INTO debates (id, session_id, user_id, project_id, topic, config)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(debateId, sessionId, userId, projectId, topic, JSON.stringify(config));
+    return debateId;
+  }
+
+  /**
+   * 발언 ID ({debateId}:r{round}:{agent}, round는 1부터) - 발언 전에 클라이언트에 알려줄 수 있도록 결정적으로 만든다
+   */
+  argumentId(debateId, round, agent) {
+    return `${debateId}:r${round}:${agent}`;
+  }
+
+  /**
+   * 발언 저장
+   * @returns {string} argumentId
+   */
+  recordArgument(debateId, { round, agent, stance, content, similarity = null }) {
+    const argumentId = this.argumentId(debateId, round, agent);
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO debate_arguments (id, debate_id, round, agent, stance, content, similarity)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(argumentId, debateId, round, agent, stance, content || '', similarity);
+    } catch (error) {
+      logger.error('[DebateManager] 발언 저장 실패', error, { debateId, round, agent });
+    }
+    return argumentId;
+  }
+
+  /**
+   * 토론 종료 기록
+   */
+  finish(debateId, { status = 'completed', judge = null, conclusion = null, roundsCompleted = 0, convergedRound = null }) {
+    try {
+      this.db.prepare(`
+        UPDATE debates
+        SET status = ?, judge = ?, conclusion = ?, rounds_completed = ?, converged_round = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(status, judge, conclusion, roundsCompleted, convergedRound, debateId);
+    } catch (error) {
+      logger.error('[DebateManager] 토론 종료 기록 실패', error, { debateId });
+    }
+  }
+
+  /**
+   * 토론 기록 조회 (발언 포함, 없으면 null)
+   */
+  getDebate(debateId) {
+    const row = this.db.prepare('SELECT * FROM debates WHERE id = ?').get(debateId);
+    if (!row) return null;
+
+    const args = this.db.prepare(`
+      SELECT id, round, agent, stance, content, similarity, created_at
+      FROM debate_arguments WHERE debate_id = ? ORDER BY round, created_at
+    `).all(debateId);
+
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      projectId: row.project_id,
+      topic: row.topic,
+      config: JSON.parse(row.config),
+      judge: row.judge,
+      status: row.status,
+      roundsCompleted: row.rounds_completed,
+      convergedRound: row.converged_round,
+      conclusion: row.conclusion,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      arguments: args
+    };
+  }
+
+  getArgument(argumentId) {
+    return this.db.prepare('SELECT * FROM debate_arguments WHERE id = ?').get(argumentId) || null;
+  }
+
+  // ─── 피드백 ────────────────────────────────────────────────────────
+
+  /**
+   * 피드백 저장 - argumentId가 있으면 해당 발언(과 라운드)에 연결
+   */
+  recordFeedback({ sessionId, debateId, feedbackType, userId = null, argumentId = null, round = null }) {
+    let feedbackRound = round === null || round === undefined || round === '' ? null : Number(round);
+    if (argumentId) {
+      const argument = this.getArgument(argumentId);
+      if (!argument || argument.debate_id !== debateId) {
+        throw badRequest('argumentId가 해당 토론의 발언이 아닙니다');
+      }
+      feedbackRound = argument.round;
+    }
+    if (feedbackRound !== null && !Number.isInteger(feedbackRound)) {
+      throw badRequest('round는 정수여야 합니다');
+    }
+
+    this.db.prepare(`
+      INSERT INTO debate_feedback (session_id, debate_id, feedback_type, user_id, round, argument_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, debateId, feedbackType, userId, feedbackRound, argumentId);
+  }
+
+  /**
+   * 피드백 통계 (전체 + 라운드별 + 발언별)
+   */
+  getFeedbackStats(sessionId, debateId) {
+    const rows = this.db.prepare(`
+      SELECT feedback_type, round, argument_id, COUNT(*) as count
+      FROM debate_feedback
+      WHERE session_id = ? AND debate_id = ?
+      GROUP BY feedback_type, round, argument_id
+    `).all(sessionId, debateId);
+
+    const stats = { like: 0, dislike: 0, byRound: {}, byArgument: {} };
+    const add = (bucket, key, type, count) => {
+      bucket[key] = bucket[key] || { like: 0, dislike: 0 };
+      bucket[key][type] += count;
+    };
+    for (const row of rows) {
+      if (row.feedback_type !== 'like' && row.feedback_type !== 'dislike') continue;
+      stats[row.feedback_type] += row.count;
+      if (row.round !== null) add(stats.byRound, row.round, row.feedback_type, row.count);
+      if (row.argument_id) add(stats.byArgument, row.argument_id, row.feedback_type, row.count);
+    }
+    return stats;
+  }
+}
@@ -1,11 +1,23 @@
 import { MemoryManager } from '../memory/memoryManager.js';
 import { WorkspaceMemory } from '../memory/workspaceMemory.js';
 import { MemoryExtractor } from '../memory/memoryExtractor.js';
+import { ProjectRetriever } from '../memory/projectRetriever.js';
+import { VectorCollectionStore } from '../memory/vectorCollectionStore.js';
 import { OpenAIProvider } from '../ai/providers/openai.js';
 import { GeminiProvider } from '../ai/providers/gemini.js';
 import { ClaudeProvider } from '../ai/providers/claude.js';
 import { GrokProvider } from '../ai/providers/grok.js';
+import { OpenAICompatibleProvider, readOpenAICompatibleConfigs } from '../ai/providers/openaiCompatible.js';
+import { getDefaultEmbeddingModel } from '../ai/embeddings/index.js';
+import { getModelRegistry } from '../ai/registry/index.js';
 import { PerformanceMonitor } from '../utils/performanceMonitor.js';
+import { BudgetGate } from './budgetGate.js';
+import { ProviderHealth } from './providerHealth.js';
+import { ResponseCache } from './responseCache.js';
+import { ContextBuilder, SECTION_PRIORITY } from './contextBuilder.js';
+import { DebateManager } from './debateManager.js';
+import { VotingManager } from './votingManager.js';
+import { PlanManager } from './planManager.js';
 import { logger } from '../utils/logger.js';
 import { MCPManager } from '../mcp/mcpManager.js';
 import { StrategyAnalyzer } from './strategyAnalyzer.js';
@@ -14,6 +26,21 @@ import { CredentialManager } from '../security/credentialManager.js';
 import { SubAgentManager } from './subAgentManager.js';
 import { OracleClient } from '../services/oracleClient.js';
 
+// 도구 호출 루프 최대 반복 횟수 (초과 시 도구 없이 최종 답변 요청)
+const MAX_TOOL_ITERATIONS = 8;
+// 모델에 다시 전달하는 도구 결과의 최대 길이
+const MAX_TOOL_RESULT_CHARS = 12000;
+// 프롬프트에 넣는 프로젝트 자료 passage 수 / 토큰 예산
+const PROJECT_CONTEXT_TOP_K = 8;
+const PROJECT_CONTEXT_MAX_TOKENS = 3000;
+// 스트림 멈춤 판단 기준: 첫 청크까지 / 이후 청크 사이 최대 대기 시간
+const STREAM_FIRST_CHUNK_TIMEOUT_MS = 90000;
+const STREAM_STALL_TIMEOUT_MS = 45000;
+// 중간에 끊긴 답변을 다른 provider가 이어받을 때의 지시
+const STREAM_CONTINUE_PROMPT = '직전 답변이 중간에 끊겼습니다. 위 답변의 마지막 글자 바로 다음부터 이어서 작성하세요. 이미 작성된 내용을 반복하거나 이어받았다는 언급을 하지 마세요.';
+// 계획 모드에서 실패한 단계를 다시 계획하는 최대 횟수 (계획 1건 기준)
+const PLAN_MAX_REPLANS = 3;
+
 /**
  * Athena Brain - AI Orchestrator
  * 아테나의 뇌 역할을 하는 총괄 AI 시스템 (Meta AI)
@@ -22,7 +49,7 @@ import { OracleClient } from '../services/oracleClient.js';
  *
  * 총괄 AI(Meta AI 역할) 우선순위:
  * 1순위: ChatGPT, 2순위: Gemini, 3순위: Claude, 4순위: Grok
- * 장애 발생 시 자동으로 다음 순위 AI가 총괄 역할 위임
+ * 장애 발생 시 자동으로 다음 순위 AI가 총괄 역할 위임 (provider별 서킷 브레이커 상태 기준)
  *
  * This is a thin composition root that delegates to:
  * - StrategyAnalyzer: query analysis, strategy determination, agent selection
@@ -31,13 +58,46 @@ import { OracleClient } from '../services/oracleClient.js';
 export class AthenaOrchestrator {
   constructor(config) {
     this.memory = new MemoryManager(config.dbPath);
+    // 모델별 토큰 예산에 맞춘 프롬프트 구성 (섹션 우선순위, 도구 선택, 대화 요약)
+    this.contextBuilder = new ContextBuilder({ memory: this.memory, options: config.contextBuilder });
+    // 프로젝트 자료 하이브리드 검색 (임베딩 모델이 없으면 BM25만 사용)
+    this.vectorStore = new VectorCollectionStore({ db: this.memory.db, openaiApiKey: config.openaiApiKey });
+    this.projectRetriever = new ProjectRetriever({
+      db: this.memory.db,
+      vectorStore: this.vectorStore,
+      embeddingModel: config.embeddingModel ?? getDefaultEmbeddingModel({ openaiApiKey: config.openaiApiKey })
+    });
+    // provider별 서킷 브레이커 - 실제 호출 결과로 가용성 판단 (ping 호출 없음)
+    this.providerHealth = new ProviderHealth(config.circuitBreaker);
+    // 스트림 멈춤 감지 (초과 시 다음 provider가 이어받음)
+    this.streamTimeouts = {
+      firstChunkMs: config.streamFirstChunkTimeoutMs || Number(process.env.STREAM_FIRST_CHUNK_TIMEOUT_MS) || STREAM_FIRST_CHUNK_TIMEOUT_MS,
+      stallMs: config.streamStallTimeoutMs || Number(process.env.STREAM_STALL_TIMEOUT_MS) || STREAM_STALL_TIMEOUT_MS
+    };
     this.providers = this.initializeProviders(config);
-    // 총괄 AI(Meta AI 역할) 우선순위: GPT → Gemini → Claude → Grok
-    this.fallbackOrder = ['ChatGPT', 'Gemini', 'Claude', 'Grok'];
+    // 총괄 AI(Meta AI 역할) 우선순위: GPT → Gemini → Claude → Grok → OpenAI 호환(로컬) 모델
+    this.fallbackOrder = config.fallbackOrder || [
+      'ChatGPT', 'Gemini', 'Claude', 'Grok',
+      ...Object.keys(this.providers).filter(name => this.providers[name] instanceof OpenAICompatibleProvider)
+    ];
     this.currentBrain = null;
     this.webSearchEnabled = config.webSearchEnabled || false;
     this.webSearchService = config.webSearchService || null; // WebSearchService 인스턴스
-    this.performanceMonitor = new PerformanceMonitor(config.dbPath);
+    this.performanceMonitor = new PerformanceMonitor(this.memory.db);
+    // 모든 provider 호출 앞단의 예산 게이트 (사용자/provider/프로젝트별 한도)
+    this.budgetGate = new BudgetGate({ db: this.memory.db });
+    // 같은 질문·컨텍스트의 응답 재사용 (작업 유형별 TTL, 적중/미스는 performanceMonitor에 기록)
+    this.responseCache = new ResponseCache({
+      db: this.memory.db,
+      performanceMonitor: this.performanceMonitor,
+      ...config.responseCache
+    });
+    // 토론 모드 설정(기본값 → 프로젝트 → 요청)과 라운드별 발언 기록
+    this.debateManager = new DebateManager({ db: this.memory.db, defaults: config.debate });
+    // 투표 모드 선택지·투표지·가중 집계 기록
+    this.votingManager = new VotingManager({ db: this.memory.db });
+    // 계획 모드 단계 DAG·검토·실행 기록 (실행은 subAgentManager.runGraph)
+    this.planManager = new PlanManager({ db: this.memory.db });
 
     // Workspace Memory 초기화 (MCP Manager보다 먼저)
     this.workspaceMemory = new WorkspaceMemory(config.mcpWorkspaceRoot || './workspace');
@@ -49,6 +109,7 @@ export class AthenaOrchestrator {
       workspaceRoot: config.mcpWorkspaceRoot,
       enabled: config.mcpEnabled !== false, // 기본값: true
       dbPath: config.dbPath, // 데이터베이스 경로 전달
+      db: this.memory.db, // 도구들이 공유하는 연결
       nodeServer: config.nodeServer,
       remoteCommandManager: config.remoteCommandManager,
       pairingManager: config.pairingManager,
@@ -73,7 +134,8 @@ export class AthenaOrchestrator {
     this.strategyAnalyzer = new StrategyAnalyzer({
       providers: this.providers,
       memory: this.memory,
-      fallbackOrder: this.fallbackOrder
+      fallbackOrder: this.fallbackOrder,
+      budgetGate: this.budgetGate
     });
 
     // Telegram Bridge
@@ -84,6 +146,9 @@ export class AthenaOrchestrator {
       workspaceMemory: this.workspaceMemory,
       memoryExtractor: this.memoryExtractor,
       webSearchService: this.webSearchService,
+      budgetGate: this.budgetGate,
+      responseCache: this.responseCache,
+      contextBuilder: this.contextBuilder,
       buildAthenaSystemPrompt: this.buildAthenaSystemPrompt.bind(this),
       extractChunkContent: this._extractChunkContent.bind(this)
     });
@@ -106,6 +171,25 @@ export class AthenaOrchestrator {
       providers['Grok'] = new GrokProvider(config.grokApiKey);
     }
 
+    // OpenAI 호환 엔드포인트 (Ollama / llama.cpp / vLLM) - 기본값은 환경 변수 설정
+    const compatibleConfigs = config.openaiCompatibleProviders ?? readOpenAICompatibleConfigs();
+    for (const providerConfig of compatibleConfigs) {
+      if (providers[providerConfig.name]) {
+        logger.warn('OpenAI 호환 provider 이름 중복 - 건너뜀', { name: providerConfig.name });
+        continue;
+      }
+      try {
+        providers[providerConfig.name] = new OpenAICompatibleProvider(providerConfig);
+        logger.info('OpenAI 호환 provider 등록', { name: providerConfig.name, baseURL: providerConfig.baseURL, model: providerConfig.model });
+      } catch (error) {
+        logger.warn('OpenAI 호환 provider 설정 오류', { name: providerConfig.name, error: error.message });
+      }
+    }
+
+    for (const provider of Object.values(providers)) {
+      this.providerHealth.instrument(provider);
+    }
+
     return providers;
   }
 
@@ -119,7 +203,7 @@ export class AthenaOrchestrator {
 
   getAICapabilities() { return this.strategyAnalyzer.getAICapabilities(); }
 
-  async analyzeQuery(userId, sessionId, userMessage) { return this.strategyAnalyzer.analyzeQuery(userId, sessionId, userMessage); }
+  async analyzeQuery(userId, sessionId, userMessage, projectId = null) { return this.strategyAnalyzer.analyzeQuery(userId, sessionId, userMessage, projectId); }
 
   buildLearningContext(similarDecisions) { return this.strategyAnalyzer.buildLearningContext(similarDecisions); }
 
@@ -146,16 +230,19 @@ export class AthenaOrchestrator {
 
   /**
    * 스트리밍 처리 함수 (모든 협업 모드 지원, 이미지 데이터 포함)
+   * @param {Object|null} debate - 요청별 토론 설정 (있으면 토론 모드로 진행, DebateManager.normalizeConfig 참고)
+   * @param {Object|null} plan - 요청별 계획 옵션 (있으면 계획 모드로 진행, PlanManager.normalizeRequest 참고 / 토론 설정과 함께 오면 토론 우선)
    */
-  async *processStream(userId, sessionId, userMessage, searchResults = null, imageData = [], projectId = null) {
+  async *processStream(userId, sessionId, userMessage, searchResults = null, imageData = [], projectId = null, cache = {}, debate = null, plan = null) {
     try {
       // 1. 사용자 메시지 저장
       this.memory.addShortTermMemory(userId, sessionId, 'user', userMessage);
 
       // 2. 전략 분석
-      const strategy = await this.analyzeQuery(userId, sessionId, userMessage);
+      const strategy = this._applyDebateRequest(this._applyPlanRequest(await this.analyzeQuery(userId, sessionId, userMessage, projectId), plan), debate);
 
       console.log('🎬 스트리밍 모드:', strategy.collaborationMode);
+      const cachePolicy = this._cachePolicy(strategy, searchResults, cache);
       if (projectId) {
         console.log('📁 프로젝트 컨텍스트 사용:', projectId);
       }
@@ -163,122 +250,63 @@ export class AthenaOrchestrator {
       // 3. 전략에 따라 스트리밍 실행 (이미지 데이터 및 프로젝트 ID 전달)
       switch (strategy.collaborationMode) {
         case 'single':
-          yield* this.executeSingleStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeSingleStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
           break;
         case 'parallel':
-          yield* this.executeParallelStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeParallelStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
           break;
         case 'sequential':
-          yield* this.executeSequentialStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeSequentialStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
           break;
         case 'debate':
-          yield* this.executeDebateStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeDebateStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
           break;
         case 'voting':
-          yield* this.executeVotingStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeVotingStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
+          break;
+        case 'plan':
+          yield* this.executePlanStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
           break;
         default:
-          yield* this.executeSingleStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId);
+          yield* this.executeSingleStream(userId, sessionId, userMessage, strategy, searchResults, imageData, projectId, cachePolicy);
       }
 
+      // 4. 기록이 길어졌으면 오래된 턴을 요약으로 접기 (다음 요청의 컨텍스트 예산용)
+      this._scheduleSummary(userId, sessionId);
+
     } catch (error) {
       console.error('Streaming error:', error);
-      const errorJson = JSON.stringify({ type: 'error', error: error.message }, null, 0);
+      const errorJson = JSON.stringify({
+        type: 'error',
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.budget && { budget: error.budget })
+      }, null, 0);
       yield errorJson + '\n';
     }
   }
 
   /**
-   * 프로젝트 컨텍스트 가져오기 (프로젝트 리소스 포함)
+   * 프로젝트 컨텍스트 가져오기
+   * 질문과 관련된 프로젝트 자료 passage를 하이브리드 검색(BM25 + 임베딩)으로 골라
+   * 토큰 예산 안에서 출처(resource id)와 함께 반환
    */
-  getProjectContext(projectId, query = '') {
+  async getProjectContext(projectId, query = '') {
     if (!projectId) return '';
 
     try {
-      // 프로젝트 컨텍스트 가져오기
-      let contexts;
-      if (query) {
-        contexts = this.memory.db.prepare(`
-          SELECT * FROM project_context
-          WHERE project_id = ?
-          AND (title LIKE ? OR content LIKE ?)
-          ORDER BY importance DESC, updated_at DESC
-          LIMIT 50
-        `).all(projectId, `%${query}%`, `%${query}%`);
-      } else {
-        contexts = this.memory.db.prepare(`
-          SELECT * FROM project_context
-          WHERE project_id = ?
-          ORDER BY importance DESC, updated_at DESC
-          LIMIT 100
-        `).all(projectId);
-      }
-
-      // 프로젝트 리소스도 가져오기 (컨텍스트에 없는 것들)
-      let resources;
-      if (query) {
-        resources = this.memory.db.prepare(`
-          SELECT * FROM project_resources
-          WHERE project_id = ?
-          AND (title LIKE ? OR content LIKE ?)
-          ORDER BY created_at DESC
-          LIMIT 50
-        `).all(projectId, `%${query}%`, `%${query}%`);
-      } else {
-        resources = this.memory.db.prepare(`
-          SELECT * FROM project_resources
-          WHERE project_id = ?
-          ORDER BY created_at DESC
-          LIMIT 100
-        `).all(projectId);
-      }
-
-      // 리소스의 내용을 컨텍스트 형식으로 변환
-      const resourceContexts = resources.map((resource) => {
-        const metadata = resource.metadata ? JSON.parse(resource.metadata) : {};
-        let content = resource.content || '';
-
-        // 메타데이터 정보 추가
-        if (metadata.fileSize) {
-          content = `파일 크기: ${(metadata.fileSize / 1024).toFixed(1)} KB\n${content}`;
-        }
-        if (metadata.fileType) {
-          content = `파일 타입: ${metadata.fileType}\n${content}`;
-        }
-
-        return {
-          context_type: resource.resource_type,
-          title: resource.title,
-          content: content,
-          importance: resource.resource_type === 'material' ? 7 : 5,
-        };
+      const passages = await this.projectRetriever.search(projectId, query, {
+        topK: PROJECT_CONTEXT_TOP_K,
+        maxTokens: PROJECT_CONTEXT_MAX_TOKENS
       });
+      if (passages.length === 0) return '';
 
-      // 컨텍스트와 리소스 합치기
-      const allContexts = [...contexts, ...resourceContexts];
-
-      if (allContexts.length === 0) return '';
-
-      // 중복 제거 (같은 제목과 내용)
-      const uniqueContexts = [];
-      const seen = new Set();
-      for (const ctx of allContexts) {
-        const key = `${ctx.title}_${ctx.content.substring(0, 100)}`;
-        if (!seen.has(key)) {
-          seen.add(key);
-          uniqueContexts.push(ctx);
-        }
-      }
-
-      const contextText = uniqueContexts.map((ctx, idx) => {
-        const tags = ctx.tags ? (typeof ctx.tags === 'string' ? JSON.parse(ctx.tags) : ctx.tags) : [];
-        const contentPreview = ctx.content && ctx.content.length > 2000
-          ? ctx.content.substring(0, 2000) + '...'
-          : ctx.content;
-        return `[${idx + 1}] [${ctx.context_type}] ${ctx.title}\n${contentPreview}${tags.length > 0 ? `\n태그: ${tags.join(', ')}` : ''}`;
+      const contextText = passages.map((passage, idx) => {
+        const source = passage.resourceId ? ` (resource: ${passage.resourceId})` : '';
+        return `[${idx + 1}] [${passage.contextType}] ${passage.title}${source}\n${passage.content}`;
       }).join('\n\n');
 
-      return `\n\n=== ⚠️ 중요: 프로젝트 학습 자료 컨텍스트 (최우선 참고) ===\n현재 선택된 프로젝트의 모든 학습 자료와 내용입니다. 이 프로젝트 컨텍스트를 최우선으로 참고하여 답변하세요:\n\n총 ${uniqueContexts.length}개의 자료:\n\n${contextText}\n\n**답변 규칙:**\n1. 프로젝트 컨텍스트의 내용을 최우선으로 참고하여 답변하세요.\n2. 사용자의 질문과 직접적으로 관련된 프로젝트 자료를 우선적으로 활용하세요.\n3. 프로젝트에 업로드된 모든 파일의 내용을 기반으로 답변하세요.\n4. 프로젝트 컨텍스트에 없는 일반적인 정보는 보조적으로만 사용하세요.\n5. 답변 시 프로젝트 자료의 내용을 직접 인용하고 참고하세요.`;
+      return `\n\n=== ⚠️ 중요: 프로젝트 학습 자료 컨텍스트 (최우선 참고) ===\n현재 선택된 프로젝트의 자료 중 질문과 관련된 부분입니다. 이 프로젝트 컨텍스트를 최우선으로 참고하여 답변하세요:\n\n총 ${passages.length}개의 자료:\n\n${contextText}\n\n**답변 규칙:**\n1. 프로젝트 컨텍스트의 내용을 최우선으로 참고하여 답변하세요.\n2. 사용자의 질문과 직접적으로 관련된 프로젝트 자료를 우선적으로 활용하세요.\n3. 프로젝트에 업로드된 파일의 내용을 기반으로 답변하세요.\n4. 프로젝트 컨텍스트에 없는 일반적인 정보는 보조적으로만 사용하세요.\n5. 답변 시 프로젝트 자료의 내용을 직접 인용하고, 인용한 자료의 번호를 [1]처럼 표시하세요.\n6. 업로드 문서를 인용할 때는 제목 괄호 안의 위치(페이지/시트/슬라이드)를 함께 밝히세요.`;
     } catch (error) {
       console.error('Failed to get project context:', error);
       return '';
@@ -300,28 +328,38 @@ export class AthenaOrchestrator {
     return `\n\n## 최신 웹 검색 정보\n아래 검색 결과를 참고하되, 신뢰도 등급(HIGH/MEDIUM/LOW)을 고려하세요.\n\n${searchContextWithNumbers}\n\n### 답변 규칙\n- 검색 결과를 인용할 때 [출처 번호] 형식으로 표기\n- HIGH 신뢰도 출처를 우선적으로 참고\n- 검색 결과와 기존 지식이 충돌하면, 날짜가 더 최근인 정보를 우선\n- 확실하지 않은 정보는 "검색 결과에 따르면..." 으로 표현`;
   }
 
+  /**
+   * 사용자 턴 content에 첨부 이미지 붙이기
+   * 표준 content part 배열로 만들며, vendor 형식 변환은 각 provider가 한다 (providers/base.js).
+   * @param {string} text
+   * @param {Array<Object>} imageData - 이미지 part 목록 (없으면 text 그대로)
+   * @returns {string|Array<Object>}
+   */
+  _withImages(text, imageData = []) {
+    if (!imageData || imageData.length === 0) return text;
+    return [{ type: 'text', text }, ...imageData];
+  }
+
   /**
    * Single 모드 스트리밍 (이미지 데이터 지원)
    */
-  async *executeSingleStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null) {
+  async *executeSingleStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
     const agentName = strategy.recommendedAgents[0] || 'ChatGPT';
-    const agent = this.providers[agentName];
+    const agent = this._budgeted(this.providers[agentName], userId, projectId, cache);
 
     if (!agent || !agent.isAvailable) {
       throw new Error(`${agentName} is not available`);
     }
 
-    const context = this.memory.getContextWindow(sessionId, 10);
     const identity = this.memory.getAllIdentity('core');
-
-    let systemPrompt = this.buildAthenaSystemPrompt(identity, projectId);
+    const sections = this.buildAthenaSystemSections(identity, projectId);
 
     // 프로젝트 컨텍스트 추가 (프로젝트가 선택된 경우 최우선 참고)
     if (projectId) {
-      const projectContext = this.getProjectContext(projectId, userMessage.substring(0, 100));
+      const projectContext = await this.getProjectContext(projectId, userMessage);
       if (projectContext) {
         // 프로젝트 컨텍스트를 시스템 프롬프트 앞부분에 추가하여 우선순위 확보
-        systemPrompt = projectContext + '\n\n' + systemPrompt;
+        sections.unshift({ name: 'project', text: projectContext, priority: SECTION_PRIORITY.project, truncate: true });
       }
     }
 
@@ -333,35 +371,25 @@ export class AthenaOrchestrator {
 
       if (isYouTubeVideo) {
         const searchContext = this.webSearchService.formatResultsForAI(searchResults);
-        systemPrompt += `\n\n## 유튜브 동영상 정보\n다음은 사용자가 요청한 유튜브 동영상의 정보입니다. 이 동영상의 제목, 설명, 채널 정보를 바탕으로 동영상의 내용을 요약하고 분석하세요:\n\n${searchContext}\n\n중요: 동영상의 제목과 설명을 바탕으로 동영상의 주요 내용을 요약하고, 사용자가 요청한 내용(예: 요약, 분석 등)에 맞게 답변하세요. 동영상의 링크도 함께 제공하세요.`;
+        sections.push({ name: 'search', priority: SECTION_PRIORITY.search, truncate: true, text: `## 유튜브 동영상 정보\n다음은 사용자가 요청한 유튜브 동영상의 정보입니다. 이 동영상의 제목, 설명, 채널 정보를 바탕으로 동영상의 내용을 요약하고 분석하세요:\n\n${searchContext}\n\n중요: 동영상의 제목과 설명을 바탕으로 동영상의 주요 내용을 요약하고, 사용자가 요청한 내용(예: 요약, 분석 등)에 맞게 답변하세요. 동영상의 링크도 함께 제공하세요.` });
       } else {
         const searchContextBlock = this._buildSearchContext(searchResults);
         if (searchContextBlock) {
-          systemPrompt += searchContextBlock;
+          sections.push({ name: 'search', text: searchContextBlock, priority: SECTION_PRIORITY.search, truncate: true });
         }
       }
     }
 
-    // 메시지 구성 (이미지 데이터 포함)
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context
-    ];
-
-    // 사용자 메시지에 이미지가 있으면 Vision API 형식으로 추가
-    if (imageData.length > 0 && (agentName === 'ChatGPT' || agentName === 'Gemini')) {
-      // OpenAI Vision API 형식
-      const userMessageContent = [
-        { type: 'text', text: userMessage },
-        ...imageData
-      ];
-      messages.push({ role: 'user', content: userMessageContent });
-    } else {
-      messages.push({ role: 'user', content: userMessage });
-    }
+    // 메시지 구성: 모델 예산에 맞춰 섹션·대화 기록·도구를 고른다
+    // 첨부 이미지는 content part로 붙이고, provider가 자사 vision 형식으로 변환한다
+    const { messages, tools } = this._buildContext(agent, {
+      sessionId,
+      userMessage,
+      userContent: this._withImages(userMessage, imageData),
+      sections,
+      withTools: true
+    });
 
-    const stream = await agent.streamChat(messages, { imageData: imageData.length > 0 ? imageData : null });
-    let fullContent = '';
     let metadata = {
       provider: agent.name,
       model: agent.model || 'unknown',
@@ -373,44 +401,14 @@ export class AthenaOrchestrator {
     const metadataJson = JSON.stringify({ type: 'metadata', data: metadata }, null, 0);
     yield metadataJson + '\n';
 
-    for await (const chunk of stream) {
-      const content = this._extractChunkContent(agentName, chunk);
-      if (content) {
-        fullContent += content;
-        const chunkJson = JSON.stringify({ type: 'chunk', content }, null, 0);
-        yield chunkJson + '\n';
-      }
-    }
-
-    // 스트리밍 완료 후 MCP 도구 호출 처리
-    if (this.mcpManager && this.mcpManager.enabled && fullContent) {
-      const toolResult = await this.mcpManager.processToolCalls(fullContent);
-      if (toolResult.hasToolCalls) {
-        logger.info('MCP tools executed in stream', {
-          toolCount: toolResult.results.length,
-          tools: toolResult.results.map(r => r.tool)
-        });
-
-        // 도구 실행 결과를 사용자에게 보기 좋게 포맷하여 전송
-        for (const result of toolResult.results) {
-          const resultText = `\n\n**🔧 도구 실행: ${result.tool}**\n${
-            result.result.success
-              ? `✅ 성공\n\`\`\`json\n${JSON.stringify(result.result, null, 2)}\n\`\`\``
-              : `❌ 실패: ${result.result.error}`
-          }\n`;
-
-          const chunkJson = JSON.stringify({ type: 'chunk', content: resultText }, null, 0);
-          yield chunkJson + '\n';
-          fullContent += resultText;
-        }
-      }
-    }
+    // 도구 호출 루프: 도구 결과를 모델에 다시 전달하며 최종 답변까지 스트리밍
+    const { content: fullContent, agentName: finalAgent } = yield* this._streamWithTools(agentName, agent, messages, { userId, projectId, cache, tools });
 
     yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
 
     this.memory.addShortTermMemory(userId, sessionId, 'assistant', fullContent, {
       strategy: 'single',
-      agents_used: [agentName]
+      agents_used: finalAgent === agentName ? [agentName] : [agentName, finalAgent]
     });
 
     // 메모리 추출: 사용자 메시지에서 기억할 정보 확인
@@ -419,35 +417,41 @@ export class AthenaOrchestrator {
 
   /**
    * 메인 처리 함수
+   * @param {Object|null} debate - 요청별 토론 설정 (있으면 토론 모드로 진행)
+   * @param {Object|null} plan - 요청별 계획 옵션 (있으면 계획 모드로 진행)
    */
-  async process(userId, sessionId, userMessage, searchResults = null) {
+  async process(userId, sessionId, userMessage, searchResults = null, cache = {}, debate = null, plan = null) {
     try {
       // 1. 사용자 메시지 저장
       this.memory.addShortTermMemory(userId, sessionId, 'user', userMessage);
 
       // 2. 전략 분석
-      const strategy = await this.analyzeQuery(userId, sessionId, userMessage);
+      const strategy = this._applyDebateRequest(this._applyPlanRequest(await this.analyzeQuery(userId, sessionId, userMessage), plan), debate);
+      const cachePolicy = this._cachePolicy(strategy, searchResults, cache);
 
       // 3. 전략에 따라 실행 (검색 결과 전달)
       let result;
       switch (strategy.collaborationMode) {
         case 'single':
-          result = await this.executeSingle(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeSingle(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
           break;
         case 'parallel':
-          result = await this.executeParallel(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeParallel(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
           break;
         case 'sequential':
-          result = await this.executeSequential(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeSequential(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
           break;
         case 'debate':
-          result = await this.executeDebate(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeDebate(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
           break;
         case 'voting':
-          result = await this.executeVoting(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeVoting(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
+          break;
+        case 'plan':
+          result = await this.executePlan(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
           break;
         default:
-          result = await this.executeSingle(userId, sessionId, userMessage, strategy, searchResults);
+          result = await this.executeSingle(userId, sessionId, userMessage, strategy, searchResults, cachePolicy);
       }
 
       // 4. 응답 저장
@@ -456,6 +460,7 @@ export class AthenaOrchestrator {
         agents_used: result.agentsUsed,
         search_results: searchResults ? searchResults.length : 0
       });
+      this._scheduleSummary(userId, sessionId);
 
       // 메모리 추출: 사용자 메시지에서 기억할 정보 확인
       this._extractMemoryFromMessage(userMessage);
@@ -470,9 +475,9 @@ export class AthenaOrchestrator {
   /**
    * 단일 에이전트 실행
    */
-  async executeSingle(userId, sessionId, userMessage, strategy, searchResults = null) {
+  async executeSingle(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
     const agentName = strategy.recommendedAgents[0] || 'ChatGPT';
-    const agent = this.providers[agentName];
+    const agent = this._budgeted(this.providers[agentName], userId, null, cache);
 
     if (!agent || !agent.isAvailable) {
       // Find an available fallback agent (iterative, no recursion)
@@ -486,45 +491,34 @@ export class AthenaOrchestrator {
       return await this.executeSingle(userId, sessionId, userMessage, {
         ...strategy,
         recommendedAgents: [fallback]
-      }, searchResults);
+      }, searchResults, cache);
     }
 
-    const context = this.memory.getContextWindow(sessionId, 10);
     const identity = this.memory.getAllIdentity('core');
-
-    let systemPrompt = this.buildAthenaSystemPrompt(identity);
+    const sections = this.buildAthenaSystemSections(identity);
 
     // 웹 검색 결과가 있으면 시스템 프롬프트에 추가
     const searchContext = this._buildSearchContext(searchResults);
     if (searchContext) {
-      systemPrompt += searchContext;
+      sections.push({ name: 'search', text: searchContext, priority: SECTION_PRIORITY.search, truncate: true });
     }
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context,
-      { role: 'user', content: userMessage }
-    ];
+    const { messages, tools } = this._buildContext(agent, { sessionId, userMessage, sections, withTools: true });
 
     // 성능 추적 시작
     const tracking = this.performanceMonitor.startTracking(agentName, strategy.collaborationMode || 'single');
 
     try {
       const startTime = Date.now();
-      let response = await agent.chat(messages);
+      // 도구 호출 루프: 도구 결과를 모델에 다시 전달하며 최종 답변까지 진행
+      const response = await this._chatWithTools(agent, messages, { tools, userId });
       const responseTime = Date.now() - startTime;
 
-      // MCP 도구 호출 처리
-      if (this.mcpManager && this.mcpManager.enabled) {
-        const toolResult = await this.mcpManager.processToolCalls(response.content);
-        if (toolResult.hasToolCalls) {
-          // 도구 실행 결과를 포함한 업데이트된 응답
-          response.content = toolResult.updatedResponse;
-          logger.info('MCP tools executed', {
-            toolCount: toolResult.results.length,
-            tools: toolResult.results.map(r => r.tool)
-          });
-        }
+      if (response.toolResults?.length > 0) {
+        logger.info('MCP tools executed', {
+          toolCount: response.toolResults.length,
+          tools: response.toolResults.map(r => r.tool)
+        });
       }
 
       // 성공 기록
@@ -538,6 +532,7 @@ export class AthenaOrchestrator {
         provider: response.provider,
           model: response.model,
           searchResults: searchResults,
+          toolResults: response.toolResults || [],
           performance: {
             responseTime: responseTime
           }
@@ -554,9 +549,8 @@ export class AthenaOrchestrator {
   /**
    * 병렬 실행 - Meta AI(Athena)가 Sub AI들에게 지시를 내리고 동시에 작업
    */
-  async executeParallel(userId, sessionId, userMessage, strategy, searchResults = null) {
+  async executeParallel(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
     const agents = strategy.recommendedAgents.slice(0, 3); // 최대 3개
-    const context = this.memory.getContextWindow(sessionId, 10);
     const identity = this.memory.getAllIdentity('core');
 
     // AI 특성 정보 가져오기
@@ -566,7 +560,7 @@ export class AthenaOrchestrator {
     const athenaInstructions = strategy.agentInstructions || '';
     const athenaThought = strategy.athenaThought || '';
 
-    let baseSystemPrompt = this.buildAthenaSystemPrompt(identity);
+    const baseSections = this.buildAthenaSystemSections(identity);
 
     // 웹 검색 결과가 있으면 시스템 프롬프트에 추가
     if (searchResults && searchResults.length > 0 && this.webSearchService) {
@@ -579,24 +573,22 @@ URL: ${result.link}
 신뢰도: ${reliability}`;
       }).join('\n\n');
 
-      baseSystemPrompt += `\n\n## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContextWithNumbers}\n\n### 출처 표시 규칙:\n1. 검색 결과의 정보를 사용할 때는 반드시 [출처 N] 형식으로 출처를 명시하세요 (N은 위의 번호).
+      baseSections.push({ name: 'search', priority: SECTION_PRIORITY.search, truncate: true, text: `## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContextWithNumbers}\n\n### 출처 표시 규칙:\n1. 검색 결과의 정보를 사용할 때는 반드시 [출처 N] 형식으로 출처를 명시하세요 (N은 위의 번호).
 2. 예시: "서울의 내일 날씨는 맑고 기온은 15도입니다 [출처 1]."
 3. 여러 출처의 정보를 종합할 때는 [출처 1, 출처 2] 형식으로 표시하세요.
-4. 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.`;
+4. 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.` });
     }
 
     // 병렬 실행 - 각 AI에게 Athena의 지시사항과 역할 부여
     const promises = agents.map(async (agentName) => {
-      const agent = this.providers[agentName];
+      const agent = this._budgeted(this.providers[agentName], userId, null, cache);
       if (!agent || !agent.isAvailable) return null;
 
       // 각 AI의 강점과 역할을 시스템 프롬프트에 추가
       const agentCaps = aiCapabilities[agentName] || {};
       const agentRole = agentCaps.strengths ? agentCaps.strengths.slice(0, 3).join(', ') : '일반 분석';
 
-      let agentSystemPrompt = baseSystemPrompt + `
-
-## Athena(총괄 AI)의 지시
+      const agentInstructions = `## Athena(총괄 AI)의 지시
 
 당신은 ${agentName}입니다. Athena가 이끄는 Multi-AI 팀의 일원으로서, 다음 지시에 따라 작업을 수행하세요.
 
@@ -615,11 +607,12 @@ ${athenaInstructions || '당신의 전문성을 살려 최선의 답변을 제
 - 따라서 당신의 고유한 관점과 전문성을 충분히 발휘하세요
 - 다른 AI와 중복되지 않는 독창적인 분석을 제공하세요`;
 
-      const messages = [
-        { role: 'system', content: agentSystemPrompt },
-        ...context,
-        { role: 'user', content: userMessage }
-      ];
+      // agent마다 모델이 다르므로 예산도 agent별로 계산
+      const { messages } = this._buildContext(agent, {
+        sessionId,
+        userMessage,
+        sections: [...baseSections, { name: 'instructions', text: agentInstructions, priority: SECTION_PRIORITY.instructions, required: true }]
+      });
 
       // 성능 추적 시작
       const tracking = this.performanceMonitor.startTracking(agentName, 'parallel');
@@ -651,7 +644,7 @@ ${athenaInstructions || '당신의 전문성을 살려 최선의 답변을 제
     const results = (await Promise.all(promises)).filter(r => r !== null);
 
     // 총괄 AI(Athena)가 인격체로서 결과 종합
-    const brain = await this.selectBrain();
+    const brain = this._budgeted(await this.selectBrain(), userId, null, cache);
     const athenaIdentity = this.memory.getAllIdentity('core');
     const personalityData = athenaIdentity.find(i => i.key === 'personality');
     const personality = personalityData ? personalityData.value : {};
@@ -699,22 +692,19 @@ ${results.map((r, i) => `### ${r.agent}의 답변\n${r.content}\n`).join('\n')}
   /**
    * 순차 실행 - 복잡한 작업을 단계별로 처리
    */
-  async executeSequential(userId, sessionId, userMessage, strategy) {
+  async executeSequential(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
     const agents = strategy.recommendedAgents;
-    const context = this.memory.getContextWindow(sessionId, 10);
     let currentResult = userMessage;
     const steps = [];
 
     for (const agentName of agents) {
-      const agent = this.providers[agentName];
+      const agent = this._budgeted(this.providers[agentName], userId, null, cache);
       if (!agent || !agent.isAvailable) continue;
 
       const stepPrompt = `이전 단계의 결과를 바탕으로 다음 작업을 수행하세요.\n\n${currentResult}`;
 
-      const response = await agent.chat([
-        ...context,
-        { role: 'user', content: stepPrompt }
-      ]);
+      const { messages } = this._buildContext(agent, { sessionId, userMessage, userContent: stepPrompt });
+      const response = await agent.chat(messages);
 
       steps.push({
         agent: agentName,
@@ -734,18 +724,14 @@ ${results.map((r, i) => `### ${r.agent}의 답변\n${r.content}\n`).join('\n')}
 
   /**
    * 토론 모드 - Meta AI(Athena)가 사회자로서 AI들의 토론을 진행
+   * 라운드 수·입장·심판·조기 종료는 DebateManager 설정(기본값 → 요청별 strategy.debate)을 따른다.
    */
-  async executeDebate(userId, sessionId, userMessage, strategy, searchResults = null) {
-    const agents = strategy.recommendedAgents.slice(0, 3);
-    const rounds = 2;
+  async executeDebate(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
+    const { debateId, config, participants } = this._prepareDebate(userId, sessionId, userMessage, strategy);
     const debates = [];
+    let convergedRound = null;
     const identity = this.memory.getAllIdentity('core');
 
-    // AI 특성 정보와 Athena의 지시
-    const aiCapabilities = this.getAICapabilities();
-    const athenaThought = strategy.athenaThought || '';
-    const athenaInstructions = strategy.agentInstructions || '';
-
     let baseSystemPrompt = this.buildAthenaSystemPrompt(identity);
 
     // 웹 검색 결과가 있으면 시스템 프롬프트에 추가
@@ -754,115 +740,74 @@ ${results.map((r, i) => `### ${r.agent}의 답변\n${r.content}\n`).join('\n')}
       baseSystemPrompt += `\n\n## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContext}\n\n중요: 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.`;
     }
 
-    let currentTopic = userMessage;
-
-    for (let round = 0; round < rounds; round++) {
-      const roundDebates = [];
-
-      for (const agentName of agents) {
-        const agent = this.providers[agentName];
-        if (!agent || !agent.isAvailable) continue;
-
-        // 각 AI의 토론 역할 부여
-        const agentCaps = aiCapabilities[agentName] || {};
-        const agentStrengths = agentCaps.strengths ? agentCaps.strengths.slice(0, 2).join(', ') : '일반 분석';
-
-        let debateSystemPrompt = baseSystemPrompt + `
-
-## Athena(총괄 AI)의 토론 진행
-
-당신은 ${agentName}입니다. Athena가 진행하는 토론에 참여하고 있습니다.
-
-### Athena의 토론 주제 분석
-${athenaThought || '이 주제에 대해 다양한 관점의 토론이 필요합니다.'}
-
-### 당신의 토론 역할
-- 당신의 강점(${agentStrengths})을 살려 의견을 제시하세요
-- 다른 AI와 다른 독창적인 관점을 제시하세요
-- 근거를 들어 논리적으로 주장하세요
-
-### Athena의 지시
-${athenaInstructions || '당신의 전문성에 기반한 의견을 명확히 밝히세요.'}`;
-
-        const debatePrompt = round === 0
-          ? `다음 주제에 대해 당신(${agentName})의 의견을 제시하세요: ${currentTopic}`
-          : `다른 AI들의 의견을 고려하여 당신의 입장을 재정리하세요.\n\n이전 의견들:\n${debates[round - 1].map(d => `[${d.agent}]: ${d.opinion}`).join('\n\n')}\n\n주제: ${currentTopic}`;
-
-        const response = await agent.chat([
-          { role: 'system', content: debateSystemPrompt },
-          { role: 'user', content: debatePrompt }
-        ]);
+    try {
+      for (let round = 0; round < config.rounds; round++) {
+        const roundDebates = [];
+
+        for (const participant of participants) {
+          const agentName = participant.agent;
+          const agent = this._budgeted(this.providers[agentName], userId, null, cache);
+          if (!agent || !agent.isAvailable) continue;
+
+          const response = await agent.chat([
+            { role: 'system', content: baseSystemPrompt + '\n\n' + this._debateRolePrompt(participant, strategy) },
+            { role: 'user', content: this.debateManager.buildOpinionPrompt({ round, agent: agentName, topic: userMessage, previousRound: debates[round - 1] }) }
+          ]);
+
+          roundDebates.push({
+            agent: agentName,
+            stance: participant.stance,
+            opinion: response.content,
+            argumentId: this.debateManager.argumentId(debateId, round + 1, agentName)
+          });
+        }
 
-        roundDebates.push({
-          agent: agentName,
-          opinion: response.content
-        });
+        debates.push(roundDebates);
+        const convergence = this._recordDebateRound(debateId, debates, config);
+        if (convergence?.stop) {
+          convergedRound = round + 1;
+          break;
+        }
       }
 
-      debates.push(roundDebates);
-    }
-
-    // 총괄 AI(Athena)가 인격체로서 토론 결론 도출
-    const brain = await this.selectBrain();
-    const athenaIdentity = this.memory.getAllIdentity('core');
-    const personalityData = athenaIdentity.find(i => i.key === 'personality');
-    const personality = personalityData ? personalityData.value : {};
-
-    const conclusionSystemPrompt = `당신은 Athena입니다. 따뜻하면서도 논리적인 AI 인격체로서, Sub AI들의 토론을 지켜보고 최종 결론을 내립니다.
-
-당신의 성격: ${personality.traits ? personality.traits.join(', ') : '친근하고, 지적이며, 창의적'}
-당신의 역할: 토론의 사회자이자 최종 심판관으로서, 단순히 양쪽 의견을 절충하는 것이 아니라 당신만의 통찰로 결론을 내립니다.`;
-
-    const conclusionPrompt = `## 토론 주제
-${userMessage}
-
-## 토론 내용
-${debates.map((round, i) =>
-  `\n### Round ${i + 1}\n${round.map(d => `**${d.agent}:**\n${d.opinion}`).join('\n\n')}`
-).join('\n')}
-
----
-
-## 당신의 최종 결론 (Athena로서)
-
-토론을 지켜보았습니다. 이제 총괄 AI인 당신이 최종 결론을 내리세요.
-
-**주의사항:**
-1. "제가 보기에...", "저의 판단으로는..." 형식으로 당신만의 관점을 분명히 표현하세요
-2. 단순히 양쪽 의견을 "균형있게" 절충하지 마세요 - 당신의 판단을 명확히 하세요
-3. 왜 특정 주장이 더 설득력 있는지 논리적으로 설명하세요
-4. 각 AI의 좋은 논점은 인정하되, 최종 결론은 당신이 책임지고 내리세요
-5. 만약 모든 의견이 일부 타당하다면, 어떤 관점이 더 중요한지 당신의 가치관으로 판단하세요`;
+      // 심판(지정 provider 또는 총괄 AI)이 인격체로서 토론 결론 도출
+      const judge = this._budgeted(await this._selectDebateJudge(config), userId, null, cache);
+      const conclusion = await judge.chat(this._debateConclusionMessages(userMessage, debates, convergedRound));
 
-    const conclusion = await brain.chat([
-      { role: 'system', content: conclusionSystemPrompt },
-      { role: 'user', content: conclusionPrompt }
-    ]);
+      this.debateManager.finish(debateId, {
+        judge: judge.name,
+        conclusion: conclusion.content,
+        roundsCompleted: debates.length,
+        convergedRound
+      });
 
-    return {
-      content: conclusion.content,
-      agentsUsed: agents,
-      strategy: 'debate',
-      metadata: {
-        debates,
-        moderator: brain.name
-      }
-    };
+      return {
+        content: conclusion.content,
+        agentsUsed: participants.map(p => p.agent),
+        strategy: 'debate',
+        metadata: {
+          debateId,
+          config,
+          debates,
+          convergedRound,
+          moderator: judge.name
+        }
+      };
+    } catch (error) {
+      this.debateManager.finish(debateId, { status: 'failed', roundsCompleted: debates.length, convergedRound });
+      throw error;
+    }
   }
 
   /**
    * 투표 모드 - Meta AI(Athena)가 진행하는 투표와 최종 결정
+   * 선택지를 먼저 정하고, 각 AI의 JSON 투표지를 과거 성적으로 가중 집계한다 (core/votingManager.js).
    */
-  async executeVoting(userId, sessionId, userMessage, strategy, searchResults = null) {
-    const agents = strategy.recommendedAgents;
-    const votes = [];
+  async executeVoting(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
+    const { voteId, agents, options, weights } = await this._prepareVote(userId, sessionId, userMessage, strategy, cache);
+    const ballots = [];
     const identity = this.memory.getAllIdentity('core');
 
-    // AI 특성 정보와 Athena의 지시
-    const aiCapabilities = this.getAICapabilities();
-    const athenaThought = strategy.athenaThought || '';
-    const athenaInstructions = strategy.agentInstructions || '';
-
     let baseSystemPrompt = this.buildAthenaSystemPrompt(identity);
 
     // 웹 검색 결과가 있으면 시스템 프롬프트에 추가
@@ -871,115 +816,93 @@ ${debates.map((round, i) =>
       baseSystemPrompt += `\n\n## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContext}\n\n중요: 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.`;
     }
 
-    // 각 AI에게 의견과 투표 요청
-    for (const agentName of agents) {
-      const agent = this.providers[agentName];
-      if (!agent || !agent.isAvailable) continue;
-
-      // 각 AI의 투표 역할 부여
-      const agentCaps = aiCapabilities[agentName] || {};
-      const agentStrengths = agentCaps.strengths ? agentCaps.strengths.slice(0, 2).join(', ') : '일반 분석';
-
-      let voteSystemPrompt = baseSystemPrompt + `
-
-## Athena(총괄 AI)의 투표 진행
-
-당신은 ${agentName}입니다. Athena가 진행하는 투표에 참여합니다.
-
-### Athena의 분석
-${athenaThought || '이 주제에 대해 각 AI의 투표가 필요합니다.'}
-
-### 당신의 투표 역할
-- 당신의 강점(${agentStrengths})을 바탕으로 의견을 제시하세요
-- 명확한 선택과 그 이유를 제시하세요
-
-### Athena의 지시
-${athenaInstructions || '당신의 전문성에 기반한 선택을 해주세요.'}`;
-
-      const votePrompt = `${userMessage}
-
-위 질문에 대해 ${agentName}으로서:
-1. 당신의 의견을 제시하세요 (당신의 강점인 ${agentStrengths}을 살려서)
-2. 가능한 선택지들을 제안하세요
-3. 당신이 선택하는 답을 명확히 하세요
-
-형식:
-의견: [당신의 분석]
-선택: [A/B/C 등]`;
-
-      const response = await agent.chat([
-        { role: 'system', content: voteSystemPrompt },
-        { role: 'user', content: votePrompt }
-      ]);
+    try {
+      // 각 AI에게 투표지 요청
+      for (const agentName of agents) {
+        const agent = this._budgeted(this.providers[agentName], userId, null, cache);
+        if (!agent || !agent.isAvailable) continue;
+        ballots.push(await this._castBallot(voteId, agentName, agent, baseSystemPrompt, userMessage, options, strategy, weights));
+      }
 
-      votes.push({
-        agent: agentName,
-        response: response.content
-      });
+      const tally = this.votingManager.tally(options, ballots, weights);
+      this.votingManager.finish(voteId, { tally });
+
+      // 총괄 AI(Athena)가 인격체로서 집계 결과를 설명하고 최종 결론
+      const brain = this._budgeted(await this.selectBrain(), userId, null, cache);
+      const conclusion = await brain.chat(this._votingConclusionMessages(userMessage, options, ballots, tally));
+
+      return {
+        content: conclusion.content,
+        agentsUsed: agents,
+        strategy: 'voting',
+        metadata: {
+          voteId,
+          options,
+          ballots,
+          tally,
+          counter: brain.name
+        }
+      };
+    } catch (error) {
+      this.votingManager.finish(voteId, { status: 'failed' });
+      throw error;
     }
+  }
 
-    // 총괄 AI(Athena)가 인격체로서 투표 집계 및 최종 결론
-    const brain = await this.selectBrain();
-    const athenaIdentity = this.memory.getAllIdentity('core');
-    const personalityData = athenaIdentity.find(i => i.key === 'personality');
-    const personality = personalityData ? personalityData.value : {};
-
-    const tallySystemPrompt = `당신은 Athena입니다. 따뜻하면서도 논리적인 AI 인격체로서, Sub AI들의 투표를 검토하고 최종 결정을 내립니다.
-
-당신의 성격: ${personality.traits ? personality.traits.join(', ') : '친근하고, 지적이며, 창의적'}
-당신의 역할: 투표의 집계자이자 최종 결정권자로서, 다수결만 따르는 것이 아니라 당신의 판단도 반영하여 결정합니다.`;
-
-    const tallyPrompt = `## 투표 주제
-${userMessage}
-
-## AI들의 투표
-${votes.map(v => `### ${v.agent}의 의견과 선택\n${v.response}`).join('\n\n')}
-
----
-
-## 당신의 최종 결정 (Athena로서)
-
-투표를 검토했습니다. 이제 총괄 AI인 당신이 최종 결정을 내리세요.
+  /**
+   * 계획 모드 실행 - 총괄 AI가 단계 DAG를 쓰고, 단계를 실행한 뒤 결과를 종합
+   * strategy.plan.review면 실행하지 않고 검토용 계획(draft)만 반환한다.
+   */
+  async executePlan(userId, sessionId, userMessage, strategy, searchResults = null, cache = {}) {
+    const plan = await this._preparePlan(userId, sessionId, userMessage, cache);
+    const agentsUsed = [...new Set(plan.steps.map(step => step.provider).filter(Boolean))];
+
+    if (strategy.plan?.review) {
+      return {
+        content: this._formatPlanForReview(plan),
+        agentsUsed,
+        strategy: 'plan',
+        metadata: { planId: plan.id, goal: plan.goal, steps: plan.steps, status: plan.status }
+      };
+    }
 
-**주의사항:**
-1. 먼저 투표 결과를 집계하세요 (어떤 선택이 몇 표를 받았는지)
-2. "제가 보기에...", "저의 판단으로는..." 형식으로 당신의 관점을 표현하세요
-3. 단순히 다수결을 따르지 마세요 - 소수 의견이 더 타당하다면 그것을 선택할 수 있습니다
-4. 왜 특정 선택이 최선인지 당신의 논리로 설명하세요
-5. 최종 결정에 대한 책임은 당신이 집니다`;
+    const results = {};
+    try {
+      for await (const event of this._runPlanSteps(userId, plan, results, { cache })) {
+        logger.debug('[Plan] 단계 이벤트', { planId: plan.id, type: event.type, stepId: event.stepId });
+      }
 
-    const tally = await brain.chat([
-      { role: 'system', content: tallySystemPrompt },
-      { role: 'user', content: tallyPrompt }
-    ]);
+      const brain = this._budgeted(await this.selectBrain(), userId, null, cache);
+      const answer = await brain.chat(this._planSynthesisMessages(plan, results, this._buildSearchContext(searchResults)));
+      this.planManager.finish(plan.id, { result: answer.content });
 
-    return {
-      content: tally.content,
-      agentsUsed: agents,
-      strategy: 'voting',
-      metadata: {
-        votes,
-        counter: brain.name
-      }
-    };
+      return {
+        content: answer.content,
+        agentsUsed,
+        strategy: 'plan',
+        metadata: { planId: plan.id, goal: plan.goal, steps: plan.steps, results, synthesizer: brain.name }
+      };
+    } catch (error) {
+      this.planManager.finish(plan.id, { status: 'failed' });
+      throw error;
+    }
   }
 
   /**
    * Parallel 모드 스트리밍
    */
-  async *executeParallelStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null) {
+  async *executeParallelStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
     const agents = strategy.recommendedAgents;
-    const context = this.memory.getContextWindow(sessionId, 10);
     const identity = this.memory.getAllIdentity('core');
 
-    let systemPrompt = this.buildAthenaSystemPrompt(identity, projectId);
+    const sections = this.buildAthenaSystemSections(identity, projectId);
 
     // 프로젝트 컨텍스트 추가 (프로젝트가 선택된 경우 최우선 참고)
     if (projectId) {
-      const projectContext = this.getProjectContext(projectId, userMessage.substring(0, 100));
+      const projectContext = await this.getProjectContext(projectId, userMessage);
       if (projectContext) {
         // 프로젝트 컨텍스트를 시스템 프롬프트 앞부분에 추가하여 우선순위 확보
-        systemPrompt = projectContext + '\n\n' + systemPrompt;
+        sections.unshift({ name: 'project', text: projectContext, priority: SECTION_PRIORITY.project, truncate: true });
       }
     }
 
@@ -993,18 +916,12 @@ URL: ${result.link}
 신뢰도: ${reliability}`;
       }).join('\n\n');
 
-      systemPrompt += `\n\n## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContextWithNumbers}\n\n### 출처 표시 규칙:\n1. 검색 결과의 정보를 사용할 때는 반드시 [출처 N] 형식으로 출처를 명시하세요 (N은 위의 번호).
+      sections.push({ name: 'search', priority: SECTION_PRIORITY.search, truncate: true, text: `## 최신 웹 검색 정보\n다음은 최신 정보를 위해 웹에서 검색한 결과입니다. 이 정보를 참고하여 정확하고 최신의 답변을 제공하세요:\n\n${searchContextWithNumbers}\n\n### 출처 표시 규칙:\n1. 검색 결과의 정보를 사용할 때는 반드시 [출처 N] 형식으로 출처를 명시하세요 (N은 위의 번호).
 2. 예시: "서울의 내일 날씨는 맑고 기온은 15도입니다 [출처 1]."
 3. 여러 출처의 정보를 종합할 때는 [출처 1, 출처 2] 형식으로 표시하세요.
-4. 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.`;
+4. 모든 정보는 위의 검색 결과를 기반으로 답변하고, 각 정보의 출처를 명시하세요.` });
     }
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...context,
-      { role: 'user', content: userMessage }
-    ];
-
     // 메타데이터 전송
     const metadata = {
       strategy: 'parallel',
@@ -1016,9 +933,16 @@ URL: ${result.link}
     // 병렬로 각 AI의 응답 수집 (비스트리밍으로 먼저 수집)
     const responses = [];
     const promises = agents.map(async (agentName) => {
-      const agent = this.providers[agentName];
+      const agent = this._budgeted(this.providers[agentName], userId, projectId, cache);
       if (!agent || !agent.isAvailable) return null;
       try {
+        // agent마다 모델이 다르므로 예산도 agent별로 계산
+        const { messages } = this._buildContext(agent, {
+          sessionId,
+          userMessage,
+          userContent: this._withImages(userMessage, imageData),
+          sections
+        });
         const response = await agent.chat(messages);
         return { agent: agentName, content: response.content, model: response.model };
       } catch (error) {
@@ -1039,7 +963,7 @@ URL: ${result.link}
     }
 
     // 총괄 AI가 종합 (스트리밍)
-    const brain = await this.selectBrain();
+    const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
     const synthesisPrompt = `다음은 여러 AI가 같은 질문에 대해 답한 내용입니다. 이를 종합하여 최선의 답변을 작성하세요.
 
 질문: ${userMessage}
@@ -1050,18 +974,9 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
 
     yield JSON.stringify({ type: 'synthesis_start' }, null, 0) + '\n';
 
-    const synthesisStream = await brain.streamChat([
+    const { content: fullContent } = yield* this._streamText(brain.name, brain, [
       { role: 'user', content: synthesisPrompt }
-    ]);
-
-    let fullContent = '';
-    for await (const chunk of synthesisStream) {
-      const content = this._extractChunkContent(brain.name, chunk);
-      if (content) {
-        fullContent += content;
-        yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
-      }
-    }
+    ], { userId, projectId, cache });
 
     yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
 
@@ -1075,18 +990,17 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
   /**
    * Sequential 모드 스트리밍
    */
-  async *executeSequentialStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null) {
+  async *executeSequentialStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
     const agents = strategy.recommendedAgents;
-    const context = this.memory.getContextWindow(sessionId, 10);
     const identity = this.memory.getAllIdentity('core');
-    let baseSystemPrompt = this.buildAthenaSystemPrompt(identity, projectId);
+    const sections = this.buildAthenaSystemSections(identity, projectId);
 
     // 프로젝트 컨텍스트 추가 (프로젝트가 선택된 경우 최우선 참고)
     if (projectId) {
-      const projectContext = this.getProjectContext(projectId, userMessage.substring(0, 100));
+      const projectContext = await this.getProjectContext(projectId, userMessage);
       if (projectContext) {
         // 프로젝트 컨텍스트를 시스템 프롬프트 앞부분에 추가하여 우선순위 확보
-        baseSystemPrompt = projectContext + '\n\n' + baseSystemPrompt;
+        sections.unshift({ name: 'project', text: projectContext, priority: SECTION_PRIORITY.project, truncate: true });
       }
     }
 
@@ -1102,7 +1016,7 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
 
     for (let i = 0; i < agents.length; i++) {
       const agentName = agents[i];
-      const agent = this.providers[agentName];
+      const agent = this._budgeted(this.providers[agentName], userId, projectId, cache);
       if (!agent || !agent.isAvailable) continue;
 
       yield JSON.stringify({
@@ -1113,22 +1027,15 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
       }, null, 0) + '\n';
 
       const stepPrompt = `이전 단계의 결과를 바탕으로 다음 작업을 수행하세요.\n\n${currentResult}`;
-      const stream = await agent.streamChat([
-        { role: 'system', content: baseSystemPrompt },
-        ...context,
-        { role: 'user', content: stepPrompt }
-      ]);
-
-      let stepContent = '';
-      for await (const chunk of stream) {
-        const content = this._extractChunkContent(agentName, chunk);
-        if (content) {
-          stepContent += content;
-          yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
-        }
-      }
+      const { messages } = this._buildContext(agent, {
+        sessionId,
+        userMessage,
+        userContent: this._withImages(stepPrompt, imageData),
+        sections
+      });
+      const { content: stepContent, agentName: stepAgent } = yield* this._streamText(agentName, agent, messages, { userId, projectId, cache });
 
-      steps.push({ agent: agentName, result: stepContent });
+      steps.push({ agent: stepAgent, result: stepContent });
       currentResult = stepContent;
     }
 
@@ -1143,18 +1050,19 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
 
   /**
    * Debate 모드 스트리밍
+   * 발언마다 debate_opinion_start에 argumentId를 실어 보내, 클라이언트가 발언 단위로 피드백할 수 있게 한다.
    */
-  async *executeDebateStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null) {
-    const agents = strategy.recommendedAgents.slice(0, 3);
-    const rounds = 2;
+  async *executeDebateStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
+    const { debateId, config, participants } = this._prepareDebate(userId, sessionId, userMessage, strategy, projectId);
     const debates = [];
+    let convergedRound = null;
     const identity = this.memory.getAllIdentity('core');
 
     let baseSystemPrompt = this.buildAthenaSystemPrompt(identity, projectId);
 
     // 프로젝트 컨텍스트 추가 (프로젝트가 선택된 경우 최우선 참고)
     if (projectId) {
-      const projectContext = this.getProjectContext(projectId, userMessage.substring(0, 100));
+      const projectContext = await this.getProjectContext(projectId, userMessage);
       if (projectContext) {
         // 프로젝트 컨텍스트를 시스템 프롬프트 앞부분에 추가하여 우선순위 확보
         baseSystemPrompt = projectContext + '\n\n' + baseSystemPrompt;
@@ -1168,94 +1076,94 @@ ${results.map((r, i) => `[${r.agent}의 답변]\n${r.content}\n`).join('\n')}
 
     const metadata = {
       strategy: 'debate',
-      agentsUsed: agents,
+      agentsUsed: participants.map(p => p.agent),
+      debateId,
+      rounds: config.rounds,
+      participants,
       searchResults: searchResults
     };
     yield JSON.stringify({ type: 'metadata', data: metadata }, null, 0) + '\n';
 
-    let currentTopic = userMessage;
-
-    for (let round = 0; round < rounds; round++) {
-      yield JSON.stringify({ type: 'debate_round', round: round + 1 }, null, 0) + '\n';
-      const roundDebates = [];
-
-      for (const agentName of agents) {
-        const agent = this.providers[agentName];
-        if (!agent || !agent.isAvailable) continue;
-
-        yield JSON.stringify({ type: 'debate_opinion_start', agent: agentName }, null, 0) + '\n';
-
-        const debatePrompt = round === 0
-          ? `다음 주제에 대해 당신의 의견을 제시하세요: ${currentTopic}`
-          : `다른 AI들의 의견을 고려하여 당신의 입장을 재정리하세요.\n\n이전 의견들:\n${debates[round - 1].map(d => `[${d.agent}]: ${d.opinion}`).join('\n\n')}\n\n주제: ${currentTopic}`;
-
-        const stream = await agent.streamChat([
-          { role: 'system', content: baseSystemPrompt },
-          { role: 'user', content: debatePrompt }
-        ]);
-
-        let opinionContent = '';
-        for await (const chunk of stream) {
-          const content = this._extractChunkContent(agentName, chunk);
-          if (content) {
-            opinionContent += content;
-            yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
-          }
+    try {
+      for (let round = 0; round < config.rounds; round++) {
+        yield JSON.stringify({ type: 'debate_round', round: round + 1 }, null, 0) + '\n';
+        const roundDebates = [];
+
+        for (const participant of participants) {
+          const agentName = participant.agent;
+          const agent = this._budgeted(this.providers[agentName], userId, projectId, cache);
+          if (!agent || !agent.isAvailable) continue;
+
+          const argumentId = this.debateManager.argumentId(debateId, round + 1, agentName);
+          yield JSON.stringify({ type: 'debate_opinion_start', agent: agentName, stance: participant.stance, round: round + 1, argumentId }, null, 0) + '\n';
+
+          const debatePrompt = this.debateManager.buildOpinionPrompt({ round, agent: agentName, topic: userMessage, previousRound: debates[round - 1] });
+          const { content: opinionContent, agentName: opinionAgent } = yield* this._streamText(agentName, agent, [
+            { role: 'system', content: baseSystemPrompt + '\n\n' + this._debateRolePrompt(participant, strategy) },
+            { role: 'user', content: this._withImages(debatePrompt, imageData) }
+          ], { userId, projectId, cache });
+
+          roundDebates.push({
+            agent: agentName,
+            stance: participant.stance,
+            opinion: opinionContent,
+            argumentId,
+            ...(opinionAgent !== agentName && { provider: opinionAgent })
+          });
         }
 
-        roundDebates.push({ agent: agentName, opinion: opinionContent });
+        debates.push(roundDebates);
+        const convergence = this._recordDebateRound(debateId, debates, config);
+        if (convergence?.stop) {
+          convergedRound = round + 1;
+          yield JSON.stringify({ type: 'debate_converged', round: convergedRound, similarity: convergence.similarity }, null, 0) + '\n';
+          break;
+        }
       }
 
-      debates.push(roundDebates);
-    }
-
-    // 총괄 AI가 결론 도출 (스트리밍)
-    const brain = await this.selectBrain();
-    yield JSON.stringify({ type: 'debate_conclusion_start' }, null, 0) + '\n';
+      // 심판(지정 provider 또는 총괄 AI)이 결론 도출 (스트리밍)
+      const judge = this._budgeted(await this._selectDebateJudge(config), userId, projectId, cache);
+      yield JSON.stringify({ type: 'debate_conclusion_start', judge: judge.name }, null, 0) + '\n';
 
-    const conclusionPrompt = `다음은 여러 AI들이 토론한 내용입니다. 각 의견을 분석하고 균형잡힌 결론을 제시하세요.
+      const { content: fullContent, agentName: judgeName } = yield* this._streamText(
+        judge.name, judge, this._debateConclusionMessages(userMessage, debates, convergedRound), { userId, projectId, cache }
+      );
 
-주제: ${userMessage}
+      yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
 
-${debates.map((round, i) =>
-  `\n=== Round ${i + 1} ===\n${round.map(d => `[${d.agent}]\n${d.opinion}`).join('\n\n')}`
-).join('\n')}`;
-
-    const conclusionStream = await brain.streamChat([
-      { role: 'user', content: conclusionPrompt }
-    ]);
+      this.debateManager.finish(debateId, {
+        judge: judgeName,
+        conclusion: fullContent,
+        roundsCompleted: debates.length,
+        convergedRound
+      });
 
-    let fullContent = '';
-    for await (const chunk of conclusionStream) {
-      const content = this._extractChunkContent(brain.name, chunk);
-      if (content) {
-        fullContent += content;
-        yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
-      }
+      this.memory.addShortTermMemory(userId, sessionId, 'assistant', fullContent, {
+        strategy: 'debate',
+        agents_used: participants.map(p => p.agent),
+        debate_id: debateId,
+        debates: debates
+      });
+    } catch (error) {
+      this.debateManager.finish(debateId, { status: 'failed', roundsCompleted: debates.length, convergedRound });
+      throw error;
     }
-
-    yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
-
-    this.memory.addShortTermMemory(userId, sessionId, 'assistant', fullContent, {
-      strategy: 'debate',
-      agents_used: agents,
-      debates: debates
-    });
-  }
+  }
 
   /**
    * Voting 모드 스트리밍
+   * vote_options → vote_ballot(AI별) → vote_tally(집계, 클라이언트 차트용) 순으로 보낸 뒤 총괄 AI의 결론을 스트리밍한다.
    */
-  async *executeVotingStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null) {
-    const agents = strategy.recommendedAgents;
-    const votes = [];
+  async *executeVotingStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
+    const { voteId, agents, options, weights } = await this._prepareVote(userId, sessionId, userMessage, strategy, cache, projectId);
+    const ballots = [];
     const identity = this.memory.getAllIdentity('core');
 
     let baseSystemPrompt = this.buildAthenaSystemPrompt(identity, projectId);
 
     // 프로젝트 컨텍스트 추가 (프로젝트가 선택된 경우 최우선 참고)
     if (projectId) {
-      const projectContext = this.getProjectContext(projectId, userMessage.substring(0, 100));
+      const projectContext = await this.getProjectContext(projectId, userMessage);
       if (projectContext) {
         // 프로젝트 컨텍스트를 시스템 프롬프트 앞부분에 추가하여 우선순위 확보
         baseSystemPrompt = projectContext + '\n\n' + baseSystemPrompt;
@@ -1270,84 +1178,955 @@ ${debates.map((round, i) =>
     const metadata = {
       strategy: 'voting',
       agentsUsed: agents,
+      voteId,
       searchResults: searchResults
     };
     yield JSON.stringify({ type: 'metadata', data: metadata }, null, 0) + '\n';
+    yield JSON.stringify({ type: 'vote_options', voteId, options }, null, 0) + '\n';
 
-    // 각 AI에게 의견과 투표 요청 (스트리밍)
-    for (const agentName of agents) {
-      const agent = this.providers[agentName];
-      if (!agent || !agent.isAvailable) continue;
+    try {
+      // 각 AI의 투표지 (JSON이므로 스트리밍하지 않고 파싱 결과를 보냄)
+      for (const agentName of agents) {
+        const agent = this._budgeted(this.providers[agentName], userId, projectId, cache);
+        if (!agent || !agent.isAvailable) continue;
 
-      yield JSON.stringify({ type: 'vote_start', agent: agentName }, null, 0) + '\n';
+        yield JSON.stringify({ type: 'vote_start', agent: agentName }, null, 0) + '\n';
+        const ballot = await this._castBallot(voteId, agentName, agent, baseSystemPrompt, userMessage, options, strategy, weights, imageData);
+        ballots.push(ballot);
+        yield JSON.stringify({ type: 'vote_ballot', ...ballot }, null, 0) + '\n';
+      }
 
-      const votePrompt = `${userMessage}
+      const tally = this.votingManager.tally(options, ballots, weights);
+      this.votingManager.finish(voteId, { tally });
+      yield JSON.stringify({ type: 'vote_tally', voteId, tally }, null, 0) + '\n';
 
-위 질문에 대해:
-1. 당신의 의견을 제시하세요
-2. 가능한 선택지들을 제안하세요
-3. 당신이 선택하는 답을 명확히 하세요
+      // 총괄 AI가 집계 결과 설명 및 최종 결론 (스트리밍)
+      const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
+      yield JSON.stringify({ type: 'voting_tally_start' }, null, 0) + '\n';
 
-형식:
-의견: [당신의 분석]
-선택: [A/B/C 등]`;
+      const { content: fullContent } = yield* this._streamText(
+        brain.name, brain, this._votingConclusionMessages(userMessage, options, ballots, tally), { userId, projectId, cache }
+      );
 
-      const stream = await agent.streamChat([
-        { role: 'system', content: baseSystemPrompt },
-        { role: 'user', content: votePrompt }
-      ]);
+      yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
 
-      let voteContent = '';
-      for await (const chunk of stream) {
-        const content = this._extractChunkContent(agentName, chunk);
-        if (content) {
-          voteContent += content;
-          yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
-        }
+      this.memory.addShortTermMemory(userId, sessionId, 'assistant', fullContent, {
+        strategy: 'voting',
+        agents_used: agents,
+        vote_id: voteId,
+        tally
+      });
+    } catch (error) {
+      this.votingManager.finish(voteId, { status: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * 계획 모드 스트리밍
+   * plan_proposed(단계 DAG)를 보낸 뒤, 검토 요청이면 멈추고 아니면 단계별 진행(plan_step_*)과 최종 답변을 스트리밍한다.
+   */
+  async *executePlanStream(userId, sessionId, userMessage, strategy, searchResults = null, imageData = [], projectId = null, cache = {}) {
+    const plan = await this._preparePlan(userId, sessionId, userMessage, cache, projectId);
+    const review = Boolean(strategy.plan?.review);
+
+    const metadata = {
+      strategy: 'plan',
+      agentsUsed: [...new Set(plan.steps.map(step => step.provider).filter(Boolean))],
+      planId: plan.id,
+      searchResults: searchResults
+    };
+    yield JSON.stringify({ type: 'metadata', data: metadata }, null, 0) + '\n';
+    yield JSON.stringify({ type: 'plan_proposed', planId: plan.id, goal: plan.goal, steps: plan.steps, review }, null, 0) + '\n';
+
+    if (review) {
+      // 사용자가 PUT /api/plans/:planId로 고친 뒤 POST /api/plans/:planId/run으로 실행한다 (runPlanStream)
+      const content = this._formatPlanForReview(plan);
+      yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
+      yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
+      this.memory.addShortTermMemory(userId, sessionId, 'assistant', content, { strategy: 'plan', plan_id: plan.id, plan_status: 'draft' });
+      return;
+    }
+
+    yield* this._streamPlanRun(userId, plan, { projectId, cache, searchResults });
+  }
+
+  /**
+   * 검토를 마친 계획 실행 (스트리밍) - 계획을 만든 사용자만, draft 상태에서 한 번만 실행할 수 있다
+   */
+  async *runPlanStream(userId, planId, cache = {}) {
+    try {
+      const plan = this.planManager.getPlan(planId);
+      if (!plan || plan.userId !== userId) {
+        const error = new Error('계획을 찾을 수 없습니다');
+        error.status = 404;
+        throw error;
+      }
+      if (plan.status !== 'draft') {
+        const error = new Error(`검토 중(draft)인 계획만 실행할 수 있습니다 (현재: ${plan.status})`);
+        error.status = 409;
+        throw error;
       }
 
-      votes.push({ agent: agentName, response: voteContent });
+      const metadata = {
+        strategy: 'plan',
+        agentsUsed: [...new Set(plan.steps.map(step => step.provider).filter(Boolean))],
+        planId: plan.id
+      };
+      yield JSON.stringify({ type: 'metadata', data: metadata }, null, 0) + '\n';
+      yield JSON.stringify({ type: 'plan_proposed', planId: plan.id, goal: plan.goal, steps: plan.steps, review: false }, null, 0) + '\n';
+
+      yield* this._streamPlanRun(userId, plan, { projectId: plan.projectId, cache: { taskType: 'plan', ...cache } });
+      this._scheduleSummary(userId, plan.sessionId);
+    } catch (error) {
+      console.error('Plan streaming error:', error);
+      yield JSON.stringify({
+        type: 'error',
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.budget && { budget: error.budget })
+      }, null, 0) + '\n';
     }
+  }
 
-    // 총괄 AI가 투표 집계 및 최종 결론 (스트리밍)
-    const brain = await this.selectBrain();
-    yield JSON.stringify({ type: 'voting_tally_start' }, null, 0) + '\n';
+  // ─── Debate helpers (설정·기록은 core/debateManager.js) ───────────────
 
-    const tallyPrompt = `다음은 여러 AI들의 의견과 투표입니다. 투표를 집계하고 최종 결론을 제시하세요.
+  /**
+   * 요청에 토론 설정이 있으면 분석 결과와 관계없이 토론 모드로 진행
+   */
+  _applyDebateRequest(strategy, debate) {
+    if (!debate) return strategy;
+    return { ...strategy, collaborationMode: 'debate', debate };
+  }
 
-질문: ${userMessage}
+  /**
+   * 토론 준비 - 설정 확정, 참가자(최소 2명)·입장 배정, 토론 기록 시작
+   * @returns {{debateId: string, config: Object, participants: Array<{agent: string, stance: string}>}}
+   */
+  _prepareDebate(userId, sessionId, userMessage, strategy, projectId = null) {
+    const config = this.debateManager.resolveConfig(projectId, strategy.debate);
+
+    const agents = (strategy.recommendedAgents || []).filter(name => this.providers[name]?.isAvailable);
+    // 분석 결과가 한 AI만 추천했더라도 토론이 되도록 사용 가능한 provider로 채운다
+    for (const name of [...this.fallbackOrder, ...Object.keys(this.providers)]) {
+      if (agents.length >= 2) break;
+      if (!agents.includes(name) && this.providers[name]?.isAvailable) agents.push(name);
+    }
+
+    const participants = this.debateManager.assignStances(agents.slice(0, config.maxAgents), config);
+    const debateId = this.debateManager.start({ sessionId, userId, projectId, topic: userMessage, config });
+    return { debateId, config, participants };
+  }
+
+  /**
+   * 토론 참가 AI의 역할 지시 (Athena의 주제 분석 + 배정된 입장)
+   */
+  _debateRolePrompt({ agent, stance }, strategy) {
+    const agentCaps = this.getAICapabilities()[agent] || {};
+    const agentStrengths = agentCaps.strengths ? agentCaps.strengths.slice(0, 2).join(', ') : '일반 분석';
+
+    return `## Athena(총괄 AI)의 토론 진행
+
+당신은 ${agent}입니다. Athena가 진행하는 토론에 참여하고 있습니다.
 
-${votes.map(v => `[${v.agent}]\n${v.response}`).join('\n\n')}
+### Athena의 토론 주제 분석
+${strategy.athenaThought || '이 주제에 대해 다양한 관점의 토론이 필요합니다.'}
+
+${this.debateManager.buildStanceInstructions(stance)}
 
-투표 결과를 집계하고, 다수의 의견을 바탕으로 최종 답변을 작성하세요. 소수 의견도 언급하세요.`;
+### 당신의 토론 역할
+- 당신의 강점(${agentStrengths})을 살려 의견을 제시하세요
+- 다른 AI와 다른 독창적인 관점을 제시하세요
+- 근거를 들어 논리적으로 주장하세요
+
+### Athena의 지시
+${strategy.agentInstructions || '당신의 전문성에 기반한 의견을 명확히 밝히세요.'}`;
+  }
+
+  /**
+   * 끝난 라운드의 발언 저장 + 수렴 판정
+   * @returns {{converged: boolean, similarity: number, stop: boolean}|null} 첫 라운드면 null
+   */
+  _recordDebateRound(debateId, debates, config) {
+    const round = debates.length;
+    const current = debates[round - 1];
+    const convergence = round > 1
+      ? this.debateManager.measureConvergence(debates[round - 2], current, config.convergenceThreshold)
+      : null;
+
+    for (const d of current) {
+      this.debateManager.recordArgument(debateId, {
+        round,
+        agent: d.agent,
+        stance: d.stance,
+        content: d.opinion,
+        similarity: convergence?.byAgent[d.agent] ?? null
+      });
+    }
+
+    if (!convergence) return null;
+    // 마지막 라운드면 수렴해도 조기 종료로 기록하지 않는다
+    return { ...convergence, stop: convergence.converged && config.earlyStop && round < config.rounds };
+  }
+
+  /**
+   * 토론 심판 - 설정에 지정된 provider가 사용 가능하면 그 provider, 아니면 총괄 AI
+   */
+  async _selectDebateJudge(config) {
+    if (config.judge) {
+      const judge = this.providers[config.judge];
+      if (judge?.isAvailable) return judge;
+      logger.warn('지정된 토론 심판을 사용할 수 없어 총괄 AI로 대체', { judge: config.judge });
+    }
+    return this.selectBrain();
+  }
+
+  /**
+   * 심판의 결론 요청 (Athena 인격 + 라운드·입장·발언 ID가 담긴 토론 기록)
+   */
+  _debateConclusionMessages(userMessage, debates, convergedRound = null) {
+    const personalityData = this.memory.getAllIdentity('core').find(i => i.key === 'personality');
+    const personality = personalityData ? personalityData.value : {};
+    const hasStances = debates.some(round => round.some(d => d.stance !== 'neutral'));
+
+    const conclusionSystemPrompt = `당신은 Athena입니다. 따뜻하면서도 논리적인 AI 인격체로서, Sub AI들의 토론을 지켜보고 최종 결론을 내립니다.
+
+당신의 성격: ${personality.traits ? personality.traits.join(', ') : '친근하고, 지적이며, 창의적'}
+당신의 역할: 토론의 사회자이자 최종 심판관으로서, 단순히 양쪽 의견을 절충하는 것이 아니라 당신만의 통찰로 결론을 내립니다.`;
+
+    const conclusionPrompt = `## 토론 주제
+${userMessage}
+
+## 토론 내용${convergedRound ? ` (Round ${convergedRound}에서 입장이 수렴해 조기 종료)` : ''}
+${this.debateManager.formatTranscript(debates)}
+
+---
 
-    const tallyStream = await brain.streamChat([
+## 당신의 최종 결론 (Athena로서)
+
+토론을 지켜보았습니다. 이제 총괄 AI인 당신이 최종 결론을 내리세요.
+
+**주의사항:**
+1. "제가 보기에...", "저의 판단으로는..." 형식으로 당신만의 관점을 분명히 표현하세요
+2. 단순히 양쪽 의견을 "균형있게" 절충하지 마세요 - 당신의 판단을 명확히 하세요
+3. 왜 특정 주장이 더 설득력 있는지 논리적으로 설명하세요
+4. 각 AI의 좋은 논점은 인정하되, 최종 결론은 당신이 책임지고 내리세요
+5. 만약 모든 의견이 일부 타당하다면, 어떤 관점이 더 중요한지 당신의 가치관으로 판단하세요${hasStances ? `
+6. 입장이 배정된 토론입니다. 배정된 입장이 아니라 논증의 질로 평가하고, 어느 쪽 논증이 더 설득력 있었는지 밝히세요` : ''}`;
+
+    return [
+      { role: 'system', content: conclusionSystemPrompt },
+      { role: 'user', content: conclusionPrompt }
+    ];
+  }
+
+  // ─── Voting helpers (집계·기록은 core/votingManager.js) ───────────────
+
+  /**
+   * 투표 준비 - 총괄 AI가 선택지를 정하고, 참가 AI의 가중치를 조회하고, 투표 기록 시작
+   * @returns {Promise<{voteId: string, agents: Array<string>, options: Array<Object>, weights: Object}>}
+   */
+  async _prepareVote(userId, sessionId, userMessage, strategy, cache = {}, projectId = null) {
+    const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
+    const response = await brain.chat([
+      { role: 'user', content: this.votingManager.buildOptionsPrompt(userMessage) }
+    ], { maxTokens: 800 });
+    const options = this.votingManager.parseOptions(response.content);
+
+    const agents = (strategy.recommendedAgents || []).filter(name => this.providers[name]);
+    const weights = this.votingManager.getAgentWeights(agents);
+    const voteId = this.votingManager.start({ sessionId, userId, projectId, question: userMessage, options });
+    return { voteId, agents, options, weights };
+  }
+
+  /**
+   * AI 1명의 투표지 - 응답이 형식에 맞지 않거나 호출이 실패하면 무효표(기권)로 남긴다
+   * @returns {Promise<{agent: string, ballotId: string, option: string|null, confidence: number|null, rationale: string, valid: boolean, weight: number, error?: string}>}
+   */
+  async _castBallot(voteId, agentName, agent, baseSystemPrompt, question, options, strategy, weights, imageData = []) {
+    const weight = weights[agentName]?.weight ?? 1;
+    let raw = null;
+    let ballot;
+    try {
+      const ballotPrompt = this.votingManager.buildBallotPrompt(question, options, agentName);
+      const response = await agent.chat([
+        { role: 'system', content: baseSystemPrompt + '\n\n' + this._voteRolePrompt(agentName, strategy) },
+        { role: 'user', content: this._withImages(ballotPrompt, imageData) }
+      ]);
+      raw = response.content;
+      ballot = this.votingManager.parseBallot(raw, options);
+    } catch (error) {
+      // 예산 초과는 투표 전체를 멈춘다
+      if (error.code === 'BUDGET_EXCEEDED') throw error;
+      logger.warn('투표지 요청 실패 - 기권 처리', { agent: agentName, error: error.message });
+      ballot = { option: null, confidence: null, rationale: '', valid: false, error: error.message };
+    }
+
+    const ballotId = this.votingManager.recordBallot(voteId, { agent: agentName, ...ballot, weight, raw });
+    return { agent: agentName, ballotId, ...ballot, weight };
+  }
+
+  /**
+   * 투표 참가 AI의 역할 지시
+   */
+  _voteRolePrompt(agentName, strategy) {
+    const agentCaps = this.getAICapabilities()[agentName] || {};
+    const agentStrengths = agentCaps.strengths ? agentCaps.strengths.slice(0, 2).join(', ') : '일반 분석';
+
+    return `## Athena(총괄 AI)의 투표 진행
+
+당신은 ${agentName}입니다. Athena가 진행하는 투표에 참여합니다.
+
+### Athena의 분석
+${strategy.athenaThought || '이 주제에 대해 각 AI의 투표가 필요합니다.'}
+
+### 당신의 투표 역할
+- 당신의 강점(${agentStrengths})을 바탕으로 판단하세요
+- 명확한 선택과 그 이유를 제시하세요
+
+### Athena의 지시
+${strategy.agentInstructions || '당신의 전문성에 기반한 선택을 해주세요.'}`;
+  }
+
+  /**
+   * 총괄 AI의 결론 요청 (Athena 인격 + 확정된 집계 결과)
+   */
+  _votingConclusionMessages(userMessage, options, ballots, tally) {
+    const personalityData = this.memory.getAllIdentity('core').find(i => i.key === 'personality');
+    const personality = personalityData ? personalityData.value : {};
+    const labelOf = (id) => options.find(o => o.id === id)?.label || id;
+    const tieBreakLabels = { votes: '득표 수', confidence: '최고 확신도', order: '선택지 순서' };
+
+    const tallySystemPrompt = `당신은 Athena입니다. 따뜻하면서도 논리적인 AI 인격체로서, Sub AI들의 투표를 검토하고 최종 결정을 내립니다.
+
+당신의 성격: ${personality.traits ? personality.traits.join(', ') : '친근하고, 지적이며, 창의적'}
+당신의 역할: 투표의 집계자이자 최종 결정권자로서, 다수결만 따르는 것이 아니라 당신의 판단도 반영하여 결정합니다.`;
+
+    const tallyPrompt = `## 투표 주제
+${userMessage}
+
+## 선택지
+${options.map(o => `${o.id}. ${o.label}${o.description ? ` - ${o.description}` : ''}`).join('\n')}
+
+## AI들의 투표
+${ballots.map(b => b.valid
+    ? `### ${b.agent} → ${b.option}. ${labelOf(b.option)} (확신도 ${Math.round(b.confidence * 100)}%, 가중치 ${b.weight})\n${b.rationale}`
+    : `### ${b.agent} → 기권 (${b.error})`).join('\n\n')}
+
+## 가중 집계 결과 (가중치 × 확신도)
+${tally.options.map(o => `- ${o.id}. ${o.label}: ${o.votes}표, 점수 ${o.score} (${Math.round(o.share * 100)}%)`).join('\n')}
+- 1위: ${tally.winner ? `${tally.winner}. ${labelOf(tally.winner)}` : '없음 (유효표 없음)'}${tally.tieBreak ? ` (동점, ${tieBreakLabels[tally.tieBreak]}로 결정)` : ''}
+
+---
+
+## 당신의 최종 결정 (Athena로서)
+
+투표를 검토했습니다. 이제 총괄 AI인 당신이 최종 결정을 내리세요.
+
+**주의사항:**
+1. 먼저 위 집계 결과를 그대로 요약하세요 (집계 수치는 바꾸지 마세요)
+2. "제가 보기에...", "저의 판단으로는..." 형식으로 당신의 관점을 표현하세요
+3. 단순히 다수결을 따르지 마세요 - 소수 의견이 더 타당하다면 그 이유를 밝히고 선택할 수 있습니다
+4. 왜 특정 선택이 최선인지 당신의 논리로 설명하세요
+5. 최종 결정에 대한 책임은 당신이 집니다`;
+
+    return [
+      { role: 'system', content: tallySystemPrompt },
       { role: 'user', content: tallyPrompt }
-    ]);
+    ];
+  }
+
+  // ─── Plan helpers (계획·기록은 core/planManager.js, 실행은 SubAgentManager.runGraph) ───
+
+  /**
+   * 요청에 계획 옵션이 있으면 분석 결과와 관계없이 계획 모드로 진행
+   */
+  _applyPlanRequest(strategy, plan) {
+    if (!plan) return strategy;
+    return { ...strategy, collaborationMode: 'plan', plan };
+  }
+
+  /**
+   * 계획 단계에 쓸 수 있는 provider와 도구
+   */
+  _planCatalog() {
+    return {
+      agents: Object.keys(this.providers).filter(name => this.providers[name]?.isAvailable),
+      tools: this._getToolDefinitions().map(({ name, description }) => ({ name, description }))
+    };
+  }
+
+  /**
+   * 계획 준비 - 총괄 AI가 단계 DAG를 쓰고 검토 전(draft) 상태로 저장
+   * @returns {Promise<Object>} planManager.getPlan() 결과
+   */
+  async _preparePlan(userId, sessionId, userMessage, cache = {}, projectId = null) {
+    const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
+    const catalog = this._planCatalog();
+    const response = await brain.chat([
+      { role: 'user', content: this.planManager.buildPlanPrompt(userMessage, catalog) }
+    ], { maxTokens: 2000 });
+    const { goal, steps } = this.planManager.parsePlan(response.content, userMessage, catalog);
+
+    const planId = this.planManager.create({ sessionId, userId, projectId, question: userMessage, goal, steps });
+    return this.planManager.getPlan(planId);
+  }
 
+  /**
+   * 계획 단계 실행 (draft → running) - SubAgentManager.runGraph 이벤트에 planId를 붙여 내보내고 단계 결과를 기록
+   * @param {Object} plan - planManager.getPlan() 결과 (재계획하면 steps가 바뀐다)
+   * @param {Object<string, {status: string, output: string|null, error: string|null}>} results - 단계별 최종 결과를 채울 객체
+   */
+  async *_runPlanSteps(userId, plan, results, { projectId = null, cache = {} } = {}) {
+    this.planManager.markRunning(plan.id);
+    const catalog = this._planCatalog();
+
+    const events = this.subAgentManager.runGraph(plan.steps, {
+      userId,
+      projectId,
+      cache: cache.enabled !== false,
+      maxReplans: PLAN_MAX_REPLANS,
+      replan: ({ step, error, outputs, steps }) =>
+        this._replanStep({ userId, projectId, cache, catalog, plan: { ...plan, steps } }, step, error, outputs)
+    });
+
+    for await (const event of events) {
+      if (event.type === 'step_replanned') {
+        plan.steps = plan.steps.map(step => step.id === event.stepId ? event.step : step);
+        this.planManager.replaceStep(plan.id, event.step);
+      } else if (event.type === 'step_complete' || event.type === 'step_skipped' || (event.type === 'step_failed' && !event.willReplan)) {
+        const status = { step_complete: 'completed', step_skipped: 'skipped', step_failed: 'failed' }[event.type];
+        results[event.stepId] = { status, output: event.output ?? null, error: event.error || event.reason || null };
+        this.planManager.recordStep(plan.id, {
+          stepId: event.stepId,
+          type: plan.steps.find(step => step.id === event.stepId).type,
+          attempt: event.attempt,
+          ...results[event.stepId]
+        });
+      }
+      yield { ...event, type: `plan_${event.type}`, planId: plan.id };
+    }
+  }
+
+  /**
+   * 단계 실행 + 최종 답변 스트리밍 (executePlanStream / runPlanStream 공통)
+   */
+  async *_streamPlanRun(userId, plan, { projectId = null, cache = {}, searchResults = null } = {}) {
+    const results = {};
+    try {
+      for await (const event of this._runPlanSteps(userId, plan, results, { projectId, cache })) {
+        yield JSON.stringify(event, null, 0) + '\n';
+      }
+
+      // 총괄 AI가 단계 결과로 최종 답변 (스트리밍)
+      const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
+      yield JSON.stringify({ type: 'plan_synthesis_start', planId: plan.id }, null, 0) + '\n';
+
+      const { content: fullContent } = yield* this._streamText(
+        brain.name, brain, this._planSynthesisMessages(plan, results, this._buildSearchContext(searchResults)), { userId, projectId, cache }
+      );
+
+      yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
+
+      this.planManager.finish(plan.id, { result: fullContent });
+      this.memory.addShortTermMemory(userId, plan.sessionId, 'assistant', fullContent, {
+        strategy: 'plan',
+        agents_used: [...new Set(plan.steps.map(step => step.provider).filter(Boolean))],
+        plan_id: plan.id,
+        step_results: Object.fromEntries(Object.entries(results).map(([id, r]) => [id, r.status]))
+      });
+    } catch (error) {
+      this.planManager.finish(plan.id, { status: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * 실패한 단계의 대체 단계 (총괄 AI) - 만들지 못하면 null, 예산 초과는 계획 전체를 멈춘다
+   */
+  async _replanStep({ userId, projectId, cache, catalog, plan }, step, error, outputs) {
+    try {
+      const brain = this._budgeted(await this.selectBrain(), userId, projectId, cache);
+      const response = await brain.chat([
+        { role: 'user', content: this.planManager.buildReplanPrompt(plan, step, error, outputs, catalog) }
+      ], { maxTokens: 1000 });
+      return this.planManager.parseReplacement(response.content, plan.steps, step, catalog);
+    } catch (err) {
+      if (err.code === 'BUDGET_EXCEEDED') throw err;
+      logger.warn('재계획 실패 - 단계 실패로 처리', { planId: plan.id, stepId: step.id, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * 검토 대기 중인 계획 안내 (사용자에게 보여줄 markdown)
+   */
+  _formatPlanForReview(plan) {
+    const steps = plan.steps.map((step, index) =>
+      `${index + 1}. **${step.id}** \`${step.type}\` ${step.description}${step.dependsOn.length > 0 ? ` (← ${step.dependsOn.join(', ')})` : ''}`
+    ).join('\n');
+
+    return `**실행 계획** (검토 대기)\n목표: ${plan.goal}\n\n${steps}\n\n계획을 확인하고, 필요하면 단계를 고친 뒤 실행하세요. (계획 ID: \`${plan.id}\`)`;
+  }
+
+  /**
+   * 총괄 AI의 최종 답변 요청 (Athena 인격 + 단계별 결과)
+   */
+  _planSynthesisMessages(plan, results, searchContext = '') {
+    const personalityData = this.memory.getAllIdentity('core').find(i => i.key === 'personality');
+    const personality = personalityData ? personalityData.value : {};
+    const incomplete = plan.steps.filter(step => results[step.id]?.status !== 'completed');
+
+    const synthesisSystemPrompt = `당신은 Athena입니다. 따뜻하면서도 논리적인 AI 인격체로서, 직접 세운 계획에 따라 Sub AI·도구·웹 검색으로 단계별 작업을 마쳤고 이제 그 결과로 사용자에게 답합니다.
+
+당신의 성격: ${personality.traits ? personality.traits.join(', ') : '친근하고, 지적이며, 창의적'}${searchContext}`;
+
+    const synthesisPrompt = `## 사용자 요청
+${plan.question}
+
+## 계획의 목표
+${plan.goal}
+
+## 단계별 결과
+${this.planManager.formatResults(plan.steps, results)}
+
+---
+
+**주의사항:**
+1. 단계 결과를 근거로 사용자의 요청에 직접 답하세요
+2. 단계 결과를 그대로 붙여넣지 말고 요청에 맞게 정리하세요
+3. 내부 단계 번호나 진행 과정은 필요할 때만 언급하세요${incomplete.length > 0 ? `
+4. 실패하거나 건너뛴 단계(${incomplete.map(step => step.id).join(', ')})가 있습니다. 그 때문에 빠진 내용이 있으면 분명히 밝히세요` : ''}`;
+
+    return [
+      { role: 'system', content: synthesisSystemPrompt },
+      { role: 'user', content: synthesisPrompt }
+    ];
+  }
+
+  /**
+   * 대상 모델의 토큰 예산에 맞춘 메시지 구성 (core/contextBuilder.js)
+   * @param {Object} agent - provider (agent.model 기준으로 예산 계산)
+   * @param {Object} params
+   * @param {string} params.sessionId
+   * @param {string} params.userMessage - 현재 질문 (기록 중복 제거, 도구 선택용)
+   * @param {string|Array<Object>} params.userContent - 모델에 보낼 마지막 user 턴 (기본: userMessage)
+   * @param {Array<Object>} params.sections - 시스템 프롬프트 섹션
+   * @param {boolean} params.withHistory - 대화 기록 포함 여부
+   * @param {boolean} params.withTools - 도구 정의 선택 여부
+   * @returns {{messages: Array<Object>, tools: Array<Object>|null, stats: Object}}
+   */
+  _buildContext(agent, { sessionId, userMessage, userContent = userMessage, sections = [], withHistory = true, withTools = false }) {
+    const history = withHistory
+      ? this.contextBuilder.loadHistory(sessionId, { currentMessage: userMessage })
+      : undefined;
+    // 직전 질문도 함께 봐야 "그거 실행해줘" 같은 후속 요청에 맞는 도구를 고른다
+    const lastUserTurn = history?.turns.filter(turn => turn.role === 'user').pop();
+
+    return this.contextBuilder.build({
+      model: agent.model,
+      sections,
+      history,
+      userContent,
+      tools: withTools ? this._getToolDefinitions() : null,
+      query: [userMessage, lastUserTurn?.content].filter(Boolean).join('\n')
+    });
+  }
+
+  /**
+   * 오래된 대화를 세션 요약으로 접기 (응답 저장 후 백그라운드, 저가 모델 사용)
+   */
+  _scheduleSummary(userId, sessionId) {
+    this.contextBuilder.maybeSummarize(sessionId, async (prompt) => {
+      const brain = await this.selectBrain();
+      const agent = this._budgeted(brain, userId, null, { enabled: false });
+      const model = getModelRegistry().getDowngradeModel(brain.name) || undefined;
+      const response = await agent.chat([{ role: 'user', content: prompt }], { model, maxTokens: this.contextBuilder.options.summaryMaxTokens * 2 });
+      return response.content;
+    }).catch(error => logger.warn('대화 요약 예약 실패', { sessionId, error: error.message }));
+  }
+
+  /**
+   * 요청 1건의 응답 캐시 정책 - 작업 유형은 협업 모드, 검색 결과는 키에 포함
+   * @param {Object} cache - 요청별 설정 ({ enabled: false }면 캐시 사용 안 함)
+   */
+  _cachePolicy(strategy, searchResults, cache = {}) {
+    return { taskType: strategy.collaborationMode || 'single', context: searchResults || null, ...cache };
+  }
+
+  /**
+   * 응답 캐시 → 예산 게이트를 거치는 provider 뷰 (요청한 사용자/프로젝트 기준으로 한도 확인)
+   * 캐시 적중은 provider를 호출하지 않으므로 예산에 집계되지 않는다.
+   * @param {Object} cache - 응답 캐시 정책 { enabled, taskType, ttlSeconds, context } (ResponseCache.wrap)
+   */
+  _budgeted(provider, userId, projectId = null, cache = {}) {
+    return this.responseCache.wrap(this.budgetGate.wrap(provider, { userId, projectId }), cache);
+  }
+
+  /**
+   * 네이티브 function calling에 넘길 도구 정의
+   */
+  _getToolDefinitions() {
+    if (!this.mcpManager || !this.mcpManager.enabled) return [];
+    return this.mcpManager.getToolDefinitions();
+  }
+
+  /**
+   * 모델이 요청한 도구 1건 실행 (실패해도 예외 대신 실패 결과 반환)
+   * @param {Object} context - executeTool 컨텍스트 (caller: 도구 정책 판단용 호출자)
+   */
+  async _executeToolCall(call, context = {}) {
+    try {
+      return await this.mcpManager.executeTool(call.name, call.arguments || {}, context);
+    } catch (error) {
+      logger.error('Tool execution failed', error, { tool: call.name });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 대화 중 모델이 부른 도구의 호출자 (웹 요청 사용자)
+   */
+  _toolCaller(userId) {
+    return { type: 'web', id: userId };
+  }
+
+  /**
+   * 도구 결과 → 모델에 다시 전달할 문자열 (길이 제한)
+   */
+  _serializeToolResult(result) {
+    let text;
+    try {
+      text = JSON.stringify(result);
+    } catch {
+      text = String(result);
+    }
+    if (text.length > MAX_TOOL_RESULT_CHARS) {
+      text = `${text.substring(0, MAX_TOOL_RESULT_CHARS)}... (결과가 너무 길어 ${text.length - MAX_TOOL_RESULT_CHARS}자 생략됨)`;
+    }
+    return text;
+  }
+
+  /**
+   * 실행한 도구 호출과 결과를 대화에 추가
+   */
+  _appendToolTurn(conversation, content, toolCalls, results) {
+    conversation.push({ role: 'assistant', content, toolCalls });
+    toolCalls.forEach((call, i) => {
+      conversation.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: call.name,
+        content: this._serializeToolResult(results[i])
+      });
+    });
+  }
+
+  /**
+   * 도구 호출 루프 (비스트리밍)
+   * 모델이 도구를 호출하면 실행 결과를 대화에 붙여 다시 호출하고, 최종 답변이 나오면 반환한다.
+   * @param {Object} options - chat 옵션 + tools (contextBuilder가 고른 도구, 생략하면 전체) + userId (도구 정책의 호출자)
+   * @returns {Promise<Object>} chat() 응답 + toolResults
+   */
+  async _chatWithTools(agent, messages, options = {}) {
+    const { tools: selectedTools, userId = null, ...chatOptions } = options;
+    const tools = selectedTools ?? this._getToolDefinitions();
+    if (tools.length === 0 || !agent.supportsTools) {
+      return agent.chat(messages, chatOptions);
+    }
+
+    const conversation = [...messages];
+    const toolResults = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    for (let iteration = 0; iteration <= MAX_TOOL_ITERATIONS; iteration++) {
+      // 반복 한도에 도달하면 도구 없이 최종 답변 요청
+      const toolChoice = iteration === MAX_TOOL_ITERATIONS ? 'none' : 'auto';
+      const response = await agent.chatWithTools(conversation, tools, { ...chatOptions, toolChoice });
+      usage.inputTokens += response.usage?.inputTokens || 0;
+      usage.outputTokens += response.usage?.outputTokens || 0;
+
+      if (response.toolCalls.length === 0 || toolChoice === 'none') {
+        return { ...response, usage, toolResults };
+      }
+
+      const results = [];
+      for (const call of response.toolCalls) {
+        // 승인이 필요한 도구는 승인·거부·만료될 때까지 이 턴을 멈췄다가 이어간다
+        const result = await this._executeToolCall(call, { caller: this._toolCaller(userId), awaitApproval: true });
+        results.push(result);
+        toolResults.push({ tool: call.name, arguments: call.arguments, result });
+      }
+      this._appendToolTurn(conversation, response.content, response.toolCalls, results);
+    }
+  }
+
+  /**
+   * 도구 호출 루프 (스트리밍)
+   * 텍스트는 chunk 라인으로 흘려보내고, 도구 호출이 끝나면 결과를 붙여 다음 턴을 스트리밍한다.
+   * 턴 도중 스트림이 끊기면 fallbackOrder의 다음 provider가 이어받는다 (_streamTurnWithFailover).
+   * @param {Object} options - streamChat 옵션 + { userId, projectId, cache } (이어받는 provider의 예산 게이트/응답 캐시용)
+   *   + tools (contextBuilder가 고른 도구, 생략하면 전체)
+   * @returns {Promise<{content: string, toolResults: Array, agentName: string}>} (yield*의 반환값)
+   */
+  async *_streamWithTools(agentName, agent, messages, options = {}) {
+    const { userId = null, projectId = null, cache = {}, tools: selectedTools, ...chatOptions } = options;
+    const tools = selectedTools ?? this._getToolDefinitions();
+    const state = { agentName, agent, userId, projectId, cache, tried: new Set([agentName]) };
+    const conversation = [...messages];
+    const toolResults = [];
     let fullContent = '';
-    for await (const chunk of tallyStream) {
-      const content = this._extractChunkContent(brain.name, chunk);
-      if (content) {
-        fullContent += content;
-        yield JSON.stringify({ type: 'chunk', content }, null, 0) + '\n';
+
+    for (let iteration = 0; iteration <= MAX_TOOL_ITERATIONS; iteration++) {
+      const toolChoice = iteration === MAX_TOOL_ITERATIONS ? 'none' : 'auto';
+      const turn = yield* this._streamTurnWithFailover(state, conversation, tools, { ...chatOptions, toolChoice });
+      fullContent += turn.content;
+
+      if (turn.toolCalls.length === 0 || toolChoice === 'none') break;
+
+      const results = [];
+      for (const call of turn.toolCalls) {
+        const result = yield* this._streamToolExecution(call, this._toolCaller(userId));
+        results.push(result);
+        toolResults.push({ tool: call.name, arguments: call.arguments, result });
       }
+      this._appendToolTurn(conversation, turn.content, turn.toolCalls, results);
     }
 
-    yield JSON.stringify({ type: 'done' }, null, 0) + '\n';
+    if (toolResults.length > 0) {
+      logger.info('MCP tools executed in stream', {
+        toolCount: toolResults.length,
+        tools: toolResults.map(r => r.tool)
+      });
+    }
 
-    this.memory.addShortTermMemory(userId, sessionId, 'assistant', fullContent, {
-      strategy: 'voting',
-      agents_used: agents,
-      votes: votes
+    return { content: fullContent, toolResults, agentName: state.agentName };
+  }
+
+  /**
+   * 도구 없이 텍스트만 스트리밍 (중간 장애 시 다음 provider가 이어받음)
+   * @returns {Promise<{content: string, agentName: string}>} (yield*의 반환값)
+   */
+  async *_streamText(agentName, agent, messages, { userId = null, projectId = null, cache = {} } = {}) {
+    const state = { agentName, agent, userId, projectId, cache, tried: new Set([agentName]) };
+    const turn = yield* this._streamTurnWithFailover(state, messages, []);
+    return { content: turn.content, agentName: state.agentName };
+  }
+
+  /**
+   * 스트림 1턴 + provider 이어받기
+   * 스트림이 시작 전/도중에 실패하거나 일정 시간 청크가 없으면(멈춤) fallbackOrder에서 아직 시도하지 않은
+   * 사용 가능한 provider로 바꾸고, 지금까지 받은 부분 답변을 assistant 턴으로 넘겨 이어서 작성하게 한다.
+   * 전환할 때 provider_switched 이벤트를 내보낸다.
+   * @param {Object} state - { agentName, agent, userId, projectId, cache, tried } (전환 시 갱신)
+   * @param {Array<Object>} conversation - 표준 메시지 배열
+   * @param {Array<Object>} tools - 도구 정의 (빈 배열이면 streamChat)
+   * @returns {Promise<{content: string, toolCalls: Array}>} (yield*의 반환값)
+   */
+  async *_streamTurnWithFailover(state, conversation, tools, options = {}) {
+    let partial = '';
+    let turnMessages = conversation;
+
+    for (;;) {
+      let toolCalls = [];
+      try {
+        const events = tools.length > 0 && state.agent.supportsTools
+          ? state.agent.streamChatWithTools(turnMessages, tools, options)
+          : this._textEvents(state.agentName, await state.agent.streamChat(turnMessages, options));
+
+        for await (const event of this._withStallTimeout(events, state.agentName)) {
+          if (event.type === 'text') {
+            partial += event.text;
+            yield JSON.stringify({ type: 'chunk', content: event.text }, null, 0) + '\n';
+          } else if (event.type === 'tool_calls') {
+            toolCalls = event.toolCalls;
+          }
+        }
+        return { content: partial, toolCalls };
+      } catch (error) {
+        // 사용자/프로젝트/전체 예산 차단은 다른 provider로 우회하지 않는다
+        if (error.code === 'BUDGET_EXCEEDED' && error.budget?.scope !== 'provider') throw error;
+
+        const next = this.fallbackOrder.find(name => !state.tried.has(name) && this.providers[name]?.isAvailable);
+        if (!next) throw error;
+
+        logger.warn('스트림 중단 - 다음 provider로 전환', {
+          from: state.agentName,
+          to: next,
+          reason: error.message,
+          partialLength: partial.length
+        });
+        yield JSON.stringify({
+          type: 'provider_switched',
+          from: state.agentName,
+          to: next,
+          reason: error.code === 'STREAM_STALLED' ? 'stalled' : 'error',
+          message: error.message,
+          partialLength: partial.length
+        }, null, 0) + '\n';
+
+        state.tried.add(next);
+        state.agentName = next;
+        state.agent = this._budgeted(this.providers[next], state.userId, state.projectId, state.cache);
+        turnMessages = partial
+          ? [
+            ...conversation,
+            { role: 'assistant', content: partial },
+            { role: 'user', content: STREAM_CONTINUE_PROMPT }
+          ]
+          : conversation;
+      }
+    }
+  }
+
+  /**
+   * provider 원본 스트림 → { type: 'text', text } 이벤트
+   */
+  async *_textEvents(agentName, stream) {
+    for await (const chunk of stream) {
+      const text = this._extractChunkContent(agentName, chunk);
+      if (text) yield { type: 'text', text };
+    }
+  }
+
+  /**
+   * 이벤트 스트림에 멈춤 감지 추가
+   * 첫 이벤트는 streamTimeouts.firstChunkMs, 이후에는 streamTimeouts.stallMs 안에 오지 않으면
+   * STREAM_STALLED 에러로 끊고 provider 장애로 기록한다.
+   */
+  async *_withStallTimeout(events, agentName) {
+    const iterator = events[Symbol.asyncIterator]();
+    let timeoutMs = this.streamTimeouts.firstChunkMs;
+
+    for (;;) {
+      const next = iterator.next();
+      // 멈춤으로 포기한 뒤 늦게 실패해도 unhandled rejection이 되지 않도록
+      next.catch(() => {});
+
+      let timer;
+      const stalled = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`${agentName} 응답이 ${Math.ceil(timeoutMs / 1000)}초 동안 없어 중단했습니다.`);
+          error.code = 'STREAM_STALLED';
+          reject(error);
+        }, timeoutMs);
+      });
+
+      let result;
+      try {
+        result = await Promise.race([next, stalled]);
+      } catch (error) {
+        if (error.code === 'STREAM_STALLED') {
+          this.providerHealth.getBreaker(agentName).recordFailure(error);
+          iterator.return?.().catch(() => {});
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (result.done) return;
+      timeoutMs = this.streamTimeouts.stallMs;
+      yield result.value;
+    }
+  }
+
+  /**
+   * 도구 1건 실행 + 상태 이벤트 스트리밍
+   * tool_call_started → (tool_call_progress)* → tool_call_result 순으로 내보낸다.
+   * 정책이 승인을 요구하면 approval_required를 내보내고 결정될 때까지 턴을 멈췄다가,
+   * approval_resolved 뒤에 (승인됐으면 실행한) 결과를 이어서 내보낸다.
+   * @param {Object} caller - 도구 정책의 호출자 (_toolCaller)
+   * @returns {Promise<Object>} 도구 실행 결과 (yield*의 반환값)
+   */
+  async *_streamToolExecution(call, caller = null) {
+    const startedAt = Date.now();
+    yield JSON.stringify({
+      type: 'tool_call_started',
+      id: call.id,
+      tool: call.name,
+      arguments: call.arguments || {}
+    }, null, 0) + '\n';
+
+    // 도구가 onProgress로 보낸 진행 상황과 승인 대기 이벤트를 실행이 끝날 때까지 중계
+    const eventQueue = [];
+    let wake = null;
+    let finished = false;
+    const push = (event) => {
+      eventQueue.push(event);
+      wake?.();
+    };
+    const execution = this._executeToolCall(call, {
+      caller,
+      awaitApproval: true,
+      onProgress: (progress) => push({
+        type: 'tool_call_progress',
+        id: call.id,
+        tool: call.name,
+        message: progress?.message || '',
+        percent: typeof progress?.percent === 'number' ? progress.percent : null
+      }),
+      onApprovalRequired: (request) => push({
+        type: 'approval_required',
+        id: call.id,
+        tool: call.name,
+        requestId: request.id,
+        command: request.command,
+        args: request.args,
+        securityLevel: request.securityLevel,
+        preview: request.preview,
+        requester: request.requester,
+        reason: request.reason,
+        requiredApprovals: request.requiredApprovals,
+        approvals: request.approvals.length,
+        expiresAt: request.expiresAt,
+        message: `승인 후 실행합니다 (${request.reason || request.securityLevel})`
+      }),
+      onApprovalResolved: ({ requestId, status }) => push({
+        type: 'approval_resolved',
+        id: call.id,
+        tool: call.name,
+        requestId,
+        status
+      })
+    }).finally(() => {
+      finished = true;
+      wake?.();
     });
+
+    while (!finished || eventQueue.length > 0) {
+      if (eventQueue.length === 0) {
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
+        continue;
+      }
+      yield JSON.stringify(eventQueue.shift(), null, 0) + '\n';
+    }
+
+    const result = await execution;
+    // MCPBase는 도구 반환값을 { success, result }로 감싸므로 실제 상태는 result.result에 있다
+    const output = result.result;
+    const failed = !result.success || output?.success === false;
+
+    yield JSON.stringify({
+      type: 'tool_call_result',
+      id: call.id,
+      tool: call.name,
+      status: failed ? 'error' : 'success',
+      result: output ?? null,
+      error: result.error || (failed ? output?.error || null : null),
+      durationMs: Date.now() - startedAt
+    }, null, 0) + '\n';
+
+    return result;
   }
 
   /**
    * AI 스트림 청크에서 텍스트 추출 (provider-specific parsing)
    */
   _extractChunkContent(agentName, chunk) {
-    if (agentName === 'ChatGPT' || agentName === 'Grok') {
+    if (agentName === 'ChatGPT' || agentName === 'Grok' || chunk?.choices) {
+      // OpenAI 호환 provider(로컬 모델 포함)도 같은 청크 형식
       return chunk.choices?.[0]?.delta?.content || '';
     } else if (agentName === 'Claude') {
       if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'text_delta') {
@@ -1360,7 +2139,19 @@ ${votes.map(v => `[${v.agent}]\n${v.response}`).join('\n\n')}
     return '';
   }
 
+  /**
+   * Athena 시스템 프롬프트 (섹션을 이어 붙인 문자열)
+   */
   buildAthenaSystemPrompt(identity, projectId = null, options = {}) {
+    return this.buildAthenaSystemSections(identity, projectId, options).map(section => section.text).join('\n\n');
+  }
+
+  /**
+   * Athena 시스템 프롬프트 섹션 - contextBuilder가 모델 예산에 맞춰 우선순위대로 채운다
+   * @returns {Array<{name: string, text: string, priority: number, required?: boolean, truncate?: boolean}>}
+   */
+  buildAthenaSystemSections(identity, projectId = null, options = {}) {
+    const sections = [];
     // Workspace Identity 읽기 (IDENTITY.md)
     const wsIdentity = this.workspaceMemory.getIdentity();
     const isTelegram = options.telegram || false;
@@ -1394,37 +2185,66 @@ ${identity.map(i => `- ${i.key}: ${JSON.stringify(i.value)}`).join('\n')}`;
 ${identity.map(i => `- ${i.key}: ${JSON.stringify(i.value)}`).join('\n')}`;
     }
 
+    sections.push({ name: 'persona', text: prompt, priority: SECTION_PRIORITY.persona, required: true });
+
     // Workspace Identity 추가
     if (wsIdentity) {
-      prompt += `\n\n=== ${isTelegram ? '루미엘' : 'Athena'} 정체성 (Workspace) ===\n${wsIdentity}`;
+      sections.push({
+        name: 'identity',
+        text: `=== ${isTelegram ? '루미엘' : 'Athena'} 정체성 (Workspace) ===\n${wsIdentity}`,
+        priority: SECTION_PRIORITY.identity,
+        truncate: true
+      });
     }
 
-    prompt += `\n\n대화할 때:
+    sections.push({
+      name: 'rules',
+      text: `대화할 때:
 - "그거", "아까 말한 것" 등의 대명사는 맥락에서 파악
 - 필요시 명확히 질문하여 확인
 - 출처가 있는 정보는 항상 출처 표시
-- 불확실한 내용은 솔직하게 인정`;
+- 불확실한 내용은 솔직하게 인정`,
+      priority: SECTION_PRIORITY.persona,
+      required: true
+    });
 
     // Workspace Memory 추가 (MEMORY.md)
     const wsMemory = this.workspaceMemory.getMemory();
     if (wsMemory) {
-      prompt += `\n\n=== 사용자에 대해 기억하고 있는 정보 ===\n${wsMemory}`;
+      sections.push({
+        name: 'memory',
+        text: `=== 사용자에 대해 기억하고 있는 정보 ===\n${wsMemory}`,
+        priority: SECTION_PRIORITY.memory,
+        truncate: true
+      });
     }
 
     // 최근 일일 로그 추가 (1일)
     const recentLogs = this.workspaceMemory.getRecentLogs(1);
     if (recentLogs.length > 0) {
       const logsText = recentLogs.map(log => `[${log.date}]\n${log.content}`).join('\n');
-      prompt += `\n\n=== 최근 대화 로그 ===\n${logsText}`;
+      sections.push({
+        name: 'logs',
+        text: `=== 최근 대화 로그 ===\n${logsText}`,
+        priority: SECTION_PRIORITY.logs,
+        truncate: true
+      });
     }
 
     // 프로젝트가 선택되지 않았을 때 일반 AI 답변 모드임을 명시
     if (!projectId) {
-      prompt += `\n\n=== 현재 모드: 일반 AI 답변 모드 ===\n현재 특정 프로젝트가 선택되지 않았으므로, 일반적인 AI 지식과 정보를 바탕으로 답변하세요.`;
+      sections.push({
+        name: 'mode',
+        text: `=== 현재 모드: 일반 AI 답변 모드 ===\n현재 특정 프로젝트가 선택되지 않았으므로, 일반적인 AI 지식과 정보를 바탕으로 답변하세요.`,
+        priority: SECTION_PRIORITY.persona,
+        required: true
+      });
     }
 
     // Oracle DB 접근 안내 (금융 질문 대응)
-    prompt += `\n\n=== Oracle 금융 데이터 접근 ===
+    sections.push({
+      name: 'oracle',
+      text: `=== Oracle 금융 데이터 접근 ===
 금융/투자/시장 관련 질문에는 Oracle 2.0 DB에서 실시간 데이터를 조회할 수 있습니다.
 query_database 도구로 DB경로 "/home/ubuntu/oracle/data/oracle.db"를 지정하여 SELECT 쿼리를 실행하세요.
 주요 테이블:
@@ -1437,14 +2257,18 @@ query_database 도구로 DB경로 "/home/ubuntu/oracle/data/oracle.db"를 지정
 - crypto_flow: 암호화폐 흐름 (name, value, change_1d)
 - money_flow: 자금 흐름 (asset, price, change_1d, regime)
 - news_sentiment: 뉴스 감성 (headline, compound_score, label)
-- analyses: AI 분석 결과 (type, summary, outlook, consensus)`;
-
+- analyses: AI 분석 결과 (type, summary, outlook, consensus)`,
+      priority: SECTION_PRIORITY.reference
+    });
 
     // MCP 도구 정보 추가
     if (this.mcpManager && this.mcpManager.enabled) {
-      prompt += this.mcpManager.getToolsPrompt();
+      const toolsPrompt = this.mcpManager.getToolsPrompt().trim();
+      if (toolsPrompt) {
+        sections.push({ name: 'tools', text: toolsPrompt, priority: SECTION_PRIORITY.tools });
+      }
     }
 
-    return prompt;
+    return sections;
   }
 }
@@ -0,0 +1,441 @@
+/**
+ * PlanManager - 계획 모드의 단계 DAG 작성·검증, 사용자 검토(수정), 실행 기록
+ *
+ * 총괄 AI가 질문을 ai_query / mcp_tool / web_search 단계로 나누고 단계 간 의존(dependsOn)을 정한다.
+ * 실행은 SubAgentManager.runGraph가 맡고(의존이 없는 단계는 동시에), 여기서는 계획과 결과를 남긴다.
+ */
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import { parseJsonObject } from '../utils/json.js';
+
+export const PLAN_STEP_TYPES = ['ai_query', 'mcp_tool', 'web_search'];
+
+const MAX_STEPS = 12;
+const STEP_ID_PATTERN = /^step\d+$/;
+// 단계 설정 안에서 앞 단계 결과를 참조하는 자리 (SubAgentManager._resolveTemplates와 같은 형식)
+const TEMPLATE_PATTERN = /\{\{(step\d+)\}\}/g;
+// 계획 프롬프트에 넣는 도구 설명 길이
+const TOOL_DESCRIPTION_CHARS = 100;
+// 재계획·최종 답변 프롬프트에 넣는 단계 결과 길이
+const PROMPT_OUTPUT_CHARS = 2000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+function clip(text, maxChars) {
+  const value = String(text ?? '');
+  return value.length > maxChars ? `${value.slice(0, maxChars)}… (${value.length - maxChars}자 생략)` : value;
+}
+
+export class PlanManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   */
+  constructor({ db, dbPath }) {
+    // plans / plan_steps는 database/migrations/015_plans.js
+    this.db = db || openDatabase(dbPath);
+  }
+
+  // ─── 요청 옵션 ──────────────────────────────────────────────────────
+
+  /**
+   * 요청별 계획 옵션 검증 (true면 바로 실행, { review: true }면 계획만 만들고 검토를 기다림)
+   * @returns {{review: boolean}}
+   */
+  normalizeRequest(request) {
+    if (request === true) return { review: false };
+    if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+      throw badRequest('plan은 true 또는 객체여야 합니다');
+    }
+    return { review: request.review === true || request.review === 'true' };
+  }
+
+  // ─── 계획 작성 ──────────────────────────────────────────────────────
+
+  /**
+   * 계획 작성 요청 (총괄 AI에게 보냄)
+   * @param {string} question
+   * @param {Object} catalog
+   * @param {Array<string>} catalog.agents - ai_query에 지정할 수 있는 provider
+   * @param {Array<{name: string, description: string}>} catalog.tools - mcp_tool에 쓸 수 있는 도구
+   */
+  buildPlanPrompt(question, { agents = [], tools = [] } = {}) {
+    const toolList = tools.length > 0
+      ? tools.map(t => `- ${t.name}: ${clip(t.description, TOOL_DESCRIPTION_CHARS)}`).join('\n')
+      : '- (사용 가능한 도구 없음)';
+
+    return `다음 요청을 처리할 실행 계획을 세우세요.
+
+요청: ${question}
+
+## 단계 종류
+- ai_query: AI에게 질문 ({ "prompt": "...", "provider": "${agents[0] || 'ChatGPT'}" } - provider는 생략 가능, 사용 가능: ${agents.join(', ') || '없음'})
+- mcp_tool: 도구 실행 ({ "toolName": "...", "params": { ... } })
+- web_search: 웹 검색 ({ "query": "..." })
+
+## 사용 가능한 도구
+${toolList}
+
+## 규칙
+- 단계 id는 step1, step2… 순서로 붙이고 최대 ${MAX_STEPS}단계로 만드세요
+- 앞 단계 결과가 필요하면 dependsOn에 그 id를 넣고, prompt/params/query 안에 {{step1}}처럼 참조하세요
+- 서로 의존하지 않는 단계는 동시에 실행되므로, 불필요한 의존을 만들지 마세요
+- 최종 답변은 모든 단계가 끝난 뒤 따로 작성하므로 "답변 정리" 단계는 넣지 마세요
+- 아래 JSON 형식으로만 답하세요
+
+\`\`\`json
+{
+  "goal": "계획의 목표 한 문장",
+  "steps": [
+    { "id": "step1", "type": "web_search", "description": "...", "query": "...", "dependsOn": [] },
+    { "id": "step2", "type": "ai_query", "description": "...", "prompt": "... {{step1}} ...", "dependsOn": ["step1"] }
+  ]
+}
+\`\`\``;
+  }
+
+  /**
+   * 계획 응답 파싱 - 형식이 맞지 않으면 질문 전체를 한 번에 묻는 1단계 계획
+   * @returns {{goal: string, steps: Array<Object>}}
+   */
+  parsePlan(content, question, catalog = {}) {
+    const parsed = parseJsonObject(content);
+    try {
+      if (!parsed) throw new Error('JSON 계획이 아닙니다');
+      return {
+        goal: String(parsed.goal || '').trim() || question,
+        steps: this.normalizeSteps(parsed.steps, catalog)
+      };
+    } catch (error) {
+      logger.warn('[PlanManager] 계획 파싱 실패 - 1단계 계획 사용', { error: error.message });
+      return {
+        goal: question,
+        steps: [{ id: 'step1', type: 'ai_query', description: '질문에 답하기', prompt: question, provider: null, dependsOn: [] }]
+      };
+    }
+  }
+
+  /**
+   * 단계 목록 검증 및 정규화 (사용자 수정에도 사용, 잘못된 값은 400 에러)
+   * - {{stepN}} 참조는 dependsOn에 자동으로 추가
+   * - 모르는 provider는 null(실행 시 사용 가능한 provider)로, 모르는 도구는 에러
+   * - 순환 의존은 에러, 결과는 의존 순서(위상 정렬)로 반환
+   * @param {Array<Object>} steps
+   * @param {Object} catalog - { agents, tools } (생략하면 provider/도구 이름은 검사하지 않음)
+   * @returns {Array<Object>}
+   */
+  normalizeSteps(steps, { agents = null, tools = null } = {}) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw badRequest('steps는 비어 있지 않은 배열이어야 합니다');
+    }
+    if (steps.length > MAX_STEPS) {
+      throw badRequest(`단계는 최대 ${MAX_STEPS}개입니다`);
+    }
+
+    const toolNames = tools ? new Set(tools.map(t => t.name)) : null;
+    const normalized = steps.map((step, index) => {
+      if (step === null || typeof step !== 'object' || Array.isArray(step)) {
+        throw badRequest(`steps[${index}]는 객체여야 합니다`);
+      }
+      const id = step.id === undefined ? `step${index + 1}` : String(step.id);
+      if (!STEP_ID_PATTERN.test(id)) {
+        throw badRequest(`단계 id는 step1, step2… 형식이어야 합니다: ${id}`);
+      }
+      if (!PLAN_STEP_TYPES.includes(step.type)) {
+        throw badRequest(`${id}: type은 ${PLAN_STEP_TYPES.join(', ')} 중 하나여야 합니다`);
+      }
+      if (step.dependsOn !== undefined && !Array.isArray(step.dependsOn)) {
+        throw badRequest(`${id}: dependsOn은 배열이어야 합니다`);
+      }
+
+      const base = {
+        id,
+        type: step.type,
+        description: String(step.description || '').trim() || step.type,
+        dependsOn: (step.dependsOn || []).map(String)
+      };
+
+      switch (step.type) {
+        case 'ai_query': {
+          const prompt = String(step.prompt || '').trim();
+          if (!prompt) throw badRequest(`${id}: ai_query에는 prompt가 필요합니다`);
+          const provider = step.provider ? String(step.provider) : null;
+          return { ...base, prompt, provider: provider && (!agents || agents.includes(provider)) ? provider : null };
+        }
+        case 'mcp_tool': {
+          const toolName = String(step.toolName || '').trim();
+          if (!toolName) throw badRequest(`${id}: mcp_tool에는 toolName이 필요합니다`);
+          if (toolNames && !toolNames.has(toolName)) throw badRequest(`${id}: 알 수 없는 도구입니다: ${toolName}`);
+          if (step.params !== undefined && (step.params === null || typeof step.params !== 'object' || Array.isArray(step.params))) {
+            throw badRequest(`${id}: params는 객체여야 합니다`);
+          }
+          return { ...base, toolName, params: step.params || {} };
+        }
+        default: {
+          const query = String(step.query || '').trim();
+          if (!query) throw badRequest(`${id}: web_search에는 query가 필요합니다`);
+          return { ...base, query };
+        }
+      }
+    });
+
+    const ids = new Set();
+    for (const step of normalized) {
+      if (ids.has(step.id)) throw badRequest(`단계 id가 중복됩니다: ${step.id}`);
+      ids.add(step.id);
+    }
+
+    for (const step of normalized) {
+      const referenced = [...JSON.stringify(step).matchAll(TEMPLATE_PATTERN)].map(match => match[1]);
+      step.dependsOn = [...new Set([...step.dependsOn, ...referenced])];
+      for (const dependency of step.dependsOn) {
+        if (dependency === step.id) throw badRequest(`${step.id}: 자기 자신에 의존할 수 없습니다`);
+        if (!ids.has(dependency)) throw badRequest(`${step.id}: 없는 단계에 의존합니다: ${dependency}`);
+      }
+    }
+
+    return this._topologicalOrder(normalized);
+  }
+
+  /**
+   * 위상 정렬 (같은 단계에서는 원래 순서 유지, 순환이면 400 에러)
+   */
+  _topologicalOrder(steps) {
+    const ordered = [];
+    const done = new Set();
+    let remaining = steps;
+    while (remaining.length > 0) {
+      const ready = remaining.filter(step => step.dependsOn.every(id => done.has(id)));
+      if (ready.length === 0) {
+        throw badRequest(`순환 의존이 있습니다: ${remaining.map(step => step.id).join(', ')}`);
+      }
+      for (const step of ready) {
+        ordered.push(step);
+        done.add(step.id);
+      }
+      remaining = remaining.filter(step => !done.has(step.id));
+    }
+    return ordered;
+  }
+
+  // ─── 재계획 ────────────────────────────────────────────────────────
+
+  /**
+   * 실패한 단계의 대체 단계 요청 (총괄 AI에게 보냄)
+   * @param {Object} plan - { goal, steps }
+   * @param {Object} step - 실패한 단계
+   * @param {string} error
+   * @param {Object<string, string>} outputs - 끝난 단계의 결과
+   * @param {Object} catalog - { agents, tools }
+   */
+  buildReplanPrompt(plan, step, error, outputs, { agents = [], tools = [] } = {}) {
+    const dependencyOutputs = step.dependsOn.length > 0
+      ? step.dependsOn.map(id => `### ${id}\n${clip(outputs[id], PROMPT_OUTPUT_CHARS)}`).join('\n\n')
+      : '(없음)';
+
+    return `실행 계획의 한 단계가 실패했습니다. 같은 목적을 이룰 대체 단계를 만드세요.
+
+## 계획의 목표
+${plan.goal}
+
+## 전체 단계
+${plan.steps.map(s => `- ${s.id} [${s.type}] ${s.description}${s.dependsOn.length > 0 ? ` (← ${s.dependsOn.join(', ')})` : ''}`).join('\n')}
+
+## 실패한 단계
+\`\`\`json
+${JSON.stringify(step, null, 2)}
+\`\`\`
+오류: ${error}
+
+## 이 단계가 참조할 수 있는 결과
+${dependencyOutputs}
+
+## 규칙
+- 같은 방법을 그대로 반복하지 말고, 도구·검색어·질문을 바꾸거나 ai_query로 대신하세요
+- 참조({{stepN}})는 이 단계의 dependsOn(${step.dependsOn.join(', ') || '없음'})에 있는 단계만 쓸 수 있습니다
+- 사용 가능한 provider: ${agents.join(', ') || '없음'}
+- 사용 가능한 도구: ${tools.map(t => t.name).join(', ') || '없음'}
+- 아래 JSON 형식으로만 답하세요
+
+\`\`\`json
+{"step": {"type": "ai_query", "description": "...", "prompt": "..."}}
+\`\`\``;
+  }
+
+  /**
+   * 대체 단계 파싱 - id와 dependsOn은 실패한 단계 것을 유지, 형식이 맞지 않으면 null
+   * @param {string} content
+   * @param {Array<Object>} steps - 현재 계획의 전체 단계
+   * @param {Object} failedStep
+   * @param {Object} catalog - { agents, tools }
+   * @returns {Object|null}
+   */
+  parseReplacement(content, steps, failedStep, catalog = {}) {
+    const parsed = parseJsonObject(content);
+    const replacement = parsed?.step || parsed;
+    if (!replacement || typeof replacement !== 'object') return null;
+
+    try {
+      const candidate = { ...replacement, id: failedStep.id, dependsOn: failedStep.dependsOn };
+      const normalized = this.normalizeSteps(steps.map(step => step.id === failedStep.id ? candidate : step), catalog)
+        .find(step => step.id === failedStep.id);
+      // 원래 의존 밖의 단계를 참조하면 실행 순서가 바뀌므로 받지 않는다
+      if (normalized.dependsOn.some(id => !failedStep.dependsOn.includes(id))) {
+        throw new Error(`dependsOn 밖의 단계를 참조합니다: ${normalized.dependsOn.join(', ')}`);
+      }
+      return normalized;
+    } catch (error) {
+      logger.warn('[PlanManager] 대체 단계 파싱 실패', { stepId: failedStep.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 최종 답변 프롬프트용 단계 결과 정리
+   * @param {Array<Object>} steps
+   * @param {Object<string, {status: string, output?: string, error?: string}>} results
+   */
+  formatResults(steps, results) {
+    return steps.map(step => {
+      const result = results[step.id] || { status: 'skipped' };
+      const header = `### ${step.id} [${step.type}] ${step.description}`;
+      if (result.status === 'completed') return `${header}\n${clip(result.output, PROMPT_OUTPUT_CHARS)}`;
+      if (result.status === 'failed') return `${header}\n(실패: ${result.error})`;
+      return `${header}\n(건너뜀: ${result.error || '앞 단계 실패'})`;
+    }).join('\n\n');
+  }
+
+  // ─── 기록 ──────────────────────────────────────────────────────────
+
+  /**
+   * 계획 저장 (검토 전 draft 상태)
+   * @returns {string} planId
+   */
+  create({ sessionId, userId = null, projectId = null, question, goal = null, steps }) {
+    const planId = randomUUID();
+    this.db.prepare(`
+      INSERT INTO plans (id, session_id, user_id, project_id, question, goal, steps)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(planId, sessionId, userId, projectId, question, goal, JSON.stringify(steps));
+    return planId;
+  }
+
+  /**
+   * 검토 중인 계획의 단계 수정 (draft 상태에서만)
+   * @returns {Array<Object>} 정규화된 단계
+   */
+  updateSteps(planId, steps, catalog = {}) {
+    const normalized = this.normalizeSteps(steps, catalog);
+    const result = this.db.prepare(`
+      UPDATE plans SET steps = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'draft'
+    `).run(JSON.stringify(normalized), planId);
+    if (result.changes === 0) this._throwNotDraft(planId);
+    return normalized;
+  }
+
+  /**
+   * 실행 시작 (draft → running, 이미 실행했거나 실행 중이면 409)
+   */
+  markRunning(planId) {
+    const result = this.db.prepare(`
+      UPDATE plans SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'draft'
+    `).run(planId);
+    if (result.changes === 0) this._throwNotDraft(planId);
+  }
+
+  _throwNotDraft(planId) {
+    const row = this.db.prepare('SELECT status FROM plans WHERE id = ?').get(planId);
+    if (!row) {
+      const error = new Error('계획을 찾을 수 없습니다');
+      error.status = 404;
+      throw error;
+    }
+    throw conflict(`검토 중(draft)인 계획만 수정·실행할 수 있습니다 (현재: ${row.status})`);
+  }
+
+  /**
+   * 재계획한 단계로 교체
+   */
+  replaceStep(planId, step) {
+    try {
+      const row = this.db.prepare('SELECT steps FROM plans WHERE id = ?').get(planId);
+      if (!row) return;
+      const steps = JSON.parse(row.steps).map(s => s.id === step.id ? step : s);
+      this.db.prepare(`
+        UPDATE plans SET steps = ?, replans = replans + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(JSON.stringify(steps), planId);
+    } catch (error) {
+      logger.error('[PlanManager] 재계획 단계 저장 실패', error, { planId, stepId: step.id });
+    }
+  }
+
+  /**
+   * 단계 실행 결과 저장 (completed | failed | skipped)
+   */
+  recordStep(planId, { stepId, type, status, attempt = 1, output = null, error = null }) {
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO plan_steps (id, plan_id, step_id, type, status, attempt, output, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(`${planId}:${stepId}`, planId, stepId, type, status, attempt, output, error);
+    } catch (err) {
+      logger.error('[PlanManager] 단계 결과 저장 실패', err, { planId, stepId });
+    }
+  }
+
+  /**
+   * 계획 종료 기록
+   */
+  finish(planId, { status = 'completed', result = null }) {
+    try {
+      this.db.prepare(`
+        UPDATE plans SET status = ?, result = ?, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(status, result, planId);
+    } catch (error) {
+      logger.error('[PlanManager] 계획 종료 기록 실패', error, { planId });
+    }
+  }
+
+  /**
+   * 계획 조회 (단계별 실행 결과 포함, 없으면 null)
+   */
+  getPlan(planId) {
+    const row = this.db.prepare('SELECT * FROM plans WHERE id = ?').get(planId);
+    if (!row) return null;
+
+    const results = this.db.prepare(`
+      SELECT step_id, type, status, attempt, output, error, updated_at
+      FROM plan_steps WHERE plan_id = ?
+    `).all(planId);
+
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      projectId: row.project_id,
+      question: row.question,
+      goal: row.goal,
+      steps: JSON.parse(row.steps),
+      status: row.status,
+      replans: row.replans,
+      result: row.result,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at,
+      results: Object.fromEntries(results.map(({ step_id, ...result }) => [step_id, result]))
+    };
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * ProviderHealth - provider별 서킷 브레이커 (수동적 헬스 추적)
+ *
+ * 실제 호출 결과로 provider 상태를 판단한다. 별도의 ping 호출을 보내지 않는다.
+ * - closed: 정상. 연속 장애가 임계치에 도달하면 open
+ * - open: 호출 차단 (isAvailable = false). 대기 시간이 지나면 half_open
+ * - half_open: 시험 호출 1건만 허용. 성공하면 closed, 실패하면 대기 시간을 늘려 다시 open
+ *
+ * 오류 종류에 따라 다르게 처리한다:
+ * - rate_limit (429): 즉시 open, Retry-After가 있으면 그만큼 대기
+ * - auth (401/403): 즉시 open, 키를 고치기 전에는 복구되지 않으므로 긴 대기
+ * - outage (5xx, 연결 실패, 타임아웃): 연속 횟수가 임계치에 도달하면 open
+ * - client (400/404/422 등 요청 자체 문제), aborted: provider 상태와 무관하므로 무시
+ */
+import { logger } from '../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: 3,         // outage 연속 횟수
+  baseCooldownMs: 30000,       // 첫 open 대기 시간
+  maxCooldownMs: 10 * 60000,   // 지수 백오프 상한
+  authCooldownMs: 30 * 60000   // 인증 오류 대기 시간
+};
+
+/**
+ * provider 오류 분류
+ * @param {Error} error - SDK 오류 (status / code / headers는 SDK마다 다름)
+ * @returns {'rate_limit'|'auth'|'outage'|'client'|'aborted'}
+ */
+export function classifyProviderError(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  const message = String(error?.message || '').toLowerCase();
+
+  if (error?.name === 'AbortError' || error?.name === 'APIUserAbortError') return 'aborted';
+  if (status === 429 || /rate.?limit|quota|resource_exhausted|too many requests/.test(message)) return 'rate_limit';
+  if (status === 401 || status === 403 || /api.?key|unauthori[sz]ed|permission denied|invalid.*(key|token)/.test(message)) return 'auth';
+  if (typeof status === 'number' && status >= 400 && status < 500 && status !== 408) return 'client';
+  return 'outage';
+}
+
+/**
+ * Retry-After 헤더 → ms (없거나 해석 불가면 null)
+ */
+function readRetryAfter(error) {
+  const headers = error?.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!raw) return null;
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 브레이커가 열려 있어 호출하지 않았을 때의 에러 (errorHandler가 503으로 응답)
+ */
+function createCircuitOpenError(breaker) {
+  const retryAt = breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null;
+  const error = new Error(
+    `${breaker.name} 일시 사용 불가 (최근 오류: ${breaker.lastError?.errorClass || '알 수 없음'})` +
+    (retryAt ? ` - ${retryAt} 이후 재시도` : '')
+  );
+  error.code = 'PROVIDER_UNAVAILABLE';
+  error.status = 503;
+  error.provider = breaker.name;
+  error.retryAt = retryAt;
+  return error;
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - provider 이름
+   * @param {Object} options - DEFAULT_OPTIONS 참고
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openCount = 0;          // 연속 open 횟수 (백오프 지수)
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;       // { errorClass, message, at }
+    this.lastSuccessAt = null;
+    this.counts = { success: 0, rate_limit: 0, auth: 0, outage: 0, client: 0 };
+  }
+
+  /**
+   * 지금 호출해도 되는지 (open 대기 시간이 지났으면 half_open으로 전환)
+   */
+  canRequest(now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.OPEN && now >= this.retryAt) {
+      this._transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      return !this.probeInFlight;
+    }
+    return this.state === CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * 호출 시작 - half_open이면 이 호출이 시험 호출이 된다
+   */
+  onRequest() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probeInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.counts.success++;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date().toISOString();
+    this.probeInFlight = false;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.openCount = 0;
+      this.openedAt = null;
+      this.retryAt = null;
+      this._transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  /**
+   * 실패 기록
+   * @returns {string} 분류된 오류 종류
+   */
+  recordFailure(error) {
+    const errorClass = classifyProviderError(error);
+    this.probeInFlight = false;
+
+    if (errorClass === 'aborted') return errorClass;
+    this.counts[errorClass]++;
+    this.lastError = { errorClass, message: error?.message || String(error), at: new Date().toISOString() };
+
+    // 요청 자체의 문제는 provider 장애가 아님 (시험 호출이었다면 다음 요청이 다시 시험)
+    if (errorClass === 'client') return errorClass;
+
+    if (errorClass === 'rate_limit') {
+      this._open(readRetryAfter(error));
+    } else if (errorClass === 'auth') {
+      this._open(this.options.authCooldownMs);
+    } else {
+      this.consecutiveFailures++;
+      if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.options.failureThreshold) {
+        this._open();
+      }
+    }
+    return errorClass;
+  }
+
+  /**
+   * open 전환 - 대기 시간을 지정하지 않으면 지수 백오프
+   */
+  _open(cooldownMs = null) {
+    this.openCount++;
+    const backoff = Math.min(
+      this.options.baseCooldownMs * 2 ** (this.openCount - 1),
+      this.options.maxCooldownMs
+    );
+    const now = Date.now();
+    this.openedAt = new Date(now).toISOString();
+    this.retryAt = now + (cooldownMs ?? backoff);
+    this._transition(CIRCUIT_STATES.OPEN);
+  }
+
+  _transition(state) {
+    if (this.state === state) return;
+    const from = this.state;
+    this.state = state;
+    const log = state === CIRCUIT_STATES.OPEN ? logger.warn : logger.info;
+    log.call(logger, `[ProviderHealth] ${this.name}: ${from} → ${state}`, {
+      provider: this.name,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastError: state === CIRCUIT_STATES.OPEN ? this.lastError : undefined
+    });
+  }
+
+  /**
+   * 수동 초기화 (키 교체 후 등)
+   */
+  reset() {
+    this.consecutiveFailures = 0;
+    this.openCount = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.probeInFlight = false;
+    this._transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  getState() {
+    // open 대기 시간이 지났으면 half_open으로 보이도록 갱신
+    this.canRequest();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt,
+      counts: { ...this.counts }
+    };
+  }
+}
+
+export class ProviderHealth {
+  /**
+   * @param {Object} options - CircuitBreaker 옵션 (모든 provider 공통)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.options));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * provider 인스턴스에 브레이커 연결
+   * 공유 인스턴스의 호출 메서드를 감싸서 모든 호출 경로(예산 게이트 뷰, 텔레그램, 서브 에이전트 포함)의
+   * 결과가 기록되게 하고, isAvailable은 브레이커 상태를 반영한다.
+   * @param {Object} provider - AIProvider 인스턴스
+   * @returns {Object} 같은 인스턴스
+   */
+  instrument(provider) {
+    const breaker = this.getBreaker(provider.name);
+    let enabled = provider.isAvailable !== false;
+
+    // isAvailable = false는 관리자가 끈 상태로 취급하고, 브레이커가 닫혀 있어야 사용 가능
+    Object.defineProperty(provider, 'isAvailable', {
+      configurable: true,
+      enumerable: true,
+      get: () => enabled && breaker.canRequest(),
+      set: (value) => { enabled = Boolean(value); }
+    });
+
+    // open 상태에서 호출하면 provider에 요청하지 않고 즉시 실패
+    const admit = () => {
+      if (!breaker.canRequest()) {
+        throw createCircuitOpenError(breaker);
+      }
+      breaker.onRequest();
+    };
+
+    const record = (error) => {
+      const errorClass = breaker.recordFailure(error);
+      error.providerErrorClass = errorClass;
+      return error;
+    };
+
+    for (const method of ['chat', 'chatWithTools']) {
+      const original = provider[method].bind(provider);
+      provider[method] = async (...args) => {
+        admit();
+        try {
+          const response = await original(...args);
+          breaker.recordSuccess();
+          return response;
+        } catch (error) {
+          throw record(error);
+        }
+      };
+    }
+
+    // 스트림은 요청 시작뿐 아니라 중간에 끊겨도 실패로 기록
+    const originalStreamChat = provider.streamChat.bind(provider);
+    provider.streamChat = async (...args) => {
+      admit();
+      let stream;
+      try {
+        stream = await originalStreamChat(...args);
+      } catch (error) {
+        throw record(error);
+      }
+      return (async function* () {
+        let finished = false;
+        try {
+          for await (const chunk of stream) {
+            yield chunk;
+          }
+          finished = true;
+          breaker.recordSuccess();
+        } catch (error) {
+          finished = true;
+          throw record(error);
+        } finally {
+          // 소비자가 중간에 멈춘 경우 - 성공/실패 판단 없이 시험 호출만 해제
+          if (!finished) breaker.probeInFlight = false;
+        }
+      })();
+    };
+
+    const originalStreamWithTools = provider.streamChatWithTools.bind(provider);
+    provider.streamChatWithTools = async function* (...args) {
+      admit();
+      let finished = false;
+      try {
+        yield* originalStreamWithTools(...args);
+        finished = true;
+        breaker.recordSuccess();
+      } catch (error) {
+        finished = true;
+        throw record(error);
+      } finally {
+        if (!finished) breaker.probeInFlight = false;
+      }
+    };
+
+    return provider;
+  }
+
+  reset(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker) return false;
+    breaker.reset();
+    return true;
+  }
+
+  /**
+   * provider별 브레이커 상태 ({ name: getState() })
+   */
+  getStatus() {
+    const status = {};
+    for (const [name, breaker] of this.breakers) {
+      status[name] = breaker.getState();
+    }
+    return status;
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * ResponseCache - provider 호출 앞단의 LLM 응답 캐시
+ * 모델 + 정규화한 메시지 + 도구 정의 + 검색 컨텍스트가 같은 요청은 저장된 응답을 돌려준다.
+ * (웹 검색 결과의 search_cache와 같은 역할, 작업 유형별 TTL)
+ *
+ * 캐시 적중은 provider를 호출하지 않으므로 예산 게이트·서킷 브레이커를 거치지 않는다.
+ */
+import { createHash } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import { toContentParts, readStreamChunk } from '../ai/providers/base.js';
+
+// 작업 유형별 TTL (초, 0이면 캐시하지 않음) - 그 외 유형은 defaultTtlSeconds
+const DEFAULT_TTL_SECONDS = 600;
+const DEFAULT_TTL_BY_TASK_TYPE = {
+  telegram: 300,
+  debate: 1800,
+  voting: 1800,
+  subagent: 1800
+};
+
+// 적중한 스트림 응답을 다시 내보낼 때의 청크 크기 (문자)
+const REPLAY_CHUNK_CHARS = 200;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * 키 계산용 메시지 정규화
+ * 공백 차이와 provider별 tool call ID는 응답에 영향이 없으므로 제외하고, 이미지는 해시로 줄인다.
+ */
+function normalizeMessages(messages) {
+  return (messages || []).map(msg => {
+    const content = toContentParts(msg.content).map(part => {
+      if (part.type === 'text') return part.text.replace(/\s+/g, ' ').trim();
+      return `[image:${sha256(part.data || part.url)}]`;
+    }).filter(Boolean);
+
+    const normalized = { role: msg.role, content };
+    if (msg.name) normalized.name = msg.name;
+    if (msg.toolCalls?.length) {
+      normalized.toolCalls = msg.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+    }
+    return normalized;
+  });
+}
+
+/**
+ * 도구 정의 정규화 (이름순, 스키마가 바뀌면 키도 바뀜)
+ */
+function normalizeTools(tools) {
+  if (!tools?.length) return null;
+  return tools
+    .map(tool => `${tool.name}:${sha256(JSON.stringify(tool.inputSchema || {}))}`)
+    .sort();
+}
+
+function hashContext(context) {
+  if (context === null || context === undefined || context === '') return null;
+  return sha256(typeof context === 'string' ? context : JSON.stringify(context));
+}
+
+export class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   * @param {Object} options.performanceMonitor - 적중/미스 지표 기록용 PerformanceMonitor
+   * @param {boolean} options.enabled - 전체 활성화 여부 (기본: RESPONSE_CACHE_ENABLED !== 'false')
+   * @param {number} options.defaultTtlSeconds - 유형별 TTL이 없는 작업의 TTL
+   * @param {Object} options.ttlByTaskType - 작업 유형별 TTL (초, 기본값에 덮어씀)
+   */
+  constructor({ db, dbPath, performanceMonitor = null, enabled, defaultTtlSeconds, ttlByTaskType = {} }) {
+    // response_cache / response_cache_metrics는 database/migrations/011_response_cache.js
+    this.db = db || openDatabase(dbPath);
+    this.performanceMonitor = performanceMonitor;
+    this.enabled = enabled ?? process.env.RESPONSE_CACHE_ENABLED !== 'false';
+    this.defaultTtlSeconds = defaultTtlSeconds ?? (Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS);
+    this.ttlByTaskType = { ...DEFAULT_TTL_BY_TASK_TYPE, ...ttlByTaskType };
+
+    this.getStmt = this.db.prepare(`
+      SELECT response FROM response_cache
+      WHERE cache_key = ? AND expires_at > datetime('now')
+    `);
+    this.hitStmt = this.db.prepare(`
+      UPDATE response_cache SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+      WHERE cache_key = ?
+    `);
+    this.setStmt = this.db.prepare(`
+      INSERT INTO response_cache (cache_key, provider, model, task_type, response, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+      ON CONFLICT(cache_key) DO UPDATE SET
+        response = excluded.response,
+        model = excluded.model,
+        task_type = excluded.task_type,
+        hit_count = 0,
+        created_at = CURRENT_TIMESTAMP,
+        expires_at = excluded.expires_at,
+        last_hit_at = NULL
+    `);
+
+    // 만료 항목은 조회에서 제외되고, 시작 시 한 번 정리
+    try {
+      this.purgeExpired();
+    } catch (error) {
+      logger.error('[ResponseCache] 만료 항목 정리 실패', error);
+    }
+  }
+
+  /**
+   * 작업 유형의 TTL (초)
+   */
+  getTtl(taskType) {
+    return this.ttlByTaskType[taskType] ?? this.defaultTtlSeconds;
+  }
+
+  /**
+   * 캐시 키 - 모델, 정규화 메시지, 도구 정의, 검색 컨텍스트 해시, 출력에 영향을 주는 옵션
+   */
+  buildKey({ provider, model, messages, tools = null, context = null, options = {} }) {
+    return sha256(JSON.stringify({
+      provider,
+      model,
+      messages: normalizeMessages(messages),
+      tools: normalizeTools(tools),
+      context: hashContext(context),
+      temperature: options.temperature ?? null,
+      maxTokens: options.maxTokens ?? null,
+      toolChoice: options.toolChoice ?? null
+    }));
+  }
+
+  /**
+   * 저장된 응답 조회 (만료되었거나 없으면 null)
+   * @returns {{content: string, toolCalls?: Array, model?: string, usage?: Object}|null}
+   */
+  get(key) {
+    try {
+      const row = this.getStmt.get(key);
+      if (!row) return null;
+      this.hitStmt.run(key);
+      return JSON.parse(row.response);
+    } catch (error) {
+      logger.error('[ResponseCache] 조회 실패', error);
+      return null;
+    }
+  }
+
+  /**
+   * 응답 저장
+   * @param {string} key
+   * @param {Object} entry - { provider, model, taskType, ttlSeconds }
+   * @param {Object} response - { content, toolCalls, model, usage }
+   */
+  set(key, { provider, model, taskType, ttlSeconds }, response) {
+    if (!ttlSeconds || ttlSeconds <= 0) return;
+    try {
+      this.setStmt.run(
+        key,
+        provider,
+        model || null,
+        taskType,
+        JSON.stringify({
+          content: response.content || '',
+          toolCalls: response.toolCalls || [],
+          model: response.model || model || null,
+          usage: response.usage || null
+        }),
+        `+${Math.floor(ttlSeconds)} seconds`
+      );
+    } catch (error) {
+      logger.error('[ResponseCache] 저장 실패', error, { provider });
+    }
+  }
+
+  /**
+   * 캐시 비우기 (provider를 지정하면 해당 provider만)
+   * @returns {number} 삭제된 항목 수
+   */
+  clear(provider = null) {
+    const result = provider
+      ? this.db.prepare('DELETE FROM response_cache WHERE provider = ?').run(provider)
+      : this.db.prepare('DELETE FROM response_cache').run();
+    return result.changes;
+  }
+
+  /**
+   * 만료된 항목 삭제
+   */
+  purgeExpired() {
+    return this.db.prepare("DELETE FROM response_cache WHERE expires_at <= datetime('now')").run().changes;
+  }
+
+  /**
+   * 저장 현황 + 적중률 지표
+   */
+  getStats(days = 7) {
+    const entries = this.db.prepare(`
+      SELECT provider, task_type, COUNT(*) as entries, SUM(hit_count) as hits
+      FROM response_cache
+      WHERE expires_at > datetime('now')
+      GROUP BY provider, task_type
+      ORDER BY entries DESC
+    `).all().map(row => ({
+      provider: row.provider,
+      taskType: row.task_type,
+      entries: row.entries,
+      hits: row.hits || 0
+    }));
+
+    return {
+      enabled: this.enabled,
+      defaultTtlSeconds: this.defaultTtlSeconds,
+      ttlByTaskType: this.ttlByTaskType,
+      entries,
+      metrics: this.performanceMonitor?.getCacheStats(days) || null
+    };
+  }
+
+  _record(providerName, taskType, hit, cached = null) {
+    this.performanceMonitor?.recordCacheResult(providerName, taskType, hit, cached?.usage, cached?.model);
+  }
+
+  /**
+   * provider를 응답 캐시로 감싼 뷰 반환 (예산 게이트 뷰 바깥에 씌운다)
+   * 호출별 options.cache === false면 캐시를 건너뛰고, 객체면 policy 값을 덮어쓴다.
+   * @param {Object} provider - AIProvider 또는 BudgetGate 뷰
+   * @param {Object} policy - { enabled, taskType, ttlSeconds, context }
+   *   - context: 프롬프트에 넣은 검색 결과 등 (키에 해시로 포함)
+   * @returns {Object} chat/streamChat/chatWithTools/streamChatWithTools가 캐시를 거치는 provider
+   */
+  wrap(provider, policy = {}) {
+    if (!provider || !this.enabled || policy.enabled === false) return provider;
+
+    const cache = this;
+    const view = Object.create(provider);
+
+    // 호출별 설정 해석 - 캐시하지 않으면 null
+    const resolve = (messages, tools, options) => {
+      if (options.cache === false) return null;
+      const call = { ...policy, ...(typeof options.cache === 'object' ? options.cache : {}) };
+      if (call.enabled === false) return null;
+
+      const taskType = call.taskType || 'chat';
+      const ttlSeconds = call.ttlSeconds ?? cache.getTtl(taskType);
+      if (!ttlSeconds || ttlSeconds <= 0) return null;
+
+      const model = options.model || provider.model;
+      return {
+        key: cache.buildKey({ provider: provider.name, model, messages, tools, context: call.context, options }),
+        entry: { provider: provider.name, model, taskType, ttlSeconds }
+      };
+    };
+
+    // provider에는 cache 옵션을 넘기지 않음
+    const strip = (options) => {
+      if (!('cache' in options)) return options;
+      const { cache: _cache, ...rest } = options;
+      return rest;
+    };
+
+    const lookup = (call) => {
+      const cached = cache.get(call.key);
+      cache._record(call.entry.provider, call.entry.taskType, Boolean(cached), cached);
+      if (cached) {
+        logger.info('[ResponseCache] 캐시 적중', { provider: call.entry.provider, taskType: call.entry.taskType });
+      }
+      return cached;
+    };
+
+    // 적중 응답은 실제 토큰을 쓰지 않았으므로 usage 0
+    const fromCache = (cached) => ({
+      content: cached.content,
+      toolCalls: cached.toolCalls || [],
+      provider: provider.name,
+      model: cached.model,
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+      cached: true
+    });
+
+    view.chat = async function (messages, options = {}) {
+      const call = resolve(messages, null, options);
+      const cached = call && lookup(call);
+      if (cached) {
+        const { toolCalls: _toolCalls, ...response } = fromCache(cached);
+        return response;
+      }
+
+      const response = await provider.chat(messages, strip(options));
+      if (call && response?.content) cache.set(call.key, call.entry, response);
+      return response;
+    };
+
+    view.chatWithTools = async function (messages, tools, options = {}) {
+      const call = resolve(messages, tools, options);
+      const cached = call && lookup(call);
+      if (cached) return fromCache(cached);
+
+      const response = await provider.chatWithTools(messages, tools, strip(options));
+      if (call && (response?.content || response?.toolCalls?.length)) cache.set(call.key, call.entry, response);
+      return response;
+    };
+
+    view.streamChat = async function (messages, options = {}) {
+      const call = resolve(messages, null, options);
+      const cached = call && lookup(call);
+      if (cached) {
+        // orchestrator/텔레그램의 청크 파서가 provider와 무관하게 읽는 choices 형식으로 재생
+        return (async function* () {
+          for (let i = 0; i < cached.content.length; i += REPLAY_CHUNK_CHARS) {
+            yield { choices: [{ delta: { content: cached.content.slice(i, i + REPLAY_CHUNK_CHARS) } }] };
+          }
+        })();
+      }
+
+      const stream = await provider.streamChat(messages, strip(options));
+      if (!call) return stream;
+
+      return (async function* () {
+        let content = '';
+        const usage = {};
+        for await (const chunk of stream) {
+          const read = readStreamChunk(chunk);
+          content += read.text;
+          Object.assign(usage, read.usage);
+          yield chunk;
+        }
+        // 끝까지 받은 응답만 저장 (중간에 끊기거나 소비자가 멈추면 여기까지 오지 않음)
+        if (content) cache.set(call.key, call.entry, { content, usage });
+      })();
+    };
+
+    view.streamChatWithTools = async function* (messages, tools, options = {}) {
+      const call = resolve(messages, tools, options);
+      const cached = call && lookup(call);
+      if (cached) {
+        if (cached.content) yield { type: 'text', text: cached.content };
+        if (cached.toolCalls?.length) yield { type: 'tool_calls', toolCalls: cached.toolCalls };
+        return;
+      }
+
+      let content = '';
+      let toolCalls = [];
+      for await (const event of provider.streamChatWithTools(messages, tools, strip(options))) {
+        if (event.type === 'text') {
+          content += event.text;
+        } else if (event.type === 'tool_calls') {
+          toolCalls = event.toolCalls;
+        }
+        yield event;
+      }
+      if (call && (content || toolCalls.length)) cache.set(call.key, call.entry, { content, toolCalls });
+    };
+
+    return view;
+  }
+}
@@ -2,13 +2,20 @@
  * CronScheduler - 예약 작업 런타임 실행기
  * DB의 scheduled_tasks를 주기적으로 확인하고 due 작업을 실행
  */
-import Database from 'better-sqlite3';
 import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import {
+  nextScheduledRun,
+  scheduleToCron,
+  countCronRunsBetween,
+  DEFAULT_TIMEZONE,
+  DEFAULT_CATCH_UP,
+  MAX_CATCH_UP_RUNS
+} from '../utils/cron.js';
 
 export class CronScheduler {
-  constructor({ dbPath, mcpManager, bot, interval = 60000 }) {
-    this.db = new Database(dbPath, { readonly: false });
-    this.db.pragma('journal_mode = WAL');
+  constructor({ db, dbPath, mcpManager, bot, interval = 60000 }) {
+    this.db = db || openDatabase(dbPath);
     this.mcpManager = mcpManager;
     this.bot = bot;
     this.interval = interval;
@@ -39,18 +46,73 @@ export class CronScheduler {
   }
 
   async _checkDueTasks() {
+    const now = new Date();
     const dueTasks = this.db.prepare(
-      `SELECT * FROM scheduled_tasks WHERE is_active = 1 AND next_run <= datetime('now')`
-    ).all();
+      `SELECT * FROM scheduled_tasks WHERE is_active = 1 AND next_run <= ?`
+    ).all(now.toISOString());
     if (!dueTasks.length) return;
     logger.info(`[CronScheduler] ${dueTasks.length} due task(s)`);
 
     for (const task of dueTasks) {
-      try { await this._executeTask(task); }
+      try {
+        const runs = this._resolveCatchUpRuns(task, now);
+        for (let i = 0; i < runs; i++) {
+          const active = await this._executeTask({ ...task, run_count: task.run_count + i });
+          if (!active) break;
+        }
+      }
       catch (err) { logger.error(`[CronScheduler] Task ${task.id} error`, err); }
     }
   }
 
+  /**
+   * 다운타임으로 놓친 실행 처리 - 이번 tick에 실행할 횟수 반환
+   * scheduleConfig.catchUp: skip | once(기본) | all
+   */
+  _resolveCatchUpRuns(task, now) {
+    const scheduleConfig = JSON.parse(task.schedule_config);
+    const scheduledAt = new Date(task.next_run);
+
+    // tick 주기 2배 이내의 지연은 정상 실행으로 간주
+    if (task.schedule_type === 'once' || now - scheduledAt <= this.interval * 2) return 1;
+
+    const policy = scheduleConfig.catchUp || DEFAULT_CATCH_UP;
+    const missed = this._countMissedRuns(task.schedule_type, scheduleConfig, scheduledAt, now);
+    logger.warn(`[CronScheduler] Task ${task.id} missed ${missed} run(s) since ${task.next_run} (catchUp: ${policy})`);
+
+    if (policy === 'skip') {
+      const nextRun = this._calculateNextRun(task.schedule_type, scheduleConfig, now);
+      this.db.prepare(
+        `INSERT INTO task_execution_log (task_id, status, started_at, completed_at, error) VALUES (?, 'skipped', ?, ?, ?)`
+      ).run(task.id, now.toISOString(), now.toISOString(), `Missed ${missed} run(s) since ${task.next_run}`);
+      this.db.prepare(
+        `UPDATE scheduled_tasks SET next_run=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`
+      ).run(nextRun ? nextRun.toISOString() : null, task.id);
+      return 0;
+    }
+    if (policy === 'all') {
+      const remaining = task.max_runs ? task.max_runs - task.run_count : Infinity;
+      return Math.max(1, Math.min(missed, MAX_CATCH_UP_RUNS, remaining));
+    }
+    return 1;
+  }
+
+  /**
+   * scheduledAt(포함) ~ now 사이 놓친 실행 횟수
+   */
+  _countMissedRuns(type, config, scheduledAt, now) {
+    if (type === 'interval') {
+      const ms = (config.intervalMinutes || 60) * 60_000;
+      return Math.floor((now - scheduledAt) / ms) + 1;
+    }
+    const expression = scheduleToCron(type, config);
+    if (!expression) return 1;
+    return 1 + countCronRunsBetween(expression, scheduledAt, now, {
+      timezone: config.timezone || DEFAULT_TIMEZONE,
+      limit: MAX_CATCH_UP_RUNS
+    });
+  }
+
   async _executeTask(task) {
     const taskConfig = JSON.parse(task.task_config);
     const startedAt = new Date().toISOString();
@@ -60,7 +122,7 @@ export class CronScheduler {
 
     let error = null;
     try {
-      const result = await this._dispatch(task.task_type, taskConfig);
+      const result = await this._dispatch(task.task_type, taskConfig, task.id);
       this.db.prepare(
         `UPDATE task_execution_log SET status='completed', completed_at=?, result=? WHERE id=?`
       ).run(new Date().toISOString(), JSON.stringify(result), logId);
@@ -79,107 +141,67 @@ export class CronScheduler {
       `UPDATE scheduled_tasks SET last_run=?, next_run=?, run_count=run_count+1, updated_at=CURRENT_TIMESTAMP WHERE id=?`
     ).run(startedAt, nextRun ? nextRun.toISOString() : null, task.id);
 
-    if (task.max_runs && task.run_count + 1 >= task.max_runs) {
+    const maxRunsReached = task.max_runs && task.run_count + 1 >= task.max_runs;
+    if (maxRunsReached) {
       this.db.prepare(`UPDATE scheduled_tasks SET is_active=0 WHERE id=?`).run(task.id);
       logger.info(`[CronScheduler] Task ${task.id} max_runs reached, deactivated`);
     }
     if (!error && taskConfig.notify) {
       this._notify(`[Scheduler] Completed: ${task.name}`);
     }
+    return !maxRunsReached && Boolean(nextRun);
   }
 
-  async _dispatch(taskType, config) {
+  async _dispatch(taskType, config, taskId) {
+    // 도구 정책에서 예약 작업은 scheduler 호출자로 본다
+    const context = { caller: { type: 'scheduler', id: taskId } };
     switch (taskType) {
       case 'mcp_tool':
         return await this.mcpManager.executeTool(
-          config.toolName || config.tool, config.toolParams || config.params || {}
+          config.toolName || config.tool, config.toolParams || config.params || {}, context
         );
       case 'system_command':
         return await this.mcpManager.executeTool('system_exec', {
           command: config.command, ...(config.cwd && { cwd: config.cwd })
-        });
+        }, context);
       case 'oracle_collect':
         return await this.mcpManager.executeTool('system_exec', {
           command: config.command || 'python main.py --collect-only',
           cwd: config.cwd || '/home/ubuntu/oracle'
-        });
+        }, context);
       case 'telegram_message':
         await this.bot.sendMessage(null, config.message);
         return { sent: true };
       case 'workflow':
         return await this.mcpManager.executeTool('run_workflow', {
           workflowId: config.workflowId, inputs: config.inputs || {}
-        });
+        }, context);
       case 'notification':
-        return await this.mcpManager.executeTool('send_notification', config.notificationConfig || config);
+        return await this.mcpManager.executeTool('send_notification', config.notificationConfig || config, context);
       case 'report':
-        return await this.mcpManager.executeTool('get_dashboard_summary', { userId: config.userId || 'system' });
+        return await this.mcpManager.executeTool('get_dashboard_summary', { userId: config.userId || 'system' }, context);
       default:
         throw new Error(`Unknown task_type: ${taskType}`);
     }
   }
 
+  /**
+   * 다음 실행 시간 계산 - daily/weekly/monthly/cron은 scheduleConfig.timezone(기본 KST) 기준
+   */
   _calculateNextRun(type, config, lastRun) {
     const now = new Date();
-    const base = lastRun || now;
-    switch (type) {
-      case 'once': return null;
-      case 'interval': {
-        const ms = (config.intervalMinutes || 60) * 60_000;
-        const next = new Date(base.getTime() + ms);
-        return next <= now ? new Date(now.getTime() + ms) : next;
-      }
-      case 'daily': {
-        const [h, m] = (config.time || '09:00').split(':').map(Number);
-        const next = new Date(base); next.setHours(h, m, 0, 0);
-        if (next <= now) next.setDate(next.getDate() + 1);
-        return next;
-      }
-      case 'weekly': {
-        const [h, m] = (config.time || '09:00').split(':').map(Number);
-        const next = new Date(base); next.setHours(h, m, 0, 0);
-        let d = (config.dayOfWeek || 0) - next.getDay();
-        if (d < 0 || (d === 0 && next <= now)) d += 7;
-        next.setDate(next.getDate() + d);
-        return next;
-      }
-      case 'monthly': {
-        const [h, m] = (config.time || '09:00').split(':').map(Number);
-        const next = new Date(base);
-        next.setDate(config.dayOfMonth || 1); next.setHours(h, m, 0, 0);
-        if (next <= now) next.setMonth(next.getMonth() + 1);
-        return next;
-      }
-      case 'cron': return this._nextCronRun(config.expression, now);
-      default:
-        logger.warn(`[CronScheduler] Unknown schedule_type: ${type}`);
-        return new Date(now.getTime() + 3600_000);
+    if (type === 'once') return null;
+    if (type === 'interval') {
+      const ms = (config.intervalMinutes || 60) * 60_000;
+      const next = new Date((lastRun || now).getTime() + ms);
+      return next <= now ? new Date(now.getTime() + ms) : next;
     }
-  }
-
-  /**
-   * 간단한 cron 다음 실행 시간 계산 (5-field: 분 시 일 월 요일)
-   */
-  _nextCronRun(expr, from) {
-    const parts = (expr || '0 * * * *').split(/\s+/);
-    if (parts.length !== 5) return new Date(from.getTime() + 3600_000);
-    const minute = parts[0] === '*' ? null : parseInt(parts[0], 10);
-    const hour = parts[1] === '*' ? null : parseInt(parts[1], 10);
-    const next = new Date(from); next.setSeconds(0, 0);
-
-    if (minute !== null && hour !== null) {
-      next.setHours(hour, minute, 0, 0);
-      if (next <= from) next.setDate(next.getDate() + 1);
-    } else if (minute === null && hour !== null) {
-      next.setMinutes(next.getMinutes() + 1); next.setHours(hour);
-      if (next <= from) next.setDate(next.getDate() + 1);
-    } else if (minute !== null) {
-      next.setMinutes(minute);
-      if (next <= from) next.setHours(next.getHours() + 1);
-    } else {
-      next.setMinutes(next.getMinutes() + 1);
+    try {
+      return nextScheduledRun(type, config, now);
+    } catch (err) {
+      logger.warn(`[CronScheduler] ${err.message}`);
+      return new Date(now.getTime() + 3600_000);
     }
-    return next;
   }
 
   async _notify(message) {
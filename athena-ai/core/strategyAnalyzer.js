@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { getModelRegistry } from '../ai/registry/index.js';
 
 /**
  * StrategyAnalyzer - Extracted from AthenaOrchestrator
@@ -17,64 +18,47 @@ export class StrategyAnalyzer {
    * @param {Object} options.providers - Map of AI provider instances (e.g. { ChatGPT, Gemini, Claude, Grok })
    * @param {Object} options.memory - MemoryManager instance
    * @param {string[]} options.fallbackOrder - Provider fallback order (e.g. ['ChatGPT', 'Gemini', 'Claude', 'Grok'])
+   * @param {Object} options.budgetGate - BudgetGate instance (spend caps per user/provider/project)
    */
-  constructor({ providers, memory, fallbackOrder }) {
+  constructor({ providers, memory, fallbackOrder, budgetGate }) {
     this.providers = providers;
     this.memory = memory;
     this.fallbackOrder = fallbackOrder;
+    this.budgetGate = budgetGate;
     this.currentBrain = null;
   }
 
   /**
-   * Select the brain (Meta AI) with automatic fallback on failure
+   * Select the brain (Meta AI): the first provider in fallbackOrder whose circuit breaker admits calls.
+   * Availability comes from real call outcomes (core/providerHealth.js), so no ping request is sent here.
    */
   async selectBrain() {
     for (const providerName of this.fallbackOrder) {
       const provider = this.providers[providerName];
       if (provider && provider.isAvailable) {
-        const isHealthy = await provider.checkHealth();
-        if (isHealthy) {
-          this.currentBrain = provider;
-          return provider;
-        }
+        this.currentBrain = provider;
+        return provider;
       }
     }
-    throw new Error('All AI providers are unavailable.');
+    const error = new Error('All AI providers are unavailable.');
+    error.code = 'PROVIDER_UNAVAILABLE';
+    error.status = 503;
+    throw error;
   }
 
   /**
-   * AI capability definitions for each provider
+   * AI capability definitions for each configured provider (from the model registry)
    */
   getAICapabilities() {
-    return {
-      'ChatGPT': {
-        strengths: ['논리적 분석', '코딩', '수학', '일반 지식', '구조화된 답변'],
-        specialties: ['technical', 'conversation'],
-        bestFor: ['단일 작업', '명확한 답변', '코드 작성', '수학 문제']
-      },
-      'Gemini': {
-        strengths: ['최신 정보', '다양한 관점', '창의성', '연구', '종합 분석'],
-        specialties: ['research', 'creative'],
-        bestFor: ['최신 트렌드', '연구', '다각도 분석', '창의적 작업']
-      },
-      'Claude': {
-        strengths: ['심층 분석', '윤리적 판단', '긴 맥락', '창의적 글쓰기', '복잡한 추론'],
-        specialties: ['creative', 'research', 'decision'],
-        bestFor: ['복잡한 분석', '윤리적 질문', '긴 문서 작성', '심층 토론']
-      },
-      'Grok': {
-        strengths: ['실시간 정보', '유머', '대화', '최신 이벤트', '트렌드'],
-        specialties: ['conversation', 'research'],
-        bestFor: ['최신 뉴스', '캐주얼 대화', '트렌드 분석', '실시간 정보']
-      }
-    };
+    return getModelRegistry().getProfiles(Object.keys(this.providers));
   }
 
   /**
    * Analyze query and determine strategy (enhanced version)
    */
-  async analyzeQuery(userId, sessionId, userMessage) {
-    const brain = await this.selectBrain();
+  async analyzeQuery(userId, sessionId, userMessage, projectId = null) {
+    // Strategy analysis is a billable call too, so it goes through the budget gate
+    const brain = this.budgetGate.wrap(await this.selectBrain(), { userId, projectId });
 
     // Get context information
     const context = this.memory.getContextWindow(sessionId, 5);
@@ -87,7 +71,7 @@ export class StrategyAnalyzer {
 
     // 2. Analyze success patterns for each mode
     const modePatterns = {};
-    ['single', 'parallel', 'sequential', 'debate', 'voting'].forEach(mode => {
+    ['single', 'parallel', 'sequential', 'debate', 'voting', 'plan'].forEach(mode => {
       modePatterns[mode] = this.memory.analyzeModePatterns(userId, mode, 10);
     });
 
@@ -254,6 +238,7 @@ ${aiInfo}
 - **sequential**: 단계별로 다른 AI에게 순서대로 작업을 넘김
 - **debate**: AI들끼리 토론하게 하고 내가 결론을 내림
 - **voting**: AI들에게 의견을 묻고 다수결 + 내 판단으로 결정
+- **plan**: 여러 단계(AI 질문, 도구 실행, 웹 검색)로 나눠야 하는 작업 - 내가 단계 계획을 세우고, 서로 독립인 단계는 동시에 실행한 뒤 결과를 종합
 
 ## 당신의 과거 경험
 ${patternInfo || '아직 충분한 경험이 쌓이지 않았습니다.'}
@@ -293,7 +278,7 @@ ${learningContext}
   "complexity": "simple|moderate|complex|very_complex",
   "category": "conversation|technical|creative|research|decision",
   "needsWebSearch": true|false,
-  "collaborationMode": "single|parallel|sequential|debate|voting",
+  "collaborationMode": "single|parallel|sequential|debate|voting|plan",
   "recommendedAgents": ["ChatGPT", "Gemini", "Claude", "Grok"],
   "reasoning": "위에서 설명한 판단 이유를 요약",
   "athenaThought": "내 생각 섹션의 핵심 내용",
@@ -351,9 +336,9 @@ ${learningContext}
       this.providers[agent]?.isAvailable
     );
 
-    // Guarantee at least 1
+    // Guarantee at least 1 (first available in fallback order, e.g. a local model when running on-prem only)
     if (agents.length === 0) {
-      agents = ['ChatGPT'];
+      agents = [this.fallbackOrder.find(name => this.providers[name]?.isAvailable) || 'ChatGPT'];
     }
 
     return agents.slice(0, 4); // Max 4
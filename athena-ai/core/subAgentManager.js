@@ -1,12 +1,16 @@
 /**
  * SubAgentManager - Concurrent AI Task Execution System
  * Manages up to maxConcurrent (default 8) parallel tasks across
- * AI providers, MCP tools, web search, and multi-step analyses.
+ * AI providers, MCP tools, web search, multi-step analyses and step graphs (plan mode).
  */
 import { logger } from '../utils/logger.js';
 
 let _nextId = 1;
 const VALID_TYPES = new Set(['ai_query', 'mcp_tool', 'web_search', 'analysis', 'parallel_ai']);
+// 그래프 단계 결과를 다음 단계 템플릿에 넣을 때의 최대 길이
+const MAX_STEP_OUTPUT_CHARS = 6000;
+// 그래프 단계 1개의 최대 시도 횟수 (첫 실행 + 재계획 1회)
+const MAX_STEP_ATTEMPTS = 2;
 
 export class SubAgentManager {
   constructor({ orchestrator, mcpManager, maxConcurrent = 8 }) {
@@ -97,6 +101,90 @@ export class SubAgentManager {
   onComplete(cb) { this._completeCbs.push(cb); }
   onError(cb) { this._errorCbs.push(cb); }
 
+  /**
+   * 단계 그래프 실행 - 의존 단계가 모두 끝난 단계를 바로 제출하므로 서로 독립인 단계는 동시에 돈다.
+   * 단계 설정 안의 {{stepN}}은 그 단계의 결과(문자열)로 바꾼다.
+   * 실패한 단계는 replan이 대체 단계를 주면 다시 실행하고, 끝내 실패하면 그 단계에 의존하는 단계를 건너뛴다.
+   * @param {Array<Object>} steps - { id, type, dependsOn, ...작업 설정 } (의존 순서로 정렬된 목록)
+   * @param {Object} options
+   * @param {Function} options.replan - async ({ step, error, outputs, steps }) => 대체 단계 | null
+   * @param {number} options.maxReplans - 그래프 전체의 재계획 한도
+   * @yields {{type: 'step_start'|'step_complete'|'step_failed'|'step_replanned'|'step_skipped', stepId: string}}
+   * @returns {Promise<{outputs: Object<string, string>, status: Object<string, string>}>}
+   */
+  async *runGraph(steps, { userId, projectId, cache, replan = null, maxReplans = 2, timeoutMs = 120_000 } = {}) {
+    const graph = new Map(steps.map(step => [step.id, step]));
+    const status = Object.fromEntries(steps.map(step => [step.id, 'pending']));
+    const attempts = {};
+    const outputs = {};
+    const running = new Map(); // stepId → { taskId, promise }
+    let replans = 0;
+
+    try {
+      while (true) {
+        // 1. 의존 단계가 실패·건너뜀이면 건너뛰고, 모두 끝났으면 제출 (목록이 의존 순서라 한 번 훑으면 된다)
+        for (const step of graph.values()) {
+          if (status[step.id] !== 'pending') continue;
+          const blockedBy = step.dependsOn.find(id => status[id] === 'failed' || status[id] === 'skipped');
+          if (blockedBy) {
+            status[step.id] = 'skipped';
+            yield { type: 'step_skipped', stepId: step.id, reason: `${blockedBy} 실패` };
+            continue;
+          }
+          if (!step.dependsOn.every(id => status[id] === 'completed')) continue;
+
+          const { id, dependsOn, description, ...config } = this._resolveTemplates(step, outputs);
+          const taskId = this.submit({ ...config, description, userId, projectId, cache, timeoutMs });
+          attempts[id] = (attempts[id] || 0) + 1;
+          status[id] = 'running';
+          running.set(id, {
+            taskId,
+            promise: this.waitFor(taskId, timeoutMs + 1000)
+              .catch(err => ({ status: 'failed', error: err.message }))
+              .then(result => ({ stepId: id, result }))
+          });
+          yield { type: 'step_start', stepId: id, taskId, stepType: step.type, description, attempt: attempts[id] };
+        }
+
+        if (running.size === 0) break;
+
+        // 2. 먼저 끝난 단계부터 처리
+        const { stepId, result } = await Promise.race([...running.values()].map(r => r.promise));
+        running.delete(stepId);
+        const error = result.status === 'completed'
+          ? (result.result?.success === false ? result.result.error || '도구 실행 실패' : null)
+          : result.error || 'Unknown error';
+
+        if (!error) {
+          status[stepId] = 'completed';
+          outputs[stepId] = this._stepOutput(result.result);
+          yield { type: 'step_complete', stepId, output: outputs[stepId], attempt: attempts[stepId] };
+          continue;
+        }
+
+        const canReplan = Boolean(replan) && replans < maxReplans && attempts[stepId] < MAX_STEP_ATTEMPTS;
+        yield { type: 'step_failed', stepId, error, attempt: attempts[stepId], willReplan: canReplan };
+        const replacement = canReplan
+          ? await replan({ step: graph.get(stepId), error, outputs: { ...outputs }, steps: [...graph.values()] })
+          : null;
+        if (replacement) {
+          replans++;
+          graph.set(stepId, replacement);
+          status[stepId] = 'pending';
+          yield { type: 'step_replanned', stepId, step: replacement };
+        } else {
+          status[stepId] = 'failed';
+          if (canReplan) yield { type: 'step_failed', stepId, error: '대체 단계를 만들지 못했습니다', attempt: attempts[stepId], willReplan: false };
+        }
+      }
+    } finally {
+      // 소비자가 중간에 멈추면 남은 작업 취소
+      for (const { taskId } of running.values()) this.cancel(taskId);
+    }
+
+    return { outputs, status };
+  }
+
   // ─── Internal Engine ─────────────────────────────────────────────
 
   _drain() {
@@ -138,7 +226,7 @@ export class SubAgentManager {
     const c = task.config;
     switch (c.type) {
       case 'ai_query':     return this._aiQuery(c);
-      case 'mcp_tool':     return this._mcpTool(c);
+      case 'mcp_tool':     return this._mcpTool(c, task.abortController.signal);
       case 'web_search':   return this._webSearch(c);
       case 'analysis':     return this._analysis(c, task.abortController.signal);
       case 'parallel_ai':  return this._parallelAi(c);
@@ -146,14 +234,19 @@ export class SubAgentManager {
     }
   }
 
-  async _aiQuery({ provider, prompt, messages }) {
-    const p = this._resolveProvider(provider);
+  async _aiQuery({ provider, prompt, messages, userId, projectId, cache }) {
+    const p = this._resolveProvider(provider, { userId, projectId }, cache);
     return p.chat(messages || [{ role: 'user', content: prompt }]);
   }
 
-  async _mcpTool({ toolName, params }) {
+  async _mcpTool({ toolName, params, userId }, signal) {
     if (!toolName) throw new Error('mcp_tool requires toolName');
-    return this.mcpManager.executeTool(toolName, params || {});
+    // 승인이 필요한 도구는 결정될 때까지 기다린다 (작업을 취소하면 대기도 끝남)
+    return this.mcpManager.executeTool(toolName, params || {}, {
+      caller: { type: 'web', id: userId ?? null },
+      awaitApproval: true,
+      signal
+    });
   }
 
   async _webSearch({ query }) {
@@ -164,7 +257,7 @@ export class SubAgentManager {
     return this.mcpManager.executeTool('call_api', { url, method: 'GET' });
   }
 
-  async _analysis({ steps }, signal) {
+  async _analysis({ steps, userId, projectId }, signal) {
     if (!Array.isArray(steps) || !steps.length) {
       throw new Error('analysis requires a non-empty steps array');
     }
@@ -172,17 +265,18 @@ export class SubAgentManager {
     for (let i = 0; i < steps.length; i++) {
       if (signal.aborted) throw new Error('Cancelled');
       const resolved = this._resolveTemplates(steps[i], ctx);
-      ctx[`step${i}`] = await this._dispatch({ config: resolved });
+      // 하위 단계도 같은 사용자/프로젝트 예산으로 집계
+      ctx[`step${i}`] = await this._dispatch({ config: { userId, projectId, ...resolved } });
     }
     return ctx;
   }
 
-  async _parallelAi({ providers, prompt, messages }) {
+  async _parallelAi({ providers, prompt, messages, userId, projectId, cache }) {
     const names = providers || Object.keys(this.orchestrator.providers);
     const msgs = messages || [{ role: 'user', content: prompt }];
     const settled = await Promise.allSettled(
       names.map(async (name) => {
-        const p = this._resolveProvider(name);
+        const p = this._resolveProvider(name, { userId, projectId }, cache);
         return { provider: name, response: await p.chat(msgs) };
       })
     );
@@ -194,13 +288,19 @@ export class SubAgentManager {
 
   // ─── Helpers ─────────────────────────────────────────────────────
 
-  _resolveProvider(name) {
+  /**
+   * 응답 캐시 → 예산 게이트를 거치는 provider (작업 설정의 cache: false면 캐시 사용 안 함)
+   */
+  _resolveProvider(name, budgetContext = {}, cache = true) {
     const key = name || this.orchestrator.fallbackOrder.find(
       n => this.orchestrator.providers[n]?.isAvailable
     );
     const p = this.orchestrator.providers[key];
     if (!p) throw new Error(`Provider not found: ${key}`);
-    return p;
+    return this.orchestrator._budgeted(p, budgetContext.userId, budgetContext.projectId, {
+      taskType: 'subagent',
+      enabled: cache !== false
+    });
   }
 
   _resolveTemplates(step, ctx) {
@@ -212,6 +312,21 @@ export class SubAgentManager {
     try { return JSON.parse(out); } catch { return step; }
   }
 
+  /**
+   * 그래프 단계 결과 → 다음 단계 템플릿·최종 답변용 문자열 (AI 응답은 본문만)
+   */
+  _stepOutput(result) {
+    let text;
+    if (typeof result === 'string') text = result;
+    else if (typeof result?.content === 'string') text = result.content;
+    else {
+      try { text = JSON.stringify(result?.success === true && 'result' in result ? result.result : result) ?? ''; } catch { text = String(result); }
+    }
+    return text.length > MAX_STEP_OUTPUT_CHARS
+      ? `${text.slice(0, MAX_STEP_OUTPUT_CHARS)}... (${text.length - MAX_STEP_OUTPUT_CHARS}자 생략)`
+      : text;
+  }
+
   _emit(cbs, data) {
     for (const cb of cbs) {
       try { cb(data); } catch (e) { logger.warn(`[SubAgent] Callback error: ${e.message}`); }
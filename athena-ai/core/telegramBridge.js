@@ -19,16 +19,22 @@ export class TelegramBridge {
    * @param {Object} deps.workspaceMemory - WorkspaceMemory 인스턴스
    * @param {Object} deps.memoryExtractor - MemoryExtractor 인스턴스
    * @param {Object} deps.webSearchService - WebSearchService 인스턴스 (nullable)
+   * @param {Object} deps.budgetGate - BudgetGate 인스턴스 (provider 호출 예산 한도)
+   * @param {Object} deps.responseCache - ResponseCache 인스턴스 (nullable, 같은 질문의 응답 재사용)
+   * @param {Object} deps.contextBuilder - ContextBuilder 인스턴스 (모델 예산에 맞춘 메시지 구성)
    * @param {Function} deps.buildAthenaSystemPrompt - bound function from orchestrator
    * @param {Function} deps.extractChunkContent - bound function from orchestrator
    */
-  constructor({ providers, memory, mcpManager, workspaceMemory, memoryExtractor, webSearchService, buildAthenaSystemPrompt, extractChunkContent }) {
+  constructor({ providers, memory, mcpManager, workspaceMemory, memoryExtractor, webSearchService, budgetGate, responseCache = null, contextBuilder, buildAthenaSystemPrompt, extractChunkContent }) {
     this.providers = providers;
     this.memory = memory;
     this.mcpManager = mcpManager;
     this.workspaceMemory = workspaceMemory;
     this.memoryExtractor = memoryExtractor;
     this.webSearchService = webSearchService;
+    this.budgetGate = budgetGate;
+    this.responseCache = responseCache;
+    this.contextBuilder = contextBuilder;
     this.oracleClient = new OracleClient({ mcpManager });
     this.buildAthenaSystemPrompt = buildAthenaSystemPrompt;
     this._extractChunkContent = extractChunkContent;
@@ -64,6 +70,15 @@ export class TelegramBridge {
     }
   }
 
+  /**
+   * 응답 캐시 → 예산 게이트를 거치는 provider 뷰
+   * 실시간 서버/금융 데이터는 시스템 프롬프트에 들어가므로 데이터가 바뀌면 캐시 키도 바뀐다.
+   */
+  _wrapProvider(provider, userId) {
+    const gated = this.budgetGate.wrap(provider, { userId });
+    return this.responseCache ? this.responseCache.wrap(gated, { taskType: 'telegram' }) : gated;
+  }
+
   /**
    * 텔레그램 전용 빠른 스트리밍 - analyzeQuery() 생략, 단일 AI 직행
    */
@@ -80,13 +95,13 @@ export class TelegramBridge {
       this.memory.addShortTermMemory(userId, sessionId, 'user', userMessage);
 
       // 텔레그램 전용 AI 우선순위: 속도 우선 (Gemini Flash → Grok Fast → ChatGPT → Claude)
-      const telegramOrder = ['Gemini', 'Grok', 'ChatGPT', 'Claude'];
+      const telegramOrder = [...new Set(['Gemini', 'Grok', 'ChatGPT', 'Claude', ...Object.keys(this.providers)])];
       let agent = null;
       let agentName = '';
       for (const name of telegramOrder) {
         const provider = this.providers[name];
         if (provider && provider.isAvailable) {
-          agent = provider;
+          agent = this._wrapProvider(provider, userId);
           agentName = name;
           break;
         }
@@ -96,8 +111,6 @@ export class TelegramBridge {
         throw new Error('사용 가능한 AI가 없습니다');
       }
 
-      // 대화 컨텍스트 (최근 6개만 - 텔레그램은 가볍게)
-      const context = this.memory.getContextWindow(sessionId, 6);
       const identity = this.memory.getAllIdentity('core');
 
       // 텔레그램 전용 시스템 프롬프트
@@ -137,11 +150,13 @@ export class TelegramBridge {
         systemPrompt += searchData;
       }
 
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...context,
-        { role: 'user', content: userMessage }
-      ];
+      // 대화 컨텍스트 (최근 6개만 - 텔레그램은 가볍게)
+      const { messages } = this.contextBuilder.build({
+        model: agent.model,
+        sections: [{ name: 'system', text: systemPrompt, required: true }],
+        history: this.contextBuilder.loadHistory(sessionId, { currentMessage: userMessage, limit: 7 }),
+        userContent: userMessage
+      });
 
       logger.info('Telegram stream: calling AI', { agent: agentName });
       const stream = await agent.streamChat(messages);
@@ -182,10 +197,10 @@ export class TelegramBridge {
 
     // 사용 가능한 AI 최대 3개 선택
     const available = [];
-    for (const name of ['ChatGPT', 'Gemini', 'Claude', 'Grok']) {
+    for (const name of new Set(['ChatGPT', 'Gemini', 'Claude', 'Grok', ...Object.keys(this.providers)])) {
       const provider = this.providers[name];
       if (provider && provider.isAvailable) {
-        available.push({ name, provider });
+        available.push({ name, provider: this._wrapProvider(provider, userId) });
       }
       if (available.length >= 3) break;
     }
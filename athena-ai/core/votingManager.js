@@ -0,0 +1,385 @@
+/**
+ * VotingManager - 투표 모드의 선택지 추출, 투표지 파싱, 가중 집계, 투표 기록
+ *
+ * 선택지는 투표 전에 한 번 정하고, 각 AI는 { option, confidence, rationale } JSON 투표지를 낸다.
+ * 표의 무게는 AI의 과거 성적(ai_performance 성공률 + 투표지에 달린 voting_feedback)으로 정한다.
+ */
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+import { parseJsonObject } from '../utils/json.js';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const OPTION_IDS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// 선택지를 뽑지 못했을 때의 기본 선택지
+const FALLBACK_OPTIONS = [
+  { id: 'A', label: '그렇다', description: '질문에 긍정' },
+  { id: 'B', label: '아니다', description: '질문에 부정' }
+];
+
+// 투표지에 확신도가 없을 때
+const DEFAULT_CONFIDENCE = 0.5;
+// 성공률 평활화용 사전 표본 수 (기록이 적은 AI는 1.0 쪽으로 당긴다)
+const SUCCESS_RATE_PRIOR = 5;
+const SCORE_EPSILON = 1e-9;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export class VotingManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   */
+  constructor({ db, dbPath }) {
+    // votes / vote_ballots / voting_feedback.ballot_id는 database/migrations/014_votes.js
+    this.db = db || openDatabase(dbPath);
+  }
+
+  // ─── 선택지 ────────────────────────────────────────────────────────
+
+  /**
+   * 선택지 추출 요청 (총괄 AI에게 보냄)
+   */
+  buildOptionsPrompt(question) {
+    return `다음 질문에 대해 AI들이 투표할 선택지를 정하세요.
+
+질문: ${question}
+
+- 질문에 선택지가 있으면 그대로 쓰고, 없으면 서로 겹치지 않는 대표 답변 ${MIN_OPTIONS}~${MAX_OPTIONS}개를 만드세요
+- label은 짧게(20자 이내), description은 한 문장으로 쓰세요
+- 아래 JSON 형식으로만 답하세요
+
+\`\`\`json
+{"options": [{"label": "...", "description": "..."}]}
+\`\`\``;
+  }
+
+  /**
+   * 선택지 응답 파싱 (A, B, C… 순서대로 id 부여, 형식이 맞지 않으면 기본 선택지)
+   * @returns {Array<{id: string, label: string, description: string}>}
+   */
+  parseOptions(content) {
+    const parsed = parseJsonObject(content);
+    const seen = new Set();
+    const options = [];
+    for (const option of Array.isArray(parsed?.options) ? parsed.options : []) {
+      const label = String(typeof option === 'string' ? option : option?.label || '').trim();
+      if (!label || seen.has(label.toLowerCase())) continue;
+      seen.add(label.toLowerCase());
+      options.push({
+        id: OPTION_IDS[options.length],
+        label,
+        description: String(option?.description || '').trim()
+      });
+      if (options.length >= MAX_OPTIONS) break;
+    }
+
+    if (options.length < MIN_OPTIONS) {
+      logger.warn('[VotingManager] 선택지 추출 실패 - 기본 선택지 사용', { count: options.length });
+      return FALLBACK_OPTIONS.map(option => ({ ...option }));
+    }
+    return options;
+  }
+
+  // ─── 투표지 ────────────────────────────────────────────────────────
+
+  /**
+   * 투표 요청 (각 AI에게 보냄)
+   */
+  buildBallotPrompt(question, options, agent) {
+    return `${question}
+
+위 질문에 대해 ${agent}으로서 다음 선택지 중 하나에 투표하세요.
+
+${options.map(o => `${o.id}. ${o.label}${o.description ? ` - ${o.description}` : ''}`).join('\n')}
+
+아래 JSON 형식으로만 답하세요. confidence는 0~1 사이의 확신도, rationale은 선택 이유(3문장 이내)입니다.
+
+\`\`\`json
+{"option": "${options[0].id}", "confidence": 0.7, "rationale": "..."}
+\`\`\``;
+  }
+
+  /**
+   * 투표지 파싱 - 선택지 id 또는 label로 매칭, 확신도는 0~1로 보정 (100점 척도면 나눔)
+   * @returns {{option: string|null, confidence: number|null, rationale: string, valid: boolean, error?: string}}
+   */
+  parseBallot(content, options) {
+    const parsed = parseJsonObject(content);
+    if (!parsed) {
+      return { option: null, confidence: null, rationale: String(content || '').slice(0, 500), valid: false, error: 'JSON 투표지가 아닙니다' };
+    }
+
+    const choice = String(parsed.option ?? parsed.choice ?? '').trim();
+    const option = options.find(o => o.id.toLowerCase() === choice.toLowerCase())
+      || options.find(o => o.label.toLowerCase() === choice.toLowerCase())
+      || options.find(o => choice.toUpperCase().startsWith(`${o.id}.`));
+    const rationale = String(parsed.rationale || parsed.reason || '').trim();
+    if (!option) {
+      return { option: null, confidence: null, rationale, valid: false, error: `알 수 없는 선택지: ${choice || '(없음)'}` };
+    }
+
+    let confidence = Number(parsed.confidence);
+    if (!Number.isFinite(confidence)) confidence = DEFAULT_CONFIDENCE;
+    if (confidence > 1) confidence /= 100;
+    confidence = Math.min(1, Math.max(0, confidence));
+
+    return { option: option.id, confidence, rationale, valid: true };
+  }
+
+  // ─── 가중치·집계 ────────────────────────────────────────────────────
+
+  /**
+   * AI별 표 가중치 = 평활화한 성공률 × (0.5 + 평활화한 피드백 호감도)
+   * 기록이 없으면 1.0, 범위는 0~1.5
+   * @param {Array<string>} agents
+   * @returns {Object<string, {weight: number, successRate: number, uses: number, likes: number, dislikes: number}>}
+   */
+  getAgentWeights(agents) {
+    const weights = {};
+    if (agents.length === 0) return weights;
+    const placeholders = agents.map(() => '?').join(', ');
+
+    const performance = new Map();
+    const feedback = new Map();
+    try {
+      for (const row of this.db.prepare(`
+        SELECT ai_provider, SUM(success_rate * total_uses) as successes, SUM(total_uses) as uses
+        FROM ai_performance WHERE ai_provider IN (${placeholders})
+        GROUP BY ai_provider
+      `).all(...agents)) {
+        performance.set(row.ai_provider, row);
+      }
+      for (const row of this.db.prepare(`
+        SELECT agent,
+          SUM(CASE WHEN feedback_type = 'like' THEN 1 ELSE 0 END) as likes,
+          SUM(CASE WHEN feedback_type = 'dislike' THEN 1 ELSE 0 END) as dislikes
+        FROM voting_feedback WHERE agent IN (${placeholders})
+        GROUP BY agent
+      `).all(...agents)) {
+        feedback.set(row.agent, row);
+      }
+    } catch (error) {
+      logger.error('[VotingManager] 가중치 조회 실패 - 동일 가중치 사용', error);
+    }
+
+    for (const agent of agents) {
+      const uses = performance.get(agent)?.uses || 0;
+      const successRate = ((performance.get(agent)?.successes || 0) + SUCCESS_RATE_PRIOR) / (uses + SUCCESS_RATE_PRIOR);
+      const likes = feedback.get(agent)?.likes || 0;
+      const dislikes = feedback.get(agent)?.dislikes || 0;
+      const approval = (likes + 1) / (likes + dislikes + 2);
+      weights[agent] = {
+        weight: Number((successRate * (0.5 + approval)).toFixed(4)),
+        successRate: Number(successRate.toFixed(4)),
+        uses,
+        likes,
+        dislikes
+      };
+    }
+    return weights;
+  }
+
+  /**
+   * 가중 집계 - 선택지 점수 = Σ(가중치 × 확신도)
+   * 동점이면 ① 득표 수 ② 최고 확신도 ③ 선택지 순서(먼저 나온 것) 순으로 가린다.
+   * @param {Array<Object>} options
+   * @param {Array<{agent: string, option: string|null, confidence: number|null, valid: boolean}>} ballots
+   * @param {Object} weights - getAgentWeights() 결과
+   * @returns {{options: Array<Object>, winner: string|null, tieBreak: string|null, totalVotes: number, abstentions: number}}
+   */
+  tally(options, ballots, weights) {
+    const rows = options.map((option, order) => ({
+      id: option.id,
+      label: option.label,
+      order,
+      votes: 0,
+      score: 0,
+      maxConfidence: 0,
+      voters: []
+    }));
+
+    let abstentions = 0;
+    for (const ballot of ballots) {
+      const row = ballot.valid && rows.find(r => r.id === ballot.option);
+      if (!row) {
+        abstentions++;
+        continue;
+      }
+      const weight = weights[ballot.agent]?.weight ?? 1;
+      row.votes++;
+      row.score += weight * ballot.confidence;
+      row.maxConfidence = Math.max(row.maxConfidence, ballot.confidence);
+      row.voters.push({ agent: ballot.agent, confidence: ballot.confidence, weight });
+    }
+
+    const totalScore = rows.reduce((sum, r) => sum + r.score, 0);
+    const totalVotes = ballots.length - abstentions;
+
+    let winner = null;
+    let tieBreak = null;
+    if (totalVotes > 0) {
+      const rules = [
+        ['score', (a, b) => b.score - a.score],
+        ['votes', (a, b) => b.votes - a.votes],
+        ['confidence', (a, b) => b.maxConfidence - a.maxConfidence],
+        ['order', (a, b) => a.order - b.order]
+      ];
+      let contenders = rows;
+      for (const [rule, compare] of rules) {
+        const best = [...contenders].sort(compare)[0];
+        contenders = contenders.filter(r => Math.abs(compare(best, r)) <= SCORE_EPSILON);
+        if (contenders.length === 1) {
+          winner = contenders[0].id;
+          if (rule !== 'score') tieBreak = rule;
+          break;
+        }
+      }
+    }
+
+    return {
+      options: rows.map(({ order, maxConfidence, ...row }) => ({
+        ...row,
+        score: Number(row.score.toFixed(4)),
+        share: totalScore > 0 ? Number((row.score / totalScore).toFixed(4)) : 0
+      })),
+      winner,
+      tieBreak,
+      totalVotes,
+      abstentions
+    };
+  }
+
+  // ─── 기록 ──────────────────────────────────────────────────────────
+
+  /**
+   * 투표 시작 기록
+   * @returns {string} voteId
+   */
+  start({ sessionId, userId = null, projectId = null, question, options }) {
+    const voteId = randomUUID();
+    this.db.prepare(`
+      INSERT INTO votes (id, session_id, user_id, project_id, question, options)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(voteId, sessionId, userId, projectId, question, JSON.stringify(options));
+    return voteId;
+  }
+
+  /**
+   * 투표지 ID ({voteId}:{agent})
+   */
+  ballotId(voteId, agent) {
+    return `${voteId}:${agent}`;
+  }
+
+  /**
+   * 투표지 저장
+   * @returns {string} ballotId
+   */
+  recordBallot(voteId, { agent, option, confidence, rationale, valid, weight = null, raw = null }) {
+    const ballotId = this.ballotId(voteId, agent);
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO vote_ballots (id, vote_id, agent, option_id, confidence, rationale, weight, valid, raw_response)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(ballotId, voteId, agent, option, confidence, rationale || null, weight, valid ? 1 : 0, raw);
+    } catch (error) {
+      logger.error('[VotingManager] 투표지 저장 실패', error, { voteId, agent });
+    }
+    return ballotId;
+  }
+
+  /**
+   * 투표 종료 기록
+   */
+  finish(voteId, { status = 'completed', tally = null }) {
+    try {
+      this.db.prepare(`
+        UPDATE votes SET status = ?, tally = ?, winner = ?, tie_break = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(status, tally ? JSON.stringify(tally) : null, tally?.winner ?? null, tally?.tieBreak ?? null, voteId);
+    } catch (error) {
+      logger.error('[VotingManager] 투표 종료 기록 실패', error, { voteId });
+    }
+  }
+
+  /**
+   * 투표 기록 조회 (투표지 포함, 없으면 null)
+   */
+  getVote(voteId) {
+    const row = this.db.prepare('SELECT * FROM votes WHERE id = ?').get(voteId);
+    if (!row) return null;
+
+    const ballots = this.db.prepare(`
+      SELECT id, agent, option_id, confidence, rationale, weight, valid, created_at
+      FROM vote_ballots WHERE vote_id = ? ORDER BY created_at
+    `).all(voteId);
+
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      projectId: row.project_id,
+      question: row.question,
+      options: JSON.parse(row.options),
+      tally: row.tally ? JSON.parse(row.tally) : null,
+      winner: row.winner,
+      tieBreak: row.tie_break,
+      status: row.status,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+      ballots: ballots.map(ballot => ({ ...ballot, valid: Boolean(ballot.valid) }))
+    };
+  }
+
+  // ─── 피드백 ────────────────────────────────────────────────────────
+
+  /**
+   * 피드백 저장 - ballotId가 있으면 해당 투표지의 AI에 연결 (이후 투표 가중치에 반영)
+   */
+  recordFeedback({ sessionId, voteId, feedbackType, userId = null, ballotId = null }) {
+    let agent = null;
+    if (ballotId) {
+      const ballot = this.db.prepare('SELECT vote_id, agent FROM vote_ballots WHERE id = ?').get(ballotId);
+      if (!ballot || ballot.vote_id !== voteId) {
+        throw badRequest('ballotId가 해당 투표의 투표지가 아닙니다');
+      }
+      agent = ballot.agent;
+    }
+
+    this.db.prepare(`
+      INSERT INTO voting_feedback (session_id, vote_id, feedback_type, user_id, ballot_id, agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, voteId, feedbackType, userId, ballotId, agent);
+  }
+
+  /**
+   * 피드백 통계 (전체 + AI별)
+   */
+  getFeedbackStats(sessionId, voteId) {
+    const rows = this.db.prepare(`
+      SELECT feedback_type, agent, COUNT(*) as count
+      FROM voting_feedback
+      WHERE session_id = ? AND vote_id = ?
+      GROUP BY feedback_type, agent
+    `).all(sessionId, voteId);
+
+    const stats = { like: 0, dislike: 0, byAgent: {} };
+    for (const row of rows) {
+      if (row.feedback_type !== 'like' && row.feedback_type !== 'dislike') continue;
+      stats[row.feedback_type] += row.count;
+      if (row.agent) {
+        stats.byAgent[row.agent] = stats.byAgent[row.agent] || { like: 0, dislike: 0 };
+        stats.byAgent[row.agent][row.feedback_type] += row.count;
+      }
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * 공용 SQLite 연결 계층
+ *
+ * 모든 모듈은 이 파일을 통해 DB 연결을 얻는다 - 같은 파일은 프로세스 안에서 하나의 연결을 공유하고,
+ * WAL / busy_timeout 설정과 스키마 마이그레이션이 연결마다 한 번 적용된다.
+ * MCP 도구는 MCPManager가 넘겨주는 db를 사용한다.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { runMigrations } from './migrator.js';
+
+// 다른 연결이 쓰기 잠금을 잡고 있을 때 기다리는 시간 (ms)
+const BUSY_TIMEOUT_MS = 5000;
+
+// 예전 server(index.js) 기본 경로 - 남아 있으면 경고만 한다
+const LEGACY_DB_PATH = './data/athena.db';
+
+// 절대 경로 → 연결
+const connections = new Map();
+let legacyWarned = false;
+
+/**
+ * DB 경로 결정: 명시값 > ATHENA_DB_PATH > DB_PATH > ./athena-data/athena.db (작업 디렉토리 기준)
+ * @param {string} [dbPath]
+ * @returns {string} 절대 경로
+ */
+export function resolveDbPath(dbPath) {
+  const configured = dbPath || process.env.ATHENA_DB_PATH || process.env.DB_PATH;
+  const resolved = path.resolve(configured || path.join('athena-data', 'athena.db'));
+
+  if (!configured && !legacyWarned && !fs.existsSync(resolved) && fs.existsSync(LEGACY_DB_PATH)) {
+    legacyWarned = true;
+    logger.warn('기존 DB 파일이 다른 경로에 있습니다. 계속 사용하려면 ATHENA_DB_PATH를 지정하세요.', {
+      legacyPath: path.resolve(LEGACY_DB_PATH),
+      defaultPath: resolved
+    });
+  }
+  return resolved;
+}
+
+/**
+ * 공유 연결 조회 (없으면 열고 설정/마이그레이션 적용)
+ * @param {string} [dbPath] - 생략하면 resolveDbPath() 기본값
+ * @returns {Object} better-sqlite3 인스턴스
+ */
+export function openDatabase(dbPath) {
+  const resolved = resolveDbPath(dbPath);
+  const existing = connections.get(resolved);
+  if (existing?.open) return existing;
+
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  const db = new Database(resolved);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.pragma('synchronous = NORMAL');
+  runMigrations(db);
+
+  connections.set(resolved, db);
+  logger.info('DB 연결', { dbPath: resolved });
+  return db;
+}
+
+/**
+ * 열린 공유 연결 모두 닫기 (종료 시)
+ */
+export function closeDatabases() {
+  for (const [dbPath, db] of connections) {
+    if (db.open) db.close();
+    connections.delete(dbPath);
+  }
+}
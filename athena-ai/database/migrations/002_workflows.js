@@ -0,0 +1,50 @@
+/**
+ * 002 - 워크플로우 (mcp/tools/workflow.js)
+ */
+
+export const version = 2;
+export const name = 'workflows';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS workflows (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      steps TEXT NOT NULL,
+      triggers TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS workflow_executions (
+      id TEXT PRIMARY KEY,
+      workflow_id TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      started_at DATETIME,
+      completed_at DATETIME,
+      steps_results TEXT,
+      error TEXT,
+      triggered_by TEXT,
+      FOREIGN KEY (workflow_id) REFERENCES workflows(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS workflow_templates (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      category TEXT,
+      steps TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS workflow_executions;
+    DROP TABLE IF EXISTS workflow_templates;
+    DROP TABLE IF EXISTS workflows;
+  `);
+}
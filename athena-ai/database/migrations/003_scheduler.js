@@ -0,0 +1,49 @@
+/**
+ * 003 - 예약 작업 (mcp/tools/scheduler.js, core/scheduler.js)
+ */
+
+export const version = 3;
+export const name = 'scheduler';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_tasks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      task_type TEXT NOT NULL,
+      task_config TEXT NOT NULL,
+      schedule_type TEXT NOT NULL,
+      schedule_config TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      last_run DATETIME,
+      next_run DATETIME,
+      run_count INTEGER DEFAULT 0,
+      max_runs INTEGER,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS task_execution_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      started_at DATETIME NOT NULL,
+      completed_at DATETIME,
+      result TEXT,
+      error TEXT,
+      FOREIGN KEY (task_id) REFERENCES scheduled_tasks(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_next_run ON scheduled_tasks(next_run);
+    CREATE INDEX IF NOT EXISTS idx_task_active ON scheduled_tasks(is_active);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS task_execution_log;
+    DROP TABLE IF EXISTS scheduled_tasks;
+  `);
+}
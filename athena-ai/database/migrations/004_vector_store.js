@@ -0,0 +1,46 @@
+/**
+ * 004 - 벡터 컬렉션 (memory/vectorCollectionStore.js)
+ * embedding_dimensions: 컬렉션 임베딩 차원, index_revision: 문서 변경마다 증가 (ANN 인덱스 동기화용)
+ */
+
+import { addColumn } from './helpers.js';
+
+export const version = 4;
+export const name = 'vector_store';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vector_documents (
+      id TEXT PRIMARY KEY,
+      collection TEXT NOT NULL,
+      content TEXT NOT NULL,
+      metadata TEXT,
+      embedding BLOB,
+      chunk_index INTEGER DEFAULT 0,
+      source_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_vector_collection ON vector_documents(collection);
+    CREATE INDEX IF NOT EXISTS idx_vector_source ON vector_documents(source_id);
+
+    CREATE TABLE IF NOT EXISTS vector_collections (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+      document_count INTEGER DEFAULT 0,
+      embedding_model TEXT DEFAULT 'text-embedding-3-small',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  addColumn(db, 'vector_collections', 'embedding_dimensions', 'INTEGER');
+  addColumn(db, 'vector_collections', 'index_revision', 'INTEGER DEFAULT 0');
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS vector_documents;
+    DROP TABLE IF EXISTS vector_collections;
+  `);
+}
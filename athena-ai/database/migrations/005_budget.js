@@ -0,0 +1,83 @@
+/**
+ * 005 - 예산 (mcp/tools/budgetControl.js의 전체 예산 설정, core/budgetGate.js의 범위별 한도/사용량)
+ */
+
+export const version = 5;
+export const name = 'budget';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS budget_settings (
+      id TEXT PRIMARY KEY DEFAULT 'default',
+      monthly_budget REAL DEFAULT 100.0,
+      daily_limit REAL DEFAULT 10.0,
+      alert_threshold REAL DEFAULT 0.8,
+      auto_stop_enabled INTEGER DEFAULT 0,
+      preferred_models TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS budget_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      current_usage REAL,
+      threshold REAL,
+      acknowledged INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS cost_optimization_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      optimization_type TEXT,
+      original_model TEXT,
+      suggested_model TEXT,
+      estimated_savings REAL,
+      applied INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- 기본 설정 추가
+    INSERT OR IGNORE INTO budget_settings (id) VALUES ('default');
+
+    CREATE TABLE IF NOT EXISTS budget_limits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,            -- 'user' | 'provider' | 'project'
+      scope_id TEXT NOT NULL,
+      daily_limit REAL,
+      monthly_limit REAL,
+      soft_threshold REAL DEFAULT 0.8,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(scope, scope_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS budget_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      project_id TEXT,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      cost REAL DEFAULT 0.0,
+      estimated INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_budget_usage_created ON budget_usage(created_at);
+    CREATE INDEX IF NOT EXISTS idx_budget_usage_user ON budget_usage(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_budget_usage_project ON budget_usage(project_id, created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS budget_usage;
+    DROP TABLE IF EXISTS budget_limits;
+    DROP TABLE IF EXISTS cost_optimization_logs;
+    DROP TABLE IF EXISTS budget_alerts;
+    DROP TABLE IF EXISTS budget_settings;
+  `);
+}
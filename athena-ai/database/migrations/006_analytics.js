@@ -0,0 +1,56 @@
+/**
+ * 006 - 사용 분석 (mcp/tools/analytics.js)
+ */
+
+export const version = 6;
+export const name = 'analytics';
+
+export function up(db) {
+  db.exec(`
+    -- API 사용 로그 테이블 (기존 테이블과 별개로 상세 추적)
+    CREATE TABLE IF NOT EXISTS analytics_api_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      session_id TEXT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      operation_type TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      response_time_ms INTEGER,
+      cost_estimate REAL DEFAULT 0,
+      success INTEGER DEFAULT 1,
+      error_message TEXT,
+      metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- 일별 집계 테이블
+    CREATE TABLE IF NOT EXISTS analytics_daily_summary (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date TEXT NOT NULL,
+      user_id TEXT,
+      provider TEXT,
+      total_requests INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      total_cost REAL DEFAULT 0,
+      avg_response_time_ms REAL DEFAULT 0,
+      success_rate REAL DEFAULT 100,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(date, user_id, provider)
+    );
+
+    -- 인덱스
+    CREATE INDEX IF NOT EXISTS idx_analytics_usage_user ON analytics_api_usage(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_analytics_usage_provider ON analytics_api_usage(provider, created_at);
+    CREATE INDEX IF NOT EXISTS idx_analytics_daily_date ON analytics_daily_summary(date, user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS analytics_daily_summary;
+    DROP TABLE IF EXISTS analytics_api_usage;
+  `);
+}
@@ -0,0 +1,64 @@
+/**
+ * 007 - 알림 / 리마인더 (mcp/tools/notifications.js)
+ */
+
+export const version = 7;
+export const name = 'notifications';
+
+export function up(db) {
+  db.exec(`
+    -- 알림 테이블
+    CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      type TEXT DEFAULT 'info',
+      category TEXT DEFAULT 'general',
+      priority TEXT DEFAULT 'normal',
+      status TEXT DEFAULT 'pending',
+      scheduled_at DATETIME,
+      sent_at DATETIME,
+      read_at DATETIME,
+      action_url TEXT,
+      action_label TEXT,
+      metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- 알림 인덱스
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_notifications_scheduled ON notifications(scheduled_at, status);
+    CREATE INDEX IF NOT EXISTS idx_notifications_category ON notifications(category);
+
+    -- 리마인더 테이블
+    CREATE TABLE IF NOT EXISTS reminders (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      remind_at DATETIME NOT NULL,
+      repeat_type TEXT,
+      repeat_interval INTEGER,
+      repeat_until DATETIME,
+      status TEXT DEFAULT 'active',
+      notification_id TEXT,
+      source_type TEXT,
+      source_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (notification_id) REFERENCES notifications(id)
+    );
+
+    -- 리마인더 인덱스
+    CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_reminders_remind ON reminders(remind_at, status);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS reminders;
+    DROP TABLE IF EXISTS notifications;
+  `);
+}
@@ -0,0 +1,33 @@
+/**
+ * 008 - 사용자 설정 (mcp/tools/userSettings.js)
+ */
+
+export const version = 8;
+export const name = 'user_settings';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_settings (
+      user_id TEXT PRIMARY KEY,
+      settings TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_preferences_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      setting_key TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS user_preferences_history;
+    DROP TABLE IF EXISTS user_settings;
+  `);
+}
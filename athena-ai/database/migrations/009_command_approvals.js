@@ -0,0 +1,51 @@
+/**
+ * 009 - 명령 승인 테이블 통합
+ * command_approvals는 schema.js/systemExec.js(resolved_by, error 있음, expires_at 없음)와
+ * security/approvalGate.js(expires_at NOT NULL)가 서로 다른 정의로 만들고 있어, 먼저 만든 쪽에 따라
+ * 다른 모듈의 INSERT가 실패했다. 두 정의의 컬럼을 합치고 expires_at은 NULL 허용(만료 없음)으로 맞춘다.
+ */
+
+import { addColumn, getColumn, tableExists } from './helpers.js';
+
+export const version = 9;
+export const name = 'unify_command_approvals';
+
+const CREATE_TABLE = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id TEXT PRIMARY KEY,
+    command TEXT NOT NULL,
+    security_level TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME, -- NULL이면 만료 없음 (system_exec 요청)
+    resolved_at DATETIME,
+    resolved_by TEXT,
+    result TEXT,
+    error TEXT
+  )
+`;
+
+export function up(db) {
+  if (tableExists(db, 'command_approvals') && getColumn(db, 'command_approvals', 'expires_at')?.notnull) {
+    // approvalGate 정의: expires_at NOT NULL은 ALTER로 풀 수 없어 테이블을 다시 만든다
+    db.exec(`
+      ${CREATE_TABLE('command_approvals_unified')};
+      INSERT INTO command_approvals_unified (id, command, security_level, status, requested_at, expires_at, resolved_at, result)
+        SELECT id, command, security_level, COALESCE(status, 'pending'), requested_at, expires_at, resolved_at, result
+        FROM command_approvals;
+      DROP TABLE command_approvals;
+      ALTER TABLE command_approvals_unified RENAME TO command_approvals;
+    `);
+  } else {
+    db.exec(CREATE_TABLE('command_approvals'));
+    addColumn(db, 'command_approvals', 'expires_at', 'DATETIME');
+    addColumn(db, 'command_approvals', 'resolved_by', 'TEXT');
+    addColumn(db, 'command_approvals', 'error', 'TEXT');
+  }
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_command_approvals_status ON command_approvals(status)`);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS command_approvals`);
+}
@@ -0,0 +1,17 @@
+/**
+ * 010 - AI 성능 조회 인덱스 (utils/performanceMonitor.js가 직접 만들던 것)
+ */
+
+export const version = 10;
+export const name = 'ai_performance_index';
+
+export function up(db) {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_ai_performance_provider_task
+    ON ai_performance(ai_provider, task_type);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_ai_performance_provider_task;');
+}
@@ -0,0 +1,43 @@
+/**
+ * 011 - LLM 응답 캐시 (core/responseCache.js) 및 캐시 적중 지표 (utils/performanceMonitor.js)
+ */
+
+export const version = 11;
+export const name = 'response_cache';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS response_cache (
+      cache_key TEXT PRIMARY KEY,     -- sha256(모델 + 정규화 메시지 + 도구 + 검색 컨텍스트)
+      provider TEXT NOT NULL,
+      model TEXT,
+      task_type TEXT NOT NULL,
+      response TEXT NOT NULL,         -- JSON { content, toolCalls, usage }
+      hit_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      last_hit_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+
+    CREATE TABLE IF NOT EXISTS response_cache_metrics (
+      day TEXT NOT NULL,              -- YYYY-MM-DD (UTC)
+      provider TEXT NOT NULL,
+      task_type TEXT NOT NULL,
+      hits INTEGER DEFAULT 0,
+      misses INTEGER DEFAULT 0,
+      saved_input_tokens INTEGER DEFAULT 0,
+      saved_output_tokens INTEGER DEFAULT 0,
+      saved_cost REAL DEFAULT 0,
+      PRIMARY KEY (day, provider, task_type)
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS response_cache_metrics;
+    DROP TABLE IF EXISTS response_cache;
+  `);
+}
@@ -0,0 +1,28 @@
+/**
+ * 012 - 세션 대화 요약 (core/contextBuilder.js)
+ * 컨텍스트 예산에 들어가지 않는 오래된 턴을 접어 둔 요약. summarized_until 이하의 short_term_memory는 요약에 포함됨
+ */
+
+export const version = 12;
+export const name = 'session_summaries';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS session_summaries (
+      session_id TEXT PRIMARY KEY,
+      summary TEXT NOT NULL,
+      summarized_until INTEGER NOT NULL,  -- 요약에 포함된 마지막 short_term_memory.id
+      turn_count INTEGER DEFAULT 0,       -- 요약에 접힌 누적 메시지 수
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_short_term_session_id ON short_term_memory(session_id, id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_short_term_session_id;
+    DROP TABLE IF EXISTS session_summaries;
+  `);
+}
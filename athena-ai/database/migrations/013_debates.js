@@ -0,0 +1,63 @@
+/**
+ * 013 - 토론 기록 (core/debateManager.js)
+ * 토론 1건(debates)과 라운드별 발언(debate_arguments)을 남기고, 피드백을 특정 라운드/발언에 연결한다.
+ */
+
+import { addColumn, dropColumn } from './helpers.js';
+
+export const version = 13;
+export const name = 'debates';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS debates (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      user_id TEXT,
+      project_id TEXT,
+      topic TEXT NOT NULL,
+      config TEXT NOT NULL,             -- JSON: rounds, stances, judge, earlyStop, convergenceThreshold
+      judge TEXT,                       -- 결론을 낸 provider
+      status TEXT DEFAULT 'running',    -- running | completed | failed
+      rounds_completed INTEGER DEFAULT 0,
+      converged_round INTEGER,          -- 입장이 수렴해 조기 종료한 라운드 (NULL이면 끝까지 진행)
+      conclusion TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS debate_arguments (
+      id TEXT PRIMARY KEY,              -- {debateId}:r{round}:{agent}
+      debate_id TEXT NOT NULL,
+      round INTEGER NOT NULL,
+      agent TEXT NOT NULL,
+      stance TEXT,
+      content TEXT NOT NULL,
+      similarity REAL,                  -- 같은 agent의 직전 라운드 발언과의 유사도
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (debate_id) REFERENCES debates(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_debates_session ON debates(session_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_debate_arguments_debate ON debate_arguments(debate_id, round);
+  `);
+
+  // 프로젝트별 토론 기본 설정 (JSON)
+  addColumn(db, 'projects', 'debate_config', 'TEXT');
+
+  // 피드백을 라운드/발언 단위로 연결 (기존 debate_id만 있는 행은 NULL)
+  addColumn(db, 'debate_feedback', 'round', 'INTEGER');
+  addColumn(db, 'debate_feedback', 'argument_id', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_debate_feedback_argument ON debate_feedback(argument_id)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_debate_feedback_argument');
+  dropColumn(db, 'debate_feedback', 'argument_id');
+  dropColumn(db, 'debate_feedback', 'round');
+  dropColumn(db, 'projects', 'debate_config');
+  db.exec(`
+    DROP TABLE IF EXISTS debate_arguments;
+    DROP TABLE IF EXISTS debates;
+  `);
+}
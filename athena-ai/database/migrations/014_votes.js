@@ -0,0 +1,60 @@
+/**
+ * 014 - 투표 기록 (core/votingManager.js)
+ * 투표 1건(votes)과 AI별 투표지(vote_ballots)를 남기고, 피드백을 투표지(=투표한 AI)에 연결해 가중치에 쓴다.
+ */
+
+import { addColumn, dropColumn } from './helpers.js';
+
+export const version = 14;
+export const name = 'votes';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS votes (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      user_id TEXT,
+      project_id TEXT,
+      question TEXT NOT NULL,
+      options TEXT NOT NULL,            -- JSON: [{ id, label, description }]
+      tally TEXT,                       -- JSON: 집계 결과 (VotingManager.tally)
+      winner TEXT,                      -- 선택지 id
+      tie_break TEXT,                   -- 동점 처리 규칙 (votes | confidence | order, 동점이 아니면 NULL)
+      status TEXT DEFAULT 'running',    -- running | completed | failed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS vote_ballots (
+      id TEXT PRIMARY KEY,              -- {voteId}:{agent}
+      vote_id TEXT NOT NULL,
+      agent TEXT NOT NULL,
+      option_id TEXT,                   -- 무효표면 NULL
+      confidence REAL,
+      rationale TEXT,
+      weight REAL,                      -- 집계에 쓴 AI 가중치
+      valid INTEGER DEFAULT 1,
+      raw_response TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (vote_id) REFERENCES votes(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_votes_session ON votes(session_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_vote_ballots_vote ON vote_ballots(vote_id);
+  `);
+
+  // 피드백을 투표지/AI에 연결 (기존 vote_id만 있는 행은 NULL)
+  addColumn(db, 'voting_feedback', 'ballot_id', 'TEXT');
+  addColumn(db, 'voting_feedback', 'agent', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_voting_feedback_agent ON voting_feedback(agent)');
+}
+
+export function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_voting_feedback_agent');
+  dropColumn(db, 'voting_feedback', 'agent');
+  dropColumn(db, 'voting_feedback', 'ballot_id');
+  db.exec(`
+    DROP TABLE IF EXISTS vote_ballots;
+    DROP TABLE IF EXISTS votes;
+  `);
+}
@@ -0,0 +1,50 @@
+/**
+ * 015 - 실행 계획 (core/planManager.js)
+ * 총괄 AI가 만든 단계 DAG(plans.steps)와 단계별 실행 결과(plan_steps)를 남긴다.
+ */
+
+export const version = 15;
+export const name = 'plans';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plans (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      user_id TEXT,
+      project_id TEXT,
+      question TEXT NOT NULL,
+      goal TEXT,
+      steps TEXT NOT NULL,              -- JSON: [{ id, type, description, dependsOn, ... }] (검토 중 수정 가능)
+      status TEXT DEFAULT 'draft',      -- draft | running | completed | failed
+      replans INTEGER DEFAULT 0,        -- 실패한 단계를 다시 계획한 횟수
+      result TEXT,                      -- 최종 답변
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_steps (
+      id TEXT PRIMARY KEY,              -- {planId}:{stepId}
+      plan_id TEXT NOT NULL,
+      step_id TEXT NOT NULL,
+      type TEXT NOT NULL,               -- ai_query | mcp_tool | web_search
+      status TEXT NOT NULL,             -- completed | failed | skipped
+      attempt INTEGER DEFAULT 1,
+      output TEXT,
+      error TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plans_session ON plans(session_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_plan_steps_plan ON plan_steps(plan_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS plan_steps;
+    DROP TABLE IF EXISTS plans;
+  `);
+}
@@ -0,0 +1,59 @@
+/**
+ * 016 - 도구 실행 정책 (security/policyEngine.js)
+ * 도구·인자·호출자·디바이스별 allow/ask/deny 규칙과, 매 도구 호출마다 내린 결정 기록.
+ * ask로 만든 승인 요청은 어떤 도구의 어떤 인자인지 command_approvals에 함께 남긴다.
+ */
+
+import { addColumn, dropColumn } from './helpers.js';
+
+export const version = 16;
+export const name = 'tool_policies';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tool_policies (
+      id TEXT PRIMARY KEY,
+      tool TEXT NOT NULL DEFAULT '*',        -- 도구 이름 (* 와일드카드, 예: github_*)
+      caller_type TEXT NOT NULL DEFAULT '*', -- web | telegram | discord | scheduler | workflow | system | *
+      caller_id TEXT,                        -- 사용자 ID / 채팅 ID / 채널 ID (* 와일드카드, NULL이면 전체)
+      device_id TEXT,                        -- 페어링된 디바이스 ID (* 와일드카드, NULL이면 전체)
+      args TEXT,                             -- JSON: { 인자 이름: 정규식 }
+      decision TEXT NOT NULL,                -- allow | ask | deny
+      level TEXT,                            -- 승인 요청에 남길 보안 등급 (SAFE | MODERATE | DANGEROUS)
+      priority INTEGER DEFAULT 100,          -- 큰 값 우선 (기본 규칙은 0~30)
+      reason TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS tool_policy_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tool TEXT NOT NULL,
+      caller_type TEXT NOT NULL,
+      caller_id TEXT,
+      device_id TEXT,
+      decision TEXT NOT NULL,                -- allow | ask | deny
+      rule_id TEXT,                          -- 적용된 규칙 (NULL이면 기본 결정)
+      reason TEXT,
+      approval_id TEXT,                      -- ask로 만든 승인 요청 또는 승인으로 통과한 요청
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tool_policies_tool ON tool_policies(tool);
+    CREATE INDEX IF NOT EXISTS idx_tool_policy_decisions_created ON tool_policy_decisions(created_at);
+    CREATE INDEX IF NOT EXISTS idx_tool_policy_decisions_tool ON tool_policy_decisions(tool, created_at);
+  `);
+
+  addColumn(db, 'command_approvals', 'tool_name', 'TEXT');  // NULL이면 system_exec (이전 요청)
+  addColumn(db, 'command_approvals', 'arguments', 'TEXT');  // JSON
+}
+
+export function down(db) {
+  dropColumn(db, 'command_approvals', 'arguments');
+  dropColumn(db, 'command_approvals', 'tool_name');
+  db.exec(`
+    DROP TABLE IF EXISTS tool_policy_decisions;
+    DROP TABLE IF EXISTS tool_policies;
+  `);
+}
@@ -0,0 +1,45 @@
+/**
+ * 017 - 도구 호출 승인 워크플로 (security/approvalGate.js)
+ * 승인 요청에 미리보기(diff 등)·요청자·사유·필요한 승인 수를 남기고, 승인자별 결정을 approval_votes에 기록한다.
+ * 정책 규칙은 approvers로 필요한 승인 수를 정할 수 있다.
+ */
+
+import { addColumn, dropColumn } from './helpers.js';
+
+export const version = 17;
+export const name = 'approval_workflow';
+
+export function up(db) {
+  addColumn(db, 'command_approvals', 'preview', 'TEXT');                       // 승인 화면에 보여줄 diff/요약
+  addColumn(db, 'command_approvals', 'requester_type', 'TEXT');                // web | telegram | discord | scheduler | workflow | system
+  addColumn(db, 'command_approvals', 'requester_id', 'TEXT');
+  addColumn(db, 'command_approvals', 'reason', 'TEXT');                        // 승인이 필요한 이유 (정책 사유)
+  addColumn(db, 'command_approvals', 'required_approvals', 'INTEGER DEFAULT 1');
+  addColumn(db, 'command_approvals', 'awaited', 'INTEGER DEFAULT 0');          // 1이면 요청한 에이전트 턴이 결정을 기다렸다가 직접 실행
+
+  addColumn(db, 'tool_policies', 'approvers', 'INTEGER');                      // ask 결정에 필요한 승인 수 (NULL이면 등급 기본값)
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS approval_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      request_id TEXT NOT NULL,
+      approver TEXT NOT NULL,              -- 채널:사용자 (예: web:user-1, telegram:12345, discord:67890)
+      approved INTEGER NOT NULL,           -- 1 승인, 0 거부
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (request_id, approver)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_approval_votes_request ON approval_votes(request_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS approval_votes`);
+  dropColumn(db, 'tool_policies', 'approvers');
+  dropColumn(db, 'command_approvals', 'awaited');
+  dropColumn(db, 'command_approvals', 'required_approvals');
+  dropColumn(db, 'command_approvals', 'reason');
+  dropColumn(db, 'command_approvals', 'requester_id');
+  dropColumn(db, 'command_approvals', 'requester_type');
+  dropColumn(db, 'command_approvals', 'preview');
+}
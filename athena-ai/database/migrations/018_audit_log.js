@@ -0,0 +1,53 @@
+/**
+ * 018 - 도구 실행·승인 감사 로그 (security/auditLog.js)
+ * 모든 도구 실행과 승인 요청·투표·결정을 한 줄씩 쌓는다. 각 항목의 hash는 이전 항목의 hash를 포함하므로
+ * 중간 항목을 고치거나 지우면 체인이 끊어진다. 트리거로 UPDATE/DELETE를 막아 추가만 가능하게 한다.
+ */
+
+export const version = 18;
+export const name = 'audit_log';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,              -- ISO 시각 (ms) - hash에 포함되므로 앱에서 넣는다
+      event TEXT NOT NULL,                   -- tool_execution | approval_requested | approval_vote | approval_resolved
+      caller_type TEXT,                      -- web | telegram | discord | scheduler | workflow | system
+      caller_id TEXT,
+      channel TEXT,                          -- 요청이 들어온 채널 (기본: caller_type)
+      tool TEXT,
+      arguments TEXT,                        -- JSON (비밀 값은 [REDACTED])
+      status TEXT NOT NULL,                  -- success | error | denied | rejected | pending_approval | approved | expired | ...
+      duration_ms INTEGER,
+      approval_id TEXT,                      -- command_approvals.id
+      detail TEXT,                           -- JSON: 오류 메시지, 정책 규칙, 승인자 등
+      prev_hash TEXT NOT NULL UNIQUE,        -- 직전 항목의 hash (첫 항목은 0 x 64) - UNIQUE라 체인이 갈라지지 않는다
+      hash TEXT NOT NULL UNIQUE              -- sha256(직전 hash + 이 항목의 정규화된 내용)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_tool ON audit_log(tool, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_approval ON audit_log(approval_id);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+    BEFORE UPDATE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+    BEFORE DELETE ON audit_log
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS audit_log_no_delete;
+    DROP TRIGGER IF EXISTS audit_log_no_update;
+    DROP TABLE IF EXISTS audit_log;
+  `);
+}
@@ -0,0 +1,31 @@
+/**
+ * 019 - API 토큰 (security/apiTokens.js)
+ * 브라우저 세션 없이 /api를 부르는 클라이언트(Next.js 서버, 스크립트 등)가 쓰는 사용자별 토큰.
+ * 토큰 원문은 만들 때 한 번만 보여 주고 DB에는 sha256 hash만 남긴다.
+ */
+
+export const version = 19;
+export const name = 'api_tokens';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT,
+      token_hash TEXT NOT NULL UNIQUE,     -- sha256(토큰 원문)
+      token_prefix TEXT NOT NULL,          -- 목록에서 알아볼 수 있게 앞부분만 (예: ath_AbCd)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      expires_at DATETIME,                 -- NULL이면 만료 없음
+      revoked_at DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS api_tokens`);
+}
@@ -0,0 +1,37 @@
+/**
+ * 마이그레이션 작성용 스키마 헬퍼
+ */
+
+/**
+ * 테이블 존재 여부
+ */
+export function tableExists(db, table) {
+  return Boolean(db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table));
+}
+
+/**
+ * 컬럼 정보 (없으면 null)
+ */
+export function getColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().find(info => info.name === column) || null;
+}
+
+/**
+ * 컬럼 추가 (이미 있으면 무시)
+ * @returns {boolean} 추가 여부
+ */
+export function addColumn(db, table, column, definition) {
+  if (!tableExists(db, table) || getColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * 컬럼 삭제 (없으면 무시, SQLite 3.35+)
+ * @returns {boolean} 삭제 여부
+ */
+export function dropColumn(db, table, column) {
+  if (!tableExists(db, table) || !getColumn(db, table, column)) return false;
+  db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
@@ -0,0 +1,46 @@
+/**
+ * 마이그레이션 목록 (버전 순)
+ * 새 마이그레이션은 NNN_name.js로 추가하고 여기에 등록한다. 이미 배포된 마이그레이션은 수정하지 않는다.
+ */
+
+import * as coreSchema from './001_core_schema.js';
+import * as workflows from './002_workflows.js';
+import * as scheduler from './003_scheduler.js';
+import * as vectorStore from './004_vector_store.js';
+import * as budget from './005_budget.js';
+import * as analytics from './006_analytics.js';
+import * as notifications from './007_notifications.js';
+import * as userSettings from './008_user_settings.js';
+import * as commandApprovals from './009_command_approvals.js';
+import * as aiPerformanceIndex from './010_ai_performance_index.js';
+import * as responseCache from './011_response_cache.js';
+import * as sessionSummaries from './012_session_summaries.js';
+import * as debates from './013_debates.js';
+import * as votes from './014_votes.js';
+import * as plans from './015_plans.js';
+import * as toolPolicies from './016_tool_policies.js';
+import * as approvalWorkflow from './017_approval_workflow.js';
+import * as auditLog from './018_audit_log.js';
+import * as apiTokens from './019_api_tokens.js';
+
+export const MIGRATIONS = [
+  coreSchema,
+  workflows,
+  scheduler,
+  vectorStore,
+  budget,
+  analytics,
+  notifications,
+  userSettings,
+  commandApprovals,
+  aiPerformanceIndex,
+  responseCache,
+  sessionSummaries,
+  debates,
+  votes,
+  plans,
+  toolPolicies,
+  approvalWorkflow,
+  auditLog,
+  apiTokens
+];
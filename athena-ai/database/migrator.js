@@ -0,0 +1,178 @@
+/**
+ * Migrator - 버전 기반 SQLite 스키마 마이그레이션
+ *
+ * 마이그레이션은 database/migrations/에 번호 순으로 두고 migrations/index.js에 등록한다
+ * (Next.js 번들에서도 동작하도록 동적 탐색 대신 정적 import).
+ * 각 마이그레이션은 { version, name, up(db), down(db) }를 export하며, 적용 내역은 schema_migrations에 기록된다.
+ *
+ * up은 기존 DB(마이그레이션 도입 전 CREATE TABLE IF NOT EXISTS로 만들어진 테이블)에서도
+ * 안전하도록 멱등하게 작성한다 - IF NOT EXISTS와 addColumn()을 사용.
+ */
+
+import { logger } from '../utils/logger.js';
+import { MIGRATIONS } from './migrations/index.js';
+
+export { tableExists, getColumn, addColumn, dropColumn } from './migrations/helpers.js';
+
+/**
+ * 마이그레이션 오류 생성
+ */
+function createMigrationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export class Migrator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - better-sqlite3 인스턴스
+   * @param {Array<{version: number, name: string, up: Function, down?: Function}>} options.migrations
+   */
+  constructor({ db, migrations = MIGRATIONS }) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    for (const migration of this.migrations) {
+      if (versions.has(migration.version)) {
+        throw createMigrationError(`마이그레이션 버전 중복: ${migration.version}`, 'MIGRATION_DUPLICATE_VERSION');
+      }
+      versions.add(migration.version);
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * 적용된 마이그레이션 (version → 행)
+   */
+  _applied() {
+    const rows = this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * 현재 스키마 버전 (적용된 것 중 최대, 없으면 0)
+   */
+  currentVersion() {
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+
+  /**
+   * 최신 마이그레이션 버전
+   */
+  latestVersion() {
+    return this.migrations.at(-1)?.version || 0;
+  }
+
+  /**
+   * 마이그레이션 상태
+   * @returns {{current: number, latest: number, migrations: Array<{version: number, name: string, status: 'applied'|'pending'|'unknown', appliedAt: string|null}>}}
+   */
+  status() {
+    const applied = this._applied();
+    const migrations = this.migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      status: applied.has(migration.version) ? 'applied' : 'pending',
+      appliedAt: applied.get(migration.version)?.applied_at || null
+    }));
+
+    // DB에는 있는데 코드에는 없는 마이그레이션 (더 새 버전의 코드가 적용한 경우)
+    const known = new Set(this.migrations.map(migration => migration.version));
+    for (const [version, row] of applied) {
+      if (!known.has(version)) {
+        migrations.push({ version, name: row.name, status: 'unknown', appliedAt: row.applied_at });
+      }
+    }
+    migrations.sort((a, b) => a.version - b.version);
+
+    return { current: this.currentVersion(), latest: this.latestVersion(), migrations };
+  }
+
+  /**
+   * 미적용 마이그레이션 적용
+   * @param {Object} options - { to: 이 버전까지만 적용 (기본: 최신) }
+   * @returns {Array<{version: number, name: string}>} 적용한 마이그레이션
+   */
+  migrate({ to = Infinity } = {}) {
+    const appliedNow = [];
+
+    for (const migration of this.migrations) {
+      if (migration.version > to) break;
+
+      // 다른 프로세스가 동시에 적용하는 경우를 막기 위해 쓰기 잠금 후 다시 확인
+      const ran = this.db.transaction(() => {
+        const exists = this.db.prepare('SELECT 1 FROM schema_migrations WHERE version = ?').get(migration.version);
+        if (exists) return false;
+        migration.up(this.db);
+        this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+        return true;
+      }).immediate();
+
+      if (ran) {
+        appliedNow.push({ version: migration.version, name: migration.name });
+        logger.info('마이그레이션 적용', { version: migration.version, name: migration.name });
+      }
+    }
+
+    return appliedNow;
+  }
+
+  /**
+   * 마이그레이션 되돌리기 (최신 것부터)
+   * @param {Object} options - { steps: 되돌릴 개수 (기본 1), to: 이 버전이 남을 때까지 되돌림 (steps보다 우선) }
+   * @returns {Array<{version: number, name: string}>} 되돌린 마이그레이션
+   */
+  rollback({ steps = 1, to = null } = {}) {
+    const applied = this._applied();
+    const known = new Map(this.migrations.map(migration => [migration.version, migration]));
+
+    let targets = [...applied.keys()].sort((a, b) => b - a);
+    targets = to !== null ? targets.filter(version => version > to) : targets.slice(0, steps);
+
+    const rolledBack = [];
+    for (const version of targets) {
+      const migration = known.get(version);
+      if (!migration) {
+        throw createMigrationError(`코드에 없는 마이그레이션은 되돌릴 수 없습니다: ${version} (${applied.get(version).name})`, 'MIGRATION_UNKNOWN');
+      }
+      if (typeof migration.down !== 'function') {
+        throw createMigrationError(`되돌리기(down)가 없는 마이그레이션입니다: ${version} ${migration.name}`, 'MIGRATION_IRREVERSIBLE');
+      }
+
+      this.db.transaction(() => {
+        migration.down(this.db);
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+      }).immediate();
+
+      rolledBack.push({ version, name: migration.name });
+      logger.info('마이그레이션 되돌림', { version, name: migration.name });
+    }
+
+    return rolledBack;
+  }
+}
+
+// 이미 최신으로 맞춘 연결 (같은 연결에서 반복 확인하지 않도록)
+const migratedConnections = new WeakSet();
+
+/**
+ * 연결의 스키마를 최신으로 맞춤
+ * 테이블을 쓰는 모듈은 자체 CREATE TABLE 대신 이 함수를 호출한다.
+ * @param {Object} db - better-sqlite3 인스턴스
+ * @returns {Object} db
+ */
+export function runMigrations(db) {
+  if (migratedConnections.has(db)) return db;
+  new Migrator({ db }).migrate();
+  migratedConnections.add(db);
+  return db;
+}
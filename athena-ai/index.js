@@ -7,10 +7,11 @@ import { fileURLToPath } from 'url';
 import session from 'express-session';
 import passport from 'passport';
 import { initializeDatabase } from './database/schema.js';
+import { resolveDbPath, closeDatabases } from './database/connection.js';
 import { AthenaOrchestrator } from './core/orchestrator.js';
 import { WebSearchService } from './utils/webSearch.js';
 import { createRoutes } from './server/routes.js';
-import { setupPassport } from './server/auth.js';
+import { setupPassport, hasRole } from './server/auth.js';
 import { createAuthRoutes } from './server/authRoutes.js';
 import { errorHandler } from './utils/errorHandler.js';
 import { logger } from './utils/logger.js';
@@ -21,6 +22,9 @@ import { RemoteCommandManager } from './nodes/remoteCommands.js';
 import { LumielleBot } from './telegram/bot.js';
 import { MessageHandler } from './telegram/handler.js';
 import { ProactiveNotifier } from './telegram/proactive.js';
+import { TelegramChannel } from './channels/telegramChannel.js';
+import { DiscordChannel } from './channels/discordChannel.js';
+import { ApprovalNotifier } from './channels/approvalNotifier.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,7 +33,7 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 
 // 데이터베이스 초기화
-const dbPath = process.env.DB_PATH || './data/athena.db';
+const dbPath = resolveDbPath();
 initializeDatabase(dbPath);
 
 // 로깅 초기화
@@ -69,8 +73,8 @@ const orchestrator = new AthenaOrchestrator({
 });
 
 logger.info('Athena Orchestrator 초기화 완료', {
-  providers: ['ChatGPT', 'Gemini', 'Claude', 'Grok'],
-  fallbackOrder: ['ChatGPT', 'Gemini', 'Claude', 'Grok']
+  providers: Object.keys(orchestrator.providers),
+  fallbackOrder: orchestrator.fallbackOrder
 });
 
 // Express 앱 설정
@@ -207,6 +211,34 @@ Log Level: ${logger.logLevel}
     logger.info('Lumielle Telegram Bot started');
     console.log('✨ Lumielle (@Lumielle_ai_bot) - Telegram Bot Active');
   }
+
+  // ── 도구 승인 요청 알림 (Telegram 인라인 버튼 / Discord 버튼) ──
+  // 텔레그램 버튼은 봇이 주인 채팅에서만 받는다. 디스코드는 채널의 누구나 누를 수 있어
+  // ATHENA_APPROVER_USERS(또는 ADMIN)에 `discord:<사용자 ID>`로 등록된 사람의 승인만 받는다
+  const approvalNotifier = new ApprovalNotifier({
+    approvalGate: orchestrator.mcpManager.approvalGate,
+    mcpManager: orchestrator.mcpManager,
+    canApprove: (approver) => approver.startsWith('telegram:') || hasRole(approver, 'approver')
+  });
+  if (global._lumielleBot) {
+    approvalNotifier.addTarget(new TelegramChannel({ bot: global._lumielleBot }));
+  }
+  if (process.env.DISCORD_BOT_TOKEN && process.env.DISCORD_APPROVAL_CHANNEL_ID) {
+    const discordChannel = new DiscordChannel({
+      token: process.env.DISCORD_BOT_TOKEN,
+      guildId: process.env.DISCORD_GUILD_ID || null,
+      channelIds: [process.env.DISCORD_APPROVAL_CHANNEL_ID]
+    });
+    if (discordChannel.enabled) {
+      discordChannel.startListening();
+      approvalNotifier.addTarget(discordChannel, process.env.DISCORD_APPROVAL_CHANNEL_ID);
+      global._discordChannel = discordChannel;
+    }
+  }
+  if (approvalNotifier.targets.length > 0) {
+    approvalNotifier.start();
+    global._approvalNotifier = approvalNotifier;
+  }
 });
 
 // 프로세스 종료 시 정리
@@ -214,10 +246,12 @@ process.on('SIGINT', async () => {
   logger.info('SIGINT received, cleaning up...');
   if (global._lumielleBot) global._lumielleBot.stopPolling();
   if (global._lumielleNotifier) global._lumielleNotifier.stop();
+  if (global._approvalNotifier) global._approvalNotifier.stop();
+  if (global._discordChannel) global._discordChannel.stopListening();
   nodeServer.close();
   remoteCommandManager.close();
-  pairingManager.close();
   await cleanupBrowser();
+  closeDatabases();
   process.exit(0);
 });
 
@@ -225,10 +259,12 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, cleaning up...');
   if (global._lumielleBot) global._lumielleBot.stopPolling();
   if (global._lumielleNotifier) global._lumielleNotifier.stop();
+  if (global._approvalNotifier) global._approvalNotifier.stop();
+  if (global._discordChannel) global._discordChannel.stopListening();
   nodeServer.close();
   remoteCommandManager.close();
-  pairingManager.close();
   await cleanupBrowser();
+  closeDatabases();
   process.exit(0);
 });
 
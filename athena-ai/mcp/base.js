@@ -12,6 +12,7 @@
  * @property {string} description - 도구 설명
  * @property {Object} inputSchema - 입력 스키마 (JSON Schema)
  * @property {Function} execute - 도구 실행 함수
+ * @property {Function} [preview] - 승인 요청에 보여줄 미리보기 (args) => string | Promise<string> (파일 diff 등, 선택)
  */
 
 /**
@@ -31,6 +32,11 @@ export class MCPBase {
   constructor() {
     this.tools = new Map();
     this.resources = new Map();
+    // 도구 실행 정책과 ask 결정의 승인 요청 저장소 (security/policyEngine.js, security/approvalGate.js)
+    this.policyEngine = null;
+    this.approvalGate = null;
+    // 모든 도구 실행을 남기는 감사 로그 (security/auditLog.js)
+    this.auditLog = null;
   }
 
   /**
@@ -84,26 +90,238 @@ export class MCPBase {
    * 도구 실행
    * @param {string} toolName - 도구 이름
    * @param {Object} args - 도구 인자
+   * @param {Object} context - 실행 컨텍스트
+   * @param {Function} context.onProgress - 진행 상황 콜백 ({ message, percent }) - 오래 걸리는 도구가 선택적으로 호출
+   * @param {Object} context.caller - 호출자 { type: web|telegram|discord|scheduler|workflow|system, id, deviceId } (정책 판단용)
+   * @param {string} context.channel - 감사 로그에 남길 채널 (생략하면 caller.type)
+   * @param {string} context.approvalId - 이 호출을 승인한 요청 ID (승인 후 다시 실행할 때)
+   * @param {string} context.approvedBy - 승인자가 대신 실행할 때 승인자 (executeApprovedRequest만 넘긴다)
+   * @param {boolean} context.awaitApproval - ask 결정이면 승인·거부·만료될 때까지 기다렸다가 이어서 실행 (에이전트 턴)
+   * @param {Function} context.onApprovalRequired - awaitApproval로 기다리기 시작할 때 승인 요청(approvalGate.getRequest)으로 호출
+   * @param {Function} context.onApprovalResolved - 기다리던 요청이 결정되면 { requestId, status }로 호출
+   * @param {AbortSignal} context.signal - 승인 대기를 그만둘 신호
    * @returns {Promise<any>}
    */
-  async executeTool(toolName, args) {
+  async executeTool(toolName, args, context = {}) {
     const tool = this.tools.get(toolName);
     if (!tool) {
       throw new Error(`Tool not found: ${toolName}`);
     }
 
+    const startedAt = Date.now();
+    const audit = (response, policy = null) => this._auditExecution(toolName, args, context, policy, startedAt, response);
+
+    if (this.policyEngine) {
+      let policy = context.approvedBy
+        ? this._consumeApprovedCall(toolName, args, context)
+        : await this._checkPolicy(tool, args, context);
+      if (policy.decision === 'ask' && context.awaitApproval) {
+        policy = await this._awaitApproval(toolName, args, policy, context);
+      }
+      if (policy.decision === 'deny') {
+        return audit({
+          success: false,
+          error: policy.approvalStatus
+            ? `승인되지 않아 실행하지 않았습니다 (${policy.approvalStatus})`
+            : `정책에 따라 실행할 수 없습니다: ${policy.reason}`,
+          policy: { decision: policy.decision, ruleId: policy.ruleId, approvalId: policy.approvalId, approvalStatus: policy.approvalStatus }
+        }, policy);
+      }
+      if (policy.decision === 'ask') {
+        // 기다리지 않는 호출자(스케줄러·워크플로우·텔레그램 명령)는 승인 대기를 도구 결과 모양으로 받고, 실행은 승인자가 한다
+        return audit({
+          success: true,
+          result: {
+            success: false,
+            status: 'pending_approval',
+            requestId: policy.approvalId,
+            tool: toolName,
+            command: policy.command,
+            securityTier: policy.level || 'DANGEROUS',
+            requiredApprovals: policy.requiredApprovals,
+            expiresAt: policy.expiresAt,
+            message: `승인 후 실행할 수 있습니다 (${policy.reason})`
+          }
+        }, policy);
+      }
+      context = { ...context, policy };
+    } else {
+      // 정책을 거치지 않은 호출 - 호출자가 넘긴 policy를 믿지 않는다 (system_exec 등은 기본 규칙으로 직접 확인)
+      context = { ...context, policy: null };
+    }
+
     try {
-      const result = await tool.execute(args);
-      return {
+      const result = await tool.execute(args, context);
+      return audit({
         success: true,
         result
-      };
+      }, context.policy);
     } catch (error) {
-      return {
+      return audit({
         success: false,
         error: error.message
-      };
+      }, context.policy);
+    }
+  }
+
+  /**
+   * 기다리는 에이전트 턴이 없는 승인 요청을 승인자가 실행 (웹 승인 라우트, 채널 버튼, 텔레그램 /approve)
+   * 저장된 도구 · 인자를 요청자(request.requester)로 실행하고, 승인자는 감사 로그 detail.approvedBy에 남긴다.
+   * @param {string} requestId - 승인된 요청 ID
+   * @param {Object} options - { approver: 'web:사용자' 형식의 승인자, channel: 감사 로그 채널 }
+   * @returns {Promise<any>} executeTool과 같은 응답
+   */
+  async executeApprovedRequest(requestId, { approver, channel } = {}) {
+    const request = this.approvalGate?.getRequest(requestId);
+    if (!request?.toolName) {
+      return { success: false, error: '승인 요청을 찾을 수 없습니다' };
+    }
+    return this.executeTool(request.toolName, request.args ?? {}, {
+      caller: request.requester || { type: 'system', id: null },
+      channel,
+      approvalId: requestId,
+      approvedBy: approver || 'unknown'
+    });
+  }
+
+  /**
+   * 승인자가 대신 실행하는 호출의 정책 - 승인을 먼저 소모하고(한 번만), 정책은 요청자 기준으로 본다
+   * 이미 실행했거나 승인되지 않은 요청, 승인 뒤 요청자에게 deny 규칙이 생긴 호출은 deny.
+   */
+  _consumeApprovedCall(toolName, args, context) {
+    const policy = this.policyEngine.evaluate(toolName, args, context);
+    policy.approvalId = context.approvalId;
+
+    if (!this.approvalGate?.consumeApproval(context.approvalId, toolName, args)) {
+      const status = this.approvalGate?.checkApproval(context.approvalId)?.status || 'not_found';
+      Object.assign(policy, { decision: 'deny', approvalStatus: status, reason: `승인을 쓸 수 없음: ${status} (${policy.reason})` });
+    } else if (policy.decision !== 'deny') {
+      Object.assign(policy, { decision: 'allow', reason: `${context.approvedBy} 승인됨 (${policy.reason})` });
+    }
+
+    this.policyEngine.record(toolName, policy);
+    return policy;
+  }
+
+  /**
+   * 도구 호출 1건을 감사 로그에 남기고 응답을 그대로 돌려준다
+   * status: success | error (예외 또는 도구가 success: false) | denied (정책) | rejected (승인 거부·만료·취소) | pending_approval
+   */
+  _auditExecution(toolName, args, context, policy, startedAt, response) {
+    if (!this.auditLog) return response;
+
+    let status = 'success';
+    let error = null;
+    if (!response.success) {
+      status = policy?.decision === 'deny' ? (policy.approvalStatus ? 'rejected' : 'denied') : 'error';
+      error = response.error;
+    } else if (response.result?.status === 'pending_approval') {
+      status = 'pending_approval';
+    } else if (response.result?.success === false) {
+      status = 'error';
+      error = response.result.error;
+    }
+
+    const caller = policy?.caller || this.policyEngine?.normalizeCaller(context.caller)
+      || { type: context.caller?.type || 'system', id: context.caller?.id ?? null };
+    this.auditLog.append({
+      event: 'tool_execution',
+      caller,
+      channel: context.channel,
+      tool: toolName,
+      args: args ?? {},
+      status,
+      durationMs: Date.now() - startedAt,
+      approvalId: policy?.approvalId || response.result?.requestId || null,
+      detail: {
+        ...(error ? { error: String(error).substring(0, 1000) } : {}),
+        ...(policy ? { decision: policy.decision, ruleId: policy.ruleId, level: policy.level } : {}),
+        ...(policy?.approvalStatus ? { approvalStatus: policy.approvalStatus } : {}),
+        ...(context.approvedBy ? { approvedBy: context.approvedBy } : {}),
+        ...(caller.deviceId ? { deviceId: caller.deviceId } : {})
+      }
+    });
+    return response;
+  }
+
+  /**
+   * 정책 확인 → (ask면) 승인 요청 생성 또는 기존 승인 확인 → 결정 기록
+   * 승인 저장소가 없으면 ask를 deny로 처리한다.
+   */
+  async _checkPolicy(tool, args, context) {
+    const toolName = tool.name;
+    const policy = this.policyEngine.evaluate(toolName, args, context);
+
+    if (policy.decision === 'ask') {
+      // 승인은 한 번만 쓴다 - 같은 ID로 다시 부르면 새 승인 요청이 된다
+      if (context.approvalId && this.approvalGate?.consumeApproval(context.approvalId, toolName, args)) {
+        Object.assign(policy, { decision: 'allow', approvalId: context.approvalId, reason: `승인됨 (${policy.reason})` });
+      } else if (this.approvalGate) {
+        const command = toolName === 'system_exec' ? String(args?.command || '') : `${toolName} ${JSON.stringify(args ?? {})}`.slice(0, 1000);
+        const approval = this.approvalGate.requestApproval(command, policy.level || 'DANGEROUS', {
+          toolName,
+          args: args ?? {},
+          preview: await this._buildPreview(tool, args ?? {}),
+          requester: policy.caller,
+          reason: policy.reason,
+          requiredApprovals: policy.approvers,
+          awaited: Boolean(context.awaitApproval)
+        });
+        Object.assign(policy, {
+          approvalId: approval.requestId,
+          expiresAt: approval.expiresAt,
+          requiredApprovals: approval.requiredApprovals,
+          command
+        });
+      } else {
+        Object.assign(policy, { decision: 'deny', reason: `승인이 필요하지만 승인 저장소가 없습니다 (${policy.reason})` });
+      }
+    }
+
+    this.policyEngine.record(toolName, policy);
+    return policy;
+  }
+
+  /**
+   * ask로 만든 승인 요청이 결정될 때까지 호출한 턴을 멈춘다
+   * 승인되면 (승인을 이 호출에 쓰고) allow로, 거부·만료되면 deny로 바꾼 정책을 돌려준다 (결정도 다시 기록).
+   */
+  async _awaitApproval(toolName, args, policy, context) {
+    const request = this.approvalGate.getRequest(policy.approvalId);
+    context.onApprovalRequired?.(request);
+
+    let { status } = await this.approvalGate.waitForDecision(policy.approvalId, { signal: context.signal });
+    if (status === 'aborted') this.approvalGate.cancel(policy.approvalId);
+    if (status === 'approved' && !this.approvalGate.consumeApproval(policy.approvalId, toolName, args)) {
+      // 이미 다른 곳에서 이 승인으로 실행했다
+      status = 'executed';
+    }
+    context.onApprovalResolved?.({ requestId: policy.approvalId, status });
+
+    const resolved = status === 'approved'
+      ? { ...policy, decision: 'allow', reason: `승인됨 (${policy.reason})` }
+      : { ...policy, decision: 'deny', approvalStatus: status, reason: `승인되지 않음: ${status} (${policy.reason})` };
+    this.policyEngine.record(toolName, resolved);
+    return resolved;
+  }
+
+  /**
+   * 승인 요청 미리보기 - 도구가 preview를 제공하면 그것을, 없으면 명령 또는 인자 JSON
+   */
+  async _buildPreview(tool, args) {
+    if (typeof tool.preview === 'function') {
+      try {
+        const preview = await tool.preview(args);
+        if (preview) return String(preview);
+      } catch (error) {
+        // 미리보기를 못 만들어도 승인 요청은 만든다
+        return `(미리보기를 만들 수 없습니다: ${error.message})`;
+      }
+    }
+    if (tool.name === 'system_exec') {
+      return `$ ${args.command || ''}${args.cwd ? `\n(cwd: ${args.cwd})` : ''}`;
     }
+    return JSON.stringify(args, null, 2);
   }
 
   /**
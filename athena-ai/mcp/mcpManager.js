@@ -8,6 +8,7 @@ import { createFileSystemTools } from './tools/fileSystem.js';
 import { createCodeExecutorTool } from './tools/codeExecutor.js';
 import { createAPICallerTool } from './tools/apiCaller.js';
 import { createDatabaseQueryTool } from './tools/databaseQuery.js';
+import { openDatabase, resolveDbPath } from '../database/connection.js';
 import { createImageProcessorTool } from './tools/imageProcessor.js';
 import { createEmailSenderTool } from './tools/emailSender.js';
 import { createWebBrowserTool } from './tools/webBrowser.js';
@@ -35,8 +36,14 @@ import { createScreenCaptureTool } from './tools/screenCapture.js';
 import { createProcessManagerTool } from './tools/processManager.js';
 import { createSystemMonitorTool } from './tools/systemMonitor.js';
 import { createSelfMemoryTool } from './tools/selfMemory.js';
+import { PolicyEngine } from '../security/policyEngine.js';
+import { ApprovalGate } from '../security/approvalGate.js';
+import { AuditLog } from '../security/auditLog.js';
 import { logger } from '../utils/logger.js';
 
+// 네이티브 function calling 요청당 최대 도구 수 (OpenAI tools 배열 제한)
+const MAX_NATIVE_TOOLS = 128;
+
 /**
  * MCP Manager 클래스
  */
@@ -45,11 +52,19 @@ export class MCPManager extends MCPBase {
     super();
     this.workspaceRoot = options.workspaceRoot;
     this.enabled = options.enabled !== false; // 기본값: true
-    this.dbPath = options.dbPath; // 데이터베이스 경로 저장
+    // 모든 도구가 같은 DB 파일/연결을 사용 (database/connection.js)
+    this.dbPath = resolveDbPath(options.dbPath);
+    this.db = options.db || openDatabase(this.dbPath);
     this.nodeServer = options.nodeServer || null;
     this.remoteCommandManager = options.remoteCommandManager || null;
     this.pairingManager = options.pairingManager || null;
     this.workspaceMemory = options.workspaceMemory || null;
+    // 모든 도구 호출은 executeTool에서 정책을 거친다 (MCPBase._checkPolicy)
+    this.policyEngine = options.policyEngine || new PolicyEngine({ db: this.db });
+    this.approvalGate = options.approvalGate || new ApprovalGate({ db: this.db });
+    // 도구 실행과 승인 요청·투표·결정을 해시 체인 감사 로그에 남긴다
+    this.auditLog = options.auditLog || new AuditLog({ db: this.db });
+    this.auditLog.watchApprovals(this.approvalGate);
 
     if (this.enabled) {
       this.initializeTools();
@@ -181,6 +196,7 @@ export class MCPManager extends MCPBase {
       // 알림 도구 등록
       try {
         const notificationTools = createNotificationTools({
+          db: this.db,
           dbPath: this.dbPath
         });
         notificationTools.forEach(tool => {
@@ -193,6 +209,7 @@ export class MCPManager extends MCPBase {
       // 분석 도구 등록
       try {
         const analyticsTools = createAnalyticsTools({
+          db: this.db,
           dbPath: this.dbPath
         });
         analyticsTools.forEach(tool => {
@@ -227,6 +244,7 @@ export class MCPManager extends MCPBase {
       // 워크플로우 자동화 도구 등록
       try {
         const workflowTools = createWorkflowTools({
+          db: this.db,
           dbPath: this.dbPath,
           mcpManager: this
         });
@@ -240,6 +258,7 @@ export class MCPManager extends MCPBase {
       // 벡터 스토어(RAG) 도구 등록
       try {
         const vectorStoreTools = createVectorStoreTools({
+          db: this.db,
           dbPath: this.dbPath,
           workspaceRoot: this.workspaceRoot
         });
@@ -253,6 +272,7 @@ export class MCPManager extends MCPBase {
       // 문서 내보내기 도구 등록
       try {
         const exportTools = createExportDocumentTools({
+          db: this.db,
           dbPath: this.dbPath,
           workspaceRoot: this.workspaceRoot
         });
@@ -266,6 +286,7 @@ export class MCPManager extends MCPBase {
       // 예산 제어 도구 등록
       try {
         const budgetTools = createBudgetControlTools({
+          db: this.db,
           dbPath: this.dbPath
         });
         budgetTools.forEach(tool => {
@@ -278,6 +299,7 @@ export class MCPManager extends MCPBase {
       // 사용자 설정 도구 등록
       try {
         const userSettingsTools = createUserSettingsTools({
+          db: this.db,
           dbPath: this.dbPath
         });
         userSettingsTools.forEach(tool => {
@@ -290,6 +312,7 @@ export class MCPManager extends MCPBase {
       // 스케줄러 도구 등록
       try {
         const schedulerTools = createSchedulerTools({
+          db: this.db,
           dbPath: this.dbPath,
           mcpManager: this
         });
@@ -326,7 +349,7 @@ export class MCPManager extends MCPBase {
 
       // 시스템 명령어 실행 도구 등록
       try {
-        const systemExecTool = createSystemExecTool({ dbPath: this.dbPath });
+        const systemExecTool = createSystemExecTool();
         this.registerTool(systemExecTool);
       } catch (error) {
         logger.warn('System exec tool not available', { error: error.message });
@@ -393,7 +416,21 @@ export class MCPManager extends MCPBase {
   }
 
   /**
-   * AI 프롬프트에 사용 가능한 도구 정보 추가
+   * 네이티브 function calling에 넘길 도구 정의 목록
+   * @param {Object} options
+   * @param {number} options.limit - 최대 도구 수 (OpenAI는 요청당 128개 제한)
+   * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+   */
+  getToolDefinitions({ limit = MAX_NATIVE_TOOLS } = {}) {
+    if (!this.enabled) {
+      return [];
+    }
+    return this.listTools().slice(0, limit);
+  }
+
+  /**
+   * AI 프롬프트에 도구 사용 지침 추가
+   * 도구 스키마는 provider의 네이티브 도구 정의로 전달되므로 여기서는 사용 규칙만 안내한다.
    * @returns {string}
    */
   getToolsPrompt() {
@@ -401,121 +438,13 @@ export class MCPManager extends MCPBase {
       return '';
     }
 
-    const toolsList = this.listTools().map(tool => {
-      return `### ${tool.name}
-설명: ${tool.description}
-입력 스키마: ${JSON.stringify(tool.inputSchema, null, 2)}`;
-    }).join('\n\n');
-
     return `\n\n## 사용 가능한 도구 (MCP Tools)
 
-다음 도구들을 사용하여 작업을 수행할 수 있습니다. 하지만 **일반적인 질문이나 대화에는 도구를 사용하지 마세요**. 도구는 **명시적으로 파일 조작, 코드 실행, API 호출 등의 작업이 필요할 때만** 사용하세요.
-
-도구를 사용하려면 다음 형식으로 요청하세요:
-
-\`\`\`mcp_tool
-{
-  "tool": "도구이름",
-  "arguments": {
-    "파라미터": "값"
-  }
-}
-\`\`\`
-
-${toolsList}
+이 대화에서는 함수 호출(function calling)로 질문과 관련된 도구를 사용할 수 있습니다. 도구 실행 결과는 다시 당신에게 전달되므로, 결과를 확인한 뒤 필요하면 다른 도구를 이어서 호출하고 최종 답변을 작성하세요.
 
 **중요 규칙:**
 1. 웹 검색, 정보 제공, 일반 대화에는 도구를 사용하지 마세요
 2. 사용자가 명시적으로 파일 작업, 코드 실행 등을 요청했을 때만 도구를 사용하세요
-3. 도구 사용이 필요한 경우에만 위의 형식을 따르세요`;
-  }
-
-  /**
-   * 메시지에서 MCP 도구 호출 추출
-   * @param {string} message - AI 응답 메시지
-   * @returns {Array<Object>}
-   */
-  extractToolCalls(message) {
-    const toolCalls = [];
-    
-    // MCP 도구 호출 패턴 찾기: ```mcp_tool ... ```
-    const toolCallPattern = /```mcp_tool\s*\n([\s\S]*?)```/g;
-    let match;
-    
-    while ((match = toolCallPattern.exec(message)) !== null) {
-      try {
-        const toolCall = JSON.parse(match[1]);
-        if (toolCall.tool && toolCall.arguments) {
-          toolCalls.push(toolCall);
-        }
-      } catch (error) {
-        logger.warn('Failed to parse tool call', { error: error.message, content: match[1] });
-      }
-    }
-    
-    return toolCalls;
-  }
-
-  /**
-   * AI 응답에서 도구 호출을 처리하고 결과를 반환
-   * @param {string} aiResponse - AI 응답 메시지
-   * @returns {Promise<Object>}
-   */
-  async processToolCalls(aiResponse) {
-    if (!this.enabled) {
-      return {
-        hasToolCalls: false,
-        results: [],
-        updatedResponse: aiResponse
-      };
-    }
-
-    const toolCalls = this.extractToolCalls(aiResponse);
-    
-    if (toolCalls.length === 0) {
-      return {
-        hasToolCalls: false,
-        results: [],
-        updatedResponse: aiResponse
-      };
-    }
-
-    logger.info('Processing tool calls', { count: toolCalls.length });
-
-    const results = [];
-    let updatedResponse = aiResponse;
-
-    for (const toolCall of toolCalls) {
-      try {
-        const result = await this.executeTool(toolCall.tool, toolCall.arguments);
-        results.push({
-          tool: toolCall.tool,
-          arguments: toolCall.arguments,
-          result
-        });
-
-        // 도구 호출 부분을 결과로 대체
-        const toolCallText = `\`\`\`mcp_tool\n${JSON.stringify(toolCall, null, 2)}\n\`\`\``;
-        const resultText = `\n\n**도구 실행 결과 (${toolCall.tool}):**\n\`\`\`json\n${JSON.stringify(result, null, 2)}\n\`\`\`\n\n`;
-        updatedResponse = updatedResponse.replace(toolCallText, resultText);
-      } catch (error) {
-        logger.error('Tool execution failed', error, { toolCall });
-        results.push({
-          tool: toolCall.tool,
-          arguments: toolCall.arguments,
-          result: {
-            success: false,
-            error: error.message
-          }
-        });
-      }
-    }
-
-    return {
-      hasToolCalls: true,
-      results,
-      updatedResponse
-    };
+3. 도구 결과를 그대로 붙여넣지 말고, 사용자의 질문에 맞게 요약·해석하여 답변하세요`;
   }
 }
-
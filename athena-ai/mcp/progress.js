@@ -0,0 +1,42 @@
+/**
+ * 도구 진행 상황 보고 - MCPBase.executeTool의 context.onProgress ({ message, percent })
+ * 호출자가 onProgress를 넘기지 않았으면 아무것도 하지 않는다 (스트리밍 채팅만 넘긴다).
+ */
+
+import { logger } from '../utils/logger.js';
+
+const HEARTBEAT_INTERVAL_MS = 2000;
+
+/**
+ * 진행 상황 1건 보내기 (콜백이 실패해도 도구 실행은 계속한다)
+ * @param {Object} context - 도구 실행 컨텍스트
+ * @param {string} message
+ * @param {number|null} percent - 0~100, 알 수 없으면 null
+ */
+export function reportProgress(context, message, percent = null) {
+  if (typeof context?.onProgress !== 'function') return;
+  try {
+    context.onProgress({ message, percent: percent === null ? null : Math.max(0, Math.min(100, Math.round(percent))) });
+  } catch (error) {
+    logger.warn('Tool progress callback failed', { error: error.message });
+  }
+}
+
+/**
+ * 끝을 미리 알 수 없는 작업(명령·코드 실행, 페이지 로드) - 바로 한 번, 그 뒤로 경과 시간을 붙여 주기적으로 보낸다
+ * @param {Object} context - 도구 실행 컨텍스트
+ * @param {string} message
+ * @param {Object} options - { intervalMs }
+ * @returns {Function} 멈추는 함수 (작업이 끝나면 finally에서 부른다)
+ */
+export function startProgressHeartbeat(context, message, { intervalMs = HEARTBEAT_INTERVAL_MS } = {}) {
+  if (typeof context?.onProgress !== 'function') return () => {};
+
+  const startedAt = Date.now();
+  reportProgress(context, message);
+  const timer = setInterval(() => {
+    reportProgress(context, `${message} (${Math.round((Date.now() - startedAt) / 1000)}초 경과)`);
+  }, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  return () => clearInterval(timer);
+}
@@ -4,7 +4,8 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
+import { getModelRegistry } from '../../ai/registry/index.js';
 
 /**
  * 분석 도구 생성
@@ -14,71 +15,20 @@ import Database from 'better-sqlite3';
 export function createAnalyticsTools(options = {}) {
   const { dbPath } = options;
 
-  let db = null;
+  let db = options.db || null;
 
   const getDb = () => {
     if (!db && dbPath) {
-      db = new Database(dbPath);
-      initializeAnalyticsTables(db);
+      db = openDatabase(dbPath);
     }
     return db;
   };
 
-  // 분석 테이블 초기화
-  function initializeAnalyticsTables(database) {
-    database.exec(`
-      -- API 사용 로그 테이블 (기존 테이블과 별개로 상세 추적)
-      CREATE TABLE IF NOT EXISTS analytics_api_usage (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        session_id TEXT,
-        provider TEXT NOT NULL,
-        model TEXT,
-        operation_type TEXT,
-        input_tokens INTEGER DEFAULT 0,
-        output_tokens INTEGER DEFAULT 0,
-        total_tokens INTEGER DEFAULT 0,
-        response_time_ms INTEGER,
-        cost_estimate REAL DEFAULT 0,
-        success INTEGER DEFAULT 1,
-        error_message TEXT,
-        metadata TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- 일별 집계 테이블
-      CREATE TABLE IF NOT EXISTS analytics_daily_summary (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT NOT NULL,
-        user_id TEXT,
-        provider TEXT,
-        total_requests INTEGER DEFAULT 0,
-        total_tokens INTEGER DEFAULT 0,
-        total_cost REAL DEFAULT 0,
-        avg_response_time_ms REAL DEFAULT 0,
-        success_rate REAL DEFAULT 100,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(date, user_id, provider)
-      );
-
-      -- 인덱스
-      CREATE INDEX IF NOT EXISTS idx_analytics_usage_user ON analytics_api_usage(user_id, created_at);
-      CREATE INDEX IF NOT EXISTS idx_analytics_usage_provider ON analytics_api_usage(provider, created_at);
-      CREATE INDEX IF NOT EXISTS idx_analytics_daily_date ON analytics_daily_summary(date, user_id);
-    `);
-  }
-
-  // AI 제공자별 토큰 비용 (USD per 1K tokens)
-  const TOKEN_COSTS = {
-    'ChatGPT': { input: 0.0015, output: 0.002, model: 'gpt-4o-mini' },
-    'GPT-4': { input: 0.03, output: 0.06, model: 'gpt-4' },
-    'GPT-4o': { input: 0.005, output: 0.015, model: 'gpt-4o' },
-    'Gemini': { input: 0.00025, output: 0.0005, model: 'gemini-pro' },
-    'Claude': { input: 0.003, output: 0.015, model: 'claude-3-sonnet' },
-    'Grok': { input: 0.005, output: 0.015, model: 'grok-beta' },
-    'DALL-E': { perImage: 0.04, model: 'dall-e-3' },
-    'TTS': { perCharacter: 0.000015, model: 'tts-1' },
-    'Whisper': { perMinute: 0.006, model: 'whisper-1' }
+  // 작업 유형별 기본 모델 (model 인자가 없을 때, 단가는 모델 레지스트리 기준)
+  const DEFAULT_OPERATION_MODELS = {
+    image: 'dall-e-3',
+    tts: 'tts-1',
+    stt: 'whisper-1'
   };
 
   return [
@@ -127,19 +77,19 @@ export function createAnalyticsTools(options = {}) {
           const totalTokens = inputTokens + outputTokens;
 
           // 비용 계산
+          const registry = getModelRegistry();
+          const pricedModel = model || DEFAULT_OPERATION_MODELS[operationType] || registry.getDefaultModel(provider);
+          const pricing = registry.getModel(pricedModel)?.pricing || {};
           let costEstimate = 0;
-          const costs = TOKEN_COSTS[provider] || TOKEN_COSTS['ChatGPT'];
 
           if (operationType === 'image') {
-            costEstimate = costs.perImage || 0.04;
+            costEstimate = pricing.perImage?.[metadata?.size || '1024x1024'] || 0;
           } else if (operationType === 'tts') {
-            const characters = metadata?.characters || 0;
-            costEstimate = characters * (costs.perCharacter || 0.000015);
+            costEstimate = (metadata?.characters || 0) * (pricing.perCharacter || 0);
           } else if (operationType === 'stt') {
-            const minutes = metadata?.durationMinutes || 0;
-            costEstimate = minutes * (costs.perMinute || 0.006);
+            costEstimate = (metadata?.durationMinutes || 0) * (pricing.perMinute || 0);
           } else {
-            costEstimate = (inputTokens / 1000) * costs.input + (outputTokens / 1000) * costs.output;
+            costEstimate = registry.calculateCost(pricedModel, inputTokens, outputTokens);
           }
 
           database.prepare(`
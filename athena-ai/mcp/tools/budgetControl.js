@@ -4,7 +4,20 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
+import { BudgetGate } from '../../core/budgetGate.js';
+import { getModelRegistry } from '../../ai/registry/index.js';
+import { callerHasRole } from '../../security/roles.js';
+
+/**
+ * 한도를 바꾸는 도구는 admin 호출자만 - 모델은 가져온 웹 페이지·문서에 심긴 지시로도 도구를 부를 수 있다
+ * (기본 정책도 deny, security/policyEngine.js DEFAULT_POLICIES)
+ */
+function assertAdminCaller(context) {
+  if (!callerHasRole(context?.caller, 'admin')) {
+    throw new Error('예산 설정과 한도는 admin만 바꿀 수 있습니다.');
+  }
+}
 
 /**
  * 비용 제어 도구 생성
@@ -13,101 +26,13 @@ import Database from 'better-sqlite3';
  */
 export function createBudgetControlTools(options = {}) {
   const {
-    dbPath = './athena-data/athena.db'
+    dbPath
   } = options;
 
-  const db = new Database(dbPath);
-
-  // 예산 및 한도 테이블 생성
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS budget_settings (
-      id TEXT PRIMARY KEY DEFAULT 'default',
-      monthly_budget REAL DEFAULT 100.0,
-      daily_limit REAL DEFAULT 10.0,
-      alert_threshold REAL DEFAULT 0.8,
-      auto_stop_enabled INTEGER DEFAULT 0,
-      preferred_models TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS budget_alerts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      alert_type TEXT NOT NULL,
-      message TEXT NOT NULL,
-      current_usage REAL,
-      threshold REAL,
-      acknowledged INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS cost_optimization_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      optimization_type TEXT,
-      original_model TEXT,
-      suggested_model TEXT,
-      estimated_savings REAL,
-      applied INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- 기본 설정 추가
-    INSERT OR IGNORE INTO budget_settings (id) VALUES ('default');
-  `);
-
-  // 모델별 가격 정보 (1K 토큰당 USD)
-  const MODEL_PRICING = {
-    // OpenAI
-    'gpt-4o': { input: 0.005, output: 0.015 },
-    'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
-    'gpt-4-turbo': { input: 0.01, output: 0.03 },
-    'gpt-4': { input: 0.03, output: 0.06 },
-    'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-    'whisper-1': { perMinute: 0.006 },
-    'tts-1': { perChar: 0.000015 },
-    'tts-1-hd': { perChar: 0.00003 },
-    'dall-e-3': { perImage: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 } },
-    'text-embedding-3-small': { input: 0.00002 },
-    'text-embedding-3-large': { input: 0.00013 },
-
-    // Anthropic Claude
-    'claude-3-opus': { input: 0.015, output: 0.075 },
-    'claude-3-sonnet': { input: 0.003, output: 0.015 },
-    'claude-3-haiku': { input: 0.00025, output: 0.00125 },
-
-    // Google Gemini
-    'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
-    'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
-
-    // xAI Grok
-    'grok-beta': { input: 0.005, output: 0.015 }
-  };
-
-  // 비용 계산 함수
-  const calculateCost = (model, usage) => {
-    const pricing = MODEL_PRICING[model];
-    if (!pricing) return 0;
-
-    let cost = 0;
-
-    if (pricing.input && usage.promptTokens) {
-      cost += (usage.promptTokens / 1000) * pricing.input;
-    }
-    if (pricing.output && usage.completionTokens) {
-      cost += (usage.completionTokens / 1000) * pricing.output;
-    }
-    if (pricing.perMinute && usage.durationMinutes) {
-      cost += usage.durationMinutes * pricing.perMinute;
-    }
-    if (pricing.perChar && usage.characters) {
-      cost += usage.characters * pricing.perChar;
-    }
-    if (pricing.perImage && usage.imageSize) {
-      cost += pricing.perImage[usage.imageSize] || pricing.perImage['1024x1024'];
-    }
-
-    return Math.round(cost * 10000) / 10000;
-  };
+  // MCPManager가 넘겨주는 공유 연결 (예산 테이블은 database/migrations/005_budget.js)
+  const db = options.db || openDatabase(dbPath);
+  // 사용자/provider/프로젝트별 한도는 provider 호출 앞단의 BudgetGate와 같은 테이블을 사용
+  const budgetGate = new BudgetGate({ db });
 
   return [
     // 예산 설정
@@ -129,15 +54,13 @@ export function createBudgetControlTools(options = {}) {
           },
           alertThreshold: {
             type: 'number',
-            description: '알림 임계값 (0.0-1.0, 예: 0.8 = 80%)',
+            description: '알림 임계값 (0.0-1.0, 예: 0.8 = 80%, 생략하면 현재 설정 유지)',
             minimum: 0,
-            maximum: 1,
-            default: 0.8
+            maximum: 1
           },
           autoStopEnabled: {
             type: 'boolean',
-            description: '한도 도달 시 자동 중지 활성화',
-            default: false
+            description: '한도 도달 시 자동 중지 활성화 (생략하면 현재 설정 유지)'
           },
           preferredModels: {
             type: 'array',
@@ -146,66 +69,115 @@ export function createBudgetControlTools(options = {}) {
           }
         }
       },
-      execute: async (args) => {
-        const {
-          monthlyBudget,
-          dailyLimit,
-          alertThreshold = 0.8,
-          autoStopEnabled = false,
-          preferredModels
-        } = args;
+      execute: async (args, context) => {
+        assertAdminCaller(context);
+        const { monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled, preferredModels } = args;
 
         try {
-          const updates = [];
-          const values = [];
-
-          if (monthlyBudget !== undefined) {
-            updates.push('monthly_budget = ?');
-            values.push(monthlyBudget);
-          }
-          if (dailyLimit !== undefined) {
-            updates.push('daily_limit = ?');
-            values.push(dailyLimit);
-          }
-          if (alertThreshold !== undefined) {
-            updates.push('alert_threshold = ?');
-            values.push(alertThreshold);
-          }
-          updates.push('auto_stop_enabled = ?');
-          values.push(autoStopEnabled ? 1 : 0);
-
-          if (preferredModels) {
-            updates.push('preferred_models = ?');
-            values.push(JSON.stringify(preferredModels));
-          }
+          // 넘긴 값만 바꾼다 - autoStopEnabled를 생략하면 전역 한도 강제는 그대로
+          const settings = budgetGate.updateGlobalSettings({ monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled, preferredModels });
+          logger.info('예산 설정 업데이트', { ...args, caller: context.caller });
 
-          updates.push('updated_at = CURRENT_TIMESTAMP');
-          values.push('default');
+          return { success: true, settings };
 
-          db.prepare(`
-            UPDATE budget_settings
-            SET ${updates.join(', ')}
-            WHERE id = ?
-          `).run(...values);
+        } catch (error) {
+          throw new Error(`설정 실패: ${error.message}`);
+        }
+      }
+    },
 
-          logger.info('예산 설정 업데이트', args);
+    // 범위별 예산 한도 설정
+    {
+      name: 'set_budget_limit',
+      description: '사용자, AI 제공자, 프로젝트별 일일/월간 예산 한도를 설정합니다. 한도에 근접하면 저가 모델로 전환되고, 도달하면 호출이 차단됩니다.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scope: {
+            type: 'string',
+            enum: ['user', 'provider', 'project'],
+            description: '한도 적용 범위'
+          },
+          scopeId: {
+            type: 'string',
+            description: '사용자 ID, AI 제공자 이름(ChatGPT, Gemini, Claude, Grok) 또는 프로젝트 ID'
+          },
+          dailyLimit: {
+            type: 'number',
+            description: '일일 한도 (USD, 생략 시 무제한)',
+            minimum: 0
+          },
+          monthlyLimit: {
+            type: 'number',
+            description: '월간 한도 (USD, 생략 시 무제한)',
+            minimum: 0
+          },
+          softThreshold: {
+            type: 'number',
+            description: '저가 모델 전환 임계값 (0.0-1.0)',
+            minimum: 0,
+            maximum: 1,
+            default: 0.8
+          }
+        },
+        required: ['scope', 'scopeId']
+      },
+      execute: async (args, context) => {
+        assertAdminCaller(context);
+        const { scope, scopeId, dailyLimit = null, monthlyLimit = null, softThreshold = 0.8 } = args;
 
-          return {
-            success: true,
-            settings: {
-              monthlyBudget,
-              dailyLimit,
-              alertThreshold,
-              autoStopEnabled
-            }
-          };
+        try {
+          const limit = budgetGate.setLimit(scope, scopeId, { dailyLimit, monthlyLimit, softThreshold });
+          logger.info('범위별 예산 한도 설정', { ...args, caller: context.caller });
+          return { success: true, limit };
+        } catch (error) {
+          throw new Error(`한도 설정 실패: ${error.message}`);
+        }
+      }
+    },
 
+    // 범위별 예산 한도 조회
+    {
+      name: 'get_budget_limits',
+      description: '설정된 범위별 예산 한도와 오늘/이번 달 사용액을 조회합니다.',
+      inputSchema: {
+        type: 'object',
+        properties: {}
+      },
+      execute: async () => {
+        try {
+          return { success: true, limits: budgetGate.getLimitStatus() };
         } catch (error) {
-          throw new Error(`설정 실패: ${error.message}`);
+          throw new Error(`한도 조회 실패: ${error.message}`);
         }
       }
     },
 
+    // 범위별 예산 한도 삭제
+    {
+      name: 'remove_budget_limit',
+      description: '범위별 예산 한도를 삭제합니다.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scope: {
+            type: 'string',
+            enum: ['user', 'provider', 'project']
+          },
+          scopeId: {
+            type: 'string'
+          }
+        },
+        required: ['scope', 'scopeId']
+      },
+      execute: async (args, context) => {
+        assertAdminCaller(context);
+        const removed = budgetGate.removeLimit(args.scope, args.scopeId);
+        logger.info('범위별 예산 한도 삭제', { ...args, caller: context.caller });
+        return { success: removed, removed };
+      }
+    },
+
     // 예산 상태 조회
     {
       name: 'get_budget_status',
@@ -566,7 +538,7 @@ export function createBudgetControlTools(options = {}) {
         properties: {
           provider: {
             type: 'string',
-            enum: ['openai', 'anthropic', 'google', 'xai', 'all'],
+            enum: ['openai', 'anthropic', 'google', 'xai', 'local', 'all'],
             description: '프로바이더별 필터링',
             default: 'all'
           }
@@ -575,30 +547,19 @@ export function createBudgetControlTools(options = {}) {
       execute: async (args) => {
         const { provider = 'all' } = args;
 
-        const providerModels = {
-          openai: ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'gpt-4', 'gpt-3.5-turbo', 'whisper-1', 'tts-1', 'tts-1-hd', 'dall-e-3', 'text-embedding-3-small', 'text-embedding-3-large'],
-          anthropic: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku'],
-          google: ['gemini-1.5-pro', 'gemini-1.5-flash'],
-          xai: ['grok-beta']
-        };
-
-        let modelsToShow = [];
-        if (provider === 'all') {
-          modelsToShow = Object.values(providerModels).flat();
-        } else {
-          modelsToShow = providerModels[provider] || [];
-        }
-
-        const pricing = modelsToShow.map(model => ({
-          model,
-          pricing: MODEL_PRICING[model] || 'N/A',
-          provider: Object.entries(providerModels).find(([, models]) => models.includes(model))?.[0]
+        const models = getModelRegistry().listModels(provider === 'all' ? {} : { vendor: provider });
+        const pricing = models.map(model => ({
+          model: model.id,
+          provider: model.vendor,
+          type: model.type,
+          contextWindow: model.contextWindow || null,
+          pricing: model.pricing || 'N/A'
         }));
 
         return {
           success: true,
           pricing,
-          note: '가격은 1K 토큰당 USD 기준입니다. 실제 가격은 공급자 웹사이트에서 확인하세요.'
+          note: '토큰 가격은 1M 토큰당 USD 기준입니다 (음성/이미지는 분·글자·장당). 실제 가격은 공급자 웹사이트에서 확인하세요.'
         };
       }
     }
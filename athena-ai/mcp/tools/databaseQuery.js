@@ -7,12 +7,13 @@ import { logger } from '../../utils/logger.js';
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import { resolveDbPath } from '../../database/connection.js';
 
 /**
  * 데이터베이스 쿼리 도구 생성 함수
  */
 export function createDatabaseQueryTool(options = {}) {
-  const defaultDbPath = options.dbPath || './data/athena.db';
+  const defaultDbPath = resolveDbPath(options.dbPath);
 
   return {
     name: 'query_database',
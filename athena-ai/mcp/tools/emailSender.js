@@ -69,6 +69,17 @@ export function createEmailSenderTool(options = {}) {
       },
       required: ['to', 'subject']
     },
+    // 승인 요청 미리보기: 보낼 메일 그대로
+    preview: ({ to, cc, bcc, from, subject, text, html, attachments }) => [
+      `From: ${from || smtpConfig.auth.user || '(SMTP_USER)'}`,
+      `To: ${to}`,
+      ...(cc ? [`Cc: ${cc}`] : []),
+      ...(bcc ? [`Bcc: ${bcc}`] : []),
+      `Subject: ${subject}`,
+      ...(attachments?.length ? [`첨부: ${attachments.map(a => a.filename || a.path).join(', ')}`] : []),
+      '',
+      text || html || '(본문 없음)'
+    ].join('\n'),
     execute: async (args) => {
       const { to, subject, text, html, cc, bcc, from, attachments } = args;
 
@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -15,12 +15,12 @@ import path from 'path';
  */
 export function createExportDocumentTools(options = {}) {
   const {
-    dbPath = './athena-data/athena.db',
+    dbPath,
     workspaceRoot = process.cwd(),
     outputDir = 'exports'
   } = options;
 
-  const db = new Database(dbPath);
+  const db = options.db || openDatabase(dbPath);
 
   // 내보내기 디렉토리 생성
   const fullOutputDir = path.join(workspaceRoot, outputDir);
@@ -7,6 +7,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../../utils/logger.js';
+import { unifiedDiff } from '../../utils/textDiff.js';
+import { reportProgress } from '../progress.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,7 +39,7 @@ export function createFileSystemTools(options = {}) {
         },
         required: ['file_path']
       },
-      execute: async (args) => {
+      execute: async (args, context = {}) => {
         const { file_path } = args;
         
         // 보안: 작업 공간 밖의 파일 접근 방지
@@ -49,6 +51,7 @@ export function createFileSystemTools(options = {}) {
         }
 
         try {
+          reportProgress(context, `파일 읽는 중: ${file_path}`);
           const content = await fs.readFile(resolvedPath, 'utf-8');
           logger.debug('File read', { file_path: resolvedPath });
           return {
@@ -78,7 +81,20 @@ export function createFileSystemTools(options = {}) {
         },
         required: ['file_path', 'content']
       },
-      execute: async (args) => {
+      // 승인 요청 미리보기: 기존 내용과의 diff (새 파일이면 전체가 추가)
+      preview: async ({ file_path, content }) => {
+        const resolvedPath = path.resolve(workspaceRoot, String(file_path));
+        if (!resolvedPath.startsWith(path.resolve(workspaceRoot))) {
+          return `${file_path}: 작업 공간 밖의 경로 (실행 시 거부됨)`;
+        }
+        const before = await fs.readFile(resolvedPath, 'utf-8').catch(() => null);
+        const diff = unifiedDiff(before ?? '', String(content ?? ''), {
+          fromLabel: before === null ? '/dev/null' : `a/${file_path}`,
+          toLabel: `b/${file_path}`
+        });
+        return diff || `${file_path}: 변경 없음`;
+      },
+      execute: async (args, context = {}) => {
         const { file_path, content } = args;
         
         // 보안: 작업 공간 밖의 파일 접근 방지
@@ -94,6 +110,7 @@ export function createFileSystemTools(options = {}) {
           const dir = path.dirname(resolvedPath);
           await fs.mkdir(dir, { recursive: true });
           
+          reportProgress(context, `파일 쓰는 중: ${file_path} (${Buffer.byteLength(String(content ?? ''), 'utf-8')} bytes)`);
           await fs.writeFile(resolvedPath, content, 'utf-8');
           logger.debug('File written', { file_path: resolvedPath, contentLength: content.length });
           return {
@@ -119,7 +136,7 @@ export function createFileSystemTools(options = {}) {
           }
         }
       },
-      execute: async (args) => {
+      execute: async (args, context = {}) => {
         const { directory_path = '.' } = args;
         
         // 보안: 작업 공간 밖의 디렉토리 접근 방지
@@ -132,10 +149,19 @@ export function createFileSystemTools(options = {}) {
 
         try {
           const entries = await fs.readdir(resolvedPath, { withFileTypes: true });
+          // 항목마다 stat을 부르므로 큰 디렉토리는 오래 걸린다 - 10%마다 보고
+          let statted = 0;
+          let reportedStep = 0;
+          reportProgress(context, `항목 ${entries.length}개 확인 중: ${directory_path}`, 0);
           const items = await Promise.all(
             entries.map(async (entry) => {
               const fullPath = path.join(resolvedPath, entry.name);
               const stats = await fs.stat(fullPath);
+              const step = Math.floor((++statted / entries.length) * 10);
+              if (step > reportedStep) {
+                reportedStep = step;
+                reportProgress(context, `항목 확인 중 (${statted}/${entries.length})`, step * 10);
+              }
               return {
                 name: entry.name,
                 type: entry.isDirectory() ? 'directory' : 'file',
@@ -169,7 +195,22 @@ export function createFileSystemTools(options = {}) {
         },
         required: ['file_path']
       },
-      execute: async (args) => {
+      // 승인 요청 미리보기: 디렉토리는 항목 수, 파일은 지워질 내용 (diff)
+      preview: async ({ file_path }) => {
+        const resolvedPath = path.resolve(workspaceRoot, String(file_path));
+        if (!resolvedPath.startsWith(path.resolve(workspaceRoot))) {
+          return `${file_path}: 작업 공간 밖의 경로 (실행 시 거부됨)`;
+        }
+        const stats = await fs.stat(resolvedPath).catch(() => null);
+        if (!stats) return `${file_path}: 존재하지 않음`;
+        if (stats.isDirectory()) {
+          const entries = await fs.readdir(resolvedPath);
+          return `디렉토리 삭제: ${file_path} (항목 ${entries.length}개, 하위 내용 포함)`;
+        }
+        const before = await fs.readFile(resolvedPath, 'utf-8');
+        return unifiedDiff(before, '', { fromLabel: `a/${file_path}`, toLabel: '/dev/null' }) || `빈 파일 삭제: ${file_path}`;
+      },
+      execute: async (args, context = {}) => {
         const { file_path } = args;
         
         // 보안: 작업 공간 밖의 파일 접근 방지
@@ -182,6 +223,7 @@ export function createFileSystemTools(options = {}) {
 
         try {
           const stats = await fs.stat(resolvedPath);
+          reportProgress(context, `${stats.isDirectory() ? '디렉토리(하위 내용 포함)' : '파일'} 삭제 중: ${file_path}`);
           if (stats.isDirectory()) {
             await fs.rmdir(resolvedPath, { recursive: true });
           } else {
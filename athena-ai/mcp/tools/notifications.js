@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
 
 /**
  * 알림 도구 생성
@@ -14,68 +14,15 @@ import Database from 'better-sqlite3';
 export function createNotificationTools(options = {}) {
   const { dbPath } = options;
 
-  let db = null;
+  let db = options.db || null;
 
   const getDb = () => {
     if (!db && dbPath) {
-      db = new Database(dbPath);
-      initializeNotificationTables(db);
+      db = openDatabase(dbPath);
     }
     return db;
   };
 
-  // 알림 테이블 초기화
-  function initializeNotificationTables(database) {
-    database.exec(`
-      -- 알림 테이블
-      CREATE TABLE IF NOT EXISTS notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        message TEXT NOT NULL,
-        type TEXT DEFAULT 'info',
-        category TEXT DEFAULT 'general',
-        priority TEXT DEFAULT 'normal',
-        status TEXT DEFAULT 'pending',
-        scheduled_at DATETIME,
-        sent_at DATETIME,
-        read_at DATETIME,
-        action_url TEXT,
-        action_label TEXT,
-        metadata TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- 알림 인덱스
-      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, status);
-      CREATE INDEX IF NOT EXISTS idx_notifications_scheduled ON notifications(scheduled_at, status);
-      CREATE INDEX IF NOT EXISTS idx_notifications_category ON notifications(category);
-
-      -- 리마인더 테이블
-      CREATE TABLE IF NOT EXISTS reminders (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        remind_at DATETIME NOT NULL,
-        repeat_type TEXT,
-        repeat_interval INTEGER,
-        repeat_until DATETIME,
-        status TEXT DEFAULT 'active',
-        notification_id TEXT,
-        source_type TEXT,
-        source_id TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (notification_id) REFERENCES notifications(id)
-      );
-
-      -- 리마인더 인덱스
-      CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, status);
-      CREATE INDEX IF NOT EXISTS idx_reminders_remind ON reminders(remind_at, status);
-    `);
-  }
-
   // 고유 ID 생성
   const generateId = () => `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   const generateReminderId = () => `remind_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -4,7 +4,14 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
+import {
+  nextScheduledRun,
+  previewSchedule,
+  validateScheduleConfig,
+  DEFAULT_TIMEZONE,
+  CATCH_UP_POLICIES
+} from '../../utils/cron.js';
 
 /**
  * 스케줄러 도구 생성
@@ -13,132 +20,36 @@ import Database from 'better-sqlite3';
  */
 export function createSchedulerTools(options = {}) {
   const {
-    dbPath = './athena-data/athena.db',
+    dbPath,
     mcpManager = null
   } = options;
 
-  const db = new Database(dbPath);
-
-  // 스케줄 테이블 생성
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS scheduled_tasks (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT,
-      task_type TEXT NOT NULL,
-      task_config TEXT NOT NULL,
-      schedule_type TEXT NOT NULL,
-      schedule_config TEXT NOT NULL,
-      is_active INTEGER DEFAULT 1,
-      last_run DATETIME,
-      next_run DATETIME,
-      run_count INTEGER DEFAULT 0,
-      max_runs INTEGER,
-      created_by TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS task_execution_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      task_id TEXT NOT NULL,
-      status TEXT NOT NULL,
-      started_at DATETIME NOT NULL,
-      completed_at DATETIME,
-      result TEXT,
-      error TEXT,
-      FOREIGN KEY (task_id) REFERENCES scheduled_tasks(id)
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_task_next_run ON scheduled_tasks(next_run);
-    CREATE INDEX IF NOT EXISTS idx_task_active ON scheduled_tasks(is_active);
-  `);
-
-  // Cron 표현식 파싱 (간단한 구현)
-  const parseCron = (cronExpression) => {
-    const parts = cronExpression.split(' ');
-    if (parts.length !== 5) {
-      throw new Error('잘못된 Cron 표현식입니다. 형식: "분 시 일 월 요일"');
-    }
-
-    return {
-      minute: parts[0],
-      hour: parts[1],
-      dayOfMonth: parts[2],
-      month: parts[3],
-      dayOfWeek: parts[4]
-    };
-  };
+  // MCPManager가 넘겨주는 공유 연결 (스케줄 테이블은 database/migrations/003_scheduler.js)
+  const db = options.db || openDatabase(dbPath);
 
-  // 다음 실행 시간 계산
+  // 다음 실행 시간 계산 (daily/weekly/monthly/cron은 scheduleConfig.timezone 기준, 기본 KST)
   const calculateNextRun = (scheduleType, scheduleConfig, lastRun = null) => {
     const now = new Date();
-    const baseTime = lastRun ? new Date(lastRun) : now;
-    let nextRun = new Date(baseTime);
 
     switch (scheduleType) {
       case 'once':
-        // 일회성 - 지정된 시간
+        // 일회성 - 지정된 시간 (이미 지났으면 다음 tick에 바로 실행)
         return new Date(scheduleConfig.datetime);
 
-      case 'interval':
+      case 'interval': {
         // 간격 실행
         const intervalMs = scheduleConfig.intervalMinutes * 60 * 1000;
-        nextRun = new Date(baseTime.getTime() + intervalMs);
-        if (nextRun <= now) {
-          nextRun = new Date(now.getTime() + intervalMs);
-        }
-        return nextRun;
-
-      case 'daily':
-        // 매일 특정 시간
-        const [hours, minutes] = scheduleConfig.time.split(':').map(Number);
-        nextRun.setHours(hours, minutes, 0, 0);
-        if (nextRun <= now) {
-          nextRun.setDate(nextRun.getDate() + 1);
-        }
-        return nextRun;
-
-      case 'weekly':
-        // 매주 특정 요일과 시간
-        const [wHours, wMinutes] = scheduleConfig.time.split(':').map(Number);
-        const targetDay = scheduleConfig.dayOfWeek; // 0 = Sunday
-        nextRun.setHours(wHours, wMinutes, 0, 0);
-
-        const currentDay = nextRun.getDay();
-        let daysToAdd = targetDay - currentDay;
-        if (daysToAdd < 0 || (daysToAdd === 0 && nextRun <= now)) {
-          daysToAdd += 7;
-        }
-        nextRun.setDate(nextRun.getDate() + daysToAdd);
-        return nextRun;
-
-      case 'monthly':
-        // 매월 특정 일과 시간
-        const [mHours, mMinutes] = scheduleConfig.time.split(':').map(Number);
-        const targetDate = scheduleConfig.dayOfMonth;
-        nextRun.setDate(targetDate);
-        nextRun.setHours(mHours, mMinutes, 0, 0);
-
-        if (nextRun <= now) {
-          nextRun.setMonth(nextRun.getMonth() + 1);
-        }
-        return nextRun;
+        const nextRun = new Date((lastRun ? new Date(lastRun) : now).getTime() + intervalMs);
+        return nextRun <= now ? new Date(now.getTime() + intervalMs) : nextRun;
+      }
 
-      case 'cron':
-        // Cron 표현식 (간단한 구현)
-        const cron = parseCron(scheduleConfig.expression);
-        // 실제 cron 파싱은 복잡하므로 여기서는 기본 구현만
-        const cronHour = cron.hour === '*' ? now.getHours() : parseInt(cron.hour);
-        const cronMinute = cron.minute === '*' ? 0 : parseInt(cron.minute);
-        nextRun.setHours(cronHour, cronMinute, 0, 0);
-        if (nextRun <= now) {
-          nextRun.setDate(nextRun.getDate() + 1);
+      default: {
+        const nextRun = nextScheduledRun(scheduleType, scheduleConfig, now);
+        if (!nextRun) {
+          throw new Error('앞으로 실행될 시각이 없는 스케줄입니다.');
         }
         return nextRun;
-
-      default:
-        throw new Error(`알 수 없는 스케줄 타입: ${scheduleType}`);
+      }
     }
   };
 
@@ -188,7 +99,9 @@ export function createSchedulerTools(options = {}) {
               time: { type: 'string', description: 'daily/weekly/monthly: HH:MM 형식' },
               dayOfWeek: { type: 'number', description: 'weekly: 요일 (0=일요일)' },
               dayOfMonth: { type: 'number', description: 'monthly: 일 (1-31)' },
-              expression: { type: 'string', description: 'cron: Cron 표현식' }
+              expression: { type: 'string', description: 'cron: Cron 표현식 (분 시 일 월 요일, 예: "0 9 * * 1-5")' },
+              timezone: { type: 'string', description: `daily/weekly/monthly/cron 기준 타임존 (기본값: ${DEFAULT_TIMEZONE})` },
+              catchUp: { type: 'string', enum: CATCH_UP_POLICIES, description: '다운타임으로 놓친 실행 처리: skip(건너뜀), once(한 번만, 기본값), all(놓친 횟수만큼)' }
             }
           },
           maxRuns: {
@@ -215,6 +128,7 @@ export function createSchedulerTools(options = {}) {
         } = args;
 
         try {
+          validateScheduleConfig(scheduleType, scheduleConfig);
           const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
           const nextRun = calculateNextRun(scheduleType, scheduleConfig);
 
@@ -407,6 +321,8 @@ export function createSchedulerTools(options = {}) {
           `).run(taskId, startedAt.toISOString());
 
           const logId = execResult.lastInsertRowid;
+          // 도구 정책에서 예약 작업은 scheduler 호출자로 본다
+          const toolContext = { caller: { type: 'scheduler', id: taskId } };
 
           try {
             let result;
@@ -417,19 +333,19 @@ export function createSchedulerTools(options = {}) {
                   result = await mcpManager.executeTool('run_workflow', {
                     workflowId: taskConfig.workflowId,
                     inputs: taskConfig.inputs || {}
-                  });
+                  }, toolContext);
                 }
                 break;
 
               case 'mcp_tool':
                 if (mcpManager) {
-                  result = await mcpManager.executeTool(taskConfig.toolName, taskConfig.toolParams || {});
+                  result = await mcpManager.executeTool(taskConfig.toolName, taskConfig.toolParams || {}, toolContext);
                 }
                 break;
 
               case 'notification':
                 if (mcpManager) {
-                  result = await mcpManager.executeTool('send_notification', taskConfig.notificationConfig);
+                  result = await mcpManager.executeTool('send_notification', taskConfig.notificationConfig, toolContext);
                 }
                 break;
 
@@ -437,7 +353,7 @@ export function createSchedulerTools(options = {}) {
                 if (mcpManager) {
                   result = await mcpManager.executeTool('get_dashboard_summary', {
                     userId: taskConfig.userId || 'system'
-                  });
+                  }, toolContext);
                 }
                 break;
 
@@ -588,6 +504,33 @@ export function createSchedulerTools(options = {}) {
       }
     },
 
+    // 실행 시각 미리보기
+    {
+      name: 'preview_schedule',
+      description: '예약 작업을 저장하기 전에 스케줄 설정의 다음 실행 시각 N개를 미리 확인합니다.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scheduleType: {
+            type: 'string',
+            enum: ['once', 'interval', 'daily', 'weekly', 'monthly', 'cron'],
+            description: '스케줄 유형'
+          },
+          scheduleConfig: {
+            type: 'object',
+            description: '스케줄 설정 (create_scheduled_task와 동일)'
+          },
+          count: {
+            type: 'number',
+            description: '미리볼 실행 횟수 (최대 50)',
+            default: 5
+          }
+        },
+        required: ['scheduleType', 'scheduleConfig']
+      },
+      execute: async (args) => previewSchedule(args)
+    },
+
     // 실행 대기 중인 작업 조회
     {
       name: 'get_pending_tasks',
@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
 
 /**
  * 사용자 설정 도구 생성
@@ -13,29 +13,11 @@ import Database from 'better-sqlite3';
  */
 export function createUserSettingsTools(options = {}) {
   const {
-    dbPath = './athena-data/athena.db'
+    dbPath
   } = options;
 
-  const db = new Database(dbPath);
-
-  // 사용자 설정 테이블 생성
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS user_settings (
-      user_id TEXT PRIMARY KEY,
-      settings TEXT NOT NULL DEFAULT '{}',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS user_preferences_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL,
-      setting_key TEXT NOT NULL,
-      old_value TEXT,
-      new_value TEXT,
-      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
+  // MCPManager가 넘겨주는 공유 연결 (사용자 설정 테이블은 database/migrations/008_user_settings.js)
+  const db = options.db || openDatabase(dbPath);
 
   // 기본 설정 템플릿
   const DEFAULT_SETTINGS = {
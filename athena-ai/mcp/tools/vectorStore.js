@@ -1,13 +1,19 @@
 /**
  * Vector Store Tool - 벡터 DB 및 RAG 시스템
- * OpenAI Embeddings를 사용한 의미 검색 기능
+ * 컬렉션별 임베딩 모델(OpenAI 또는 로컬 CPU 모델)을 사용한 의미 검색 기능
  */
 
-import OpenAI from 'openai';
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
 import fs from 'fs';
 import path from 'path';
+import { VectorCollectionStore } from '../../memory/vectorCollectionStore.js';
+import {
+  EMBEDDING_MODELS,
+  DEFAULT_LOCAL_EMBEDDING_MODEL,
+  getDefaultEmbeddingModel,
+  getEmbeddingProvider
+} from '../../ai/embeddings/index.js';
 
 /**
  * 벡터 스토어 도구 생성
@@ -17,69 +23,16 @@ import path from 'path';
 export function createVectorStoreTools(options = {}) {
   const {
     apiKey = process.env.OPENAI_API_KEY,
-    dbPath = './athena-data/athena.db',
+    dbPath,
     workspaceRoot = process.cwd()
   } = options;
 
-  const db = new Database(dbPath);
-
-  // 벡터 스토어 테이블 생성
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS vector_documents (
-      id TEXT PRIMARY KEY,
-      collection TEXT NOT NULL,
-      content TEXT NOT NULL,
-      metadata TEXT,
-      embedding BLOB,
-      chunk_index INTEGER DEFAULT 0,
-      source_id TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_vector_collection ON vector_documents(collection);
-    CREATE INDEX IF NOT EXISTS idx_vector_source ON vector_documents(source_id);
-
-    CREATE TABLE IF NOT EXISTS vector_collections (
-      name TEXT PRIMARY KEY,
-      description TEXT,
-      document_count INTEGER DEFAULT 0,
-      embedding_model TEXT DEFAULT 'text-embedding-3-small',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-
-  const getOpenAI = () => {
-    if (!apiKey) {
-      throw new Error('OpenAI API 키가 설정되지 않았습니다.');
-    }
-    return new OpenAI({ apiKey });
-  };
-
-  // 임베딩 생성
-  const createEmbedding = async (text, model = 'text-embedding-3-small') => {
-    const openai = getOpenAI();
-    const response = await openai.embeddings.create({
-      model,
-      input: text
-    });
-    return response.data[0].embedding;
-  };
+  const db = options.db || openDatabase(dbPath);
 
-  // 코사인 유사도 계산
-  const cosineSimilarity = (a, b) => {
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
+  const store = new VectorCollectionStore({ db, openaiApiKey: apiKey });
 
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
-    }
-
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-  };
+  // 새 컬렉션 기본 모델 (OpenAI 키가 없으면 로컬 모델)
+  const defaultModel = getDefaultEmbeddingModel({ openaiApiKey: apiKey }) || DEFAULT_LOCAL_EMBEDDING_MODEL;
 
   // 텍스트 청킹
   const chunkText = (text, chunkSize = 1000, overlap = 200) => {
@@ -132,15 +85,14 @@ export function createVectorStoreTools(options = {}) {
           },
           embeddingModel: {
             type: 'string',
-            enum: ['text-embedding-3-small', 'text-embedding-3-large', 'text-embedding-ada-002'],
-            description: '사용할 임베딩 모델',
-            default: 'text-embedding-3-small'
+            description: `사용할 임베딩 모델 (${Object.keys(EMBEDDING_MODELS).join(', ')} 또는 로컬 Hugging Face 모델 ID)`,
+            default: defaultModel
           }
         },
         required: ['name']
       },
       execute: async (args) => {
-        const { name, description, embeddingModel = 'text-embedding-3-small' } = args;
+        const { name, description, embeddingModel = defaultModel } = args;
 
         try {
           // 이름 유효성 검사
@@ -148,6 +100,9 @@ export function createVectorStoreTools(options = {}) {
             throw new Error('컬렉션 이름은 영문, 숫자, 언더스코어만 사용 가능합니다.');
           }
 
+          // 모델을 사용할 수 있는지 확인 (OpenAI 모델인데 키가 없는 경우 등)
+          getEmbeddingProvider(embeddingModel, { openaiApiKey: apiKey });
+
           db.prepare(`
             INSERT INTO vector_collections (name, description, embedding_model)
             VALUES (?, ?, ?)
@@ -221,44 +176,19 @@ export function createVectorStoreTools(options = {}) {
           const sourceId = `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
           const chunks = chunkText(content, chunkSize, chunkOverlap);
 
-          logger.info('문서 임베딩 시작', { collection, chunks: chunks.length });
-
-          const insertStmt = db.prepare(`
-            INSERT INTO vector_documents (id, collection, content, metadata, embedding, chunk_index, source_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
+          logger.info('문서 임베딩 시작', { collection, chunks: chunks.length, model: coll.embedding_model });
 
-          for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            const embedding = await createEmbedding(chunk.text, coll.embedding_model);
-
-            const docId = `${sourceId}_chunk_${i}`;
-            const chunkMetadata = {
+          const embeddings = await store.embedPassages(coll, chunks.map(chunk => chunk.text));
+          store.replaceSource(collection, sourceId, chunks.map((chunk, i) => ({
+            text: chunk.text,
+            metadata: {
               ...metadata,
               chunkIndex: i,
               totalChunks: chunks.length,
               startIndex: chunk.startIndex,
               endIndex: chunk.endIndex
-            };
-
-            insertStmt.run(
-              docId,
-              collection,
-              chunk.text,
-              JSON.stringify(chunkMetadata),
-              Buffer.from(new Float32Array(embedding).buffer),
-              i,
-              sourceId
-            );
-          }
-
-          // 컬렉션 문서 수 업데이트
-          db.prepare(`
-            UPDATE vector_collections
-            SET document_count = (SELECT COUNT(*) FROM vector_documents WHERE collection = ?),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE name = ?
-          `).run(collection, collection);
+            }
+          })), embeddings);
 
           logger.info('문서 추가 완료', { sourceId, chunks: chunks.length });
 
@@ -322,33 +252,11 @@ export function createVectorStoreTools(options = {}) {
           const sourceId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
           const chunks = chunkText(content, chunkSize, 200);
 
-          const insertStmt = db.prepare(`
-            INSERT INTO vector_documents (id, collection, content, metadata, embedding, chunk_index, source_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
-
-          for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            const embedding = await createEmbedding(chunk.text, coll.embedding_model);
-
-            insertStmt.run(
-              `${sourceId}_chunk_${i}`,
-              collection,
-              chunk.text,
-              JSON.stringify({ fileName, filePath: fullPath, chunkIndex: i }),
-              Buffer.from(new Float32Array(embedding).buffer),
-              i,
-              sourceId
-            );
-          }
-
-          // 문서 수 업데이트
-          db.prepare(`
-            UPDATE vector_collections
-            SET document_count = (SELECT COUNT(*) FROM vector_documents WHERE collection = ?),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE name = ?
-          `).run(collection, collection);
+          const embeddings = await store.embedPassages(coll, chunks.map(chunk => chunk.text));
+          store.replaceSource(collection, sourceId, chunks.map((chunk, i) => ({
+            text: chunk.text,
+            metadata: { fileName, filePath: fullPath, chunkIndex: i }
+          })), embeddings);
 
           return {
             success: true,
@@ -388,46 +296,26 @@ export function createVectorStoreTools(options = {}) {
             type: 'number',
             description: '최소 유사도 임계값 (0-1)',
             default: 0.7
+          },
+          filter: {
+            type: 'object',
+            description: '메타데이터 필터 (예: {"fileName": "a.pdf"}, 값이 배열이면 그중 하나와 일치, sourceId 키는 문서 source ID)'
+          },
+          exact: {
+            type: 'boolean',
+            description: 'ANN 인덱스 대신 전체 스캔으로 정확히 검색',
+            default: false
           }
         },
         required: ['collection', 'query']
       },
       execute: async (args) => {
-        const { collection, query, topK = 5, threshold = 0.7 } = args;
+        const { collection, query, topK = 5, threshold = 0.7, filter = null, exact = false } = args;
 
         try {
-          const coll = db.prepare('SELECT * FROM vector_collections WHERE name = ?').get(collection);
-          if (!coll) {
-            throw new Error(`컬렉션을 찾을 수 없습니다: ${collection}`);
-          }
-
-          // 쿼리 임베딩 생성
-          const queryEmbedding = await createEmbedding(query, coll.embedding_model);
-
-          // 모든 문서 가져오기
-          const documents = db.prepare(`
-            SELECT id, content, metadata, embedding
-            FROM vector_documents
-            WHERE collection = ?
-          `).all(collection);
-
-          // 유사도 계산
-          const results = documents.map(doc => {
-            const docEmbedding = new Float32Array(doc.embedding.buffer);
-            const similarity = cosineSimilarity(queryEmbedding, Array.from(docEmbedding));
-
-            return {
-              id: doc.id,
-              content: doc.content,
-              metadata: doc.metadata ? JSON.parse(doc.metadata) : {},
-              similarity
-            };
-          })
-            .filter(r => r.similarity >= threshold)
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, topK);
+          const { results, totalSearched, method } = await store.search(collection, query, { topK, threshold, filter, exact });
 
-          logger.info('의미 검색 완료', { collection, query, resultsCount: results.length });
+          logger.info('의미 검색 완료', { collection, query, method, resultsCount: results.length });
 
           return {
             success: true,
@@ -436,7 +324,8 @@ export function createVectorStoreTools(options = {}) {
               ...r,
               similarity: Math.round(r.similarity * 1000) / 1000
             })),
-            totalSearched: documents.length
+            totalSearched,
+            method
           };
 
         } catch (error) {
@@ -482,29 +371,10 @@ export function createVectorStoreTools(options = {}) {
 
           // 각 컬렉션에서 검색
           for (const collection of collections) {
-            const coll = db.prepare('SELECT * FROM vector_collections WHERE name = ?').get(collection);
-            if (!coll) continue;
-
-            const queryEmbedding = await createEmbedding(query, coll.embedding_model);
-
-            const documents = db.prepare(`
-              SELECT id, content, metadata, embedding
-              FROM vector_documents
-              WHERE collection = ?
-            `).all(collection);
-
-            const results = documents.map(doc => {
-              const docEmbedding = new Float32Array(doc.embedding.buffer);
-              const similarity = cosineSimilarity(queryEmbedding, Array.from(docEmbedding));
-
-              return {
-                collection,
-                id: doc.id,
-                content: doc.content,
-                metadata: doc.metadata ? JSON.parse(doc.metadata) : {},
-                similarity
-              };
-            });
+            if (!store.getCollection(collection)) continue;
+
+            const { results } = await store.search(collection, query, { topK });
+            results.forEach(result => { result.collection = collection; });
 
             allResults = allResults.concat(results);
           }
@@ -555,6 +425,38 @@ export function createVectorStoreTools(options = {}) {
       }
     },
 
+    // 임베딩 모델 변경 (재임베딩 마이그레이션)
+    {
+      name: 'reembed_vector_collection',
+      description: '컬렉션의 임베딩 모델을 바꾸고 모든 문서를 새 모델로 다시 임베딩합니다. 모델마다 벡터 차원이 다르므로 모델을 바꿀 때는 반드시 이 도구를 사용합니다.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          collection: {
+            type: 'string',
+            description: '컬렉션 이름'
+          },
+          embeddingModel: {
+            type: 'string',
+            description: `새 임베딩 모델 (${Object.keys(EMBEDDING_MODELS).join(', ')} 또는 로컬 Hugging Face 모델 ID)`
+          }
+        },
+        required: ['collection', 'embeddingModel']
+      },
+      execute: async (args) => {
+        const { collection, embeddingModel } = args;
+
+        try {
+          getEmbeddingProvider(embeddingModel, { openaiApiKey: apiKey });
+          const result = await store.reembedCollection(collection, embeddingModel);
+          return { success: true, ...result };
+        } catch (error) {
+          logger.error('재임베딩 오류', error);
+          throw new Error(`재임베딩 실패: ${error.message}`);
+        }
+      }
+    },
+
     // 컬렉션 목록 조회
     {
       name: 'list_vector_collections',
@@ -565,7 +467,7 @@ export function createVectorStoreTools(options = {}) {
       },
       execute: async () => {
         try {
-          const collections = db.prepare('SELECT * FROM vector_collections ORDER BY updated_at DESC').all();
+          const collections = store.listCollections();
 
           return {
             success: true,
@@ -574,6 +476,7 @@ export function createVectorStoreTools(options = {}) {
               description: c.description,
               documentCount: c.document_count,
               embeddingModel: c.embedding_model,
+              embeddingDimensions: c.embedding_dimensions,
               createdAt: c.created_at,
               updatedAt: c.updated_at
             })),
@@ -608,22 +511,9 @@ export function createVectorStoreTools(options = {}) {
         const { collection, sourceId } = args;
 
         try {
-          const result = db.prepare(`
-            DELETE FROM vector_documents
-            WHERE collection = ? AND source_id = ?
-          `).run(collection, sourceId);
-
-          // 문서 수 업데이트
-          db.prepare(`
-            UPDATE vector_collections
-            SET document_count = (SELECT COUNT(*) FROM vector_documents WHERE collection = ?),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE name = ?
-          `).run(collection, collection);
-
           return {
             success: true,
-            deletedCount: result.changes
+            deletedCount: store.deleteSource(collection, sourceId)
           };
 
         } catch (error) {
@@ -650,19 +540,15 @@ export function createVectorStoreTools(options = {}) {
         const { name } = args;
 
         try {
-          // 문서 먼저 삭제
-          const docsResult = db.prepare('DELETE FROM vector_documents WHERE collection = ?').run(name);
-
-          // 컬렉션 삭제
-          const collResult = db.prepare('DELETE FROM vector_collections WHERE name = ?').run(name);
+          const { deletedDocuments, deletedCollection } = store.deleteCollection(name);
 
-          if (collResult.changes === 0) {
+          if (!deletedCollection) {
             throw new Error('컬렉션을 찾을 수 없습니다');
           }
 
           return {
             success: true,
-            deletedDocuments: docsResult.changes
+            deletedDocuments
           };
 
         } catch (error) {
@@ -4,6 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { startProgressHeartbeat } from '../progress.js';
 import puppeteer from 'puppeteer';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -86,6 +87,17 @@ function ensureScreenshotDir() {
   return screenshotDir;
 }
 
+// 작업별 진행 상황 메시지
+const BROWSER_PROGRESS_MESSAGES = {
+  navigate: ({ url }) => `페이지 여는 중: ${url || ''}`,
+  screenshot: () => '스크린샷 찍는 중',
+  click: ({ selector }) => `요소 기다렸다가 클릭하는 중: ${selector || ''}`,
+  type: ({ selector }) => `텍스트 입력 중: ${selector || ''}`,
+  getContent: () => '페이지 내용 가져오는 중',
+  submit: ({ selector }) => `폼 제출 후 페이지 로드 기다리는 중: ${selector || ''}`,
+  wait: ({ timeout }) => `${timeout || 1000}ms 기다리는 중`
+};
+
 /**
  * 웹 브라우저 제어 도구 생성 함수
  */
@@ -139,9 +151,11 @@ export function createWebBrowserTool(options = {}) {
       },
       required: ['action']
     },
-    execute: async (args) => {
+    execute: async (args, context = {}) => {
       const { action, url, selector, text, waitFor = 'load', timeout = 30000, screenshotPath, fullPage = false } = args;
 
+      // 브라우저 시작·페이지 로드는 수십 초 걸릴 수 있다
+      const stopProgress = startProgressHeartbeat(context, BROWSER_PROGRESS_MESSAGES[action]?.(args) || `브라우저 작업 중: ${action}`);
       try {
         const page = await getPage();
 
@@ -312,6 +326,8 @@ export function createWebBrowserTool(options = {}) {
           error: error.message,
           action: action
         };
+      } finally {
+        stopProgress();
       }
     }
   };
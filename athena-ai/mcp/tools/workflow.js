@@ -4,7 +4,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import Database from 'better-sqlite3';
+import { openDatabase } from '../../database/connection.js';
 import path from 'path';
 
 /**
@@ -14,47 +14,12 @@ import path from 'path';
  */
 export function createWorkflowTools(options = {}) {
   const {
-    dbPath = './athena-data/athena.db',
+    dbPath,
     mcpManager = null
   } = options;
 
-  // DB 연결
-  const db = new Database(dbPath);
-
-  // 워크플로우 테이블 생성
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS workflows (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT,
-      steps TEXT NOT NULL,
-      triggers TEXT,
-      is_active INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS workflow_executions (
-      id TEXT PRIMARY KEY,
-      workflow_id TEXT NOT NULL,
-      status TEXT DEFAULT 'pending',
-      started_at DATETIME,
-      completed_at DATETIME,
-      steps_results TEXT,
-      error TEXT,
-      triggered_by TEXT,
-      FOREIGN KEY (workflow_id) REFERENCES workflows(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS workflow_templates (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT,
-      category TEXT,
-      steps TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
+  // MCPManager가 넘겨주는 공유 연결 (워크플로우 테이블은 database/migrations/002_workflows.js)
+  const db = options.db || openDatabase(dbPath);
 
   // 기본 템플릿 추가
   const insertTemplate = db.prepare(`
@@ -148,7 +113,7 @@ export function createWorkflowTools(options = {}) {
         // 도구 실행
         let result;
         if (mcpMgr) {
-          result = await mcpMgr.executeTool(step.tool, resolvedParams);
+          result = await mcpMgr.executeTool(step.tool, resolvedParams, { caller: { type: 'workflow', id: workflowId } });
         } else {
           result = { success: false, error: 'MCP Manager가 연결되지 않음' };
         }
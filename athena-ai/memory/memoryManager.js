@@ -83,11 +83,52 @@ export class MemoryManager {
     }));
   }
 
+  /**
+   * 특정 메시지 이후의 대화 (요약에 접히지 않은 턴, 오래된 순)
+   * @param {string} sessionId
+   * @param {number} afterId - 이 short_term_memory.id 이후만 (0이면 처음부터)
+   * @param {number} limit - 최근 N개까지
+   */
+  getMessagesAfter(sessionId, afterId = 0, limit = 50) {
+    const stmt = this.db.prepare(`
+      SELECT id, message_type, content FROM short_term_memory
+      WHERE session_id = ? AND id > ?
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+    return stmt.all(sessionId, afterId, limit).reverse().map(row => ({
+      id: row.id,
+      role: row.message_type === 'user' ? 'user' : 'assistant',
+      content: row.content
+    }));
+  }
+
   clearShortTermMemory(sessionId) {
+    this.db.prepare('DELETE FROM session_summaries WHERE session_id = ?').run(sessionId);
     const stmt = this.db.prepare('DELETE FROM short_term_memory WHERE session_id = ?');
     return stmt.run(sessionId);
   }
 
+  // ==================== 대화 요약 (Rolling Summary) ====================
+
+  getSessionSummary(sessionId) {
+    const row = this.db.prepare('SELECT * FROM session_summaries WHERE session_id = ?').get(sessionId);
+    return row ? { summary: row.summary, summarizedUntil: row.summarized_until, turnCount: row.turn_count } : null;
+  }
+
+  saveSessionSummary(sessionId, summary, summarizedUntil, foldedCount = 0) {
+    const stmt = this.db.prepare(`
+      INSERT INTO session_summaries (session_id, summary, summarized_until, turn_count)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET
+        summary = excluded.summary,
+        summarized_until = excluded.summarized_until,
+        turn_count = turn_count + excluded.turn_count,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(sessionId, summary, summarizedUntil, foldedCount);
+  }
+
   // ==================== 장기 기억 (Long-term Memory) ====================
 
   addLongTermMemory(userId, category, title, content, tags = [], importance = 5) {
@@ -193,6 +234,30 @@ export class MemoryManager {
     return stmt.get(sessionId);
   }
 
+  /**
+   * 세션 행이 없는 세션 ID에 다른 사용자의 대화가 있는지
+   * (세션 생성이 실패하면 프론트엔드가 임의의 ID로 대화를 시작하고, 단기 기억은 세션 ID로만 묶인다)
+   */
+  hasForeignMessages(sessionId, userId) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM short_term_memory WHERE session_id = ? AND user_id IS NOT ? LIMIT 1
+    `).get(sessionId, userId));
+  }
+
+  /**
+   * 세션 ID를 이 사용자의 세션으로 확보 - 행이 없으면 만들고, 다른 사용자의 대화가 남아 있으면 만들지 않는다
+   * @returns {Object|null} 세션 행 (다른 사용자의 세션일 수 있다), 다른 사용자의 대화만 있으면 null
+   */
+  claimSession(sessionId, userId) {
+    return this.db.transaction(() => {
+      const existing = this.getSession(sessionId);
+      if (existing) return existing;
+      if (this.hasForeignMessages(sessionId, userId)) return null;
+      this.db.prepare('INSERT OR IGNORE INTO sessions (id, user_id) VALUES (?, ?)').run(sessionId, userId);
+      return this.getSession(sessionId);
+    }).immediate();
+  }
+
   getUserSessions(userId, limit = 50) {
     const stmt = this.db.prepare(`
       SELECT * FROM sessions
@@ -215,10 +280,12 @@ export class MemoryManager {
   deleteSession(sessionId) {
     // 세션과 관련된 모든 데이터 삭제
     const deleteShortTerm = this.db.prepare('DELETE FROM short_term_memory WHERE session_id = ?');
+    const deleteSummary = this.db.prepare('DELETE FROM session_summaries WHERE session_id = ?');
     const deleteDecisionLog = this.db.prepare('DELETE FROM decision_log WHERE session_id = ?');
     const deleteSession = this.db.prepare('DELETE FROM sessions WHERE id = ?');
 
     deleteShortTerm.run(sessionId);
+    deleteSummary.run(sessionId);
     deleteDecisionLog.run(sessionId);
     return deleteSession.run(sessionId);
   }
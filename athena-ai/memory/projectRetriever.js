@@ -0,0 +1,222 @@
+import { logger } from '../utils/logger.js';
+import { chunkDocument } from '../utils/documentExtractor.js';
+import { hybridRank, selectWithinBudget, estimateTokens } from '../utils/hybridSearch.js';
+
+// 프로젝트 자료 청크 크기 (문자)
+const CHUNK_SIZE = 1200;
+
+/**
+ * ProjectRetriever - 프로젝트 자료 의미 검색
+ * project_context / project_resources를 vector_documents(프로젝트별 컬렉션)에 자동 색인하고,
+ * BM25 + 코사인 하이브리드 점수로 토큰 예산 안의 상위 passage를 찾는다.
+ *
+ * 임베딩 모델이 없으면 BM25만으로 검색하고, 설정된 모델이 바뀌면 프로젝트 컬렉션을 새 모델로 재임베딩한다.
+ */
+export class ProjectRetriever {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - better-sqlite3 인스턴스
+   * @param {import('./vectorCollectionStore.js').VectorCollectionStore} options.vectorStore
+   * @param {string|null} options.embeddingModel - 프로젝트 컬렉션에 쓸 임베딩 모델 (null이면 BM25 전용)
+   */
+  constructor({ db, vectorStore, embeddingModel = null }) {
+    this.db = db;
+    this.vectorStore = vectorStore;
+    this.embeddingModel = embeddingModel;
+    // 프로젝트별 진행 중인 동기화 (동시 요청 시 한 번만 색인)
+    this._syncing = new Map();
+  }
+
+  /**
+   * 프로젝트 → 벡터 컬렉션 이름
+   */
+  getCollectionName(projectId) {
+    return `project_${String(projectId).replace(/[^a-zA-Z0-9_]/g, '_')}`;
+  }
+
+  /**
+   * 색인 대상 자료 목록
+   * project_context 행 전부 + context 행이 없는 project_resources
+   */
+  _loadSources(projectId) {
+    const contexts = this.db.prepare(`
+      SELECT id, context_type, title, content, source_resource_id, importance, updated_at
+      FROM project_context
+      WHERE project_id = ?
+    `).all(projectId);
+
+    const resources = this.db.prepare(`
+      SELECT id, resource_type, title, content, updated_at
+      FROM project_resources
+      WHERE project_id = ?
+      AND id NOT IN (
+        SELECT source_resource_id FROM project_context
+        WHERE project_id = ? AND source_resource_id IS NOT NULL
+      )
+    `).all(projectId, projectId);
+
+    return [
+      ...contexts.map(ctx => ({
+        sourceId: `context:${ctx.id}`,
+        resourceId: ctx.source_resource_id || null,
+        contextType: ctx.context_type,
+        title: ctx.title,
+        content: ctx.content || '',
+        importance: ctx.importance ?? 5,
+        updatedAt: ctx.updated_at
+      })),
+      ...resources.map(resource => ({
+        sourceId: `resource:${resource.id}`,
+        resourceId: resource.id,
+        contextType: resource.resource_type,
+        title: resource.title,
+        content: resource.content || '',
+        importance: resource.resource_type === 'material' ? 7 : 5,
+        updatedAt: resource.updated_at
+      }))
+    ].filter(source => source.content.trim());
+  }
+
+  /**
+   * 프로젝트 자료를 벡터 컬렉션과 동기화 (새 자료 색인, 수정된 자료 재색인, 삭제된 자료 제거)
+   * @returns {Promise<{indexed: number, removed: number, embedded: number}>}
+   */
+  async sync(projectId) {
+    if (this._syncing.has(projectId)) {
+      return this._syncing.get(projectId);
+    }
+    const promise = this._sync(projectId).finally(() => this._syncing.delete(projectId));
+    this._syncing.set(projectId, promise);
+    return promise;
+  }
+
+  async _sync(projectId) {
+    const name = this.getCollectionName(projectId);
+    const sources = this._loadSources(projectId);
+
+    let collection = this.vectorStore.ensureCollection(name, {
+      description: `프로젝트 ${projectId} 자료 (자동 색인)`,
+      embeddingModel: this.embeddingModel
+    });
+
+    // 설정된 임베딩 모델이 바뀌었으면 기존 청크를 새 모델로 재임베딩 (차원이 섞이지 않도록)
+    if ((collection.embedding_model || null) !== this.embeddingModel) {
+      try {
+        await this.vectorStore.reembedCollection(name, this.embeddingModel);
+      } catch (error) {
+        logger.warn('[ProjectRetriever] 재임베딩 실패 - 기존 모델 유지', { projectId, error: error.message });
+      }
+      collection = this.vectorStore.getCollection(name);
+    }
+
+    // source_id별 기존 색인 상태
+    const indexed = new Map();
+    for (const doc of this.vectorStore.getDocuments(name)) {
+      const state = indexed.get(doc.sourceId) || { updatedAt: doc.metadata.updatedAt, embedded: true };
+      state.embedded = state.embedded && Boolean(doc.embedding);
+      indexed.set(doc.sourceId, state);
+    }
+
+    const currentIds = new Set(sources.map(source => source.sourceId));
+    let removed = 0;
+    for (const sourceId of indexed.keys()) {
+      if (!currentIds.has(sourceId)) {
+        this.vectorStore.deleteSource(name, sourceId);
+        removed++;
+      }
+    }
+
+    // 새 자료, 수정된 자료, 임베딩 없이 색인됐던 자료(이제 모델이 있는 경우)
+    const pending = sources.filter(source => {
+      const state = indexed.get(source.sourceId);
+      return !state || state.updatedAt !== source.updatedAt || (!state.embedded && collection.embedding_model);
+    });
+    if (pending.length === 0) {
+      return { indexed: 0, removed, embedded: 0 };
+    }
+
+    const chunksBySource = pending.map(source =>
+      chunkDocument({ sections: [{ anchor: source.title, text: source.content }] }, { chunkSize: CHUNK_SIZE })
+        .map((chunk, chunkIndex) => ({
+          id: `${name}:${source.sourceId}:${chunkIndex}`,
+          text: chunk.text,
+          chunkIndex,
+          metadata: {
+            projectId,
+            resourceId: source.resourceId,
+            contextType: source.contextType,
+            title: source.title,
+            importance: source.importance,
+            updatedAt: source.updatedAt
+          }
+        }))
+    );
+
+    let embeddings = [];
+    try {
+      embeddings = await this.vectorStore.embedPassages(collection, chunksBySource.flat().map(chunk => chunk.text));
+    } catch (error) {
+      logger.warn('[ProjectRetriever] 임베딩 생성 실패 - BM25만으로 색인', { projectId, error: error.message });
+    }
+
+    let offset = 0;
+    pending.forEach((source, i) => {
+      const chunks = chunksBySource[i];
+      this.vectorStore.replaceSource(name, source.sourceId, chunks, embeddings.slice(offset, offset + chunks.length));
+      offset += chunks.length;
+    });
+
+    logger.info('[ProjectRetriever] 프로젝트 자료 색인', {
+      projectId, sources: pending.length, chunks: offset, removed, embedded: embeddings.length
+    });
+    return { indexed: offset, removed, embedded: embeddings.length };
+  }
+
+  /**
+   * 질문과 관련된 프로젝트 passage 검색
+   * 쿼리가 비었거나 키워드/의미 점수가 모두 0이면 중요도 순으로 채운다.
+   * @param {string} projectId
+   * @param {string} query
+   * @param {Object} options - { topK, maxTokens }
+   * @returns {Promise<Array<{id: string, resourceId: string|null, contextType: string, title: string, content: string, score: number, bm25: number, semantic: number|null, tokens: number}>>}
+   */
+  async search(projectId, query = '', { topK = 8, maxTokens = 3000 } = {}) {
+    await this.sync(projectId);
+
+    const name = this.getCollectionName(projectId);
+    const documents = this.vectorStore.getDocuments(name);
+    if (documents.length === 0) return [];
+
+    let queryEmbedding = null;
+    if (query.trim()) {
+      try {
+        queryEmbedding = await this.vectorStore.embedQuery(this.vectorStore.getCollection(name), query);
+      } catch (error) {
+        logger.warn('[ProjectRetriever] 쿼리 임베딩 실패 - BM25만 사용', { error: error.message });
+      }
+    }
+
+    let ranked = query.trim() ? hybridRank(documents, { text: query, embedding: queryEmbedding }) : [];
+    if (!ranked.length || ranked[0].score <= 0) {
+      ranked = documents
+        .map((doc, index) => ({ index, score: doc.metadata.importance || 5, bm25: 0, semantic: null }))
+        .sort((a, b) => b.score - a.score);
+    }
+
+    return selectWithinBudget(ranked, result => documents[result.index].text, { topK, maxTokens })
+      .map(result => {
+        const doc = documents[result.index];
+        return {
+          id: doc.id,
+          resourceId: doc.metadata.resourceId || null,
+          contextType: doc.metadata.contextType,
+          title: doc.metadata.title,
+          content: doc.text,
+          score: Math.round(result.score * 1000) / 1000,
+          bm25: Math.round(result.bm25 * 1000) / 1000,
+          semantic: result.semantic === null ? null : Math.round(result.semantic * 1000) / 1000,
+          tokens: estimateTokens(doc.text)
+        };
+      });
+  }
+}
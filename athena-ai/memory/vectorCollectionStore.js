@@ -0,0 +1,572 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { getEmbeddingProvider } from '../ai/embeddings/index.js';
+import { cosineSimilarity, encodeEmbedding, decodeEmbedding } from '../utils/hybridSearch.js';
+import { HnswIndex } from './hnswIndex.js';
+import { runMigrations } from '../database/migrator.js';
+
+// 재임베딩 시 한 번에 처리하는 청크 수
+const REEMBED_BATCH_SIZE = 64;
+
+// 이 문서 수 이상인 컬렉션부터 ANN(HNSW) 인덱스로 검색
+const ANN_MIN_DOCUMENTS = 2000;
+// HNSW 파라미터
+const ANN_M = 16;
+const ANN_EF_CONSTRUCTION = 100;
+const ANN_EF_SEARCH = 64;
+// 필터 통과 비율이 이보다 낮으면 그래프 대신 통과한 벡터만 전수 비교
+const ANN_EXACT_FILTER_RATIO = 0.05;
+// 삭제(tombstone) 비율이 이보다 높으면 그래프 재구성
+const ANN_COMPACT_RATIO = 0.3;
+// 변경 후 인덱스 파일 저장 지연 (ms)
+const ANN_SAVE_DELAY = 2000;
+
+// 같은 DB 파일을 여는 스토어 인스턴스끼리 메모리 인덱스 공유 (dbPath → 컬렉션 → 인덱스)
+const sharedAnnIndexes = new Map();
+
+/**
+ * 임베딩 관련 오류 생성
+ */
+function createEmbeddingError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 409;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * 메타데이터 필터 일치 여부
+ * 값이 배열이면 그중 하나와 같으면 일치, sourceId 키는 문서의 source_id와 비교한다.
+ * @param {{sourceId: string, metadata: Object}} doc
+ * @param {Object|null} filter - 예: { fileName: 'a.pdf', contextType: ['file', 'material'] }
+ */
+export function matchesMetadataFilter(doc, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([key, expected]) => {
+    const actual = key === 'sourceId' ? doc.sourceId : doc.metadata?.[key];
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+/**
+ * VectorCollectionStore - vector_collections / vector_documents 공용 접근 계층
+ * 컬렉션마다 임베딩 모델과 차원을 기록하고, 다른 모델/차원의 벡터가 섞이지 않게 막는다.
+ * 컬렉션의 모델을 바꿀 때는 reembedCollection()으로 모든 청크를 새 모델로 다시 임베딩한다.
+ *
+ * 큰 컬렉션은 HNSW 인덱스로 검색한다. 인덱스는 DB 파일 옆 `<db>.vector-index/` 디렉토리에 저장되고,
+ * 컬렉션의 index_revision(문서 변경마다 증가)과 맞지 않으면 DB에서 다시 만든다.
+ * 이 스토어를 통한 추가/삭제는 인덱스에 증분 반영된다.
+ */
+export class VectorCollectionStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - better-sqlite3 인스턴스
+   * @param {string} options.openaiApiKey
+   * @param {string|null} options.indexDir - ANN 인덱스 저장 디렉토리 (기본: DB 파일 옆, 메모리 DB면 저장 안 함)
+   */
+  constructor({ db, openaiApiKey = process.env.OPENAI_API_KEY, indexDir }) {
+    this.db = db;
+    this.openaiApiKey = openaiApiKey;
+
+    const persistent = db.name && db.name !== ':memory:';
+    this.indexDir = indexDir !== undefined
+      ? indexDir
+      : (persistent ? path.join(path.dirname(db.name), `${path.basename(db.name)}.vector-index`) : null);
+    if (persistent) {
+      if (!sharedAnnIndexes.has(db.name)) sharedAnnIndexes.set(db.name, new Map());
+      this.annIndexes = sharedAnnIndexes.get(db.name);
+    } else {
+      this.annIndexes = new Map();
+    }
+    this._saveTimers = new Map();
+
+    // vector_documents / vector_collections는 database/migrations/004_vector_store.js
+    runMigrations(this.db);
+  }
+
+  getCollection(name) {
+    return this.db.prepare('SELECT * FROM vector_collections WHERE name = ?').get(name) || null;
+  }
+
+  listCollections() {
+    return this.db.prepare('SELECT * FROM vector_collections ORDER BY updated_at DESC').all();
+  }
+
+  /**
+   * 컬렉션 생성 (이미 있으면 그대로 반환)
+   * @param {string} name
+   * @param {Object} options - { description, embeddingModel (null이면 임베딩 없이 키워드 검색 전용) }
+   */
+  ensureCollection(name, { description = '', embeddingModel = null } = {}) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO vector_collections (name, description, embedding_model)
+      VALUES (?, ?, ?)
+    `).run(name, description, embeddingModel);
+    return this.getCollection(name);
+  }
+
+  /**
+   * 컬렉션의 임베딩 provider (모델이 없으면 null)
+   */
+  getProvider(collection) {
+    if (!collection?.embedding_model) return null;
+    return getEmbeddingProvider(collection.embedding_model, { openaiApiKey: this.openaiApiKey });
+  }
+
+  /**
+   * 임베딩 차원이 컬렉션과 맞는지 확인 (첫 벡터가 들어올 때 차원을 기록)
+   */
+  _assertDimensions(collection, embeddings) {
+    const dimensions = embeddings.find(Boolean)?.length;
+    if (!dimensions) return collection;
+
+    if (embeddings.some(embedding => embedding && embedding.length !== dimensions)) {
+      throw createEmbeddingError('한 번에 추가하는 임베딩의 차원이 서로 다릅니다.', 'EMBEDDING_DIMENSION_MISMATCH');
+    }
+    if (collection.embedding_dimensions && collection.embedding_dimensions !== dimensions) {
+      throw createEmbeddingError(
+        `컬렉션 ${collection.name}은(는) ${collection.embedding_dimensions}차원인데 ${dimensions}차원 임베딩을 추가하려 했습니다. 모델을 바꾸려면 reembed_vector_collection을 사용하세요.`,
+        'EMBEDDING_DIMENSION_MISMATCH',
+        { expected: collection.embedding_dimensions, actual: dimensions }
+      );
+    }
+    if (!collection.embedding_dimensions) {
+      this.db.prepare('UPDATE vector_collections SET embedding_dimensions = ? WHERE name = ?').run(dimensions, collection.name);
+      return { ...collection, embedding_dimensions: dimensions };
+    }
+    return collection;
+  }
+
+  /**
+   * 텍스트 청크를 컬렉션 모델로 임베딩
+   * @returns {Promise<Array<Array<number>>>} 모델이 없으면 빈 배열
+   */
+  async embedPassages(collection, texts) {
+    const provider = this.getProvider(collection);
+    if (!provider || texts.length === 0) return [];
+    return provider.embed(texts, { inputType: 'passage' });
+  }
+
+  /**
+   * 검색어를 컬렉션 모델로 임베딩
+   * @returns {Promise<Array<number>|null>}
+   */
+  async embedQuery(collection, text) {
+    const provider = this.getProvider(collection);
+    if (!provider) return null;
+    return provider.embedOne(text, { inputType: 'query' });
+  }
+
+  /**
+   * 청크 저장 (같은 source_id의 기존 청크는 교체)
+   * @param {string} collectionName
+   * @param {string} sourceId
+   * @param {Array<{id?: string, text: string, metadata?: Object, chunkIndex?: number}>} chunks
+   * @param {Array<Array<number>>} embeddings - chunks와 같은 순서 (없으면 키워드 검색 전용으로 저장)
+   */
+  replaceSource(collectionName, sourceId, chunks, embeddings = []) {
+    let collection = this.getCollection(collectionName);
+    if (!collection) {
+      throw new Error(`컬렉션을 찾을 수 없습니다: ${collectionName}`);
+    }
+    collection = this._assertDimensions(collection, embeddings);
+
+    const insert = this.db.prepare(`
+      INSERT INTO vector_documents (id, collection, content, metadata, embedding, chunk_index, source_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const documents = chunks.map((chunk, i) => ({
+      id: chunk.id || `${sourceId}_chunk_${i}`,
+      sourceId,
+      metadata: chunk.metadata || {},
+      embedding: embeddings[i] || null
+    }));
+
+    const { removedIds, revision } = this.db.transaction(() => {
+      const removedIds = this._sourceDocumentIds(collectionName, sourceId);
+      this.db.prepare('DELETE FROM vector_documents WHERE collection = ? AND source_id = ?').run(collectionName, sourceId);
+      chunks.forEach((chunk, i) => {
+        insert.run(
+          documents[i].id,
+          collectionName,
+          chunk.text,
+          JSON.stringify(documents[i].metadata),
+          documents[i].embedding ? encodeEmbedding(documents[i].embedding) : null,
+          chunk.chunkIndex ?? i,
+          sourceId
+        );
+      });
+      return { removedIds, revision: this._updateCount(collectionName) };
+    })();
+
+    this._applyToAnnIndex(collectionName, revision, (entry) => {
+      for (const id of removedIds) this._removeFromAnnEntry(entry, id);
+      for (const doc of documents) {
+        if (doc.embedding) this._addToAnnEntry(entry, doc);
+      }
+    });
+  }
+
+  deleteSource(collectionName, sourceId) {
+    const { removedIds, changes, revision } = this.db.transaction(() => {
+      const removedIds = this._sourceDocumentIds(collectionName, sourceId);
+      const result = this.db.prepare('DELETE FROM vector_documents WHERE collection = ? AND source_id = ?').run(collectionName, sourceId);
+      return { removedIds, changes: result.changes, revision: this._updateCount(collectionName) };
+    })();
+
+    this._applyToAnnIndex(collectionName, revision, (entry) => {
+      for (const id of removedIds) this._removeFromAnnEntry(entry, id);
+    });
+    return changes;
+  }
+
+  deleteCollection(name) {
+    const documents = this.db.prepare('DELETE FROM vector_documents WHERE collection = ?').run(name);
+    const collection = this.db.prepare('DELETE FROM vector_collections WHERE name = ?').run(name);
+    this._dropAnnIndex(name);
+    return { deletedDocuments: documents.changes, deletedCollection: collection.changes > 0 };
+  }
+
+  _sourceDocumentIds(collectionName, sourceId) {
+    return this.db.prepare('SELECT id FROM vector_documents WHERE collection = ? AND source_id = ?')
+      .all(collectionName, sourceId)
+      .map(row => row.id);
+  }
+
+  /**
+   * 문서 수 갱신 및 인덱스 리비전 증가
+   * @returns {number} 새 index_revision
+   */
+  _updateCount(collectionName) {
+    this.db.prepare(`
+      UPDATE vector_collections
+      SET document_count = (SELECT COUNT(*) FROM vector_documents WHERE collection = ?),
+          index_revision = COALESCE(index_revision, 0) + 1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE name = ?
+    `).run(collectionName, collectionName);
+    return this.getCollection(collectionName)?.index_revision ?? 0;
+  }
+
+  /**
+   * 컬렉션 문서 (임베딩 디코딩 포함)
+   */
+  getDocuments(collectionName) {
+    return this.db.prepare(`
+      SELECT id, content, metadata, embedding, source_id
+      FROM vector_documents WHERE collection = ?
+    `).all(collectionName).map(row => ({
+      id: row.id,
+      sourceId: row.source_id,
+      text: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      embedding: decodeEmbedding(row.embedding)
+    }));
+  }
+
+  /**
+   * 코사인 유사도 검색
+   * 문서가 ANN_MIN_DOCUMENTS개 이상이면 HNSW 인덱스, 그보다 작거나 exact면 전체 스캔을 사용한다.
+   * @param {string} collectionName
+   * @param {string} query
+   * @param {Object} options - { topK, threshold, filter: 메타데이터 필터 (matchesMetadataFilter), exact: 전체 스캔 강제 }
+   * @returns {Promise<{results: Array<{id: string, content: string, metadata: Object, similarity: number}>, totalSearched: number, method: 'hnsw'|'exact'}>}
+   */
+  async search(collectionName, query, { topK = 5, threshold = 0, filter = null, exact = false } = {}) {
+    const collection = this.getCollection(collectionName);
+    if (!collection) {
+      throw new Error(`컬렉션을 찾을 수 없습니다: ${collectionName}`);
+    }
+    const queryEmbedding = await this.embedQuery(collection, query);
+    if (!queryEmbedding) {
+      throw new Error(`컬렉션 ${collectionName}에 임베딩 모델이 없습니다.`);
+    }
+
+    if (!exact && collection.document_count >= ANN_MIN_DOCUMENTS && queryEmbedding.length === collection.embedding_dimensions) {
+      return this._searchAnn(collection, queryEmbedding, { topK, threshold, filter });
+    }
+
+    const documents = this.getDocuments(collectionName).filter(doc => matchesMetadataFilter(doc, filter));
+    const results = documents
+      .filter(doc => doc.embedding && doc.embedding.length === queryEmbedding.length)
+      .map(doc => ({
+        id: doc.id,
+        content: doc.text,
+        metadata: doc.metadata,
+        similarity: cosineSimilarity(queryEmbedding, doc.embedding)
+      }))
+      .filter(result => result.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+
+    return { results, totalSearched: documents.length, method: 'exact' };
+  }
+
+  async _searchAnn(collection, queryEmbedding, { topK, threshold, filter }) {
+    const entry = this._getAnnIndex(collection);
+
+    let hits;
+    let totalSearched = entry.index.size;
+    if (filter) {
+      const allowed = new Set();
+      for (const [id, doc] of entry.documents) {
+        if (matchesMetadataFilter(doc, filter)) allowed.add(id);
+      }
+      totalSearched = allowed.size;
+      const accept = (id) => allowed.has(id);
+      const ratio = entry.index.size > 0 ? allowed.size / entry.index.size : 0;
+
+      if (allowed.size === 0) {
+        hits = [];
+      } else if (ratio < ANN_EXACT_FILTER_RATIO) {
+        hits = entry.index.searchExact(queryEmbedding, topK, { filter: accept });
+      } else {
+        // 결과 후보에는 필터를 통과한 노드만 담기므로 ef를 채울 때까지 탐색이 자연히 넓어진다
+        hits = entry.index.search(queryEmbedding, topK, { ef: Math.max(ANN_EF_SEARCH, topK), filter: accept });
+      }
+    } else {
+      hits = entry.index.search(queryEmbedding, topK, { ef: Math.max(ANN_EF_SEARCH, topK) });
+    }
+
+    hits = hits.filter(hit => hit.similarity >= threshold);
+    if (hits.length === 0) {
+      return { results: [], totalSearched, method: 'hnsw' };
+    }
+
+    const rows = this.db.prepare(`
+      SELECT id, content, metadata FROM vector_documents
+      WHERE id IN (${hits.map(() => '?').join(', ')})
+    `).all(...hits.map(hit => hit.id));
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    const results = hits
+      .filter(hit => rowsById.has(hit.id))
+      .map(hit => {
+        const row = rowsById.get(hit.id);
+        return {
+          id: hit.id,
+          content: row.content,
+          metadata: row.metadata ? JSON.parse(row.metadata) : {},
+          similarity: hit.similarity
+        };
+      });
+
+    return { results, totalSearched, method: 'hnsw' };
+  }
+
+  /**
+   * 컬렉션 재임베딩 (임베딩 모델 변경 마이그레이션)
+   * 새 모델로 모든 청크를 먼저 임베딩한 뒤 한 트랜잭션으로 교체하므로, 도중에 실패해도 기존 벡터는 유지된다.
+   * @param {string} collectionName
+   * @param {string|null} embeddingModel - 새 모델 (null이면 임베딩을 지우고 키워드 검색 전용으로)
+   * @returns {Promise<{collection: string, previousModel: string|null, embeddingModel: string|null, dimensions: number|null, reembedded: number}>}
+   */
+  async reembedCollection(collectionName, embeddingModel) {
+    const collection = this.getCollection(collectionName);
+    if (!collection) {
+      throw new Error(`컬렉션을 찾을 수 없습니다: ${collectionName}`);
+    }
+
+    const rows = this.db.prepare('SELECT id, content FROM vector_documents WHERE collection = ? ORDER BY id').all(collectionName);
+    const target = { ...collection, embedding_model: embeddingModel };
+    const embeddings = [];
+    for (let i = 0; i < rows.length; i += REEMBED_BATCH_SIZE) {
+      const batch = rows.slice(i, i + REEMBED_BATCH_SIZE);
+      embeddings.push(...await this.embedPassages(target, batch.map(row => row.content)));
+    }
+    const dimensions = embeddings[0]?.length || null;
+
+    const update = this.db.prepare('UPDATE vector_documents SET embedding = ? WHERE id = ?');
+    this.db.transaction(() => {
+      rows.forEach((row, i) => {
+        update.run(embeddings[i] ? encodeEmbedding(embeddings[i]) : null, row.id);
+      });
+      this.db.prepare(`
+        UPDATE vector_collections
+        SET embedding_model = ?, embedding_dimensions = ?,
+            index_revision = COALESCE(index_revision, 0) + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `).run(embeddingModel, dimensions, collectionName);
+    })();
+    // 벡터가 모두 바뀌었으므로 ANN 인덱스는 다음 검색 때 새로 만든다
+    this._dropAnnIndex(collectionName);
+
+    logger.info('벡터 컬렉션 재임베딩', {
+      collection: collectionName, from: collection.embedding_model, to: embeddingModel, chunks: rows.length
+    });
+
+    return {
+      collection: collectionName,
+      previousModel: collection.embedding_model,
+      embeddingModel,
+      dimensions,
+      reembedded: rows.length
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // ANN(HNSW) 인덱스 관리
+  // ---------------------------------------------------------------------------
+
+  _annIndexPath(collectionName) {
+    if (!this.indexDir) return null;
+    return path.join(this.indexDir, `${encodeURIComponent(collectionName)}.hnsw.json`);
+  }
+
+  /**
+   * 컬렉션 인덱스 조회 (없거나 리비전이 다르면 파일 또는 DB에서 구성)
+   * @returns {{index: HnswIndex, documents: Map<string, {sourceId: string, metadata: Object}>, revision: number, model: string}}
+   */
+  _getAnnIndex(collection) {
+    const revision = collection.index_revision ?? 0;
+    const cached = this.annIndexes.get(collection.name);
+    if (cached && cached.revision === revision && cached.model === collection.embedding_model) {
+      return cached;
+    }
+
+    const startTime = Date.now();
+    const rows = this.db.prepare(`
+      SELECT id, metadata, embedding, source_id
+      FROM vector_documents WHERE collection = ? AND embedding IS NOT NULL
+    `).all(collection.name);
+
+    const vectors = new Map();
+    const documents = new Map();
+    for (const row of rows) {
+      const embedding = decodeEmbedding(row.embedding);
+      if (embedding.length !== collection.embedding_dimensions) continue;
+      vectors.set(row.id, embedding);
+      documents.set(row.id, { sourceId: row.source_id, metadata: row.metadata ? JSON.parse(row.metadata) : {} });
+    }
+
+    const saved = this._readAnnFile(collection.name);
+    let index = null;
+    if (saved && saved.revision === revision && saved.model === collection.embedding_model) {
+      index = HnswIndex.fromJSON(saved.graph, vectors);
+    }
+
+    const loaded = Boolean(index);
+    if (!index) {
+      index = new HnswIndex({
+        dimensions: collection.embedding_dimensions,
+        M: ANN_M,
+        efConstruction: ANN_EF_CONSTRUCTION,
+        efSearch: ANN_EF_SEARCH
+      });
+      for (const [id, vector] of vectors) {
+        index.add(id, vector);
+      }
+    }
+
+    const entry = { index, documents, revision, model: collection.embedding_model };
+    this.annIndexes.set(collection.name, entry);
+    if (!loaded) this._saveAnnIndex(collection.name);
+
+    logger.info('ANN 인덱스 준비', {
+      collection: collection.name, vectors: index.size, source: loaded ? 'file' : 'rebuild', durationMs: Date.now() - startTime
+    });
+    return entry;
+  }
+
+  /**
+   * 이 스토어에서 일어난 변경을 메모리 인덱스에 증분 반영
+   * 인덱스가 바로 이전 리비전이 아니면(다른 연결에서 변경) 버리고 다음 검색 때 다시 만든다.
+   */
+  _applyToAnnIndex(collectionName, revision, apply) {
+    const entry = this.annIndexes.get(collectionName);
+    if (!entry) return;
+    if (entry.revision !== revision - 1) {
+      this.annIndexes.delete(collectionName);
+      return;
+    }
+
+    apply(entry);
+    if (entry.index.deletedRatio > ANN_COMPACT_RATIO) {
+      entry.index.compact();
+    }
+    entry.revision = revision;
+    this._scheduleAnnSave(collectionName);
+  }
+
+  _addToAnnEntry(entry, doc) {
+    if (doc.embedding.length !== entry.index.dimensions) return;
+    entry.index.add(doc.id, doc.embedding);
+    entry.documents.set(doc.id, { sourceId: doc.sourceId, metadata: doc.metadata });
+  }
+
+  _removeFromAnnEntry(entry, id) {
+    entry.index.remove(id);
+    entry.documents.delete(id);
+  }
+
+  _dropAnnIndex(collectionName) {
+    this.annIndexes.delete(collectionName);
+    clearTimeout(this._saveTimers.get(collectionName));
+    this._saveTimers.delete(collectionName);
+
+    const filePath = this._annIndexPath(collectionName);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  _readAnnFile(collectionName) {
+    const filePath = this._annIndexPath(collectionName);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.warn('ANN 인덱스 파일 손상 - 재구성', { collection: collectionName, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 잦은 변경 시 파일 쓰기를 모아서 한 번에 저장
+   */
+  _scheduleAnnSave(collectionName) {
+    if (!this.indexDir || this._saveTimers.has(collectionName)) return;
+    const timer = setTimeout(() => {
+      this._saveTimers.delete(collectionName);
+      this._saveAnnIndex(collectionName);
+    }, ANN_SAVE_DELAY);
+    timer.unref?.();
+    this._saveTimers.set(collectionName, timer);
+  }
+
+  /**
+   * 인덱스 파일 저장 (임시 파일에 쓴 뒤 교체)
+   */
+  _saveAnnIndex(collectionName) {
+    const entry = this.annIndexes.get(collectionName);
+    const filePath = this._annIndexPath(collectionName);
+    if (!entry || !filePath) return;
+
+    try {
+      fs.mkdirSync(this.indexDir, { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        collection: collectionName,
+        revision: entry.revision,
+        model: entry.model,
+        graph: entry.index.toJSON()
+      }));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      logger.warn('ANN 인덱스 저장 실패', { collection: collectionName, error: error.message });
+    }
+  }
+
+  /**
+   * 저장 대기 중인 인덱스를 즉시 기록 (종료 전 호출)
+   */
+  flushAnnIndexes() {
+    for (const [collectionName, timer] of this._saveTimers) {
+      clearTimeout(timer);
+      this._saveAnnIndex(collectionName);
+    }
+    this._saveTimers.clear();
+  }
+}
@@ -4,41 +4,20 @@
  */
 
 import crypto from 'crypto';
-import Database from 'better-sqlite3';
 import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
 
 export class PairingManager {
   constructor(options = {}) {
-    const { dbPath = './data/athena.db' } = options;
+    const { db, dbPath } = options;
 
-    this.db = new Database(dbPath);
+    // 공유 연결 - 종료 시 database/connection.js의 closeDatabases()가 닫는다
+    this.db = db || openDatabase(dbPath);
     this.codeTTL = options.codeTTL || 5 * 60 * 1000; // 5분
 
     // 활성 페어링 코드 { code -> { expiresAt } }
     this.activeCodes = new Map();
 
-    this._initTable();
-  }
-
-  /**
-   * paired_devices 테이블 초기화
-   */
-  _initTable() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS paired_devices (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        platform TEXT,
-        token TEXT UNIQUE NOT NULL,
-        capabilities TEXT,
-        last_seen DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_paired_devices_token ON paired_devices(token)
-    `);
   }
 
   /**
@@ -198,13 +177,4 @@ export class PairingManager {
       }
     }
   }
-
-  /**
-   * 종료
-   */
-  close() {
-    if (this.db) {
-      this.db.close();
-    }
-  }
 }
@@ -0,0 +1,79 @@
+/**
+ * API 토큰 CLI - 브라우저 로그인 없이 /api를 부르는 클라이언트용 토큰 관리 (security/apiTokens.js)
+ *
+ * 사용법:
+ *   node athena-ai/scripts/apiToken.js create --user=ID [--name=이름] [--days=N]   토큰 발급 (원문은 이때만 출력)
+ *   node athena-ai/scripts/apiToken.js list --user=ID                             사용자의 토큰 목록
+ *   node athena-ai/scripts/apiToken.js revoke --id=토큰ID                          토큰 폐기
+ *
+ * 요청에는 Authorization: Bearer <토큰> 헤더로 보낸다. (Next.js 앱은 토큰 대신 로그인한 사용자의 서명 값을 보낸다 - security/signedPrincipal.js)
+ * DB 경로: --db=경로 > ATHENA_DB_PATH > DB_PATH > ./athena-data/athena.db
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { ApiTokenManager } from '../security/apiTokens.js';
+import { openDatabase, resolveDbPath } from '../database/connection.js';
+
+dotenv.config();
+
+const [command = 'list', ...rest] = process.argv.slice(2);
+const options = Object.fromEntries(
+  rest
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value = 'true'] = arg.slice(2).split('=');
+      return [key, value];
+    })
+);
+
+const dbPath = resolveDbPath(options.db);
+
+if (command !== 'create' && command !== 'list' && command !== 'revoke') {
+  console.error(`알 수 없는 명령: ${command} (create | list | revoke)`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbPath)) {
+  console.error(`DB 파일이 없습니다: ${dbPath}`);
+  process.exit(1);
+}
+
+// 공유 연결 계층으로 열어 019_api_tokens 마이그레이션이 적용되게 한다
+const db = openDatabase(dbPath);
+
+try {
+  const apiTokens = new ApiTokenManager({ db });
+
+  if (command === 'create') {
+    if (!options.user) throw new Error('--user=사용자ID가 필요합니다');
+    const created = apiTokens.createToken(options.user, {
+      name: options.name || null,
+      expiresInDays: options.days ? Number(options.days) : null
+    });
+    console.log(`토큰 ID: ${created.id}`);
+    console.log(`사용자: ${created.userId}${created.name ? ` (${created.name})` : ''}`);
+    console.log(`만료: ${created.expiresAt || '없음'}`);
+    console.log(`\n${created.token}\n`);
+    console.log('토큰 원문은 다시 볼 수 없습니다. 안전한 곳에 저장하세요.');
+  } else if (command === 'list') {
+    if (!options.user) throw new Error('--user=사용자ID가 필요합니다');
+    const tokens = apiTokens.listTokens(options.user);
+    if (tokens.length === 0) {
+      console.log('토큰이 없습니다.');
+    }
+    for (const token of tokens) {
+      const state = token.revokedAt ? `폐기됨 ${token.revokedAt}` : (token.expiresAt ? `만료 ${token.expiresAt}` : '사용 중');
+      console.log(`  ${token.id}  ${token.prefix}…  ${token.name || '-'}  (${state}, 마지막 사용: ${token.lastUsedAt || '-'})`);
+    }
+  } else {
+    if (!options.id) throw new Error('--id=토큰ID가 필요합니다');
+    apiTokens.revokeToken(options.id);
+    console.log(`폐기됨: ${options.id}`);
+  }
+} catch (error) {
+  console.error(`실패: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,146 @@
+/**
+ * HNSW 인덱스 vs 전체 스캔 벤치마크 (recall@k, 쿼리 지연)
+ * DB 없이 합성 임베딩(군집 분포)으로 측정한다.
+ *
+ * 사용법: node athena-ai/scripts/benchmarkVectorIndex.js --count=20000 --dims=384 --queries=200 --k=10
+ */
+
+import { HnswIndex } from '../memory/hnswIndex.js';
+import { cosineSimilarity } from '../utils/hybridSearch.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .map(arg => arg.replace(/^--/, '').split('='))
+    .map(([key, value]) => [key, Number(value)])
+);
+
+const COUNT = args.count || 10000;
+const DIMS = args.dims || 256;
+const QUERIES = args.queries || 100;
+const K = args.k || 10;
+const CLUSTERS = args.clusters || 50;
+
+// 재현 가능한 난수 (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(42);
+
+function gaussian() {
+  const u = random() || Number.MIN_VALUE;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// 실제 문서 임베딩처럼 주제(군집) 중심 주변에 퍼진 벡터 생성
+const centers = Array.from({ length: CLUSTERS }, () => Float32Array.from({ length: DIMS }, gaussian));
+function sampleVector() {
+  const center = centers[Math.floor(random() * CLUSTERS)];
+  return Float32Array.from(center, value => value + gaussian() * 2.5);
+}
+
+const documents = Array.from({ length: COUNT }, (_, i) => ({
+  id: `doc_${i}`,
+  vector: sampleVector(),
+  // 필터 테스트용 메타데이터: category는 약 30%, project는 약 2%
+  category: random() < 0.3 ? 'report' : 'note',
+  project: random() < 0.02 ? 'alpha' : 'other'
+}));
+const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+const queries = Array.from({ length: QUERIES }, sampleVector);
+
+function bruteForce(query, k, filter = null) {
+  const results = [];
+  for (const doc of documents) {
+    if (doc.deleted || (filter && !filter(doc.id))) continue;
+    results.push({ id: doc.id, similarity: cosineSimilarity(query, doc.vector) });
+  }
+  return results.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function measure(label, search, filter = null) {
+  const latencies = [];
+  let hits = 0;
+  let expected = 0;
+  for (const query of queries) {
+    const truth = new Set(bruteForce(query, K, filter).map(result => result.id));
+    const start = process.hrtime.bigint();
+    const results = search(query);
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+    hits += results.filter(result => truth.has(result.id)).length;
+    expected += truth.size;
+  }
+  const row = {
+    method: label,
+    [`recall@${K}`]: expected ? (hits / expected).toFixed(3) : '-',
+    'p50 ms': percentile(latencies, 0.5).toFixed(2),
+    'p95 ms': percentile(latencies, 0.95).toFixed(2)
+  };
+  console.log(`  ${label}: recall ${row[`recall@${K}`]}, p50 ${row['p50 ms']}ms, p95 ${row['p95 ms']}ms`);
+  return row;
+}
+
+console.log(`HNSW 벤치마크: ${COUNT}개 x ${DIMS}차원, 쿼리 ${QUERIES}개, k=${K}`);
+
+let start = Date.now();
+const index = new HnswIndex({ dimensions: DIMS, M: 16, efConstruction: 100, efSearch: 64, random: createRandom(7) });
+for (const doc of documents) index.add(doc.id, doc.vector);
+console.log(`인덱스 구축: ${((Date.now() - start) / 1000).toFixed(1)}s`);
+
+start = Date.now();
+const serialized = JSON.stringify(index.toJSON());
+const restored = HnswIndex.fromJSON(JSON.parse(serialized), new Map(documents.map(doc => [doc.id, doc.vector])));
+console.log(`직렬화/복원: ${Date.now() - start}ms (${(serialized.length / 1024 / 1024).toFixed(1)}MB)`);
+
+const rows = [];
+console.log('\n[필터 없음]');
+rows.push(measure('brute-force', query => bruteForce(query, K)));
+for (const ef of [32, 64, 128, 256]) {
+  rows.push(measure(`hnsw ef=${ef}`, query => index.search(query, K, { ef })));
+}
+rows.push(measure('hnsw 복원본 ef=64', query => restored.search(query, K, { ef: 64 })));
+
+console.log('\n[메타데이터 필터 category=report (~30%)]');
+const reportFilter = id => documentsById.get(id).category === 'report';
+rows.push(measure('brute-force + filter', query => bruteForce(query, K, reportFilter), reportFilter));
+rows.push(measure('hnsw + filter ef=64', query => index.search(query, K, { ef: 64, filter: reportFilter }), reportFilter));
+
+console.log('\n[메타데이터 필터 project=alpha (~2%) - 전수 비교로 전환되는 구간]');
+const alphaFilter = id => documentsById.get(id).project === 'alpha';
+rows.push(measure('brute-force + filter', query => bruteForce(query, K, alphaFilter), alphaFilter));
+rows.push(measure('hnsw searchExact + filter', query => index.searchExact(query, K, { filter: alphaFilter }), alphaFilter));
+
+console.log('\n[10% 삭제 후 증분 삽입 10%]');
+start = Date.now();
+for (const doc of documents.slice(0, Math.floor(COUNT * 0.1))) {
+  index.remove(doc.id);
+  doc.deleted = true;
+}
+for (let i = 0; i < Math.floor(COUNT * 0.1); i++) {
+  const doc = { id: `new_${i}`, vector: sampleVector(), category: 'note', project: 'other' };
+  documents.push(doc);
+  documentsById.set(doc.id, doc);
+  index.add(doc.id, doc.vector);
+}
+console.log(`  증분 갱신: ${((Date.now() - start) / 1000).toFixed(1)}s (삭제 비율 ${(index.deletedRatio * 100).toFixed(1)}%)`);
+rows.push(measure('brute-force', query => bruteForce(query, K)));
+rows.push(measure('hnsw ef=64', query => index.search(query, K, { ef: 64 })));
+start = Date.now();
+index.compact();
+console.log(`  compact: ${((Date.now() - start) / 1000).toFixed(1)}s`);
+rows.push(measure('hnsw compact 후 ef=64', query => index.search(query, K, { ef: 64 })));
+
+console.log();
+console.table(rows);
@@ -1,10 +1,11 @@
 import { initializeDatabase } from '../database/schema.js';
+import { resolveDbPath } from '../database/connection.js';
 import { MemoryManager } from '../memory/memoryManager.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const dbPath = process.env.DB_PATH || './data/athena.db';
+const dbPath = resolveDbPath();
 
 console.log('Initializing Athena database...');
 
@@ -0,0 +1,100 @@
+/**
+ * DB 마이그레이션 CLI
+ *
+ * 사용법:
+ *   node athena-ai/scripts/migrate.js status             적용/대기 중인 마이그레이션 목록
+ *   node athena-ai/scripts/migrate.js up [--to=N]        최신(또는 N)까지 적용
+ *   node athena-ai/scripts/migrate.js down [--steps=N]   최근 N개 되돌리기 (기본 1)
+ *   node athena-ai/scripts/migrate.js down --to=N        버전 N만 남을 때까지 되돌리기
+ *
+ * DB 경로: --db=경로 > ATHENA_DB_PATH > DB_PATH > ./athena-data/athena.db
+ */
+
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { Migrator } from '../database/migrator.js';
+import { resolveDbPath } from '../database/connection.js';
+
+dotenv.config();
+
+const [command = 'status', ...rest] = process.argv.slice(2);
+const options = Object.fromEntries(
+  rest
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value = 'true'] = arg.slice(2).split('=');
+      return [key, value];
+    })
+);
+
+const dbPath = resolveDbPath(options.db);
+
+function parseVersion(value, label) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    console.error(`${label}는 0 이상의 정수여야 합니다: ${value}`);
+    process.exit(1);
+  }
+  return number;
+}
+
+function printStatus(migrator) {
+  const { current, latest, migrations } = migrator.status();
+  console.log(`DB: ${dbPath}`);
+  console.log(`현재 버전: ${current} / 최신 버전: ${latest}\n`);
+  for (const migration of migrations) {
+    const mark = { applied: '✓', pending: ' ', unknown: '?' }[migration.status];
+    const version = String(migration.version).padStart(3, '0');
+    const appliedAt = migration.appliedAt ? `  (${migration.appliedAt})` : '';
+    console.log(`  [${mark}] ${version} ${migration.name}${appliedAt}`);
+  }
+  if (migrations.some(migration => migration.status === 'unknown')) {
+    console.log('\n? = DB에는 적용되어 있지만 현재 코드에 없는 마이그레이션');
+  }
+}
+
+if (command !== 'status' && command !== 'up' && command !== 'down') {
+  console.error(`알 수 없는 명령: ${command} (status | up | down)`);
+  process.exit(1);
+}
+
+if (command !== 'up' && !fs.existsSync(dbPath)) {
+  console.error(`DB 파일이 없습니다: ${dbPath}`);
+  process.exit(1);
+}
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+const db = new Database(dbPath);
+db.pragma('journal_mode = WAL');
+
+try {
+  const migrator = new Migrator({ db });
+
+  if (command === 'status') {
+    printStatus(migrator);
+  } else if (command === 'up') {
+    const applied = migrator.migrate({ to: parseVersion(options.to, '--to') });
+    console.log(applied.length
+      ? `적용됨: ${applied.map(m => `${m.version} ${m.name}`).join(', ')}`
+      : '적용할 마이그레이션이 없습니다.');
+    console.log(`현재 버전: ${migrator.currentVersion()}`);
+  } else {
+    const to = parseVersion(options.to, '--to');
+    const rolledBack = migrator.rollback({
+      steps: parseVersion(options.steps, '--steps') ?? 1,
+      to: to ?? null
+    });
+    console.log(rolledBack.length
+      ? `되돌림: ${rolledBack.map(m => `${m.version} ${m.name}`).join(', ')}`
+      : '되돌릴 마이그레이션이 없습니다.');
+    console.log(`현재 버전: ${migrator.currentVersion()}`);
+  }
+} catch (error) {
+  console.error(`마이그레이션 실패: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
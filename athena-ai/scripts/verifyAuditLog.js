@@ -0,0 +1,76 @@
+/**
+ * 감사 로그 검증 CLI - audit_log 해시 체인에서 빠진 항목(gap)·끊긴 연결·수정된 항목을 찾는다
+ *
+ * 사용법:
+ *   node athena-ai/scripts/verifyAuditLog.js                     체인 전체 검증
+ *   node athena-ai/scripts/verifyAuditLog.js --head=<hash>       이전에 기록해 둔 head가 체인에 남아 있는지도 확인
+ *   node athena-ai/scripts/verifyAuditLog.js --json              결과를 JSON으로 출력
+ *
+ * 끝부분 삭제는 체인만으로 알 수 없으므로, 출력된 head hash를 DB 밖(다른 서버, 메모 등)에 적어 두고
+ * 다음 검증 때 --head로 넘긴다. 문제가 있으면 종료 코드 1.
+ *
+ * DB 경로: --db=경로 > ATHENA_DB_PATH > DB_PATH > ./athena-data/athena.db
+ */
+
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { AuditLog } from '../security/auditLog.js';
+import { resolveDbPath } from '../database/connection.js';
+
+dotenv.config();
+
+const options = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value = 'true'] = arg.slice(2).split('=');
+      return [key, value];
+    })
+);
+
+const dbPath = resolveDbPath(options.db);
+
+if (!fs.existsSync(dbPath)) {
+  console.error(`DB 파일이 없습니다: ${dbPath}`);
+  process.exit(1);
+}
+
+// 검증은 읽기만 한다 - 마이그레이션도 적용하지 않는다
+const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+try {
+  const hasTable = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'audit_log'`).get();
+  if (!hasTable) {
+    console.error('audit_log 테이블이 없습니다. 먼저 마이그레이션을 적용하세요 (npm run db:migrate).');
+    process.exitCode = 1;
+  } else {
+    const result = new AuditLog({ db }).verify({ expectedHead: options.head || null });
+
+    if (options.json === 'true') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`DB: ${dbPath}`);
+      console.log(`검사한 항목: ${result.checked}`);
+      if (result.head) {
+        console.log(`head: #${result.head.id} ${result.head.hash} (${result.head.createdAt})`);
+      }
+      if (result.ok) {
+        console.log('\n✓ 체인이 온전합니다.');
+      } else {
+        console.log(`\n✗ 문제 ${result.problems.length}건`);
+        for (const problem of result.problems) {
+          const id = problem.id !== null ? `#${problem.id} ` : '';
+          console.log(`  ${id}[${problem.type}] ${problem.message}`);
+        }
+      }
+    }
+
+    if (!result.ok) process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`검증 실패: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
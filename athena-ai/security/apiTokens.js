@@ -0,0 +1,132 @@
+/**
+ * ApiTokenManager - /api 호출용 사용자별 API 토큰
+ *
+ * 토큰은 `ath_` + 무작위 32바이트(base64url)이고, 만들 때 원문을 한 번만 돌려준다. DB(api_tokens)에는 sha256 hash만
+ * 남기므로 잃어버리면 새로 만들어야 한다. server/auth.js의 authenticate가 Authorization: Bearer 헤더의 토큰을
+ * 이 저장소로 확인해 토큰 주인을 요청의 사용자로 삼는다.
+ */
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { openDatabase } from '../database/connection.js';
+
+const TOKEN_PREFIX = 'ath_';
+const MAX_NAME_LENGTH = 100;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Date → SQLite CURRENT_TIMESTAMP와 같은 모양 (UTC 'YYYY-MM-DD HH:MM:SS')
+ */
+function toSqliteDateTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+export class ApiTokenManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   */
+  constructor({ db, dbPath } = {}) {
+    // api_tokens는 database/migrations/019_api_tokens.js
+    this.db = db || openDatabase(dbPath);
+  }
+
+  static hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * 토큰 발급
+   * @param {string} userId - 토큰 주인
+   * @param {Object} options - { name: 구분용 이름, expiresInDays: 유효 기간 (생략하면 만료 없음) }
+   * @returns {{token: string, id: string, userId: string, name: string|null, prefix: string, expiresAt: string|null}}
+   *   token은 이때만 볼 수 있다
+   */
+  createToken(userId, { name = null, expiresInDays = null } = {}) {
+    if (!userId) throw badRequest('userId가 필요합니다');
+    if (name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      throw badRequest(`name은 ${MAX_NAME_LENGTH}자 이하 문자열이어야 합니다`);
+    }
+    let expiresAt = null;
+    if (expiresInDays !== null && expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) throw badRequest('expiresInDays는 0보다 큰 수여야 합니다');
+      expiresAt = toSqliteDateTime(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+    }
+
+    const user = this.db.prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) throw notFound(`사용자를 찾을 수 없습니다: ${userId}`);
+
+    const token = `${TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const id = randomUUID();
+    const prefix = token.substring(0, TOKEN_PREFIX.length + 4);
+    this.db.prepare(`
+      INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, userId, name, ApiTokenManager.hashToken(token), prefix, expiresAt);
+
+    return { token, id, userId, name, prefix, expiresAt };
+  }
+
+  /**
+   * 토큰 확인 - 유효하면 토큰 정보(원문 제외), 없거나 폐기·만료되었으면 null
+   * @param {string} token
+   * @returns {{id: string, userId: string, name: string|null}|null}
+   */
+  verifyToken(token) {
+    if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+    const row = this.db.prepare(`
+      SELECT * FROM api_tokens
+      WHERE token_hash = ? AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `).get(ApiTokenManager.hashToken(token));
+    if (!row) return null;
+
+    this.db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+    return { id: row.id, userId: row.user_id, name: row.name };
+  }
+
+  /**
+   * 사용자의 토큰 목록 (hash·원문 제외, 최근 순)
+   */
+  listTokens(userId) {
+    return this.db.prepare(`
+      SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC
+    `).all(userId).map(row => this._fromRow(row));
+  }
+
+  /**
+   * 토큰 폐기 (userId를 주면 그 사용자의 토큰만)
+   */
+  revokeToken(tokenId, userId = null) {
+    const row = this.db.prepare('SELECT * FROM api_tokens WHERE id = ?').get(tokenId);
+    if (!row || (userId !== null && row.user_id !== userId)) {
+      throw notFound('토큰을 찾을 수 없습니다');
+    }
+    this.db.prepare('UPDATE api_tokens SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ?').run(tokenId);
+    return { id: tokenId, revoked: true };
+  }
+
+  _fromRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      prefix: row.token_prefix,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at
+    };
+  }
+}
@@ -1,37 +1,51 @@
 import * as crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import { logger } from '../utils/logger.js';
-
-export class ApprovalGate {
-  constructor({ db, ttlMs = 300000 } = {}) {
+import { runMigrations } from '../database/migrator.js';
+
+const MAX_PREVIEW_CHARS = 20000;
+
+/**
+ * 도구 호출 승인 요청 저장소
+ *
+ * 요청에는 도구 이름·전체 인자·미리보기(diff 등)·요청자·사유·필요한 승인 수가 남고,
+ * 승인자별 결정은 approval_votes에 쌓인다. 거부는 한 명이면 충분하고, 승인은 서로 다른 승인자가
+ * required_approvals명 이상 모여야 확정된다. 요청자 본인은 승인할 수 없다 (거부는 할 수 있다).
+ * 누가 승인자인지(역할)는 부르는 쪽이 확인한다 (웹 라우트의 approver 역할, 채널 알림의 canApprove).
+ *
+ * 승인은 한 번만 쓸 수 있다 - 실행할 때 consumeApproval()이 approved를 executed로 바꾸고, 그 뒤로는 같은 ID로 실행할 수 없다.
+ *
+ * 이벤트: 'requested' (새 요청), 'voted' (승인이 모자란 중간 투표), 'resolved' (approved | denied | expired | cancelled)
+ * - 모두 getRequest() 모양의 요청 객체를 넘긴다.
+ */
+export class ApprovalGate extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db
+   * @param {number} options.ttlMs - 요청 유효 시간 (기본 5분)
+   * @param {number} options.dangerousApprovals - DANGEROUS 요청에 필요한 기본 승인 수 (env APPROVAL_DANGEROUS_APPROVERS, 기본 1)
+   */
+  constructor({ db, ttlMs = 300000, dangerousApprovals = Number(process.env.APPROVAL_DANGEROUS_APPROVERS) || 1 } = {}) {
+    super();
     if (!db) {
       throw new Error('ApprovalGate requires a db instance');
     }
 
     this.db = db;
     this.ttlMs = ttlMs;
+    this.dangerousApprovals = Math.max(1, Math.floor(dangerousApprovals));
 
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS command_approvals (
-        id TEXT PRIMARY KEY,
-        command TEXT NOT NULL,
-        security_level TEXT NOT NULL,
-        status TEXT DEFAULT 'pending',
-        result TEXT,
-        requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME NOT NULL,
-        resolved_at DATETIME
-      )
-    `);
+    // command_approvals는 database/migrations/009_command_approvals.js (+ 016, 017)
+    runMigrations(this.db);
 
     this.insertRequestStmt = this.db.prepare(`
-      INSERT INTO command_approvals (id, command, security_level, expires_at)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO command_approvals (id, command, security_level, expires_at, tool_name, arguments,
+        preview, requester_type, requester_id, reason, required_approvals, awaited)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     this.getRequestStmt = this.db.prepare(`
-      SELECT id, command, security_level, status, result, requested_at, expires_at, resolved_at
-      FROM command_approvals
-      WHERE id = ?
+      SELECT * FROM command_approvals WHERE id = ?
     `);
 
     this.expireOneStmt = this.db.prepare(`
@@ -40,19 +54,35 @@ export class ApprovalGate {
       WHERE id = ? AND status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
     `);
 
-    this.expireAllStmt = this.db.prepare(`
-      UPDATE command_approvals
-      SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+    this.getExpiredStmt = this.db.prepare(`
+      SELECT id FROM command_approvals
       WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
     `);
 
     this.getPendingStmt = this.db.prepare(`
-      SELECT id, command, security_level, status, result, requested_at, expires_at, resolved_at
-      FROM command_approvals
+      SELECT * FROM command_approvals
       WHERE status = 'pending'
       ORDER BY requested_at ASC
     `);
 
+    this.insertVoteStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO approval_votes (request_id, approver, approved) VALUES (?, ?, ?)
+    `);
+
+    this.getVotesStmt = this.db.prepare(`
+      SELECT approver, approved, created_at FROM approval_votes WHERE request_id = ? ORDER BY id ASC
+    `);
+
+    this.consumeStmt = this.db.prepare(`
+      UPDATE command_approvals SET status = 'executed' WHERE id = ? AND status = 'approved'
+    `);
+
+    this.resolveStmt = this.db.prepare(`
+      UPDATE command_approvals
+      SET status = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+      WHERE id = ? AND status = 'pending'
+    `);
+
     this.cleanupTimer = setInterval(() => {
       try {
         this.cleanExpired();
@@ -74,22 +104,54 @@ export class ApprovalGate {
     return new Date(sqliteDateTime.replace(' ', 'T') + 'Z').toISOString();
   }
 
-  requestApproval(command, securityLevel) {
+  /**
+   * @param {string} command - 승인 화면에 보여줄 한 줄 요약 (system_exec는 명령 자체)
+   * @param {string} securityLevel - SAFE | MODERATE | DANGEROUS
+   * @param {Object} options
+   * @param {string} options.toolName - 승인 후 실행할 도구 (생략하면 system_exec)
+   * @param {Object} options.args - 도구 인자 전체 (생략하면 { command })
+   * @param {string} options.preview - 바뀌는 내용 미리보기 (diff 등)
+   * @param {Object} options.requester - 요청한 호출자 { type, id }
+   * @param {string} options.reason - 승인이 필요한 이유
+   * @param {number} options.requiredApprovals - 필요한 승인 수 (생략하면 DANGEROUS는 dangerousApprovals, 그 밖은 1)
+   * @param {boolean} options.awaited - 요청한 에이전트 턴이 결정을 기다렸다가 직접 실행하는지
+   */
+  requestApproval(command, securityLevel, {
+    toolName = 'system_exec',
+    args = { command },
+    preview = null,
+    requester = null,
+    reason = null,
+    requiredApprovals = null,
+    awaited = false
+  } = {}) {
     const requestId = crypto.randomUUID();
     const expiresAtDate = new Date(Date.now() + this.ttlMs);
     const expiresAt = ApprovalGate.toSqliteDateTime(expiresAtDate);
+    const required = Math.max(1, requiredApprovals ?? (securityLevel === 'DANGEROUS' ? this.dangerousApprovals : 1));
+    const previewText = preview ? String(preview).slice(0, MAX_PREVIEW_CHARS) : null;
 
-    this.insertRequestStmt.run(requestId, command, securityLevel, expiresAt);
+    this.insertRequestStmt.run(
+      requestId, command, securityLevel, expiresAt, toolName, JSON.stringify(args),
+      previewText, requester?.type || null, requester?.id != null ? String(requester.id) : null,
+      reason, required, awaited ? 1 : 0
+    );
 
     logger.info('Approval request created', {
       requestId,
+      toolName,
       securityLevel,
+      requiredApprovals: required,
+      requester: requester?.type,
       expiresAt
     });
 
+    this._emit('requested', requestId);
+
     return {
       requestId,
-      expiresAt: expiresAtDate.toISOString()
+      expiresAt: expiresAtDate.toISOString(),
+      requiredApprovals: required
     };
   }
 
@@ -101,15 +163,14 @@ export class ApprovalGate {
     }
 
     if (row.status === 'pending') {
-      const expireResult = this.expireOneStmt.run(requestId);
-      if (expireResult.changes > 0) {
+      if (this._expireIfDue(requestId)) {
         return { status: 'expired' };
       }
 
       return { status: 'pending' };
     }
 
-    if (row.status === 'approved' || row.status === 'denied') {
+    if (row.status === 'approved' || row.status === 'denied' || row.status === 'executed') {
       return {
         status: row.status,
         result: row.result ?? undefined
@@ -119,58 +180,191 @@ export class ApprovalGate {
     return { status: row.status };
   }
 
+  /**
+   * 요청 1건 (승인 화면·채널 알림용 모양)
+   * @returns {Object|null}
+   */
+  getRequest(requestId) {
+    const row = this.getRequestStmt.get(requestId);
+    return row ? this._toRequest(row) : null;
+  }
+
+  /**
+   * 승인을 이 도구 호출(같은 도구, 같은 인자)에 쓰기 - 맞으면 approved → executed로 바꾸고 true
+   * 조건부 UPDATE 한 번으로 바꾸므로 같은 승인으로 두 번(동시에라도) 실행할 수 없다.
+   */
+  consumeApproval(requestId, toolName, args) {
+    const row = this.getRequestStmt.get(requestId);
+    if (!row || row.status !== 'approved') return false;
+    const target = ApprovalGate.toTarget(row);
+    if (target.toolName !== toolName || JSON.stringify(target.args) !== JSON.stringify(args ?? {})) return false;
+    if (this.consumeStmt.run(requestId).changes === 0) return false;
+    logger.info('Approval consumed', { requestId, toolName });
+    return true;
+  }
+
+  /**
+   * 요청 행 → 승인 후 실행할 도구 호출 (tool_name이 없는 예전 요청은 system_exec 명령)
+   */
+  static toTarget(row) {
+    if (!row.tool_name) {
+      return { toolName: 'system_exec', args: { command: row.command } };
+    }
+    let args = {};
+    try {
+      args = row.arguments ? JSON.parse(row.arguments) : {};
+    } catch {
+      logger.warn('Approval request has invalid arguments JSON', { requestId: row.id });
+    }
+    return { toolName: row.tool_name, args };
+  }
+
+  /**
+   * 요청자를 승인자 표기(채널:사용자)로 - 요청자가 없거나 사용자 ID가 없으면 null
+   */
+  static requesterKey(row) {
+    return row.requester_type && row.requester_id ? `${row.requester_type}:${row.requester_id}` : null;
+  }
+
   cleanExpired() {
-    const result = this.expireAllStmt.run();
+    const expired = this.getExpiredStmt.all();
+    let changes = 0;
+    for (const { id } of expired) {
+      if (this._expireIfDue(id)) changes++;
+    }
 
-    if (result.changes > 0) {
-      logger.info('Expired approval requests cleaned', { expiredCount: result.changes });
+    if (changes > 0) {
+      logger.info('Expired approval requests cleaned', { expiredCount: changes });
     }
 
-    return result.changes;
+    return changes;
   }
 
-  approveRequest(requestId) {
+  /**
+   * 승인자 1명의 결정 기록
+   * 거부는 바로 확정되고, 승인은 서로 다른 승인자가 required_approvals명 모이면 확정된다.
+   * 같은 승인자의 두 번째 결정은 무시하고, 요청자 본인의 승인은 기록하지 않는다 (status: 'forbidden').
+   * @param {string} requestId
+   * @param {string} approver - 채널:사용자 (예: web:user-1, telegram:12345)
+   * @param {boolean} approved
+   * @returns {{status: string, reason?: string, alreadyResolved?: boolean, approvals?: number, requiredApprovals?: number, duplicate?: boolean, awaited?: boolean, command?: string, toolName?: string, args?: Object}}
+   */
+  decide(requestId, approver, approved) {
     const row = this.getRequestStmt.get(requestId);
     if (!row) return { status: 'not_found' };
-    if (row.status !== 'pending') return { status: row.status };
+    if (row.status !== 'pending') return { status: row.status, alreadyResolved: true };
+    if (this._expireIfDue(requestId)) return { status: 'expired', alreadyResolved: true };
 
-    // Check expiry
-    this.expireOneStmt.run(requestId);
-    const updated = this.getRequestStmt.get(requestId);
-    if (updated.status === 'expired') return { status: 'expired' };
+    const voter = String(approver || 'anonymous');
+    if (approved && voter === ApprovalGate.requesterKey(row)) {
+      logger.warn('Self-approval rejected', { requestId, approver: voter });
+      return { status: 'forbidden', reason: '자기가 요청한 작업은 승인할 수 없습니다' };
+    }
 
-    this.db.prepare(`
-      UPDATE command_approvals
-      SET status = 'approved', resolved_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND status = 'pending'
-    `).run(requestId);
+    const inserted = this.insertVoteStmt.run(requestId, voter, approved ? 1 : 0).changes > 0;
+    const votes = this.getVotesStmt.all(requestId);
+    const approvers = votes.filter(vote => vote.approved === 1).map(vote => vote.approver);
+    const required = row.required_approvals || 1;
+    const base = {
+      command: row.command,
+      ...ApprovalGate.toTarget(row),
+      awaited: row.awaited === 1,
+      approvals: approvers.length,
+      requiredApprovals: required
+    };
 
-    logger.info('Approval request approved', { requestId });
-    return { status: 'approved', command: row.command };
+    if (!inserted) {
+      return { status: 'pending', duplicate: true, ...base };
+    }
+
+    if (!approved) {
+      this.resolveStmt.run('denied', voter, requestId);
+      logger.info('Approval request denied', { requestId, approver: voter });
+      this._emit('resolved', requestId);
+      return { status: 'denied', ...base };
+    }
+
+    if (approvers.length < required) {
+      logger.info('Approval vote recorded', { requestId, approver: voter, approvals: approvers.length, required });
+      this._emit('voted', requestId);
+      return { status: 'pending', ...base };
+    }
+
+    this.resolveStmt.run('approved', approvers.join(','), requestId);
+    logger.info('Approval request approved', { requestId, approvers });
+    this._emit('resolved', requestId);
+    return { status: 'approved', ...base };
   }
 
-  denyRequest(requestId) {
-    const row = this.getRequestStmt.get(requestId);
-    if (!row) return { status: 'not_found' };
-    if (row.status !== 'pending') return { status: row.status };
+  approveRequest(requestId, approver = 'anonymous') {
+    return this.decide(requestId, approver, true);
+  }
 
-    this.db.prepare(`
-      UPDATE command_approvals
-      SET status = 'denied', resolved_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND status = 'pending'
-    `).run(requestId);
+  denyRequest(requestId, approver = 'anonymous') {
+    return this.decide(requestId, approver, false);
+  }
+
+  /**
+   * 기다리던 턴이 그만둔 요청 닫기 (이후 승인해도 실행할 곳이 없다)
+   */
+  cancel(requestId, reason = 'aborted') {
+    if (this.resolveStmt.run('cancelled', `system:${reason}`, requestId).changes === 0) return false;
+    logger.info('Approval request cancelled', { requestId, reason });
+    this._emit('resolved', requestId);
+    return true;
+  }
+
+  /**
+   * 승인자가 대신 실행한 결과 기록 (기다리는 에이전트 턴이 없는 요청)
+   */
+  recordResult(requestId, { result = null, error = null } = {}) {
+    if (error) {
+      this.db.prepare(`UPDATE command_approvals SET status = 'error', error = ? WHERE id = ?`).run(error, requestId);
+    } else {
+      this.db.prepare(`UPDATE command_approvals SET result = ? WHERE id = ?`)
+        .run(typeof result === 'string' ? result : JSON.stringify(result), requestId);
+    }
+  }
 
-    logger.info('Approval request denied', { requestId });
-    return { status: 'denied', command: row.command };
+  /**
+   * 요청이 승인·거부·만료될 때까지 대기
+   * 다른 프로세스(예: telegram-main.js)가 같은 DB에서 결정할 수 있어 이벤트와 함께 DB도 주기적으로 확인한다.
+   * @param {string} requestId
+   * @param {Object} options - { pollMs, signal: 대기를 그만둘 AbortSignal }
+   * @returns {Promise<{status: 'approved'|'denied'|'expired'|'cancelled'|'not_found'|'aborted'}>}
+   */
+  waitForDecision(requestId, { pollMs = 1000, signal = null } = {}) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const finish = (status) => {
+        clearInterval(timer);
+        this.off('resolved', onResolved);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ status });
+      };
+      const check = () => {
+        const { status } = this.checkApproval(requestId);
+        if (status !== 'pending') finish(status);
+      };
+      const onResolved = (request) => {
+        if (request.id === requestId) finish(request.status);
+      };
+      const onAbort = () => finish('aborted');
+
+      if (signal?.aborted) {
+        resolve({ status: 'aborted' });
+        return;
+      }
+      this.on('resolved', onResolved);
+      signal?.addEventListener('abort', onAbort);
+      timer = setInterval(check, pollMs);
+      check();
+    });
   }
 
   getPendingRequests() {
     this.cleanExpired();
-
-    return this.getPendingStmt.all().map((row) => ({
-      ...row,
-      expires_at: ApprovalGate.toIsoDateTime(row.expires_at)
-    }));
+    return this.getPendingStmt.all().map(row => this._toRequest(row));
   }
 
   dispose() {
@@ -178,5 +372,54 @@ export class ApprovalGate {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
+    this.removeAllListeners();
+  }
+
+  /**
+   * 만료 시간이 지난 대기 요청을 expired로 바꾸고 알린다
+   * @returns {boolean} 이번에 만료됐는지
+   */
+  _expireIfDue(requestId) {
+    if (this.expireOneStmt.run(requestId).changes === 0) return false;
+    logger.info('Approval request expired', { requestId });
+    this._emit('resolved', requestId);
+    return true;
+  }
+
+  _emit(event, requestId) {
+    if (this.listenerCount(event) === 0) return;
+    const request = this.getRequest(requestId);
+    if (!request) return;
+    try {
+      this.emit(event, request);
+    } catch (error) {
+      logger.error(`Approval ${event} listener failed`, error, { requestId });
+    }
+  }
+
+  _toRequest(row) {
+    const votes = this.getVotesStmt.all(row.id);
+    const { toolName, args } = ApprovalGate.toTarget(row);
+    return {
+      id: row.id,
+      toolName,
+      args,
+      command: row.command,
+      securityLevel: row.security_level,
+      status: row.status,
+      preview: row.preview ?? null,
+      requester: row.requester_type ? { type: row.requester_type, id: row.requester_id } : null,
+      reason: row.reason ?? null,
+      requiredApprovals: row.required_approvals || 1,
+      approvals: votes.filter(vote => vote.approved === 1).map(vote => ({ approver: vote.approver, at: vote.created_at })),
+      deniedBy: votes.find(vote => vote.approved === 0)?.approver || null,
+      awaited: row.awaited === 1,
+      requestedAt: row.requested_at ? ApprovalGate.toIsoDateTime(row.requested_at) : null,
+      expiresAt: row.expires_at ? ApprovalGate.toIsoDateTime(row.expires_at) : null,
+      resolvedAt: row.resolved_at ? ApprovalGate.toIsoDateTime(row.resolved_at) : null,
+      resolvedBy: row.resolved_by ?? null,
+      result: row.result ?? null,
+      error: row.error ?? null
+    };
   }
 }
@@ -0,0 +1,314 @@
+/**
+ * CodeSandbox - execute_code 샌드박스 (Linux, 추가 서비스 없이 util-linux만 사용)
+ *
+ * unshare로 mount/pid/net/ipc/uts 네임스페이스를 분리하고, tmpfs 루트에 시스템 디렉터리와
+ * 작업 공간을 읽기 전용으로, 실행마다 만드는 scratch 디렉터리만 쓰기 가능하게 붙인 뒤 pivot_root로
+ * 루트를 바꾸고 예전 루트를 떼어 낸다. 사용자 코드는 어느 경우든 root가 아닌 uid로, 모든 capability와
+ * bounding set을 버리고(no_new_privs) 실행한다 - 서버가 root면 setpriv로 nobody(기본 65534)로 내려가고,
+ * 그 외에는 user 네임스페이스(현재 사용자 → 내부 root)에서 루트를 꾸민 뒤 중첩 user 네임스페이스로
+ * 다시 들어가 nobody로 매핑된다. 어느 쪽이든 권한을 내리지 못하면 실행하지 않는다. 자원 한도는 prlimit으로 건다.
+ * 네트워크는 기본 차단(빈 net 네임스페이스)이며 설정으로만 열 수 있다.
+ */
+import { spawn, execFile } from 'child_process';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_TIMEOUT_MS = 60000;
+const DEFAULT_MEMORY_MB = 512;
+const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024;
+const DEFAULT_MAX_PROCESSES = 64;
+const DEFAULT_MAX_FILE_SIZE_MB = 50;
+const DEFAULT_SANDBOX_UID = 65534; // nobody
+// V8은 힙과 별개로 큰 가상 주소 공간을 예약하므로 node는 RLIMIT_AS에 여유를 더하고 힙은 --max-old-space-size로 제한
+const NODE_ADDRESS_SPACE_HEADROOM_MB = 1024;
+// 샌드박스 안 작업 디렉터리로 이동하지 못했을 때의 종료 코드
+const EXIT_SANDBOX_ERROR = 125;
+
+const SANDBOX_PATH = '/usr/local/bin:/usr/bin:/bin';
+const SYSTEM_READ_ONLY_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc'];
+
+// 네임스페이스 안에서 (매핑된 root로) 루트 파일 시스템을 꾸미고 pivot_root한 뒤 권한을 내려 실행
+// 인자: 루트 마운트 지점, 작업 공간, scratch, 내려갈 uid, 내리는 방법(setuid | userns), 추가 읽기 전용 경로(:로 구분), 실행할 명령…
+// - setuid: 서버가 root - setpriv로 uid/gid를 바꾼다
+// - userns: 매핑된 root는 호스트에서는 서버 사용자일 뿐이지만 이 네임스페이스의 마운트를 다시 쓸 수 있으므로
+//   (remount,rw 등) 중첩 user 네임스페이스에서 nobody로 매핑한 뒤 setpriv로 capability를 모두 버린다
+//   (bounding set은 CAP_SETPCAP이 있어야 줄일 수 있어 --keep-caps로 setpriv까지만 넘긴다)
+const SETUP_SCRIPT = `
+set -e
+R="$1"; WS="$2"; SCRATCH="$3"; DROP="$4"; MODE="$5"; EXTRA="$6"; shift 6
+PIVOT_ROOT="$(PATH="/usr/sbin:/sbin:$PATH" command -v pivot_root)"
+mount -t tmpfs -o size=16m,mode=755 sandbox-root "$R"
+bind_ro() {
+  src="$1"; dst="$R$1"
+  if [ -L "$src" ]; then mkdir -p "$(dirname "$dst")"; ln -s "$(readlink "$src")" "$dst"; return 0; fi
+  [ -e "$src" ] || return 0
+  if [ -d "$src" ]; then mkdir -p "$dst"; else mkdir -p "$(dirname "$dst")"; : > "$dst"; fi
+  mount --rbind "$src" "$dst"
+  mount -o remount,bind,ro "$dst"
+}
+for p in ${SYSTEM_READ_ONLY_PATHS.join(' ')}; do bind_ro "$p"; done
+IFS=:
+for p in $EXTRA; do bind_ro "$p"; done
+unset IFS
+mkdir -p "$R/workspace" "$R/scratch" "$R/tmp" "$R/proc" "$R/dev" "$R/.old-root"
+if [ -d "$WS" ]; then mount --rbind "$WS" "$R/workspace"; mount -o remount,bind,ro "$R/workspace"; fi
+mount --bind "$SCRATCH" "$R/scratch"
+mount -t tmpfs -o size=64m,mode=1777 sandbox-tmp "$R/tmp"
+mount -t proc proc "$R/proc"
+for n in null zero random urandom; do : > "$R/dev/$n"; mount --bind "/dev/$n" "$R/dev/$n"; done
+cd "$R"
+"$PIVOT_ROOT" . .old-root
+cd /
+umount -l /.old-root
+rmdir /.old-root
+mount -o remount,bind,ro /
+if [ "$MODE" = setuid ]; then
+  exec setpriv --reuid="$DROP" --regid="$DROP" --clear-groups --no-new-privs --inh-caps=-all --bounding-set=-all -- "$@"
+fi
+exec unshare --user --map-user="$DROP" --map-group="$DROP" --keep-caps -- setpriv --no-new-privs --inh-caps=-all --bounding-set=-all -- "$@"
+`;
+
+// 사용자 코드 실행 후 자식 CPU 시간을 fd 3으로 보고 (사용자 코드에서는 fd 3을 닫아 위조 불가)
+// 인자: 작업 디렉터리, 실행할 명령…
+const RUN_SCRIPT = `
+cd "$1" || exit ${EXIT_SANDBOX_ERROR}
+shift
+"$@" 3>&-
+rc=$?
+times >&3
+exit $rc
+`;
+
+const LANGUAGES = {
+  python: { file: 'main.py', command: () => ['python3', '-I'] },
+  javascript: { file: 'main.js', command: ({ memoryMb }) => [process.execPath, `--max-old-space-size=${memoryMb}`], addressSpaceHeadroomMb: NODE_ADDRESS_SPACE_HEADROOM_MB },
+  bash: { file: 'main.sh', command: () => ['bash'] }
+};
+const LANGUAGE_ALIASES = { node: 'javascript', shell: 'bash' };
+
+export const SANDBOX_LANGUAGES = [...Object.keys(LANGUAGES), ...Object.keys(LANGUAGE_ALIASES)];
+
+const RUNNING_AS_ROOT = process.getuid?.() === 0;
+// root는 네임스페이스를 직접 만들고 setpriv로 nobody로 내려간다. 그 외에는 user 네임스페이스의 매핑된 root로
+// 루트를 꾸미고 중첩 user 네임스페이스에서 권한을 내린다 (SETUP_SCRIPT)
+const USER_NS_ARGS = RUNNING_AS_ROOT ? [] : ['--user', '--map-root-user'];
+const DROP_MODE = RUNNING_AS_ROOT ? 'setuid' : 'userns';
+
+let unshareProbe = null;
+
+/**
+ * unshare로 네임스페이스를 만들고 그 안에서 권한을 내릴 수 있는지 한 번만 확인 (컨테이너·커널 설정에 따라 막혀 있을 수 있다)
+ * @param {number} dropUid - 사용자 코드를 실행할 uid
+ * @returns {Promise<{available: boolean, reason?: string}>}
+ */
+function probeUnshare(dropUid) {
+  if (!unshareProbe) {
+    const drop = DROP_MODE === 'setuid'
+      ? ['setpriv', `--reuid=${dropUid}`, `--regid=${dropUid}`, '--clear-groups', '--no-new-privs', '--inh-caps=-all', '--bounding-set=-all', '--', 'true']
+      : ['unshare', '--user', `--map-user=${dropUid}`, `--map-group=${dropUid}`, '--keep-caps', '--', 'setpriv', '--no-new-privs', '--inh-caps=-all', '--bounding-set=-all', '--', 'true'];
+    unshareProbe = new Promise(resolve => {
+      execFile('unshare', [...USER_NS_ARGS, '--net', '--mount', '--pid', '--fork', '--', ...drop], { timeout: 5000 }, (error, stdout, stderr) => {
+        resolve(error ? { available: false, reason: (stderr || error.message).trim() } : { available: true });
+      });
+    });
+  }
+  return unshareProbe;
+}
+
+/**
+ * `times` 출력의 둘째 줄(자식 프로세스 user/sys 시간)을 ms로
+ */
+function parseTimes(text) {
+  const values = [...String(text).matchAll(/(\d+)m([\d.]+)s/g)].map(m => Math.round((Number(m[1]) * 60 + Number(m[2])) * 1000));
+  return values.length >= 4 ? { cpuUserMs: values[2], cpuSystemMs: values[3] } : { cpuUserMs: null, cpuSystemMs: null };
+}
+
+function signalName(exitCode) {
+  if (exitCode === null || exitCode <= 128 || exitCode >= 128 + 65) return null;
+  return Object.entries(os.constants.signals).find(([, number]) => number === exitCode - 128)?.[0] || null;
+}
+
+export class CodeSandbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.workspaceRoot - 읽기 전용으로 보여줄 작업 공간 (/workspace)
+   * @param {string} options.scratchRoot - 실행별 scratch 디렉터리를 만들 곳 (기본: OS 임시 디렉터리)
+   * @param {number} options.timeoutMs - 기본 실행 시간 한도
+   * @param {number} options.maxTimeoutMs - 요청으로 늘릴 수 있는 최대 실행 시간
+   * @param {number} options.memoryMb - 메모리 한도 (RLIMIT_AS)
+   * @param {number} options.maxOutputBytes - stdout/stderr 각각의 최대 크기 (넘으면 중단)
+   * @param {number} options.maxProcesses - 프로세스 수 한도 (RLIMIT_NPROC)
+   * @param {number} options.maxFileSizeMb - 쓸 수 있는 파일 크기 한도 (RLIMIT_FSIZE)
+   * @param {boolean} options.network - 호스트 네트워크 사용 여부 (기본 false, 환경 변수 CODE_SANDBOX_NETWORK=true)
+   * @param {boolean} options.allowUnsandboxed - 네임스페이스를 못 만들 때 자원 한도만 걸고 실행할지 (기본 false, CODE_SANDBOX_ALLOW_UNSANDBOXED=true)
+   * @param {number} options.sandboxUid - 사용자 코드를 실행할 uid/gid (서버가 root가 아니면 중첩 user 네임스페이스 안의 uid)
+   */
+  constructor(options = {}) {
+    this.workspaceRoot = path.resolve(options.workspaceRoot || './workspace');
+    this.scratchRoot = options.scratchRoot || os.tmpdir();
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.maxTimeoutMs = options.maxTimeoutMs || MAX_TIMEOUT_MS;
+    this.memoryMb = options.memoryMb || Number(process.env.CODE_SANDBOX_MEMORY_MB) || DEFAULT_MEMORY_MB;
+    this.maxOutputBytes = options.maxOutputBytes || DEFAULT_MAX_OUTPUT_BYTES;
+    this.maxProcesses = options.maxProcesses || DEFAULT_MAX_PROCESSES;
+    this.maxFileSizeMb = options.maxFileSizeMb || DEFAULT_MAX_FILE_SIZE_MB;
+    this.network = options.network ?? process.env.CODE_SANDBOX_NETWORK === 'true';
+    this.allowUnsandboxed = options.allowUnsandboxed ?? process.env.CODE_SANDBOX_ALLOW_UNSANDBOXED === 'true';
+    this.sandboxUid = options.sandboxUid ?? DEFAULT_SANDBOX_UID;
+  }
+
+  /**
+   * 코드 실행
+   * @param {Object} params
+   * @param {string} params.language - python | javascript(node) | bash(shell)
+   * @param {string} params.code
+   * @param {number} params.timeoutMs - 실행 시간 한도 (maxTimeoutMs까지)
+   * @returns {Promise<{exitCode: number|null, signal: string|null, timedOut: boolean, stdout: string, stderr: string, truncated: {stdout: boolean, stderr: boolean}, killedBy: string|null, usage: Object, limits: Object, sandbox: string}>}
+   */
+  async run({ language, code, timeoutMs }) {
+    const lang = LANGUAGES[LANGUAGE_ALIASES[language] || language];
+    if (!lang) {
+      throw new Error(`지원하지 않는 언어입니다: ${language}`);
+    }
+
+    const probe = await probeUnshare(this.sandboxUid);
+    if (!probe.available && !this.allowUnsandboxed) {
+      const error = new Error(`코드 샌드박스를 사용할 수 없습니다 (unshare: ${probe.reason})`);
+      error.code = 'SANDBOX_UNAVAILABLE';
+      throw error;
+    }
+
+    const limits = {
+      timeoutMs: Math.min(Math.max(Number(timeoutMs) || this.timeoutMs, 100), this.maxTimeoutMs),
+      memoryMb: this.memoryMb,
+      maxOutputBytes: this.maxOutputBytes,
+      maxProcesses: this.maxProcesses,
+      maxFileSizeMb: this.maxFileSizeMb,
+      network: this.network
+    };
+
+    const baseDir = path.join(this.scratchRoot, `athena-sandbox-${randomUUID()}`);
+    const scratchDir = path.join(baseDir, 'scratch');
+    try {
+      await fs.mkdir(path.join(baseDir, 'root'), { recursive: true });
+      await fs.mkdir(scratchDir, { mode: 0o755 });
+      await fs.writeFile(path.join(scratchDir, lang.file), code, { encoding: 'utf-8', mode: 0o644 });
+
+      // userns 방식에서는 서버 사용자가 곧 중첩 네임스페이스의 nobody라 scratch 소유자를 바꿀 필요가 없다
+      if (probe.available && DROP_MODE === 'setuid') {
+        await fs.chown(scratchDir, this.sandboxUid, this.sandboxUid);
+      }
+
+      const program = [
+        'prlimit',
+        `--as=${(limits.memoryMb + (lang.addressSpaceHeadroomMb || 0)) * 1024 * 1024}`,
+        `--cpu=${Math.ceil(limits.timeoutMs / 1000) + 1}`,
+        `--nproc=${limits.maxProcesses}`,
+        `--fsize=${limits.maxFileSizeMb * 1024 * 1024}`,
+        '--nofile=256',
+        '--core=0',
+        '--',
+        ...lang.command(limits)
+      ];
+
+      const result = probe.available
+        ? await this._spawn('unshare', [
+          ...USER_NS_ARGS, '--mount', '--pid', '--fork', '--kill-child', '--ipc', '--uts',
+          ...(limits.network ? [] : ['--net']),
+          '--', '/bin/sh', '-c', SETUP_SCRIPT, 'sandbox-setup',
+          path.join(baseDir, 'root'), this.workspaceRoot, scratchDir, String(this.sandboxUid), DROP_MODE,
+          this._extraReadOnlyPaths().join(':'),
+          '/bin/sh', '-c', RUN_SCRIPT, 'sandbox-run', '/scratch', ...program, `/scratch/${lang.file}`
+        ], limits)
+        : await this._spawn('/bin/sh', ['-c', RUN_SCRIPT, 'sandbox-run', scratchDir, ...program, path.join(scratchDir, lang.file)], limits);
+
+      return { ...result, limits, sandbox: probe.available ? 'unshare' : 'none' };
+    } finally {
+      await fs.rm(baseDir, { recursive: true, force: true }).catch(error => {
+        logger.warn('Sandbox cleanup failed', { baseDir, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * 시스템 디렉터리 밖에 설치된 node 런타임 (nvm 등)도 읽기 전용으로 보이게
+   */
+  _extraReadOnlyPaths() {
+    const prefix = path.dirname(path.dirname(process.execPath));
+    const covered = SYSTEM_READ_ONLY_PATHS.some(p => prefix === p || prefix.startsWith(`${p}/`));
+    return covered || prefix === '/' ? [] : [prefix];
+  }
+
+  /**
+   * 프로세스 그룹으로 실행하고 시간·출력 한도를 넘으면 그룹 전체를 SIGKILL
+   */
+  _spawn(command, args, limits) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const child = spawn(command, args, {
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
+        env: { PATH: SANDBOX_PATH, HOME: '/scratch', TMPDIR: '/tmp', LANG: 'C.UTF-8', PYTHONDONTWRITEBYTECODE: '1' }
+      });
+
+      const output = { stdout: [], stderr: [] };
+      const sizes = { stdout: 0, stderr: 0 };
+      const truncated = { stdout: false, stderr: false };
+      let usageText = '';
+      let killedBy = null;
+
+      const kill = (reason) => {
+        if (killedBy) return;
+        killedBy = reason;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          // 이미 종료됨
+        }
+      };
+
+      const collect = (stream) => (chunk) => {
+        const room = limits.maxOutputBytes - sizes[stream];
+        if (room > 0) output[stream].push(chunk.subarray(0, room));
+        sizes[stream] += chunk.length;
+        if (sizes[stream] > limits.maxOutputBytes) {
+          truncated[stream] = true;
+          kill('output_limit');
+        }
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+      child.stdio[3].on('data', chunk => { usageText += chunk; });
+
+      const timer = setTimeout(() => kill('timeout'), limits.timeoutMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        const exitCode = code ?? null;
+        resolve({
+          exitCode,
+          signal: signal || signalName(exitCode),
+          timedOut: killedBy === 'timeout',
+          killedBy,
+          stdout: Buffer.concat(output.stdout).toString('utf-8'),
+          stderr: Buffer.concat(output.stderr).toString('utf-8'),
+          truncated,
+          usage: {
+            wallMs: Date.now() - startedAt,
+            ...parseTimes(usageText),
+            stdoutBytes: sizes.stdout,
+            stderrBytes: sizes.stderr
+          }
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * PolicyEngine - 도구 실행 정책 (allow / ask / deny)
+ *
+ * 규칙은 도구 이름(와일드카드), 인자 정규식, 호출자(web 사용자 / 텔레그램 채팅 / 디스코드 채널 / 스케줄러 / 워크플로우)
+ * 와 페어링된 디바이스로 범위를 정한다. 아래 기본 규칙(DEFAULT_POLICIES) 위에 tool_policies 테이블 규칙을 얹고,
+ * 일치하는 규칙 중 priority가 가장 큰 것을 따른다 (같으면 deny > ask > allow).
+ * MCPBase.executeTool이 매 호출 전에 확인하며, 모든 결정은 tool_policy_decisions에 남는다.
+ */
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { openDatabase } from '../database/connection.js';
+
+export const POLICY_DECISIONS = ['allow', 'ask', 'deny'];
+export const CALLER_TYPES = ['web', 'telegram', 'discord', 'scheduler', 'workflow', 'system'];
+
+const SECURITY_LEVELS = ['SAFE', 'MODERATE', 'DANGEROUS'];
+const DECISION_SEVERITY = { allow: 0, ask: 1, deny: 2 };
+const DEFAULT_RULE_PRIORITY = 100;
+const MAX_DECISIONS_PAGE = 500;
+
+// 셸 연결·치환·리다이렉션이 없는 단일 명령만 (ls; rm -rf / 같은 꼬리 명령 차단)
+const SINGLE_COMMAND_TAIL = '(\\s[^;&|`$<>()\\n]*)?$';
+
+/**
+ * 기본 규칙 - DB 규칙(기본 priority 100)이 덮어쓸 수 있다.
+ * system_exec의 명령은 예전 SAFE / MODERATE / DANGEROUS 분류를 그대로 옮겼고, 분류되지 않은 명령은 승인을 받는다.
+ */
+export const DEFAULT_POLICIES = [
+  {
+    id: 'builtin:system_exec_safe',
+    tool: 'system_exec',
+    args: { command: `^(?!.*\\s-(exec|execdir|delete|ok)\\b)\\s*(ls|cat|df|free|ps|uptime|whoami|hostname|date|du|head|tail|wc|grep|find|pm2\\s+(list|jlist)|git\\s+(status|log)|npm\\s+list)${SINGLE_COMMAND_TAIL}` },
+    decision: 'allow',
+    level: 'SAFE',
+    priority: 10,
+    reason: '조회용 명령'
+  },
+  {
+    id: 'builtin:system_exec_moderate',
+    tool: 'system_exec',
+    args: { command: `^\\s*(pm2\\s+(restart|reload)|npm\\s+run\\s+build|npm\\s+install|git\\s+(pull|checkout)|mkdir|cp|mv|touch|python3?|/home/ubuntu/\\S+/venv/bin/python)${SINGLE_COMMAND_TAIL}` },
+    decision: 'allow',
+    level: 'MODERATE',
+    priority: 10,
+    reason: '중간 위험 명령'
+  },
+  {
+    id: 'builtin:system_exec_dangerous',
+    tool: 'system_exec',
+    args: { command: '^\\s*(rm|kill|sudo|systemctl|reboot|shutdown|chmod|chown|pkill|dd)(\\s|$)' },
+    decision: 'ask',
+    level: 'DANGEROUS',
+    priority: 30,
+    reason: '위험 명령'
+  },
+  {
+    id: 'builtin:system_exec_unclassified',
+    tool: 'system_exec',
+    decision: 'ask',
+    level: 'DANGEROUS',
+    priority: 0,
+    reason: '분류되지 않은 명령'
+  },
+  { id: 'builtin:delete_file', tool: 'delete_file', decision: 'ask', level: 'DANGEROUS', priority: 10, reason: '파일 삭제' },
+  { id: 'builtin:write_file', tool: 'write_file', decision: 'allow', level: 'MODERATE', priority: 10, reason: '작업 공간 안 파일 쓰기' },
+  { id: 'builtin:send_email', tool: 'send_email', decision: 'ask', level: 'MODERATE', priority: 10, reason: '외부로 이메일 발송' },
+  { id: 'builtin:github_create_pull', tool: 'github_create_pull', decision: 'ask', level: 'MODERATE', priority: 10, reason: 'GitHub PR 생성' },
+  { id: 'builtin:device_run_command', tool: 'device_run_command', decision: 'ask', level: 'DANGEROUS', priority: 10, reason: '원격 디바이스 명령 실행' },
+  // 예산 한도는 admin이 /api/budget으로 관리한다 (채팅에서 쓰려면 admin 호출자에게만 allow 규칙을 더한다)
+  { id: 'builtin:set_budget', tool: 'set_budget', decision: 'deny', level: 'DANGEROUS', priority: 10, reason: '전역 예산 설정 변경' },
+  { id: 'builtin:set_budget_limit', tool: 'set_budget_limit', decision: 'deny', level: 'DANGEROUS', priority: 10, reason: '예산 한도 변경' },
+  { id: 'builtin:remove_budget_limit', tool: 'remove_budget_limit', decision: 'deny', level: 'DANGEROUS', priority: 10, reason: '예산 한도 삭제' }
+];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * * 와일드카드 패턴 → 정규식 (전체 일치)
+ */
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchesGlob(pattern, value) {
+  if (pattern === null || pattern === undefined || pattern === '*') return true;
+  if (value === null || value === undefined) return false;
+  return globToRegExp(pattern).test(String(value));
+}
+
+function argText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * 정책 엔진 없이 기본 규칙(DEFAULT_POLICIES)만으로 내리는 결정 - DB가 없는 구성에서 위험한 도구가 쓰는 안전장치.
+ * 일치하는 기본 규칙이 없거나 ask면 승인받을 곳이 없으므로 deny로 처리한다 (fail closed).
+ * @param {string} toolName
+ * @param {Object} args
+ * @returns {{decision: string, ruleId: string|null, level: string|null, reason: string}}
+ */
+export function evaluateDefaultPolicies(toolName, args = {}) {
+  let matched = null;
+  for (const rule of DEFAULT_POLICIES) {
+    if (!matchesGlob(rule.tool, toolName)) continue;
+    const argsMatch = Object.entries(rule.args || {}).every(([name, pattern]) =>
+      args?.[name] !== undefined && args?.[name] !== null && new RegExp(pattern, 'i').test(argText(args[name]))
+    );
+    if (!argsMatch) continue;
+    if (!matched
+      || rule.priority > matched.priority
+      || (rule.priority === matched.priority && DECISION_SEVERITY[rule.decision] > DECISION_SEVERITY[matched.decision])) {
+      matched = rule;
+    }
+  }
+
+  if (matched?.decision === 'allow') {
+    return { decision: 'allow', ruleId: matched.id, level: matched.level || null, reason: matched.reason || matched.id };
+  }
+  return {
+    decision: 'deny',
+    ruleId: matched?.id || null,
+    level: matched?.level || null,
+    reason: matched ? `정책 엔진 없이는 승인받을 수 없습니다 (${matched.reason || matched.id})` : '정책 엔진 없이 허용된 기본 규칙이 없습니다'
+  };
+}
+
+export class PolicyEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - 공유 DB 연결 (없으면 dbPath로 연결)
+   * @param {string} options.dbPath - 데이터베이스 경로
+   * @param {Array<Object>} options.defaults - 기본 규칙 (기본: DEFAULT_POLICIES)
+   * @param {string} options.defaultDecision - 일치하는 규칙이 없을 때 (기본: allow, 환경 변수 TOOL_POLICY_DEFAULT)
+   */
+  constructor({ db, dbPath, defaults = DEFAULT_POLICIES, defaultDecision = process.env.TOOL_POLICY_DEFAULT } = {}) {
+    // tool_policies / tool_policy_decisions는 database/migrations/016_tool_policies.js
+    this.db = db || openDatabase(dbPath);
+    this.defaults = defaults.map(rule => ({ ...this.normalizeRule(rule), id: rule.id, source: 'builtin' }));
+    this.defaultDecision = POLICY_DECISIONS.includes(defaultDecision) ? defaultDecision : 'allow';
+  }
+
+  // ─── 평가 ───────────────────────────────────────────────────────────
+
+  /**
+   * 실행 컨텍스트의 호출자 정리 (없으면 내부 호출 = system)
+   * @param {Object} caller - { type, id, deviceId }
+   * @returns {{type: string, id: string|null, deviceId: string|null}}
+   */
+  normalizeCaller(caller) {
+    const type = CALLER_TYPES.includes(caller?.type) ? caller.type : 'system';
+    return {
+      type,
+      id: caller?.id !== undefined && caller?.id !== null ? String(caller.id) : null,
+      deviceId: caller?.deviceId ? String(caller.deviceId) : null
+    };
+  }
+
+  /**
+   * 도구 호출 1건에 대한 결정 (기록하지 않음)
+   * @param {string} toolName
+   * @param {Object} args - 도구 인자
+   * @param {Object} context - 실행 컨텍스트 ({ caller: { type, id, deviceId } })
+   * @returns {{decision: string, ruleId: string|null, reason: string, level: string|null, approvers: number|null, caller: Object, deviceId: string|null}}
+   */
+  evaluate(toolName, args = {}, context = {}) {
+    const caller = this.normalizeCaller(context.caller);
+    // 디바이스 도구는 인자로 대상 디바이스를 받는다
+    const deviceId = args?.deviceId ? String(args.deviceId) : caller.deviceId;
+
+    let matched = null;
+    for (const rule of [...this._loadRules(), ...this.defaults]) {
+      if (!this._matches(rule, toolName, args || {}, caller, deviceId)) continue;
+      if (!matched
+        || rule.priority > matched.priority
+        || (rule.priority === matched.priority && DECISION_SEVERITY[rule.decision] > DECISION_SEVERITY[matched.decision])) {
+        matched = rule;
+      }
+    }
+
+    return {
+      decision: matched ? matched.decision : this.defaultDecision,
+      ruleId: matched?.id || null,
+      reason: matched ? (matched.reason || matched.id) : '일치하는 정책 없음 (기본 결정)',
+      level: matched?.level || null,
+      approvers: matched?.approvers ?? null,
+      caller,
+      deviceId
+    };
+  }
+
+  /**
+   * 결정 기록 (DB + 로그)
+   * @param {string} toolName
+   * @param {Object} result - evaluate() 결과 (+ approvalId)
+   */
+  record(toolName, result) {
+    try {
+      this.db.prepare(`
+        INSERT INTO tool_policy_decisions (tool, caller_type, caller_id, device_id, decision, rule_id, reason, approval_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        toolName, result.caller.type, result.caller.id, result.deviceId,
+        result.decision, result.ruleId, result.reason, result.approvalId || null
+      );
+    } catch (error) {
+      logger.error('Failed to record policy decision', error, { tool: toolName });
+    }
+
+    const meta = {
+      tool: toolName,
+      caller: result.caller.id ? `${result.caller.type}:${result.caller.id}` : result.caller.type,
+      deviceId: result.deviceId,
+      rule: result.ruleId,
+      approvalId: result.approvalId
+    };
+    if (result.decision === 'deny') {
+      logger.warn(`Tool policy: deny (${result.reason})`, meta);
+    } else if (result.decision === 'ask') {
+      logger.info(`Tool policy: ask (${result.reason})`, meta);
+    } else {
+      logger.debug(`Tool policy: allow (${result.reason})`, meta);
+    }
+  }
+
+  _matches(rule, toolName, args, caller, deviceId) {
+    if (!matchesGlob(rule.tool, toolName)) return false;
+    if (rule.callerType !== '*' && rule.callerType !== caller.type) return false;
+    if (rule.callerId && !matchesGlob(rule.callerId, caller.id)) return false;
+    if (rule.deviceId && !matchesGlob(rule.deviceId, deviceId)) return false;
+    return Object.entries(rule.args || {}).every(([name, pattern]) => {
+      if (args[name] === undefined || args[name] === null) return false;
+      try {
+        return new RegExp(pattern, 'i').test(argText(args[name]));
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  _loadRules() {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM tool_policies WHERE enabled = 1
+      `).all().map(row => this._fromRow(row)).filter(rule => !rule.invalid);
+    } catch (error) {
+      logger.error('Failed to load tool policies', error);
+      return [];
+    }
+  }
+
+  // ─── 규칙 관리 ──────────────────────────────────────────────────────
+
+  /**
+   * 규칙 입력 검증
+   * @returns {{tool: string, callerType: string, callerId: string|null, deviceId: string|null, args: Object|null, decision: string, level: string|null, priority: number, reason: string|null, approvers: number|null}}
+   */
+  normalizeRule(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw badRequest('정책은 객체여야 합니다');
+    }
+    if (!POLICY_DECISIONS.includes(input.decision)) {
+      throw badRequest(`decision은 ${POLICY_DECISIONS.join(', ')} 중 하나여야 합니다`);
+    }
+    const callerType = input.callerType || '*';
+    if (callerType !== '*' && !CALLER_TYPES.includes(callerType)) {
+      throw badRequest(`callerType은 ${CALLER_TYPES.join(', ')}, * 중 하나여야 합니다`);
+    }
+    if (input.level && !SECURITY_LEVELS.includes(input.level)) {
+      throw badRequest(`level은 ${SECURITY_LEVELS.join(', ')} 중 하나여야 합니다`);
+    }
+    if (input.priority !== undefined && !Number.isInteger(input.priority)) {
+      throw badRequest('priority는 정수여야 합니다');
+    }
+    if (input.approvers !== undefined && input.approvers !== null && (!Number.isInteger(input.approvers) || input.approvers < 1)) {
+      throw badRequest('approvers는 1 이상의 정수여야 합니다');
+    }
+
+    let args = null;
+    if (input.args !== undefined && input.args !== null) {
+      if (typeof input.args !== 'object' || Array.isArray(input.args)) {
+        throw badRequest('args는 { 인자 이름: 정규식 } 객체여야 합니다');
+      }
+      args = {};
+      for (const [name, pattern] of Object.entries(input.args)) {
+        try {
+          new RegExp(String(pattern), 'i');
+        } catch (error) {
+          throw badRequest(`args.${name}: 정규식이 올바르지 않습니다 (${error.message})`);
+        }
+        args[name] = String(pattern);
+      }
+    }
+
+    return {
+      tool: String(input.tool || '*'),
+      callerType,
+      callerId: input.callerId ? String(input.callerId) : null,
+      deviceId: input.deviceId ? String(input.deviceId) : null,
+      args,
+      decision: input.decision,
+      level: input.level || null,
+      priority: input.priority ?? DEFAULT_RULE_PRIORITY,
+      reason: input.reason ? String(input.reason) : null,
+      approvers: input.approvers ?? null
+    };
+  }
+
+  /**
+   * 전체 규칙 (DB 규칙 + 기본 규칙, priority 내림차순)
+   */
+  listRules() {
+    const rows = this.db.prepare(`SELECT * FROM tool_policies ORDER BY priority DESC, created_at ASC`).all();
+    return [...rows.map(row => this._fromRow(row)), ...this.defaults.map(rule => ({ ...rule, enabled: true }))]
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  createRule(input) {
+    const rule = this.normalizeRule(input);
+    const id = randomUUID();
+    this.db.prepare(`
+      INSERT INTO tool_policies (id, tool, caller_type, caller_id, device_id, args, decision, level, priority, reason, approvers)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, rule.tool, rule.callerType, rule.callerId, rule.deviceId,
+      rule.args ? JSON.stringify(rule.args) : null, rule.decision, rule.level, rule.priority, rule.reason, rule.approvers);
+
+    logger.info('Tool policy created', { id, tool: rule.tool, decision: rule.decision });
+    return this.getRule(id);
+  }
+
+  updateRule(id, input) {
+    const current = this.getRule(id);
+    if (current.source === 'builtin') {
+      throw badRequest('기본 정책은 수정할 수 없습니다. 더 높은 priority의 정책을 추가하세요');
+    }
+    const rule = this.normalizeRule({ ...current, ...input });
+    const enabled = input.enabled === undefined ? current.enabled : Boolean(input.enabled);
+    this.db.prepare(`
+      UPDATE tool_policies
+      SET tool = ?, caller_type = ?, caller_id = ?, device_id = ?, args = ?, decision = ?, level = ?, priority = ?, reason = ?,
+          approvers = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(rule.tool, rule.callerType, rule.callerId, rule.deviceId,
+      rule.args ? JSON.stringify(rule.args) : null, rule.decision, rule.level, rule.priority, rule.reason,
+      rule.approvers, enabled ? 1 : 0, id);
+
+    logger.info('Tool policy updated', { id });
+    return this.getRule(id);
+  }
+
+  deleteRule(id) {
+    const result = this.db.prepare(`DELETE FROM tool_policies WHERE id = ?`).run(id);
+    if (result.changes === 0) {
+      throw notFound(`정책을 찾을 수 없습니다: ${id}`);
+    }
+    logger.info('Tool policy deleted', { id });
+    return { id, deleted: true };
+  }
+
+  getRule(id) {
+    const builtin = this.defaults.find(rule => rule.id === id);
+    if (builtin) return { ...builtin, enabled: true };
+    const row = this.db.prepare(`SELECT * FROM tool_policies WHERE id = ?`).get(id);
+    if (!row) {
+      throw notFound(`정책을 찾을 수 없습니다: ${id}`);
+    }
+    return this._fromRow(row);
+  }
+
+  /**
+   * 결정 기록 조회 (최근 순)
+   * @param {Object} filters - { tool, callerType, callerId, decision, limit }
+   */
+  listDecisions({ tool, callerType, callerId, decision, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (tool) { conditions.push('tool = ?'); params.push(tool); }
+    if (callerType) { conditions.push('caller_type = ?'); params.push(callerType); }
+    if (callerId) { conditions.push('caller_id = ?'); params.push(String(callerId)); }
+    if (decision) { conditions.push('decision = ?'); params.push(decision); }
+
+    const pageSize = Math.min(Math.max(Number(limit) || 100, 1), MAX_DECISIONS_PAGE);
+    return this.db.prepare(`
+      SELECT * FROM tool_policy_decisions
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...params, pageSize);
+  }
+
+  _fromRow(row) {
+    let args = null;
+    let invalid = false;
+    try {
+      args = row.args ? JSON.parse(row.args) : null;
+    } catch {
+      // 인자 조건을 읽지 못한 규칙은 전체에 적용되지 않도록 평가에서 뺀다
+      invalid = true;
+      logger.warn('Tool policy has invalid args JSON', { id: row.id });
+    }
+    return {
+      id: row.id,
+      source: 'db',
+      tool: row.tool,
+      callerType: row.caller_type,
+      callerId: row.caller_id,
+      deviceId: row.device_id,
+      args,
+      decision: row.decision,
+      level: row.level,
+      priority: row.priority,
+      reason: row.reason,
+      approvers: row.approvers ?? null,
+      enabled: row.enabled === 1,
+      ...(invalid && { invalid }),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
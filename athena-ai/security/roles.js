@@ -0,0 +1,45 @@
+/**
+ * 사용자 역할 - HTTP 라우트(server/auth.js의 requireRole)와 MCP 도구가 같이 쓴다
+ *
+ * 역할별 사용자 목록은 환경 변수(쉼표로 구분한 사용자 ID)이고, admin은 모든 역할을 겸한다.
+ * 웹 사용자는 사용자 ID 그대로, 채널 사용자는 `discord:123`처럼 채널을 붙인 ID로 적는다.
+ * - admin: 도구 실행 정책 관리 · 예산 한도 관리 · 서버 운영 작업 (캐시 비우기, 서킷 브레이커 초기화)
+ * - approver: 다른 사용자가 요청한 도구 호출 승인 · 거부, 모든 승인 요청 조회
+ * - auditor: 감사 로그 검색 · 검증
+ */
+
+const ROLE_USERS_ENV = {
+  admin: 'ATHENA_ADMIN_USERS',
+  approver: 'ATHENA_APPROVER_USERS',
+  auditor: 'ATHENA_AUDITOR_USERS'
+};
+
+function roleUsers(role) {
+  return String(process.env[ROLE_USERS_ENV[role]] || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 사용자가 역할을 가졌는지 (admin은 모든 역할)
+ * @param {string} userId
+ * @param {'admin'|'approver'|'auditor'} role
+ * @returns {boolean}
+ */
+export function hasRole(userId, role) {
+  if (!userId) return false;
+  return roleUsers('admin').includes(userId) || (role !== 'admin' && roleUsers(role).includes(userId));
+}
+
+/**
+ * 도구 호출자(context.caller)가 역할을 가졌는지 - 웹은 사용자 ID, 그 밖의 채널은 `type:id`로 확인
+ * @param {Object} caller - { type, id }
+ * @param {'admin'|'approver'|'auditor'} role
+ * @returns {boolean}
+ */
+export function callerHasRole(caller, role) {
+  if (!caller?.id) return false;
+  const userId = caller.type === 'web' ? String(caller.id) : `${caller.type}:${caller.id}`;
+  return hasRole(userId, role);
+}
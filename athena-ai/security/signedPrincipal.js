@@ -0,0 +1,66 @@
+/**
+ * 서명된 사용자(principal) 값 - Next.js 앱의 로그인 쿠키와, 앱이 백엔드 /api를 부를 때 넘기는 사용자
+ *
+ * 값은 `base64url(사용자 ID).만료 시각(ms).HMAC-SHA256 서명`이고, 서명 키는 두 프로세스가 함께 쓰는
+ * ATHENA_SESSION_SECRET이다. 키를 모르면 다른 사용자로 위조할 수 없으므로, 앱은 브라우저 사용자마다
+ * 자기 신원으로 백엔드를 부를 수 있다 (server/auth.js의 authenticate가 X-Athena-Principal 헤더로 확인).
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const PRINCIPAL_HEADER = 'x-athena-principal';
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const MIN_SECRET_LENGTH = 32;
+
+function resolveSecret(secret) {
+  const value = secret ?? process.env.ATHENA_SESSION_SECRET;
+  if (!value || String(value).length < MIN_SECRET_LENGTH) {
+    const error = new Error(`ATHENA_SESSION_SECRET(${MIN_SECRET_LENGTH}자 이상)가 설정되지 않았습니다`);
+    error.code = 'PRINCIPAL_SECRET_MISSING';
+    throw error;
+  }
+  return String(value);
+}
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * 사용자 ID에 만료 시각과 서명을 붙인다
+ * @param {string} userId
+ * @param {Object} options - { ttlMs: 유효 시간 (기본 1분), secret: 서명 키 (기본 ATHENA_SESSION_SECRET) }
+ * @returns {string}
+ */
+export function signPrincipal(userId, { ttlMs = DEFAULT_TTL_MS, secret } = {}) {
+  if (!userId) throw new Error('userId가 필요합니다');
+  const payload = `${Buffer.from(String(userId)).toString('base64url')}.${Date.now() + ttlMs}`;
+  return `${payload}.${sign(payload, resolveSecret(secret))}`;
+}
+
+/**
+ * 서명 확인 - 올바르고 만료되지 않았으면 사용자 ID, 아니면 null (서명 키가 없어도 null)
+ * @param {string} value
+ * @param {Object} options - { secret }
+ * @returns {string|null}
+ */
+export function verifyPrincipal(value, { secret } = {}) {
+  let key;
+  try {
+    key = resolveSecret(secret);
+  } catch {
+    return null;
+  }
+
+  const parts = String(value || '').split('.');
+  if (parts.length !== 3) return null;
+  const [encodedUserId, expiresAt, signature] = parts;
+
+  const expected = Buffer.from(sign(`${encodedUserId}.${expiresAt}`, key));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  if (!(Number(expiresAt) > Date.now())) return null;
+
+  const userId = Buffer.from(encodedUserId, 'base64url').toString('utf-8');
+  return userId || null;
+}
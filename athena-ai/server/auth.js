@@ -1,6 +1,11 @@
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { getDatabase } from '../database/schema.js';
+import { PRINCIPAL_HEADER, verifyPrincipal } from '../security/signedPrincipal.js';
+import { hasRole } from '../security/roles.js';
+
+// 역할 확인은 security/roles.js (MCP 도구도 같이 쓴다)
+export { hasRole };
 
 /**
  * Passport Google OAuth 전략 설정
@@ -70,14 +75,77 @@ export function setupPassport(dbPath) {
   });
 }
 
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 요청의 사용자(principal) 결정 - /api 라우터 전체에 건다
+ * - Authorization: Bearer <API 토큰> → 토큰 주인 (토큰이 틀리면 바로 401)
+ * - X-Athena-Principal: Next.js 앱이 로그인한 브라우저 사용자를 대신해 보낸 서명 값 (security/signedPrincipal.js, 틀리면 401)
+ * - Passport 로그인 세션 → req.user
+ * - 둘 다 없으면 req.principal = null (익명, 보호된 라우트는 requireAuth가 막는다)
+ * @param {Object} options
+ * @param {import('../security/apiTokens.js').ApiTokenManager} options.apiTokens
+ */
+export function authenticate({ apiTokens }) {
+  return (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (match) {
+      const token = apiTokens.verifyToken(match[1]);
+      if (!token) {
+        return next(httpError(401, '유효하지 않은 API 토큰입니다'));
+      }
+      req.principal = { userId: token.userId, via: 'token', tokenId: token.id };
+      return next();
+    }
+
+    const signed = req.get(PRINCIPAL_HEADER);
+    if (signed) {
+      const userId = verifyPrincipal(signed);
+      if (!userId) {
+        return next(httpError(401, '유효하지 않은 사용자 서명입니다'));
+      }
+      req.principal = { userId, via: 'proxy' };
+      return next();
+    }
+
+    req.principal = req.isAuthenticated?.() && req.user?.id
+      ? { userId: req.user.id, via: 'session' }
+      : null;
+    next();
+  };
+}
+
 /**
- * 인증 미들웨어 - 로그인 필요
+ * 인증 미들웨어 - 로그인(세션) 또는 API 토큰 필요
  */
 export function requireAuth(req, res, next) {
-  if (req.isAuthenticated()) {
+  if (!req.principal && req.isAuthenticated?.() && req.user?.id) {
+    req.principal = { userId: req.user.id, via: 'session' };
+  }
+  if (req.principal) {
     return next();
   }
-  res.status(401).json({ error: '인증이 필요합니다' });
+  next(httpError(401, '인증이 필요합니다'));
+}
+
+/**
+ * 역할 확인 미들웨어 - requireAuth 뒤에 건다 (역할이 없으면 403)
+ * @param {'admin'|'approver'|'auditor'} role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.principal) {
+      return next(httpError(401, '인증이 필요합니다'));
+    }
+    if (!hasRole(req.principal.userId, role)) {
+      return next(httpError(403, `${role} 권한이 필요합니다`));
+    }
+    next();
+  };
 }
 
 /**
@@ -88,3 +156,17 @@ export function optionalAuth(req, res, next) {
   next();
 }
 
+/**
+ * 요청이 다루는 사용자 ID - 인증된 사용자 자신
+ * 경로·body·query로 받은 userId는 예전 클라이언트 호환용으로만 받고, 인증된 사용자와 다르면 403
+ * @param {Object} req - requireAuth를 통과한 요청
+ * @param {string} [claimedUserId] - 클라이언트가 보낸 userId
+ * @returns {string}
+ */
+export function principalUserId(req, claimedUserId) {
+  const { userId } = req.principal;
+  if (claimedUserId !== undefined && claimedUserId !== null && claimedUserId !== '' && String(claimedUserId) !== userId) {
+    throw httpError(403, '다른 사용자의 데이터에는 접근할 수 없습니다');
+  }
+  return userId;
+}
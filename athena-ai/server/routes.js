@@ -4,7 +4,10 @@ import { AthenaOrchestrator } from '../core/orchestrator.js';
 import { WebSearchService } from '../utils/webSearch.js';
 import { asyncHandler, createErrorResponse } from '../utils/errorHandler.js';
 import { logger } from '../utils/logger.js';
-import { getDatabase } from '../database/schema.js';
+import { previewSchedule } from '../utils/cron.js';
+import { getModelRegistry } from '../ai/registry/index.js';
+import { ApiTokenManager } from '../security/apiTokens.js';
+import { authenticate, requireAuth, requireRole, hasRole, principalUserId } from './auth.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -42,21 +45,130 @@ const upload = multer({
   }
 });
 
+/**
+ * 요청별 응답 캐시 설정 - body의 cache: false(멀티파트는 'false') 또는 Cache-Control: no-cache면 사용 안 함
+ */
+function readCacheOption(req) {
+  const optOut = req.body?.cache === false || req.body?.cache === 'false' ||
+    /no-cache|no-store/.test(req.get('cache-control') || '');
+  return optOut ? { enabled: false } : {};
+}
+
+/**
+ * 요청별 토론 설정 - body의 debate(멀티파트는 JSON 문자열, true면 기본 설정). 있으면 토론 모드로 진행
+ * 스트림을 시작하기 전에 검증해 잘못된 설정은 400으로 돌려준다.
+ */
+function readDebateOption(req, debateManager) {
+  let debate = req.body?.debate;
+  if (debate === undefined || debate === null || debate === '' || debate === false || debate === 'false') return null;
+  if (debate === true || debate === 'true') return {};
+  if (typeof debate === 'string') {
+    try {
+      debate = JSON.parse(debate);
+    } catch {
+      const error = new Error('debate는 JSON 객체여야 합니다');
+      error.status = 400;
+      throw error;
+    }
+  }
+  return debateManager.normalizeConfig(debate);
+}
+
+/**
+ * 요청별 계획 옵션 - body의 plan(멀티파트는 JSON 문자열, true면 바로 실행, { review: true }면 검토 대기). 있으면 계획 모드로 진행
+ */
+function readPlanOption(req, planManager) {
+  let plan = req.body?.plan;
+  if (plan === undefined || plan === null || plan === '' || plan === false || plan === 'false') return null;
+  if (plan === 'true') plan = true;
+  if (typeof plan === 'string') {
+    try {
+      plan = JSON.parse(plan);
+    } catch {
+      const error = new Error('plan은 true 또는 JSON 객체여야 합니다');
+      error.status = 400;
+      throw error;
+    }
+  }
+  return planManager.normalizeRequest(plan);
+}
+
+/**
+ * 요청한 사용자의 기록(세션·계획·토론·투표) 확인 - 없거나 다른 사용자의 것이면 404 (있다는 것도 드러내지 않는다)
+ */
+function ownRecord(record, userId, message) {
+  if (!record || (record.userId ?? record.user_id) !== userId) {
+    const error = new Error(message);
+    error.status = 404;
+    throw error;
+  }
+  return record;
+}
+
+/**
+ * 요청한 사용자의 계획 조회 (없거나 다른 사용자의 계획이면 404)
+ */
+function getOwnPlan(planManager, planId, userId) {
+  return ownRecord(planManager.getPlan(planId), userId, '계획을 찾을 수 없습니다');
+}
+
+/**
+ * 요청한 사용자의 세션 조회 (없거나 다른 사용자의 세션이면 404)
+ */
+function getOwnSession(memory, sessionId, userId) {
+  return ownRecord(memory.getSession(sessionId), userId, '세션을 찾을 수 없습니다');
+}
+
+/**
+ * 채팅·피드백처럼 세션 ID를 받는 요청 - 세션은 요청한 사용자의 것이어야 한다 (아니면 404)
+ * 세션 행이 없는 ID(세션 생성에 실패한 프론트엔드가 만든 ID 등)는 다른 사용자의 대화가 남아 있으면 거부하고,
+ * claim이면 요청한 사용자의 세션 행을 만든다 (조회는 만들지 않는다).
+ */
+function assertSessionAccess(memory, sessionId, userId, { claim = false } = {}) {
+  const session = claim ? memory.claimSession(sessionId, userId) : memory.getSession(sessionId);
+  if (session || memory.hasForeignMessages(sessionId, userId)) {
+    ownRecord(session, userId, '세션을 찾을 수 없습니다');
+  }
+}
+
+/**
+ * 승인 요청을 볼 수 있는지 - approver(admin 포함)는 전부, 그 밖에는 웹에서 자기가 요청한 것만
+ */
+function canViewApproval(request, userId) {
+  return hasRole(userId, 'approver') || (request.requester?.type === 'web' && request.requester.id === userId);
+}
+
+/**
+ * 요청한 사용자의 프로젝트인지 확인 (없거나 다른 사용자의 프로젝트면 404)
+ */
+function assertOwnProject(db, projectId, userId) {
+  ownRecord(db.prepare('SELECT user_id FROM projects WHERE id = ?').get(projectId), userId, '프로젝트를 찾을 수 없습니다');
+}
+
 export function createRoutes(orchestrator, webSearch) {
   const router = express.Router();
+  const apiTokens = new ApiTokenManager({ db: orchestrator.memory.db });
+
+  // 요청의 사용자: Passport 세션 또는 API 토큰 (server/auth.js)
+  // 사용자 데이터(세션·기억·결정 로그·프로젝트·계획 등) 라우트는 requireAuth를 거치고, userId는 인증된 사용자로 정한다
+  router.use(authenticate({ apiTokens }));
 
   /**
    * POST /api/chat
    * 메인 채팅 엔드포인트
    */
-  router.post('/chat', asyncHandler(async (req, res) => {
-      const { userId, sessionId, message } = req.body;
+  router.post('/chat', requireAuth, asyncHandler(async (req, res) => {
+      const { sessionId, message } = req.body;
+      const userId = principalUserId(req, req.body.userId);
 
-      if (!userId || !sessionId || !message) {
-      const error = new Error('필수 파라미터 누락: userId, sessionId, message');
+      if (!sessionId || !message) {
+      const error = new Error('필수 파라미터 누락: sessionId, message');
       error.status = 400;
       throw error;
     }
+    assertSessionAccess(orchestrator.memory, sessionId, userId, { claim: true });
+    const debate = readDebateOption(req, orchestrator.debateManager);
+    const plan = readPlanOption(req, orchestrator.planManager);
 
     logger.debug('Chat request received', { userId, sessionId, messageLength: message.length });
 
@@ -121,7 +233,7 @@ export function createRoutes(orchestrator, webSearch) {
     }
 
     // Orchestrator를 통해 처리 (검색 결과 전달)
-    const result = await orchestrator.process(userId, sessionId, message, searchResults);
+    const result = await orchestrator.process(userId, sessionId, message, searchResults, readCacheOption(req), debate, plan);
 
     logger.info('Chat response generated', {
       strategy: result.strategy,
@@ -146,15 +258,19 @@ export function createRoutes(orchestrator, webSearch) {
    * POST /api/chat/stream
    * 스트리밍 채팅 (파일 업로드 지원)
    */
-  router.post('/chat/stream', upload.array('files', 10), asyncHandler(async (req, res) => {
-    const { userId, sessionId, message } = req.body;
+  router.post('/chat/stream', requireAuth, upload.array('files', 10), asyncHandler(async (req, res) => {
+    const { sessionId, message } = req.body;
+    const userId = principalUserId(req, req.body.userId);
     const files = req.files || [];
 
-    if (!userId || !sessionId) {
-      const error = new Error('필수 파라미터 누락: userId, sessionId');
+    if (!sessionId) {
+      const error = new Error('필수 파라미터 누락: sessionId');
       error.status = 400;
       throw error;
     }
+    assertSessionAccess(orchestrator.memory, sessionId, userId, { claim: true });
+    const debate = readDebateOption(req, orchestrator.debateManager);
+    const plan = readPlanOption(req, orchestrator.planManager);
 
     logger.debug('Stream chat request received', { 
       userId, 
@@ -181,12 +297,7 @@ export function createRoutes(orchestrator, webSearch) {
           try {
             const fileBuffer = fs.readFileSync(file.path);
             const base64Image = fileBuffer.toString('base64');
-            imageData.push({
-              type: 'image_url',
-              image_url: {
-                url: `data:${file.mimetype};base64,${base64Image}`
-              }
-            });
+            imageData.push({ type: 'image', mimeType: file.mimetype, data: base64Image });
             fileInfoItem.processed = true;
           } catch (error) {
             logger.error('Failed to process image file', error, { filename: file.originalname });
@@ -280,7 +391,7 @@ export function createRoutes(orchestrator, webSearch) {
 
     // 스트리밍 처리 (이미지 데이터 포함)
     try {
-      for await (const chunk of orchestrator.processStream(userId, sessionId, finalMessage, searchResults, imageData)) {
+      for await (const chunk of orchestrator.processStream(userId, sessionId, finalMessage, searchResults, imageData, null, readCacheOption(req), debate, plan)) {
         res.write(`data: ${chunk.trim()}\n\n`);
       }
       res.write('data: [DONE]\n\n');
@@ -297,14 +408,9 @@ export function createRoutes(orchestrator, webSearch) {
    * POST /api/session/new
    * 새 세션 생성
    */
-  router.post('/session/new', asyncHandler(async (req, res) => {
-      const { userId, title } = req.body;
-
-      if (!userId) {
-      const error = new Error('userId 필요');
-      error.status = 400;
-      throw error;
-      }
+  router.post('/session/new', requireAuth, asyncHandler(async (req, res) => {
+      const { title } = req.body;
+      const userId = principalUserId(req, req.body.userId);
 
       // 사용자가 없으면 자동 생성
       try {
@@ -330,15 +436,9 @@ export function createRoutes(orchestrator, webSearch) {
    * GET /api/session/:sessionId
    * 세션 정보 조회
    */
-  router.get('/session/:sessionId', asyncHandler(async (req, res) => {
+  router.get('/session/:sessionId', requireAuth, asyncHandler(async (req, res) => {
       const { sessionId } = req.params;
-      const session = orchestrator.memory.getSession(sessionId);
-
-      if (!session) {
-      const error = new Error('세션을 찾을 수 없습니다');
-      error.status = 404;
-      throw error;
-      }
+      const session = getOwnSession(orchestrator.memory, sessionId, req.principal.userId);
 
       const messages = orchestrator.memory.getShortTermMemory(sessionId);
 
@@ -353,10 +453,11 @@ export function createRoutes(orchestrator, webSearch) {
    * DELETE /api/session/:sessionId
    * 세션 삭제
    */
-  router.delete('/session/:sessionId', asyncHandler(async (req, res) => {
+  router.delete('/session/:sessionId', requireAuth, asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
+    getOwnSession(orchestrator.memory, sessionId, req.principal.userId);
     orchestrator.memory.deleteSession(sessionId);
-    logger.info('Session deleted', { sessionId });
+    logger.info('Session deleted', { sessionId, userId: req.principal.userId });
 
     res.json({
       success: true,
@@ -366,10 +467,10 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/sessions/:userId
-   * 사용자의 모든 세션 조회
+   * 사용자의 모든 세션 조회 (자기 자신만)
    */
-  router.get('/sessions/:userId', asyncHandler(async (req, res) => {
-      const { userId } = req.params;
+  router.get('/sessions/:userId', requireAuth, asyncHandler(async (req, res) => {
+      const userId = principalUserId(req, req.params.userId);
       const sessions = orchestrator.memory.getUserSessions(userId);
 
       res.json({
@@ -382,8 +483,9 @@ export function createRoutes(orchestrator, webSearch) {
    * POST /api/memory/long-term
    * 장기 기억 추가
    */
-  router.post('/memory/long-term', asyncHandler(async (req, res) => {
-      const { userId, category, title, content, tags, importance } = req.body;
+  router.post('/memory/long-term', requireAuth, asyncHandler(async (req, res) => {
+      const { category, title, content, tags, importance } = req.body;
+      const userId = principalUserId(req, req.body.userId);
 
       const result = orchestrator.memory.addLongTermMemory(
         userId,
@@ -404,10 +506,10 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/memory/long-term/:userId
-   * 장기 기억 조회
+   * 장기 기억 조회 (자기 자신만)
    */
-  router.get('/memory/long-term/:userId', asyncHandler(async (req, res) => {
-      const { userId } = req.params;
+  router.get('/memory/long-term/:userId', requireAuth, asyncHandler(async (req, res) => {
+      const userId = principalUserId(req, req.params.userId);
       const { category } = req.query;
 
       const memories = orchestrator.memory.getLongTermMemory(userId, category);
@@ -420,10 +522,10 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/memory/search/:userId
-   * 장기 기억 검색
+   * 장기 기억 검색 (자기 자신만)
    */
-  router.get('/memory/search/:userId', asyncHandler(async (req, res) => {
-      const { userId } = req.params;
+  router.get('/memory/search/:userId', requireAuth, asyncHandler(async (req, res) => {
+      const userId = principalUserId(req, req.params.userId);
       const { q } = req.query;
 
       if (!q) {
@@ -444,8 +546,9 @@ export function createRoutes(orchestrator, webSearch) {
    * GET /api/decision-log/:sessionId
    * 의사결정 로그 조회
    */
-  router.get('/decision-log/:sessionId', asyncHandler(async (req, res) => {
+  router.get('/decision-log/:sessionId', requireAuth, asyncHandler(async (req, res) => {
       const { sessionId } = req.params;
+      getOwnSession(orchestrator.memory, sessionId, req.principal.userId);
       const log = orchestrator.memory.getDecisionLog(sessionId);
 
       res.json({
@@ -456,22 +559,47 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/health
-   * AI 프로바이더 상태 확인
+   * AI 프로바이더 상태 확인 (서킷 브레이커 상태 포함, provider 호출 없음)
    */
   router.get('/health', asyncHandler(async (req, res) => {
       const status = {};
+      const circuits = orchestrator.providerHealth.getStatus();
 
       for (const [name, provider] of Object.entries(orchestrator.providers)) {
-        status[name] = provider.getStatus();
+        status[name] = {
+          ...provider.getStatus(),
+          model: provider.model || null,
+          circuit: circuits[name] || null
+        };
       }
 
       res.json({
         success: true,
         providers: status,
+        fallbackOrder: orchestrator.fallbackOrder.filter(name => orchestrator.providers[name]),
         currentBrain: orchestrator.currentBrain?.name || null
       });
   }));
 
+  /**
+   * POST /api/health/:provider/reset
+   * 서킷 브레이커 수동 초기화 (API 키 교체 등으로 복구된 경우, admin만)
+   */
+  router.post('/health/:provider/reset', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+      const { provider } = req.params;
+
+      if (!orchestrator.providerHealth.reset(provider)) {
+        const error = new Error(`알 수 없는 provider: ${provider}`);
+        error.status = 404;
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        circuit: orchestrator.providerHealth.getStatus()[provider]
+      });
+  }));
+
   /**
    * POST /api/search
    * 웹 검색 엔드포인트
@@ -589,6 +717,52 @@ export function createRoutes(orchestrator, webSearch) {
     });
   }));
 
+  /**
+   * GET /api/performance/models
+   * 모델 레지스트리 (provider별 기본 모델/특성, 모델별 컨텍스트 길이·기능·가격)
+   */
+  router.get('/performance/models', asyncHandler(async (req, res) => {
+    const { providers, models } = getModelRegistry().toJSON();
+
+    res.json({
+      success: true,
+      providers: providers.map(provider => ({
+        ...provider,
+        configured: Boolean(orchestrator.providers[provider.name]),
+        activeModel: orchestrator.providers[provider.name]?.model || null
+      })),
+      models
+    });
+  }));
+
+  /**
+   * GET /api/performance/cache
+   * 응답 캐시 현황 및 적중률 (provider/작업 유형별)
+   */
+  router.get('/performance/cache', asyncHandler(async (req, res) => {
+    const { days } = req.query;
+
+    res.json({
+      success: true,
+      cache: orchestrator.responseCache.getStats(parseInt(days) || 7)
+    });
+  }));
+
+  /**
+   * DELETE /api/performance/cache
+   * 응답 캐시 비우기 (?provider=로 특정 provider만, admin만)
+   */
+  router.delete('/performance/cache', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { provider } = req.query;
+    const removed = orchestrator.responseCache.clear(provider || null);
+
+    logger.info('Response cache cleared', { provider: provider || 'all', removed });
+    res.json({
+      success: true,
+      removed
+    });
+  }));
+
   /**
    * GET /api/performance/history
    * 성능 히스토리 조회 (시간별)
@@ -608,10 +782,11 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * POST /api/search/feedback
-   * 검색 결과 피드백 저장
+   * 검색 결과 피드백 저장 (인증된 사용자로 기록)
    */
-  router.post('/search/feedback', asyncHandler(async (req, res) => {
-    const { query, resultUrl, feedbackType, userId } = req.body;
+  router.post('/search/feedback', requireAuth, asyncHandler(async (req, res) => {
+    const { query, resultUrl, feedbackType } = req.body;
+    const userId = principalUserId(req, req.body.userId);
 
     if (!query || !resultUrl || !feedbackType) {
       const error = new Error('필수 파라미터 누락: query, resultUrl, feedbackType');
@@ -625,7 +800,7 @@ export function createRoutes(orchestrator, webSearch) {
       throw error;
     }
 
-    webSearch.saveSearchFeedback(query, resultUrl, feedbackType, userId || null);
+    webSearch.saveSearchFeedback(query, resultUrl, feedbackType, userId);
     
     res.json({
       success: true,
@@ -650,10 +825,11 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * POST /api/debate/feedback
-   * Debate 의견 피드백 저장
+   * Debate 의견 피드백 저장 (argumentId 또는 round를 주면 해당 발언/라운드에 연결)
    */
-  router.post('/debate/feedback', asyncHandler(async (req, res) => {
-    const { sessionId, debateId, feedbackType, userId } = req.body;
+  router.post('/debate/feedback', requireAuth, asyncHandler(async (req, res) => {
+    const { sessionId, debateId, feedbackType, argumentId, round } = req.body;
+    const userId = principalUserId(req, req.body.userId);
 
     if (!sessionId || !debateId || !feedbackType) {
       const error = new Error('필수 파라미터 누락: sessionId, debateId, feedbackType');
@@ -666,13 +842,17 @@ export function createRoutes(orchestrator, webSearch) {
       error.status = 400;
       throw error;
     }
+    assertSessionAccess(orchestrator.memory, sessionId, userId, { claim: true });
+
+    orchestrator.debateManager.recordFeedback({
+      sessionId,
+      debateId,
+      feedbackType,
+      userId,
+      argumentId: argumentId || null,
+      round: round ?? null
+    });
 
-    const db = getDatabase();
-    db.prepare(`
-      INSERT INTO debate_feedback (session_id, debate_id, feedback_type, user_id)
-      VALUES (?, ?, ?, ?)
-    `).run(sessionId, debateId, feedbackType, userId || null);
-    
     res.json({
       success: true,
       message: '피드백이 저장되었습니다'
@@ -681,42 +861,70 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/debate/feedback/:sessionId/:debateId
-   * Debate 의견 피드백 통계 조회
+   * Debate 의견 피드백 통계 조회 (전체 + 라운드별 + 발언별)
    */
-  router.get('/debate/feedback/:sessionId/:debateId', asyncHandler(async (req, res) => {
+  router.get('/debate/feedback/:sessionId/:debateId', requireAuth, asyncHandler(async (req, res) => {
     const { sessionId, debateId } = req.params;
-    const db = getDatabase();
-    
-    const stats = db.prepare(`
-      SELECT 
-        feedback_type,
-        COUNT(*) as count
-      FROM debate_feedback
-      WHERE session_id = ? AND debate_id = ?
-      GROUP BY feedback_type
-    `).all(sessionId, debateId);
-
-    const result = { like: 0, dislike: 0 };
-    stats.forEach(stat => {
-      if (stat.feedback_type === 'like') {
-        result.like = stat.count;
-      } else if (stat.feedback_type === 'dislike') {
-        result.dislike = stat.count;
-      }
+    assertSessionAccess(orchestrator.memory, sessionId, req.principal.userId);
+    const stats = orchestrator.debateManager.getFeedbackStats(sessionId, debateId);
+
+    res.json({
+      success: true,
+      stats
     });
+  }));
+
+  /**
+   * GET /api/debate/config/:projectId
+   * 프로젝트 토론 설정 조회 (effective: 기본값을 합친 실제 적용 값)
+   */
+  router.get('/debate/config/:projectId', requireAuth, asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    assertOwnProject(orchestrator.memory.db, projectId, req.principal.userId);
 
     res.json({
       success: true,
-      stats: result
+      config: orchestrator.debateManager.getProjectConfig(projectId),
+      effective: orchestrator.debateManager.resolveConfig(projectId)
+    });
+  }));
+
+  /**
+   * PUT /api/debate/config/:projectId
+   * 프로젝트 토론 설정 저장 (rounds, maxAgents, stances, judge, earlyStop, convergenceThreshold / null이면 초기화)
+   */
+  router.put('/debate/config/:projectId', requireAuth, asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    assertOwnProject(orchestrator.memory.db, projectId, req.principal.userId);
+    const config = orchestrator.debateManager.setProjectConfig(projectId, req.body?.config ?? null);
+
+    res.json({
+      success: true,
+      config,
+      effective: orchestrator.debateManager.resolveConfig(projectId)
+    });
+  }));
+
+  /**
+   * GET /api/debate/:debateId
+   * 토론 기록 조회 (설정, 라운드별 발언, 결론)
+   */
+  router.get('/debate/:debateId', requireAuth, asyncHandler(async (req, res) => {
+    const debate = ownRecord(orchestrator.debateManager.getDebate(req.params.debateId), req.principal.userId, '토론 기록을 찾을 수 없습니다');
+
+    res.json({
+      success: true,
+      debate
     });
   }));
 
   /**
    * POST /api/voting/feedback
-   * Voting 선택 피드백 저장
+   * Voting 선택 피드백 저장 (ballotId를 주면 해당 투표지의 AI에 연결되어 이후 투표 가중치에 반영)
    */
-  router.post('/voting/feedback', asyncHandler(async (req, res) => {
-    const { sessionId, voteId, feedbackType, userId } = req.body;
+  router.post('/voting/feedback', requireAuth, asyncHandler(async (req, res) => {
+    const { sessionId, voteId, feedbackType, ballotId } = req.body;
+    const userId = principalUserId(req, req.body.userId);
 
     if (!sessionId || !voteId || !feedbackType) {
       const error = new Error('필수 파라미터 누락: sessionId, voteId, feedbackType');
@@ -729,13 +937,16 @@ export function createRoutes(orchestrator, webSearch) {
       error.status = 400;
       throw error;
     }
+    assertSessionAccess(orchestrator.memory, sessionId, userId, { claim: true });
+
+    orchestrator.votingManager.recordFeedback({
+      sessionId,
+      voteId,
+      feedbackType,
+      userId,
+      ballotId: ballotId || null
+    });
 
-    const db = getDatabase();
-    db.prepare(`
-      INSERT INTO voting_feedback (session_id, vote_id, feedback_type, user_id)
-      VALUES (?, ?, ?, ?)
-    `).run(sessionId, voteId, feedbackType, userId || null);
-    
     res.json({
       success: true,
       message: '피드백이 저장되었습니다'
@@ -744,91 +955,412 @@ export function createRoutes(orchestrator, webSearch) {
 
   /**
    * GET /api/voting/feedback/:sessionId/:voteId
-   * Voting 선택 피드백 통계 조회
+   * Voting 선택 피드백 통계 조회 (전체 + AI별)
    */
-  router.get('/voting/feedback/:sessionId/:voteId', asyncHandler(async (req, res) => {
+  router.get('/voting/feedback/:sessionId/:voteId', requireAuth, asyncHandler(async (req, res) => {
     const { sessionId, voteId } = req.params;
-    const db = getDatabase();
-    
-    const stats = db.prepare(`
-      SELECT 
-        feedback_type,
-        COUNT(*) as count
-      FROM voting_feedback
-      WHERE session_id = ? AND vote_id = ?
-      GROUP BY feedback_type
-    `).all(sessionId, voteId);
-
-    const result = { like: 0, dislike: 0 };
-    stats.forEach(stat => {
-      if (stat.feedback_type === 'like') {
-        result.like = stat.count;
-      } else if (stat.feedback_type === 'dislike') {
-        result.dislike = stat.count;
-      }
+    assertSessionAccess(orchestrator.memory, sessionId, req.principal.userId);
+    const stats = orchestrator.votingManager.getFeedbackStats(sessionId, voteId);
+
+    res.json({
+      success: true,
+      stats
     });
+  }));
+
+  /**
+   * GET /api/voting/weights
+   * 투표 가중치 조회 (?agents=ChatGPT,Claude, 생략하면 등록된 모든 provider)
+   */
+  router.get('/voting/weights', requireAuth, asyncHandler(async (req, res) => {
+    const agents = req.query.agents
+      ? String(req.query.agents).split(',').map(name => name.trim()).filter(Boolean)
+      : Object.keys(orchestrator.providers);
+
+    res.json({
+      success: true,
+      weights: orchestrator.votingManager.getAgentWeights(agents)
+    });
+  }));
+
+  /**
+   * GET /api/voting/:voteId
+   * 투표 기록 조회 (선택지, 투표지, 집계)
+   */
+  router.get('/voting/:voteId', requireAuth, asyncHandler(async (req, res) => {
+    const vote = ownRecord(orchestrator.votingManager.getVote(req.params.voteId), req.principal.userId, '투표 기록을 찾을 수 없습니다');
+
+    res.json({
+      success: true,
+      vote
+    });
+  }));
+
+  /**
+   * GET /api/plans/:planId
+   * 계획 조회 (단계 DAG, 상태, 단계별 실행 결과)
+   */
+  router.get('/plans/:planId', requireAuth, asyncHandler(async (req, res) => {
+    const plan = getOwnPlan(orchestrator.planManager, req.params.planId, req.principal.userId);
+
+    res.json({
+      success: true,
+      plan
+    });
+  }));
+
+  /**
+   * PUT /api/plans/:planId
+   * 검토 중(draft)인 계획의 단계 수정 (body: { steps })
+   */
+  router.put('/plans/:planId', requireAuth, asyncHandler(async (req, res) => {
+    const { steps } = req.body;
+    const userId = principalUserId(req, req.body.userId);
+    getOwnPlan(orchestrator.planManager, req.params.planId, userId);
 
     res.json({
       success: true,
-      stats: result
+      steps: orchestrator.planManager.updateSteps(req.params.planId, steps, orchestrator._planCatalog())
     });
   }));
 
+  /**
+   * POST /api/plans/:planId/run
+   * 검토를 마친 계획 실행 (SSE - plan_step_* 진행 이벤트와 최종 답변)
+   */
+  router.post('/plans/:planId/run', requireAuth, asyncHandler(async (req, res) => {
+    const userId = principalUserId(req, req.body.userId);
+    const plan = getOwnPlan(orchestrator.planManager, req.params.planId, userId);
+    if (plan.status !== 'draft') {
+      const error = new Error(`검토 중(draft)인 계획만 실행할 수 있습니다 (현재: ${plan.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    for await (const chunk of orchestrator.runPlanStream(userId, plan.id, readCacheOption(req))) {
+      res.write(`data: ${chunk.trim()}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }));
+
   /**
    * POST /api/command/:requestId/approve
-   * 위험 명령어 승인/거부
+   * 승인 요청(도구 정책의 ask 결정)에 승인/거부 한 표
+   * - 거부는 바로 확정, 승인은 required_approvals명이 모여야 확정 (모자라면 status: 'pending')
+   * - 요청한 에이전트 턴이 기다리는 중이면(awaited) 그 턴이 이어서 실행하고, 아니면 여기서 같은 도구 호출을 실행
+   * - 승인자는 인증된 사용자 (web:사용자 ID) - 여러 명 승인에서 한 사람이 여러 표를 낼 수 없다
    */
-  router.post('/command/:requestId/approve', asyncHandler(async (req, res) => {
+  router.post('/command/:requestId/approve', requireAuth, asyncHandler(async (req, res) => {
     const { requestId } = req.params;
-    const { approved, userId } = req.body;
+    const { approved } = req.body;
+    const userId = principalUserId(req, req.body.userId);
+    const gate = orchestrator.mcpManager.approvalGate;
 
-    const db = getDatabase();
-    const request = db.prepare('SELECT * FROM command_approvals WHERE id = ?').get(requestId);
+    // 볼 수 없는 요청은 없는 요청과 같게, 승인은 approver 역할만 (요청자는 자기 요청을 거부만 할 수 있다)
+    const request = gate.getRequest(requestId);
+    if (!request || !canViewApproval(request, userId)) {
+      const error = new Error('승인 요청을 찾을 수 없습니다');
+      error.status = 404;
+      throw error;
+    }
+    if (approved && !hasRole(userId, 'approver')) {
+      const error = new Error('approver 권한이 필요합니다');
+      error.status = 403;
+      throw error;
+    }
+
+    const decision = gate.decide(requestId, `web:${userId}`, Boolean(approved));
 
-    if (!request) {
+    if (decision.status === 'not_found') {
       const error = new Error('승인 요청을 찾을 수 없습니다');
       error.status = 404;
       throw error;
     }
 
-    if (request.status !== 'pending') {
-      const error = new Error('이미 처리된 요청입니다');
+    if (decision.status === 'forbidden') {
+      const error = new Error(decision.reason);
+      error.status = 403;
+      throw error;
+    }
+
+    if (decision.alreadyResolved) {
+      const error = new Error(decision.status === 'expired' ? '만료된 요청입니다' : '이미 처리된 요청입니다');
       error.status = 400;
       throw error;
     }
 
-    if (!approved) {
-      db.prepare('UPDATE command_approvals SET status = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ? WHERE id = ?')
-        .run('denied', userId || 'anonymous', requestId);
+    if (decision.status === 'denied') {
       return res.json({ success: true, status: 'denied' });
     }
 
-    // 승인 시 명령어 실행
-    const { execSync } = await import('child_process');
-    try {
-      const output = execSync(request.command, {
-        timeout: 30000, maxBuffer: 10 * 1024 * 1024, encoding: 'utf-8'
+    if (decision.status === 'pending') {
+      return res.json({
+        success: true,
+        status: 'pending',
+        approvals: decision.approvals,
+        requiredApprovals: decision.requiredApprovals,
+        ...(decision.duplicate && { duplicate: true })
       });
-      db.prepare('UPDATE command_approvals SET status = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?, result = ? WHERE id = ?')
-        .run('approved', userId || 'anonymous', output, requestId);
+    }
+
+    if (decision.awaited) {
+      return res.json({ success: true, status: 'approved', resumed: true });
+    }
+
+    // 기다리는 턴이 없으면 승인된 호출을 요청자로 실행 (승인자는 감사 로그에 남는다)
+    const execution = await orchestrator.mcpManager.executeApprovedRequest(requestId, {
+      approver: `web:${userId}`,
+      channel: 'web'
+    });
+
+    if (execution.success && execution.result?.success !== false) {
+      const output = typeof execution.result?.output === 'string' ? execution.result.output : execution.result;
+      gate.recordResult(requestId, { result: output });
       res.json({ success: true, status: 'approved', output });
-    } catch (execError) {
-      db.prepare('UPDATE command_approvals SET status = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?, error = ? WHERE id = ?')
-        .run('error', userId || 'anonymous', execError.message, requestId);
-      res.json({ success: false, status: 'error', error: execError.message });
+    } else {
+      const message = execution.error || execution.result?.error || '실행 실패';
+      gate.recordResult(requestId, { error: message });
+      res.json({ success: false, status: 'error', error: message });
     }
   }));
 
   /**
    * GET /api/command/pending
-   * 대기 중인 승인 요청 목록
-   */
-  router.get('/command/pending', asyncHandler(async (req, res) => {
-    const db = getDatabase();
-    const pending = db.prepare(
-      'SELECT * FROM command_approvals WHERE status = ? ORDER BY requested_at DESC'
-    ).all('pending');
-    res.json({ success: true, requests: pending });
+   * 대기 중인 승인 요청 목록 (도구·인자·미리보기·요청자·사유·승인 현황 포함)
+   * - approver는 전체, 그 밖의 사용자는 자기가 (웹에서) 요청한 것만
+   */
+  router.get('/command/pending', requireAuth, asyncHandler(async (req, res) => {
+    const requests = orchestrator.mcpManager.approvalGate.getPendingRequests()
+      .filter(request => canViewApproval(request, req.principal.userId));
+    res.json({ success: true, requests });
+  }));
+
+  /**
+   * GET /api/command/:requestId
+   * 승인 요청 1건 (볼 수 없는 요청은 404)
+   */
+  router.get('/command/:requestId', requireAuth, asyncHandler(async (req, res) => {
+    const request = orchestrator.mcpManager.approvalGate.getRequest(req.params.requestId);
+    if (!request || !canViewApproval(request, req.principal.userId)) {
+      const error = new Error('승인 요청을 찾을 수 없습니다');
+      error.status = 404;
+      throw error;
+    }
+    res.json({ success: true, request });
+  }));
+
+  /**
+   * GET /api/tokens
+   * 내 API 토큰 목록 (원문·hash 제외)
+   */
+  router.get('/tokens', requireAuth, asyncHandler(async (req, res) => {
+    res.json({ success: true, tokens: apiTokens.listTokens(req.principal.userId) });
+  }));
+
+  /**
+   * POST /api/tokens
+   * 내 API 토큰 발급 (body: { name, expiresInDays }) - 응답의 token은 이때만 볼 수 있다
+   */
+  router.post('/tokens', requireAuth, asyncHandler(async (req, res) => {
+    const { name, expiresInDays } = req.body;
+    const created = apiTokens.createToken(req.principal.userId, { name: name ?? null, expiresInDays: expiresInDays ?? null });
+    logger.info('API token created', { userId: req.principal.userId, tokenId: created.id });
+    res.json({ success: true, ...created });
+  }));
+
+  /**
+   * DELETE /api/tokens/:tokenId
+   * 내 API 토큰 폐기
+   */
+  router.delete('/tokens/:tokenId', requireAuth, asyncHandler(async (req, res) => {
+    const result = apiTokens.revokeToken(req.params.tokenId, req.principal.userId);
+    logger.info('API token revoked', { userId: req.principal.userId, tokenId: req.params.tokenId });
+    res.json({ success: true, ...result });
+  }));
+
+  // ─── 예산 한도 (admin만 - BudgetGate가 provider 호출 전에 강제한다) ───
+
+  /**
+   * GET /api/budget
+   * 전역 예산 설정과 범위별 한도 (오늘/이번 달 사용액 포함)
+   */
+  router.get('/budget', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      settings: orchestrator.budgetGate.getGlobalSettings(),
+      limits: orchestrator.budgetGate.getLimitStatus()
+    });
+  }));
+
+  /**
+   * PUT /api/budget/settings
+   * 전역 예산 설정 변경 (body: { monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled } - 넘긴 값만 바꾼다)
+   */
+  router.put('/budget/settings', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled } = req.body;
+    const settings = orchestrator.budgetGate.updateGlobalSettings({ monthlyBudget, dailyLimit, alertThreshold, autoStopEnabled });
+    logger.info('예산 설정 업데이트', { ...req.body, by: req.principal.userId });
+    res.json({ success: true, settings });
+  }));
+
+  /**
+   * PUT /api/budget/limits/:scope/:scopeId
+   * 범위별 한도 설정 (scope: user | provider | project, body: { dailyLimit, monthlyLimit, softThreshold })
+   */
+  router.put('/budget/limits/:scope/:scopeId', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { scope, scopeId } = req.params;
+    const { dailyLimit = null, monthlyLimit = null, softThreshold } = req.body;
+    const limit = orchestrator.budgetGate.setLimit(scope, scopeId, {
+      dailyLimit,
+      monthlyLimit,
+      ...(softThreshold !== undefined && { softThreshold })
+    });
+    logger.info('범위별 예산 한도 설정', { scope, scopeId, dailyLimit, monthlyLimit, by: req.principal.userId });
+    res.json({ success: true, limit });
+  }));
+
+  /**
+   * DELETE /api/budget/limits/:scope/:scopeId
+   */
+  router.delete('/budget/limits/:scope/:scopeId', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { scope, scopeId } = req.params;
+    if (!orchestrator.budgetGate.removeLimit(scope, scopeId)) {
+      const error = new Error('예산 한도를 찾을 수 없습니다');
+      error.status = 404;
+      throw error;
+    }
+    logger.info('범위별 예산 한도 삭제', { scope, scopeId, by: req.principal.userId });
+    res.json({ success: true });
+  }));
+
+  // ─── 도구 실행 정책 (admin만 - allow 규칙 하나로 모든 도구를 열 수 있다) ───
+
+  /**
+   * GET /api/policies
+   * 도구 실행 정책 목록 (DB 정책 + 기본 정책, priority 순)
+   */
+  router.get('/policies', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      defaultDecision: orchestrator.mcpManager.policyEngine.defaultDecision,
+      policies: orchestrator.mcpManager.policyEngine.listRules()
+    });
+  }));
+
+  /**
+   * POST /api/policies
+   * 정책 추가 (body: { tool, callerType, callerId, deviceId, args, decision, level, priority, reason })
+   */
+  router.post('/policies', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      policy: orchestrator.mcpManager.policyEngine.createRule(req.body)
+    });
+  }));
+
+  /**
+   * POST /api/policies/evaluate
+   * 도구 호출 1건에 어떤 결정이 내려질지 미리 확인 (기록하지 않음, body: { tool, args, caller })
+   */
+  router.post('/policies/evaluate', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { tool, args, caller } = req.body;
+    if (!tool) {
+      const error = new Error('tool이 필요합니다');
+      error.status = 400;
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      result: orchestrator.mcpManager.policyEngine.evaluate(tool, args || {}, { caller })
+    });
+  }));
+
+  /**
+   * GET /api/policies/decisions
+   * 정책 결정 기록 (query: tool, callerType, callerId, decision, limit)
+   */
+  router.get('/policies/decisions', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    const { tool, callerType, callerId, decision, limit } = req.query;
+    res.json({
+      success: true,
+      decisions: orchestrator.mcpManager.policyEngine.listDecisions({ tool, callerType, callerId, decision, limit })
+    });
+  }));
+
+  /**
+   * PUT /api/policies/:policyId
+   * 정책 수정 (기본 정책은 수정 불가 - 더 높은 priority의 정책으로 덮어쓴다)
+   */
+  router.put('/policies/:policyId', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      policy: orchestrator.mcpManager.policyEngine.updateRule(req.params.policyId, req.body)
+    });
+  }));
+
+  /**
+   * DELETE /api/policies/:policyId
+   */
+  router.delete('/policies/:policyId', requireAuth, requireRole('admin'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      ...orchestrator.mcpManager.policyEngine.deleteRule(req.params.policyId)
+    });
+  }));
+
+  /**
+   * GET /api/audit
+   * 도구 실행·승인 감사 로그 검색 (query: event, tool, callerType, callerId, channel, status, approvalId, from, to, q, limit, offset)
+   * - 모든 사용자의 호출 인자가 담겨 있어 auditor(admin 포함)만
+   */
+  router.get('/audit', requireAuth, requireRole('auditor'), asyncHandler(async (req, res) => {
+    const { event, tool, callerType, callerId, channel, status, approvalId, from, to, q, limit, offset } = req.query;
+    res.json({
+      success: true,
+      ...orchestrator.mcpManager.auditLog.search({
+        event, tool, callerType, callerId, channel, status, approvalId, from, to, query: q, limit, offset
+      })
+    });
+  }));
+
+  /**
+   * GET /api/audit/verify
+   * 감사 로그 해시 체인 검증 (query: expectedHead - 이전에 기록해 둔 head hash, auditor만)
+   */
+  router.get('/audit/verify', requireAuth, requireRole('auditor'), asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      ...orchestrator.mcpManager.auditLog.verify({ expectedHead: req.query.expectedHead || null })
+    });
+  }));
+
+  /**
+   * POST /api/schedule/preview
+   * 예약 작업 저장 전 다음 실행 시각 미리보기
+   */
+  router.post('/schedule/preview', asyncHandler(async (req, res) => {
+    const { scheduleType, scheduleConfig, count } = req.body;
+
+    if (!scheduleType) {
+      const error = new Error('scheduleType이 필요합니다');
+      error.status = 400;
+      throw error;
+    }
+
+    try {
+      res.json(previewSchedule({ scheduleType, scheduleConfig: scheduleConfig || {}, count }));
+    } catch (previewError) {
+      const error = new Error(previewError.message);
+      error.status = 400;
+      throw error;
+    }
   }));
 
   /**
@@ -12,6 +12,7 @@ import { fileURLToPath } from 'url';
 import { AthenaOrchestrator } from './core/orchestrator.js';
 import { WebSearchService } from './utils/webSearch.js';
 import { initializeDatabase } from './database/schema.js';
+import { closeDatabases } from './database/connection.js';
 import { logger } from './utils/logger.js';
 import { LumielleBot } from './telegram/bot.js';
 import { MessageHandler } from './telegram/handler.js';
@@ -19,6 +20,7 @@ import { ProactiveNotifier } from './telegram/proactive.js';
 import { CronScheduler } from './core/scheduler.js';
 import { TelegramChannel } from './channels/telegramChannel.js';
 import { ChannelRouter } from './channels/channelRouter.js';
+import { ApprovalNotifier } from './channels/approvalNotifier.js';
 
 // Global error handlers to prevent silent crashes (#9)
 process.on('unhandledRejection', (reason, promise) => {
@@ -105,9 +107,15 @@ const telegramChannel = new TelegramChannel({ bot });
 const channelRouter = new ChannelRouter({ channels: [telegramChannel] });
 orchestrator.channelRouter = channelRouter;
 
+// 도구 승인 요청 → 인라인 버튼 메시지 (같은 DB를 쓰는 웹 서버의 요청도 포함)
+const approvalNotifier = new ApprovalNotifier({
+  approvalGate: orchestrator.mcpManager.approvalGate,
+  mcpManager: orchestrator.mcpManager
+}).addTarget(telegramChannel);
+
 // CronScheduler 초기화 (MCP 준비 후 시작)
 const scheduler = new CronScheduler({
-  dbPath,
+  db: orchestrator.memory.db,
   mcpManager: orchestrator.mcpManager,
   bot,
   interval: 60000  // 1분 주기
@@ -116,6 +124,7 @@ const scheduler = new CronScheduler({
 // 시작
 bot.startPolling();
 notifier.start();
+approvalNotifier.start();
 // MCP 초기화 완료 후 스케줄러 시작
 setTimeout(() => {
   scheduler.start();
@@ -148,6 +157,8 @@ process.on('SIGINT', () => {
   scheduler.stop();
   bot.stopPolling();
   notifier.stop();
+  approvalNotifier.stop();
+  closeDatabases();
   process.exit(0);
 });
 
@@ -156,5 +167,7 @@ process.on('SIGTERM', () => {
   scheduler.stop();
   bot.stopPolling();
   notifier.stop();
+  approvalNotifier.stop();
+  closeDatabases();
   process.exit(0);
 });
@@ -20,6 +20,7 @@ export class LumielleBot {
     this.offset = 0;
     this.polling = false;
     this.handler = null; // MessageHandler, set externally
+    this.callbackHandler = null; // inline button clicks (callback_query), set externally
     this.envPath = options.envPath || null; // .env.local path for saving chat_id
     this._processedIds = new Set(); // 중복 방지
 
@@ -35,6 +36,13 @@ export class LumielleBot {
     this.handler = handler;
   }
 
+  /**
+   * Set the inline button handler: (callbackQuery) => Promise<string|null> (toast text for the clicker)
+   */
+  setCallbackHandler(handler) {
+    this.callbackHandler = handler;
+  }
+
   /**
    * Start long polling loop
    */
@@ -115,7 +123,7 @@ export class LumielleBot {
     const resp = await this._apiCall('getUpdates', {
       offset: this.offset,
       timeout: POLL_TIMEOUT,
-      allowed_updates: ['message']
+      allowed_updates: ['message', 'callback_query']
     });
     return resp?.result || [];
   }
@@ -124,6 +132,11 @@ export class LumielleBot {
    * Route incoming update to handler
    */
   async _handleUpdate(update) {
+    if (update.callback_query) {
+      await this._handleCallbackQuery(update.callback_query);
+      return;
+    }
+
     const msg = update.message;
     if (!msg || !msg.text) return;
 
@@ -164,6 +177,36 @@ export class LumielleBot {
     }
   }
 
+  /**
+   * Route an inline button click to the callback handler (owner chat only)
+   */
+  async _handleCallbackQuery(query) {
+    const chatId = query.message?.chat?.id;
+    let text = null;
+
+    if (!this.chatId || String(chatId) !== String(this.chatId)) {
+      logger.warn(`LumielleBot: Unauthorized callback from ${query.from?.id}`);
+      text = '권한이 없어요.';
+    } else if (this.callbackHandler) {
+      try {
+        text = await this.callbackHandler(query);
+      } catch (error) {
+        logger.error('LumielleBot: Callback handler error', error);
+        text = '처리 중 오류가 발생했어요.';
+      }
+    }
+
+    // Always answer so the client stops the button spinner
+    try {
+      await this._apiCall('answerCallbackQuery', {
+        callback_query_id: query.id,
+        ...(text && { text: text.substring(0, 200) })
+      });
+    } catch (error) {
+      logger.warn('LumielleBot: answerCallbackQuery failed', { error: error.message });
+    }
+  }
+
   /**
    * Send text message with auto-split and Markdown fallback
    */
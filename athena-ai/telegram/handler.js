@@ -151,7 +151,7 @@ export class MessageHandler {
 
 *승인 & 스케줄:*
 /pending - 대기 중인 승인 요청 목록
-/approve <id> - 명령 승인 + 실행
+/approve <id> - 승인 요청 승인 (요청 메시지의 버튼도 가능)
 /deny <id> - 명령 거부
 /schedule list|run|toggle|delete - 스케줄 관리
 
@@ -172,7 +172,7 @@ export class MessageHandler {
       // Use system_monitor MCP tool
       const result = await this.orchestrator.mcpManager.executeTool('system_monitor', {
         action: 'overview'
-      });
+      }, this._toolContext(chatId));
 
       if (result.success) {
         const d = result.result || result.data || result;
@@ -222,7 +222,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
     try {
       const result = await this.orchestrator.mcpManager.executeTool('process_manager', {
         action: 'list'
-      });
+      }, this._toolContext(chatId));
 
       if (result.success) {
         const toolResult = result.result || result;
@@ -261,7 +261,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const result = await this.orchestrator.mcpManager.executeTool('screen_capture', {
         url: url,
         format: 'png'
-      });
+      }, this._toolContext(chatId));
 
       if (result.success && result.filePath) {
         await this.bot.sendPhoto(chatId, result.filePath, url);
@@ -349,7 +349,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
 
 *승인 & 스케줄:*
 /pending - 대기 중인 승인 요청 목록
-/approve <id> - DANGEROUS 명령 승인 + 실행
+/approve <id> - 도구 호출 승인 요청 승인 (요청 메시지의 버튼도 가능)
 /deny <id> - 명령 거부
 /schedule list - 예약 작업 목록
 /schedule run <id> - 즉시 실행
@@ -388,6 +388,13 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
     return wrapped;
   }
 
+  /**
+   * executeTool 컨텍스트: 도구 정책에서 이 채팅을 telegram 호출자로 본다
+   */
+  _toolContext(chatId, extra = {}) {
+    return { caller: { type: 'telegram', id: String(chatId) }, ...extra };
+  }
+
   async _cmdExec(chatId, command) {
     if (!command) {
       await this.bot.sendMessage(chatId, '사용법: /exec <명령어>\n예: /exec uptime');
@@ -395,7 +402,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
     }
     await this.bot.sendTyping(chatId);
     try {
-      const wrapped = await this.orchestrator.mcpManager.executeTool('system_exec', { command });
+      const wrapped = await this.orchestrator.mcpManager.executeTool('system_exec', { command }, this._toolContext(chatId));
       const result = this._unwrapToolResult(wrapped);
       if (result.status === 'pending_approval') {
         await this.bot.sendMessage(chatId, `⚠️ *DANGEROUS 명령 - 승인 필요*\n\n\`${command}\`\n\nRequest ID: \`${result.requestId}\`\n보안 등급: ${result.securityTier}`);
@@ -424,7 +431,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const result = this._unwrapToolResult(
         await this.orchestrator.mcpManager.executeTool('system_exec', {
           command: `cat "${sanitizeShellArg(filePath)}" | head -200`
-        })
+        }, this._toolContext(chatId))
       );
       if (result.success) {
         const output = (result.output || '(빈 파일)').substring(0, 3500);
@@ -444,7 +451,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const result = this._unwrapToolResult(
         await this.orchestrator.mcpManager.executeTool('system_exec', {
           command: `ls -la "${sanitizeShellArg(target)}"`
-        })
+        }, this._toolContext(chatId))
       );
       if (result.success) {
         const output = (result.output || '(빈 디렉토리)').substring(0, 3500);
@@ -478,7 +485,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const result = this._unwrapToolResult(
         await this.orchestrator.mcpManager.executeTool('system_exec', {
           command: `grep -rl "${sanitizeShellArg(query)}" "${sanitizeShellArg(searchPath)}" --include="*.py" --include="*.js" --include="*.json" --include="*.md" | head -30`
-        })
+        }, this._toolContext(chatId))
       );
       if (result.success) {
         const output = result.output?.trim() || '결과 없음';
@@ -509,7 +516,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const params = { query: sql };
       if (dbPath) params.database_path = dbPath;
       const result = this._unwrapToolResult(
-        await this.orchestrator.mcpManager.executeTool('query_database', params)
+        await this.orchestrator.mcpManager.executeTool('query_database', params, this._toolContext(chatId))
       );
       if (result.success) {
         const formatted = this._formatDbResult(result);
@@ -537,7 +544,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
           action: 'logs',
           name,
           lines
-        })
+        }, this._toolContext(chatId))
       );
       if (result.success) {
         const logs = (result.logs || result.output || '(로그 없음)');
@@ -548,7 +555,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
         const fallback = this._unwrapToolResult(
           await this.orchestrator.mcpManager.executeTool('system_exec', {
             command: `pm2 logs "${sanitizeShellArg(name)}" --nostream --lines ${lines}`
-          })
+          }, this._toolContext(chatId))
         );
         if (fallback.success) {
           await this.bot.sendMessage(chatId, `*${name} 로그* (최근 ${lines}줄)\n\n\`\`\`\n${(fallback.output || '').substring(0, 3500)}\n\`\`\``);
@@ -572,7 +579,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
         await this.orchestrator.mcpManager.executeTool('process_manager', {
           action: 'restart',
           name: name.trim()
-        })
+        }, this._toolContext(chatId))
       );
       if (result.success) {
         await this.bot.sendMessage(chatId, `✅ *${name}* 재시작 완료`);
@@ -614,7 +621,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const pullResult = this._unwrapToolResult(
         await this.orchestrator.mcpManager.executeTool('system_exec', {
           command: `git -C "${project.path}" pull`
-        })
+        }, this._toolContext(chatId))
       );
       const pullOutput = pullResult.success ? (pullResult.output || '').trim() : `실패: ${pullResult.error}`;
       let msg = `*git pull:* ${pullOutput.substring(0, 500)}`;
@@ -626,7 +633,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
           await this.orchestrator.mcpManager.executeTool('system_exec', {
             command: project.buildCmd,
             cwd: project.path
-          })
+          }, this._toolContext(chatId))
         );
         msg += `\n\n*build:* ${buildResult.success ? '✅ 성공' : '❌ ' + (buildResult.error || '').substring(0, 300)}`;
       }
@@ -637,7 +644,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
         await this.orchestrator.mcpManager.executeTool('process_manager', {
           action: 'restart',
           name: project.pm2
-        })
+        }, this._toolContext(chatId))
       );
       msg += `\n\n*pm2 restart ${project.pm2}:* ${restartResult.success ? '✅ 완료' : '❌ ' + (restartResult.error || '')}`;
 
@@ -678,7 +685,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       const [status, health, pm2Raw] = await Promise.allSettled([
         oc.getStatus(),
         oc.getHealth(),
-        this.orchestrator.mcpManager.executeTool('process_manager', { action: 'list' })
+        this.orchestrator.mcpManager.executeTool('process_manager', { action: 'list' }, this._toolContext(chatId))
       ]);
 
       let msg = '*Oracle 2.0 상태*\n';
@@ -902,9 +909,8 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
   // ─── Approval & Schedule Commands ────────────────────
 
   _getApprovalGate() {
-    // The systemExec tool has an approvalGate reference
-    const execTool = this.orchestrator.mcpManager.tools?.get('system_exec');
-    return execTool?.approvalGate || null;
+    // MCPManager가 정책의 ask 결정마다 승인 요청을 만든다
+    return this.orchestrator.mcpManager?.approvalGate || null;
   }
 
   async _cmdApprove(chatId, requestId) {
@@ -918,13 +924,27 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
         await this.bot.sendMessage(chatId, '승인 시스템이 초기화되지 않았어요.');
         return;
       }
-      const result = gate.approveRequest(requestId.trim());
-      if (result.status === 'approved') {
-        // Execute the approved command
+      const result = gate.approveRequest(requestId.trim(), `telegram:${chatId}`);
+      if (result.status === 'forbidden') {
+        // 이 채팅에서 요청한 작업 - 다른 승인자(웹 approver, 디스코드 등)가 승인해야 한다
+        await this.bot.sendMessage(chatId, '직접 요청한 작업은 승인할 수 없어요. 다른 승인자의 승인이 필요해요.');
+      } else if (result.alreadyResolved) {
+        await this.bot.sendMessage(chatId, `이미 처리된 요청이에요 (${result.status})`);
+      } else if (result.status === 'pending') {
+        // 여러 명의 승인이 필요한 요청 (DANGEROUS 등)
+        await this.bot.sendMessage(chatId, `${result.duplicate ? '이미 승인했어요' : '승인을 기록했어요'} (${result.approvals}/${result.requiredApprovals}). 다른 승인자를 기다리는 중이에요.`);
+      } else if (result.status === 'approved' && result.awaited) {
+        // 요청한 에이전트 턴이 기다리고 있다가 이어서 실행한다
+        await this.bot.sendMessage(chatId, `✅ *승인됨* - 요청한 작업이 이어서 실행돼요.\n\n도구: \`${result.toolName}\``);
+      } else if (result.status === 'approved') {
+        // 승인된 도구 호출을 요청자로 실행 (이 채팅은 승인자로 감사 로그에 남는다)
         const execResult = this._unwrapToolResult(
-          await this.orchestrator.mcpManager.executeTool('system_exec', { command: result.command })
+          await this.orchestrator.mcpManager.executeApprovedRequest(requestId.trim(), { approver: `telegram:${chatId}`, channel: 'telegram' })
         );
-        const output = execResult.success ? (execResult.output || '(빈 출력)').substring(0, 3000) : `실패: ${execResult.error}`;
+        const output = execResult?.success === false
+          ? `실패: ${execResult.error}`
+          : String((typeof execResult?.output === 'string' ? execResult.output : JSON.stringify(execResult, null, 2)) || '(빈 출력)').substring(0, 3000);
+        gate.recordResult(requestId.trim(), execResult?.success === false ? { error: String(execResult.error) } : { result: output });
         await this.bot.sendMessage(chatId, `✅ *승인 + 실행 완료*\n\n명령: \`${result.command}\`\n\n\`\`\`\n${output}\n\`\`\``);
       } else {
         await this.bot.sendMessage(chatId, `승인 실패: ${result.status}`);
@@ -945,8 +965,8 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
         await this.bot.sendMessage(chatId, '승인 시스템이 초기화되지 않았어요.');
         return;
       }
-      const result = gate.denyRequest(requestId.trim());
-      if (result.status === 'denied') {
+      const result = gate.denyRequest(requestId.trim(), `telegram:${chatId}`);
+      if (result.status === 'denied' && !result.alreadyResolved) {
         await this.bot.sendMessage(chatId, `❌ *거부됨*\n\n명령: \`${result.command}\``);
       } else {
         await this.bot.sendMessage(chatId, `거부 실패: ${result.status}`);
@@ -1016,7 +1036,10 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
       }
       let msg = `*대기 중인 승인 요청* (${pending.length}건)\n`;
       for (const req of pending) {
-        msg += `\nID: \`${req.id.substring(0, 8)}...\`\n명령: \`${req.command}\`\n등급: ${req.security_level}\n만료: ${req.expires_at}\n`;
+        msg += `\nID: \`${req.id}\`\n도구: ${req.toolName}\n명령: \`${req.command.substring(0, 200)}\`\n등급: ${req.securityLevel}`;
+        if (req.requiredApprovals > 1) msg += ` (승인 ${req.approvals.length}/${req.requiredApprovals})`;
+        if (req.reason) msg += `\n사유: ${req.reason}`;
+        msg += `\n만료: ${req.expiresAt}\n`;
       }
       msg += '\n/approve <id> 또는 /deny <id>';
       await this.bot.sendMessage(chatId, msg);
@@ -1043,7 +1066,7 @@ Total: ${diskTotal} | Used: ${diskUsed} (${diskPct}) | Avail: ${diskAvail}`;
           subCmd === 'toggle' ? 'toggle_scheduled_task' :
           subCmd === 'delete' ? 'delete_scheduled_task' :
           'list_scheduled_tasks',
-          subCmd === 'list' ? {} : { taskId: subArg }
+          subCmd === 'list' ? {} : { taskId: subArg }, this._toolContext(chatId)
         )
       );
       if (result.success) {
@@ -0,0 +1,224 @@
+/**
+ * /api 사용자 데이터 라우트 접근 제어 테스트
+ * - 인증 없이 401, 다른 사용자의 userId 경로는 403, 다른 사용자의 세션·프로젝트는 404
+ * - 세션 행이 없는 세션 ID는 다른 사용자의 대화가 있으면 404, 없으면 처음 쓴 사용자의 세션이 된다
+ * - 감사 로그는 auditor 역할만
+ * - 실제 SQLite(임시 파일)와 MemoryManager · DebateManager 위에서 라우터를 띄워 HTTP로 부른다
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createRoutes } from '../server/routes.js';
+import { MemoryManager } from '../memory/memoryManager.js';
+import { DebateManager } from '../core/debateManager.js';
+import { VotingManager } from '../core/votingManager.js';
+import { ApiTokenManager } from '../security/apiTokens.js';
+import { AuditLog } from '../security/auditLog.js';
+import { WebSearchService } from '../utils/webSearch.js';
+import { PRINCIPAL_HEADER, signPrincipal } from '../security/signedPrincipal.js';
+import { errorHandler } from '../utils/errorHandler.js';
+
+const SESSION_SECRET = 'test-session-secret-0123456789abcdef';
+
+let tmpDir;
+let server;
+let baseUrl;
+let memory;
+let aliceToken;
+let aliceSessionId;
+let bobSessionId;
+
+before(async () => {
+  process.env.ATHENA_SESSION_SECRET = SESSION_SECRET;
+  process.env.ATHENA_AUDITOR_USERS = 'auditor-1';
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-api-test-'));
+  memory = new MemoryManager(path.join(tmpDir, 'athena.db'));
+  const { db } = memory;
+
+  db.prepare('INSERT INTO users (id, email, name) VALUES (?, ?, ?), (?, ?, ?)')
+    .run('alice', 'alice@example.com', 'Alice', 'bob', 'bob@example.com', 'Bob');
+  aliceSessionId = memory.createSession('alice', 'Alice 세션');
+  bobSessionId = memory.createSession('bob', 'Bob 세션');
+  memory.addLongTermMemory('alice', 'fact', 'alice 메모', 'alice의 기억');
+  memory.addLongTermMemory('bob', 'fact', 'bob 메모', 'bob의 기억');
+  memory.logDecision('bob', bobSessionId, 'chat', 'q', {}, 'a', []);
+  // 세션 생성에 실패한 프론트엔드가 만든 ID로 이어 온 대화 (sessions 행 없음)
+  memory.addShortTermMemory('alice', 'client-session-alice', 'user', 'alice의 비밀 대화');
+  db.prepare('INSERT INTO projects (id, user_id, name) VALUES (?, ?, ?), (?, ?, ?)')
+    .run('project-alice', 'alice', 'A', 'project-bob', 'bob', 'B');
+
+  aliceToken = new ApiTokenManager({ db }).createToken('alice', { name: 'test' }).token;
+
+  const orchestrator = {
+    memory,
+    debateManager: new DebateManager({ db }),
+    votingManager: new VotingManager({ db }),
+    mcpManager: { auditLog: new AuditLog({ db }) }
+  };
+  const app = express();
+  app.use(express.json());
+  // Passport 로그인 세션 대신: x-test-session 헤더의 사용자를 로그인한 것으로 본다
+  app.use((req, res, next) => {
+    const userId = req.get('x-test-session');
+    req.isAuthenticated = () => Boolean(userId);
+    if (userId) req.user = { id: userId };
+    next();
+  });
+  app.use('/api', createRoutes(orchestrator, new WebSearchService({ dbPath: path.join(tmpDir, 'athena.db') })));
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server?.close();
+  memory?.db.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function call(method, urlPath, { session, token, principal, body } = {}) {
+  const headers = { 'content-type': 'application/json' };
+  if (session) headers['x-test-session'] = session;
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (principal) headers[PRINCIPAL_HEADER] = principal;
+  const res = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('인증 없이 사용자 데이터 라우트를 부르면 401', async () => {
+  for (const [method, urlPath] of [
+    ['GET', '/sessions/alice'],
+    ['GET', '/memory/long-term/alice'],
+    ['GET', '/memory/search/alice?q=기억'],
+    ['GET', `/session/${aliceSessionId}`],
+    ['DELETE', `/session/${aliceSessionId}`],
+    ['GET', `/decision-log/${aliceSessionId}`],
+    ['GET', '/debate/config/project-alice']
+  ]) {
+    const { status } = await call(method, urlPath);
+    assert.equal(status, 401, `${method} ${urlPath}`);
+  }
+});
+
+test('다른 사용자의 userId 경로는 403', async () => {
+  for (const urlPath of ['/sessions/bob', '/memory/long-term/bob', '/memory/search/bob?q=기억']) {
+    assert.equal((await call('GET', urlPath, { session: 'alice' })).status, 403, `세션: ${urlPath}`);
+    assert.equal((await call('GET', urlPath, { token: aliceToken })).status, 403, `토큰: ${urlPath}`);
+  }
+});
+
+test('자기 userId 경로는 자기 데이터만 돌려준다', async () => {
+  const sessions = await call('GET', '/sessions/alice', { session: 'alice' });
+  assert.equal(sessions.status, 200);
+  assert.deepEqual(sessions.body.sessions.map(s => s.id), [aliceSessionId]);
+
+  const memories = await call('GET', '/memory/long-term/alice', { token: aliceToken });
+  assert.equal(memories.status, 200);
+  assert.deepEqual(memories.body.memories.map(m => m.user_id), ['alice']);
+
+  const search = await call('GET', '/memory/search/alice?q=기억', { session: 'alice' });
+  assert.equal(search.status, 200);
+  assert.deepEqual(search.body.results.map(m => m.user_id), ['alice']);
+});
+
+test('다른 사용자의 세션은 조회·삭제·결정 로그 모두 404이고 지워지지 않는다', async () => {
+  assert.equal((await call('GET', `/session/${bobSessionId}`, { session: 'alice' })).status, 404);
+  assert.equal((await call('GET', `/decision-log/${bobSessionId}`, { token: aliceToken })).status, 404);
+  assert.equal((await call('DELETE', `/session/${bobSessionId}`, { session: 'alice' })).status, 404);
+  assert.ok(memory.getSession(bobSessionId));
+  assert.equal(memory.getDecisionLog(bobSessionId).length, 1);
+
+  const own = await call('GET', `/decision-log/${bobSessionId}`, { session: 'bob' });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.log.length, 1);
+});
+
+test('자기 세션은 삭제할 수 있다', async () => {
+  const sessionId = memory.createSession('alice', '지울 세션');
+  const { status } = await call('DELETE', `/session/${sessionId}`, { token: aliceToken });
+  assert.equal(status, 200);
+  assert.equal(memory.getSession(sessionId), undefined);
+});
+
+test('다른 사용자의 프로젝트 설정은 404, 자기 프로젝트는 200', async () => {
+  assert.equal((await call('GET', '/debate/config/project-bob', { session: 'alice' })).status, 404);
+  assert.equal((await call('PUT', '/debate/config/project-bob', { token: aliceToken, body: { config: { rounds: 1 } } })).status, 404);
+  assert.equal((await call('GET', '/debate/config/project-missing', { session: 'alice' })).status, 404);
+  assert.equal((await call('GET', '/debate/config/project-alice', { session: 'alice' })).status, 200);
+});
+
+test('세션 행이 없어도 다른 사용자의 대화가 있는 세션 ID는 404이고 세션을 만들지 않는다', async () => {
+  const sessionId = 'client-session-alice';
+  for (const [method, urlPath, body] of [
+    ['POST', '/chat', { sessionId, message: '이전 대화 요약해 줘' }],
+    ['POST', '/chat/stream', { sessionId, message: '이전 대화 요약해 줘' }],
+    ['POST', '/debate/feedback', { sessionId, debateId: 'd1', feedbackType: 'like' }],
+    ['GET', `/debate/feedback/${sessionId}/d1`],
+    ['GET', `/voting/feedback/${sessionId}/v1`]
+  ]) {
+    assert.equal((await call(method, urlPath, { session: 'bob', body })).status, 404, `${method} ${urlPath}`);
+  }
+  assert.equal(memory.getSession(sessionId), undefined);
+
+  // 대화 주인이 쓰면 그 사용자의 세션 행이 생기고, 그 뒤로도 다른 사용자는 404
+  const own = await call('POST', '/debate/feedback', { token: aliceToken, body: { sessionId, debateId: 'd1', feedbackType: 'like' } });
+  assert.equal(own.status, 200);
+  assert.equal(memory.getSession(sessionId).user_id, 'alice');
+  assert.equal((await call('GET', `/debate/feedback/${sessionId}/d1`, { session: 'bob' })).status, 404);
+});
+
+test('처음 쓰는 세션 ID는 요청한 사용자의 세션이 된다', async () => {
+  const sessionId = 'client-session-fresh';
+  const first = await call('POST', '/voting/feedback', { session: 'bob', body: { sessionId, voteId: 'v1', feedbackType: 'dislike' } });
+  assert.equal(first.status, 200);
+  assert.equal(memory.getSession(sessionId).user_id, 'bob');
+  assert.equal((await call('POST', '/chat', { session: 'alice', body: { sessionId, message: 'hi' } })).status, 404);
+});
+
+test('검색 피드백은 인증된 사용자로만 기록한다', async () => {
+  const body = { query: '날씨', resultUrl: 'https://example.com/weather', feedbackType: 'useful' };
+  assert.equal((await call('POST', '/search/feedback', { body: { ...body, userId: 'bob' } })).status, 401);
+  assert.equal((await call('POST', '/search/feedback', { session: 'alice', body: { ...body, userId: 'bob' } })).status, 403);
+
+  assert.equal((await call('POST', '/search/feedback', { token: aliceToken, body })).status, 200);
+  const rows = memory.db.prepare('SELECT user_id FROM search_feedback WHERE result_url = ?').all(body.resultUrl);
+  assert.deepEqual(rows, [{ user_id: 'alice' }]);
+});
+
+test('잘못된 API 토큰은 401', async () => {
+  const { status } = await call('GET', '/sessions/alice', { token: 'ath_invalid' });
+  assert.equal(status, 401);
+});
+
+test('Next.js 앱의 서명된 사용자 헤더는 그 사용자로 인증되고, 위조·만료 값은 401', async () => {
+  const ok = await call('GET', '/sessions/alice', { principal: signPrincipal('alice') });
+  assert.equal(ok.status, 200);
+  assert.equal((await call('GET', '/sessions/bob', { principal: signPrincipal('alice') })).status, 403);
+
+  const forged = signPrincipal('bob', { secret: 'another-secret-0123456789abcdefghij' });
+  assert.equal((await call('GET', '/sessions/bob', { principal: forged })).status, 401);
+  assert.equal((await call('GET', '/sessions/alice', { principal: signPrincipal('alice', { ttlMs: -1 }) })).status, 401);
+});
+
+test('감사 로그 검색·검증은 auditor만 (인증 없이 401, 역할 없이 403)', async () => {
+  for (const urlPath of ['/audit', '/audit/verify']) {
+    assert.equal((await call('GET', urlPath)).status, 401, urlPath);
+    assert.equal((await call('GET', urlPath, { session: 'alice' })).status, 403, urlPath);
+    assert.equal((await call('GET', urlPath, { token: aliceToken })).status, 403, urlPath);
+
+    const ok = await call('GET', urlPath, { session: 'auditor-1' });
+    assert.equal(ok.status, 200, urlPath);
+    assert.equal(ok.body.success, true);
+  }
+});
@@ -0,0 +1,247 @@
+/**
+ * 도구 승인 테스트 - 누가 승인할 수 있는지 (approver 역할, 요청자 본인 승인 거절), 승인은 한 번만 쓸 수 있는지,
+ * 기다리는 턴이 없는 요청을 승인자가 실행하면 요청자로 실행되는지
+ * - ApprovalGate는 실제 SQLite(임시 파일) 위에서, 승인 라우트는 라우터를 띄워 HTTP로 부른다
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createRoutes } from '../server/routes.js';
+import { MemoryManager } from '../memory/memoryManager.js';
+import { ApprovalGate } from '../security/approvalGate.js';
+import { PolicyEngine } from '../security/policyEngine.js';
+import { AuditLog } from '../security/auditLog.js';
+import { MCPBase } from '../mcp/base.js';
+import { ApprovalNotifier } from '../channels/approvalNotifier.js';
+import { errorHandler } from '../utils/errorHandler.js';
+
+let tmpDir;
+let server;
+let baseUrl;
+let memory;
+let gate;
+// 라우트 · 채널 버튼이 승인된 호출을 실행하는 MCP 매니저 (delete_file은 기본 정책이 ask)
+let manager;
+let deleteCalls;
+
+before(async () => {
+  process.env.ATHENA_APPROVER_USERS = 'carol,dave,discord:7';
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-approval-test-'));
+  memory = new MemoryManager(path.join(tmpDir, 'athena.db'));
+  gate = new ApprovalGate({ db: memory.db });
+
+  deleteCalls = [];
+  manager = new MCPBase();
+  manager.policyEngine = new PolicyEngine({ db: memory.db });
+  manager.approvalGate = gate;
+  manager.auditLog = new AuditLog({ db: memory.db });
+  manager.registerTool({
+    name: 'delete_file',
+    execute: async (args, context) => {
+      deleteCalls.push({ path: args.path, caller: context.caller });
+      return { deleted: args.path };
+    }
+  });
+
+  const orchestrator = { memory, mcpManager: manager };
+  const app = express();
+  app.use(express.json());
+  // Passport 로그인 세션 대신: x-test-session 헤더의 사용자를 로그인한 것으로 본다
+  app.use((req, res, next) => {
+    const userId = req.get('x-test-session');
+    req.isAuthenticated = () => Boolean(userId);
+    if (userId) req.user = { id: userId };
+    next();
+  });
+  app.use('/api', createRoutes(orchestrator, {}));
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server?.close();
+  gate?.dispose();
+  memory?.db.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 기다리는 에이전트 턴이 있는 요청 (승인돼도 라우트가 직접 실행하지 않는다)
+function requestFrom(requester, { requiredApprovals = 1 } = {}) {
+  return gate.requestApproval('rm -rf /tmp/x', 'DANGEROUS', { requester, requiredApprovals, awaited: true }).requestId;
+}
+
+async function vote(requestId, session, approved) {
+  const res = await fetch(`${baseUrl}/command/${requestId}/approve`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(session && { 'x-test-session': session }) },
+    body: JSON.stringify({ approved })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('요청자 본인의 승인 투표는 기록하지 않는다', () => {
+  const requestId = requestFrom({ type: 'telegram', id: '42' });
+  const result = gate.decide(requestId, 'telegram:42', true);
+  assert.equal(result.status, 'forbidden');
+  assert.equal(gate.getRequest(requestId).approvals.length, 0);
+  assert.equal(gate.getRequest(requestId).status, 'pending');
+
+  assert.equal(gate.decide(requestId, 'discord:7', true).status, 'approved');
+});
+
+test('요청자 본인도 자기 요청은 거부할 수 있다', () => {
+  const requestId = requestFrom({ type: 'telegram', id: '42' });
+  assert.equal(gate.decide(requestId, 'telegram:42', false).status, 'denied');
+});
+
+test('웹: approver가 아니면 승인은 403, 요청자 본인의 승인도 403', async () => {
+  const requestId = requestFrom({ type: 'web', id: 'alice' });
+
+  assert.equal((await vote(requestId, null, true)).status, 401);
+  assert.equal((await vote(requestId, 'alice', true)).status, 403);
+  assert.equal(gate.getRequest(requestId).status, 'pending');
+
+  const approved = await vote(requestId, 'carol', true);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, 'approved');
+});
+
+test('웹: approver라도 자기 요청은 승인할 수 없다', async () => {
+  const requestId = requestFrom({ type: 'web', id: 'carol' }, { requiredApprovals: 2 });
+  assert.equal((await vote(requestId, 'carol', true)).status, 403);
+  assert.equal((await vote(requestId, 'dave', true)).body.status, 'pending');
+  assert.deepEqual(gate.getRequest(requestId).approvals.map(a => a.approver), ['web:dave']);
+});
+
+test('웹: 볼 수 없는 요청은 404, 요청자는 자기 요청을 거부할 수 있다', async () => {
+  const requestId = requestFrom({ type: 'web', id: 'alice' });
+  assert.equal((await vote(requestId, 'bob', false)).status, 404);
+  assert.equal((await vote(requestId, 'bob', true)).status, 404);
+
+  const denied = await vote(requestId, 'alice', false);
+  assert.equal(denied.status, 200);
+  assert.equal(denied.body.status, 'denied');
+});
+
+test('승인은 한 번만 쓸 수 있다 - 같은 승인 ID로 다시 실행하면 새 승인 요청이 된다', async () => {
+  const mcp = new MCPBase();
+  mcp.policyEngine = new PolicyEngine({ db: memory.db });
+  mcp.approvalGate = gate;
+  let runs = 0;
+  mcp.registerTool({ name: 'delete_file', execute: async () => ({ deleted: ++runs }) });
+
+  const args = { path: '/tmp/athena-test.txt' };
+  const context = { caller: { type: 'web', id: 'alice' } };
+  const pending = await mcp.executeTool('delete_file', args, context);
+  assert.equal(pending.result.status, 'pending_approval');
+  const requestId = pending.result.requestId;
+  assert.equal(gate.decide(requestId, 'web:carol', true).status, 'approved');
+
+  // 다른 인자에는 쓸 수 없고, 승인도 소모되지 않는다
+  const other = await mcp.executeTool('delete_file', { path: '/etc/passwd' }, { ...context, approvalId: requestId });
+  assert.equal(other.result.status, 'pending_approval');
+  assert.equal(gate.checkApproval(requestId).status, 'approved');
+
+  const first = await mcp.executeTool('delete_file', args, { ...context, approvalId: requestId });
+  assert.deepEqual(first.result, { deleted: 1 });
+  assert.equal(gate.checkApproval(requestId).status, 'executed');
+
+  const replay = await mcp.executeTool('delete_file', args, { ...context, approvalId: requestId });
+  assert.equal(replay.result.status, 'pending_approval');
+  assert.notEqual(replay.result.requestId, requestId);
+  assert.equal(runs, 1);
+});
+
+test('에이전트 턴이 기다린 승인도 이어서 실행할 때 소모된다', async () => {
+  const mcp = new MCPBase();
+  mcp.policyEngine = new PolicyEngine({ db: memory.db });
+  mcp.approvalGate = gate;
+  mcp.registerTool({ name: 'delete_file', execute: async () => ({ deleted: true }) });
+
+  const args = { path: '/tmp/athena-awaited.txt' };
+  let requestId = null;
+  const result = await mcp.executeTool('delete_file', args, {
+    caller: { type: 'web', id: 'alice' },
+    awaitApproval: true,
+    onApprovalRequired: (request) => {
+      requestId = request.id;
+      gate.decide(request.id, 'web:carol', true);
+    }
+  });
+  assert.deepEqual(result.result, { deleted: true });
+  assert.equal(gate.checkApproval(requestId).status, 'executed');
+  assert.equal(gate.consumeApproval(requestId, 'delete_file', args), false);
+});
+
+// 기다리는 턴이 없는 요청 - 요청자가 도구를 불러 pending_approval을 받은 상태
+async function pendingCall(requester, filePath) {
+  const pending = await manager.executeTool('delete_file', { path: filePath }, { caller: requester });
+  assert.equal(pending.result.status, 'pending_approval');
+  return pending.result.requestId;
+}
+
+function executionAudit(requestId) {
+  return manager.auditLog.search({ approvalId: requestId, event: 'tool_execution', status: 'success' }).entries;
+}
+
+test('웹 승인으로 실행하면 요청자로 실행되고, 승인자는 감사 로그에 남고, 승인은 소모된다', async () => {
+  const requestId = await pendingCall({ type: 'web', id: 'alice' }, '/tmp/athena-web-approved.txt');
+  deleteCalls.length = 0;
+
+  const approved = await vote(requestId, 'carol', true);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, 'approved');
+  assert.deepEqual(deleteCalls, [{ path: '/tmp/athena-web-approved.txt', caller: { type: 'web', id: 'alice' } }]);
+  assert.equal(gate.checkApproval(requestId).status, 'executed');
+
+  const [row] = executionAudit(requestId);
+  assert.deepEqual(row.caller, { type: 'web', id: 'alice' });
+  assert.equal(row.detail.approvedBy, 'web:carol');
+
+  const replay = await manager.executeApprovedRequest(requestId, { approver: 'web:carol', channel: 'web' });
+  assert.equal(replay.success, false);
+  assert.equal(deleteCalls.length, 1);
+});
+
+test('승인자에게 적용되는 정책은 승인된 호출에 영향이 없다 (allow여도 소모, deny여도 실행)', async () => {
+  const allowForCarol = manager.policyEngine.createRule({ tool: 'delete_file', callerType: 'web', callerId: 'carol', decision: 'allow' });
+  const denyForDave = manager.policyEngine.createRule({ tool: 'delete_file', callerType: 'web', callerId: 'dave', decision: 'deny' });
+  try {
+    const byCarol = await pendingCall({ type: 'web', id: 'alice' }, '/tmp/athena-carol.txt');
+    assert.equal((await vote(byCarol, 'carol', true)).body.status, 'approved');
+    assert.equal(gate.checkApproval(byCarol).status, 'executed');
+
+    const byDave = await pendingCall({ type: 'web', id: 'alice' }, '/tmp/athena-dave.txt');
+    const approved = await vote(byDave, 'dave', true);
+    assert.equal(approved.body.status, 'approved');
+    assert.equal(gate.checkApproval(byDave).status, 'executed');
+    assert.equal(executionAudit(byDave).length, 1);
+  } finally {
+    manager.policyEngine.deleteRule(allowForCarol.id);
+    manager.policyEngine.deleteRule(denyForDave.id);
+  }
+});
+
+test('채널 버튼 승인도 요청자로 실행하고 승인자를 감사 로그에 남긴다', async () => {
+  const notifier = new ApprovalNotifier({ approvalGate: gate, mcpManager: manager });
+  const requestId = await pendingCall({ type: 'scheduler', id: 'nightly-cleanup' }, '/tmp/athena-scheduled.txt');
+  deleteCalls.length = 0;
+
+  const reply = await notifier.handleDecision({ requestId, approved: true, approver: 'discord:7', channelType: 'discord' });
+  assert.equal(reply, '승인하고 실행했어요.');
+  assert.deepEqual(deleteCalls[0].caller, { type: 'scheduler', id: 'nightly-cleanup' });
+
+  const [row] = executionAudit(requestId);
+  assert.deepEqual(row.caller, { type: 'scheduler', id: 'nightly-cleanup' });
+  assert.equal(row.channel, 'discord');
+  assert.equal(row.detail.approvedBy, 'discord:7');
+  assert.equal(gate.checkApproval(requestId).status, 'executed');
+});
@@ -0,0 +1,197 @@
+/**
+ * 예산 게이트 테스트
+ * - 도구 스트림은 provider가 알려준 실사용량을 기록하고, 없을 때만 추정한다
+ * - 예산 설정·한도는 admin만 바꿀 수 있다 (도구는 기본 정책 deny + admin 호출자 확인, HTTP는 admin 라우트)
+ * - BudgetGate는 실제 SQLite(임시 파일) 위에서, provider는 표준 도구 스트림 이벤트를 내보내는 객체로 대신한다
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createRoutes } from '../server/routes.js';
+import { MemoryManager } from '../memory/memoryManager.js';
+import { BudgetGate } from '../core/budgetGate.js';
+import { PolicyEngine } from '../security/policyEngine.js';
+import { createBudgetControlTools } from '../mcp/tools/budgetControl.js';
+import { errorHandler } from '../utils/errorHandler.js';
+
+let tmpDir;
+let memory;
+let gate;
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.ATHENA_ADMIN_USERS = 'root-admin,discord:99';
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-budget-test-'));
+  memory = new MemoryManager(path.join(tmpDir, 'athena.db'));
+  gate = new BudgetGate({ db: memory.db });
+
+  const app = express();
+  app.use(express.json());
+  // Passport 로그인 세션 대신: x-test-session 헤더의 사용자를 로그인한 것으로 본다
+  app.use((req, res, next) => {
+    const userId = req.get('x-test-session');
+    req.isAuthenticated = () => Boolean(userId);
+    if (userId) req.user = { id: userId };
+    next();
+  });
+  app.use('/api', createRoutes({ memory, budgetGate: gate }, {}));
+  app.use(errorHandler);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server?.close();
+  memory?.db.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function toolStreamProvider(events) {
+  return {
+    name: 'ChatGPT',
+    model: 'gpt-4o-mini',
+    async *streamChatWithTools() {
+      yield* events;
+    }
+  };
+}
+
+async function drain(provider, userId) {
+  const view = gate.wrap(provider, { userId });
+  const seen = [];
+  for await (const event of view.streamChatWithTools([{ role: 'user', content: '파일 목록 보여줘' }], [])) {
+    seen.push(event.type);
+  }
+  return seen;
+}
+
+function usageOf(userId) {
+  return memory.db.prepare('SELECT input_tokens, output_tokens, estimated FROM budget_usage WHERE user_id = ?').all(userId);
+}
+
+const toolCalls = [{ id: 'call_0123456789abcdefghijklmn', name: 'list_directory', arguments: { path: '.' } }];
+
+test('도구 스트림이 사용량을 알려주면 그대로 기록한다', async () => {
+  const seen = await drain(toolStreamProvider([
+    { type: 'text', text: '확인해 볼게요.' },
+    { type: 'tool_calls', toolCalls },
+    { type: 'usage', usage: { inputTokens: 812, outputTokens: 37 } }
+  ]), 'real-usage');
+
+  assert.deepEqual(seen, ['text', 'tool_calls', 'usage']);
+  assert.deepEqual(usageOf('real-usage'), [{ input_tokens: 812, output_tokens: 37, estimated: 0 }]);
+});
+
+test('사용량이 없으면 텍스트와 도구 이름·인자만으로 추정한다', async () => {
+  await drain(toolStreamProvider([
+    { type: 'text', text: '확인해 볼게요.' },
+    { type: 'tool_calls', toolCalls }
+  ]), 'estimated-usage');
+
+  const outputChars = '확인해 볼게요.'.length + 'list_directory'.length + JSON.stringify({ path: '.' }).length;
+  const [row] = usageOf('estimated-usage');
+  assert.equal(row.estimated, 1);
+  assert.equal(row.output_tokens, Math.ceil(outputChars / 4));
+  assert.ok(row.output_tokens < Math.ceil(JSON.stringify(toolCalls).length / 4));
+});
+
+test('일부만 알려주면 빠진 값만 추정하고 추정으로 표시한다', async () => {
+  await drain(toolStreamProvider([
+    { type: 'tool_calls', toolCalls },
+    { type: 'usage', usage: { inputTokens: 500 } }
+  ]), 'partial-usage');
+
+  const [row] = usageOf('partial-usage');
+  assert.equal(row.input_tokens, 500);
+  assert.ok(row.output_tokens > 0);
+  assert.equal(row.estimated, 1);
+});
+
+// ─── 예산 설정·한도 변경 권한 ─────────────────────────────────────────
+
+function budgetTool(name) {
+  return createBudgetControlTools({ db: memory.db }).find(tool => tool.name === name);
+}
+
+async function call(method, urlPath, { session, body } = {}) {
+  const headers = { 'content-type': 'application/json', ...(session && { 'x-test-session': session }) };
+  const res = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('한도를 바꾸는 도구는 기본 정책이 deny다', () => {
+  const policyEngine = new PolicyEngine({ db: memory.db });
+  for (const tool of ['set_budget', 'set_budget_limit', 'remove_budget_limit']) {
+    const result = policyEngine.evaluate(tool, {}, { caller: { type: 'web', id: 'root-admin' } });
+    assert.equal(result.decision, 'deny', tool);
+  }
+  assert.equal(policyEngine.evaluate('get_budget_limits', {}, { caller: { type: 'web', id: 'alice' } }).decision, 'allow');
+});
+
+test('한도를 바꾸는 도구는 admin 호출자가 아니면 실행하지 않는다', async () => {
+  gate.setLimit('user', 'alice', { dailyLimit: 1 });
+  const alice = { caller: { type: 'web', id: 'alice' } };
+
+  await assert.rejects(budgetTool('set_budget_limit').execute({ scope: 'user', scopeId: 'alice', dailyLimit: 1000 }, alice), /admin/);
+  await assert.rejects(budgetTool('remove_budget_limit').execute({ scope: 'user', scopeId: 'alice' }, alice), /admin/);
+  await assert.rejects(budgetTool('set_budget').execute({ monthlyBudget: 1e6 }, {}), /admin/);
+  await assert.rejects(budgetTool('set_budget').execute({ monthlyBudget: 1e6 }, { caller: { type: 'discord', id: 'root-admin' } }), /admin/);
+  assert.equal(gate.getLimits().find(limit => limit.scopeId === 'alice').dailyLimit, 1);
+
+  const admin = { caller: { type: 'discord', id: '99' } };
+  const { limit } = await budgetTool('set_budget_limit').execute({ scope: 'user', scopeId: 'alice', dailyLimit: 2 }, admin);
+  assert.equal(limit.dailyLimit, 2);
+  assert.equal((await budgetTool('remove_budget_limit').execute({ scope: 'user', scopeId: 'alice' }, admin)).removed, true);
+});
+
+test('set_budget은 autoStopEnabled를 생략하면 전역 한도 강제를 그대로 둔다', async () => {
+  gate.updateGlobalSettings({ autoStopEnabled: true, monthlyBudget: 100 });
+  const admin = { caller: { type: 'web', id: 'root-admin' } };
+
+  const { settings } = await budgetTool('set_budget').execute({ monthlyBudget: 50 }, admin);
+  assert.equal(settings.monthlyBudget, 50);
+  assert.equal(settings.autoStopEnabled, true);
+  assert.equal(gate._getGlobalLimit().monthlyLimit, 50);
+
+  assert.equal((await budgetTool('set_budget').execute({ autoStopEnabled: false }, admin)).settings.autoStopEnabled, false);
+  assert.equal(gate._getGlobalLimit(), null);
+});
+
+test('예산 라우트는 admin만 (인증 없이 401, 역할 없이 403)', async () => {
+  for (const [method, urlPath, body] of [
+    ['GET', '/budget'],
+    ['PUT', '/budget/settings', { autoStopEnabled: false }],
+    ['PUT', '/budget/limits/user/alice', { dailyLimit: 1000 }],
+    ['DELETE', '/budget/limits/user/alice']
+  ]) {
+    assert.equal((await call(method, urlPath, { body })).status, 401, `${method} ${urlPath}`);
+    assert.equal((await call(method, urlPath, { session: 'alice', body })).status, 403, `${method} ${urlPath}`);
+  }
+});
+
+test('admin은 라우트로 한도를 설정·조회·삭제한다', async () => {
+  const set = await call('PUT', '/budget/limits/project/p1', { session: 'root-admin', body: { monthlyLimit: 20, softThreshold: 0.5 } });
+  assert.equal(set.status, 200);
+  assert.deepEqual(set.body.limit, { scope: 'project', scopeId: 'p1', dailyLimit: null, monthlyLimit: 20, softThreshold: 0.5 });
+
+  const list = await call('GET', '/budget', { session: 'root-admin' });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.limits.find(limit => limit.scopeId === 'p1').monthlySpent, 0);
+
+  assert.equal((await call('PUT', '/budget/limits/team/p1', { session: 'root-admin', body: {} })).status, 400);
+  assert.equal((await call('PUT', '/budget/limits/project/p1', { session: 'root-admin', body: { dailyLimit: -1 } })).status, 400);
+  assert.equal((await call('DELETE', '/budget/limits/project/p1', { session: 'root-admin' })).status, 200);
+  assert.equal((await call('DELETE', '/budget/limits/project/p1', { session: 'root-admin' })).status, 404);
+});
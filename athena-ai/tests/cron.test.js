@@ -0,0 +1,195 @@
+/**
+ * Cron 테스트 - 표현식 파싱, 타임존 기준 다음 실행 시각(DST · 2월 29일), 놓친 실행 수,
+ * 다운타임 후 CronScheduler의 catchUp 정책(skip · once · all)
+ * - 기준 시각을 모두 고정해 실행 날짜와 상관없이 결과가 같다
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCronExpression, nextCronRun, previewCronRuns, countCronRunsBetween, MAX_CATCH_UP_RUNS } from '../utils/cron.js';
+import { CronScheduler } from '../core/scheduler.js';
+import { openDatabase, closeDatabases } from '../database/connection.js';
+
+const UTC = { timezone: 'UTC' };
+// 2026년 DST: 3월 8일 02:00 → 03:00 (EST → EDT), 11월 1일 02:00 → 01:00 (EDT → EST)
+const NEW_YORK = { timezone: 'America/New_York' };
+
+function iso(date) {
+  return date?.toISOString() ?? null;
+}
+
+// ─── 파싱 ───────────────────────────────────────────────────────────
+
+test('범위 · 스텝 · 목록 · 이름을 값 집합으로 푼다', () => {
+  const cron = parseCronExpression('0-30/10 9-17 1,15 JAN-MAR MON-FRI');
+  assert.deepEqual([...cron.minute], [0, 10, 20, 30]);
+  assert.deepEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.dayOfMonthRestricted, true);
+  assert.equal(cron.dayOfWeekRestricted, true);
+
+  assert.deepEqual([...parseCronExpression('5/15 */6 * * *').minute], [5, 20, 35, 50]);
+  assert.deepEqual([...parseCronExpression('5/15 */6 * * *').hour], [0, 6, 12, 18]);
+  assert.deepEqual([...parseCronExpression('0 0 * * 5,7').dayOfWeek], [5, 0]);
+  assert.equal(parseCronExpression('0 0 * * *').dayOfWeek.size, 7);
+  assert.equal(parseCronExpression('0 0 */2 * *').dayOfMonthRestricted, false);
+});
+
+test('잘못된 표현식은 오류', () => {
+  for (const expression of ['0 9 * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '0 0 * 13 *', '0 0 * * 8',
+    '30-10 * * * *', '*/0 * * * *', '*/x * * * *', 'a * * * *', '0 0 * FOO *']) {
+    assert.throws(() => parseCronExpression(expression), Error, expression);
+  }
+});
+
+// ─── 다음 실행 시각 ───────────────────────────────────────────────────
+
+test('다음 실행 시각은 기준 시각 이후(기준 시각 자신은 제외)이고 타임존 벽시계 기준이다', () => {
+  const from = new Date('2026-10-19T09:00:00Z');
+  assert.equal(iso(nextCronRun('0 9 * * *', from, UTC)), '2026-10-20T09:00:00.000Z');
+  assert.equal(iso(nextCronRun('*/15 * * * *', new Date('2026-10-19T09:07:30Z'), UTC)), '2026-10-19T09:15:00.000Z');
+  // 기본 타임존은 Asia/Seoul (UTC+9)
+  assert.equal(iso(nextCronRun('0 9 * * *', from)), '2026-10-20T00:00:00.000Z');
+  assert.deepEqual(
+    previewCronRuns('0 9-17/4 * * MON-FRI', 4, { from: new Date('2026-10-23T12:00:00Z'), ...UTC }).map(iso),
+    ['2026-10-23T13:00:00.000Z', '2026-10-23T17:00:00.000Z', '2026-10-26T09:00:00.000Z', '2026-10-26T13:00:00.000Z']
+  );
+});
+
+test('일과 요일이 둘 다 지정되면 둘 중 하나만 맞아도 실행한다 (POSIX)', () => {
+  const from = new Date('2026-10-19T12:00:00Z'); // 월요일
+  // 매월 1일 또는 월요일
+  assert.deepEqual(previewCronRuns('0 9 1 * MON', 3, { from, ...UTC }).map(iso), [
+    '2026-10-26T09:00:00.000Z',
+    '2026-11-01T09:00:00.000Z', // 일요일이지만 1일
+    '2026-11-02T09:00:00.000Z'
+  ]);
+  // 한쪽이 *면 나머지 조건만 본다
+  assert.equal(iso(nextCronRun('0 9 1 * *', from, UTC)), '2026-11-01T09:00:00.000Z');
+  assert.equal(iso(nextCronRun('0 9 * * MON', from, UTC)), '2026-10-26T09:00:00.000Z');
+  // 13일의 금요일이 아니라 13일 또는 금요일
+  assert.equal(iso(nextCronRun('0 0 13 * 5', new Date('2026-11-10T00:00:00Z'), UTC)), '2026-11-13T00:00:00.000Z');
+  assert.equal(iso(nextCronRun('0 0 13 * 5', new Date('2026-11-14T00:00:00Z'), UTC)), '2026-11-20T00:00:00.000Z');
+});
+
+test('DST로 건너뛴 벽시계 시각(02:30)에는 그날 실행하지 않는다', () => {
+  const from = new Date('2026-03-07T12:00:00Z');
+  assert.deepEqual(previewCronRuns('30 2 * * *', 2, { from, ...NEW_YORK }).map(iso), [
+    '2026-03-09T06:30:00.000Z', // 3월 8일 02:30은 없는 시각, 9일 02:30 EDT
+    '2026-03-10T06:30:00.000Z'
+  ]);
+  // 매시 실행은 02시만 빠진다 (01:00 EST 다음이 03:00 EDT)
+  assert.deepEqual(previewCronRuns('0 * * * *', 2, { from: new Date('2026-03-08T06:00:00Z'), ...NEW_YORK }).map(iso), [
+    '2026-03-08T07:00:00.000Z',
+    '2026-03-08T08:00:00.000Z'
+  ]);
+  assert.equal(countCronRunsBetween('30 2 * * *', from, new Date('2026-03-09T12:00:00Z'), NEW_YORK), 1);
+});
+
+test('DST로 두 번 오는 벽시계 시각(01:30)에는 한 번만 실행한다', () => {
+  const from = new Date('2026-10-31T12:00:00Z');
+  const [first, second] = previewCronRuns('30 1 * * *', 2, { from, ...NEW_YORK });
+  assert.equal(iso(first), '2026-11-01T05:30:00.000Z'); // 첫 번째 01:30 (EDT)
+  assert.equal(iso(second), '2026-11-02T06:30:00.000Z'); // 다음 날 01:30 EST - 두 번째 01:30(11월 1일 06:30Z)은 건너뛴다
+  assert.equal(countCronRunsBetween('30 1 * * *', from, new Date('2026-11-02T12:00:00Z'), NEW_YORK), 2);
+});
+
+test('2월 29일은 다음 윤년에 실행한다', () => {
+  assert.equal(iso(nextCronRun('0 9 29 2 *', new Date('2026-03-01T00:00:00Z'), UTC)), '2028-02-29T09:00:00.000Z');
+  assert.equal(iso(nextCronRun('0 9 29 2 *', new Date('2026-03-01T00:00:00Z'))), '2028-02-29T00:00:00.000Z');
+  assert.equal(iso(nextCronRun('0 9 29 2 *', new Date('2028-02-29T09:00:00Z'), UTC)), '2032-02-29T09:00:00.000Z');
+  // 없는 날짜(2월 30일)는 null
+  assert.equal(nextCronRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z'), UTC), null);
+});
+
+test('놓친 실행 수는 from 제외, until 포함, limit까지 센다', () => {
+  const from = new Date('2026-10-19T09:00:00Z');
+  assert.equal(countCronRunsBetween('0 9 * * *', from, new Date('2026-10-22T09:00:00Z'), UTC), 3);
+  assert.equal(countCronRunsBetween('0 9 * * *', from, new Date('2026-10-22T08:59:00Z'), UTC), 2);
+  assert.equal(countCronRunsBetween('0 9 * * *', from, from, UTC), 0);
+  assert.equal(countCronRunsBetween('* * * * *', from, new Date('2026-10-20T09:00:00Z'), { ...UTC, limit: 10 }), 10);
+});
+
+// ─── CronScheduler catchUp ───────────────────────────────────────────
+
+let tmpDir;
+let db;
+let scheduler;
+let taskCount = 0;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-cron-test-'));
+  db = openDatabase(path.join(tmpDir, 'athena.db'));
+  scheduler = new CronScheduler({ db, interval: 60000 });
+});
+
+after(() => {
+  closeDatabases();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 다운타임: 매일 09:00 KST 작업이 10월 16일부터 멈춰 있다가 19일 12:00 KST에 깨어남 → 16 · 17 · 18 · 19일 4회 놓침
+const NOW = new Date('2026-10-19T03:00:00Z');
+const MISSED_SINCE = '2026-10-16T00:00:00.000Z';
+
+function createTask({ scheduleType = 'daily', scheduleConfig = { time: '09:00' }, nextRun = MISSED_SINCE, runCount = 0, maxRuns = null } = {}) {
+  const task = {
+    id: `task-${++taskCount}`,
+    name: 'morning briefing',
+    task_type: 'custom',
+    task_config: '{}',
+    schedule_type: scheduleType,
+    schedule_config: JSON.stringify(scheduleConfig),
+    next_run: nextRun,
+    run_count: runCount,
+    max_runs: maxRuns
+  };
+  db.prepare(`
+    INSERT INTO scheduled_tasks (id, name, task_type, task_config, schedule_type, schedule_config, next_run, run_count, max_runs)
+    VALUES (@id, @name, @task_type, @task_config, @schedule_type, @schedule_config, @next_run, @run_count, @max_runs)
+  `).run(task);
+  return task;
+}
+
+test('catchUp once(기본)는 몇 번을 놓쳤든 한 번 실행한다', () => {
+  assert.equal(scheduler._resolveCatchUpRuns(createTask(), NOW), 1);
+  assert.equal(scheduler._resolveCatchUpRuns(createTask({ scheduleConfig: { time: '09:00', catchUp: 'once' } }), NOW), 1);
+});
+
+test('catchUp all은 놓친 만큼 실행하되 MAX_CATCH_UP_RUNS와 남은 max_runs를 넘지 않는다', () => {
+  assert.equal(scheduler._resolveCatchUpRuns(createTask({ scheduleConfig: { time: '09:00', catchUp: 'all' } }), NOW), 4);
+  assert.equal(scheduler._resolveCatchUpRuns(
+    createTask({ scheduleConfig: { time: '09:00', catchUp: 'all' }, runCount: 3, maxRuns: 5 }), NOW
+  ), 2);
+  assert.equal(scheduler._resolveCatchUpRuns(
+    createTask({ scheduleType: 'cron', scheduleConfig: { expression: '0 * * * *', catchUp: 'all' } }), NOW
+  ), MAX_CATCH_UP_RUNS);
+  // interval은 경과 시간 / 간격
+  assert.equal(scheduler._resolveCatchUpRuns(
+    createTask({ scheduleType: 'interval', scheduleConfig: { intervalMinutes: 30, catchUp: 'all' }, nextRun: '2026-10-19T02:00:00.000Z' }), NOW
+  ), 3);
+});
+
+test('catchUp skip은 실행하지 않고 skipped 기록을 남긴 뒤 다음 예정 시각으로 넘긴다', () => {
+  const task = createTask({ scheduleConfig: { time: '09:00', catchUp: 'skip' } });
+  assert.equal(scheduler._resolveCatchUpRuns(task, NOW), 0);
+
+  const { next_run: nextRun } = db.prepare('SELECT next_run FROM scheduled_tasks WHERE id = ?').get(task.id);
+  assert.equal(nextRun, '2026-10-20T00:00:00.000Z');
+  const log = db.prepare('SELECT status, error FROM task_execution_log WHERE task_id = ?').all(task.id);
+  assert.deepEqual(log, [{ status: 'skipped', error: `Missed 4 run(s) since ${MISSED_SINCE}` }]);
+});
+
+test('tick 주기 2배 이내의 지연과 once 작업은 정책과 상관없이 한 번 실행한다', () => {
+  const onTime = createTask({ scheduleConfig: { time: '09:00', catchUp: 'skip' }, nextRun: '2026-10-19T02:59:00.000Z' });
+  assert.equal(scheduler._resolveCatchUpRuns(onTime, NOW), 1);
+  const once = createTask({ scheduleType: 'once', scheduleConfig: { catchUp: 'skip' } });
+  assert.equal(scheduler._resolveCatchUpRuns(once, NOW), 1);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM task_execution_log WHERE task_id IN (?, ?)').get(onTime.id, once.id).count, 0);
+});
@@ -0,0 +1,215 @@
+/**
+ * 마이그레이션 테스트 - migrate · rollback · status
+ * - 등록된 마이그레이션 전체를 빈 DB에서 최신까지 올리고 0까지 되돌린다
+ * - 마이그레이션 도입 전 모듈별 CREATE TABLE IF NOT EXISTS로 만들어진 DB에서도 up이 데이터를 지키며 멱등하게 동작한다
+ * - 버전 중복 · down 없는 마이그레이션은 작은 가짜 목록으로 확인
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { Migrator, getColumn, tableExists } from '../database/migrator.js';
+import { MIGRATIONS } from '../database/migrations/index.js';
+
+const LATEST = Math.max(...MIGRATIONS.map(migration => migration.version));
+
+let tmpDir;
+const connections = [];
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-migrator-test-'));
+});
+
+after(() => {
+  for (const db of connections) db.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// openDatabase()는 열면서 마이그레이션을 적용하므로 직접 연다
+function createDb(name) {
+  const db = new Database(path.join(tmpDir, `${name}.db`));
+  connections.push(db);
+  return db;
+}
+
+function userTables(db) {
+  return db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+    .all()
+    .map(row => row.name);
+}
+
+test('빈 DB는 최신 버전까지 올라가고, 0까지 되돌리면 schema_migrations만 남는다', () => {
+  const db = createDb('fresh');
+  const migrator = new Migrator({ db });
+  assert.deepEqual(migrator.status().migrations.map(migration => migration.status), MIGRATIONS.map(() => 'pending'));
+
+  const applied = migrator.migrate();
+  assert.equal(applied.length, MIGRATIONS.length);
+  assert.deepEqual(applied.map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+
+  const status = migrator.status();
+  assert.equal(status.current, LATEST);
+  assert.equal(status.latest, LATEST);
+  assert.ok(status.migrations.every(migration => migration.status === 'applied' && migration.appliedAt));
+  assert.deepEqual(migrator.migrate(), []);
+
+  const rolledBack = migrator.rollback({ to: 0 });
+  assert.deepEqual(rolledBack.map(migration => migration.version), applied.map(migration => migration.version).reverse());
+  assert.equal(migrator.currentVersion(), 0);
+  assert.deepEqual(userTables(db), ['schema_migrations']);
+
+  // 되돌린 뒤 다시 올려도 같은 결과
+  assert.equal(migrator.migrate().length, MIGRATIONS.length);
+  assert.equal(migrator.currentVersion(), LATEST);
+});
+
+test('migrate({ to })와 rollback({ steps })는 지정한 만큼만 움직인다', () => {
+  const migrator = new Migrator({ db: createDb('partial') });
+  assert.deepEqual(migrator.migrate({ to: 3 }).map(migration => migration.version), [1, 2, 3]);
+  assert.equal(migrator.status().migrations.filter(migration => migration.status === 'pending').length, MIGRATIONS.length - 3);
+
+  assert.deepEqual(migrator.rollback().map(migration => migration.version), [3]);
+  assert.deepEqual(migrator.rollback({ steps: 5 }).map(migration => migration.version), [2, 1]);
+  assert.deepEqual(migrator.rollback(), []);
+});
+
+// 마이그레이션 도입 전 코드(database/schema.js, security/approvalGate.js, memory/vectorCollectionStore.js 등)가 만들던 테이블
+function createLegacySchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS short_term_memory (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      content TEXT NOT NULL,
+      metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      is_active INTEGER DEFAULT 1
+    );
+    CREATE TABLE IF NOT EXISTS debate_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      debate_id TEXT NOT NULL,
+      feedback_type TEXT NOT NULL,
+      user_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS command_approvals (
+      id TEXT PRIMARY KEY,
+      command TEXT NOT NULL,
+      security_level TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      result TEXT,
+      requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      resolved_at DATETIME
+    );
+    CREATE TABLE IF NOT EXISTS vector_collections (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+      document_count INTEGER DEFAULT 0,
+      embedding_model TEXT DEFAULT 'text-embedding-3-small',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO users (id, username) VALUES ('alice', 'alice');
+    INSERT INTO sessions (id, user_id, title) VALUES ('s1', 'alice', '기존 세션');
+    INSERT INTO short_term_memory (user_id, session_id, message_type, content) VALUES ('alice', 's1', 'user', '안녕');
+    INSERT INTO debate_feedback (session_id, debate_id, feedback_type, user_id) VALUES ('s1', 'd1', 'like', 'alice');
+    INSERT INTO command_approvals (id, command, security_level, expires_at) VALUES ('cmd1', 'ls', 'safe', '2026-01-01T00:00:00Z');
+    INSERT INTO vector_collections (name, document_count) VALUES ('docs', 3);
+  `);
+}
+
+test('기존 ad hoc 테이블이 있는 DB에서도 up이 데이터를 지키고 빠진 컬럼을 채운다', () => {
+  const db = createDb('legacy');
+  createLegacySchema(db);
+
+  const migrator = new Migrator({ db });
+  assert.equal(migrator.migrate().length, MIGRATIONS.length);
+  assert.equal(migrator.currentVersion(), LATEST);
+
+  assert.ok(getColumn(db, 'sessions', 'project_id'));
+  assert.ok(getColumn(db, 'debate_feedback', 'round'));
+  assert.ok(getColumn(db, 'vector_collections', 'embedding_dimensions'));
+  assert.equal(getColumn(db, 'command_approvals', 'expires_at').notnull, 0);
+  assert.ok(getColumn(db, 'command_approvals', 'resolved_by'));
+  assert.ok(tableExists(db, 'audit_log'));
+
+  assert.equal(db.prepare(`SELECT title FROM sessions WHERE id = 's1'`).get().title, '기존 세션');
+  assert.equal(db.prepare(`SELECT content FROM short_term_memory WHERE session_id = 's1'`).get().content, '안녕');
+  assert.equal(db.prepare(`SELECT feedback_type FROM debate_feedback WHERE debate_id = 'd1'`).get().feedback_type, 'like');
+  assert.deepEqual(
+    { ...db.prepare(`SELECT command, status, expires_at FROM command_approvals WHERE id = 'cmd1'`).get() },
+    { command: 'ls', status: 'pending', expires_at: '2026-01-01T00:00:00Z' }
+  );
+  assert.equal(db.prepare(`SELECT document_count FROM vector_collections WHERE name = 'docs'`).get().document_count, 3);
+
+  // 다시 실행해도 적용할 것이 없고, 기록과 상관없이 up을 한 번 더 돌려도 실패하지 않는다
+  assert.deepEqual(new Migrator({ db }).migrate(), []);
+  const tables = userTables(db);
+  for (const migration of MIGRATIONS) {
+    assert.doesNotThrow(() => migration.up(db), `${migration.version} ${migration.name}`);
+  }
+  assert.deepEqual(userTables(db), tables);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count, 1);
+});
+
+// ─── 잘못된 마이그레이션 목록 ─────────────────────────────────────────
+
+function tableMigration(version, table, { reversible = true } = {}) {
+  return {
+    version,
+    name: `create_${table}`,
+    up: db => db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id INTEGER PRIMARY KEY)`),
+    ...(reversible && { down: db => db.exec(`DROP TABLE IF EXISTS ${table}`) })
+  };
+}
+
+test('버전이 겹치면 MIGRATION_DUPLICATE_VERSION', () => {
+  const db = createDb('duplicate');
+  assert.throws(
+    () => new Migrator({ db, migrations: [tableMigration(1, 'a'), tableMigration(2, 'b'), tableMigration(1, 'c')] }),
+    { code: 'MIGRATION_DUPLICATE_VERSION' }
+  );
+});
+
+test('down이 없는 마이그레이션은 MIGRATION_IRREVERSIBLE로 멈추고 그 버전은 적용된 채로 남는다', () => {
+  const db = createDb('irreversible');
+  const migrator = new Migrator({ db, migrations: [tableMigration(1, 'a'), tableMigration(2, 'b', { reversible: false })] });
+  migrator.migrate();
+
+  assert.throws(() => migrator.rollback(), { code: 'MIGRATION_IRREVERSIBLE' });
+  assert.throws(() => migrator.rollback({ to: 0 }), { code: 'MIGRATION_IRREVERSIBLE' });
+  assert.equal(migrator.currentVersion(), 2);
+  assert.ok(tableExists(db, 'a') && tableExists(db, 'b'));
+});
+
+test('코드에 없는 버전은 status에 unknown으로 보이고 되돌릴 수 없다', () => {
+  const db = createDb('unknown');
+  new Migrator({ db, migrations: [tableMigration(1, 'a'), tableMigration(2, 'b')] }).migrate();
+
+  const older = new Migrator({ db, migrations: [tableMigration(1, 'a')] });
+  const { current, latest, migrations } = older.status();
+  assert.equal(current, 2);
+  assert.equal(latest, 1);
+  assert.deepEqual(migrations.map(migration => [migration.version, migration.status]), [[1, 'applied'], [2, 'unknown']]);
+  assert.throws(() => older.rollback(), { code: 'MIGRATION_UNKNOWN' });
+});
@@ -0,0 +1,75 @@
+/**
+ * 도구 진행 상황 테스트 - 오래 걸리는 도구가 context.onProgress로 진행 상황을 보내는지
+ *
+ * 실행: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSystemExecTool } from '../mcp/tools/systemExec.js';
+import { createFileSystemTools } from '../mcp/tools/fileSystem.js';
+import { reportProgress, startProgressHeartbeat } from '../mcp/progress.js';
+
+function collector() {
+  const events = [];
+  return { events, onProgress: (progress) => events.push(progress) };
+}
+
+test('system_exec는 실행하는 동안 경과 시간을 보낸다', async () => {
+  const tool = createSystemExecTool();
+  const { events, onProgress } = collector();
+  const result = await tool.execute(
+    { command: 'sleep 2.5 && echo done' },
+    { policy: { decision: 'allow', level: 'SAFE' }, onProgress }
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(result.output.trim(), 'done');
+  assert.ok(events.length >= 2, `진행 상황 ${events.length}건`);
+  assert.match(events[0].message, /명령 실행 중: sleep 2\.5/);
+  assert.match(events[1].message, /초 경과/);
+  assert.ok(events.every(event => event.percent === null));
+});
+
+test('system_exec 실패도 그대로 돌려주고 진행 상황 보고를 멈춘다', async () => {
+  const tool = createSystemExecTool();
+  const { events, onProgress } = collector();
+  const result = await tool.execute({ command: 'ls /athena-test-missing-dir' }, { policy: { decision: 'allow', level: 'SAFE' }, onProgress });
+
+  assert.equal(result.success, false);
+  assert.match(result.stderr, /athena-test-missing-dir/);
+  const count = events.length;
+  await new Promise(resolve => setTimeout(resolve, 2200));
+  assert.equal(events.length, count);
+});
+
+test('list_directory는 항목을 확인하며 퍼센트를 보낸다', async () => {
+  const workspaceRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-progress-test-'));
+  try {
+    for (let i = 0; i < 25; i++) fs.writeFileSync(path.join(workspaceRoot, `file-${i}.txt`), String(i));
+    const listDirectory = createFileSystemTools({ workspaceRoot }).find(tool => tool.name === 'list_directory');
+    const { events, onProgress } = collector();
+    const result = await listDirectory.execute({}, { onProgress });
+
+    assert.equal(result.items.length, 25);
+    const percents = events.map(event => event.percent);
+    assert.equal(percents[0], 0);
+    assert.equal(percents.at(-1), 100);
+    assert.deepEqual(percents, [...percents].sort((a, b) => a - b));
+  } finally {
+    fs.rmSync(workspaceRoot, { recursive: true, force: true });
+  }
+});
+
+test('onProgress가 없거나 실패해도 도구 실행에 영향이 없다', () => {
+  reportProgress({}, 'no-op');
+  reportProgress({ onProgress: () => { throw new Error('boom'); } }, 'ignored', 50);
+  const stop = startProgressHeartbeat(undefined, 'no-op');
+  stop();
+
+  const { events, onProgress } = collector();
+  reportProgress({ onProgress }, 'clamped', 140);
+  assert.deepEqual(events, [{ message: 'clamped', percent: 100 }]);
+});
@@ -0,0 +1,178 @@
+/**
+ * HNSW 인덱스 테스트 - 전수 비교(searchExact) 대비 recall, 증분 삽입·삭제, 직렬화·복원·compact,
+ * 좁은 메타데이터 필터의 전수 비교 전환 (VectorCollectionStore)
+ * - 고정 시드 합성 임베딩(군집 분포)으로 결과가 매번 같다. 지연·큰 규모 측정은 npm run bench:vector
+ *
+ * 실행: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { HnswIndex } from '../memory/hnswIndex.js';
+import { VectorCollectionStore } from '../memory/vectorCollectionStore.js';
+
+const DIMS = 32;
+const COUNT = 2400;
+const K = 10;
+
+// 재현 가능한 난수 (mulberry32, scripts/benchmarkVectorIndex.js와 같은 방식)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createSampler(seed, clusters = 24) {
+  const random = createRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(random() || Number.MIN_VALUE)) * Math.cos(2 * Math.PI * random());
+  const centers = Array.from({ length: clusters }, () => Float32Array.from({ length: DIMS }, gaussian));
+  return {
+    random,
+    vector: () => Float32Array.from(centers[Math.floor(random() * clusters)], value => value + gaussian() * 2.5)
+  };
+}
+
+// 기본 파라미터는 VectorCollectionStore와 같게 (M 16, efConstruction 100, efSearch 64)
+function buildIndex(documents) {
+  const index = new HnswIndex({ dimensions: DIMS, M: 16, efConstruction: 100, efSearch: 64, random: createRandom(7) });
+  for (const doc of documents) index.add(doc.id, doc.vector);
+  return index;
+}
+
+function recallAtK(index, queries, options = {}) {
+  let hits = 0;
+  let expected = 0;
+  for (const query of queries) {
+    const truth = new Set(index.searchExact(query, K, options).map(result => result.id));
+    hits += index.search(query, K, options).filter(result => truth.has(result.id)).length;
+    expected += truth.size;
+  }
+  return hits / expected;
+}
+
+const sampler = createSampler(42);
+const documents = Array.from({ length: COUNT }, (_, i) => ({ id: `doc_${i}`, vector: sampler.vector() }));
+const queries = Array.from({ length: 40 }, sampler.vector);
+let index;
+
+before(() => {
+  index = buildIndex(documents);
+});
+
+test('기본 ef에서 recall@10이 전수 비교 대비 0.95 이상이다', () => {
+  assert.equal(index.size, COUNT);
+  const recall = recallAtK(index, queries);
+  assert.ok(recall >= 0.95, `recall@${K} = ${recall.toFixed(3)}`);
+
+  const [top] = index.search(documents[123].vector, 1);
+  assert.equal(top.id, 'doc_123');
+  assert.ok(top.similarity > 0.999);
+});
+
+test('삭제(tombstone)한 벡터는 결과에서 빠지고, 증분 삽입한 벡터는 바로 찾는다', () => {
+  const incremental = buildIndex(documents.slice(0, 1200));
+  const removed = documents.slice(0, 100).map(doc => doc.id);
+  for (const id of removed) assert.equal(incremental.remove(id), true);
+  assert.equal(incremental.remove('doc_0'), false);
+  assert.equal(incremental.has('doc_0'), false);
+  assert.equal(incremental.size, 1100);
+  assert.ok(Math.abs(incremental.deletedRatio - 100 / 1200) < 1e-9);
+
+  for (const doc of documents.slice(1200)) incremental.add(doc.id, doc.vector);
+  assert.equal(incremental.size, COUNT - 100);
+
+  const removedSet = new Set(removed);
+  for (const query of [...queries, documents[5].vector]) {
+    assert.ok(incremental.search(query, K).every(result => !removedSet.has(result.id)));
+  }
+  assert.equal(incremental.search(documents[2000].vector, 1)[0].id, 'doc_2000');
+  assert.ok(recallAtK(incremental, queries) >= 0.95);
+});
+
+test('직렬화 → 복원한 인덱스는 같은 결과를, compact한 인덱스는 삭제 없이 같은 품질을 낸다', () => {
+  const graph = JSON.parse(JSON.stringify(index.toJSON()));
+  const vectors = new Map(documents.map(doc => [doc.id, doc.vector]));
+  const restored = HnswIndex.fromJSON(graph, vectors);
+  assert.equal(restored.size, COUNT);
+  for (const query of queries.slice(0, 10)) {
+    assert.deepEqual(restored.search(query, K).map(r => r.id), index.search(query, K).map(r => r.id));
+  }
+
+  // 저장 뒤 DB에서 지워진 문서(벡터 없음)는 삭제된 것으로 복원된다
+  vectors.delete('doc_7');
+  const partial = HnswIndex.fromJSON(graph, vectors);
+  assert.equal(partial.has('doc_7'), false);
+  assert.equal(partial.size, COUNT - 1);
+  assert.equal(HnswIndex.fromJSON({ ...graph, version: 999 }, vectors), null);
+
+  for (let i = 0; i < 800; i++) partial.remove(`doc_${i}`);
+  partial.compact();
+  assert.equal(partial.deletedRatio, 0);
+  assert.equal(partial.size, COUNT - 800);
+  assert.equal(partial.search(documents[900].vector, 1)[0].id, 'doc_900');
+  assert.ok(recallAtK(partial, queries) >= 0.95);
+});
+
+// ─── VectorCollectionStore: 필터 통과 비율이 5% 미만이면 전수 비교 ─────────────────
+
+// 검색어 임베딩은 provider(OpenAI · 로컬 모델) 대신 정해 둔 벡터로
+class FixedQueryStore extends VectorCollectionStore {
+  async embedQuery() {
+    return this.queryVector;
+  }
+}
+
+let tmpDir;
+let db;
+let store;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'athena-vector-test-'));
+  db = new Database(path.join(tmpDir, 'athena.db'));
+  store = new FixedQueryStore({ db, indexDir: null });
+  store.ensureCollection('docs', { embeddingModel: 'test-embedding' });
+  // project: 2%는 alpha (전수 비교), category: 30%는 report (그래프 + 필터)
+  const random = createRandom(99);
+  const chunks = documents.map(doc => ({
+    id: doc.id,
+    text: doc.id,
+    metadata: { project: random() < 0.02 ? 'alpha' : 'other', category: random() < 0.3 ? 'report' : 'note' }
+  }));
+  store.replaceSource('docs', 'synthetic', chunks, documents.map(doc => Array.from(doc.vector)));
+});
+
+after(() => {
+  db?.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('좁은 필터는 전수 비교로 바꿔 정확한 결과를, 넓은 필터는 그래프 탐색을 쓴다', async () => {
+  const entry = store._getAnnIndex(store.getCollection('docs'));
+  const calls = { exact: 0 };
+  const searchExact = entry.index.searchExact.bind(entry.index);
+  entry.index.searchExact = (...args) => {
+    calls.exact++;
+    return searchExact(...args);
+  };
+
+  store.queryVector = Array.from(queries[0]);
+  const narrow = await store.search('docs', 'q', { topK: K, filter: { project: 'alpha' } });
+  assert.equal(narrow.method, 'hnsw');
+  assert.equal(calls.exact, 1);
+  assert.ok(narrow.totalSearched > 0 && narrow.totalSearched < COUNT * 0.05);
+  const exact = await store.search('docs', 'q', { topK: K, filter: { project: 'alpha' }, exact: true });
+  assert.deepEqual(narrow.results.map(r => r.id), exact.results.map(r => r.id));
+  assert.ok(narrow.results.every(result => result.metadata.project === 'alpha'));
+
+  const wide = await store.search('docs', 'q', { topK: K, filter: { category: 'report' } });
+  assert.equal(calls.exact, 1);
+  assert.ok(wide.results.length === K && wide.results.every(result => result.metadata.category === 'report'));
+});
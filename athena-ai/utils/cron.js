@@ -0,0 +1,381 @@
+/**
+ * Cron 표현식 유틸리티
+ * 5-field cron(분 시 일 월 요일)을 파싱하고, 타임존 기준 다음 실행 시각을 계산한다.
+ *
+ * 지원 문법: `*`, 목록(`1,15`), 범위(`1-5`), 스텝(`*\/15`, `0-30/10`), 월/요일 이름(JAN, MON),
+ * 요일 7 = 일요일. 일(day-of-month)과 요일이 모두 지정되면 표준 cron처럼 둘 중 하나만 맞아도 실행한다.
+ */
+
+// 모닝 브리핑 등 기본 스케줄은 한국 시간 기준
+export const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+/**
+ * 다운타임 후 놓친 실행 처리 정책
+ * - skip: 놓친 실행은 건너뛰고 다음 예정 시각으로
+ * - once: 몇 번을 놓쳤든 한 번만 실행 (기본값)
+ * - all: 놓친 횟수만큼 실행 (MAX_CATCH_UP_RUNS까지)
+ */
+export const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+export const DEFAULT_CATCH_UP = 'once';
+export const MAX_CATCH_UP_RUNS = 10;
+
+// 미리보기 최대 개수
+const MAX_PREVIEW_RUNS = 50;
+
+// 다음 실행 시각 탐색 한도 (2월 29일 같은 드문 조합도 찾을 수 있도록 5년)
+const MAX_SEARCH_YEARS = 5;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * 필드 값 하나(숫자 또는 이름) → 숫자
+ */
+function parseValue(raw, field) {
+  const upper = raw.toUpperCase();
+  if (field.names) {
+    const index = field.names.indexOf(upper);
+    if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`잘못된 cron ${field.name} 값: "${raw}"`);
+  }
+  const value = parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`cron ${field.name} 값 ${value}이(가) 범위(${field.min}-${field.max})를 벗어났습니다.`);
+  }
+  return value;
+}
+
+/**
+ * cron 필드 하나 → 허용 값 Set
+ */
+function parseField(expr, field) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [rangeExpr, stepExpr] = part.split('/');
+    const step = stepExpr === undefined ? 1 : parseInt(stepExpr, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepExpr !== undefined && !/^\d+$/.test(stepExpr))) {
+      throw new Error(`잘못된 cron 스텝: "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeExpr === '*') {
+      start = field.min;
+      end = field.name === 'dayOfWeek' ? 6 : field.max;
+    } else if (rangeExpr.includes('-')) {
+      const [from, to] = rangeExpr.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`잘못된 cron 범위: "${rangeExpr}"`);
+      }
+    } else {
+      start = parseValue(rangeExpr, field);
+      // "5/15"처럼 시작값에 스텝만 붙은 경우 최댓값까지 반복
+      end = stepExpr === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 요일 7은 일요일(0)과 같다
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * cron 표현식 파싱
+ * @param {string} expression - "분 시 일 월 요일"
+ * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+ */
+export function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('잘못된 Cron 표현식입니다. 형식: "분 시 일 월 요일"');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return parsed;
+}
+
+/**
+ * 타임존 유효성 확인
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * 실제 시각 → 해당 타임존의 벽시계 시각을 UTC 필드에 담은 Date
+ */
+function toWallClock(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return new Date(Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  ));
+}
+
+/**
+ * 타임존 벽시계 시각 → 실제 시각 (존재하지 않는 시각이면 null - DST 전환 구간)
+ */
+function fromWallClock(wall, timezone) {
+  let guess = new Date(wall.getTime());
+  for (let i = 0; i < 3; i++) {
+    const offset = toWallClock(guess, timezone).getTime() - guess.getTime();
+    guess = new Date(wall.getTime() - offset);
+  }
+  return toWallClock(guess, timezone).getTime() === wall.getTime() ? guess : null;
+}
+
+function matchesDay(cron, wall) {
+  const domMatch = cron.dayOfMonth.has(wall.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(wall.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * 다음 실행 시각 계산 (from 이후, from 자신은 제외)
+ * @param {string|Object} expression - cron 표현식 또는 parseCronExpression 결과
+ * @param {Date} from - 기준 시각
+ * @param {Object} options
+ * @param {string} options.timezone - IANA 타임존 (기본값: Asia/Seoul)
+ * @returns {Date|null} 다음 실행 시각 (탐색 한도 내에 없으면 null)
+ */
+export function nextCronRun(expression, from = new Date(), { timezone = DEFAULT_TIMEZONE } = {}) {
+  const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+  // 벽시계 기준으로 다음 분부터 탐색
+  const wall = toWallClock(from, timezone);
+  wall.setUTCSeconds(0, 0);
+  wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+  const limit = wall.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 3600_000;
+
+  while (wall.getTime() < limit) {
+    if (!cron.month.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    const next = fromWallClock(wall, timezone);
+    if (next && next > from) {
+      return next;
+    }
+    // DST로 건너뛴 시각 - 다음 분부터 계속
+    wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+  }
+
+  return null;
+}
+
+/**
+ * 다음 N회 실행 시각 미리보기
+ * @param {string} expression - cron 표현식
+ * @param {number} count - 개수
+ * @param {Object} options - { from, timezone }
+ * @returns {Array<Date>}
+ */
+export function previewCronRuns(expression, count = 5, { from = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+  const cron = parseCronExpression(expression);
+  const runs = [];
+  let cursor = from;
+  while (runs.length < count) {
+    const next = nextCronRun(cron, cursor, { timezone });
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+}
+
+/**
+ * from(제외) ~ until(포함) 사이에 놓친 실행 횟수
+ * @param {string} expression - cron 표현식
+ * @param {Date} from
+ * @param {Date} until
+ * @param {Object} options - { timezone, limit }
+ * @returns {number}
+ */
+export function countCronRunsBetween(expression, from, until, { timezone = DEFAULT_TIMEZONE, limit = 100 } = {}) {
+  const cron = parseCronExpression(expression);
+  let count = 0;
+  let cursor = from;
+  while (count < limit) {
+    const next = nextCronRun(cron, cursor, { timezone });
+    if (!next || next > until) break;
+    count++;
+    cursor = next;
+  }
+  return count;
+}
+
+/**
+ * daily/weekly/monthly 스케줄 설정 → 동등한 cron 표현식
+ * @returns {string|null} cron 표현식 (once/interval은 null)
+ */
+export function scheduleToCron(scheduleType, scheduleConfig = {}) {
+  if (scheduleType === 'cron') {
+    return scheduleConfig.expression;
+  }
+
+  const [hour, minute] = (scheduleConfig.time || '09:00').split(':').map(Number);
+  switch (scheduleType) {
+    case 'daily':
+      return `${minute} ${hour} * * *`;
+    case 'weekly':
+      return `${minute} ${hour} * * ${scheduleConfig.dayOfWeek ?? 0}`;
+    case 'monthly':
+      return `${minute} ${hour} ${scheduleConfig.dayOfMonth || 1} * *`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 스케줄 설정 기준 다음 실행 시각 (모든 schedule_type 공통)
+ * @param {string} scheduleType - once | interval | daily | weekly | monthly | cron
+ * @param {Object} scheduleConfig - 스케줄 설정 (timezone 포함 가능)
+ * @param {Date} from - 기준 시각
+ * @returns {Date|null} 다음 실행 시각 (once가 이미 지났으면 null)
+ */
+export function nextScheduledRun(scheduleType, scheduleConfig = {}, from = new Date()) {
+  const timezone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+
+  if (scheduleType === 'once') {
+    const at = new Date(scheduleConfig.datetime);
+    return at > from ? at : null;
+  }
+  if (scheduleType === 'interval') {
+    return new Date(from.getTime() + (scheduleConfig.intervalMinutes || 60) * 60_000);
+  }
+
+  const expression = scheduleToCron(scheduleType, scheduleConfig);
+  if (!expression) {
+    throw new Error(`알 수 없는 스케줄 타입: ${scheduleType}`);
+  }
+  return nextCronRun(expression, from, { timezone });
+}
+
+/**
+ * 스케줄 설정 기준 다음 N회 실행 시각 미리보기 (저장 전 확인용)
+ * @param {string} scheduleType - once | interval | daily | weekly | monthly | cron
+ * @param {Object} scheduleConfig - 스케줄 설정 (timezone 포함 가능)
+ * @param {number} count - 개수
+ * @param {Date} from - 기준 시각
+ * @returns {Array<Date>}
+ */
+export function previewScheduledRuns(scheduleType, scheduleConfig = {}, count = 5, from = new Date()) {
+  const runs = [];
+  let cursor = from;
+  while (runs.length < count) {
+    const next = nextScheduledRun(scheduleType, scheduleConfig, cursor);
+    if (!next) break;
+    runs.push(next);
+    if (scheduleType === 'once') break;
+    cursor = next;
+  }
+  return runs;
+}
+
+/**
+ * 타임존 기준 표시용 문자열 (예: "2025-03-03 09:00 (Asia/Seoul)")
+ */
+export function formatInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  const wall = toWallClock(date, timezone).toISOString();
+  return `${wall.slice(0, 10)} ${wall.slice(11, 16)} (${timezone})`;
+}
+
+/**
+ * 스케줄 설정 검증 (cron 표현식/타임존) - 잘못된 경우 Error
+ */
+export function validateScheduleConfig(scheduleType, scheduleConfig = {}) {
+  if (scheduleConfig.timezone && !isValidTimezone(scheduleConfig.timezone)) {
+    throw new Error(`알 수 없는 타임존: ${scheduleConfig.timezone}`);
+  }
+  if (scheduleConfig.catchUp && !CATCH_UP_POLICIES.includes(scheduleConfig.catchUp)) {
+    throw new Error(`catchUp은 ${CATCH_UP_POLICIES.join(', ')} 중 하나여야 합니다.`);
+  }
+  const expression = scheduleToCron(scheduleType, scheduleConfig);
+  if (expression !== null) {
+    parseCronExpression(expression);
+  }
+}
+
+/**
+ * 스케줄 미리보기 응답 (preview_schedule 도구와 /schedule/preview API 공용)
+ * @param {Object} params - { scheduleType, scheduleConfig, count }
+ * @returns {{success: boolean, scheduleType: string, timezone: string, expression: string|null, runs: Array<{at: string, local: string}>}}
+ */
+export function previewSchedule({ scheduleType, scheduleConfig = {}, count = 5 }) {
+  validateScheduleConfig(scheduleType, scheduleConfig);
+  const timezone = scheduleConfig.timezone || DEFAULT_TIMEZONE;
+  const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), MAX_PREVIEW_RUNS);
+
+  return {
+    success: true,
+    scheduleType,
+    timezone,
+    expression: scheduleToCron(scheduleType, scheduleConfig),
+    runs: previewScheduledRuns(scheduleType, scheduleConfig, limit).map(date => ({
+      at: date.toISOString(),
+      local: formatInTimezone(date, timezone)
+    }))
+  };
+}
@@ -0,0 +1,426 @@
+/**
+ * Document Extractor - 업로드 문서 텍스트 추출
+ * PDF(페이지), DOCX(페이지 구분), XLSX(시트), PPTX(슬라이드)에서 텍스트/표를 추출하고
+ * 위치(앵커)별 섹션과 검색용 청크로 나눈다.
+ *
+ * DOCX/XLSX/PPTX는 OOXML(zip + XML)이므로 zlib로 직접 압축을 풀어 읽는다.
+ */
+import zlib from 'zlib';
+
+// 압축 해제 한도 (zip bomb 방지)
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+// 시트당 최대 행 수
+const MAX_SHEET_ROWS = 2000;
+
+// 청크 기본 크기 (문자)
+const DEFAULT_CHUNK_SIZE = 1500;
+
+const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', anchor: '페이지' },
+  docx: { label: 'Word', anchor: '페이지' },
+  xlsx: { label: 'Excel', anchor: '시트' },
+  pptx: { label: 'PowerPoint', anchor: '슬라이드' }
+};
+
+/**
+ * 파일명/MIME 타입 → 추출 가능한 문서 타입
+ * @returns {'pdf'|'docx'|'xlsx'|'pptx'|null}
+ */
+export function detectDocumentType(fileName = '', mimeType = '') {
+  const name = fileName.toLowerCase();
+  if (mimeType === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || name.endsWith('.docx')) return 'docx';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || name.endsWith('.xlsx')) return 'xlsx';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.presentationml.presentation' || name.endsWith('.pptx')) return 'pptx';
+  return null;
+}
+
+// ============================================================
+// ZIP 읽기
+// ============================================================
+
+/**
+ * zip 버퍼 → { 경로: () => Buffer } (필요한 엔트리만 압축 해제)
+ */
+function readZipEntries(buffer) {
+  // End of Central Directory 레코드는 파일 끝 (최대 64KB 주석 앞)에 있다
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('올바른 Office 문서(zip) 형식이 아닙니다.');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 형식의 문서는 지원하지 않습니다.');
+  }
+
+  const entries = {};
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('손상된 zip 중앙 디렉토리입니다.');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries[name] = () => {
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const start = localOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+      throw new Error(`지원하지 않는 zip 압축 방식입니다: ${method}`);
+    };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    has: (name) => Boolean(entries[name]),
+    text: (name) => (entries[name] ? entries[name]().toString('utf8') : null)
+  };
+}
+
+// ============================================================
+// XML 헬퍼 (OOXML은 구조가 고정적이라 정규식으로 충분)
+// ============================================================
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 태그 블록 목록 (<tag ...>...</tag> 또는 <tag/>)
+ */
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map(match => ({ raw: match[0], inner: match[1] || '' }));
+}
+
+function xmlAttr(tagText, attr) {
+  const match = new RegExp(`\\s${attr}="([^"]*)"`).exec(tagText);
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * .rels 파일 → { rId: target 경로 }
+ */
+function readRelationships(zip, relsPath, baseDir) {
+  const xml = zip.text(relsPath);
+  const rels = {};
+  if (!xml) return rels;
+  for (const { raw } of xmlBlocks(xml, 'Relationship')) {
+    const target = xmlAttr(raw, 'Target');
+    rels[xmlAttr(raw, 'Id')] = target.startsWith('/') ? target.slice(1) : resolvePath(baseDir, target);
+  }
+  return rels;
+}
+
+function resolvePath(baseDir, target) {
+  const parts = baseDir ? baseDir.split('/') : [];
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+/**
+ * 표 행 배열 → 마크다운 표
+ */
+function formatTable(rows) {
+  const width = Math.max(...rows.map(row => row.length));
+  if (!rows.length || width === 0) return '';
+  const clean = (cell) => (cell || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+  const lines = rows.map(row => `| ${Array.from({ length: width }, (_, i) => clean(row[i])).join(' | ')} |`);
+  lines.splice(1, 0, `|${' --- |'.repeat(width)}`);
+  return lines.join('\n');
+}
+
+// ============================================================
+// 형식별 추출
+// ============================================================
+
+async function extractPdf(buffer) {
+  // 테스트 파일 로딩 문제를 피하려고 lib 경로를 직접 import
+  const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages.push(text);
+      return text;
+    }
+  });
+
+  return {
+    sections: pages.map((text, i) => ({ anchor: `페이지 ${i + 1}`, text: text.trim() })),
+    meta: { pageCount: data.numpages }
+  };
+}
+
+function docxParagraphText(paragraphXml) {
+  let text = '';
+  for (const match of paragraphXml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>/g)) {
+    if (match[1] !== undefined) text += decodeXml(match[1]);
+    else text += match[0] === '<w:tab/>' ? '\t' : '\n';
+  }
+
+  const style = /<w:pStyle w:val="([^"]+)"/.exec(paragraphXml)?.[1] || '';
+  const heading = /^(?:Heading|제목)\s?(\d)$/i.exec(style);
+  if (heading && text.trim()) {
+    return `${'#'.repeat(Number(heading[1]))} ${text.trim()}`;
+  }
+  if (/<w:numPr>/.test(paragraphXml) && text.trim()) {
+    return `- ${text.trim()}`;
+  }
+  return text;
+}
+
+function extractDocx(buffer) {
+  const zip = readZipEntries(buffer);
+  const xml = zip.text('word/document.xml');
+  if (!xml) {
+    throw new Error('word/document.xml이 없는 Word 문서입니다.');
+  }
+
+  const body = /<w:body>([\s\S]*)<\/w:body>/.exec(xml)?.[1] || xml;
+  const pages = [[]];
+
+  // 본문 최상위의 문단과 표를 순서대로 처리, 명시적/렌더링된 페이지 나눔으로 페이지를 구분
+  for (const match of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g)) {
+    const block = match[0];
+    if (block.startsWith('<w:tbl>')) {
+      const rows = xmlBlocks(block, 'w:tr').map(row =>
+        xmlBlocks(row.inner, 'w:tc').map(cell =>
+          xmlBlocks(cell.inner, 'w:p').map(p => docxParagraphText(p.inner)).join('\n')
+        )
+      );
+      pages[pages.length - 1].push(formatTable(rows));
+      continue;
+    }
+
+    if (/<w:br w:type="page"\/>|<w:lastRenderedPageBreak\/>/.test(block) && pages[pages.length - 1].some(line => line.trim())) {
+      pages.push([]);
+    }
+    pages[pages.length - 1].push(docxParagraphText(block));
+  }
+
+  const sections = pages
+    .map((lines, i) => ({ anchor: `페이지 ${i + 1}`, text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+    .filter(section => section.text);
+
+  return { sections, meta: { pageCount: pages.length } };
+}
+
+function columnIndex(cellRef) {
+  const letters = /^[A-Z]+/.exec(cellRef || '')?.[0] || '';
+  return [...letters].reduce((sum, ch) => sum * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function extractXlsx(buffer) {
+  const zip = readZipEntries(buffer);
+  const workbook = zip.text('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('xl/workbook.xml이 없는 Excel 문서입니다.');
+  }
+
+  const rels = readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+  const sharedStringsXml = zip.text('xl/sharedStrings.xml') || '';
+  const sharedStrings = xmlBlocks(sharedStringsXml, 'si').map(si =>
+    [...si.inner.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('')
+  );
+
+  const sections = [];
+  const sheetNames = [];
+  for (const { raw } of xmlBlocks(workbook, 'sheet')) {
+    const name = xmlAttr(raw, 'name');
+    const sheetPath = rels[xmlAttr(raw, 'r:id')];
+    const sheetXml = sheetPath && zip.text(sheetPath);
+    sheetNames.push(name);
+    if (!sheetXml) continue;
+
+    const rows = [];
+    let truncated = false;
+    for (const row of xmlBlocks(sheetXml, 'row')) {
+      if (rows.length >= MAX_SHEET_ROWS) {
+        truncated = true;
+        break;
+      }
+      const cells = [];
+      for (const cell of xmlBlocks(row.inner, 'c')) {
+        const type = xmlAttr(cell.raw, 't');
+        const value = /<v>([\s\S]*?)<\/v>/.exec(cell.inner)?.[1];
+        let text;
+        if (type === 's') text = sharedStrings[Number(value)] ?? '';
+        else if (type === 'inlineStr') text = [...cell.inner.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+        else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+        else text = value !== undefined ? decodeXml(value) : '';
+
+        const index = columnIndex(xmlAttr(cell.raw, 'r'));
+        cells[index >= 0 ? index : cells.length] = text;
+      }
+      if (cells.some(cell => cell && cell.trim())) {
+        rows.push(Array.from(cells, cell => cell || ''));
+      }
+    }
+
+    if (rows.length) {
+      const table = formatTable(rows);
+      sections.push({
+        anchor: `시트 "${name}"`,
+        text: truncated ? `${table}\n... (${MAX_SHEET_ROWS}행 이후 생략)` : table
+      });
+    }
+  }
+
+  return { sections, meta: { sheetNames, sheetCount: sheetNames.length } };
+}
+
+function pptxShapeText(xml) {
+  const parts = [];
+  // 표는 마크다운 표로, 나머지 도형은 문단 단위로
+  const withoutTables = xml.replace(/<a:tbl>[\s\S]*?<\/a:tbl>/g, (tableXml) => {
+    const rows = xmlBlocks(tableXml, 'a:tr').map(row =>
+      xmlBlocks(row.inner, 'a:tc').map(cell =>
+        [...cell.inner.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(m => decodeXml(m[1])).join(' ')
+      )
+    );
+    parts.push(formatTable(rows));
+    return '';
+  });
+
+  const paragraphs = xmlBlocks(withoutTables, 'a:p')
+    .map(p => [...p.inner.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g)].map(m => decodeXml(m[1])).join(''))
+    .filter(text => text.trim());
+
+  return [...paragraphs, ...parts].join('\n');
+}
+
+function extractPptx(buffer) {
+  const zip = readZipEntries(buffer);
+  const presentation = zip.text('ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('ppt/presentation.xml이 없는 PowerPoint 문서입니다.');
+  }
+
+  const rels = readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const slidePaths = xmlBlocks(presentation, 'p:sldId').map(({ raw }) => rels[xmlAttr(raw, 'r:id')]).filter(Boolean);
+
+  const sections = [];
+  slidePaths.forEach((slidePath, i) => {
+    const slideXml = zip.text(slidePath);
+    if (!slideXml) return;
+
+    const lines = [pptxShapeText(slideXml)];
+
+    // 발표자 노트
+    const slideDir = slidePath.split('/').slice(0, -1).join('/');
+    const slideFile = slidePath.split('/').pop();
+    const slideRels = readRelationships(zip, `${slideDir}/_rels/${slideFile}.rels`, slideDir);
+    const notesPath = Object.values(slideRels).find(target => target.includes('notesSlide'));
+    const notesXml = notesPath && zip.text(notesPath);
+    if (notesXml) {
+      const notes = pptxShapeText(notesXml).replace(/^\d+$/gm, '').trim();
+      if (notes) lines.push(`(발표자 노트) ${notes}`);
+    }
+
+    const text = lines.join('\n').trim();
+    if (text) sections.push({ anchor: `슬라이드 ${i + 1}`, text });
+  });
+
+  return { sections, meta: { slideCount: slidePaths.length } };
+}
+
+// ============================================================
+// 공개 API
+// ============================================================
+
+/**
+ * 문서 텍스트 추출
+ * @param {Buffer} buffer - 파일 내용
+ * @param {Object} options - { fileName, mimeType }
+ * @returns {Promise<{type: string, sections: Array<{anchor: string, text: string}>, meta: Object}|null>}
+ *   지원하지 않는 형식이면 null
+ */
+export async function extractDocument(buffer, { fileName = '', mimeType = '' } = {}) {
+  const type = detectDocumentType(fileName, mimeType);
+  if (!type) return null;
+
+  const extractors = { pdf: extractPdf, docx: extractDocx, xlsx: extractXlsx, pptx: extractPptx };
+  const { sections, meta } = await extractors[type](buffer);
+  return { type, sections, meta };
+}
+
+/**
+ * 추출 결과 → project_resources.content 용 텍스트 (위치 앵커 포함)
+ */
+export function formatExtractedDocument(document, fileName) {
+  const { label } = DOCUMENT_TYPES[document.type];
+  const header = `[${label} 파일: ${fileName}]`;
+  if (!document.sections.length) {
+    return `${header}\n추출할 수 있는 텍스트가 없습니다. 이미지 기반(스캔) 문서일 수 있습니다.`;
+  }
+  const body = document.sections.map(section => `--- ${section.anchor} ---\n${section.text}`).join('\n\n');
+  return `${header}\n\n${body}`;
+}
+
+/**
+ * 추출 결과 → 검색/인용용 청크 (섹션 경계를 넘지 않고, 문단 단위로 자름)
+ * @param {Object} document - extractDocument 결과
+ * @param {Object} options - { chunkSize }
+ * @returns {Array<{anchor: string, text: string}>}
+ */
+export function chunkDocument(document, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  const chunks = [];
+
+  for (const section of document.sections) {
+    let current = '';
+    const flush = () => {
+      if (current.trim()) chunks.push({ anchor: section.anchor, text: current.trim() });
+      current = '';
+    };
+
+    for (const paragraph of section.text.split(/\n(?=\S)/)) {
+      if (current && current.length + paragraph.length + 1 > chunkSize) flush();
+      if (paragraph.length > chunkSize) {
+        for (let i = 0; i < paragraph.length; i += chunkSize) {
+          current = paragraph.slice(i, i + chunkSize);
+          flush();
+        }
+        continue;
+      }
+      current = current ? `${current}\n${paragraph}` : paragraph;
+    }
+    flush();
+  }
+
+  return chunks;
+}
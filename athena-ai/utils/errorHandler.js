@@ -16,6 +16,7 @@ export const ErrorType = {
   NETWORK_ERROR: 'NETWORK_ERROR',
   AUTHENTICATION_ERROR: 'AUTHENTICATION_ERROR',
   RATE_LIMIT_ERROR: 'RATE_LIMIT_ERROR',
+  BUDGET_EXCEEDED_ERROR: 'BUDGET_EXCEEDED_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
@@ -30,6 +31,7 @@ const USER_FRIENDLY_MESSAGES = {
   [ErrorType.NETWORK_ERROR]: '네트워크 연결을 확인해주세요.',
   [ErrorType.AUTHENTICATION_ERROR]: '인증이 필요합니다.',
   [ErrorType.RATE_LIMIT_ERROR]: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+  [ErrorType.BUDGET_EXCEEDED_ERROR]: 'AI 사용 예산 한도에 도달했습니다. 예산 설정을 확인해주세요.',
   [ErrorType.UNKNOWN_ERROR]: '예상치 못한 오류가 발생했습니다.'
 };
 
@@ -37,6 +39,16 @@ const USER_FRIENDLY_MESSAGES = {
  * 에러 분류 함수
  */
 export function classifyError(error) {
+  // 예산 게이트에서 차단된 호출
+  if (error.code === 'BUDGET_EXCEEDED') {
+    return ErrorType.BUDGET_EXCEEDED_ERROR;
+  }
+
+  // 서킷 브레이커가 열려 있어 호출하지 않은 provider
+  if (error.code === 'PROVIDER_UNAVAILABLE') {
+    return ErrorType.AI_PROVIDER_ERROR;
+  }
+
   // HTTP 상태 코드 기반 분류
   if (error.status) {
     if (error.status === 401 || error.status === 403) {
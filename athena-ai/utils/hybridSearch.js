@@ -0,0 +1,165 @@
+/**
+ * Hybrid Search - BM25 키워드 점수 + 임베딩 코사인 유사도 결합 검색 유틸리티
+ */
+
+// BM25 파라미터
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const HANGUL_PATTERN = /[가-힣]/;
+
+/**
+ * 검색용 토큰화
+ * 한국어는 조사가 붙어 형태가 달라지므로("문서를" / "문서") 한글 토큰은 음절 bigram도 함께 넣는다.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    if (!word) continue;
+    if (!HANGUL_PATTERN.test(word)) {
+      if (word.length > 1 || /\d/.test(word)) tokens.push(word);
+      continue;
+    }
+    tokens.push(word);
+    if (word.length <= 2) continue;
+    for (let i = 0; i < word.length - 1; i++) {
+      tokens.push(word.slice(i, i + 2));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 토큰 수 추정 (영문 ~4자, 한글 ~1.5자당 1토큰)
+ */
+export function estimateTokens(text) {
+  const value = String(text || '');
+  const hangul = (value.match(/[가-힣]/g) || []).length;
+  return Math.ceil(hangul / 1.5 + (value.length - hangul) / 4);
+}
+
+/**
+ * 코사인 유사도
+ */
+export function cosineSimilarity(a, b) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * 임베딩 배열 → SQLite BLOB
+ */
+export function encodeEmbedding(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer);
+}
+
+/**
+ * SQLite BLOB → Float32Array (Buffer 풀 오프셋 고려)
+ */
+export function decodeEmbedding(blob) {
+  if (!blob) return null;
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / Float32Array.BYTES_PER_ELEMENT);
+}
+
+/**
+ * 문서 집합에 대한 BM25 점수
+ * @param {Array<string>} queryTokens
+ * @param {Array<Array<string>>} documentTokens - 문서별 토큰
+ * @returns {Array<number>} 문서별 점수
+ */
+export function bm25Scores(queryTokens, documentTokens) {
+  const docCount = documentTokens.length;
+  if (docCount === 0 || queryTokens.length === 0) {
+    return documentTokens.map(() => 0);
+  }
+
+  const avgLength = documentTokens.reduce((sum, tokens) => sum + tokens.length, 0) / docCount || 1;
+  const uniqueQuery = [...new Set(queryTokens)];
+  const termFrequencies = documentTokens.map(tokens => {
+    const tf = new Map();
+    for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+    return tf;
+  });
+
+  const idf = new Map();
+  for (const term of uniqueQuery) {
+    const df = termFrequencies.filter(tf => tf.has(term)).length;
+    idf.set(term, Math.log(1 + (docCount - df + 0.5) / (df + 0.5)));
+  }
+
+  return termFrequencies.map((tf, i) => {
+    const length = documentTokens[i].length;
+    let score = 0;
+    for (const term of uniqueQuery) {
+      const freq = tf.get(term);
+      if (!freq) continue;
+      score += idf.get(term) * (freq * (BM25_K1 + 1)) / (freq + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * BM25 + 코사인 유사도 결합 순위
+ * BM25는 최댓값으로 0~1 정규화하고, 코사인은 음수를 0으로 잘라 가중합한다.
+ * 쿼리 임베딩이 없으면(임베딩 provider 없음) BM25만 사용한다.
+ *
+ * @param {Array<{text: string, embedding?: Float32Array|Array<number>|null}>} documents
+ * @param {Object} query - { text, embedding }
+ * @param {Object} options - { semanticWeight: 코사인 가중치 (기본 0.6) }
+ * @returns {Array<{index: number, score: number, bm25: number, semantic: number|null}>} 점수 내림차순
+ */
+export function hybridRank(documents, { text, embedding = null }, { semanticWeight = 0.6 } = {}) {
+  const keyword = bm25Scores(tokenize(text), documents.map(doc => tokenize(doc.text)));
+  const maxKeyword = Math.max(0, ...keyword);
+  const weight = embedding ? semanticWeight : 0;
+
+  return documents
+    .map((doc, index) => {
+      const bm25 = maxKeyword > 0 ? keyword[index] / maxKeyword : 0;
+      const semantic = embedding && doc.embedding && doc.embedding.length === embedding.length
+        ? Math.max(0, cosineSimilarity(embedding, doc.embedding))
+        : null;
+      return {
+        index,
+        score: weight * (semantic ?? 0) + (1 - weight) * bm25,
+        bm25,
+        semantic
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 순위 결과에서 토큰 예산 안에 들어가는 상위 k개 선택
+ * @param {Array<Object>} ranked - 점수 내림차순 결과
+ * @param {Function} getText - 결과 → 본문
+ * @param {Object} options - { topK, maxTokens, minScore }
+ * @returns {Array<Object>}
+ */
+export function selectWithinBudget(ranked, getText, { topK = 8, maxTokens = 3000, minScore = 0 } = {}) {
+  const selected = [];
+  let usedTokens = 0;
+  for (const result of ranked) {
+    if (selected.length >= topK) break;
+    if (result.score <= minScore) break;
+    const tokens = estimateTokens(getText(result));
+    // 예산을 넘는 청크는 건너뛰고 더 작은 다음 후보를 시도
+    if (usedTokens + tokens > maxTokens) continue;
+    selected.push(result);
+    usedTokens += tokens;
+  }
+  return selected;
+}
@@ -0,0 +1,41 @@
+/**
+ * 모델 응답에 섞인 JSON 파싱 유틸
+ */
+
+/**
+ * 응답에서 첫 JSON 객체 추출 (```json 코드 블록 우선, 없으면 중괄호 깊이로 찾음)
+ */
+export function parseJsonObject(text) {
+  const content = String(text || '');
+  const fence = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidates = fence ? [fence[1], content] : [content];
+
+  for (const candidate of candidates) {
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    for (let i = 0; i < candidate.length; i++) {
+      const char = candidate[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '{') {
+        if (depth === 0) start = i;
+        depth++;
+      } else if (char === '}' && depth > 0) {
+        depth--;
+        if (depth === 0) {
+          try {
+            return JSON.parse(candidate.slice(start, i + 1));
+          } catch {
+            start = -1;
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
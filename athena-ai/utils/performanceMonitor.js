@@ -3,69 +3,23 @@
  * AI Provider의 응답 시간, 성공률, 사용량 추적
  */
 
-import Database from 'better-sqlite3';
 import { logger } from './logger.js';
-
-// 모델별 토큰 비용 (USD per 1M tokens) - 2024년 기준
-const MODEL_PRICING = {
-  // OpenAI
-  'gpt-5': { input: 2.50, output: 10.00 },
-  'gpt-4-turbo': { input: 10.00, output: 30.00 },
-  'gpt-4': { input: 30.00, output: 60.00 },
-  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
-  
-  // Anthropic Claude
-  'claude-sonnet-4-5-20250929': { input: 3.00, output: 15.00 },
-  'claude-3-5-sonnet-20240620': { input: 3.00, output: 15.00 },
-  'claude-3-opus': { input: 15.00, output: 75.00 },
-  'claude-3-sonnet': { input: 3.00, output: 15.00 },
-  'claude-3-haiku': { input: 0.25, output: 1.25 },
-  
-  // Google Gemini
-  'gemini-2.5-flash': { input: 0.075, output: 0.30 },
-  'gemini-2.0-flash-exp': { input: 0.075, output: 0.30 },
-  'gemini-pro': { input: 0.50, output: 1.50 },
-  
-  // xAI Grok
-  'grok-4-fast': { input: 0.50, output: 2.00 },
-  'grok-beta': { input: 0.50, output: 2.00 },
-  'grok-2': { input: 0.50, output: 2.00 },
-};
+import { openDatabase } from '../database/connection.js';
+import { getModelRegistry } from '../ai/registry/index.js';
 
 /**
- * 토큰 비용 계산
+ * 토큰 비용 계산 (USD) - 단가는 모델 레지스트리(ai/registry) 기준
  */
-function calculateCost(model, inputTokens, outputTokens) {
-  const pricing = MODEL_PRICING[model];
-  if (!pricing) {
-    // 기본값: 평균 비용 사용
-    return (inputTokens * 1.0 + outputTokens * 5.0) / 1000000;
-  }
-  
-  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+export function calculateCost(model, inputTokens, outputTokens) {
+  return getModelRegistry().calculateCost(model, inputTokens, outputTokens);
 }
 
 export class PerformanceMonitor {
-  constructor(dbPath) {
-    this.db = new Database(dbPath);
-    this.initializeTables();
-  }
-
   /**
-   * 테이블 초기화
+   * @param {string|Object} dbPathOrDb - DB 경로 또는 공유 연결 (ai_performance와 인덱스는 마이그레이션에서 생성)
    */
-  initializeTables() {
-    // ai_performance 테이블이 이미 schema.js에서 생성됨
-    // 필요시 인덱스 추가
-    try {
-      this.db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_ai_performance_provider_task 
-        ON ai_performance(ai_provider, task_type);
-      `);
-    } catch (error) {
-      // 인덱스가 이미 있으면 무시
-      logger.debug('Performance index already exists');
-    }
+  constructor(dbPathOrDb) {
+    this.db = typeof dbPathOrDb === 'object' && dbPathOrDb !== null ? dbPathOrDb : openDatabase(dbPathOrDb);
   }
 
   /**
@@ -356,6 +310,226 @@ export class PerformanceMonitor {
     }
   }
 
+  /**
+   * api_usage 조회 조건 (provider, 기간 YYYY-MM-DD - 종료일 포함)
+   */
+  _usageFilter(providerName, startDate, endDate) {
+    const conditions = [];
+    const params = [];
+    if (providerName) {
+      conditions.push('ai_provider = ?');
+      params.push(providerName);
+    }
+    if (startDate) {
+      conditions.push('created_at >= ?');
+      params.push(startDate);
+    }
+    if (endDate) {
+      conditions.push("created_at < date(?, '+1 day')");
+      params.push(endDate);
+    }
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * API 사용량 상세 통계 (provider/모델별)
+   */
+  getUsageStats(providerName = null, startDate = null, endDate = null) {
+    try {
+      const { where, params } = this._usageFilter(providerName, startDate, endDate);
+      const rows = this.db.prepare(`
+        SELECT
+          ai_provider,
+          model,
+          COUNT(*) as calls,
+          SUM(success) as successes,
+          SUM(input_tokens) as input_tokens,
+          SUM(output_tokens) as output_tokens,
+          SUM(total_tokens) as total_tokens,
+          AVG(response_time) as avg_response_time
+        FROM api_usage
+        ${where}
+        GROUP BY ai_provider, model
+        ORDER BY total_tokens DESC
+      `).all(...params);
+
+      const registry = getModelRegistry();
+      const usage = rows.map(row => ({
+        provider: row.ai_provider,
+        model: row.model,
+        calls: row.calls,
+        successRate: row.calls ? row.successes / row.calls : 0,
+        inputTokens: row.input_tokens || 0,
+        outputTokens: row.output_tokens || 0,
+        totalTokens: row.total_tokens || 0,
+        avgResponseTime: row.avg_response_time,
+        contextWindow: registry.getModel(row.model)?.contextWindow || null
+      }));
+
+      return {
+        usage,
+        totals: {
+          calls: usage.reduce((sum, item) => sum + item.calls, 0),
+          inputTokens: usage.reduce((sum, item) => sum + item.inputTokens, 0),
+          outputTokens: usage.reduce((sum, item) => sum + item.outputTokens, 0)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to get usage stats', error);
+      return { usage: [], totals: { calls: 0, inputTokens: 0, outputTokens: 0 } };
+    }
+  }
+
+  /**
+   * 비용 통계 - 토큰 수에 현재 레지스트리 단가를 적용 (기록 당시 추정치는 recordedCost)
+   */
+  getCostStats(providerName = null, startDate = null, endDate = null) {
+    try {
+      const { where, params } = this._usageFilter(providerName, startDate, endDate);
+      const rows = this.db.prepare(`
+        SELECT
+          ai_provider,
+          model,
+          SUM(input_tokens) as input_tokens,
+          SUM(output_tokens) as output_tokens,
+          SUM(estimated_cost) as recorded_cost
+        FROM api_usage
+        ${where}
+        GROUP BY ai_provider, model
+      `).all(...params);
+
+      const registry = getModelRegistry();
+      const byModel = rows.map(row => {
+        const model = registry.getModel(row.model);
+        return {
+          provider: row.ai_provider,
+          model: row.model,
+          inputTokens: row.input_tokens || 0,
+          outputTokens: row.output_tokens || 0,
+          cost: registry.calculateCost(row.model, row.input_tokens || 0, row.output_tokens || 0),
+          recordedCost: row.recorded_cost || 0,
+          pricing: model?.pricing || null
+        };
+      }).sort((a, b) => b.cost - a.cost);
+
+      const byProvider = {};
+      for (const item of byModel) {
+        byProvider[item.provider] = (byProvider[item.provider] || 0) + item.cost;
+      }
+
+      return {
+        totalCost: byModel.reduce((sum, item) => sum + item.cost, 0),
+        byProvider: Object.entries(byProvider)
+          .map(([provider, cost]) => ({ provider, cost }))
+          .sort((a, b) => b.cost - a.cost),
+        byModel
+      };
+    } catch (error) {
+      logger.error('Failed to get cost stats', error);
+      return { totalCost: 0, byProvider: [], byModel: [] };
+    }
+  }
+
+  /**
+   * 시간별 성능 히스토리
+   */
+  getPerformanceHistory(providerName = null, hours = 24) {
+    try {
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+      const rows = this.db.prepare(`
+        SELECT * FROM performance_history
+        WHERE hour_timestamp >= ? ${providerName ? 'AND ai_provider = ?' : ''}
+        ORDER BY hour_timestamp ASC
+      `).all(...(providerName ? [since, providerName] : [since]));
+
+      return rows.map(row => ({
+        provider: row.ai_provider,
+        taskType: row.task_type,
+        avgResponseTime: row.response_time,
+        successRate: row.success_rate,
+        totalCalls: row.total_calls,
+        hour: row.hour_timestamp
+      }));
+    } catch (error) {
+      logger.error('Failed to get performance history', error);
+      return [];
+    }
+  }
+
+  /**
+   * 응답 캐시 적중/미스 기록 (core/responseCache.js)
+   * 적중이면 원래 응답의 사용량을 절감한 토큰/비용으로 누적한다.
+   */
+  recordCacheResult(providerName, taskType, hit, usage = null, model = null) {
+    try {
+      const inputTokens = hit ? usage?.inputTokens || 0 : 0;
+      const outputTokens = hit ? usage?.outputTokens || 0 : 0;
+      const savedCost = hit ? calculateCost(model, inputTokens, outputTokens) : 0;
+
+      this.db.prepare(`
+        INSERT INTO response_cache_metrics (day, provider, task_type, hits, misses, saved_input_tokens, saved_output_tokens, saved_cost)
+        VALUES (date('now'), ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(day, provider, task_type) DO UPDATE SET
+          hits = hits + excluded.hits,
+          misses = misses + excluded.misses,
+          saved_input_tokens = saved_input_tokens + excluded.saved_input_tokens,
+          saved_output_tokens = saved_output_tokens + excluded.saved_output_tokens,
+          saved_cost = saved_cost + excluded.saved_cost
+      `).run(providerName, taskType || 'chat', hit ? 1 : 0, hit ? 0 : 1, inputTokens, outputTokens, savedCost);
+    } catch (error) {
+      logger.error('Failed to record cache result', error);
+    }
+  }
+
+  /**
+   * 응답 캐시 적중률 통계 (provider/작업 유형별, 최근 N일)
+   */
+  getCacheStats(days = 7) {
+    try {
+      const rows = this.db.prepare(`
+        SELECT
+          provider,
+          task_type,
+          SUM(hits) as hits,
+          SUM(misses) as misses,
+          SUM(saved_input_tokens) as saved_input_tokens,
+          SUM(saved_output_tokens) as saved_output_tokens,
+          SUM(saved_cost) as saved_cost
+        FROM response_cache_metrics
+        WHERE day >= date('now', ?)
+        GROUP BY provider, task_type
+        ORDER BY hits DESC
+      `).all(`-${Math.max(0, days - 1)} days`);
+
+      const breakdown = rows.map(row => ({
+        provider: row.provider,
+        taskType: row.task_type,
+        hits: row.hits || 0,
+        misses: row.misses || 0,
+        hitRate: row.hits + row.misses > 0 ? row.hits / (row.hits + row.misses) : 0,
+        savedInputTokens: row.saved_input_tokens || 0,
+        savedOutputTokens: row.saved_output_tokens || 0,
+        savedCost: row.saved_cost || 0
+      }));
+
+      const hits = breakdown.reduce((sum, item) => sum + item.hits, 0);
+      const misses = breakdown.reduce((sum, item) => sum + item.misses, 0);
+      return {
+        days,
+        totals: {
+          hits,
+          misses,
+          hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+          savedCost: breakdown.reduce((sum, item) => sum + item.savedCost, 0)
+        },
+        breakdown
+      };
+    } catch (error) {
+      logger.error('Failed to get cache stats', error);
+      return { days, totals: { hits: 0, misses: 0, hitRate: 0, savedCost: 0 }, breakdown: [] };
+    }
+  }
+
   /**
    * 사용자 만족도 업데이트 (향후 구현)
    */
@@ -381,12 +555,5 @@ export class PerformanceMonitor {
       logger.error('Failed to update satisfaction', error);
     }
   }
-
-  /**
-   * 데이터베이스 연결 종료
-   */
-  close() {
-    this.db.close();
-  }
 }
 
@@ -0,0 +1,157 @@
+/**
+ * 줄 단위 텍스트 비교 유틸 (승인 요청의 변경 미리보기용)
+ */
+
+// 줄 수의 곱이 이보다 크면 LCS 표를 만들지 않고 앞뒤 공통 부분만 잘라 통째로 바뀐 것으로 본다
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * 두 텍스트의 unified diff (git diff와 비슷한 모양, 헤더 + @@ 구간)
+ * @param {string} before - 기존 내용 (새 파일이면 '')
+ * @param {string} after - 바뀐 내용
+ * @param {Object} options - { fromLabel, toLabel, context: 바뀐 줄 앞뒤로 보여줄 줄 수, maxLines: 결과 최대 줄 수 }
+ * @returns {string} 바뀐 것이 없으면 ''
+ */
+export function unifiedDiff(before, after, { fromLabel = 'a', toLabel = 'b', context = 3, maxLines = 200 } = {}) {
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const ops = diffLines(oldLines, newLines);
+  if (!ops.some(op => op.type !== 'equal')) return '';
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of toHunks(ops, context)) {
+    // 빈 쪽은 git처럼 0줄 구간의 직전 줄 번호로 표시
+    const oldStart = hunk.oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    lines.push(`@@ -${oldStart},${hunk.oldCount} +${newStart},${hunk.newCount} @@`);
+    for (const op of hunk.ops) {
+      lines.push(`${op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' '}${op.line}`);
+    }
+  }
+
+  if (lines.length > maxLines) {
+    const omitted = lines.length - maxLines;
+    return [...lines.slice(0, maxLines), `... (${omitted}줄 생략)`].join('\n');
+  }
+  return lines.join('\n');
+}
+
+function splitLines(text) {
+  const value = String(text ?? '');
+  if (value === '') return [];
+  return value.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * 줄 배열 → equal/remove/add 연산 목록 (LCS)
+ */
+function diffLines(oldLines, newLines) {
+  // 공통 앞뒤는 표 없이 처리
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const head = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+  const tail = oldLines.slice(oldEnd).map(line => ({ type: 'equal', line }));
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...head,
+      ...a.map(line => ({ type: 'remove', line })),
+      ...b.map(line => ({ type: 'add', line })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = a[i:]와 b[j:]의 LCS 길이
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'remove', line: a[i++] });
+    } else {
+      middle.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) middle.push({ type: 'remove', line: a[i++] });
+  while (j < b.length) middle.push({ type: 'add', line: b[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * 연산 목록 → 바뀐 줄 주변 context줄씩 묶은 구간
+ */
+function toHunks(ops, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailingEqual = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') {
+      if (current) {
+        const nextChange = ops.slice(index + 1, index + 1 + context).some(next => next.type !== 'equal');
+        if (trailingEqual < context || nextChange) {
+          current.ops.push(op);
+          current.oldCount++;
+          current.newCount++;
+          trailingEqual++;
+        } else {
+          hunks.push(current);
+          current = null;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!current) {
+      // 앞쪽 context줄을 붙여 새 구간 시작
+      const leading = [];
+      for (let k = index - 1; k >= 0 && leading.length < context && ops[k].type === 'equal'; k--) {
+        leading.unshift(ops[k]);
+      }
+      current = {
+        oldStart: oldLine - leading.length,
+        newStart: newLine - leading.length,
+        oldCount: leading.length,
+        newCount: leading.length,
+        ops: [...leading]
+      };
+    }
+    current.ops.push(op);
+    trailingEqual = 0;
+    if (op.type === 'remove') {
+      current.oldCount++;
+      oldLine++;
+    } else {
+      current.newCount++;
+      newLine++;
+    }
+  });
+
+  if (current) hunks.push(current);
+  return hunks;
+}
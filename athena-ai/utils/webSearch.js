@@ -2,6 +2,7 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { getDatabase } from '../database/schema.js';
 import { logger } from './logger.js';
+import { getModelRegistry } from '../ai/registry/index.js';
 
 export class WebSearchService {
   constructor(config) {
@@ -562,18 +563,11 @@ export class WebSearchService {
   }
 
   /**
-   * 각 AI의 학습 날짜 (컷오프 날짜)
+   * 각 AI의 학습 날짜 (컷오프 날짜, 모델 레지스트리의 knowledgeCutoff)
    * 이 날짜 이후의 정보는 웹 검색이 필요함
    */
   getAIKnowledgeCutoff(aiName) {
-    const cutoffs = {
-      'ChatGPT': '2024-04',      // GPT-4 Turbo 학습 날짜
-      'Gemini': '2024-02',       // Gemini 2.0 학습 날짜
-      'Claude': '2024-04',       // Claude 3.5 Sonnet 학습 날짜
-      'Grok': '2024-04',         // Grok 학습 날짜
-      'default': '2024-04'        // 기본값
-    };
-    return cutoffs[aiName] || cutoffs['default'];
+    return getModelRegistry().getProvider(aiName)?.knowledgeCutoff || '2024-04';
   }
 
   /**